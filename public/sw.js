@@ -0,0 +1,130 @@
+/**
+ * Service worker - keeps the IDE and the CDN files it loads at runtime in
+ * Cache Storage, so the editor, the Python runtime and Python IntelliSense
+ * work offline once they have been loaded.
+ *
+ * The app shell (index.html and the scripts and styles it links) is cached
+ * on install. Files of the IDE's own origin change with each deploy, so they
+ * are fetched first and only read from the cache when offline; pages open
+ * the cached index.html then.
+ *
+ * Versioned CDN files never change and are served from the cache first.
+ * PyPI's package index does change, so it is fetched first as well.
+ */
+
+// v2 drops opaque responses v1 may have cached (they could be errors)
+const CACHE_NAME = 'drlee-ide-cdn-v2';
+
+// Files of the IDE's own origin
+const APP_CACHE_NAME = 'drlee-ide-app-v1';
+
+// Page every route of the IDE is served by
+const APP_SHELL = '/index.html';
+
+// Monaco, Pyodide and its packages, and wheels installed with micropip
+const CACHE_FIRST = [
+  'https://cdn.jsdelivr.net/npm/monaco-editor@',
+  'https://cdn.jsdelivr.net/pyodide/',
+  'https://files.pythonhosted.org/packages/',
+];
+
+// Package metadata micropip resolves versions with
+const NETWORK_FIRST = [
+  'https://pypi.org/pypi/',
+];
+
+self.addEventListener('install', (event) => {
+  // Installed offline, the app shell is cached as it is loaded instead
+  event.waitUntil(precacheAppShell().catch(() => {}).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    // Drop caches of older versions of this worker
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('drlee-ide-') && name !== CACHE_NAME && name !== APP_CACHE_NAME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  if (new URL(request.url).origin === self.location.origin) {
+    event.respondWith(networkFirst(request, APP_CACHE_NAME, request.mode === 'navigate' ? APP_SHELL : null));
+  } else if (CACHE_FIRST.some(prefix => request.url.startsWith(prefix))) {
+    event.respondWith(cacheFirst(request));
+  } else if (NETWORK_FIRST.some(prefix => request.url.startsWith(prefix))) {
+    event.respondWith(networkFirst(request, CACHE_NAME));
+  }
+});
+
+/**
+ * Cache index.html and the scripts, styles and icons it links from this
+ * origin. Files the IDE imports later are cached when they are first loaded.
+ *
+ * @returns {Promise<void>}
+ */
+async function precacheAppShell() {
+  const cache = await caches.open(APP_CACHE_NAME);
+  const response = await fetch(APP_SHELL, { cache: 'no-cache' });
+  if (!response.ok) return;
+
+  const html = await response.clone().text();
+  const files = [...html.matchAll(/\s(?:src|href)="(\/[^/"][^"]*)"/g)].map(match => match[1]);
+
+  await cache.put(APP_SHELL, response);
+  // One missing file must not keep the others out
+  await Promise.all([...new Set(files)].map(file => cache.add(file).catch(() => {})));
+}
+
+/**
+ * Answer from the cache, fetching and caching files not cached yet
+ *
+ * Only successful responses are cached. Scripts loaded without CORS would
+ * get opaque responses, whose status cannot be checked, so they are fetched
+ * with CORS instead (the CDNs allow it).
+ *
+ * @param {Request} request - Request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request.mode === 'no-cors'
+    ? new Request(request.url, { mode: 'cors', credentials: 'omit' })
+    : request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Answer from the network, falling back to the cache when offline
+ *
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to keep responses in
+ * @param {string|null} [fallback] - Cached file to answer with when the request is not cached
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName, fallback = null) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    // Partial (206) responses to range requests cannot be cached
+    if (response.status === 200) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || (fallback && await cache.match(fallback));
+    if (cached) return cached;
+    throw error;
+  }
+}
@@ -4,39 +4,75 @@
  * Initializes and orchestrates all components of the IDE.
  */
 
-import Editor from './ui/components/Editor.js';
 import OutputPanel from './ui/components/OutputPanel.js';
+import ProblemsPanel from './ui/components/ProblemsPanel.js';
 import PreviewPanel from './ui/components/PreviewPanel.js';
 import RuntimeManager from './runtimes/RuntimeManager.js';
+import WorkspaceFS from './runtimes/WorkspaceFS.js';
 import FileManager from './storage/FileManager.js';
 import GitManager from './storage/GitManager.js';
-import TabBar from './ui/components/TabBar.js';
+import LineDiff from './storage/LineDiff.js';
+import SessionManager from './storage/SessionManager.js';
+import EditorGroups from './ui/components/EditorGroups.js';
 import LanguageSelector from './ui/components/LanguageSelector.js';
 import FileExplorer from './ui/components/FileExplorer.js';
 import Toast from './ui/components/Toast.js';
 import SettingsPanel from './ui/components/SettingsPanel.js';
 import GitCloneDialog from './ui/components/GitCloneDialog.js';
+import GitPanel from './ui/components/GitPanel.js';
+import SourceControlPanel from './ui/components/SourceControlPanel.js';
+import PythonIntelliSense from './ui/components/PythonIntelliSense.js';
+import PythonLanguageService from './runtimes/languages/PythonLanguageService.js';
+import LiveValidation from './ui/components/LiveValidation.js';
+import DocumentFormatting from './ui/components/DocumentFormatting.js';
+import CodeFormatter from './runtimes/CodeFormatter.js';
+import DatabaseExplorer from './ui/components/DatabaseExplorer.js';
+import DataImportDialog from './ui/components/DataImportDialog.js';
+import DatabaseSchema from './runtimes/databases/DatabaseSchema.js';
+import SQLCompletion from './ui/components/SQLCompletion.js';
+import DatabaseStore from './storage/DatabaseStore.js';
+import SchemaCatalog from './schemas/SchemaCatalog.js';
+import HistoryDialog from './ui/components/HistoryDialog.js';
 import AIRuntimeManager from './runtimes/ai/AIRuntimeManager.js';
 import AIContextManager from './ai/AIContextManager.js';
 import AIChatPanel from './ui/components/AIChatPanel.js';
 
+// Extensions of the files database runtimes save their database as
+const DATABASE_FILE_EXTENSIONS = {
+  sqlite: '.sqlite',
+  duckdb: '.duckdb',
+};
+
 /**
  * DrLeeIDE - Main Application Class
  */
 class DrLeeIDE {
   constructor() {
+    this.editorGroups = null;
+    this.activeGroup = null; // Editor group with focus; editor and tabBar are its own
     this.editor = null;
     this.outputPanel = null;
+    this.problemsPanel = null;
     this.previewPanel = null;
     this.runtimeManager = null;
     this.fileManager = null;
     this.gitManager = null;
+    this.sessionManager = new SessionManager();
     this.tabBar = null;
     this.languageSelector = null;
     this.fileExplorer = null;
     this.toast = null;
     this.settingsPanel = null;
     this.gitCloneDialog = null;
+    this.gitPanel = null;
+    this.sourceControlPanel = null;
+    this.pythonLanguageService = null; // Shared by IntelliSense and the Python formatter
+    this.pythonIntelliSense = null;
+    this.liveValidation = null;
+    this.documentFormatting = null;
+    this.databaseExplorer = null;
+    this.sqlCompletion = null;
+    this.schemaCatalog = new SchemaCatalog();
     this.aiRuntime = null;
     this.aiContextManager = null;
     this.aiChatPanel = null;
@@ -49,8 +85,12 @@ class DrLeeIDE {
     this.currentTheme = 'dark'; // 'dark' or 'light'
     this.autoSaveTimer = null;
     this.autoSaveDelay = 3000; // Auto-save after 3 seconds of inactivity
+    this.gutterTimer = null; // Debounces the Git gutter markers
     this.isAutoSaving = false;
     this.isPreviewMode = false; // Track if preview is active
+    this.isRestoringSession = false; // No session saves while the last one is reopened
+    this.hasWarnedSessionSave = false;
+    this.entryPoints = JSON.parse(localStorage.getItem('drlee-ide-entry-points') || '{}'); // Folder -> entry file id
   }
 
   /**
@@ -63,6 +103,9 @@ class DrLeeIDE {
       // Show loading overlay
       this.showLoading('Initializing IDE...');
 
+      // Cache CDN files (Monaco, Pyodide) for offline use
+      this.registerServiceWorker();
+
       // Initialize components
       this.initToast(); // Initialize toast first
       this.initSettingsPanel(); // Initialize settings panel
@@ -71,15 +114,18 @@ class DrLeeIDE {
       this.initPreviewPanel();
       await this.initRuntimeManager();
       await this.initFileManager();
-      this.initTabBar();
       this.initLanguageSelector();
       await this.initFileExplorer();
+      this.initPythonIntelliSense();
+      this.initLiveValidation();
+      this.initDocumentFormatting();
+      this.initDatabaseExplorer();
       this.initAIAssistant(); // Initialize AI assistant
       this.initTheme();
       this.initEventListeners();
 
-      // Open initial tab
-      this.handleNewTab();
+      // Reopen the tabs and layout of the last visit, or start with a new tab
+      await this.restoreSession();
 
       // Update button visibility (preview, validator)
       this.updatePreviewVisibility();
@@ -106,25 +152,379 @@ class DrLeeIDE {
   }
 
   /**
-   * Initialize Monaco Editor
+   * Initialize the editor groups, starting with one Monaco editor and tab bar
    */
   async initEditor() {
-    const container = document.getElementById('editor-container');
+    const container = document.getElementById('editor-groups');
     if (!container) {
       throw new Error('Editor container not found');
     }
 
-    this.editor = new Editor(container, {
-      language: this.currentLanguage,
-      theme: 'vs-dark',
-      fontSize: 14,
+    this.editorGroups = new EditorGroups(container, {
+      editorOptions: {
+        language: this.currentLanguage,
+        theme: 'vs-dark',
+        fontSize: 14,
+      },
+      onGroupCreated: (group) => this.initEditorGroup(group),
+      onGroupFocus: (group) => this.handleGroupFocus(group),
+      onSplit: (group, newGroup) => this.handleGroupSplit(group, newGroup),
+      onTabMoved: (tabId, file, from, to) => this.handleTabMoved(tabId, file, from, to),
+      onRunGroup: (group) => this.handleGroupRun(group),
+      onLayoutChange: () => this.scheduleSessionSave(),
+    });
+
+    this.activateGroup(await this.editorGroups.init());
+  }
+
+  /**
+   * Register the callbacks of an editor group's editor and tab bar
+   *
+   * @param {Object} group - Editor group
+   */
+  initEditorGroup(group) {
+    group.editor.onRun(() => this.handleRunCode());
+    group.editor.onChange((code) => this.handleCodeChange(code));
+
+    group.tabBar.onTabSwitch((tabId, file) => {
+      this.activateGroup(group);
+      this.handleTabSwitch(tabId, file);
+    });
+
+    group.tabBar.onTabClose((tabId, file) => {
+      return this.handleTabClose(tabId, file, group);
+    });
+
+    group.tabBar.onNewTab(() => {
+      this.activateGroup(group);
+      this.handleNewTab();
     });
 
-    await this.editor.init();
+    // Closing the last tab closes a split group, or opens a new tab
+    group.tabBar.onAllTabsClosed(() => {
+      if (this.editorGroups.groups.length > 1) {
+        this.editorGroups.closeGroup(group);
+      } else {
+        this.activateGroup(group);
+        this.handleNewTab();
+      }
+    });
+
+    group.tabBar.onTabRename((tabId, file) => {
+      return this.handleTabRename(tabId, file);
+    });
+  }
+
+  /**
+   * Make an editor group the one the toolbar, shortcuts and Run act on
+   *
+   * @param {Object} group - Editor group
+   */
+  activateGroup(group) {
+    this.activeGroup = group;
+    this.editor = group.editor;
+    this.tabBar = group.tabBar;
+    this.editorGroups.setActive(group);
+  }
+
+  /**
+   * Switch to an editor group that was clicked or focused
+   *
+   * @param {Object} group - Editor group
+   */
+  handleGroupFocus(group) {
+    this.activateGroup(group);
+
+    const tabId = group.tabBar.getActiveTabId();
+    if (tabId !== null) {
+      this.handleTabSwitch(tabId, group.tabBar.getTab(tabId).file);
+    }
+  }
+
+  /**
+   * Fill a new split group: the split group's active tab moves there if the
+   * group has others, or the new group starts with a new file
+   *
+   * @param {Object} group - Group that was split
+   * @param {Object} newGroup - New group
+   */
+  handleGroupSplit(group, newGroup) {
+    // Restored sessions fill their groups themselves
+    if (this.isRestoringSession) return;
+
+    const tabId = group.tabBar.getActiveTabId();
+    if (group.tabBar.tabs.size > 1 && tabId !== null) {
+      this.editorGroups.moveTab(tabId, group, newGroup);
+    } else {
+      this.activateGroup(newGroup);
+      this.handleNewTab();
+    }
+  }
+
+  /**
+   * Show a tab that was dragged to another group
+   *
+   * @param {string|number} tabId - Tab ID
+   * @param {Object} file - The tab's file object
+   * @param {Object} from - Group it left
+   * @param {Object} to - Group it moved to
+   */
+  handleTabMoved(tabId, file, from, to) {
+    // The group it left shows its next tab
+    const remainingId = from.tabBar.getActiveTabId();
+    const remaining = remainingId !== null && this.openFiles.get(remainingId);
+    if (remaining) {
+      from.editor.openModel(remainingId, remaining.content, remaining.language);
+    }
+
+    this.activateGroup(to);
+    this.handleTabSwitch(tabId, file);
+    this.scheduleSessionSave();
+  }
+
+  /**
+   * Run the active file of an editor group, in its own language
+   *
+   * @param {Object} group - Editor group
+   */
+  async handleGroupRun(group) {
+    if (this.activeGroup !== group) {
+      this.handleGroupFocus(group);
+    }
+
+    if (this.runtimeManager.getCurrentLanguage() !== this.currentLanguage) {
+      try {
+        this.showLoading(`Loading ${this.currentLanguage} runtime...`);
+        await this.runtimeManager.switchLanguage(this.currentLanguage);
+        this.languageSelector.currentLanguage = this.currentLanguage;
+        this.languageSelector.updateTriggerButton();
+      } catch (error) {
+        console.error('Failed to switch language:', error);
+        this.showError(`Failed to load ${this.currentLanguage}: ${error.message}`);
+        return;
+      } finally {
+        this.hideLoading();
+      }
+    }
 
-    // Register callbacks
-    this.editor.onRun(() => this.handleRunCode());
-    this.editor.onChange((code) => this.handleCodeChange(code));
+    await this.handleRunCode();
+  }
+
+  /**
+   * Reopen the tabs, split groups and panel layout of the last visit
+   * Tabs come back only with the files.rememberOpenFiles setting; without any,
+   * the editor starts with a new tab.
+   */
+  async restoreSession() {
+    const session = this.sessionManager.load();
+    this.isRestoringSession = true;
+
+    try {
+      if (session) {
+        this.restorePanels(session);
+        if (this.settingsPanel.getSettings().files?.rememberOpenFiles !== false) {
+          await this.restoreTabs(session);
+        }
+      }
+
+      if (!this.tabBar.getActiveTabId()) {
+        this.handleNewTab();
+      }
+
+      // Preview needs the active file in place
+      if (session?.previewMode) {
+        this.updatePreviewVisibility();
+        const previewToggleBtn = document.getElementById('preview-toggle');
+        if (!this.isPreviewMode && previewToggleBtn && previewToggleBtn.style.display !== 'none') {
+          this.handlePreviewToggle();
+        }
+      }
+    } catch (error) {
+      console.error('Failed to restore the last session:', error);
+      if (!this.tabBar.getActiveTabId()) {
+        this.handleNewTab();
+      }
+    } finally {
+      this.isRestoringSession = false;
+    }
+  }
+
+  /**
+   * Reopen the tabs of a saved session in their editor groups
+   * Unsaved edits replace the saved file's text. A file deleted since is
+   * skipped, unless it had unsaved edits: it then reopens as a new file.
+   *
+   * @param {Object} session - Session of SessionManager.load()
+   */
+  async restoreTabs(session) {
+    const seen = new Set();
+    const groups = [];
+    let activeIndex = 0;
+
+    for (const [index, saved] of session.groups.entries()) {
+      const tabs = [];
+      for (const tab of saved.tabs) {
+        const restored = await this.resolveSessionTab(tab);
+        if (restored && !seen.has(restored.id)) {
+          seen.add(restored.id);
+          tabs.push({ ...restored, active: tab.id === saved.activeTabId });
+        }
+      }
+
+      if (tabs.length > 0) {
+        if (index === session.activeGroup) activeIndex = groups.length;
+        groups.push(tabs);
+      }
+    }
+
+    if (groups.length === 0) return;
+
+    // Split the editor into as many groups
+    for (let i = 1; i < groups.length; i++) {
+      const group = await this.editorGroups.split(this.editorGroups.groups[i - 1], session.orientation);
+      if (!group) break;
+    }
+
+    groups.slice(0, this.editorGroups.groups.length).forEach((tabs, i) => {
+      const group = this.editorGroups.groups[i];
+      tabs.forEach((tab) => {
+        group.tabBar.addTab({ id: tab.id, name: tab.name, language: tab.language, unsaved: tab.unsaved });
+        this.openFiles.set(tab.id, { content: tab.content, language: tab.language });
+        if (tab.viewState) {
+          group.editor.setViewState(tab.id, tab.viewState);
+        }
+      });
+
+      // Each group shows its active tab
+      const active = tabs.find(tab => tab.active) || tabs[tabs.length - 1];
+      group.tabBar.setActiveTab(active.id);
+      group.editor.openModel(active.id, active.content, active.language);
+    });
+
+    this.handleGroupFocus(this.editorGroups.groups[activeIndex] || this.editorGroups.groups[0]);
+  }
+
+  /**
+   * Get the text of a saved session tab
+   *
+   * @param {Object} tab - Tab of the session
+   * @returns {Promise<Object|null>} The tab with its content, or null if it cannot be reopened
+   */
+  async resolveSessionTab(tab) {
+    if (typeof tab.id !== 'number') {
+      // Untitled files live only in the session
+      return typeof tab.content === 'string' ? { ...tab } : null;
+    }
+
+    const file = await this.fileManager.loadFile(tab.id).catch(() => null);
+    if (file && !file.binary) {
+      return {
+        ...tab,
+        name: file.name,
+        content: tab.unsaved && typeof tab.content === 'string' ? tab.content : file.content,
+      };
+    }
+
+    // Keep unsaved edits of a file deleted since
+    if (tab.unsaved && typeof tab.content === 'string') {
+      return { ...tab, id: `new-${tab.id}` };
+    }
+    return null;
+  }
+
+  /**
+   * Restore the panel layout of a saved session
+   *
+   * @param {Object} session - Session of SessionManager.load()
+   */
+  restorePanels(session) {
+    const outputPanel = document.getElementById('output-panel');
+    if (outputPanel && session.outputWidth) {
+      outputPanel.style.width = `${session.outputWidth}px`;
+    }
+
+    const stdinPanel = document.getElementById('stdin-panel');
+    if (stdinPanel && session.stdinVisible && stdinPanel.style.display === 'none') {
+      this.handleStdinToggle();
+    }
+
+    this.fileExplorer.setCollapsed(session.explorerCollapsed);
+  }
+
+  /**
+   * Describe the session: open tabs, with the text of untitled and unsaved
+   * buffers, and the panel layout
+   *
+   * @returns {Object} Session for SessionManager.save()
+   */
+  getSession() {
+    const rememberTabs = this.settingsPanel.getSettings().files?.rememberOpenFiles !== false;
+    const groups = rememberTabs
+      ? this.editorGroups.groups.map(group => ({
+        activeTabId: group.tabBar.getActiveTabId(),
+        tabs: Array.from(group.tabBar.tabs, ([tabId, { file }]) => {
+          const fileData = this.openFiles.get(tabId);
+          // Saved files are read back from storage, other buffers are kept whole
+          const keepContent = typeof tabId !== 'number' || file.unsaved;
+          return {
+            id: tabId,
+            name: file.name,
+            language: fileData?.language || file.language,
+            unsaved: Boolean(file.unsaved),
+            ...(keepContent ? { content: fileData?.content ?? '' } : {}),
+            viewState: group.editor.getViewState(tabId),
+          };
+        }),
+      }))
+      : [];
+
+    const outputPanel = document.getElementById('output-panel');
+    const stdinPanel = document.getElementById('stdin-panel');
+
+    return {
+      groups,
+      activeGroup: this.editorGroups.groups.indexOf(this.activeGroup),
+      orientation: this.editorGroups.orientation,
+      outputWidth: parseInt(outputPanel?.style.width, 10) || null,
+      previewMode: this.isPreviewMode,
+      stdinVisible: Boolean(stdinPanel) && stdinPanel.style.display !== 'none',
+      explorerCollapsed: this.fileExplorer ? this.fileExplorer.isCollapsed() : false,
+    };
+  }
+
+  /**
+   * Save the session once changes settle
+   */
+  scheduleSessionSave() {
+    // Nothing to save before the editor is up or after it was disposed
+    if (this.isRestoringSession || !this.editorGroups?.groups.length) return;
+
+    this.sessionManager.scheduleSave(() => this.getSession(), () => {
+      // Unsaved edits may be lost on reload; say so once
+      if (!this.hasWarnedSessionSave) {
+        this.hasWarnedSessionSave = true;
+        this.toast.warning('Browser storage is full: save your files to keep unsaved edits after a reload');
+      }
+    });
+  }
+
+  /**
+   * Save the session now (e.g. when the page is hidden or closed)
+   */
+  saveSession() {
+    this.scheduleSessionSave();
+    this.sessionManager.flush();
+  }
+
+  /**
+   * Find the tab of an open file, in any editor group
+   *
+   * @param {string|number} tabId - Tab ID (the file ID for saved files)
+   * @returns {{group: Object, tab: Object}|null} The group and tab data, or null if not open
+   */
+  findTab(tabId) {
+    const group = this.editorGroups.findGroup(tabId);
+    return group ? { group, tab: group.tabBar.getTab(tabId) } : null;
   }
 
   /**
@@ -136,8 +536,20 @@ class DrLeeIDE {
       throw new Error('Output container not found');
     }
 
-    this.outputPanel = new OutputPanel(container);
+    this.outputPanel = new OutputPanel(container, {
+      // Result grids of DuckDB queries export Parquet through DuckDB
+      exportParquet: async (result, rows) => {
+        const duckdb = this.runtimeManager.getLoadedRuntime('duckdb');
+        if (!duckdb) throw new Error('DuckDB is not loaded');
+        return duckdb.exportParquet(result, rows);
+      },
+    });
     this.outputPanel.showWelcome();
+
+    this.problemsPanel = new ProblemsPanel(document.getElementById('problems-panel'), {
+      onSelect: (problem) => this.revealProblem(problem),
+    });
+    this.problemsPanel.init();
   }
 
   /**
@@ -161,143 +573,642 @@ class DrLeeIDE {
     this.runtimeManager = new RuntimeManager();
     await this.runtimeManager.init();
 
+    // Apply the configured execution timeout
+    const runtimeSettings = this.settingsPanel?.getSettings()?.runtime;
+    if (runtimeSettings?.timeout) {
+      this.runtimeManager.setExecutionTimeout(runtimeSettings.timeout);
+    }
+
     // Switch to default language (JavaScript)
     await this.runtimeManager.switchLanguage(this.currentLanguage);
 
     // Register output callbacks
-    this.runtimeManager.onOutput((text, type) => {
+    this.runtimeManager.onOutput((text, type, metadata) => {
+      this.outputPanel.addOutput(text, type, metadata);
+    });
+
+    this.runtimeManager.onError((text, type) => {
       this.outputPanel.addLine(text, type);
     });
 
-    this.runtimeManager.onError((text, type) => {
-      this.outputPanel.addLine(text, type);
-    });
+    this.runtimeManager.onInput((prompt, options) => this.handleProgramInput(prompt, options));
+
+    // Show files the shell created, changed or removed
+    this.runtimeManager.onFilesChanged(() => {
+      if (this.fileExplorer) {
+        this.fileExplorer.refresh();
+      }
+    });
+  }
+
+  /**
+   * Initialize File Manager
+   */
+  async initFileManager() {
+    this.fileManager = new FileManager();
+    await this.fileManager.init();
+    console.log('FileManager initialized successfully');
+
+    // Initialize Git Manager
+    this.gitManager = new GitManager(this.fileManager, {
+      corsProxy: this.settingsPanel.getSettings().git?.corsProxy,
+    });
+    try {
+      await this.gitManager.loadRepositories();
+    } catch (error) {
+      console.warn('Failed to load cloned repositories:', error);
+    }
+    console.log('GitManager initialized successfully');
+
+    // Let the shell work on the saved files
+    this.runtimeManager.setFileManager(this.fileManager);
+
+    // Create example files for new users (if no files exist)
+    const fileCount = await this.fileManager.getFileCount();
+    if (fileCount === 0) {
+      console.log('Creating example files for new user...');
+      const exampleCount = await this.fileManager.createExampleFiles();
+      console.log(`Created ${exampleCount} example files`);
+    }
+  }
+
+  /**
+   * Initialize Language Selector
+   */
+  initLanguageSelector() {
+    const container = document.getElementById('language-selector-container');
+    if (!container) {
+      throw new Error('Language selector container not found');
+    }
+
+    this.languageSelector = new LanguageSelector(container, {
+      currentLanguage: this.currentLanguage,
+      onLanguageChange: (language) => this.handleLanguageChange(language),
+    });
+
+    this.languageSelector.init();
+    console.log('LanguageSelector initialized successfully');
+  }
+
+  /**
+   * Initialize Toast Notification System
+   */
+  initToast() {
+    this.toast = new Toast();
+    console.log('Toast notification system initialized');
+  }
+
+  /**
+   * Initialize Settings Panel
+   */
+  initSettingsPanel() {
+    // Load saved settings from localStorage
+    const savedSettings = localStorage.getItem('drlee-ide-settings');
+    const initialSettings = savedSettings ? JSON.parse(savedSettings) : undefined;
+
+    this.settingsPanel = new SettingsPanel({
+      initialSettings,
+      onSave: (settings) => this.applySettings(settings),
+      onClose: () => {
+        // Settings panel closed
+      },
+    });
+    console.log('Settings panel initialized');
+  }
+
+  /**
+   * Initialize File Explorer
+   */
+  async initFileExplorer() {
+    const container = document.getElementById('file-explorer-container');
+    if (!container) {
+      throw new Error('File explorer container not found');
+    }
+
+    this.fileExplorer = new FileExplorer(container, {
+      fileManager: this.fileManager,
+      toast: this.toast,
+      onFileOpen: (file) => this.handleFileOpen(file),
+      onFileDelete: (fileId) => this.handleFileDeleted(fileId),
+      onFileRename: (fileId, newName, file) => this.handleFileRenamed(fileId, newName, file),
+      onFileRun: (file) => this.handleFileRun(file),
+      onSetEntryPoint: (file) => this.handleSetEntryPoint(file),
+      onShowHistory: (file) => this.handleShowHistory(file),
+      onAttachSchema: (file) => this.handleAttachSchema(file),
+      onToggleCollapse: () => this.scheduleSessionSave(),
+    });
+
+    await this.fileExplorer.init();
+    console.log('FileExplorer initialized successfully');
+
+    // Initialize History Dialog
+    this.historyDialog = new HistoryDialog(this.fileManager, this.editor, {
+      onRestore: (revision) => this.handleRestoreRevision(revision),
+    });
+    this.historyDialog.init();
+
+    // Initialize Git Clone Dialog
+    this.gitCloneDialog = new GitCloneDialog(this.gitManager, this.fileExplorer, {
+      onOpenRepository: (name) => this.sourceControlPanel.show(name),
+    });
+    this.gitCloneDialog.init();
+    console.log('GitCloneDialog initialized successfully');
+
+    // Initialize Source Control panel
+    this.gitPanel = new GitPanel(this.gitManager, this.fileManager, {
+      toast: this.toast,
+      getAuthor: () => {
+        const { authorName, authorEmail } = this.settingsPanel.getSettings().git;
+        return { name: authorName, email: authorEmail };
+      },
+      onBeforeSync: () => this.saveActiveFile(),
+      onFilesChanged: (changes) => this.handleGitFilesChanged(changes),
+      onRefresh: () => this.handleGitStatusChanged(),
+    });
+    this.gitPanel.init();
+
+    // Initialize Source Control sidebar
+    this.sourceControlPanel = new SourceControlPanel(document.getElementById('source-control-container'), {
+      gitManager: this.gitManager,
+      fileManager: this.fileManager,
+      editor: this.editor,
+      toast: this.toast,
+      onBeforeSync: () => this.saveActiveFile(),
+      onFilesChanged: (changes) => this.handleGitFilesChanged(changes),
+      onOpenGitPanel: (repository) => this.gitPanel.open(repository),
+    });
+    this.sourceControlPanel.init();
+
+    // Add Git buttons to toolbar
+    this.createGitCloneButton();
+    this.createSourceControlButton();
+  }
+
+  /**
+   * Initialize completion, hover docs, signature help, go-to-definition and
+   * error markers for Python (see the editor.pythonIntelliSense setting)
+   */
+  initPythonIntelliSense() {
+    if (!PythonLanguageService.isSupported()) return;
+
+    this.pythonLanguageService = new PythonLanguageService();
+    this.pythonIntelliSense = new PythonIntelliSense(this.editor.monaco, {
+      service: this.pythonLanguageService,
+      getFileInfo: (model) => this.getPythonFileInfo(model),
+      getWorkspaceFiles: (folder) => this.getPythonWorkspaceFiles(folder),
+      onOpenFile: (file, position) => this.openFileAt(file, position),
+      filter: (model) => this.findModelTab(model) !== null,
+    });
+
+    if (this.settingsPanel.getSettings().editor?.pythonIntelliSense !== false) {
+      this.pythonIntelliSense.enable();
+    }
+  }
+
+  /**
+   * Initialize validation as you type for JSON, YAML, XML, HTML and CSS, with
+   * JSON Schema checks and completions (see the editor.liveValidation setting)
+   */
+  initLiveValidation() {
+    this.liveValidation = new LiveValidation(this.editor.monaco, {
+      catalog: this.schemaCatalog,
+      getFileInfo: (model) => this.getSchemaFileInfo(model),
+      loadSchemaFile: (fileId) => this.loadSchemaFile(fileId),
+      filter: (model) => this.findModelTab(model) !== null,
+    });
+
+    if (this.settingsPanel.getSettings().editor?.liveValidation !== false) {
+      this.liveValidation.enable();
+    }
+  }
+
+  /**
+   * Initialize Format Document for JavaScript, TypeScript, CSS, HTML, Markdown,
+   * YAML, JSON, SQL and Python (see the files.formatOnSave setting)
+   */
+  initDocumentFormatting() {
+    this.documentFormatting = new DocumentFormatting(this.editor.monaco, {
+      formatter: new CodeFormatter({ getPythonService: () => this.pythonLanguageService }),
+      getLanguage: (model) => this.getModelLanguage(model),
+      onError: (error, language) => {
+        this.toast.show(`Cannot format ${this.editor.formatLanguageName(language)}: ${error.message.split('\n')[0]}`, 'warning');
+      },
+    });
+    this.documentFormatting.enable();
+  }
+
+  /**
+   * Runtime language of a model's file (e.g. 'duckdb' for a model Monaco
+   * knows as 'sql')
+   *
+   * @param {Object} model - Monaco text model
+   * @returns {string|null} Null for models of no open tab
+   */
+  getModelLanguage(model) {
+    const tabId = this.findModelTab(model);
+    return tabId === null ? null : this.openFiles.get(tabId)?.language || null;
+  }
+
+  /**
+   * Initialize the database explorer sidebar and completion of the live
+   * database's table and column names in SQL
+   */
+  initDatabaseExplorer() {
+    this.sqlCompletion = new SQLCompletion(this.editor.monaco, {
+      getLanguage: (model) => this.getModelLanguage(model),
+    });
+    this.sqlCompletion.enable();
+
+    this.databaseExplorer = new DatabaseExplorer(document.getElementById('database-explorer-container'), {
+      onRefresh: () => this.refreshDatabaseSchema(),
+      onQueryTable: (sql) => this.editor.insertStatement(sql),
+      onSwitchDatabase: (name) => this.switchDatabase(name),
+      onCreateDatabase: () => this.createDatabase(),
+      onDeleteDatabase: (name) => this.deleteDatabase(name),
+      onSaveDatabase: () => this.saveDatabaseFile(),
+      onOpenDatabaseFile: (file) => this.openDatabaseFile(file),
+      onImportData: (files) => this.openDataImport(files),
+    });
+    this.databaseExplorer.init();
+
+    this.dataImportDialog = new DataImportDialog(this.fileManager, {
+      onRegisterFiles: (files) => this.registerDataFiles(files),
+      onImportTable: (table) => this.importDataTable(table),
+    });
+    this.dataImportDialog.init();
+
+    this.createDatabaseButton();
+  }
+
+  /**
+   * Read the schema of the current language's database, if it is one and
+   * its runtime is loaded, for the database explorer and SQL completion
+   *
+   * @returns {Promise<void>}
+   */
+  async refreshDatabaseSchema() {
+    if (!this.databaseExplorer || this.isExecuting) return;
+
+    const language = this.currentLanguage;
+    const runtime = this.runtimeManager.getLoadedRuntime(language);
+    if (!runtime || typeof runtime.getSchema !== 'function') {
+      this.databaseExplorer.setDatabase(null);
+      return;
+    }
+
+    const database = {
+      language,
+      name: this.editor.formatLanguageName(language),
+      ...this.getSavedDatabases(runtime),
+    };
+    if (!runtime.isLoaded()) {
+      this.databaseExplorer.setDatabase(database, { tables: [] });
+      return;
+    }
+
+    try {
+      const schema = await runtime.getSchema();
+      this.sqlCompletion.setSchema(language, schema);
+      if (language === this.currentLanguage) {
+        this.databaseExplorer.setDatabase(database, schema);
+      }
+    } catch (error) {
+      console.error('Failed to read the database schema:', error);
+      this.databaseExplorer.setDatabase(database);
+      this.databaseExplorer.showError(`Cannot read the database: ${error.message}`);
+    }
+  }
+
+  /**
+   * What the database explorer offers for a runtime's saved databases
+   *
+   * @param {Object} runtime - Database runtime
+   * @returns {Object} `{databases, active, fileExtension, canOpenFiles, canImport}` (see
+   *   DatabaseExplorer.setDatabase()), or nothing for runtimes without saved databases
+   */
+  getSavedDatabases(runtime) {
+    if (typeof runtime.listDatabases !== 'function' || !runtime.isLoaded()) return {};
+
+    return {
+      databases: runtime.listDatabases(),
+      active: runtime.getDatabaseName(),
+      fileExtension: typeof runtime.exportDatabase === 'function' ? DATABASE_FILE_EXTENSIONS[runtime.name] || null : null,
+      canOpenFiles: typeof runtime.importDatabase === 'function',
+      canImport: typeof runtime.registerFile === 'function' || typeof runtime.importTable === 'function',
+    };
+  }
+
+  /**
+   * The loaded runtime of the current language, if it has saved databases
+   * Database changes wait until a running program finishes.
+   *
+   * @returns {Object|null}
+   */
+  getDatabaseRuntime() {
+    if (this.isExecuting) {
+      this.toast.warning('Wait for the program to finish before changing databases');
+      return null;
+    }
+
+    const runtime = this.runtimeManager.getLoadedRuntime(this.currentLanguage);
+    return runtime && typeof runtime.openDatabase === 'function' ? runtime : null;
+  }
+
+  /**
+   * Switch the current database runtime to a saved database, or to a new
+   * in-memory one
+   *
+   * @param {string|null} name - Database name, or null for an in-memory database
+   * @param {Object} [options] - Options passed to the runtime's openDatabase()
+   * @returns {Promise<boolean>} Whether the database was opened
+   */
+  async switchDatabase(name, options = {}) {
+    const runtime = this.getDatabaseRuntime();
+    if (!runtime) return false;
+
+    let opened = true;
+    try {
+      await runtime.openDatabase(name, options);
+    } catch (error) {
+      console.error('Failed to open database:', error);
+      this.toast.error(`Cannot open database: ${error.message}`);
+      opened = false;
+    }
+
+    await this.refreshDatabaseSchema();
+    return opened;
+  }
+
+  /**
+   * Ask for a name and create a saved database with it
+   */
+  async createDatabase() {
+    const runtime = this.getDatabaseRuntime();
+    if (!runtime) return;
+
+    const name = (await this.toast.prompt('Name of the new database:', { placeholder: 'e.g., school' }))?.trim();
+    if (!name) return;
+
+    try {
+      DatabaseStore.validateName(name);
+    } catch (error) {
+      this.toast.error(error.message);
+      return;
+    }
+    if (runtime.listDatabases().includes(name)) {
+      this.toast.error(`A database named "${name}" already exists`);
+      return;
+    }
+
+    if (await this.switchDatabase(name)) {
+      this.toast.success(`Created database "${name}"`);
+    }
+  }
+
+  /**
+   * Delete a saved database of the current database runtime, after confirming
+   *
+   * @param {string} name - Database name
+   */
+  async deleteDatabase(name) {
+    const runtime = this.getDatabaseRuntime();
+    if (!runtime) return;
+
+    const confirmed = await this.toast.confirm(`Delete the "${name}" database and all its tables? This action cannot be undone.`, {
+      confirmText: 'Delete',
+      cancelText: 'Cancel',
+    });
+    if (!confirmed) return;
+
+    try {
+      await runtime.deleteDatabase(name);
+      this.toast.success(`Deleted database "${name}"`);
+    } catch (error) {
+      console.error('Failed to delete database:', error);
+      this.toast.error(`Failed to delete database: ${error.message}`);
+    }
+
+    await this.refreshDatabaseSchema();
+  }
+
+  /**
+   * Download the current database runtime's database as a file
+   */
+  async saveDatabaseFile() {
+    const runtime = this.getDatabaseRuntime();
+    const extension = runtime && DATABASE_FILE_EXTENSIONS[runtime.name];
+    if (!extension || typeof runtime.exportDatabase !== 'function') return;
+
+    try {
+      const data = await runtime.exportDatabase();
+      const fileName = `${runtime.getDatabaseName() || 'database'}${extension}`;
+      this.downloadFile(new Blob([data], { type: 'application/octet-stream' }), fileName);
+      this.toast.success(`Downloaded "${fileName}"`);
+    } catch (error) {
+      console.error('Failed to save database:', error);
+      this.toast.error(`Failed to save database: ${error.message}`);
+    }
   }
 
   /**
-   * Initialize File Manager
+   * Open a database file as a new saved database of the current runtime
+   *
+   * @param {File} file - .sqlite or .db file
    */
-  async initFileManager() {
-    this.fileManager = new FileManager();
-    await this.fileManager.init();
-    console.log('FileManager initialized successfully');
+  async openDatabaseFile(file) {
+    const runtime = this.getDatabaseRuntime();
+    if (!runtime) return;
 
-    // Initialize Git Manager
-    this.gitManager = new GitManager(this.fileManager);
-    console.log('GitManager initialized successfully');
+    const name = DatabaseStore.nameFromFile(file.name, runtime.listDatabases());
+    const data = new Uint8Array(await file.arrayBuffer());
 
-    // Create example files for new users (if no files exist)
-    const fileCount = await this.fileManager.getFileCount();
-    if (fileCount === 0) {
-      console.log('Creating example files for new user...');
-      const exampleCount = await this.fileManager.createExampleFiles();
-      console.log(`Created ${exampleCount} example files`);
+    if (await this.switchDatabase(name, { data })) {
+      this.toast.success(`Opened "${file.name}" as database "${name}"`);
     }
   }
 
   /**
-   * Initialize Tab Bar
+   * Open the data import dialog for the current database runtime
+   *
+   * @param {Array<File>} [files] - Files to import, e.g. dropped onto the database explorer
    */
-  initTabBar() {
-    const container = document.getElementById('tab-bar-container');
-    if (!container) {
-      throw new Error('Tab bar container not found');
-    }
+  openDataImport(files = []) {
+    const runtime = this.getDatabaseRuntime();
+    if (!runtime || !this.getSavedDatabases(runtime).canImport) return;
+
+    this.dataImportDialog.open({
+      language: runtime.name,
+      name: this.editor.formatLanguageName(runtime.name),
+    }, files);
+  }
 
-    this.tabBar = new TabBar(container);
+  /**
+   * Register data files with DuckDB and insert a query that reads the first one
+   *
+   * @param {Array<{name: string, data: Uint8Array}>} files - File names and contents
+   * @returns {Promise<boolean>} Whether the files were registered
+   */
+  async registerDataFiles(files) {
+    const runtime = this.getDatabaseRuntime();
+    if (!runtime || typeof runtime.registerFile !== 'function') return false;
 
-    // Register tab callbacks
-    this.tabBar.onTabSwitch((tabId, file) => {
-      this.handleTabSwitch(tabId, file);
-    });
+    const names = [];
+    for (const file of files) {
+      names.push(await runtime.registerFile(file.name, file.data));
+    }
 
-    this.tabBar.onTabClose((tabId, file) => {
-      return this.handleTabClose(tabId, file);
-    });
+    this.editor.insertStatement(`SELECT * FROM '${names[0].replace(/'/g, "''")}' LIMIT 100;`);
+    this.toast.success(names.length === 1
+      ? `Registered "${names[0]}"`
+      : `Registered ${names.length} files: ${names.join(', ')}`);
+    return true;
+  }
 
-    this.tabBar.onNewTab(() => {
-      this.handleNewTab();
-    });
+  /**
+   * Import rows into a new table of the current database and insert a query for it
+   *
+   * @param {Object} table - {name, columns: [{name, type}], rows} (see DataImport)
+   * @returns {Promise<boolean>} Whether the table was created
+   */
+  async importDataTable(table) {
+    const runtime = this.getDatabaseRuntime();
+    if (!runtime || typeof runtime.importTable !== 'function') return false;
 
-    this.tabBar.onTabRename((tabId, file) => {
-      return this.handleTabRename(tabId, file);
-    });
+    await runtime.importTable(table);
+    await this.refreshDatabaseSchema();
 
-    console.log('TabBar initialized successfully');
+    this.editor.insertStatement(DatabaseSchema.selectQuery({ name: table.name, schema: null }, runtime.name));
+    this.toast.success(`Imported ${table.rows.length} row(s) into "${table.name}"`);
+    return true;
   }
 
   /**
-   * Initialize Language Selector
+   * Which file a model is, for finding its JSON Schema
+   *
+   * @param {Object} model - Monaco text model
+   * @returns {Promise<{id: (number|null), path: (string|null)}|null>} Its id (null for
+   *   untitled files) and path in its repository (the tab name for untitled files)
    */
-  initLanguageSelector() {
-    const container = document.getElementById('language-selector-container');
-    if (!container) {
-      throw new Error('Language selector container not found');
+  async getSchemaFileInfo(model) {
+    const tabId = this.findModelTab(model);
+    if (tabId === null) return null;
+
+    const file = typeof tabId === 'number' ? await this.fileManager.loadFile(tabId) : null;
+    if (file) {
+      return { id: file.id, path: WorkspaceFS.getRelativePath(file, file.gitRepo || null) };
     }
 
-    this.languageSelector = new LanguageSelector(container, {
-      currentLanguage: this.currentLanguage,
-      onLanguageChange: (language) => this.handleLanguageChange(language),
-    });
+    const tab = this.editorGroups.groups.map(group => group.tabBar.getTab(tabId)).find(Boolean);
+    return { id: null, path: tab?.file.name || null };
+  }
 
-    this.languageSelector.init();
-    console.log('LanguageSelector initialized successfully');
+  /**
+   * Read a saved file attached as a JSON Schema, with its unsaved edits
+   *
+   * @param {string} fileId - File ID
+   * @returns {Promise<Object|null>} The schema, or null if the file is gone
+   */
+  async loadSchemaFile(fileId) {
+    const file = await this.fileManager.loadFile(Number(fileId));
+    if (!file) return null;
+    return JSON.parse(this.getBufferContent(file.id) ?? file.content);
   }
 
   /**
-   * Initialize Toast Notification System
+   * Find the tab a Monaco model belongs to
+   *
+   * @param {Object} model - Monaco text model
+   * @returns {string|number|null} Tab ID, or null for models of no tab (e.g. diffs)
    */
-  initToast() {
-    this.toast = new Toast();
-    console.log('Toast notification system initialized');
+  findModelTab(model) {
+    for (const group of this.editorGroups.groups) {
+      const tabId = group.editor.getModelId(model);
+      if (tabId !== null) return tabId;
+    }
+    return null;
   }
 
   /**
-   * Initialize Settings Panel
+   * Where a model's file is, for the Python analyzer
+   *
+   * @param {Object} model - Monaco text model
+   * @returns {Promise<{folder: (string|null), path: (string|null)}|null>} Its repository (null
+   *   for other files) and path below the mount point; null for untitled files
    */
-  initSettingsPanel() {
-    // Load saved settings from localStorage
-    const savedSettings = localStorage.getItem('drlee-ide-settings');
-    const initialSettings = savedSettings ? JSON.parse(savedSettings) : undefined;
+  async getPythonFileInfo(model) {
+    const tabId = this.findModelTab(model);
+    const file = typeof tabId === 'number' ? await this.fileManager.loadFile(tabId) : null;
+    if (!file) return null;
 
-    this.settingsPanel = new SettingsPanel({
-      initialSettings,
-      onSave: (settings) => this.applySettings(settings),
-      onClose: () => {
-        // Settings panel closed
-      },
-    });
-    console.log('Settings panel initialized');
+    const folder = file.gitRepo || null;
+    return { folder, path: WorkspaceFS.getRelativePath(file, folder) };
   }
 
   /**
-   * Initialize File Explorer
+   * Python files the analyzer resolves imports to, mounted like a run mounts them
+   *
+   * @param {string|null} folder - Repository, or null for all files
+   * @returns {Promise<Map<string, string>>} Source by path below the mount point
    */
-  async initFileExplorer() {
-    const container = document.getElementById('file-explorer-container');
-    if (!container) {
-      throw new Error('File explorer container not found');
+  async getPythonWorkspaceFiles(folder) {
+    const files = new Map();
+    for (const file of await this.fileManager.getAllFiles()) {
+      const path = WorkspaceFS.getRelativePath(file, folder);
+      if (path === null || files.has(path) || !path.endsWith('.py') || typeof file.content !== 'string') continue;
+
+      // Unsaved edits in open tabs take the place of the saved content
+      files.set(path, this.openFiles.get(file.id)?.content ?? file.content);
     }
+    return files;
+  }
 
-    this.fileExplorer = new FileExplorer(container, {
-      fileManager: this.fileManager,
-      toast: this.toast,
-      onFileOpen: (file) => this.handleFileOpen(file),
-      onFileDelete: (fileId) => this.handleFileDeleted(fileId),
-      onFileRename: (fileId, newName) => this.handleFileRenamed(fileId, newName),
-      onFileRun: (file) => this.handleFileRun(file),
-    });
+  /**
+   * Find the saved file mounted at a path
+   *
+   * @param {Array<Object>} files - Saved files
+   * @param {string|null} folder - Repository (null for other files)
+   * @param {string} path - Path below the mount point
+   * @returns {Object|undefined}
+   */
+  findWorkspaceFile(files, folder, path) {
+    return files.find(entry => (entry.gitRepo || null) === folder && WorkspaceFS.getRelativePath(entry, folder) === path)
+      || files.find(entry => WorkspaceFS.getRelativePath(entry, folder) === path);
+  }
 
-    await this.fileExplorer.init();
-    console.log('FileExplorer initialized successfully');
+  /**
+   * Open a saved file and move the cursor to a position in it
+   *
+   * @param {{folder: (string|null), path: string}} target - Repository (null for other
+   *   files) and path below the mount point
+   * @param {{lineNumber: number, column: number}|null} position - Position to reveal
+   */
+  async openFileAt({ folder, path }, position) {
+    try {
+      const file = this.findWorkspaceFile(await this.fileManager.getAllFiles(), folder, path);
+      if (!file) {
+        this.toast.warning(`${path} is not a saved file`);
+        return;
+      }
 
-    // Initialize Git Clone Dialog
-    this.gitCloneDialog = new GitCloneDialog(this.gitManager, this.fileExplorer);
-    this.gitCloneDialog.init();
-    console.log('GitCloneDialog initialized successfully');
+      this.handleFileOpen(file);
+      if (position) {
+        this.editor.revealPosition(position);
+      }
+    } catch (error) {
+      console.error('Failed to open file:', error);
+      this.toast.error(`Failed to open ${path}: ${error.message}`);
+    }
+  }
 
-    // Add Git clone button to toolbar
-    this.createGitCloneButton();
+  /**
+   * Register the service worker that caches the IDE and its CDN files for offline use
+   */
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.warn('Service worker registration failed:', error);
+    });
   }
 
   /**
@@ -395,6 +1306,18 @@ class DrLeeIDE {
       runBtn.addEventListener('click', () => this.handleRunCode());
     }
 
+    // Stop button
+    const stopBtn = document.getElementById('stop-btn');
+    if (stopBtn) {
+      stopBtn.addEventListener('click', () => this.handleStopCode());
+    }
+
+    // Stdin toggle button
+    const stdinToggleBtn = document.getElementById('stdin-toggle');
+    if (stdinToggleBtn) {
+      stdinToggleBtn.addEventListener('click', () => this.handleStdinToggle());
+    }
+
     // Clear button
     const clearBtn = document.getElementById('clear-btn');
     if (clearBtn) {
@@ -440,6 +1363,14 @@ class DrLeeIDE {
     // Panel resizer
     this.initResizer();
 
+    // Keep the session, with unsaved edits, when the page is hidden or closed
+    window.addEventListener('pagehide', () => this.saveSession());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.saveSession();
+      }
+    });
+
     // Global keyboard shortcuts
     this.initKeyboardShortcuts();
   }
@@ -573,72 +1504,338 @@ class DrLeeIDE {
       if (isResizing) {
         isResizing = false;
         document.body.style.cursor = '';
+        this.scheduleSessionSave();
+      }
+    });
+  }
+
+  /**
+   * Handle Run Code button/shortcut
+   *
+   * A saved file runs as part of its project (its repository, or all saved
+   * files): the project's entry point runs, with the other files importable
+   * and unsaved edits in open tabs included.
+   *
+   * @param {Object} entryFile - File to run instead of the project's entry point
+   */
+  async handleRunCode(entryFile = null) {
+    if (this.isExecuting) {
+      console.log('Code is already executing...');
+      return;
+    }
+
+    try {
+      this.isExecuting = true;
+      this.setStopButtonVisible(true);
+
+      // Get code from editor, or from the project's entry point
+      const { code, folder, project, file } = await this.getRunTarget(this.editor.getValue(), entryFile);
+
+      if (!code.trim()) {
+        this.outputPanel.addLine('No code to execute', 'info');
+        return;
+      }
+
+      // Clear previous output and problems
+      this.outputPanel.clear();
+      this.clearProblems();
+
+      // Update status
+      this.setStatus('Executing...');
+
+      // Add separator
+      this.outputPanel.addLine('='.repeat(50), 'info');
+      this.outputPanel.addLine(
+        project ? `Executing ${project.entryPoint} (${this.currentLanguage})...` : `Executing ${this.currentLanguage}...`,
+        'info'
+      );
+      this.outputPanel.addLine('='.repeat(50), 'info');
+
+      // Programs see the files of the active file's repository, or all files
+      this.runtimeManager.setWorkspaceFolder(folder);
+
+      // Execute code (RuntimeManager enforces the configured timeout)
+      const result = await this.runtimeManager.executeCode(code, {
+        stdin: this.getStdinText(),
+        project,
+      });
+
+      // Display results
+      if (result.cancelled) {
+        this.outputPanel.addLine('', 'stdout');
+        this.outputPanel.addError(`⏹ ${result.error.message}`);
+      } else if (result.success) {
+        this.outputPanel.addLine('', 'stdout');
+        this.outputPanel.addLine('✓ Execution completed successfully', 'success');
+      } else {
+        this.outputPanel.addLine('', 'stdout');
+        this.outputPanel.addError(`✗ Execution failed:\n${result.error?.message || 'Unknown error'}`);
+      }
+
+      await this.showProblems(result.diagnostics, { ...file, folder });
+
+      // Display metadata
+      const memoryUsage = performance.memory
+        ? performance.memory.usedJSHeapSize / 1024 / 1024
+        : undefined;
+
+      this.outputPanel.addMetadata({
+        executionTime: result.executionTime,
+        memoryUsage,
+      });
+
+      // Update status
+      this.setStatus('Ready');
+    } catch (error) {
+      console.error('Execution error:', error);
+      this.outputPanel.addError(`Error: ${error.message}`);
+      this.setStatus('Error');
+    } finally {
+      this.isExecuting = false;
+      this.outputPanel.cancelInput();
+      this.setStopButtonVisible(false);
+    }
+
+    // Statements may have changed the database's tables
+    this.refreshDatabaseSchema();
+  }
+
+  /**
+   * Work out what Run executes
+   *
+   * Unsaved buffers (new tabs) run on their own. Otherwise the entry point
+   * is `entryFile`, the file pinned with "Set as Entry Point" for the active
+   * file's project if it is in the current language, or the active file.
+   *
+   * @param {string} editorCode - Text of the active editor
+   * @param {Object} entryFile - Explicit entry point, if any
+   * @returns {Promise<{code: string, folder: string|null, project: Object|null, file: {id, name}}>}
+   *   `file` is the tab or saved file the code comes from
+   */
+  async getRunTarget(editorCode, entryFile = null) {
+    const activeId = this.currentFile?.id;
+    const active = this.fileManager && typeof activeId === 'number'
+      ? await this.fileManager.loadFile(activeId)
+      : null;
+    if (!active) {
+      const tabId = this.tabBar.getActiveTabId();
+      const name = this.tabBar.getTab(tabId)?.file.name || 'Untitled';
+      return { code: editorCode, folder: null, project: null, file: { id: tabId, name } };
+    }
+
+    // Tab switches drop gitRepo from currentFile, so the saved record decides
+    const folder = active.gitRepo || null;
+
+    // Unsaved edits in open tabs take the place of the saved content
+    const sources = new Map([[active.id, editorCode]]);
+    for (const [tabId, fileData] of this.openFiles.entries()) {
+      const tab = this.findTab(tabId)?.tab;
+      if (typeof tabId === 'number' && tabId !== active.id && tab?.file?.unsaved) {
+        sources.set(tabId, fileData.content);
+      }
+    }
+
+    let entry = entryFile || active;
+    const pinnedId = this.entryPoints[folder || ''];
+    if (!entryFile && pinnedId !== undefined && pinnedId !== active.id) {
+      const pinned = await this.fileManager.loadFile(pinnedId);
+      if (pinned && (pinned.gitRepo || null) === folder && pinned.language === this.currentLanguage) {
+        entry = pinned;
+      }
+    }
+
+    const entryPoint = WorkspaceFS.getRelativePath(entry, folder);
+    if (entryPoint === null) {
+      return { code: editorCode, folder, project: null, file: { id: active.id, name: active.name } };
+    }
+
+    return {
+      code: sources.has(entry.id) ? sources.get(entry.id) : String(entry.content ?? ''),
+      folder,
+      project: { entryPoint, sources },
+      file: { id: entry.id, name: entryPoint },
+    };
+  }
+
+  /**
+   * Show the problems a run or validation reported, in the Problems list
+   * and as squiggles in the files they are in
+   *
+   * @param {Array<Object>} diagnostics - From the result (see BaseRuntime.createDiagnostic())
+   * @param {Object} target - What ran
+   * @param {string|number} target.id - Tab or file ID of the code that ran
+   * @param {string} target.name - Name shown for it
+   * @param {string|null} target.folder - Repository whose files were mounted, or null
+   */
+  async showProblems(diagnostics, { id, name, folder }) {
+    const problems = [];
+    let files = null;
+
+    for (const diagnostic of diagnostics || []) {
+      if (diagnostic.path == null) {
+        problems.push({ ...diagnostic, fileId: id, fileName: name });
+        continue;
+      }
+
+      try {
+        files ??= await this.fileManager.getAllFiles();
+      } catch (error) {
+        files = [];
+      }
+      const file = this.findWorkspaceFile(files, folder, diagnostic.path);
+      problems.push({ ...diagnostic, fileId: file ? file.id : null, fileName: diagnostic.path });
+    }
+
+    this.problemsPanel.setProblems(problems);
+    this.showProblemMarkers();
+  }
+
+  /**
+   * Remove the problems of the last run
+   */
+  clearProblems() {
+    this.problemsPanel.clear();
+    this.showProblemMarkers();
+  }
+
+  /**
+   * Mark the listed problems in every open file they are in
+   *
+   * @private
+   */
+  showProblemMarkers() {
+    const byFile = new Map();
+    for (const problem of this.problemsPanel.getProblems()) {
+      if (problem.fileId === null) continue;
+      if (!byFile.has(problem.fileId)) byFile.set(problem.fileId, []);
+      byFile.get(problem.fileId).push(problem);
+    }
+
+    for (const group of this.editorGroups.groups) {
+      group.editor.clearDiagnostics();
+      for (const [fileId, problems] of byFile) {
+        group.editor.setDiagnostics(fileId, problems);
+      }
+    }
+  }
+
+  /**
+   * Open the file a problem is in and move the cursor to it
+   *
+   * @param {Object} problem - Problem from the Problems list
+   */
+  async revealProblem(problem) {
+    const open = problem.fileId !== null ? this.findTab(problem.fileId) : null;
+
+    if (open) {
+      this.activateGroup(open.group);
+      this.tabBar.setActiveTab(problem.fileId);
+      this.handleTabSwitch(problem.fileId, open.tab.file);
+    } else {
+      const file = typeof problem.fileId === 'number' ? await this.fileManager.loadFile(problem.fileId) : null;
+      if (!file) {
+        this.toast.warning(`${problem.fileName} is not open`);
+        return;
+      }
+      this.handleFileOpen(file);
+    }
+
+    this.editor.revealPosition({ lineNumber: problem.line, column: problem.column });
+  }
+
+  /**
+   * Pin a file as the entry point Run uses for its project
+   *
+   * @param {Object} file - Saved file record
+   */
+  handleSetEntryPoint(file) {
+    this.entryPoints[file.gitRepo || ''] = file.id;
+    localStorage.setItem('drlee-ide-entry-points', JSON.stringify(this.entryPoints));
+    this.toast.success(`Entry point set to "${file.name}"`);
+  }
+
+  /**
+   * Handle a running program asking for a line of input
+   *
+   * @param {string} prompt - Prompt text from the program
+   * @param {Object} options - Options from the runtime
+   * @param {boolean} options.sync - Whether the answer is needed synchronously
+   * @returns {string|null|Promise<string|null>} The entered line, or null at end of input
+   */
+  handleProgramInput(prompt, { sync }) {
+    if (sync) {
+      return this.outputPanel.requestInputSync(prompt);
+    }
+
+    this.setStatus('Waiting for input...');
+    return this.outputPanel.requestInput(prompt).finally(() => {
+      if (this.isExecuting) {
+        this.setStatus('Executing...');
       }
     });
   }
 
   /**
-   * Handle Run Code button/shortcut
+   * Handle Stop button - interrupt the running program
    */
-  async handleRunCode() {
-    if (this.isExecuting) {
-      console.log('Code is already executing...');
-      return;
-    }
-
-    try {
-      this.isExecuting = true;
-
-      // Get code from editor
-      const code = this.editor.getValue();
-
-      if (!code.trim()) {
-        this.outputPanel.addLine('No code to execute', 'info');
-        return;
-      }
-
-      // Clear previous output
-      this.outputPanel.clear();
+  handleStopCode() {
+    if (!this.isExecuting) return;
 
-      // Update status
-      this.setStatus('Executing...');
+    const stopped = this.runtimeManager.interrupt();
+    this.outputPanel.cancelInput();
+    this.setStatus('Stopping...');
 
-      // Add separator
-      this.outputPanel.addLine('='.repeat(50), 'info');
-      this.outputPanel.addLine(`Executing ${this.currentLanguage}...`, 'info');
-      this.outputPanel.addLine('='.repeat(50), 'info');
+    if (!stopped) {
+      this.toast.warning(`${this.currentLanguage} cannot be interrupted; it may keep running in the background`);
+    }
+  }
 
-      // Execute code
-      const result = await this.runtimeManager.executeCode(code);
+  /**
+   * Show the Stop button (and hide Run) while code is executing
+   *
+   * @param {boolean} visible - Whether execution is in progress
+   */
+  setStopButtonVisible(visible) {
+    const runBtn = document.getElementById('run-btn');
+    const stopBtn = document.getElementById('stop-btn');
 
-      // Display results
-      if (result.success) {
-        this.outputPanel.addLine('', 'stdout');
-        this.outputPanel.addLine('✓ Execution completed successfully', 'success');
-      } else {
-        this.outputPanel.addLine('', 'stdout');
-        this.outputPanel.addError(`✗ Execution failed:\n${result.error?.message || 'Unknown error'}`);
-      }
+    if (runBtn) runBtn.style.display = visible ? 'none' : '';
+    if (stopBtn) stopBtn.style.display = visible ? 'inline-flex' : 'none';
+  }
 
-      // Display metadata
-      const memoryUsage = performance.memory
-        ? performance.memory.usedJSHeapSize / 1024 / 1024
-        : undefined;
+  /**
+   * Handle stdin toggle - show or hide the pre-supplied input box
+   */
+  handleStdinToggle() {
+    const stdinPanel = document.getElementById('stdin-panel');
+    const stdinToggleBtn = document.getElementById('stdin-toggle');
+    if (!stdinPanel) return;
+
+    const visible = stdinPanel.style.display === 'none';
+    stdinPanel.style.display = visible ? '' : 'none';
+    stdinToggleBtn?.classList.toggle('active', visible);
+    this.scheduleSessionSave();
+
+    if (visible) {
+      document.getElementById('stdin-input')?.focus();
+    }
+  }
 
-      this.outputPanel.addMetadata({
-        executionTime: result.executionTime,
-        memoryUsage,
-      });
+  /**
+   * Get the pre-supplied program input
+   * The box is ignored while hidden, so the program asks interactively.
+   *
+   * @returns {string}
+   */
+  getStdinText() {
+    const stdinPanel = document.getElementById('stdin-panel');
+    const stdinInput = document.getElementById('stdin-input');
 
-      // Update status
-      this.setStatus('Ready');
-    } catch (error) {
-      console.error('Execution error:', error);
-      this.outputPanel.addError(`Error: ${error.message}`);
-      this.setStatus('Error');
-    } finally {
-      this.isExecuting = false;
+    if (!stdinPanel || !stdinInput || stdinPanel.style.display === 'none') {
+      return '';
     }
+
+    return stdinInput.value;
   }
 
   /**
@@ -655,6 +1852,10 @@ class DrLeeIDE {
    */
   async handleSave() {
     try {
+      if (this.settingsPanel.getSettings().files?.formatOnSave === true) {
+        await this.editor.formatDocument();
+      }
+
       const code = this.editor.getValue();
 
       // Prompt for file name if this is a new file OR if it's still "Untitled"
@@ -672,20 +1873,27 @@ class DrLeeIDE {
         }
       }
 
-      // Save file
+      // Save file (keeping the repository a cloned file belongs to, and the
+      // version it replaces in the file's history)
       const fileId = await this.fileManager.saveFile({
         id: this.currentFile?.id,
         name: fileName,
         content: code,
         language: this.currentLanguage,
         created: this.currentFile?.created,
-      });
+        projectId: this.currentFile?.projectId,
+        gitRepo: this.currentFile?.gitRepo,
+        gitUrl: this.currentFile?.gitUrl,
+      }, { revision: 'save' });
 
       // Update current file reference
       this.currentFile = {
         id: fileId,
         name: fileName,
         language: this.currentLanguage,
+        projectId: this.currentFile?.projectId,
+        gitRepo: this.currentFile?.gitRepo,
+        gitUrl: this.currentFile?.gitUrl,
       };
 
       // Clear unsaved indicator
@@ -700,6 +1908,8 @@ class DrLeeIDE {
 
       this.setStatus(`Saved: ${fileName}`);
       setTimeout(() => this.setStatus('Ready'), 2000);
+      this.scheduleSessionSave();
+      this.pythonIntelliSense?.invalidateWorkspace();
 
       // Refresh file explorer
       if (this.fileExplorer) {
@@ -722,24 +1932,7 @@ class DrLeeIDE {
       const fileName = this.currentFile?.name || `untitled.${this.getFileExtension(this.currentLanguage)}`;
 
       // Create a Blob from the code
-      const blob = new Blob([code], { type: 'text/plain;charset=utf-8' });
-
-      // Create a temporary download link
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = fileName;
-      a.style.display = 'none';
-
-      // Trigger download
-      document.body.appendChild(a);
-      a.click();
-
-      // Cleanup
-      setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-      }, 100);
+      this.downloadFile(new Blob([code], { type: 'text/plain;charset=utf-8' }), fileName);
 
       this.toast.success(`Downloaded "${fileName}"`);
       console.log(`File downloaded: ${fileName}`);
@@ -749,11 +1942,36 @@ class DrLeeIDE {
     }
   }
 
+  /**
+   * Save a Blob to the user's downloads
+   *
+   * @param {Blob} blob - File content
+   * @param {string} fileName - Name to save it as
+   */
+  downloadFile(blob, fileName) {
+    // Create a temporary download link
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.style.display = 'none';
+
+    // Trigger download
+    document.body.appendChild(a);
+    a.click();
+
+    // Cleanup
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 100);
+  }
+
   /**
    * Handle preview toggle
    */
   handlePreviewToggle() {
-    const editorContainer = document.getElementById('editor-container');
+    const editorContainer = document.getElementById('editor-groups');
     const previewContainer = document.getElementById('preview-container');
     const previewToggleBtn = document.getElementById('preview-toggle');
 
@@ -761,7 +1979,7 @@ class DrLeeIDE {
 
     if (this.isPreviewMode) {
       // Switch to editor mode
-      editorContainer.style.display = 'block';
+      editorContainer.style.display = '';
       previewContainer.style.display = 'none';
       this.isPreviewMode = false;
       previewToggleBtn.classList.remove('active');
@@ -793,6 +2011,8 @@ class DrLeeIDE {
       previewToggleBtn.classList.add('active');
       previewToggleBtn.innerHTML = '<span class="btn-icon">✏️</span> Edit';
     }
+
+    this.scheduleSessionSave();
   }
 
   /**
@@ -853,15 +2073,23 @@ class DrLeeIDE {
       const code = this.editor.getValue();
 
       this.outputPanel.clear();
+      this.clearProblems();
       this.outputPanel.addLine('==================================================', 'info');
       this.outputPanel.addLine(`Validating ${this.currentLanguage.toUpperCase()}...`, 'info');
       this.outputPanel.addLine('==================================================', 'info');
 
       // Execute the runtime (which does validation for these languages)
       const startTime = performance.now();
-      const result = await this.runtimeManager.execute(code);
+      const result = await this.runtimeManager.executeCode(code);
       const endTime = performance.now();
 
+      const tabId = this.tabBar.getActiveTabId();
+      await this.showProblems(result.diagnostics, {
+        id: tabId,
+        name: this.tabBar.getTab(tabId)?.file.name || 'Untitled',
+        folder: null,
+      });
+
       // Display results
       if (result.success) {
         this.outputPanel.addLine(result.output, 'success');
@@ -888,14 +2116,20 @@ class DrLeeIDE {
    * Handle opening file from File Explorer
    */
   handleFileOpen(file) {
-    // Check if file is already open in a tab
-    for (const [tabId, fileData] of this.openFiles.entries()) {
-      const tab = this.tabBar.tabs.get(tabId);
-      if (tab && tab.file && tab.file.name === file.name && tab.file.id === file.id) {
-        // File already open, just switch to its tab
-        this.tabBar.setActiveTab(tabId);
-        return;
-      }
+    // Images, databases and other binary files have no text to edit
+    if (file.binary) {
+      this.toast.warning(`"${file.name}" is a binary file and cannot be opened in the editor`);
+      return;
+    }
+
+    // Check if file is already open in a tab, in any editor group
+    const open = this.findTab(file.id);
+    if (open && open.tab.file.name === file.name) {
+      // File already open, just switch to its group and tab
+      this.activateGroup(open.group);
+      this.tabBar.setActiveTab(file.id);
+      this.handleTabSwitch(file.id, open.tab.file);
+      return;
     }
 
     // Create new tab for the file - pass complete file object
@@ -913,19 +2147,23 @@ class DrLeeIDE {
       language: file.language,
     });
 
-    // Update editor
-    this.editor.setValue(file.content);
-    this.editor.setLanguage(file.language);
+    // Show the file's own model, with the problems of the last run
+    this.editor.openModel(file.id, file.content, file.language);
+    this.showProblemMarkers();
     this.currentLanguage = file.language;
 
     // Update current file reference
     this.currentFile = file;
+    this.updateAIContext(file.content);
 
     this.hasUnsavedChanges = false;
     this.setStatus(`Opened ${file.name}`);
+    this.scheduleGutterUpdate();
+    this.scheduleSessionSave();
 
     // Update preview button visibility
     this.updatePreviewVisibility();
+    this.refreshDatabaseSchema();
   }
 
   /**
@@ -933,31 +2171,239 @@ class DrLeeIDE {
    */
   handleFileDeleted(fileId) {
     // Close tab if file was open
-    for (const [tabId, fileData] of this.openFiles.entries()) {
-      const tab = this.tabBar.tabs.get(tabId);
-      if (tab && tab.file.id === fileId) {
-        this.tabBar.closeTab(tabId);
-        break;
-      }
+    const open = this.findTab(fileId);
+    if (open) {
+      open.group.tabBar.closeTab(fileId);
+    }
+
+    // Forget the schema attached to it
+    if (this.schemaCatalog.getAssociation(fileId)) {
+      this.schemaCatalog.setAssociation(fileId, null);
     }
   }
 
   /**
-   * Handle file renamed from File Explorer
+   * Handle file renamed or moved from File Explorer
+   *
+   * @param {number} fileId - File ID
+   * @param {string} newName - New path of the file
+   * @param {Object} file - The saved file, whose project may have changed
    */
-  handleFileRenamed(fileId, newName) {
+  handleFileRenamed(fileId, newName, file = null) {
     // Update tab name if file is open
-    for (const [tabId, fileData] of this.openFiles.entries()) {
-      const tab = this.tabBar.tabs.get(tabId);
-      if (tab && tab.file.id === fileId) {
-        this.tabBar.updateTab(tabId, { name: newName });
+    const open = this.findTab(fileId);
+    if (open) {
+      open.group.tabBar.updateTab(fileId, { name: newName });
+
+      // Update current file if it's the active one
+      if (this.currentFile && this.currentFile.id === fileId) {
+        this.currentFile.name = newName;
+        if (file) {
+          this.currentFile.projectId = file.projectId;
+          this.currentFile.gitRepo = file.gitRepo;
+          this.currentFile.gitUrl = file.gitUrl;
+        }
+      }
+    }
 
-        // Update current file if it's the active one
-        if (this.currentFile && this.currentFile.id === fileId) {
-          this.currentFile.name = newName;
+    // The new name may match another schema
+    this.liveValidation?.refresh();
+  }
+
+  /**
+   * Show the version history of a file, compared with its open buffer
+   */
+  handleShowHistory(file) {
+    if (file.binary) {
+      this.toast.warning(`"${file.name}" is a binary file and has no version history`);
+      return;
+    }
+
+    this.historyDialog.open(file, this.getBufferContent(file.id) ?? file.content);
+  }
+
+  /**
+   * Choose the JSON Schema a JSON or YAML file is checked against: a bundled
+   * schema, a saved .json file, or the one matched by its name
+   *
+   * @param {Object} file - The saved file
+   */
+  async handleAttachSchema(file) {
+    const automatic = 'Match by file name';
+    const bundled = this.schemaCatalog.getBundledSchemas();
+    const schemaFiles = (await this.fileManager.getAllFiles())
+      .filter(entry => entry.id !== file.id && !entry.binary && entry.name.endsWith('.json'));
+
+    const current = this.schemaCatalog.getAssociation(file.id);
+    const currentName = bundled.find(entry => entry.id === current)?.name
+      || schemaFiles.find(entry => SchemaCatalog.fileRef(entry.id) === current)?.name
+      || automatic;
+
+    const answer = await this.toast.prompt(`JSON Schema for "${file.name}": a bundled schema or a saved .json file`, {
+      defaultValue: currentName,
+      choices: [automatic, ...bundled.map(entry => entry.name), ...schemaFiles.map(entry => entry.name)],
+    });
+    if (answer === null) return;
+
+    const name = answer.trim();
+    const schemaFile = schemaFiles.find(entry => entry.name === name);
+    const bundledSchema = bundled.find(entry => entry.name === name);
+    if (name && name !== automatic && !schemaFile && !bundledSchema) {
+      this.toast.error(`No schema named "${name}"`);
+      return;
+    }
+
+    const ref = schemaFile ? SchemaCatalog.fileRef(schemaFile.id) : bundledSchema?.id || null;
+    this.schemaCatalog.setAssociation(file.id, ref);
+    this.liveValidation?.refresh();
+    this.toast.success(ref ? `"${file.name}" is checked against ${name}` : `"${file.name}" uses the schema matching its name`);
+  }
+
+  /**
+   * Text of a file's open tab, including unsaved edits
+   *
+   * @param {number} fileId - File ID
+   * @returns {string|undefined} Undefined when the file is not open
+   */
+  getBufferContent(fileId) {
+    if (this.tabBar.getActiveTabId() === fileId) {
+      return this.editor.getValue();
+    }
+    return this.openFiles.get(fileId)?.content;
+  }
+
+  /**
+   * Restore a revision from the History dialog
+   * Unsaved edits are saved first, so they stay in the history too.
+   *
+   * @param {Object} revision - Revision to restore
+   * @returns {Promise<boolean>} Whether the revision was restored
+   */
+  async handleRestoreRevision(revision) {
+    try {
+      const buffer = this.getBufferContent(revision.fileId);
+      const saved = await this.fileManager.loadFile(revision.fileId);
+      if (saved && buffer !== undefined && buffer !== saved.content) {
+        await this.fileManager.saveFile({ ...saved, content: buffer }, { revision: 'save' });
+      }
+
+      const file = await this.fileManager.restoreRevision(revision.id);
+
+      // Show the restored text in the file's tab
+      const fileData = this.openFiles.get(file.id);
+      const open = this.findTab(file.id);
+      if (fileData && open) {
+        fileData.content = file.content;
+        open.group.editor.updateModel(file.id, file.content);
+        if (this.tabBar.getActiveTabId() === file.id) {
+          this.hasUnsavedChanges = false;
         }
-        break;
+        open.group.tabBar.updateTab(file.id, { unsaved: false });
+      }
+
+      await this.fileExplorer.refresh();
+      this.toast.success(`Restored "${file.name}" to the version from ${new Date(revision.modified).toLocaleString()}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to restore revision:', error);
+      this.toast.error(`Failed to restore version: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Save the active file's unsaved edits, so Git sees them
+   */
+  async saveActiveFile() {
+    if (this.hasUnsavedChanges && this.currentFile?.id) {
+      await this.handleSave();
+    }
+  }
+
+  /**
+   * Update open tabs after a checkout or pull changed saved files
+   *
+   * @param {{updated: number[], deleted: number[]}} changes - IDs of the changed files
+   */
+  async handleGitFilesChanged({ updated = [], deleted = [] }) {
+    deleted.forEach(fileId => this.handleFileDeleted(fileId));
+
+    for (const fileId of updated) {
+      const fileData = this.openFiles.get(fileId);
+      const open = this.findTab(fileId);
+      const file = fileData && open && await this.fileManager.loadFile(fileId);
+      if (!file || typeof file.content !== 'string') continue;
+
+      fileData.content = file.content;
+      open.group.editor.updateModel(fileId, file.content);
+      if (this.tabBar.getActiveTabId() === fileId) {
+        this.hasUnsavedChanges = false;
+      }
+      open.group.tabBar.updateTab(fileId, { unsaved: false });
+    }
+
+    await this.fileExplorer.refresh();
+    this.scheduleGutterUpdate();
+  }
+
+  /**
+   * Keep the sidebar and gutter current after the Git panel staged,
+   * committed or switched branches
+   */
+  async handleGitStatusChanged() {
+    if (this.sourceControlPanel.isVisible) {
+      await this.sourceControlPanel.refresh();
+    }
+    this.scheduleGutterUpdate();
+  }
+
+  /**
+   * Find the cloned repository a saved file belongs to
+   *
+   * @param {number|string} fileId - File ID (unsaved tabs have string IDs)
+   * @returns {Promise<{repository: string, file: object}|null>} null if the
+   *   file is not in a cloned repository
+   */
+  async getFileRepository(fileId) {
+    if (typeof fileId !== 'number') return null;
+
+    const file = await this.fileManager.loadFile(fileId);
+    if (!file || !file.gitRepo || !this.gitManager.getRepositoryInfo(file.gitRepo)) {
+      return null;
+    }
+    return { repository: file.gitRepo, file };
+  }
+
+  /**
+   * Update the Git gutter markers shortly after the buffer changes
+   */
+  scheduleGutterUpdate() {
+    clearTimeout(this.gutterTimer);
+    this.gutterTimer = setTimeout(() => this.updateGutterMarkers(), 300);
+  }
+
+  /**
+   * Mark the lines of the buffer that differ from the file in HEAD
+   */
+  async updateGutterMarkers() {
+    const fileId = this.currentFile?.id;
+
+    try {
+      const source = await this.getFileRepository(fileId);
+      const head = source ? await this.gitManager.readHeadFile(source.repository, source.file.name) : undefined;
+      if (this.currentFile?.id !== fileId) return; // Another tab was opened meanwhile
+
+      // Files not in a repository, and binary files, have no markers
+      if (!source || (head !== null && typeof head !== 'string')) {
+        this.editor.clearGutterMarkers();
+        return;
       }
+
+      // A file that is not in HEAD is all added lines
+      this.editor.setGutterMarkers(LineDiff.markers(LineDiff.diff(head ?? '', this.editor.getValue())));
+    } catch (error) {
+      console.warn('Failed to compare the file with HEAD:', error);
+      this.editor.clearGutterMarkers();
     }
   }
 
@@ -968,8 +2414,8 @@ class DrLeeIDE {
     // First, open the file in a tab if not already open
     await this.handleFileOpen(file);
 
-    // Then run the code
-    await this.handleRunCode();
+    // Then run it, even if another file is the project's entry point
+    await this.handleRunCode(file);
   }
 
   /**
@@ -1022,24 +2468,54 @@ class DrLeeIDE {
     }
   }
 
+  /**
+   * Monaco options for the editor settings
+   *
+   * @param {Object} editorSettings - The editor section of the settings
+   * @returns {Object} Monaco editor options
+   */
+  getEditorOptions(editorSettings) {
+    return {
+      fontSize: editorSettings.fontSize,
+      fontFamily: editorSettings.fontFamily,
+      tabSize: editorSettings.tabSize,
+      lineNumbers: editorSettings.lineNumbers ? 'on' : 'off',
+      minimap: { enabled: editorSettings.minimap },
+      wordWrap: editorSettings.wordWrap,
+      cursorStyle: editorSettings.cursorStyle,
+      renderWhitespace: editorSettings.renderWhitespace,
+    };
+  }
+
   /**
    * Apply settings from settings panel
    */
   applySettings(settings) {
     console.log('Applying settings:', settings);
 
-    // Apply editor settings
-    if (settings.editor && this.editor) {
-      this.editor.updateOptions({
-        fontSize: settings.editor.fontSize,
-        fontFamily: settings.editor.fontFamily,
-        tabSize: settings.editor.tabSize,
-        lineNumbers: settings.editor.lineNumbers ? 'on' : 'off',
-        minimap: { enabled: settings.editor.minimap },
-        wordWrap: settings.editor.wordWrap,
-        cursorStyle: settings.editor.cursorStyle,
-        renderWhitespace: settings.editor.renderWhitespace,
-      });
+    // Apply editor settings to every editor group, and to groups split later
+    if (settings.editor && this.editorGroups) {
+      const options = this.getEditorOptions(settings.editor);
+      this.editorGroups.editorOptions = { ...this.editorGroups.editorOptions, ...options };
+      this.editorGroups.groups.forEach(group => group.editor.updateOptions(options));
+    }
+
+    // Turn Python IntelliSense on or off
+    if (settings.editor && this.pythonIntelliSense) {
+      if (settings.editor.pythonIntelliSense === false) {
+        this.pythonIntelliSense.disable();
+      } else {
+        this.pythonIntelliSense.enable();
+      }
+    }
+
+    // Turn validation as you type on or off
+    if (settings.editor && this.liveValidation) {
+      if (settings.editor.liveValidation === false) {
+        this.liveValidation.disable();
+      } else {
+        this.liveValidation.enable();
+      }
     }
 
     // Apply theme setting
@@ -1049,6 +2525,16 @@ class DrLeeIDE {
       }
     }
 
+    // Apply execution timeout
+    if (settings.runtime && settings.runtime.timeout && this.runtimeManager) {
+      this.runtimeManager.setExecutionTimeout(settings.runtime.timeout);
+    }
+
+    // Apply the Git CORS proxy
+    if (settings.git && this.gitManager) {
+      this.gitManager.setCorsProxy(settings.git.corsProxy);
+    }
+
     // Apply auto-save interval
     if (settings.ui && settings.ui.autoSaveInterval) {
       this.autoSaveDelay = settings.ui.autoSaveInterval;
@@ -1058,6 +2544,7 @@ class DrLeeIDE {
     if (settings.files && settings.files.defaultLanguage) {
       // Could set as default for new files
     }
+    this.scheduleSessionSave(); // Open tabs are kept only with files.rememberOpenFiles
 
     this.toast.show('Settings saved successfully', 'success');
     this.setStatus('Settings applied');
@@ -1122,9 +2609,14 @@ class DrLeeIDE {
         }
       }
 
-      // Update tab language
+      // Update tab language, kept for tab switches and the next visit
       if (activeTabId) {
         this.tabBar.updateTab(activeTabId, { language: language });
+        const fileData = this.openFiles.get(activeTabId);
+        if (fileData) {
+          fileData.language = language;
+        }
+        this.scheduleSessionSave();
       }
 
       // Update status
@@ -1133,6 +2625,7 @@ class DrLeeIDE {
       // Update preview/validator button visibility based on new language
       this.updatePreviewVisibility();
       this.updateValidatorVisibility();
+      this.refreshDatabaseSchema();
 
       // Update AI context
       if (this.aiContextManager) {
@@ -1180,10 +2673,11 @@ class DrLeeIDE {
       language: this.currentLanguage,
     };
 
-    // Reset editor
-    this.editor.setValue(fileData.content);
-    this.editor.setLanguage(this.currentLanguage);
+    // Show the new tab's model
+    this.editor.openModel(tabId, fileData.content, this.currentLanguage);
     this.hasUnsavedChanges = false;
+    this.updateAIContext(fileData.content);
+    this.scheduleSessionSave();
 
     // Update preview/validator button visibility
     this.updatePreviewVisibility();
@@ -1207,24 +2701,27 @@ class DrLeeIDE {
       }
     }
 
-    // Load new file content
+    // Show the tab's model with its undo history, cursor and scroll position
     const fileData = this.openFiles.get(tabId);
     if (fileData) {
-      this.editor.setValue(fileData.content);
-      this.editor.setLanguage(fileData.language);
+      this.editor.openModel(tabId, fileData.content, fileData.language);
       this.currentLanguage = fileData.language;
       this.currentFile = {
         id: tabId,
         name: file.name,
         language: fileData.language,
       };
+      this.updateAIContext(this.editor.getValue());
     }
 
     this.hasUnsavedChanges = file.unsaved || false;
+    this.scheduleGutterUpdate();
+    this.scheduleSessionSave();
 
     // Update preview/validator button visibility
     this.updatePreviewVisibility();
     this.updateValidatorVisibility();
+    this.refreshDatabaseSchema();
   }
 
   /**
@@ -1232,9 +2729,10 @@ class DrLeeIDE {
    *
    * @param {string|number} tabId - Tab ID
    * @param {object} file - File object
+   * @param {Object} group - Editor group of the tab
    * @returns {boolean|Promise<boolean>} True to allow close, false to cancel
    */
-  async handleTabClose(tabId, file) {
+  async handleTabClose(tabId, file, group) {
     // Check for unsaved changes
     if (file.unsaved) {
       const confirmed = await this.toast.confirm(`'${file.name}' has unsaved changes. Close anyway?`, {
@@ -1247,8 +2745,10 @@ class DrLeeIDE {
       }
     }
 
-    // Remove from open files
+    // Remove from open files and free the tab's model
     this.openFiles.delete(tabId);
+    group.editor.closeModel(tabId);
+    this.scheduleSessionSave();
 
     return true; // Allow close
   }
@@ -1270,6 +2770,7 @@ class DrLeeIDE {
 
       // Update tab display
       this.tabBar.updateTab(tabId, { name: newName });
+      this.scheduleSessionSave();
 
       // Update current file reference if this is the active tab
       if (tabId === this.tabBar.getActiveTabId()) {
@@ -1286,7 +2787,10 @@ class DrLeeIDE {
 
       // If file is saved (has an ID), update it in IndexedDB
       if (file.id && typeof file.id === 'number') {
+        // Keep the project and other fields of the saved record
+        const saved = await this.fileManager.loadFile(file.id);
         await this.fileManager.saveFile({
+          ...saved,
           id: file.id,
           name: newName,
           content: fileData?.content || this.editor.getValue(),
@@ -1330,7 +2834,20 @@ class DrLeeIDE {
       }
     }
 
-    // Update AI context
+    this.updateAIContext(code);
+
+    // Trigger auto-save (debounced)
+    this.scheduleAutoSave();
+    this.scheduleGutterUpdate();
+    this.scheduleSessionSave();
+  }
+
+  /**
+   * Tell the AI assistant about the code in the editor
+   *
+   * @param {string} code - Editor content
+   */
+  updateAIContext(code) {
     if (this.aiContextManager) {
       this.aiContextManager.setCurrentCode(code);
       this.aiContextManager.setCurrentLanguage(this.currentLanguage);
@@ -1338,9 +2855,6 @@ class DrLeeIDE {
         this.aiContextManager.setCurrentFile(this.currentFile);
       }
     }
-
-    // Trigger auto-save (debounced)
-    this.scheduleAutoSave();
   }
 
   /**
@@ -1376,14 +2890,17 @@ class DrLeeIDE {
 
       const code = this.editor.getValue();
 
-      // Save file silently
+      // Save file silently (history keeps at most one autosaved version a minute)
       const fileId = await this.fileManager.saveFile({
         id: this.currentFile?.id,
         name: this.currentFile?.name,
         content: code,
         language: this.currentLanguage,
         created: this.currentFile?.created,
-      });
+        projectId: this.currentFile?.projectId,
+        gitRepo: this.currentFile?.gitRepo,
+        gitUrl: this.currentFile?.gitUrl,
+      }, { revision: 'autosave' });
 
       // Update current file reference
       if (fileId) {
@@ -1397,6 +2914,8 @@ class DrLeeIDE {
         this.tabBar.updateTab(activeTabId, { unsaved: false });
       }
 
+      this.scheduleSessionSave();
+
       // Show brief auto-save indicator
       this.setStatus('Auto-saved');
       setTimeout(() => this.setStatus('Ready'), 1000);
@@ -1504,12 +3023,114 @@ class DrLeeIDE {
     }
   }
 
+  /**
+   * Create Source Control button in toolbar
+   */
+  createSourceControlButton() {
+    const toolbar = document.querySelector('.toolbar-right');
+    if (!toolbar) {
+      console.warn('Toolbar not found, cannot add Source Control button');
+      return;
+    }
+
+    const scmBtn = document.createElement('button');
+    scmBtn.id = 'source-control-btn';
+    scmBtn.className = 'toolbar-btn';
+    scmBtn.title = 'Source Control (Ctrl+Shift+G)';
+    scmBtn.innerHTML = `
+      <span class="btn-icon">🌿</span>
+      <span class="btn-text">Source Control</span>
+    `;
+
+    // Show the repository of the active file
+    const toggle = async () => {
+      const source = await this.getFileRepository(this.currentFile?.id).catch(() => null);
+      await this.sourceControlPanel.toggle(source?.repository);
+    };
+
+    scmBtn.addEventListener('click', toggle);
+
+    // Add keyboard shortcut (Ctrl+Shift+G)
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'g') {
+        e.preventDefault();
+        toggle();
+      }
+    });
+
+    const gitCloneBtn = toolbar.querySelector('#git-clone-btn');
+    toolbar.insertBefore(scmBtn, gitCloneBtn ? gitCloneBtn.nextSibling : null);
+  }
+
+  /**
+   * Create Database button in toolbar
+   */
+  createDatabaseButton() {
+    const toolbar = document.querySelector('.toolbar-right');
+    if (!toolbar) {
+      console.warn('Toolbar not found, cannot add Database button');
+      return;
+    }
+
+    const dbBtn = document.createElement('button');
+    dbBtn.id = 'database-explorer-btn';
+    dbBtn.className = 'toolbar-btn';
+    dbBtn.title = 'Database explorer (Ctrl+Shift+D)';
+    dbBtn.innerHTML = `
+      <span class="btn-icon">🗄️</span>
+      <span class="btn-text">Database</span>
+    `;
+
+    dbBtn.addEventListener('click', () => this.databaseExplorer.toggle());
+
+    // Add keyboard shortcut (Ctrl+Shift+D)
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'd') {
+        e.preventDefault();
+        this.databaseExplorer.toggle();
+      }
+    });
+
+    const scmBtn = toolbar.querySelector('#source-control-btn');
+    toolbar.insertBefore(dbBtn, scmBtn ? scmBtn.nextSibling : null);
+  }
+
   /**
    * Dispose application
    */
   async dispose() {
-    if (this.editor) {
-      this.editor.dispose();
+    this.saveSession();
+
+    if (this.pythonIntelliSense) {
+      this.pythonIntelliSense.dispose();
+    }
+
+    if (this.liveValidation) {
+      this.liveValidation.dispose();
+    }
+
+    if (this.documentFormatting) {
+      this.documentFormatting.dispose();
+    }
+
+    if (this.sqlCompletion) {
+      this.sqlCompletion.dispose();
+    }
+
+    if (this.databaseExplorer) {
+      this.databaseExplorer.dispose();
+    }
+
+    if (this.dataImportDialog) {
+      this.dataImportDialog.dispose();
+    }
+
+    if (this.pythonLanguageService) {
+      this.pythonLanguageService.dispose();
+    }
+
+    if (this.editorGroups) {
+      this.editorGroups.dispose();
     }
 
     if (this.runtimeManager) {
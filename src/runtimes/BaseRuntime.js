@@ -1,3 +1,14 @@
+import WorkspaceFS from './WorkspaceFS.js';
+
+// MIME types of rich outputs (see BaseRuntime.display)
+const DISPLAY_TYPES = [
+  'image/png',
+  'image/svg+xml',
+  'text/html',
+  'application/vnd.table+json',
+  'application/vnd.drlee.sql-results+json',
+];
+
 /**
  * BaseRuntime - Abstract base class for all language runtimes
  *
@@ -23,6 +34,12 @@ export default class BaseRuntime {
     this.runtime = null;
     this.outputCallbacks = [];
     this.errorCallbacks = [];
+    this.inputCallback = null;
+    this.stdinLines = [];
+    this.stdoutBuffer = '';
+    this.fileManager = null;
+    this.filesChangedCallback = null;
+    this.workspaceFolder = null;
   }
 
   /**
@@ -40,15 +57,137 @@ export default class BaseRuntime {
    * Execute code in the runtime
    * Must be implemented by subclasses
    *
+   * Long-running runtimes should watch `options.signal` and stop as soon as
+   * it aborts (see throwIfAborted()). RuntimeManager also calls interrupt()
+   * when the signal aborts, so runtimes only need to implement one of the two.
+   *
+   * Runtimes that can tell where an error happened also return
+   * `diagnostics`, a list made with createDiagnostic(), which the editor
+   * shows as squiggles and in the Problems list.
+   *
    * @abstract
    * @param {string} code - Code to execute
    * @param {Object} options - Execution options
-   * @returns {Promise<{success: boolean, output: string, returnValue: any, error: Error|null, executionTime: number}>}
+   * @param {AbortSignal} options.signal - Aborts when the user stops the run or the timeout expires
+   * @returns {Promise<{success: boolean, output: string, returnValue: any, error: Error|null, executionTime: number, diagnostics?: Array<Object>}>}
    */
   async execute(code, options = {}) {
     throw new Error(`${this.name}: execute() must be implemented by subclass`);
   }
 
+  /**
+   * Interrupt the code that is currently executing
+   * Subclasses that can stop a running program override this; the default
+   * does nothing, so the run keeps going until it finishes on its own.
+   *
+   * @param {Error} reason - Why execution is being stopped (AbortError or TimeoutError)
+   */
+  interrupt(reason) {
+    // No-op by default
+  }
+
+  /**
+   * Check whether this runtime can stop a running program
+   *
+   * @returns {boolean}
+   */
+  canInterrupt() {
+    return this.interrupt !== BaseRuntime.prototype.interrupt;
+  }
+
+  /**
+   * Throw the abort reason if the signal has been aborted
+   *
+   * @protected
+   * @param {AbortSignal} signal - Signal passed to execute()
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw signal.reason instanceof Error
+        ? signal.reason
+        : BaseRuntime.createAbortError();
+    }
+  }
+
+  /**
+   * Create the error used when the user stops execution
+   *
+   * @param {string} message - Error message
+   * @returns {Error} Error named 'AbortError'
+   */
+  static createAbortError(message = 'Execution stopped by user') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Create the error used when execution exceeds the configured timeout
+   *
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Error} Error named 'TimeoutError'
+   */
+  static createTimeoutError(timeout) {
+    const error = new Error(`Execution timed out after ${timeout}ms`);
+    error.name = 'TimeoutError';
+    return error;
+  }
+
+  /**
+   * Check whether an error means execution was cancelled
+   *
+   * @param {Error} error - Error to check
+   * @returns {boolean}
+   */
+  static isCancellation(error) {
+    return !!error && (error.name === 'AbortError' || error.name === 'TimeoutError');
+  }
+
+  /**
+   * Create a diagnostic for the `diagnostics` list of execute()'s result
+   *
+   * Lines and columns are 1-based. Without an end, the editor underlines
+   * the word at the position.
+   *
+   * @param {string} message - What is wrong
+   * @param {Object} location - Where it is
+   * @param {number} location.line - Line
+   * @param {number} location.column - Column
+   * @param {number} location.endLine - Line the problem ends on
+   * @param {number} location.endColumn - Column after the problem
+   * @param {string} location.severity - 'error', 'warning' or 'info'
+   * @param {string|null} location.path - File below the mount point; null for the code passed to execute()
+   * @returns {{line: number, column: number, severity: string, message: string, path: (string|null)}}
+   */
+  static createDiagnostic(message, { line = 1, column = 1, endLine, endColumn, severity = 'error', path = null } = {}) {
+    const diagnostic = {
+      line: Math.max(1, line),
+      column: Math.max(1, column),
+      severity,
+      message,
+      path,
+    };
+
+    if (endColumn !== undefined) {
+      diagnostic.endLine = endLine ?? diagnostic.line;
+      diagnostic.endColumn = endColumn;
+    }
+
+    return diagnostic;
+  }
+
+  /**
+   * Line and column of an offset in a text
+   *
+   * @param {string} text - Text
+   * @param {number} offset - 0-based character offset
+   * @returns {{line: number, column: number}} 1-based position
+   */
+  static positionAt(text, offset) {
+    const before = text.slice(0, Math.max(0, offset)).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  }
+
   /**
    * Clean up runtime resources
    * Subclasses can override this for custom cleanup
@@ -60,12 +199,15 @@ export default class BaseRuntime {
     this.loaded = false;
     this.outputCallbacks = [];
     this.errorCallbacks = [];
+    this.inputCallback = null;
+    this.stdinLines = [];
+    this.filesChangedCallback = null;
   }
 
   /**
-   * Register callback for output (stdout)
+   * Register callback for output (stdout and rich outputs)
    *
-   * @param {Function} callback - Callback function(text, type)
+   * @param {Function} callback - Callback function(text, type, metadata); see display()
    */
   onOutput(callback) {
     if (typeof callback === 'function') {
@@ -84,27 +226,327 @@ export default class BaseRuntime {
     }
   }
 
+  /**
+   * Register the callback that asks the user for a line of input
+   *
+   * The callback receives the prompt text and `{ sync }`. When `sync` is true
+   * the runtime is blocked inside WASM and needs the line immediately, so
+   * the callback must return a string (or null for end of input); otherwise
+   * it may return a Promise.
+   *
+   * @param {Function} callback - Callback function(prompt, { sync })
+   */
+  onInput(callback) {
+    if (typeof callback === 'function') {
+      this.inputCallback = callback;
+    }
+  }
+
+  /**
+   * Give the runtime access to the user's saved files
+   * Runtimes with a file system of their own read and write through it.
+   *
+   * @param {FileManager|null} fileManager - IndexedDB file store
+   */
+  setFileManager(fileManager) {
+    this.fileManager = fileManager;
+  }
+
+  /**
+   * Choose which saved files are mounted for programs
+   *
+   * @param {string|null} folder - Folder or cloned repository name; null for all files
+   */
+  setWorkspaceFolder(folder) {
+    this.workspaceFolder = folder || null;
+  }
+
+  /**
+   * Mount the saved files into the runtime's file system before a run
+   * Failures are reported and the run goes ahead without the files.
+   *
+   * @protected
+   * @param {Object} adapter - File system adapter (see WorkspaceFS)
+   * @param {Object|null} project - Project being run (see getEntryPath())
+   * @returns {Promise<WorkspaceFS|null>} The mounted workspace, or null
+   */
+  async mountWorkspace(adapter, project = null) {
+    if (!this.fileManager) return null;
+
+    const workspace = new WorkspaceFS(this.fileManager, { folder: this.workspaceFolder });
+    try {
+      await workspace.mount(adapter, { sources: project?.sources });
+      return workspace;
+    } catch (error) {
+      this.logError(`Could not load saved files: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Absolute path of a project's entry point in the mounted workspace
+   *
+   * A project is passed to execute() as `options.project`:
+   *   entryPoint  - path of the file to run, relative to the mounted folder
+   *   sources     - Map of file id -> unsaved editor text, used instead of
+   *                 the saved content
+   * The code passed to execute() is the entry point's text. Without a
+   * mounted workspace, or when the entry point is not one of its files,
+   * the code runs on its own.
+   *
+   * @protected
+   * @param {WorkspaceFS|null} workspace - Workspace from mountWorkspace()
+   * @param {Object|null} project - Project being run
+   * @returns {string|null}
+   */
+  getEntryPath(workspace, project) {
+    if (!workspace || !project || !workspace.files.has(project.entryPoint)) return null;
+    return `${WorkspaceFS.MOUNT_POINT}/${project.entryPoint}`;
+  }
+
+  /**
+   * Read a project's files, for runtimes without a file system of their own
+   *
+   * @protected
+   * @param {Object|null} project - Project being run
+   * @returns {Promise<Map<string, string>|null>} Project path -> text, or null
+   *   without a project or when its entry point is not a saved file
+   */
+  async loadProjectFiles(project) {
+    if (!project) return null;
+
+    const workspace = await this.mountWorkspace(WorkspaceFS.memory(), project);
+    return this.getEntryPath(workspace, project) ? workspace.mounted : null;
+  }
+
+  /**
+   * Save what the program changed under the mount point after a run
+   *
+   * @protected
+   * @param {WorkspaceFS|null} workspace - Workspace from mountWorkspace()
+   * @param {Object} adapter - File system adapter
+   * @returns {Promise<void>}
+   */
+  async syncWorkspace(workspace, adapter) {
+    if (!workspace) return;
+
+    try {
+      if (await workspace.sync(adapter)) {
+        this.notifyFilesChanged();
+      }
+    } catch (error) {
+      this.logError(`Could not save files: ${error.message}`);
+    }
+  }
+
+  /**
+   * Register the callback run after the runtime changes saved files
+   *
+   * @param {Function} callback - Callback function()
+   */
+  onFilesChanged(callback) {
+    if (typeof callback === 'function') {
+      this.filesChangedCallback = callback;
+    }
+  }
+
+  /**
+   * Tell the IDE that saved files were created, changed or deleted
+   *
+   * @protected
+   */
+  notifyFilesChanged() {
+    if (this.filesChangedCallback) {
+      this.filesChangedCallback();
+    }
+  }
+
+  /**
+   * Set the text that stdin reads from before the user is asked
+   *
+   * @param {string} text - Pre-supplied program input, one line per read
+   */
+  setStdin(text = '') {
+    const lines = text ? text.split(/\r?\n/) : [];
+
+    // A trailing newline ends the last line; it does not start a new one
+    if (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    this.stdinLines = lines;
+  }
+
+  /**
+   * Read one line of program input (without the trailing newline)
+   *
+   * Lines come from the pre-supplied stdin first; once it is used up the
+   * user is asked through the input callback. Unterminated output written
+   * with writeStdout() (e.g. `Name: `) is shown as part of the prompt.
+   *
+   * @protected
+   * @param {string} prompt - Prompt text shown next to the input field
+   * @returns {Promise<string|null>} The line, or null at end of input
+   */
+  async readLine(prompt = '') {
+    prompt = this.takePendingStdout() + prompt;
+
+    if (this.stdinLines.length > 0) {
+      return this.takeStdinLine(prompt);
+    }
+
+    if (!this.inputCallback) {
+      return null;
+    }
+
+    const line = await this.inputCallback(prompt, { sync: false });
+    return typeof line === 'string' ? line : null;
+  }
+
+  /**
+   * Read one line of program input synchronously
+   * For runtimes whose stdin hook must return before WASM continues.
+   *
+   * @protected
+   * @param {string} prompt - Prompt text shown to the user
+   * @returns {string|null} The line, or null at end of input
+   */
+  readLineSync(prompt = '') {
+    prompt = this.takePendingStdout() + prompt;
+
+    if (this.stdinLines.length > 0) {
+      return this.takeStdinLine(prompt);
+    }
+
+    if (!this.inputCallback) {
+      return null;
+    }
+
+    const line = this.inputCallback(prompt, { sync: true });
+    return typeof line === 'string' ? line : null;
+  }
+
+  /**
+   * Take the next pre-supplied stdin line, echoing the prompt like a terminal
+   * with piped input would
+   *
+   * @private
+   * @param {string} prompt - Prompt text
+   * @returns {string}
+   */
+  takeStdinLine(prompt) {
+    if (prompt) {
+      this.log(prompt, 'stdout');
+    }
+    return this.stdinLines.shift();
+  }
+
+  /**
+   * Write raw stdout text, logging each completed line
+   * Text after the last newline is held until more output, a read, or
+   * flushStdout().
+   *
+   * @protected
+   * @param {string} text - Output text
+   */
+  writeStdout(text) {
+    const lines = (this.stdoutBuffer + text).split('\n');
+    this.stdoutBuffer = lines.pop();
+    lines.forEach(line => this.log(line, 'stdout'));
+  }
+
+  /**
+   * Log any held partial line of stdout
+   *
+   * @protected
+   */
+  flushStdout() {
+    const pending = this.takePendingStdout();
+    if (pending) {
+      this.log(pending, 'stdout');
+    }
+  }
+
+  /**
+   * Take the held partial line of stdout without logging it
+   *
+   * @private
+   * @returns {string}
+   */
+  takePendingStdout() {
+    const pending = this.stdoutBuffer;
+    this.stdoutBuffer = '';
+    return pending;
+  }
+
   /**
    * Log output to all registered callbacks
    *
    * @protected
    * @param {string} text - Output text
-   * @param {string} type - Output type ('stdout', 'stderr', 'info', 'success', 'error')
+   * @param {string} type - Output type ('stdout', 'stderr', 'stdin', 'info', 'success', 'error')
    */
   log(text, type = 'stdout') {
     const callbacks = type === 'stderr' || type === 'error'
       ? this.errorCallbacks
       : this.outputCallbacks;
 
+    this.notify(callbacks, [text, type]);
+  }
+
+  /**
+   * Show a rich output: an image, HTML or a table
+   * Output callbacks receive it as (data, mimeType, metadata), after the
+   * stdout written before it. Data by MIME type:
+   * - 'image/png': base64-encoded PNG
+   * - 'image/svg+xml': SVG markup
+   * - 'text/html': HTML document or fragment (shown sandboxed)
+   * - 'application/vnd.table+json': {schema: {fields: [{name, type}]}, data: [{field: value}]},
+   *   the Table Schema layout of pandas' to_json(orient='table')
+   * - 'application/vnd.drlee.sql-results+json': {dialect, exportFormats, results}, the
+   *   result sets of a database run (see ResultSet)
+   *
+   * @protected
+   * @param {string} mimeType - One of BaseRuntime.DISPLAY_TYPES
+   * @param {string|Object} data - Output data
+   * @param {Object} [metadata] - Details, e.g. {width, height, alt}
+   */
+  display(mimeType, data, metadata = {}) {
+    if (!DISPLAY_TYPES.includes(mimeType)) {
+      throw new Error(`Unsupported output type: ${mimeType}`);
+    }
+
+    this.flushStdout();
+    this.notify(this.outputCallbacks, [data, mimeType, metadata]);
+  }
+
+  /**
+   * Call output or error callbacks, keeping one failing callback from
+   * stopping the others
+   *
+   * @private
+   * @param {Array<Function>} callbacks - Callbacks
+   * @param {Array} args - Arguments
+   */
+  notify(callbacks, args) {
     callbacks.forEach(callback => {
       try {
-        callback(text, type);
+        callback(...args);
       } catch (err) {
         console.error('Error in output callback:', err);
       }
     });
   }
 
+  /**
+   * MIME types display() accepts
+   *
+   * @returns {Array<string>}
+   */
+  static get DISPLAY_TYPES() {
+    return DISPLAY_TYPES;
+  }
+
   /**
    * Log error message
    *
@@ -0,0 +1,189 @@
+/**
+ * CodeFormatter - Formats source code with real formatters, in the browser
+ *
+ * - Prettier (standalone) for JavaScript, TypeScript, CSS, HTML, Markdown,
+ *   YAML and JSON
+ * - sql-formatter for the database languages, each in its own dialect
+ * - black for Python, run in PythonLanguageService's worker (installed from
+ *   PyPI on first use)
+ *
+ * Formatters are loaded the first time a language is formatted.
+ */
+
+// Prettier parser of each language, and the plugins it needs
+const PRETTIER_LANGUAGES = {
+  javascript: { parser: 'babel', plugins: ['babel', 'estree'] },
+  typescript: { parser: 'typescript', plugins: ['typescript', 'estree'] },
+  css: { parser: 'css', plugins: ['postcss'] },
+  scss: { parser: 'scss', plugins: ['postcss'] },
+  less: { parser: 'less', plugins: ['postcss'] },
+  html: { parser: 'html', plugins: ['html', 'postcss', 'babel', 'estree'] },
+  markdown: { parser: 'markdown', plugins: ['markdown'] },
+  yaml: { parser: 'yaml', plugins: ['yaml'] },
+  json: { parser: 'json', plugins: ['babel', 'estree'] },
+};
+
+// Prettier plugins, imported with literal specifiers so the bundler splits them out
+const PRETTIER_PLUGINS = {
+  babel: () => import('prettier/plugins/babel'),
+  estree: () => import('prettier/plugins/estree'),
+  typescript: () => import('prettier/plugins/typescript'),
+  postcss: () => import('prettier/plugins/postcss'),
+  html: () => import('prettier/plugins/html'),
+  markdown: () => import('prettier/plugins/markdown'),
+  yaml: () => import('prettier/plugins/yaml'),
+};
+
+// sql-formatter dialect of each database language
+const SQL_DIALECTS = {
+  sql: 'sql',
+  sqlite: 'sqlite',
+  duckdb: 'duckdb',
+  postgresql: 'postgresql',
+  pgsql: 'postgresql',
+  mysql: 'mysql',
+};
+
+export default class CodeFormatter {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {Function} [options.getPythonService] - () => PythonLanguageService|null, the
+   *   worker black runs in
+   */
+  constructor(options = {}) {
+    this.getPythonService = options.getPythonService || (() => null);
+
+    this.prettier = null; // Promise of prettier/standalone
+    this.plugins = new Map(); // Plugin name -> promise of the plugin
+    this.sqlFormatter = null; // Promise of sql-formatter
+  }
+
+  /**
+   * Which formatter handles a language
+   *
+   * @param {string} language - Language ID
+   * @returns {string|null} 'prettier', 'sql', 'python', or null if none does
+   */
+  static getFormatterName(language) {
+    if (PRETTIER_LANGUAGES[language]) return 'prettier';
+    if (SQL_DIALECTS[language]) return 'sql';
+    if (language === 'python') return 'python';
+    return null;
+  }
+
+  /**
+   * Check whether a language can be formatted
+   *
+   * @param {string} language - Language ID
+   * @returns {boolean}
+   */
+  static canFormat(language) {
+    return CodeFormatter.getFormatterName(language) !== null;
+  }
+
+  /**
+   * Format source code
+   *
+   * @param {string} code - Source code
+   * @param {string} language - Language ID
+   * @param {Object} [options] - Formatting options
+   * @param {number} [options.tabSize=2] - Spaces per indent (Python always uses 4)
+   * @param {boolean} [options.insertSpaces=true] - Indent with spaces rather than tabs
+   * @returns {Promise<string>} The formatted code
+   * @throws {Error} If the language has no formatter or the code does not parse
+   */
+  async format(code, language, options = {}) {
+    const { tabSize = 2, insertSpaces = true } = options;
+
+    switch (CodeFormatter.getFormatterName(language)) {
+      case 'prettier':
+        return this.formatWithPrettier(code, language, { tabSize, insertSpaces });
+      case 'sql':
+        return this.formatSQL(code, language, { tabSize, insertSpaces });
+      case 'python':
+        return this.formatPython(code);
+      default:
+        throw new Error(`No formatter for ${language}`);
+    }
+  }
+
+  /**
+   * Format with Prettier
+   *
+   * @private
+   * @param {string} code - Source code
+   * @param {string} language - Language ID
+   * @param {{tabSize: number, insertSpaces: boolean}} options - Indentation
+   * @returns {Promise<string>}
+   */
+  async formatWithPrettier(code, language, { tabSize, insertSpaces }) {
+    const { parser, plugins } = PRETTIER_LANGUAGES[language];
+
+    if (!this.prettier) {
+      this.prettier = import('prettier/standalone');
+    }
+    const [prettier, ...loaded] = await Promise.all([
+      this.prettier,
+      ...plugins.map(name => this.loadPrettierPlugin(name)),
+    ]);
+
+    return prettier.format(code, {
+      parser,
+      plugins: loaded,
+      tabWidth: tabSize,
+      useTabs: !insertSpaces,
+    });
+  }
+
+  /**
+   * Load a Prettier plugin (once)
+   *
+   * @private
+   * @param {string} name - Plugin name (see PRETTIER_PLUGINS)
+   * @returns {Promise<Object>}
+   */
+  loadPrettierPlugin(name) {
+    if (!this.plugins.has(name)) {
+      this.plugins.set(name, PRETTIER_PLUGINS[name]().then(module => module.default || module));
+    }
+    return this.plugins.get(name);
+  }
+
+  /**
+   * Format SQL in a database's dialect
+   *
+   * @private
+   * @param {string} code - SQL
+   * @param {string} language - Language ID
+   * @param {{tabSize: number, insertSpaces: boolean}} options - Indentation
+   * @returns {Promise<string>}
+   */
+  async formatSQL(code, language, { tabSize, insertSpaces }) {
+    if (!this.sqlFormatter) {
+      this.sqlFormatter = import('sql-formatter');
+    }
+    const { format } = await this.sqlFormatter;
+
+    const formatted = format(code, {
+      language: SQL_DIALECTS[language],
+      tabWidth: tabSize,
+      useTabs: !insertSpaces,
+    });
+    return formatted.endsWith('\n') ? formatted : `${formatted}\n`;
+  }
+
+  /**
+   * Format Python with black
+   *
+   * @private
+   * @param {string} code - Python source
+   * @returns {Promise<string>}
+   */
+  async formatPython(code) {
+    const service = this.getPythonService();
+    if (!service) {
+      throw new Error('Python formatting needs Web Workers, which this browser does not support');
+    }
+    return service.format({ source: code });
+  }
+}
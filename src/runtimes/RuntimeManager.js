@@ -25,6 +25,7 @@ import MySQLRuntime from './databases/MySQLRuntime.js';
 import JupyterLiteRuntime from './notebooks/JupyterLiteRuntime.js';
 import BlocklyRuntime from './languages/BlocklyRuntime.js';
 import P5Runtime from './languages/P5Runtime.js';
+import BaseRuntime from './BaseRuntime.js';
 
 /**
  * RuntimeManager - Manages all programming language runtimes
@@ -36,6 +37,10 @@ export default class RuntimeManager {
     this.runtimes = new Map();
     this.currentRuntime = null;
     this.currentLanguage = 'javascript';
+    this.timeout = 30000; // Default execution timeout (runtime.timeout setting)
+    this.activeExecution = null; // { runtime, controller, pauseTimer, resumeTimer } while code runs
+    this.fileManager = null; // Shared with runtimes that expose the user's files
+    this.workspaceFolder = null; // Folder of saved files mounted for programs (null = all)
 
     // Registry of available runtimes
     this.registry = {
@@ -238,14 +243,20 @@ export default class RuntimeManager {
     const runtime = new config.class();
 
     // Set up output callbacks
-    runtime.onOutput((text, type) => {
-      this.handleOutput(text, type);
+    runtime.onOutput((text, type, metadata) => {
+      this.handleOutput(text, type, metadata);
     });
 
     runtime.onError((text, type) => {
       this.handleError(text, type);
     });
 
+    runtime.onInput((prompt, options) => this.handleInput(prompt, options));
+
+    runtime.onFilesChanged(() => this.handleFilesChanged());
+    runtime.setFileManager(this.fileManager);
+    runtime.setWorkspaceFolder(this.workspaceFolder);
+
     // Load the runtime
     if (!runtime.isLoaded()) {
       await runtime.load();
@@ -278,16 +289,167 @@ export default class RuntimeManager {
   /**
    * Execute code in the current runtime
    *
+   * Every run gets an AbortSignal. The signal aborts when interrupt() is
+   * called or when the timeout expires; the runtime is then asked to stop
+   * via interrupt(), and executeCode() resolves with a cancelled result even
+   * if the runtime cannot actually be stopped. The timeout is paused while
+   * the program waits for the user to type input.
+   *
    * @param {string} code - Code to execute
    * @param {Object} options - Execution options
-   * @returns {Promise<{success: boolean, output: string, returnValue: any, error: Error|null, executionTime: number}>}
+   * @param {number} options.timeout - Timeout in ms (defaults to the configured timeout, 0 = no limit)
+   * @param {AbortSignal} options.signal - External signal that also cancels the run
+   * @param {string} options.stdin - Pre-supplied program input
+   * @param {Object} options.project - Run the code as the entry point of the
+   *   saved files ({ entryPoint, sources }, see BaseRuntime.getEntryPath())
+   * @returns {Promise<{success: boolean, output: string, returnValue: any, error: Error|null, executionTime: number, diagnostics: Array<Object>, cancelled?: boolean}>}
+   *   `diagnostics` is always a list, empty for runtimes that report none
+   *   (see BaseRuntime.createDiagnostic())
    */
   async executeCode(code, options = {}) {
     if (!this.currentRuntime) {
       throw new Error('No runtime loaded');
     }
 
-    return await this.currentRuntime.execute(code, options);
+    const { timeout = this.timeout, signal: externalSignal, stdin = '', ...runtimeOptions } = options;
+    const runtime = this.currentRuntime;
+    const controller = new AbortController();
+    const startTime = performance.now();
+    let timer = null;
+    let remaining = timeout;
+    let deadline = 0;
+    let finished = false;
+
+    const startTimer = () => {
+      if (timeout > 0 && !finished && !controller.signal.aborted) {
+        deadline = performance.now() + remaining;
+        timer = setTimeout(() => {
+          controller.abort(BaseRuntime.createTimeoutError(timeout));
+        }, remaining);
+      }
+    };
+
+    const pauseTimer = () => {
+      if (timer !== null) {
+        clearTimeout(timer);
+        timer = null;
+        remaining = Math.max(0, deadline - performance.now());
+      }
+    };
+
+    const abortWithExternalReason = () => controller.abort(
+      externalSignal.reason instanceof Error ? externalSignal.reason : BaseRuntime.createAbortError()
+    );
+
+    if (externalSignal) {
+      if (externalSignal.aborted) {
+        abortWithExternalReason();
+      } else {
+        externalSignal.addEventListener('abort', abortWithExternalReason, { once: true });
+      }
+    }
+
+    // Resolves with a cancelled result as soon as the signal aborts
+    const cancelled = new Promise((resolve) => {
+      const onAbort = () => {
+        resolve(this.createCancelledResult(controller.signal.reason, startTime));
+        try {
+          runtime.interrupt(controller.signal.reason);
+        } catch (error) {
+          console.error(`Failed to interrupt ${runtime.getName()}:`, error);
+        }
+      };
+
+      if (controller.signal.aborted) {
+        onAbort();
+      } else {
+        controller.signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+
+    startTimer();
+    runtime.setStdin(stdin);
+
+    this.activeExecution = { runtime, controller, pauseTimer, resumeTimer: startTimer };
+
+    try {
+      const result = await Promise.race([
+        cancelled,
+        runtime.execute(code, { ...runtimeOptions, signal: controller.signal }),
+      ]);
+
+      if (!Array.isArray(result.diagnostics)) {
+        result.diagnostics = [];
+      }
+      return result;
+    } finally {
+      finished = true;
+      clearTimeout(timer);
+      if (externalSignal) {
+        externalSignal.removeEventListener('abort', abortWithExternalReason);
+      }
+      if (this.activeExecution && this.activeExecution.controller === controller) {
+        this.activeExecution = null;
+      }
+    }
+  }
+
+  /**
+   * Build the result returned when a run is stopped or times out
+   *
+   * @private
+   * @param {Error} reason - AbortError or TimeoutError
+   * @param {number} startTime - performance.now() when the run started
+   * @returns {{success: boolean, output: string, returnValue: any, error: Error, executionTime: number, diagnostics: Array, cancelled: boolean}}
+   */
+  createCancelledResult(reason, startTime) {
+    const error = reason instanceof Error ? reason : BaseRuntime.createAbortError();
+
+    return {
+      success: false,
+      output: error.message,
+      returnValue: undefined,
+      error,
+      executionTime: performance.now() - startTime,
+      diagnostics: [],
+      cancelled: true,
+    };
+  }
+
+  /**
+   * Stop the code that is currently executing
+   *
+   * @returns {boolean} True if the runtime can really stop; false if the run
+   *   was only abandoned and the runtime may keep working in the background
+   */
+  interrupt() {
+    if (!this.activeExecution) {
+      return false;
+    }
+
+    const { runtime, controller } = this.activeExecution;
+    controller.abort(BaseRuntime.createAbortError());
+    return runtime.canInterrupt();
+  }
+
+  /**
+   * Check whether code is currently executing
+   *
+   * @returns {boolean}
+   */
+  isExecuting() {
+    return this.activeExecution !== null;
+  }
+
+  /**
+   * Set the default execution timeout applied to every run
+   *
+   * @param {number} timeout - Timeout in milliseconds (0 disables the limit)
+   */
+  setExecutionTimeout(timeout) {
+    if (Number.isFinite(timeout) && timeout >= 0) {
+      this.timeout = timeout;
+    }
   }
 
   /**
@@ -299,6 +461,16 @@ export default class RuntimeManager {
     return this.currentRuntime;
   }
 
+  /**
+   * Get a language's runtime if it has been loaded
+   *
+   * @param {string} language - Language identifier
+   * @returns {BaseRuntime|null}
+   */
+  getLoadedRuntime(language) {
+    return this.runtimes.get(language) || null;
+  }
+
   /**
    * Get current language
    *
@@ -335,13 +507,14 @@ export default class RuntimeManager {
    * Handle output from runtime
    *
    * @private
-   * @param {string} text - Output text
-   * @param {string} type - Output type
+   * @param {string|Object} text - Output text, or rich output data
+   * @param {string} type - Output type, or the MIME type of rich output
+   * @param {Object} [metadata] - Details of rich output
    */
-  handleOutput(text, type) {
+  handleOutput(text, type, metadata) {
     // This will be connected to OutputPanel via callbacks
     if (this.outputCallback) {
-      this.outputCallback(text, type);
+      this.outputCallback(text, type, metadata);
     }
   }
 
@@ -359,10 +532,55 @@ export default class RuntimeManager {
     }
   }
 
+  /**
+   * Handle a request for program input from the runtime
+   * The execution timeout is paused while the user is typing.
+   *
+   * @private
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { sync } as passed by BaseRuntime
+   * @returns {string|null|Promise<string|null>} The line, or null at end of input
+   */
+  handleInput(prompt, options) {
+    if (!this.inputCallback) {
+      return null;
+    }
+
+    const execution = this.activeExecution;
+    execution?.pauseTimer();
+
+    let line;
+    try {
+      line = this.inputCallback(prompt, options);
+    } catch (error) {
+      execution?.resumeTimer();
+      throw error;
+    }
+
+    if (line && typeof line.then === 'function') {
+      return line.finally(() => execution?.resumeTimer());
+    }
+
+    execution?.resumeTimer();
+    return line;
+  }
+
+  /**
+   * Handle a runtime changing the user's saved files
+   *
+   * @private
+   */
+  handleFilesChanged() {
+    if (this.filesChangedCallback) {
+      this.filesChangedCallback();
+    }
+  }
+
   /**
    * Register output callback
    *
-   * @param {Function} callback - Callback function(text, type)
+   * @param {Function} callback - Callback function(text, type, metadata); rich outputs
+   *   have a MIME type as their type (see BaseRuntime.display())
    */
   onOutput(callback) {
     this.outputCallback = callback;
@@ -377,6 +595,49 @@ export default class RuntimeManager {
     this.errorCallback = callback;
   }
 
+  /**
+   * Register input callback
+   *
+   * @param {Function} callback - Callback function(prompt, { sync }) returning
+   *   the line (a Promise is allowed unless `sync` is true), or null at end of input
+   */
+  onInput(callback) {
+    this.inputCallback = callback;
+  }
+
+  /**
+   * Share the IndexedDB file store with all runtimes, loaded now or later
+   *
+   * @param {FileManager|null} fileManager - File store
+   */
+  setFileManager(fileManager) {
+    this.fileManager = fileManager;
+    for (const [, runtime] of this.runtimes) {
+      runtime.setFileManager(fileManager);
+    }
+  }
+
+  /**
+   * Choose the saved files that programs see, e.g. one cloned repository
+   *
+   * @param {string|null} folder - Folder or repository name; null for all files
+   */
+  setWorkspaceFolder(folder) {
+    this.workspaceFolder = folder || null;
+    for (const [, runtime] of this.runtimes) {
+      runtime.setWorkspaceFolder(this.workspaceFolder);
+    }
+  }
+
+  /**
+   * Register callback for runtimes changing saved files
+   *
+   * @param {Function} callback - Callback function()
+   */
+  onFilesChanged(callback) {
+    this.filesChangedCallback = callback;
+  }
+
   /**
    * Dispose all runtimes
    *
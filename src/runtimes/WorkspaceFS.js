@@ -0,0 +1,263 @@
+/**
+ * WorkspaceFS - The user's saved files, mounted into a runtime's file system
+ *
+ * Before a run, the files in FileManager (or one folder of them, such as a
+ * cloned git repository) are written under MOUNT_POINT in the runtime's own
+ * file system, so programs can open data files and import sibling modules.
+ * After the run, the same directory is read back and every file the program
+ * created, changed or deleted is written to IndexedDB.
+ *
+ * Runtimes reach their file system through a small adapter:
+ *
+ *   list(root)            -> Promise<Map<relativePath, Uint8Array>> of the files under root
+ *   write(path, content)  -> Promise, creating parent directories as needed;
+ *                            content is a string, or a Uint8Array for binary files
+ *   remove(path)          -> Promise
+ *
+ * WorkspaceFS.emscripten() builds one for Emscripten's FS API, which Pyodide
+ * and wasmoon expose; WorkspaceFS.memory() keeps the files in a Map for
+ * runtimes without a file system of their own.
+ */
+
+import FileManager from '../storage/FileManager.js';
+
+// Where the files appear inside every runtime
+const MOUNT_POINT = '/home/user';
+
+export default class WorkspaceFS {
+  /**
+   * @param {FileManager} fileManager - IndexedDB file store
+   * @param {Object} options - Options
+   * @param {string|null} options.folder - Only mount this folder or git
+   *   repository (by its directory name); null mounts every file
+   */
+  constructor(fileManager, { folder = null } = {}) {
+    this.fileManager = fileManager;
+    this.folder = folder;
+    this.files = new Map(); // Relative path -> saved file record
+    this.mounted = new Map(); // Relative path -> content written by mount() (string or Uint8Array)
+    this.repository = null; // { gitRepo, gitUrl } when the folder is a cloned repository
+  }
+
+  /**
+   * Directory the files are mounted at
+   *
+   * @returns {string}
+   */
+  static get MOUNT_POINT() {
+    return MOUNT_POINT;
+  }
+
+  /**
+   * Load the saved files and write them into a runtime's file system
+   * Files left over from an earlier run that are no longer saved are removed.
+   *
+   * @param {Object} adapter - File system adapter
+   * @param {Object} options - Options
+   * @param {Map<number, string>} options.sources - Unsaved editor text by
+   *   file id, mounted instead of the saved content
+   * @returns {Promise<void>}
+   */
+  async mount(adapter, { sources = new Map() } = {}) {
+    const files = await this.fileManager.getAllFiles();
+    this.files = new Map();
+    this.mounted = new Map();
+    this.repository = null;
+
+    for (const file of files) {
+      const path = WorkspaceFS.getRelativePath(file, this.folder);
+      // The first of two files with the same path wins
+      if (path === null || this.files.has(path)) continue;
+
+      this.files.set(path, file);
+      if (sources.has(file.id)) {
+        this.mounted.set(path, sources.get(file.id));
+      } else if (typeof file.content === 'string') {
+        this.mounted.set(path, file.content);
+      } else {
+        this.mounted.set(path, new Uint8Array(await file.content.arrayBuffer()));
+      }
+      if (file.gitRepo && file.gitRepo === this.folder) {
+        this.repository = { gitRepo: file.gitRepo, gitUrl: file.gitUrl };
+      }
+    }
+
+    const existing = await adapter.list(MOUNT_POINT);
+    for (const path of existing.keys()) {
+      if (!this.files.has(path)) {
+        await adapter.remove(`${MOUNT_POINT}/${path}`);
+      }
+    }
+
+    for (const [path, content] of this.mounted) {
+      await adapter.write(`${MOUNT_POINT}/${path}`, content);
+    }
+  }
+
+  /**
+   * Save files the program created, changed or deleted under the mount point
+   * Binary files, and new files that are not valid UTF-8 text, are saved as
+   * Blobs.
+   *
+   * @param {Object} adapter - File system adapter
+   * @returns {Promise<boolean>} Whether any saved file changed
+   */
+  async sync(adapter) {
+    const current = await adapter.list(MOUNT_POINT);
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    let changed = false;
+
+    for (const [path, bytes] of current) {
+      const saved = this.files.get(path);
+      let content = bytes;
+      if (!saved || typeof saved.content === 'string') {
+        try {
+          content = decoder.decode(bytes);
+        } catch (error) {
+          // Not text
+        }
+      }
+
+      // Unchanged since mount(), so unsaved editor text is not saved here
+      if (saved && WorkspaceFS.isSameContent(this.mounted.get(path), content)) continue;
+
+      const stored = typeof content === 'string' ? content : new Blob([content]);
+      const file = saved
+        ? { ...saved, content: stored }
+        : { ...this.repository, name: this.getStoredName(path), content: stored, language: WorkspaceFS.detectLanguage(path) };
+      const id = await this.fileManager.saveFile(file);
+      this.files.set(path, { ...file, id: saved ? saved.id : id });
+      this.mounted.set(path, content);
+      changed = true;
+    }
+
+    for (const [path, file] of this.files) {
+      if (!current.has(path)) {
+        await this.fileManager.deleteFile(file.id);
+        this.files.delete(path);
+        this.mounted.delete(path);
+        changed = true;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Path of a saved file below the mount point, or null if it is outside
+   * the mounted folder
+   *
+   * @param {Object} file - Saved file record
+   * @param {string|null} folder - Mounted folder or repository, null for all files
+   * @returns {string|null}
+   */
+  static getRelativePath(file, folder = null) {
+    const name = String(file.name ?? '').split('/').filter(part => part && part !== '.' && part !== '..').join('/');
+    if (!name) return null;
+    if (folder === null) return name;
+
+    // Cloned repositories keep names relative to the repository root
+    if (file.gitRepo) {
+      return file.gitRepo === folder ? name : null;
+    }
+    return name.startsWith(`${folder}/`) ? name.slice(folder.length + 1) : null;
+  }
+
+  /**
+   * Name to save a new file under, the inverse of WorkspaceFS.getRelativePath()
+   *
+   * @private
+   * @param {string} path - Path below the mount point
+   * @returns {string}
+   */
+  getStoredName(path) {
+    if (this.folder === null || this.repository) return path;
+    return `${this.folder}/${path}`;
+  }
+
+  /**
+   * Pick the IDE language for a file a program created
+   *
+   * @param {string} path - File path
+   * @returns {string} Runtime language id
+   */
+  static detectLanguage(path) {
+    return FileManager.detectLanguage(path);
+  }
+
+  /**
+   * Compare mounted content with what a program left behind
+   *
+   * @private
+   * @param {string|Uint8Array} a - Content
+   * @param {string|Uint8Array} b - Content
+   * @returns {boolean}
+   */
+  static isSameContent(a, b) {
+    if (typeof a === 'string' || typeof b === 'string') return a === b;
+    return a.length === b.length && a.every((byte, index) => byte === b[index]);
+  }
+
+  /**
+   * Build an adapter for an Emscripten FS object (Pyodide, wasmoon)
+   *
+   * @param {Object} FS - Emscripten FS API
+   * @returns {Object} File system adapter
+   */
+  static emscripten(FS) {
+    const list = (directory, prefix, files) => {
+      for (const name of FS.readdir(directory)) {
+        if (name === '.' || name === '..') continue;
+
+        const path = `${directory}/${name}`;
+        const relative = prefix ? `${prefix}/${name}` : name;
+        if (FS.isDir(FS.stat(path).mode)) {
+          list(path, relative, files);
+        } else {
+          files.set(relative, FS.readFile(path));
+        }
+      }
+      return files;
+    };
+
+    return {
+      list: async (root) => {
+        if (!FS.analyzePath(root).exists) return new Map();
+        return list(root, '', new Map());
+      },
+      write: async (path, content) => {
+        FS.mkdirTree(path.slice(0, path.lastIndexOf('/')));
+        FS.writeFile(path, content);
+      },
+      remove: async (path) => {
+        FS.unlink(path);
+      },
+    };
+  }
+
+  /**
+   * Build an adapter that keeps files in memory, for runtimes that read
+   * the files themselves (e.g. to link JavaScript modules)
+   *
+   * @returns {Object} File system adapter with a `files` Map of absolute path -> text or bytes
+   */
+  static memory() {
+    const files = new Map();
+    const encoder = new TextEncoder();
+
+    return {
+      files,
+      list: async (root) => new Map(
+        [...files]
+          .filter(([path]) => path.startsWith(`${root}/`))
+          .map(([path, content]) => [path.slice(root.length + 1), typeof content === 'string' ? encoder.encode(content) : content])
+      ),
+      write: async (path, content) => {
+        files.set(path, content);
+      },
+      remove: async (path) => {
+        files.delete(path);
+      },
+    };
+  }
+}
@@ -0,0 +1,408 @@
+/**
+ * DataImport - Reads data files into tables for the database runtimes
+ *
+ * Reads CSV, TSV, JSON (an array of objects, or one object per line) and
+ * the first worksheet of XLSX files into `{columns, rows}`: column names
+ * from the header row or the objects' keys, and rows as arrays of strings,
+ * numbers, booleans and nulls. Parquet files are only queried by DuckDB,
+ * which reads them itself.
+ *
+ * The import wizard infers a type for each column (see inferType()) and
+ * creates the table with toImportScript().
+ */
+
+import ResultSet from './ResultSet.js';
+
+// Formats of data files by extension
+const FORMATS = {
+  csv: 'csv',
+  tsv: 'tsv',
+  tab: 'tsv',
+  parquet: 'parquet',
+  json: 'json',
+  jsonl: 'json',
+  ndjson: 'json',
+  xlsx: 'xlsx',
+};
+
+// Column types the wizard offers, as each dialect names them
+const COLUMN_TYPES = {
+  INTEGER: { sqlite: 'INTEGER', postgresql: 'bigint', duckdb: 'BIGINT' },
+  REAL: { sqlite: 'REAL', postgresql: 'double precision', duckdb: 'DOUBLE' },
+  BOOLEAN: { sqlite: 'INTEGER', postgresql: 'boolean', duckdb: 'BOOLEAN' },
+  DATE: { sqlite: 'TEXT', postgresql: 'date', duckdb: 'DATE' },
+  TIMESTAMP: { sqlite: 'TEXT', postgresql: 'timestamp', duckdb: 'TIMESTAMP' },
+  TEXT: { sqlite: 'TEXT', postgresql: 'text', duckdb: 'VARCHAR' },
+};
+
+// Rows per INSERT statement of an import script
+const INSERT_BATCH_SIZE = 500;
+
+// Text each inferred type accepts
+const TYPE_PATTERNS = {
+  INTEGER: /^[-+]?\d+$/,
+  REAL: /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i,
+  BOOLEAN: /^(?:true|false)$/i,
+  DATE: /^\d{4}-\d{2}-\d{2}$/,
+  TIMESTAMP: /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[-+]\d{2}:?\d{2})?$/,
+};
+
+/**
+ * Index of a spreadsheet column from a cell reference ('B7' -> 1)
+ *
+ * @param {string} reference - Cell reference
+ * @returns {number}
+ */
+function columnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/i)[0].toUpperCase();
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Elements of an XML document by local name, whatever their namespace
+ *
+ * @param {Document|Element} node - Where to look
+ * @param {string} name - Local name
+ * @returns {Array<Element>}
+ */
+function elements(node, name) {
+  return [...node.getElementsByTagNameNS('*', name)];
+}
+
+/**
+ * Parse a file of an XLSX package as XML
+ *
+ * @param {Object} zip - JSZip archive
+ * @param {string} path - Path in the archive
+ * @returns {Promise<Document|null>} Null if the package has no such file
+ */
+async function readXML(zip, path) {
+  const file = zip.file(path);
+  return file ? new DOMParser().parseFromString(await file.async('string'), 'application/xml') : null;
+}
+
+export default class DataImport {
+  /**
+   * Column types the wizard offers
+   *
+   * @returns {Array<string>}
+   */
+  static get TYPES() {
+    return Object.keys(COLUMN_TYPES);
+  }
+
+  /**
+   * Format of a data file
+   *
+   * @param {string} fileName - File name
+   * @returns {string|null} 'csv', 'tsv', 'parquet', 'json' or 'xlsx'; null for other files
+   */
+  static getFormat(fileName) {
+    const extension = String(fileName).includes('.') ? String(fileName).split('.').pop().toLowerCase() : '';
+    return FORMATS[extension] || null;
+  }
+
+  /**
+   * Read a data file into columns and rows
+   *
+   * @param {string} fileName - File name, which tells its format
+   * @param {Uint8Array} data - File content
+   * @returns {Promise<{columns: Array<string>, rows: Array<Array<*>>}>}
+   */
+  static async read(fileName, data) {
+    const format = DataImport.getFormat(fileName);
+
+    if (format === 'parquet') {
+      throw new Error('Parquet files can only be queried with DuckDB');
+    }
+    if (format === 'xlsx') {
+      return DataImport.withHeader(await DataImport.parseXLSX(data));
+    }
+
+    const text = new TextDecoder().decode(data).replace(/^\uFEFF/, '');
+    if (format === 'json') {
+      return DataImport.parseJSON(text);
+    }
+    if (format === 'csv' || format === 'tsv') {
+      return DataImport.withHeader(DataImport.parseDelimited(text, format === 'tsv' ? '\t' : ','));
+    }
+    throw new Error(`Cannot import ${fileName}: use a CSV, TSV, JSON or XLSX file`);
+  }
+
+  /**
+   * Split delimited text into rows of fields
+   * Fields may be quoted with `"`, with `""` for a quote; quoted fields
+   * can hold delimiters and line breaks.
+   *
+   * @param {string} text - CSV or TSV text
+   * @param {string} [delimiter=','] - Field delimiter
+   * @returns {Array<Array<string>>}
+   */
+  static parseDelimited(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Blank lines hold no record
+    return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+  }
+
+  /**
+   * Read JSON records: an array of objects, or one object per line
+   * Nested values are kept as JSON text.
+   *
+   * @param {string} text - JSON or newline-delimited JSON
+   * @returns {{columns: Array<string>, rows: Array<Array<*>>}}
+   */
+  static parseJSON(text) {
+    let records;
+    try {
+      const parsed = JSON.parse(text);
+      records = Array.isArray(parsed) ? parsed : [parsed];
+    } catch {
+      records = text.split('\n').filter(line => line.trim()).map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (lineError) {
+          throw new Error(`Invalid JSON on line ${index + 1}: ${lineError.message}`);
+        }
+      });
+    }
+
+    const objects = records.map(record => (record !== null && typeof record === 'object' && !Array.isArray(record)
+      ? record
+      : { value: record }));
+    const columns = [...new Set(objects.flatMap(object => Object.keys(object)))];
+
+    return {
+      columns,
+      rows: objects.map(object => columns.map((column) => {
+        const value = object[column];
+        if (value === undefined || value === null) return null;
+        return typeof value === 'object' ? JSON.stringify(value) : value;
+      })),
+    };
+  }
+
+  /**
+   * Read the first worksheet of an XLSX workbook
+   * Dates come through as the numbers Excel stores them as.
+   *
+   * @param {Uint8Array} data - XLSX file
+   * @returns {Promise<Array<Array<*>>>} Rows of cell values, empty cells null
+   */
+  static async parseXLSX(data) {
+    const JSZip = (await import('jszip')).default;
+
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(data);
+    } catch (error) {
+      throw new Error(`Not an XLSX file: ${error.message}`);
+    }
+
+    // The first sheet of the workbook, through its relationship
+    const workbook = await readXML(zip, 'xl/workbook.xml');
+    const relations = await readXML(zip, 'xl/_rels/workbook.xml.rels');
+    if (!workbook || !relations) {
+      throw new Error('Not an XLSX file: the workbook is missing');
+    }
+    const [sheet] = elements(workbook, 'sheet');
+    const relationId = sheet && [...sheet.attributes].find(attribute => attribute.localName === 'id')?.value;
+    const target = elements(relations, 'Relationship').find(relation => relation.getAttribute('Id') === relationId)
+      ?.getAttribute('Target');
+    if (!target) {
+      throw new Error('The workbook has no worksheets');
+    }
+    const worksheet = await readXML(zip, target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+
+    const sharedStrings = await readXML(zip, 'xl/sharedStrings.xml');
+    const strings = sharedStrings
+      ? elements(sharedStrings, 'si').map(item => elements(item, 't').map(node => node.textContent).join(''))
+      : [];
+
+    const rows = [];
+    elements(worksheet, 'row').forEach((rowEl, position) => {
+      const row = [];
+      elements(rowEl, 'c').forEach((cell, cellPosition) => {
+        const reference = cell.getAttribute('r');
+        const index = reference ? columnIndex(reference) : cellPosition;
+        const value = elements(cell, 'v')[0]?.textContent;
+
+        switch (cell.getAttribute('t')) {
+          case 's':
+            row[index] = strings[Number(value)] ?? null;
+            break;
+          case 'inlineStr':
+            row[index] = elements(cell, 't').map(node => node.textContent).join('');
+            break;
+          case 'str':
+            row[index] = value ?? null;
+            break;
+          case 'b':
+            row[index] = value === '1';
+            break;
+          case 'e':
+            row[index] = null;
+            break;
+          default:
+            row[index] = value === undefined ? null : Number(value);
+        }
+      });
+
+      const rowNumber = Number(rowEl.getAttribute('r')) || position + 1;
+      rows[rowNumber - 1] = Array.from(row, value => value ?? null);
+    });
+
+    return Array.from(rows, row => row || []).filter(row => row.some(value => value !== null && value !== ''));
+  }
+
+  /**
+   * Use the first row as column names
+   * Blank names become `column1`, ... and repeated names are numbered.
+   *
+   * @param {Array<Array<*>>} rows - Rows, the header first
+   * @returns {{columns: Array<string>, rows: Array<Array<*>>}}
+   */
+  static withHeader(rows) {
+    const [header = [], ...records] = rows;
+    // Not Math.max(...): one argument per row overflows the stack for large files
+    const width = records.reduce((widest, record) => Math.max(widest, record.length), header.length);
+
+    const columns = [];
+    for (let index = 0; index < width; index++) {
+      const base = String(header[index] ?? '').trim() || `column${index + 1}`;
+      let name = base;
+      for (let number = 2; columns.includes(name); number++) {
+        name = `${base}_${number}`;
+      }
+      columns.push(name);
+    }
+
+    return {
+      columns,
+      rows: records.map(record => columns.map((column, index) => record[index] ?? null)),
+    };
+  }
+
+  /**
+   * Infer a column's type from its values
+   * Empty values are ignored; a column of only empty values is TEXT.
+   *
+   * @param {Array<*>} values - Column values
+   * @returns {string} One of TYPES
+   */
+  static inferType(values) {
+    const filled = values.filter(value => value !== null && value !== undefined && value !== '');
+    if (filled.length === 0) return 'TEXT';
+
+    const matches = type => filled.every((value) => {
+      if (type === 'BOOLEAN' && typeof value === 'boolean') return true;
+      if ((type === 'INTEGER' || type === 'REAL') && typeof value === 'number') {
+        return type === 'REAL' || Number.isSafeInteger(value);
+      }
+      if (typeof value !== 'string') return false;
+
+      const text = value.trim();
+      return TYPE_PATTERNS[type].test(text) && (type !== 'INTEGER' || Number.isSafeInteger(Number(text)));
+    });
+
+    return ['BOOLEAN', 'INTEGER', 'REAL', 'DATE', 'TIMESTAMP'].find(matches) || 'TEXT';
+  }
+
+  /**
+   * A value as a column of a type holds it
+   * Values that do not fit the type are kept as text, so the database reports them.
+   *
+   * @param {*} value - Value read from the file
+   * @param {string} type - One of TYPES
+   * @returns {*}
+   */
+  static convertValue(value, type) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const text = String(value).trim();
+    switch (type) {
+      case 'INTEGER':
+      case 'REAL':
+        return text !== '' && Number.isFinite(Number(text)) ? Number(text) : text;
+      case 'BOOLEAN':
+        if (typeof value === 'boolean') return value;
+        return TYPE_PATTERNS.BOOLEAN.test(text) ? text.toLowerCase() === 'true' : text;
+      default:
+        return typeof value === 'string' ? value : String(value);
+    }
+  }
+
+  /**
+   * A table name for a data file ('Sales Q1.csv' -> 'sales_q1')
+   *
+   * @param {string} fileName - File name
+   * @returns {string}
+   */
+  static tableNameFromFile(fileName) {
+    const stem = String(fileName).split(/[/\\]/).pop().replace(/\.[^.]*$/, '');
+    const name = stem.toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'imported';
+    return /^\d/.test(name) ? `t_${name}` : name;
+  }
+
+  /**
+   * SQL that creates a table and inserts rows into it
+   *
+   * @param {Object} table - Table to create
+   * @param {string} table.name - Table name
+   * @param {Array<{name: string, type: string}>} table.columns - Columns, with types from TYPES
+   * @param {Array<Array<*>>} table.rows - Rows, one value per column
+   * @param {string} dialect - 'sqlite', 'duckdb' or 'postgresql'
+   * @returns {string} CREATE TABLE statement, then INSERT statements of up to 500 rows
+   */
+  static toImportScript(table, dialect) {
+    const tableName = ResultSet.quoteIdentifier(table.name, dialect);
+    const columnNames = table.columns.map(column => ResultSet.quoteIdentifier(column.name, dialect));
+    const definitions = table.columns.map((column, index) => `${columnNames[index]} ${COLUMN_TYPES[column.type][dialect]}`);
+
+    const statements = [`CREATE TABLE ${tableName} (${definitions.join(', ')});`];
+    for (let start = 0; start < table.rows.length; start += INSERT_BATCH_SIZE) {
+      const values = table.rows.slice(start, start + INSERT_BATCH_SIZE).map(row => `(${table.columns
+        .map((column, index) => ResultSet.toSQLLiteral(DataImport.convertValue(row[index], column.type), dialect))
+        .join(', ')})`);
+      statements.push(`INSERT INTO ${tableName} (${columnNames.join(', ')}) VALUES\n${values.join(',\n')};`);
+    }
+
+    return statements.join('\n');
+  }
+}
@@ -0,0 +1,308 @@
+/**
+ * DatabaseSchema - Tables, views, columns and indexes of a database
+ *
+ * Database runtimes describe their database with getSchema() in one shape:
+ * `{tables}`, each table `{name, schema, type, rowCount, columns, indexes}`.
+ * `schema` is null for the default schema, `type` is 'table' or 'view' and
+ * `rowCount` is null for views. Columns are `{name, type, nullable,
+ * primaryKey}` and indexes `{name, columns, unique}`.
+ *
+ * The database explorer lists the schema and SQL completion suggests its
+ * names (see getCompletions()).
+ */
+
+import ResultSet from './ResultSet.js';
+
+// Rows a table's generated SELECT reads
+const SELECT_LIMIT = 100;
+
+// A table name, optionally schema-qualified, quoted or not
+const TABLE_NAME = '((?:"(?:[^"]|"")+"|`[^`]+`|[\\w$]+)(?:\\.(?:"(?:[^"]|"")+"|`[^`]+`|[\\w$]+))?)';
+
+// Tables a statement reads or writes, with their aliases
+const TABLE_REFERENCE = new RegExp(`\\b(?:from|join|update|into)\\s+${TABLE_NAME}(?:\\s+(?:as\\s+)?([\\w$]+))?`, 'gi');
+
+// Words that can follow a table name but are not aliases
+const NOT_ALIASES = new Set([
+  'where', 'join', 'inner', 'left', 'right', 'full', 'cross', 'natural', 'on', 'using', 'group',
+  'order', 'limit', 'offset', 'having', 'window', 'union', 'except', 'intersect', 'set', 'values',
+  'select', 'default', 'returning', 'as', 'outer', 'lateral',
+]);
+
+/**
+ * Rows of a sql.js query as objects
+ *
+ * @param {Object} db - sql.js Database
+ * @param {string} sql - Query
+ * @returns {Array<Object>}
+ */
+function queryRows(db, sql) {
+  const [result] = db.exec(sql);
+  if (!result) return [];
+
+  return result.values.map(values => Object.fromEntries(
+    result.columns.map((column, index) => [column, values[index]]),
+  ));
+}
+
+/**
+ * A name without its identifier quotes
+ *
+ * @param {string} name - Possibly quoted name
+ * @returns {string}
+ */
+function unquote(name) {
+  if (/^".*"$/.test(name)) return name.slice(1, -1).replace(/""/g, '"');
+  if (/^`.*`$/.test(name)) return name.slice(1, -1);
+  return name;
+}
+
+/**
+ * Split a possibly qualified, quoted name into its unquoted parts
+ *
+ * @param {string} name - e.g. `main."Order Items"`
+ * @returns {Array<string>}
+ */
+function splitName(name) {
+  return (name.match(/"(?:[^"]|"")+"|`[^`]+`|[^.]+/g) || []).map(unquote);
+}
+
+export default class DatabaseSchema {
+  /**
+   * Read the schema of a sql.js (SQLite) database
+   *
+   * @param {Object} db - sql.js Database
+   * @returns {{tables: Array<Object>}}
+   */
+  static readSQLite(db) {
+    const tables = queryRows(
+      db,
+      "SELECT name, type FROM sqlite_master WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%' ORDER BY name",
+    );
+
+    return {
+      tables: tables.map(({ name, type }) => {
+        const quoted = ResultSet.quoteIdentifier(name, 'sqlite');
+
+        const columns = queryRows(db, `PRAGMA table_info(${quoted})`).map(column => ({
+          name: column.name,
+          type: column.type || null,
+          nullable: !column.notnull && !column.pk,
+          primaryKey: column.pk > 0,
+        }));
+
+        const indexes = type === 'table'
+          ? queryRows(db, `PRAGMA index_list(${quoted})`).map(index => ({
+            name: index.name,
+            columns: queryRows(db, `PRAGMA index_info(${ResultSet.quoteIdentifier(index.name, 'sqlite')})`)
+              .map(column => column.name ?? '<expression>'),
+            unique: Boolean(index.unique),
+          }))
+          : [];
+
+        const rowCount = type === 'table' ? Number(db.exec(`SELECT COUNT(*) FROM ${quoted}`)[0].values[0][0]) : null;
+
+        return { name, schema: null, type, rowCount, columns, indexes };
+      }),
+    };
+  }
+
+  /**
+   * Build a schema from rows of information_schema-style queries
+   *
+   * @param {Object} rows - Query rows as plain objects
+   * @param {Array<{schema: string, name: string, type: string}>} rows.tables - Tables and views
+   *   (`type` is e.g. 'BASE TABLE' or 'VIEW')
+   * @param {Array<{schema: string, table: string, name: string, type: string, nullable: boolean}>} [rows.columns] -
+   *   Columns, in order
+   * @param {Array<{schema: string, table: string, column: string}>} [rows.primaryKeys] - Primary key columns
+   * @param {Array<{schema: string, table: string, name: string, unique: boolean, columns: Array<string>}>} [rows.indexes] -
+   *   Indexes
+   * @param {string} defaultSchema - Schema whose tables are named without it (e.g. 'public')
+   * @returns {{tables: Array<Object>}} Schema, without row counts
+   */
+  static build({ tables, columns = [], primaryKeys = [], indexes = [] }, defaultSchema) {
+    const belongsTo = (table) => (row) => row.schema === table.schema && row.table === table.name;
+
+    return {
+      tables: tables.map((table) => {
+        const keys = new Set(primaryKeys.filter(belongsTo(table)).map(key => key.column));
+
+        return {
+          name: table.name,
+          schema: table.schema === defaultSchema ? null : table.schema,
+          type: /view/i.test(table.type) ? 'view' : 'table',
+          rowCount: null,
+          columns: columns.filter(belongsTo(table)).map(column => ({
+            name: column.name,
+            type: column.type || null,
+            nullable: column.nullable && !keys.has(column.name),
+            primaryKey: keys.has(column.name),
+          })),
+          indexes: indexes.filter(belongsTo(table)).map(index => ({
+            name: index.name,
+            columns: index.columns,
+            unique: Boolean(index.unique),
+          })),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Columns of a CREATE INDEX statement
+   *
+   * @param {string} sql - e.g. `CREATE UNIQUE INDEX i ON public.t USING btree (a, lower(b) DESC)`
+   * @returns {Array<string>} e.g. `['a', 'lower(b)']`
+   */
+  static parseIndexColumns(sql) {
+    const on = (sql || '').search(/\bon\b/i);
+    const open = on === -1 ? -1 : sql.indexOf('(', on);
+    if (open === -1) return [];
+
+    const columns = [];
+    let current = '';
+    let depth = 0;
+    for (const char of sql.slice(open + 1)) {
+      if (char === '(') depth++;
+      if (char === ')' && depth-- === 0) break;
+
+      if (char === ',' && depth === 0) {
+        columns.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    columns.push(current);
+
+    return columns
+      .map(column => unquote(column.trim().replace(/\s+(?:asc|desc)(?:\s+nulls\s+(?:first|last))?$/i, '')))
+      .filter(Boolean);
+  }
+
+  /**
+   * A table's name as written in a dialect's SQL, qualified outside the
+   * default schema
+   *
+   * @param {{name: string, schema: (string|null)}} table - Table
+   * @param {string} dialect - 'sqlite', 'duckdb', 'postgresql' or 'mysql'
+   * @returns {string}
+   */
+  static getQualifiedName(table, dialect) {
+    return [table.schema, table.name]
+      .filter(Boolean)
+      .map(name => ResultSet.quoteIdentifier(name, dialect))
+      .join('.');
+  }
+
+  /**
+   * The query the explorer generates for a table
+   *
+   * @param {{name: string, schema: (string|null)}} table - Table or view
+   * @param {string} dialect - 'sqlite', 'duckdb', 'postgresql' or 'mysql'
+   * @returns {string} e.g. `SELECT * FROM "users" LIMIT 100;`
+   */
+  static selectQuery(table, dialect) {
+    return `SELECT * FROM ${DatabaseSchema.getQualifiedName(table, dialect)} LIMIT ${SELECT_LIMIT};`;
+  }
+
+  /**
+   * Find a table by its name as written in SQL
+   *
+   * @param {{tables: Array<Object>}} schema - Schema
+   * @param {string} name - Possibly qualified, quoted name
+   * @returns {Object|null} Table
+   */
+  static findTable(schema, name) {
+    const parts = splitName(name).map(part => part.toLowerCase());
+    const [schemaName, tableName] = parts.length > 1 ? parts.slice(-2) : [null, parts[0]];
+
+    return schema.tables.find(table => table.name.toLowerCase() === tableName
+      && (schemaName === null || (table.schema || '').toLowerCase() === schemaName)) || null;
+  }
+
+  /**
+   * Names to suggest while typing SQL
+   *
+   * After `alias.` or `table.` these are the table's columns and after
+   * `schema.` its tables. Otherwise they are every table and the columns of
+   * the tables the statement names (or of all tables if it names none);
+   * tables come first after FROM, JOIN, INTO and UPDATE.
+   *
+   * @param {{tables: Array<Object>}} schema - Schema
+   * @param {string} text - SQL being edited
+   * @param {number} [offset] - Cursor offset (default: the end)
+   * @param {string} [dialect='sqlite'] - How names that need quotes are inserted
+   * @returns {Array<{label: string, kind: string, detail: string, insertText: string, sortText: string}>}
+   *   `kind` is 'table', 'view', 'column' or 'schema'
+   */
+  static getCompletions(schema, text, offset = text.length, dialect = 'sqlite') {
+    const before = text.slice(0, offset);
+    const qualifier = before.match(/(?:("(?:[^"]|"")+"|`[^`]+`|[\w$]+)\.)?[\w$]*$/)[1];
+    const insertText = (name) => (/^[A-Za-z_][\w$]*$/.test(name) ? name : ResultSet.quoteIdentifier(name, dialect));
+
+    // The statement around the cursor, and the tables it names by name or alias
+    const statementEnd = text.indexOf(';', offset);
+    const statement = text.slice(before.lastIndexOf(';') + 1, statementEnd === -1 ? undefined : statementEnd);
+    const referenced = new Map();
+    for (const [, name, alias] of statement.matchAll(TABLE_REFERENCE)) {
+      const table = DatabaseSchema.findTable(schema, name);
+      if (!table) continue;
+
+      referenced.set(table.name.toLowerCase(), table);
+      if (alias && !NOT_ALIASES.has(alias.toLowerCase())) referenced.set(alias.toLowerCase(), table);
+    }
+
+    const tableItem = (table, sortText) => ({
+      label: table.name,
+      kind: table.type,
+      detail: table.type === 'view'
+        ? 'view'
+        : `table${table.rowCount === null ? '' : ` · ${table.rowCount} row${table.rowCount === 1 ? '' : 's'}`}`,
+      insertText: insertText(table.name),
+      sortText,
+    });
+
+    const columnItems = (tables, sortText) => {
+      const items = new Map();
+      tables.forEach((table) => {
+        table.columns.forEach((column) => {
+          const item = items.get(column.name);
+          if (item) {
+            item.detail += `, ${table.name}`;
+          } else {
+            items.set(column.name, {
+              label: column.name,
+              kind: 'column',
+              detail: `${column.type || 'column'} · ${table.name}`,
+              insertText: insertText(column.name),
+              sortText,
+            });
+          }
+        });
+      });
+      return [...items.values()];
+    };
+
+    if (qualifier) {
+      const name = unquote(qualifier);
+      const table = referenced.get(name.toLowerCase()) || DatabaseSchema.findTable(schema, qualifier);
+      if (table) return columnItems([table], '0');
+
+      return schema.tables
+        .filter(candidate => (candidate.schema || '').toLowerCase() === name.toLowerCase())
+        .map(candidate => tableItem(candidate, '0'));
+    }
+
+    const expectsTable = /\b(?:from|join|into|update)\s+[\w$]*$/i.test(before);
+    const tables = [...new Set(referenced.values())];
+    const schemas = [...new Set(schema.tables.map(table => table.schema).filter(Boolean))];
+
+    return [
+      ...schema.tables.map(table => tableItem(table, expectsTable ? '0' : '1')),
+      ...schemas.map(name => ({ label: name, kind: 'schema', detail: 'schema', insertText: insertText(name), sortText: '2' })),
+      ...columnItems(tables.length > 0 ? tables : schema.tables, expectsTable ? '1' : '0'),
+    ];
+  }
+}
@@ -10,6 +10,12 @@
  * - Full SQL support with advanced analytics
  * - Fast aggregations and joins
  * - Parquet, CSV, JSON import/export
+ * - Dropped or uploaded CSV, TSV, Parquet, JSON and XLSX files registered
+ *   for queries by name (SELECT * FROM 'sales.csv')
+ * - Named databases saved as files in the origin private file system (OPFS),
+ *   downloadable as .duckdb files
+ * - Query results shown in a result grid (see ResultSet); the rows the grid
+ *   shows are exportable as Parquet
  *
  * WASM Library: @duckdb/duckdb-wasm
  * Size: ~5MB
@@ -17,6 +23,22 @@
  */
 
 import BaseRuntime from '../BaseRuntime.js';
+import ResultSet from './ResultSet.js';
+import DatabaseSchema from './DatabaseSchema.js';
+import DataImport from './DataImport.js';
+import DatabaseStore from '../../storage/DatabaseStore.js';
+
+// Scratch file in DuckDB's virtual file system for Parquet exports
+const PARQUET_EXPORT_FILE = 'drlee-export.parquet';
+
+// In-memory database attached while a Parquet export copies rows into it
+const PARQUET_EXPORT_DATABASE = 'drlee_export';
+
+// Scratch database file that exportDatabase() copies the database into
+const DATABASE_EXPORT_FILE = 'drlee-export.duckdb';
+
+// Prefix of the saved databases' files in the origin private file system
+const DATABASE_FILE_PREFIX = 'drlee-';
 
 export default class DuckDBRuntime extends BaseRuntime {
   constructor(config = {}) {
@@ -29,6 +51,9 @@ export default class DuckDBRuntime extends BaseRuntime {
     this.db = null;
     this.conn = null;
     this.duckdb = null;
+    this.databases = this.config.databases || new DatabaseStore();
+    this.databaseName = null; // Name of the open saved database; null in memory
+    this.resultBatches = new WeakMap(); // Result set -> {schema, batches}, for Parquet exports
   }
 
   /**
@@ -74,7 +99,8 @@ export default class DuckDBRuntime extends BaseRuntime {
 
       this.log('✓ DuckDB runtime loaded successfully!', 'success');
       this.log('  DuckDB version: 1.28.0', 'info');
-      this.log('  Database created in memory', 'info');
+
+      await this.openActiveDatabase();
     } catch (error) {
       this.loading = false;
       const errorMsg = `Failed to load DuckDB runtime: ${error.message}`;
@@ -102,6 +128,7 @@ export default class DuckDBRuntime extends BaseRuntime {
       results: [],
       executionTime: 0,
       error: null,
+      diagnostics: [],
     };
 
     try {
@@ -112,48 +139,77 @@ export default class DuckDBRuntime extends BaseRuntime {
       this.log('', 'stdout');
 
       // Execute each statement
+      let searchFrom = 0;
       for (const sql of statements) {
         if (!sql.trim()) continue;
 
+        // Where the statement is in the code, for error locations
+        const start = code.indexOf(sql.slice(0, -1), searchFrom);
+        if (start !== -1) searchFrom = start + sql.length - 1;
+
+        this.throwIfAborted(options.signal);
+
         try {
-          const queryResult = await this.conn.query(sql);
-          const resultData = {
-            sql: sql.trim(),
-            columns: [],
-            values: [],
-            rowCount: 0,
-          };
-
-          // Get column names
-          if (queryResult.schema && queryResult.schema.fields) {
-            resultData.columns = queryResult.schema.fields.map((field) => field.name);
+          // send() (unlike query()) can be cancelled with cancelSent()
+          const reader = await this.conn.send(sql);
+          const batches = [];
+          for await (const batch of reader) {
+            batches.push(batch);
           }
 
+          // Column names and Arrow types
+          const fields = reader.schema?.fields || [];
+          const columns = fields.map((field) => field.name);
+
           // Get rows
-          const rows = queryResult.toArray();
-          resultData.values = rows.map((row) => {
-            return resultData.columns.map((col) => row[col]);
-          });
+          const rows = batches.flatMap((batch) => batch.toArray());
+          const values = rows.map((row) => columns.map((col) => row[col]));
+
+          // INSERT, UPDATE and DELETE report the rows they changed as a `Count` column
+          const changed = /^(?:\s*--[^\n]*\n)*\s*(?:insert|update|delete)\b/i.test(sql)
+            && columns.length === 1 && columns[0] === 'Count';
+
+          const resultData = changed
+            ? ResultSet.create(sql.trim(), [], [])
+            : ResultSet.create(sql.trim(), columns, values, fields.map((field) => String(field.type)));
           resultData.rowCount = rows.length;
+          if (changed) resultData.affectedRows = Number(values[0]?.[0] ?? 0);
 
-          // Display results
-          this.displayQueryResult(resultData);
+          if (!changed) {
+            this.resultBatches.set(resultData, { schema: reader.schema, batches });
+          }
+
+          this.logQueryResult(resultData);
           result.results.push(resultData);
         } catch (stmtError) {
+          this.throwIfAborted(options.signal);
+
           // Statement error - log but continue
           this.logError(`Error in statement: ${stmtError.message}`);
           this.log(`  SQL: ${sql}`, 'error');
+          result.diagnostics.push(this.getStatementDiagnostic(stmtError, code, sql, start));
         }
       }
 
-      result.success = true;
+      const display = ResultSet.toDisplay('duckdb', result.results);
+      if (display) this.display(ResultSet.MIME_TYPE, display);
+
+      await this.saveDatabase();
+
+      // Failed statements do not stop the others, but the run failed
+      const failed = result.diagnostics.length;
+      result.success = failed === 0;
       result.executionTime = performance.now() - startTime;
 
       this.log('', 'stdout');
-      this.log(
-        `✓ Executed ${statements.length} statement(s) in ${result.executionTime.toFixed(2)}ms`,
-        'success'
-      );
+      if (failed > 0) {
+        result.error = new Error(`${failed} of ${statements.length} statement(s) failed`);
+      } else {
+        this.log(
+          `✓ Executed ${statements.length} statement(s) in ${result.executionTime.toFixed(2)}ms`,
+          'success'
+        );
+      }
     } catch (error) {
       result.success = false;
       result.error = error;
@@ -166,6 +222,17 @@ export default class DuckDBRuntime extends BaseRuntime {
     return result;
   }
 
+  /**
+   * Cancel the query that is currently running in the DuckDB worker
+   */
+  interrupt() {
+    if (this.conn) {
+      this.conn.cancelSent().catch((error) => {
+        console.error('Failed to cancel DuckDB query:', error);
+      });
+    }
+  }
+
   /**
    * Parse SQL code into individual statements
    *
@@ -194,64 +261,21 @@ export default class DuckDBRuntime extends BaseRuntime {
   }
 
   /**
-   * Display query results in a formatted table
+   * Log a statement and what it did; its rows are shown in the result grid
    *
-   * @param {object} queryResult - Query result object
+   * @param {object} queryResult - Query result object (see ResultSet.create())
    */
-  displayQueryResult(queryResult) {
+  logQueryResult(queryResult) {
     const { sql, columns, values } = queryResult;
 
-    // Show SQL statement
     this.log(`SQL: ${sql}`, 'info');
-
-    // If no results, show affected rows or success message
-    if (values.length === 0) {
-      if (sql.toUpperCase().includes('SELECT')) {
-        this.log('  (0 rows returned)', 'stdout');
-      } else {
-        this.log('  ✓ OK', 'success');
-      }
-      this.log('', 'stdout');
-      return;
-    }
-
-    // Display results as a table
-    this.log('', 'stdout');
-
-    // Calculate column widths
-    const colWidths = columns.map((col, i) => {
-      const maxValWidth = Math.max(
-        ...values.map((row) => String(row[i] ?? '').length)
-      );
-      return Math.max(col.length, maxValWidth, 10);
-    });
-
-    // Header row
-    const headerRow = columns
-      .map((col, i) => col.padEnd(colWidths[i]))
-      .join(' | ');
-    this.log(`  ${headerRow}`, 'stdout');
-
-    // Separator
-    const separator = colWidths.map((w) => '-'.repeat(w)).join('-+-');
-    this.log(`  ${separator}`, 'stdout');
-
-    // Data rows (limit to 100 rows for display)
-    const displayRows = values.slice(0, 100);
-    displayRows.forEach((row) => {
-      const dataRow = row
-        .map((val, i) => String(val ?? 'NULL').padEnd(colWidths[i]))
-        .join(' | ');
-      this.log(`  ${dataRow}`, 'stdout');
-    });
-
-    if (values.length > 100) {
-      this.log('  ...', 'stdout');
-      this.log(`  (showing first 100 of ${values.length} rows)`, 'info');
+    if (columns.length > 0) {
+      this.log(`  (${values.length} row${values.length === 1 ? '' : 's'} returned)`, 'stdout');
+    } else if (queryResult.affectedRows !== undefined) {
+      this.log(`  ✓ ${queryResult.affectedRows} row${queryResult.affectedRows === 1 ? '' : 's'} affected`, 'success');
+    } else {
+      this.log('  ✓ OK', 'success');
     }
-
-    this.log('', 'stdout');
-    this.log(`  (${values.length} row${values.length === 1 ? '' : 's'})`, 'info');
     this.log('', 'stdout');
   }
 
@@ -267,6 +291,50 @@ export default class DuckDBRuntime extends BaseRuntime {
     return `DuckDB Error:\n${message}`;
   }
 
+  /**
+   * Diagnostic for a statement that failed
+   *
+   * DuckDB quotes the failing line of the statement (`LINE 2: ...`) with a
+   * `^` under the error, or names the token it stopped at; otherwise the
+   * statement's first line is marked.
+   *
+   * @param {Error} error - Statement error
+   * @param {string} code - SQL code that was run
+   * @param {string} sql - The statement (see parseSQLStatements())
+   * @param {number} start - Offset of the statement in the code; -1 if unknown
+   * @returns {Object} Diagnostic (see BaseRuntime.createDiagnostic())
+   */
+  getStatementDiagnostic(error, code, sql, start) {
+    const lines = (error.message || String(error)).split('\n');
+    const message = lines[0];
+    if (start < 0) return BaseRuntime.createDiagnostic(message);
+
+    const text = sql.slice(0, -1);
+    const statementLines = text.split('\n');
+
+    const quoted = lines.findIndex(line => /^LINE \d+: /.test(line));
+    const caret = quoted === -1 ? -1 : (lines[quoted + 1] || '').indexOf('^');
+    if (caret !== -1) {
+      const lineIndex = Number(lines[quoted].match(/^LINE (\d+): /)[1]) - 1;
+      const prefixLength = lines[quoted].indexOf(': ') + 2;
+      if (lineIndex < statementLines.length && !lines[quoted].includes('...')) {
+        const lineOffset = statementLines.slice(0, lineIndex).reduce((offset, line) => offset + line.length + 1, 0);
+        const position = BaseRuntime.positionAt(code, start + lineOffset + Math.max(0, caret - prefixLength));
+        return BaseRuntime.createDiagnostic(message, position);
+      }
+    }
+
+    const token = message.match(/near "(.+?)"/)?.[1];
+    const tokenOffset = token ? text.indexOf(token) : -1;
+    if (tokenOffset !== -1 && !token.includes('\n')) {
+      const position = BaseRuntime.positionAt(code, start + tokenOffset);
+      return BaseRuntime.createDiagnostic(message, { ...position, endColumn: position.column + token.length });
+    }
+
+    const position = BaseRuntime.positionAt(code, start);
+    return BaseRuntime.createDiagnostic(message, { ...position, endColumn: position.column + statementLines[0].length });
+  }
+
   /**
    * Get list of tables in database
    *
@@ -307,6 +375,53 @@ export default class DuckDBRuntime extends BaseRuntime {
     }
   }
 
+  /**
+   * Describe the database's tables and views, for the database explorer and
+   * SQL completion
+   *
+   * @returns {Promise<{tables: Array<Object>}>} Schema (see DatabaseSchema)
+   */
+  async getSchema() {
+    if (!this.conn) {
+      return { tables: [] };
+    }
+
+    const rows = async (sql) => (await this.conn.query(sql)).toArray().map((row) => row.toJSON());
+
+    const schema = DatabaseSchema.build({
+      tables: await rows(`
+        SELECT table_schema AS "schema", table_name AS "name", table_type AS "type"
+        FROM information_schema.tables
+        WHERE table_catalog = current_database()
+        ORDER BY table_schema, table_name
+      `),
+      columns: await rows(`
+        SELECT table_schema AS "schema", table_name AS "table", column_name AS "name",
+          data_type AS "type", is_nullable = 'YES' AS "nullable"
+        FROM information_schema.columns
+        WHERE table_catalog = current_database()
+        ORDER BY table_schema, table_name, ordinal_position
+      `),
+      primaryKeys: await rows(`
+        SELECT schema_name AS "schema", table_name AS "table", unnest(constraint_column_names) AS "column"
+        FROM duckdb_constraints()
+        WHERE constraint_type = 'PRIMARY KEY' AND database_name = current_database()
+      `),
+      indexes: (await rows(`
+        SELECT schema_name AS "schema", table_name AS "table", index_name AS "name", is_unique AS "unique", sql
+        FROM duckdb_indexes()
+        WHERE database_name = current_database()
+      `)).map((index) => ({ ...index, columns: DatabaseSchema.parseIndexColumns(index.sql) })),
+    }, 'main');
+
+    for (const table of schema.tables.filter((entry) => entry.type === 'table')) {
+      const [row] = await rows(`SELECT COUNT(*) AS "count" FROM ${DatabaseSchema.getQualifiedName(table, 'duckdb')}`);
+      table.rowCount = Number(row.count);
+    }
+
+    return schema;
+  }
+
   /**
    * Insert CSV data into a table
    *
@@ -348,6 +463,241 @@ export default class DuckDBRuntime extends BaseRuntime {
     }
   }
 
+  /**
+   * Export rows of a result set from a run as a Parquet file
+   *
+   * The statement is not run again: the Arrow data it returned is copied
+   * into an in-memory database with the row numbers of the rows to export,
+   * keeping its column types, and the rows are written from there.
+   *
+   * @param {Object} result - Result set of this runtime's last runs (see ResultSet)
+   * @param {Array<Array<*>>} [rows] - Rows of the result set to export, in order
+   * @returns {Promise<Uint8Array>} Parquet file
+   */
+  async exportParquet(result, rows = result.values) {
+    const data = this.resultBatches.get(result);
+    if (!this.conn || !data) {
+      throw new Error('Failed to export Parquet: run the query again first');
+    }
+
+    const { Table, tableFromArrays } = await import('apache-arrow');
+    const numbers = new Map(result.values.map((row, index) => [row, index]));
+    const picks = tableFromArrays({
+      position: Int32Array.from(rows, (row, index) => index),
+      row: Int32Array.from(rows, row => numbers.get(row)),
+    });
+
+    const database = PARQUET_EXPORT_DATABASE;
+    try {
+      await this.conn.query(`ATTACH ':memory:' AS ${database};`);
+      const table = new Table(data.schema, data.batches);
+      await this.conn.insertArrowTable(table, { schema: database, name: 'result', create: true });
+      await this.conn.insertArrowTable(picks, { schema: database, name: 'picks', create: true });
+      await this.conn.query(`
+        COPY (
+          SELECT result.* FROM ${database}.picks JOIN ${database}.result ON result.rowid = picks.row
+          ORDER BY picks.position
+        ) TO '${PARQUET_EXPORT_FILE}' (FORMAT PARQUET);
+      `);
+      return await this.db.copyFileToBuffer(PARQUET_EXPORT_FILE);
+    } catch (error) {
+      throw new Error(`Failed to export Parquet: ${error.message}`);
+    } finally {
+      await this.conn.query(`DETACH DATABASE IF EXISTS ${database};`).catch(() => {});
+      await this.db.dropFile(PARQUET_EXPORT_FILE).catch(() => {});
+    }
+  }
+
+  /**
+   * Register a data file so queries can read it by name:
+   * SELECT * FROM 'sales.csv'
+   * DuckDB reads CSV, TSV, Parquet and JSON files itself; the first
+   * worksheet of an XLSX file is registered as CSV instead.
+   *
+   * @param {string} fileName - File name
+   * @param {Uint8Array} data - File contents
+   * @returns {Promise<string>} Name to query the file by
+   */
+  async registerFile(fileName, data) {
+    if (!this.db) {
+      throw new Error('No database connection');
+    }
+
+    const format = DataImport.getFormat(fileName);
+    if (!format) {
+      throw new Error(`Unsupported file type: ${fileName}`);
+    }
+
+    let name = fileName.split(/[\\/]/).pop();
+    let buffer = data;
+    if (format === 'xlsx') {
+      const table = await DataImport.read(name, data);
+      name = name.replace(/\.xlsx$/i, '.csv');
+      buffer = new TextEncoder().encode(ResultSet.toCSV({ columns: table.columns, values: table.rows }));
+    }
+
+    await this.db.dropFile(name).catch(() => {});
+    await this.db.registerFileBuffer(name, buffer);
+    this.log(`✓ Registered ${name}: SELECT * FROM '${name}'`, 'success');
+    return name;
+  }
+
+  /**
+   * Names of the saved databases
+   *
+   * @returns {string[]}
+   */
+  listDatabases() {
+    return this.databases.list('duckdb');
+  }
+
+  /**
+   * Name of the open database
+   *
+   * @returns {string|null} Null for an in-memory database
+   */
+  getDatabaseName() {
+    return this.databaseName;
+  }
+
+  /**
+   * Switch to a saved database, creating it if it is new, or to a new
+   * in-memory database
+   *
+   * @param {string|null} name - Database name, or null for an in-memory database
+   * @returns {Promise<void>}
+   */
+  async openDatabase(name) {
+    if (!this.db) {
+      throw new Error('DuckDB runtime not loaded. Call load() first.');
+    }
+    if (name !== null) {
+      DatabaseStore.validateName(name);
+      if (!navigator.storage?.getDirectory) {
+        throw new Error('This browser cannot save DuckDB databases (no origin private file system)');
+      }
+    }
+
+    await this.conn.close();
+    try {
+      await this.db.open({
+        path: name === null ? ':memory:' : this.getDatabasePath(name),
+        accessMode: this.duckdb.DuckDBAccessMode.READ_WRITE,
+      });
+    } catch (error) {
+      // Fall back to memory, so the runtime stays usable
+      await this.db.open({ path: ':memory:' });
+      this.conn = await this.db.connect();
+      this.databaseName = null;
+      throw new Error(`Failed to open database: ${error.message}`);
+    }
+    this.conn = await this.db.connect();
+
+    this.databaseName = name;
+    this.databases.setActive('duckdb', name);
+
+    if (name === null) {
+      this.log('✓ Switched to a new in-memory database', 'success');
+    } else {
+      this.log(`✓ Opened database "${name}" (saved in the browser's private file system)`, 'success');
+    }
+  }
+
+  /**
+   * Delete a saved database and its files
+   * The runtime switches to an in-memory database if it is the open one.
+   *
+   * @param {string} name - Database name
+   * @returns {Promise<void>}
+   */
+  async deleteDatabase(name) {
+    if (name === this.databaseName) {
+      await this.openDatabase(null);
+    }
+
+    const path = this.getDatabasePath(name);
+    await this.db.dropFile(path).catch(() => {});
+
+    const root = await navigator.storage.getDirectory();
+    for (const fileName of [`${DATABASE_FILE_PREFIX}${name}.duckdb`, `${DATABASE_FILE_PREFIX}${name}.duckdb.wal`]) {
+      await root.removeEntry(fileName).catch(() => {});
+    }
+
+    this.databases.remove('duckdb', name);
+  }
+
+  /**
+   * Write the open saved database's changes to its file
+   * Nothing is written for an in-memory database.
+   *
+   * @returns {Promise<void>}
+   */
+  async saveDatabase() {
+    if (!this.databaseName) return;
+
+    try {
+      await this.conn.query('CHECKPOINT;');
+    } catch (error) {
+      this.logError(`Could not save database "${this.databaseName}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Copy the open database into a DuckDB database file, for downloading
+   *
+   * @returns {Promise<Uint8Array>} .duckdb file
+   */
+  async exportDatabase() {
+    if (!this.conn) {
+      throw new Error('No database connection');
+    }
+
+    try {
+      const [{ name }] = (await this.conn.query('SELECT current_database() AS "name";')).toArray().map((row) => row.toJSON());
+      await this.conn.query(`ATTACH '${DATABASE_EXPORT_FILE}' AS drlee_export;`);
+      await this.conn.query(`COPY FROM DATABASE ${ResultSet.quoteIdentifier(name, 'duckdb')} TO drlee_export;`);
+      await this.conn.query('DETACH drlee_export;');
+      return await this.db.copyFileToBuffer(DATABASE_EXPORT_FILE);
+    } catch (error) {
+      throw new Error(`Failed to export database: ${error.message}`);
+    } finally {
+      await this.conn.query('DETACH DATABASE IF EXISTS drlee_export;').catch(() => {});
+      await this.db.dropFile(DATABASE_EXPORT_FILE).catch(() => {});
+      await this.db.dropFile(`${DATABASE_EXPORT_FILE}.wal`).catch(() => {});
+    }
+  }
+
+  /**
+   * Open the database that was open on the last visit
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async openActiveDatabase() {
+    const name = this.databases.getActive('duckdb');
+    if (name) {
+      try {
+        await this.openDatabase(name);
+        return;
+      } catch (error) {
+        this.logError(`Could not open database "${name}": ${error.message}`);
+      }
+    }
+
+    this.log('  Database created in memory', 'info');
+  }
+
+  /**
+   * Path of a saved database's file
+   *
+   * @private
+   * @param {string} name - Database name
+   * @returns {string}
+   */
+  getDatabasePath(name) {
+    return `opfs://${DATABASE_FILE_PREFIX}${name}.duckdb`;
+  }
+
   /**
    * Dispose of database and free resources
    */
@@ -363,6 +713,7 @@ export default class DuckDBRuntime extends BaseRuntime {
         this.db = null;
       }
 
+      this.databaseName = null;
       this.duckdb = null;
       this.loaded = false;
       this.log('DuckDB runtime disposed', 'info');
@@ -393,7 +744,7 @@ export default class DuckDBRuntime extends BaseRuntime {
         'Advanced analytics functions',
       ],
       limitations: [
-        'In-memory only (no persistent storage by default)',
+        'Saved databases need a browser with the origin private file system',
         'Limited to browser memory',
         'Larger bundle size than SQLite',
       ],
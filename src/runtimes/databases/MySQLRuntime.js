@@ -3,8 +3,11 @@
  *
  * Uses SQL.js (SQLite) with MySQL compatibility mode for basic MySQL queries.
  * Note: This is NOT a full MySQL implementation - it's SQLite with MySQL-like syntax support.
+ * Query results are shown in a result grid (see ResultSet).
  */
 import BaseRuntime from '../BaseRuntime.js';
+import ResultSet from './ResultSet.js';
+import DatabaseSchema from './DatabaseSchema.js';
 
 export default class MySQLRuntime extends BaseRuntime {
   constructor(config = {}) {
@@ -142,49 +145,16 @@ export default class MySQLRuntime extends BaseRuntime {
         output.push('Some MySQL-specific features may not be supported.');
         output.push('');
       } else {
-        // Query returned results (SELECT)
+        // Query returned results (SELECT) - shown in the result grid
         results.forEach((resultSet, idx) => {
-          const { columns, values } = resultSet;
-
-          output.push('==================================================');
-          output.push(`Result Set ${idx + 1}`);
-          output.push('==================================================');
-          output.push('');
-
-          if (values.length === 0) {
-            output.push('Empty result set (no rows returned)');
-          } else {
-            // Calculate column widths
-            const colWidths = columns.map((col, colIdx) => {
-              const maxValueWidth = Math.max(
-                ...values.map(row => String(row[colIdx] || '').length)
-              );
-              return Math.max(col.length, maxValueWidth, 3);
-            });
-
-            // Header
-            const headerRow = columns.map((col, idx) =>
-              col.padEnd(colWidths[idx])
-            ).join(' | ');
-
-            const separator = colWidths.map(w => '-'.repeat(w)).join('-+-');
-
-            output.push(headerRow);
-            output.push(separator);
-
-            // Data rows
-            values.forEach(row => {
-              const dataRow = row.map((cell, idx) =>
-                String(cell === null ? 'NULL' : cell).padEnd(colWidths[idx])
-              ).join(' | ');
-              output.push(dataRow);
-            });
-
-            output.push('');
-            output.push(`${values.length} row(s) returned`);
-          }
-          output.push('');
+          const { values } = resultSet;
+          output.push(`Result Set ${idx + 1}: ${values.length} row(s) returned`);
         });
+
+        const display = ResultSet.toDisplay('mysql', results.map(({ columns, values }) => (
+          ResultSet.create(code.trim(), columns, values)
+        )));
+        if (display) this.display(ResultSet.MIME_TYPE, display);
       }
 
       result.output = output.join('\n');
@@ -205,6 +175,20 @@ export default class MySQLRuntime extends BaseRuntime {
     return result;
   }
 
+  /**
+   * Describe the database's tables and views, for the database explorer and
+   * SQL completion
+   *
+   * @returns {Promise<{tables: Array<Object>}>} Schema (see DatabaseSchema)
+   */
+  async getSchema() {
+    if (!this.db) {
+      return { tables: [] };
+    }
+
+    return DatabaseSchema.readSQLite(this.db);
+  }
+
   /**
    * Dispose of MySQL runtime
    */
@@ -4,8 +4,80 @@
  * PGLite is a WASM Postgres build packaged into a TypeScript client library
  * that enables you to run Postgres in the browser, Node.js and Bun, with no
  * need to install any other dependencies.
+ *
+ * Query results are shown in a result grid (see ResultSet). Named databases
+ * are saved in IndexedDB (PGLite's `idb://` storage). CSV, TSV, JSON and XLSX
+ * files can be imported into tables (see DataImport).
  */
 import BaseRuntime from '../BaseRuntime.js';
+import ResultSet from './ResultSet.js';
+import DatabaseSchema from './DatabaseSchema.js';
+import DataImport from './DataImport.js';
+import DatabaseStore from '../../storage/DatabaseStore.js';
+
+// Prefix of the saved databases' data directories (IndexedDB `/pglite/<dir>`)
+const DATABASE_DIR_PREFIX = 'drlee-';
+
+// Names of common PostgreSQL types by OID (pg_type), for result grid headers
+const TYPE_NAMES = {
+  16: 'boolean',
+  17: 'bytea',
+  18: 'char',
+  19: 'name',
+  20: 'bigint',
+  21: 'smallint',
+  23: 'integer',
+  25: 'text',
+  26: 'oid',
+  114: 'json',
+  700: 'real',
+  701: 'double precision',
+  1042: 'char',
+  1043: 'varchar',
+  1082: 'date',
+  1083: 'time',
+  1114: 'timestamp',
+  1184: 'timestamptz',
+  1186: 'interval',
+  1700: 'numeric',
+  2950: 'uuid',
+  3802: 'jsonb',
+};
+
+/**
+ * Split SQL at semicolons outside quotes, comments and dollar-quoted bodies
+ *
+ * @param {string} code - SQL code
+ * @returns {Array<string>} Statements without their semicolons
+ */
+function splitStatements(code) {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  while (i < code.length) {
+    const rest = code.slice(i);
+    const skipped = rest.match(/^(?:'(?:[^']|'')*'|"(?:[^"]|"")*"|--[^\n]*|\/\*[\s\S]*?\*\/|(\$\w*\$)[\s\S]*?\1)/);
+
+    if (skipped) {
+      current += skipped[0];
+      i += skipped[0].length;
+    } else if (code[i] === ';') {
+      statements.push(current);
+      current = '';
+      i++;
+    } else {
+      current += code[i];
+      i++;
+    }
+  }
+  statements.push(current);
+
+  // Drop leading comments, and pieces that hold nothing else
+  return statements
+    .map(statement => statement.replace(/^(?:\s*(?:--[^\n]*|\/\*[\s\S]*?\*\/))*\s*/, '').trim())
+    .filter(Boolean);
+}
 
 export default class PostgreSQLRuntime extends BaseRuntime {
   constructor(config = {}) {
@@ -14,7 +86,10 @@ export default class PostgreSQLRuntime extends BaseRuntime {
       ...config,
     });
 
+    this.PGlite = null;
     this.db = null;
+    this.databases = this.config.databases || new DatabaseStore();
+    this.databaseName = null; // Name of the open saved database; null in memory
   }
 
   /**
@@ -32,9 +107,10 @@ export default class PostgreSQLRuntime extends BaseRuntime {
 
       // Dynamically import PGLite
       const { PGlite } = await import('@electric-sql/pglite');
+      this.PGlite = PGlite;
 
-      // Initialize in-memory database
-      this.db = new PGlite();
+      // Open the saved database of the last visit, or an in-memory one
+      await this.openActiveDatabase();
 
       this.loaded = true;
       this.loading = false;
@@ -52,7 +128,7 @@ export default class PostgreSQLRuntime extends BaseRuntime {
    *
    * @param {string} code - SQL query to execute
    * @param {Object} options - Execution options
-   * @returns {Promise<{success: boolean, output: string, returnValue: any, error: Error|null, executionTime: number}>}
+   * @returns {Promise<{success: boolean, output: string, results: Array<Object>, returnValue: any, error: Error|null, executionTime: number}>}
    */
   async execute(code, options = {}) {
     if (!this.loaded) {
@@ -64,36 +140,62 @@ export default class PostgreSQLRuntime extends BaseRuntime {
     let result = {
       success: true,
       output: '',
+      results: [],
       returnValue: undefined,
       error: null,
       executionTime: 0,
+      diagnostics: [],
     };
 
     try {
-      // Execute SQL query
-      const queryResult = await this.db.query(code);
-
-      // Format output
-      if (queryResult.rows && queryResult.rows.length > 0) {
-        // Query returned rows - format as table
-        result.output = this.formatTable(queryResult.rows, queryResult.fields);
-        result.returnValue = queryResult.rows;
-      } else if (queryResult.affectedRows !== undefined) {
+      // exec() runs every statement and returns a result for each
+      const queryResults = await this.db.exec(code, { rowMode: 'array' });
+
+      // PGLite runs the query to completion inside its WASM backend and
+      // cannot be interrupted (so interrupt() is not overridden and the IDE
+      // says the query keeps running); a stopped run's result is discarded
+      this.throwIfAborted(options.signal);
+
+      // Statement text of each result, when the code splits into as many
+      const statements = splitStatements(code);
+      const texts = statements.length === queryResults.length ? statements : null;
+
+      result.results = queryResults.map((queryResult, index) => ResultSet.create(
+        texts ? texts[index] : code.trim(),
+        (queryResult.fields || []).map(field => field.name),
+        queryResult.rows || [],
+        (queryResult.fields || []).map(field => TYPE_NAMES[field.dataTypeID] || null),
+      ));
+
+      // Output and return value describe the last statement
+      const last = queryResults[queryResults.length - 1];
+      const lastResult = result.results[result.results.length - 1];
+      if (lastResult && lastResult.columns.length > 0) {
+        // Query returned rows - shown in the result grid
+        result.output = `${lastResult.values.length} row(s) in set`;
+        result.returnValue = lastResult.values.map(row => Object.fromEntries(
+          lastResult.columns.map((column, index) => [column, row[index]]),
+        ));
+      } else if (last?.affectedRows !== undefined) {
         // DML query (INSERT, UPDATE, DELETE)
-        result.output = `Query OK, ${queryResult.affectedRows} row(s) affected`;
-        result.returnValue = { affectedRows: queryResult.affectedRows };
+        result.output = `Query OK, ${last.affectedRows} row(s) affected`;
+        result.returnValue = { affectedRows: last.affectedRows };
       } else {
         // DDL query (CREATE, ALTER, DROP)
         result.output = 'Query executed successfully';
         result.returnValue = { success: true };
       }
 
+      const display = ResultSet.toDisplay('postgresql', result.results);
+      if (display) this.display(ResultSet.MIME_TYPE, display);
+
       this.log(result.output, 'stdout');
       result.success = true;
     } catch (error) {
       result.success = false;
       result.error = error;
       result.output = `PostgreSQL Error: ${error.message}`;
+      result.diagnostics = this.getErrorDiagnostics(error, code);
       this.logError(result.output);
     }
 
@@ -104,58 +206,199 @@ export default class PostgreSQLRuntime extends BaseRuntime {
   }
 
   /**
-   * Format query results as ASCII table
+   * Diagnostics for a failed query
+   * PostgreSQL reports where in the query it failed as a 1-based `position`.
    *
-   * @private
-   * @param {Array} rows - Result rows
-   * @param {Array} fields - Field metadata
-   * @returns {string} Formatted table
+   * @param {Error} error - Error from PGlite
+   * @param {string} code - SQL that was run
+   * @returns {Array<Object>} One diagnostic, or none for a stopped query
    */
-  formatTable(rows, fields) {
-    if (!rows || rows.length === 0) {
-      return 'Empty result set';
+  getErrorDiagnostics(error, code) {
+    if (BaseRuntime.isCancellation(error)) return [];
+
+    const position = Number(error.position);
+    const location = position > 0 ? BaseRuntime.positionAt(code, position - 1) : {};
+    return [BaseRuntime.createDiagnostic(error.message, location)];
+  }
+
+  /**
+   * Describe the database's tables and views, for the database explorer and
+   * SQL completion
+   *
+   * @returns {Promise<{tables: Array<Object>}>} Schema (see DatabaseSchema)
+   */
+  async getSchema() {
+    if (!this.db) {
+      return { tables: [] };
     }
 
-    // Get column names
-    const columns = fields ? fields.map(f => f.name) : Object.keys(rows[0]);
+    const rows = async (sql) => (await this.db.query(sql)).rows;
 
-    // Calculate column widths
-    const widths = {};
-    columns.forEach(col => {
-      widths[col] = col.length;
-    });
+    const schema = DatabaseSchema.build({
+      tables: await rows(`
+        SELECT table_schema AS "schema", table_name AS "name", table_type AS "type"
+        FROM information_schema.tables
+        WHERE table_schema NOT IN ('pg_catalog', 'information_schema')
+        ORDER BY table_schema, table_name
+      `),
+      columns: await rows(`
+        SELECT table_schema AS "schema", table_name AS "table", column_name AS "name",
+          data_type AS "type", is_nullable = 'YES' AS "nullable"
+        FROM information_schema.columns
+        WHERE table_schema NOT IN ('pg_catalog', 'information_schema')
+        ORDER BY table_schema, table_name, ordinal_position
+      `),
+      primaryKeys: await rows(`
+        SELECT tc.table_schema AS "schema", tc.table_name AS "table", kcu.column_name AS "column"
+        FROM information_schema.table_constraints tc
+        JOIN information_schema.key_column_usage kcu
+          ON kcu.constraint_schema = tc.constraint_schema AND kcu.constraint_name = tc.constraint_name
+        WHERE tc.constraint_type = 'PRIMARY KEY'
+      `),
+      indexes: (await rows(`
+        SELECT schemaname AS "schema", tablename AS "table", indexname AS "name", indexdef
+        FROM pg_indexes
+        WHERE schemaname NOT IN ('pg_catalog', 'information_schema')
+        ORDER BY indexname
+      `)).map(index => ({
+        ...index,
+        unique: /^CREATE UNIQUE/i.test(index.indexdef),
+        columns: DatabaseSchema.parseIndexColumns(index.indexdef),
+      })),
+    }, 'public');
 
-    rows.forEach(row => {
-      columns.forEach(col => {
-        const value = String(row[col] ?? 'NULL');
-        widths[col] = Math.max(widths[col], value.length);
-      });
-    });
+    for (const table of schema.tables.filter(entry => entry.type === 'table')) {
+      const [row] = await rows(`SELECT COUNT(*) AS "count" FROM ${DatabaseSchema.getQualifiedName(table, 'postgresql')}`);
+      table.rowCount = Number(row.count);
+    }
+
+    return schema;
+  }
+
+  /**
+   * Names of the saved databases
+   *
+   * @returns {string[]}
+   */
+  listDatabases() {
+    return this.databases.list('postgresql');
+  }
+
+  /**
+   * Name of the open database
+   *
+   * @returns {string|null} Null for an in-memory database
+   */
+  getDatabaseName() {
+    return this.databaseName;
+  }
+
+  /**
+   * Switch to a saved database, creating it if it is new, or to a new
+   * in-memory database
+   * PGLite writes a saved database's changes to IndexedDB after each query.
+   *
+   * @param {string|null} name - Database name, or null for an in-memory database
+   * @returns {Promise<void>}
+   */
+  async openDatabase(name) {
+    if (!this.PGlite) {
+      throw new Error('PostgreSQL runtime not loaded. Call load() first.');
+    }
+    if (name !== null) {
+      DatabaseStore.validateName(name);
+    }
 
-    // Build table
-    let output = '';
+    // A data directory can only be open once, so the old database is closed first
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+    }
+
+    const db = new this.PGlite(name === null ? undefined : `idb://${DATABASE_DIR_PREFIX}${name}`);
+    try {
+      await db.waitReady;
+    } catch (error) {
+      this.db = new this.PGlite();
+      this.databaseName = null;
+      throw new Error(`Failed to open database: ${error.message}`);
+    }
 
-    // Header separator
-    const separator = '+' + columns.map(col => '-'.repeat(widths[col] + 2)).join('+') + '+\n';
+    this.db = db;
+    this.databaseName = name;
+    this.databases.setActive('postgresql', name);
 
-    output += separator;
+    if (name === null) {
+      this.log('✓ Switched to a new in-memory database', 'success');
+    } else {
+      this.log(`✓ Opened database "${name}" (saved in the browser's IndexedDB)`, 'success');
+    }
+  }
 
-    // Header row
-    output += '|' + columns.map(col => ` ${col.padEnd(widths[col])} `).join('|') + '|\n';
-    output += separator;
+  /**
+   * Delete a saved database and its data
+   * The runtime switches to an in-memory database if it is the open one.
+   *
+   * @param {string} name - Database name
+   * @returns {Promise<void>}
+   */
+  async deleteDatabase(name) {
+    if (name === this.databaseName) {
+      await this.openDatabase(null);
+    }
 
-    // Data rows
-    rows.forEach(row => {
-      output += '|' + columns.map(col => {
-        const value = String(row[col] ?? 'NULL');
-        return ` ${value.padEnd(widths[col])} `;
-      }).join('|') + '|\n';
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(`/pglite/${DATABASE_DIR_PREFIX}${name}`);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
     });
 
-    output += separator;
-    output += `\n${rows.length} row(s) in set\n`;
+    this.databases.remove('postgresql', name);
+  }
 
-    return output;
+  /**
+   * Create a table from imported rows (see DataImport)
+   * The table is created and filled in one transaction, so a failed
+   * import leaves nothing behind.
+   *
+   * @param {object} table - {name, columns: [{name, type}], rows}
+   * @returns {Promise<void>}
+   */
+  async importTable(table) {
+    if (!this.db) {
+      throw new Error('PostgreSQL runtime not loaded. Call load() first.');
+    }
+
+    try {
+      await this.db.exec(`BEGIN;\n${DataImport.toImportScript(table, 'postgresql')}\nCOMMIT;`);
+    } catch (error) {
+      await this.db.exec('ROLLBACK;').catch(() => {});
+      throw new Error(`Failed to import ${table.name}: ${error.message}`);
+    }
+
+    this.log(`✓ Imported ${table.rows.length} row(s) into ${table.name}`, 'success');
+  }
+
+  /**
+   * Open the database that was open on the last visit, or an in-memory one
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async openActiveDatabase() {
+    const name = this.databases.getActive('postgresql');
+    if (name) {
+      try {
+        await this.openDatabase(name);
+        return;
+      } catch (error) {
+        this.logError(`Could not open database "${name}": ${error.message}`);
+      }
+    }
+
+    if (!this.db) {
+      this.db = new this.PGlite();
+    }
   }
 
   /**
@@ -166,6 +409,8 @@ export default class PostgreSQLRuntime extends BaseRuntime {
       await this.db.close();
       this.db = null;
     }
+    this.databaseName = null;
+    this.PGlite = null;
     this.loaded = false;
     this.log('PostgreSQL runtime disposed', 'info');
   }
@@ -191,7 +436,7 @@ export default class PostgreSQLRuntime extends BaseRuntime {
         'Full-text search',
       ],
       limitations: [
-        'In-memory only (no persistence)',
+        'Saved databases are kept in IndexedDB only (no file download)',
         'Single connection',
         'No extensions support yet',
         'Limited to browser memory',
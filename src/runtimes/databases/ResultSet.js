@@ -0,0 +1,304 @@
+/**
+ * ResultSet - Query results shared by the database runtimes and the result grid
+ *
+ * A result set is `{sql, columns, types, values}`: the statement, its column
+ * names and types, and its rows as arrays of values. Runtimes send a run's
+ * result sets to the output panel with BaseRuntime.display() as
+ * 'application/vnd.drlee.sql-results+json':
+ * `{dialect, exportFormats, results}`.
+ *
+ * Also sorts, filters and exports rows (CSV, JSON, INSERT statements).
+ */
+
+// MIME type of a run's result sets (see BaseRuntime.display())
+const MIME_TYPE = 'application/vnd.drlee.sql-results+json';
+
+// Table name of INSERT scripts when the query's table cannot be told
+const DEFAULT_TABLE_NAME = 'query_result';
+
+// Formats every result set can be exported to
+const EXPORT_FORMATS = ['csv', 'json', 'insert'];
+
+/**
+ * Hex digits of bytes
+ *
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * JSON.stringify replacer for values JSON cannot hold
+ *
+ * @param {string} key - Property name
+ * @param {*} value - Value
+ * @returns {*}
+ */
+function jsonReplacer(key, value) {
+  if (typeof value === 'bigint') {
+    return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+  }
+  if (value instanceof Uint8Array) return toHex(value);
+  return value;
+}
+
+export default class ResultSet {
+  /**
+   * MIME type runtimes display result sets as
+   *
+   * @returns {string}
+   */
+  static get MIME_TYPE() {
+    return MIME_TYPE;
+  }
+
+  /**
+   * Create a result set, inferring the types it is not given
+   *
+   * @param {string} sql - Statement
+   * @param {Array<string>} columns - Column names
+   * @param {Array<Array<*>>} values - Rows
+   * @param {Array<string|null>} [types] - Column types (null where unknown)
+   * @returns {{sql: string, columns: Array<string>, types: Array<string>, values: Array<Array<*>>}}
+   */
+  static create(sql, columns, values, types = []) {
+    return {
+      sql,
+      columns,
+      types: columns.map((column, index) => types[index] || ResultSet.inferType(values, index)),
+      values,
+    };
+  }
+
+  /**
+   * Display data of a run's result sets: those of statements that return
+   * rows (even none), in order
+   *
+   * @param {string} dialect - 'sqlite', 'duckdb', 'postgresql' or 'mysql'
+   * @param {Array<Object>} results - Result sets of every statement
+   * @returns {{dialect: string, exportFormats: Array<string>, results: Array<Object>}|null}
+   *   Null when no statement returned rows
+   */
+  static toDisplay(dialect, results) {
+    const rowResults = results.filter(result => result.columns.length > 0);
+    if (rowResults.length === 0) return null;
+
+    return { dialect, exportFormats: ResultSet.getExportFormats(dialect), results: rowResults };
+  }
+
+  /**
+   * Formats a dialect's result sets can be exported to
+   *
+   * @param {string} dialect - 'sqlite', 'duckdb', 'postgresql' or 'mysql'
+   * @returns {Array<string>} Some of 'csv', 'json', 'insert', 'parquet'
+   */
+  static getExportFormats(dialect) {
+    return dialect === 'duckdb' ? [...EXPORT_FORMATS, 'parquet'] : [...EXPORT_FORMATS];
+  }
+
+  /**
+   * Guess a column's type from its values (for engines that do not report it)
+   *
+   * @param {Array<Array<*>>} values - Rows
+   * @param {number} index - Column index
+   * @returns {string} SQL type name, or 'NULL' if every value is null
+   */
+  static inferType(values, index) {
+    let type = 'NULL';
+
+    for (const row of values) {
+      const value = row[index];
+      if (value === null || value === undefined) continue;
+
+      let valueType;
+      if (typeof value === 'number') valueType = Number.isInteger(value) ? 'INTEGER' : 'REAL';
+      else if (typeof value === 'bigint') valueType = 'BIGINT';
+      else if (typeof value === 'boolean') valueType = 'BOOLEAN';
+      else if (value instanceof Uint8Array) valueType = 'BLOB';
+      else if (value instanceof Date) valueType = 'TIMESTAMP';
+      else if (typeof value === 'object') valueType = 'JSON';
+      else valueType = 'TEXT';
+
+      if (type === 'NULL' || (type === 'INTEGER' && valueType === 'REAL')) {
+        type = valueType;
+      } else if (type !== valueType && !(type === 'REAL' && valueType === 'INTEGER')) {
+        return 'ANY';
+      }
+    }
+
+    return type;
+  }
+
+  /**
+   * Check whether a value is SQL NULL
+   *
+   * @param {*} value - Value
+   * @returns {boolean}
+   */
+  static isNull(value) {
+    return value === null || value === undefined;
+  }
+
+  /**
+   * Text of a value as the grid shows it
+   *
+   * @param {*} value - Value (not NULL)
+   * @returns {string}
+   */
+  static formatValue(value) {
+    if (value instanceof Uint8Array) return `<BLOB ${value.length} bytes>`;
+    if (value instanceof Date) return value.toISOString();
+    if (value !== null && typeof value === 'object') return JSON.stringify(value, jsonReplacer);
+    return String(value);
+  }
+
+  /**
+   * Order two values: numbers by value, other values as text, and NULLs
+   * last in either direction
+   *
+   * @param {*} a - Value
+   * @param {*} b - Value
+   * @param {boolean} [descending=false] - Largest first
+   * @returns {number}
+   */
+  static compareValues(a, b, descending = false) {
+    const aNull = ResultSet.isNull(a);
+    const bNull = ResultSet.isNull(b);
+    if (aNull || bNull) return Number(aNull) - Number(bNull);
+
+    let order;
+    if ((typeof a === 'number' || typeof a === 'bigint') && (typeof b === 'number' || typeof b === 'bigint')) {
+      order = a < b ? -1 : a > b ? 1 : 0;
+    } else if (a instanceof Date && b instanceof Date) {
+      order = a - b;
+    } else {
+      order = ResultSet.formatValue(a).localeCompare(ResultSet.formatValue(b), undefined, { numeric: true });
+    }
+    return descending ? -order : order;
+  }
+
+  /**
+   * Rows containing some text, sorted by a column
+   *
+   * @param {Array<Array<*>>} values - Rows
+   * @param {Object} [options] - View options
+   * @param {string} [options.filter] - Text a cell must contain (case-insensitive; 'null' matches NULLs)
+   * @param {number|null} [options.sortColumn] - Column index to sort by
+   * @param {boolean} [options.descending=false] - Sort largest first
+   * @returns {Array<Array<*>>} New array of the matching rows
+   */
+  static view(values, { filter = '', sortColumn = null, descending = false } = {}) {
+    const needle = filter.trim().toLowerCase();
+    const rows = needle
+      ? values.filter(row => row.some(value => (
+        ResultSet.isNull(value) ? 'null' : ResultSet.formatValue(value).toLowerCase()
+      ).includes(needle)))
+      : [...values];
+
+    if (sortColumn !== null) {
+      rows.sort((a, b) => ResultSet.compareValues(a[sortColumn], b[sortColumn], descending));
+    }
+    return rows;
+  }
+
+  /**
+   * Rows as CSV (RFC 4180); NULLs are empty fields
+   *
+   * @param {Object} result - Result set
+   * @param {Array<Array<*>>} [values] - Rows to export (default: all)
+   * @returns {string}
+   */
+  static toCSV(result, values = result.values) {
+    const field = (value) => {
+      if (ResultSet.isNull(value)) return '';
+      const text = value instanceof Uint8Array ? toHex(value) : ResultSet.formatValue(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [result.columns, ...values]
+      .map(row => row.map(field).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Rows as a JSON array of objects
+   * Large integers become strings and blobs hex strings.
+   *
+   * @param {Object} result - Result set
+   * @param {Array<Array<*>>} [values] - Rows to export (default: all)
+   * @returns {string}
+   */
+  static toJSON(result, values = result.values) {
+    const objects = values.map(row => Object.fromEntries(
+      result.columns.map((column, index) => [column, ResultSet.isNull(row[index]) ? null : row[index]]),
+    ));
+    return `${JSON.stringify(objects, jsonReplacer, 2)}\n`;
+  }
+
+  /**
+   * Rows as INSERT statements, one per row
+   *
+   * @param {Object} result - Result set
+   * @param {Object} [options] - Script options
+   * @param {string} [options.dialect='sqlite'] - How identifiers, booleans and blobs are written
+   * @param {string} [options.tableName] - Table to insert into (default: the one the query reads)
+   * @param {Array<Array<*>>} [options.values] - Rows to export (default: all)
+   * @returns {string}
+   */
+  static toInsertScript(result, { dialect = 'sqlite', tableName = ResultSet.getTableName(result.sql), values = result.values } = {}) {
+    const table = tableName.split('.').map(name => ResultSet.quoteIdentifier(name, dialect)).join('.');
+    const columns = result.columns.map(name => ResultSet.quoteIdentifier(name, dialect)).join(', ');
+
+    return values.map(row => (
+      `INSERT INTO ${table} (${columns}) VALUES (${row.map(value => ResultSet.toSQLLiteral(value, dialect)).join(', ')});`
+    )).join('\n') + (values.length > 0 ? '\n' : '');
+  }
+
+  /**
+   * An identifier quoted for a dialect
+   *
+   * @param {string} name - Table or column name
+   * @param {string} dialect - 'sqlite', 'duckdb', 'postgresql' or 'mysql'
+   * @returns {string}
+   */
+  static quoteIdentifier(name, dialect) {
+    return dialect === 'mysql'
+      ? `\`${name.replace(/`/g, '``')}\``
+      : `"${name.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * A value written as an SQL literal
+   *
+   * @param {*} value - Value
+   * @param {string} dialect - 'sqlite', 'duckdb', 'postgresql' or 'mysql'
+   * @returns {string}
+   */
+  static toSQLLiteral(value, dialect) {
+    if (ResultSet.isNull(value)) return 'NULL';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : `'${value}'`;
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'boolean') {
+      if (dialect === 'sqlite') return value ? '1' : '0';
+      return value ? 'TRUE' : 'FALSE';
+    }
+    if (value instanceof Uint8Array) {
+      return dialect === 'postgresql' ? `'\\x${toHex(value)}'::bytea` : `X'${toHex(value)}'`;
+    }
+    return `'${ResultSet.formatValue(value).replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * The table a query reads from, for naming exports
+   *
+   * @param {string} sql - Statement
+   * @returns {string} Table name, or 'query_result'
+   */
+  static getTableName(sql) {
+    const match = (sql || '').match(/\bfrom\s+((?:"[^"]+"|`[^`]+`|[\w$]+)(?:\.(?:"[^"]+"|`[^`]+`|[\w$]+))?)/i);
+    if (!match) return DEFAULT_TABLE_NAME;
+    return match[1].replace(/["`]/g, '');
+  }
+}
@@ -7,7 +7,10 @@
  * - Full SQLite 3.x support
  * - In-browser SQL query execution
  * - Table creation and management
- * - Data persistence (via export/import)
+ * - Named databases saved as snapshots in the file store (databases/*.sqlite)
+ * - Opening and saving .sqlite files (via export/import)
+ * - Importing CSV, TSV, JSON and XLSX files into tables (see DataImport)
+ * - Query results shown in a result grid (see ResultSet)
  * - Lightweight (2MB WASM)
  *
  * WASM Library: sql.js
@@ -16,6 +19,27 @@
  */
 
 import BaseRuntime from '../BaseRuntime.js';
+import ResultSet from './ResultSet.js';
+import DatabaseSchema from './DatabaseSchema.js';
+import DataImport from './DataImport.js';
+import DatabaseStore from '../../storage/DatabaseStore.js';
+
+// Folder of the saved databases' snapshots in the file store
+const DATABASE_FOLDER = 'databases';
+
+// MIME type of SQLite database files
+const SQLITE_MIME_TYPE = 'application/vnd.sqlite3';
+
+// Per-connection PRAGMAs that sql.js's export() loses by reopening the database
+const CONNECTION_PRAGMAS = [
+  'foreign_keys',
+  'recursive_triggers',
+  'ignore_check_constraints',
+  'reverse_unordered_selects',
+  'automatic_index',
+  'cache_size',
+  'temp_store',
+];
 
 export default class SQLiteRuntime extends BaseRuntime {
   constructor(config = {}) {
@@ -27,6 +51,8 @@ export default class SQLiteRuntime extends BaseRuntime {
 
     this.SQL = null;
     this.db = null;
+    this.databases = this.config.databases || new DatabaseStore();
+    this.databaseName = null; // Name of the open saved database; null in memory
   }
 
   /**
@@ -51,7 +77,8 @@ export default class SQLiteRuntime extends BaseRuntime {
       this.loading = false;
       this.log('✓ SQLite runtime loaded successfully!', 'success');
       this.log('  SQLite version: 3.x', 'info');
-      this.log('  Database created in memory', 'info');
+
+      await this.openActiveDatabase();
     } catch (error) {
       this.loading = false;
       const errorMsg = `Failed to load SQLite runtime: ${error.message}`;
@@ -122,6 +149,7 @@ export default class SQLiteRuntime extends BaseRuntime {
       results: [],
       executionTime: 0,
       error: null,
+      diagnostics: [],
     };
 
     try {
@@ -132,37 +160,42 @@ export default class SQLiteRuntime extends BaseRuntime {
       this.log('', 'stdout');
 
       // Execute each statement
+      let searchFrom = 0;
       for (const sql of statements) {
         if (!sql.trim()) continue;
 
+        // Where the statement is in the code, for error locations
+        const start = code.indexOf(sql.slice(0, -1), searchFrom);
+        if (start !== -1) searchFrom = start + sql.length - 1;
+
         try {
           const stmt = this.db.prepare(sql);
-          const queryResult = {
-            sql: sql.trim(),
-            columns: [],
-            values: [],
-          };
+          const columns = stmt.getColumnNames();
+          const values = [];
 
           // Execute and collect results
           while (stmt.step()) {
-            if (queryResult.columns.length === 0) {
-              queryResult.columns = stmt.getColumnNames();
-            }
-            queryResult.values.push(stmt.get());
+            values.push(stmt.get());
           }
 
           stmt.free();
 
-          // Display results
-          this.displayQueryResult(queryResult);
+          const queryResult = ResultSet.create(sql.trim(), columns, values);
+          this.logQueryResult(queryResult);
           result.results.push(queryResult);
         } catch (stmtError) {
           // Statement error - log but continue
           this.logError(`Error in statement: ${stmtError.message}`);
           this.log(`  SQL: ${sql}`, 'error');
+          result.diagnostics.push(this.getStatementDiagnostic(stmtError, code, sql, start));
         }
       }
 
+      const display = ResultSet.toDisplay('sqlite', result.results);
+      if (display) this.display(ResultSet.MIME_TYPE, display);
+
+      await this.saveDatabase();
+
       result.success = true;
       result.executionTime = performance.now() - startTime;
 
@@ -211,58 +244,19 @@ export default class SQLiteRuntime extends BaseRuntime {
   }
 
   /**
-   * Display query results in a formatted table
+   * Log a statement and what it did; its rows are shown in the result grid
    *
-   * @param {object} queryResult - Query result object
+   * @param {object} queryResult - Query result object (see ResultSet.create())
    */
-  displayQueryResult(queryResult) {
+  logQueryResult(queryResult) {
     const { sql, columns, values } = queryResult;
 
-    // Show SQL statement
     this.log(`SQL: ${sql}`, 'info');
-
-    // If no results, show affected rows or success message
-    if (values.length === 0) {
-      if (sql.toUpperCase().startsWith('SELECT')) {
-        this.log('  (0 rows returned)', 'stdout');
-      } else {
-        this.log('  ✓ OK', 'success');
-      }
-      this.log('', 'stdout');
-      return;
+    if (columns.length > 0) {
+      this.log(`  (${values.length} row${values.length === 1 ? '' : 's'} returned)`, 'stdout');
+    } else {
+      this.log('  ✓ OK', 'success');
     }
-
-    // Display results as a table
-    this.log('', 'stdout');
-
-    // Calculate column widths
-    const colWidths = columns.map((col, i) => {
-      const maxValWidth = Math.max(
-        ...values.map((row) => String(row[i] ?? '').length)
-      );
-      return Math.max(col.length, maxValWidth, 10);
-    });
-
-    // Header row
-    const headerRow = columns
-      .map((col, i) => col.padEnd(colWidths[i]))
-      .join(' | ');
-    this.log(`  ${headerRow}`, 'stdout');
-
-    // Separator
-    const separator = colWidths.map((w) => '-'.repeat(w)).join('-+-');
-    this.log(`  ${separator}`, 'stdout');
-
-    // Data rows
-    values.forEach((row) => {
-      const dataRow = row
-        .map((val, i) => String(val ?? 'NULL').padEnd(colWidths[i]))
-        .join(' | ');
-      this.log(`  ${dataRow}`, 'stdout');
-    });
-
-    this.log('', 'stdout');
-    this.log(`  (${values.length} row${values.length === 1 ? '' : 's'})`, 'info');
     this.log('', 'stdout');
   }
 
@@ -278,6 +272,35 @@ export default class SQLiteRuntime extends BaseRuntime {
     return `SQLite Error:\n${message}`;
   }
 
+  /**
+   * Diagnostic for a statement that failed
+   *
+   * SQLite names the token it stopped at (`near "FROM": syntax error`), which
+   * is marked; otherwise the statement's first line is.
+   *
+   * @param {Error} error - Statement error
+   * @param {string} code - SQL code that was run
+   * @param {string} sql - The statement (see parseSQLStatements())
+   * @param {number} start - Offset of the statement in the code; -1 if unknown
+   * @returns {Object} Diagnostic (see BaseRuntime.createDiagnostic())
+   */
+  getStatementDiagnostic(error, code, sql, start) {
+    const message = (error.message || String(error)).split('\n')[0];
+    if (start < 0) return BaseRuntime.createDiagnostic(message);
+
+    const text = sql.slice(0, -1);
+    const token = message.match(/near "(.+?)"/)?.[1];
+    const tokenOffset = token ? text.indexOf(token) : -1;
+
+    if (tokenOffset !== -1 && !token.includes('\n')) {
+      const position = BaseRuntime.positionAt(code, start + tokenOffset);
+      return BaseRuntime.createDiagnostic(message, { ...position, endColumn: position.column + token.length });
+    }
+
+    const position = BaseRuntime.positionAt(code, start);
+    return BaseRuntime.createDiagnostic(message, { ...position, endColumn: position.column + text.split('\n')[0].length });
+  }
+
   /**
    * Export database to binary array
    *
@@ -288,7 +311,31 @@ export default class SQLiteRuntime extends BaseRuntime {
       throw new Error('No database loaded');
     }
 
-    return this.db.export();
+    return this.snapshotDatabase();
+  }
+
+  /**
+   * Export the database, keeping its connection settings
+   * sql.js's export() closes and reopens the database, which resets
+   * PRAGMAs such as foreign_keys; they are read first and set again.
+   *
+   * @private
+   * @returns {Uint8Array} Database binary data
+   */
+  snapshotDatabase() {
+    const pragmas = CONNECTION_PRAGMAS.map((name) => {
+      const [result] = this.db.exec(`PRAGMA ${name}`);
+      return [name, result ? result.values[0][0] : null];
+    });
+
+    const data = this.db.export();
+
+    for (const [name, value] of pragmas) {
+      if (value !== null) {
+        this.db.run(`PRAGMA ${name} = ${Number(value)}`);
+      }
+    }
+    return data;
   }
 
   /**
@@ -317,6 +364,177 @@ export default class SQLiteRuntime extends BaseRuntime {
     this.log('✓ Database reset successfully', 'success');
   }
 
+  /**
+   * Names of the saved databases
+   *
+   * @returns {string[]}
+   */
+  listDatabases() {
+    return this.databases.list('sqlite');
+  }
+
+  /**
+   * Name of the open database
+   *
+   * @returns {string|null} Null for an in-memory database
+   */
+  getDatabaseName() {
+    return this.databaseName;
+  }
+
+  /**
+   * Switch to a saved database, creating it if it is new, or to a new
+   * in-memory database
+   *
+   * @param {string|null} name - Database name, or null for an in-memory database
+   * @param {object} [options] - Options
+   * @param {Uint8Array} [options.data] - SQLite file to start from, replacing
+   *   what is saved under the name
+   * @returns {Promise<void>}
+   */
+  async openDatabase(name, options = {}) {
+    if (!this.SQL) {
+      throw new Error('SQLite runtime not loaded. Call load() first.');
+    }
+    if (name !== null) {
+      DatabaseStore.validateName(name);
+      if (!this.fileManager) {
+        throw new Error('Saved databases need the file store');
+      }
+    }
+
+    let data = options.data || null;
+    const saved = name !== null && await this.fileManager.stat(this.getDatabasePath(name));
+    if (saved && !data) {
+      data = await this.fileManager.readFile(this.getDatabasePath(name), { encoding: 'binary' });
+    }
+
+    // sql.js opens anything; the first query tells whether it is SQLite
+    const db = new this.SQL.Database(data);
+    try {
+      db.exec('SELECT COUNT(*) FROM sqlite_master');
+    } catch (error) {
+      db.close();
+      throw new Error(`Not a SQLite database: ${error.message}`);
+    }
+
+    if (this.db) {
+      this.db.close();
+    }
+    this.db = db;
+    this.databaseName = name;
+    this.databases.setActive('sqlite', name);
+
+    if (name === null) {
+      this.log('✓ Switched to a new in-memory database', 'success');
+      return;
+    }
+
+    if (!saved || options.data) {
+      await this.saveDatabase();
+    }
+    this.log(`✓ Opened database "${name}" (saved as ${this.getDatabasePath(name)})`, 'success');
+  }
+
+  /**
+   * Delete a saved database and its snapshot
+   * The runtime switches to an in-memory database if it is the open one.
+   *
+   * @param {string} name - Database name
+   * @returns {Promise<void>}
+   */
+  async deleteDatabase(name) {
+    if (name === this.databaseName) {
+      await this.openDatabase(null);
+    }
+
+    const entry = this.fileManager && await this.fileManager.stat(this.getDatabasePath(name));
+    if (entry?.type === 'file') {
+      await this.fileManager.deleteFile(entry.file.id);
+      this.notifyFilesChanged();
+    }
+
+    this.databases.remove('sqlite', name);
+  }
+
+  /**
+   * Write the open saved database's snapshot to the file store
+   * Nothing is written for an in-memory database.
+   *
+   * @returns {Promise<void>}
+   */
+  async saveDatabase() {
+    if (!this.databaseName || !this.fileManager) return;
+
+    try {
+      await this.fileManager.writeFile(this.getDatabasePath(this.databaseName), this.snapshotDatabase(), {
+        mimeType: SQLITE_MIME_TYPE,
+      });
+      this.notifyFilesChanged();
+    } catch (error) {
+      this.logError(`Could not save database "${this.databaseName}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a table from imported rows (see DataImport)
+   * The table is created and filled in one transaction, so a failed
+   * import leaves nothing behind.
+   *
+   * @param {object} table - {name, columns: [{name, type}], rows}
+   * @returns {Promise<void>}
+   */
+  async importTable(table) {
+    if (!this.db) {
+      throw new Error('No database loaded');
+    }
+
+    try {
+      this.db.exec(`BEGIN;\n${DataImport.toImportScript(table, 'sqlite')}\nCOMMIT;`);
+    } catch (error) {
+      try {
+        this.db.exec('ROLLBACK;');
+      } catch {
+        // The failed statement already ended the transaction
+      }
+      throw new Error(`Failed to import ${table.name}: ${error.message}`);
+    }
+
+    this.log(`✓ Imported ${table.rows.length} row(s) into ${table.name}`, 'success');
+    await this.saveDatabase();
+  }
+
+  /**
+   * Open the database that was open on the last visit
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async openActiveDatabase() {
+    const name = this.databases.getActive('sqlite');
+    if (name) {
+      try {
+        await this.openDatabase(name);
+        return;
+      } catch (error) {
+        this.logError(`Could not open database "${name}": ${error.message}`);
+      }
+    }
+
+    this.log('  Database created in memory', 'info');
+  }
+
+  /**
+   * Path of a saved database's snapshot in the file store
+   *
+   * @private
+   * @param {string} name - Database name
+   * @returns {string}
+   */
+  getDatabasePath(name) {
+    return `${DATABASE_FOLDER}/${name}.sqlite`;
+  }
+
   /**
    * Get list of tables in database
    *
@@ -365,6 +583,20 @@ export default class SQLiteRuntime extends BaseRuntime {
     return schema;
   }
 
+  /**
+   * Describe the database's tables and views, for the database explorer and
+   * SQL completion
+   *
+   * @returns {Promise<{tables: Array<Object>}>} Schema (see DatabaseSchema)
+   */
+  async getSchema() {
+    if (!this.db) {
+      return { tables: [] };
+    }
+
+    return DatabaseSchema.readSQLite(this.db);
+  }
+
   /**
    * Dispose of database and free resources
    */
@@ -374,6 +606,7 @@ export default class SQLiteRuntime extends BaseRuntime {
       this.db = null;
     }
 
+    this.databaseName = null;
     this.SQL = null;
     this.loaded = false;
     this.log('SQLite runtime disposed', 'info');
@@ -391,7 +624,7 @@ export default class SQLiteRuntime extends BaseRuntime {
       size: '~2MB',
       features: [
         'Full SQLite 3 support',
-        'In-memory database',
+        'In-memory or saved databases',
         'Import/export support',
         'All standard SQL operations',
         'Transactions',
@@ -400,8 +633,8 @@ export default class SQLiteRuntime extends BaseRuntime {
         'Triggers',
       ],
       limitations: [
-        'No persistent storage by default (memory only)',
-        'Single database per runtime',
+        'Saved databases are written back after each run',
+        'Single open database per runtime',
         'No concurrent access',
         'Limited to browser memory',
       ],
@@ -66,6 +66,9 @@ export default class BasicRuntime extends BaseRuntime {
     };
 
     try {
+      // wwwbasic does not implement INPUT, so input is collected up front
+      const source = await this.prepareInput(code);
+
       // Capture output
       let outputBuffer = [];
 
@@ -87,7 +90,7 @@ export default class BasicRuntime extends BaseRuntime {
       try {
         // Execute BASIC code using the Basic function
         // wwwbasic.Basic() is a function, not a constructor
-        await this.Basic(code);
+        await this.Basic(source);
       } finally {
         // Restore original console
         console.log = originalConsole;
@@ -115,6 +118,91 @@ export default class BasicRuntime extends BaseRuntime {
     return result;
   }
 
+  /**
+   * Collect values for the program's INPUT statements and rewrite them
+   *
+   * wwwbasic parses INPUT but never assigns anything, and runs the program
+   * synchronously, so input cannot be requested mid-run. Instead every
+   * INPUT becomes a READ from DATA appended to the program: pre-supplied
+   * stdin lines are used as-is (covering INPUT inside loops); otherwise the
+   * user is asked once per INPUT variable before the program starts.
+   *
+   * @private
+   * @param {string} code - BASIC source
+   * @returns {Promise<string>} Source with INPUT statements rewritten
+   */
+  async prepareInput(code) {
+    const statements = [];
+    this.rewriteInputStatements(code, (statement) => {
+      statements.push(statement);
+      return '';
+    });
+
+    if (statements.length === 0) {
+      return code;
+    }
+
+    const values = this.stdinLines.splice(0);
+    const interactive = values.length === 0;
+
+    if (interactive) {
+      // BASIC shows "??" when asking for the remaining variables of one INPUT
+      const prompts = statements.flatMap(statement =>
+        statement.variables.map((_, i) => (i === 0 ? statement.displayPrompt : '?? '))
+      );
+
+      for (const prompt of prompts) {
+        const line = await this.readLine(prompt);
+        if (line === null) break;
+        values.push(line);
+      }
+    }
+
+    // Prompts were already shown next to the input field when asking
+    const source = this.rewriteInputStatements(code, (statement) => {
+      const read = `READ ${statement.variables.join(', ')}`;
+      return interactive ? read : `PRINT "${statement.displayPrompt}": ${read}`;
+    });
+
+    if (values.length === 0) {
+      return source;
+    }
+
+    const data = values.map(value => `"${value.replace(/"/g, "'")}"`).join(', ');
+    return `${source}\nDATA ${data}\n`;
+  }
+
+  /**
+   * Replace each INPUT statement (outside string literals) with the text
+   * returned by the callback
+   *
+   * @private
+   * @param {string} code - BASIC source
+   * @param {Function} replacer - Callback({ prompt, displayPrompt, variables }) returning replacement text
+   * @returns {string} Rewritten source
+   */
+  rewriteInputStatements(code, replacer) {
+    const pattern = /(^\s*\d*\s*|:\s*|\bTHEN\s+|\bELSE\s+)(?:LINE\s+)?INPUT\b\s*;?\s*(?:"([^"]*)"\s*([;,])\s*)?((?:(?!\bELSE\b)[^:\n])*)/gim;
+
+    return code.replace(pattern, (match, prefix, prompt, separator, variableList, offset) => {
+      // Skip matches inside string literals (odd number of quotes before)
+      const lineStart = code.lastIndexOf('\n', offset) + 1;
+      const quotes = (code.slice(lineStart, offset).match(/"/g) || []).length;
+      const variables = variableList.split(',').map(v => v.trim()).filter(Boolean);
+
+      if (quotes % 2 === 1 || variables.length === 0) {
+        return match;
+      }
+
+      const displayPrompt = prompt === undefined
+        ? '? '
+        : `${prompt}${separator === ';' ? '? ' : ''}`;
+
+      const trailing = variableList.match(/\s*$/)[0];
+      return prefix + replacer({ prompt, displayPrompt, variables }) + trailing;
+    });
+  }
+
   /**
    * Dispose of BASIC runtime
    */
@@ -149,7 +237,7 @@ export default class BasicRuntime extends BaseRuntime {
       ],
       limitations: [
         'No graphics commands (yet)',
-        'Limited INPUT support',
+        'INPUT values are collected before the program starts',
         'No file I/O',
         'Single program at a time',
       ],
@@ -4,6 +4,7 @@
  * Provides a visual programming interface using Google Blockly.
  */
 import BaseRuntime from '../BaseRuntime.js';
+import WorkerSandbox from '../sandbox/WorkerSandbox.js';
 
 export default class BlocklyRuntime extends BaseRuntime {
   constructor(config = {}) {
@@ -14,6 +15,7 @@ export default class BlocklyRuntime extends BaseRuntime {
 
     this.Blockly = null;
     this.workspace = null;
+    this.sandbox = null;
   }
 
   /**
@@ -73,22 +75,23 @@ export default class BlocklyRuntime extends BaseRuntime {
       // Generate JavaScript code
       const jsCode = this.Blockly.JavaScript.workspaceToCode(workspace);
 
-      // Capture output
-      let output = [];
-      const originalLog = console.log;
-
-      console.log = (...args) => {
-        output.push(args.map(a => String(a)).join(' '));
-      };
+      // Clean up workspace
+      workspace.dispose();
 
-      // Execute generated JavaScript
-      const returnValue = eval(jsCode);
+      // Execute generated JavaScript in a disposable worker
+      let output = [];
+      this.sandbox = new WorkerSandbox();
 
-      // Restore console
-      console.log = originalLog;
+      // Blockly's print block calls window.alert(), which workers don't have
+      const sandboxCode = `var window = { alert: (message) => console.log(String(message)) };\n${jsCode}`;
 
-      // Clean up workspace
-      workspace.dispose();
+      const { returnValue } = await this.sandbox.run(sandboxCode, {
+        timeout: options.timeout || 0,
+        signal: options.signal,
+        onConsole: (level, text) => {
+          output.push(text);
+        },
+      });
 
       result.output = [
         '==================================================',
@@ -111,6 +114,8 @@ export default class BlocklyRuntime extends BaseRuntime {
       result.error = error;
       result.output = `Error: ${error.message}\n\nBlockly XML parsing or execution failed.\nCheck XML format and try again.`;
       this.logError(result.output);
+    } finally {
+      this.sandbox = null;
     }
 
     const endTime = performance.now();
@@ -119,10 +124,22 @@ export default class BlocklyRuntime extends BaseRuntime {
     return result;
   }
 
+  /**
+   * Stop the running program by terminating its worker
+   *
+   * @param {Error} reason - Why execution is being stopped
+   */
+  interrupt(reason) {
+    if (this.sandbox) {
+      this.sandbox.stop(reason);
+    }
+  }
+
   /**
    * Dispose of Blockly runtime
    */
   async dispose() {
+    this.interrupt();
     if (this.workspace) {
       this.workspace.dispose();
       this.workspace = null;
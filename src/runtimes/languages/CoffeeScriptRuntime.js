@@ -5,6 +5,7 @@
  * It adds syntactic sugar inspired by Ruby, Python and Haskell.
  */
 import BaseRuntime from '../BaseRuntime.js';
+import WorkerSandbox from '../sandbox/WorkerSandbox.js';
 
 export default class CoffeeScriptRuntime extends BaseRuntime {
   constructor(config = {}) {
@@ -14,6 +15,7 @@ export default class CoffeeScriptRuntime extends BaseRuntime {
     });
 
     this.CoffeeScript = null;
+    this.sandbox = null;
   }
 
   /**
@@ -75,63 +77,46 @@ export default class CoffeeScriptRuntime extends BaseRuntime {
       this.log('Compiled to JavaScript:', 'info');
       this.log(compiledJS, 'debug');
 
-      // Capture console output
-      let consoleOutput = [];
-      const originalConsoleLog = console.log;
-      const originalConsoleError = console.error;
-      const originalConsoleWarn = console.warn;
-
-      console.log = (...args) => {
-        const text = args.map(arg =>
-          typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-        ).join(' ');
-        consoleOutput.push(text);
-        this.log(text, 'stdout');
-      };
-
-      console.error = (...args) => {
-        const text = args.map(arg =>
-          typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-        ).join(' ');
-        consoleOutput.push(`Error: ${text}`);
-        this.logError(text);
-      };
-
-      console.warn = (...args) => {
-        const text = args.map(arg =>
-          typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-        ).join(' ');
-        consoleOutput.push(`Warning: ${text}`);
-        this.log(text, 'warning');
-      };
-
-      try {
-        // Execute compiled JavaScript
-        const returnValue = eval(compiledJS);
-
-        result.returnValue = returnValue;
-
-        // Build output
-        if (consoleOutput.length > 0) {
-          result.output = consoleOutput.join('\n');
-        } else if (returnValue !== undefined) {
-          result.output = String(returnValue);
-        } else {
-          result.output = 'Execution completed';
-        }
-
-        result.success = true;
-      } finally {
-        // Restore console
-        console.log = originalConsoleLog;
-        console.error = originalConsoleError;
-        console.warn = originalConsoleWarn;
+      // Run the compiled JavaScript in a disposable worker
+      const consoleOutput = [];
+      this.sandbox = new WorkerSandbox();
+
+      const { returnValue, display } = await this.sandbox.run(compiledJS, {
+        timeout: options.timeout || 0,
+        signal: options.signal,
+        onConsole: (level, text) => {
+          if (level === 'error') {
+            consoleOutput.push(`Error: ${text}`);
+            this.logError(text);
+          } else if (level === 'warn') {
+            consoleOutput.push(`Warning: ${text}`);
+            this.log(text, 'warning');
+          } else {
+            consoleOutput.push(text);
+            this.log(text, 'stdout');
+          }
+        },
+      });
+
+      result.returnValue = returnValue;
+
+      // Build output
+      if (consoleOutput.length > 0) {
+        result.output = consoleOutput.join('\n');
+      } else if (display !== undefined) {
+        result.output = display;
+      } else {
+        result.output = 'Execution completed';
       }
+
+      result.success = true;
     } catch (error) {
       result.success = false;
       result.error = error;
       result.output = `CoffeeScript Error: ${error.message}`;
       this.logError(result.output);
+    } finally {
+      this.sandbox = null;
     }
 
     const endTime = performance.now();
@@ -140,10 +125,22 @@ export default class CoffeeScriptRuntime extends BaseRuntime {
     return result;
   }
 
+  /**
+   * Stop the running program by terminating its worker
+   *
+   * @param {Error} reason - Why execution is being stopped
+   */
+  interrupt(reason) {
+    if (this.sandbox) {
+      this.sandbox.stop(reason);
+    }
+  }
+
   /**
    * Dispose of CoffeeScript runtime
    */
   async dispose() {
+    this.interrupt();
     this.CoffeeScript = null;
     this.loaded = false;
     this.log('CoffeeScript runtime disposed', 'info');
@@ -5,6 +5,19 @@
  */
 import BaseRuntime from '../BaseRuntime.js';
 
+/**
+ * Offset of a pattern's nth match in the code
+ *
+ * @param {string} code - HTML code
+ * @param {RegExp} pattern - Pattern to find (without the g flag)
+ * @param {number} occurrence - 0-based match to return
+ * @returns {number|undefined}
+ */
+function findOffset(code, pattern, occurrence = 0) {
+  const matches = [...code.matchAll(new RegExp(pattern.source, `${pattern.flags}g`))];
+  return matches[occurrence]?.index;
+}
+
 export default class HTMLRuntime extends BaseRuntime {
   constructor(config = {}) {
     super('html', {
@@ -14,6 +27,9 @@ export default class HTMLRuntime extends BaseRuntime {
 
     // HTML runtime is always loaded (native browser support)
     this.loaded = true;
+
+    // html-validate, loaded on first validate()
+    this.validator = null;
   }
 
   /**
@@ -42,6 +58,7 @@ export default class HTMLRuntime extends BaseRuntime {
       returnValue: undefined,
       error: null,
       executionTime: 0,
+      diagnostics: [],
     };
 
     try {
@@ -64,6 +81,7 @@ export default class HTMLRuntime extends BaseRuntime {
 
       // Check for common issues
       const issues = this.checkHTMLIssues(code, doc);
+      result.diagnostics = this.getIssueDiagnostics(code, issues);
 
       // Build output
       const output = [
@@ -173,6 +191,67 @@ export default class HTMLRuntime extends BaseRuntime {
     return result;
   }
 
+  /**
+   * Check HTML for markup errors (unclosed or misnested elements, duplicate
+   * ids, ...) with html-validate, and for the issues checkHTMLIssues() finds
+   * (used for validation as you type)
+   *
+   * @param {string} code - HTML code
+   * @returns {Promise<Array<Object>>} Diagnostics (see BaseRuntime.createDiagnostic())
+   */
+  async validate(code) {
+    const doc = new DOMParser().parseFromString(code, 'text/html');
+    const diagnostics = this.getIssueDiagnostics(code, this.checkHTMLIssues(code, doc));
+
+    try {
+      const validator = await this.getValidator();
+      const report = await validator.validateString(code);
+      const messages = report.results.flatMap(fileResult => fileResult.messages);
+      diagnostics.unshift(...messages.map(message => BaseRuntime.createDiagnostic(message.message, {
+        line: message.line,
+        column: message.column,
+        endColumn: message.column + (message.size || 1),
+        severity: message.severity === 2 ? 'error' : 'warning',
+      })));
+    } catch (error) {
+      console.warn('[HTMLRuntime] html-validate failed:', error.message);
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Get html-validate, loading it the first time
+   *
+   * @private
+   * @returns {Promise<Object>} HtmlValidate instance
+   */
+  getValidator() {
+    if (!this.validator) {
+      this.validator = import('html-validate')
+        .then(({ HtmlValidate }) => new HtmlValidate({ extends: ['html-validate:standard'] }))
+        .catch((error) => {
+          this.validator = null;
+          throw error;
+        });
+    }
+    return this.validator;
+  }
+
+  /**
+   * Diagnostics for the issues checkHTMLIssues() found
+   *
+   * @param {string} code - HTML code
+   * @param {Array<Object>} issues - Issues
+   * @returns {Array<Object>} Diagnostics (see BaseRuntime.createDiagnostic())
+   */
+  getIssueDiagnostics(code, issues) {
+    return issues.map(issue => BaseRuntime.createDiagnostic(issue.message, {
+      ...BaseRuntime.positionAt(code, issue.offset ?? 0),
+      severity: issue.severity,
+    }));
+  }
+
   /**
    * Analyze HTML structure
    *
@@ -225,7 +304,7 @@ export default class HTMLRuntime extends BaseRuntime {
    *
    * @param {string} code - HTML code
    * @param {Document} doc - Parsed HTML document
-   * @returns {Array} List of issues found
+   * @returns {Array} List of issues found; `offset` is where the first one is in the code, if known
    */
   checkHTMLIssues(code, doc) {
     const issues = [];
@@ -236,6 +315,7 @@ export default class HTMLRuntime extends BaseRuntime {
       issues.push({
         severity: 'warning',
         message: `${imgsWithoutAlt.length} image(s) missing alt attribute (accessibility issue)`,
+        offset: findOffset(code, /<img\b(?![^>]*\salt\b)[^>]*>/i),
       });
     }
 
@@ -245,6 +325,7 @@ export default class HTMLRuntime extends BaseRuntime {
       issues.push({
         severity: 'warning',
         message: `${linksWithoutHref.length} link(s) missing href attribute`,
+        offset: findOffset(code, /<a\b(?![^>]*\shref\b)[^>]*>/i),
       });
     }
 
@@ -254,6 +335,7 @@ export default class HTMLRuntime extends BaseRuntime {
       issues.push({
         severity: 'warning',
         message: `${inlineStyles.length} element(s) with inline styles (consider using CSS classes)`,
+        offset: findOffset(code, /<[a-z][^>]*\sstyle\s*=/i),
       });
     }
 
@@ -265,6 +347,7 @@ export default class HTMLRuntime extends BaseRuntime {
         issues.push({
           severity: 'warning',
           message: `Deprecated <${tag}> tag found (${found} occurrence${found > 1 ? 's' : ''})`,
+          offset: findOffset(code, new RegExp(`<${tag}\\b`, 'i')),
         });
       }
     });
@@ -275,6 +358,7 @@ export default class HTMLRuntime extends BaseRuntime {
       issues.push({
         severity: 'warning',
         message: `Multiple <h1> tags found (${h1Count}). Best practice: use only one per page`,
+        offset: findOffset(code, /<h1\b/i, 1),
       });
     }
 
@@ -284,22 +368,26 @@ export default class HTMLRuntime extends BaseRuntime {
       issues.push({
         severity: 'warning',
         message: `${formsWithoutMethod.length} form(s) without method attribute`,
+        offset: findOffset(code, /<form\b(?![^>]*\smethod\b)[^>]*>/i),
       });
     }
 
     // Check for inputs without labels
     const inputs = doc.querySelectorAll('input[type="text"], input[type="email"], input[type="password"]');
     let inputsWithoutLabels = 0;
+    let firstUnlabeled = null;
     inputs.forEach(input => {
       const id = input.getAttribute('id');
       if (!id || !doc.querySelector(`label[for="${id}"]`)) {
         inputsWithoutLabels++;
+        firstUnlabeled = firstUnlabeled || input;
       }
     });
     if (inputsWithoutLabels > 0) {
       issues.push({
         severity: 'warning',
         message: `${inputsWithoutLabels} input(s) without associated label (accessibility issue)`,
+        offset: findOffset(code, /<input\b/i, [...doc.getElementsByTagName('input')].indexOf(firstUnlabeled)),
       });
     }
 
@@ -379,6 +467,7 @@ export default class HTMLRuntime extends BaseRuntime {
         'Best practices validation',
         'Deprecated tag detection',
         'Automatic formatting',
+        'Markup checks as you type (html-validate)',
       ],
       limitations: [
         'Basic formatting only',
@@ -42,6 +42,7 @@ export default class JSONRuntime extends BaseRuntime {
       returnValue: undefined,
       error: null,
       executionTime: 0,
+      diagnostics: [],
     };
 
     try {
@@ -103,11 +104,11 @@ export default class JSONRuntime extends BaseRuntime {
       // Try to provide helpful error message with line/column
       let errorMessage = error.message;
       const match = errorMessage.match(/position (\d+)/);
+      const position = match ? parseInt(match[1]) : code.trimEnd().length;
+      const { line, column } = BaseRuntime.positionAt(code, position);
+      result.diagnostics = [BaseRuntime.createDiagnostic(error.message, { line, column })];
+
       if (match) {
-        const position = parseInt(match[1]);
-        const lines = code.substring(0, position).split('\n');
-        const line = lines.length;
-        const column = lines[lines.length - 1].length + 1;
         errorMessage = `${errorMessage}\nAt line ${line}, column ${column}`;
 
         // Show context
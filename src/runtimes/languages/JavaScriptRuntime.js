@@ -1,16 +1,26 @@
 import BaseRuntime from '../BaseRuntime.js';
+import WorkerSandbox from '../sandbox/WorkerSandbox.js';
+import ModuleLinker from '../sandbox/ModuleLinker.js';
 
 /**
  * JavaScriptRuntime - Native JavaScript execution
  *
  * Executes JavaScript code using the browser's built-in JavaScript engine.
  * No WASM loading required - immediate execution.
+ *
+ * Code runs in a disposable Web Worker (see WorkerSandbox) so it cannot
+ * block the UI or reach the IDE's DOM and storage. Environments without
+ * Worker support (e.g. unit tests) fall back to in-thread evaluation.
+ *
+ * When a project's entry point uses import/export, the saved files are
+ * linked into ES modules (see ModuleLinker) and the entry point is imported.
  */
 export default class JavaScriptRuntime extends BaseRuntime {
   constructor(config = {}) {
     super('javascript', config);
     // JavaScript is always available in the browser
     this.loaded = true;
+    this.sandbox = null;
   }
 
   /**
@@ -30,9 +40,16 @@ export default class JavaScriptRuntime extends BaseRuntime {
    * @param {string} code - JavaScript code to execute
    * @param {Object} options - Execution options
    * @param {boolean} options.captureConsole - Capture console.log output (default: true)
+   * @param {number} options.timeout - Milliseconds before sandboxed code is terminated (default: no limit)
+   * @param {AbortSignal} options.signal - Terminates sandboxed code when aborted
+   * @param {Object} options.project - Run as the entry point of the saved files
    * @returns {Promise<{success: boolean, output: string, returnValue: any, error: Error|null, executionTime: number}>}
    */
   async execute(code, options = {}) {
+    if (WorkerSandbox.isSupported()) {
+      return this.executeInSandbox(code, options);
+    }
+
     const { captureConsole = true } = options;
     const startTime = performance.now();
 
@@ -42,6 +59,7 @@ export default class JavaScriptRuntime extends BaseRuntime {
       returnValue: undefined,
       error: null,
       executionTime: 0,
+      diagnostics: [],
     };
 
     try {
@@ -109,9 +127,11 @@ export default class JavaScriptRuntime extends BaseRuntime {
 
       result.success = true;
     } catch (error) {
+      this.locateSyntaxError(error, code);
       result.success = false;
       result.error = error;
       result.output = this.formatError(error);
+      result.diagnostics = this.getErrorDiagnostics(error);
       this.logError(result.output);
     } finally {
       const endTime = performance.now();
@@ -121,6 +141,109 @@ export default class JavaScriptRuntime extends BaseRuntime {
     return result;
   }
 
+  /**
+   * Execute JavaScript code in a disposable worker sandbox
+   *
+   * @private
+   * @param {string} code - JavaScript code to execute
+   * @param {Object} options - Execution options (see execute())
+   * @returns {Promise<{success: boolean, output: string, returnValue: any, error: Error|null, executionTime: number}>}
+   */
+  async executeInSandbox(code, options = {}) {
+    const { captureConsole = true, timeout = 0, signal } = options;
+    const startTime = performance.now();
+
+    let result = {
+      success: true,
+      output: '',
+      returnValue: undefined,
+      error: null,
+      executionTime: 0,
+      diagnostics: [],
+    };
+
+    const consoleOutput = [];
+    let linker = null;
+
+    try {
+      const files = ModuleLinker.hasModuleSyntax(code) ? await this.loadProjectFiles(options.project) : null;
+      if (files) {
+        linker = new ModuleLinker(files, { imports: ModuleLinker.readImportMap(files) });
+      }
+      const source = linker ? linker.link(options.project.entryPoint) : code;
+
+      this.sandbox = new WorkerSandbox();
+      const { returnValue, display } = await this.sandbox.run(source, {
+        module: linker !== null,
+        timeout,
+        signal,
+        onConsole: (level, message) => {
+          if (!captureConsole) return;
+          consoleOutput.push(message);
+          this.logConsole(level, message);
+        },
+      });
+
+      result.returnValue = returnValue;
+
+      if (captureConsole && display !== undefined) {
+        consoleOutput.push(display);
+        this.log(display, 'success');
+      }
+
+      result.output = consoleOutput.join('\n');
+      result.success = true;
+    } catch (error) {
+      if (!linker) this.locateSyntaxError(error, code);
+      result.success = false;
+      result.error = error;
+      result.output = this.formatError(error);
+      // Linked modules run from generated URLs, not the editor's lines
+      result.diagnostics = linker ? [] : this.getErrorDiagnostics(error);
+      this.logError(result.output);
+    } finally {
+      this.sandbox = null;
+      if (linker) linker.revoke();
+      result.executionTime = performance.now() - startTime;
+    }
+
+    return result;
+  }
+
+  /**
+   * Route a console call from sandboxed code to the output callbacks
+   *
+   * @private
+   * @param {string} level - Console method name ('log', 'error', 'warn', 'info', 'debug')
+   * @param {string} message - Formatted message
+   */
+  logConsole(level, message) {
+    switch (level) {
+      case 'error':
+        this.logError(message);
+        break;
+      case 'warn':
+        this.log(`Warning: ${message}`, 'stdout');
+        break;
+      case 'info':
+        this.log(message, 'info');
+        break;
+      default:
+        this.log(message, 'stdout');
+    }
+  }
+
+  /**
+   * Stop the currently running code by terminating its worker
+   *
+   * @param {Error} reason - Why execution is being stopped
+   */
+  interrupt(reason) {
+    if (this.sandbox) {
+      this.sandbox.stop(reason);
+    }
+  }
+
   /**
    * Format error for display
    *
@@ -132,31 +255,108 @@ export default class JavaScriptRuntime extends BaseRuntime {
     let message = `${error.name}: ${error.message}`;
 
     // Extract line number from stack trace if available
-    if (error.stack) {
-      const stackLines = error.stack.split('\n');
-      const errorLine = stackLines.find(line =>
-        line.includes('<anonymous>') || line.includes('eval')
-      );
-
-      if (errorLine) {
-        const match = errorLine.match(/:(\d+):(\d+)/);
-        if (match) {
-          const line = match[1];
-          const col = match[2];
-          message += `\n  at line ${line}, column ${col}`;
-        }
-      }
+    const location = this.getErrorLocation(error);
+    if (location) {
+      message += `\n  at line ${location.line}, column ${location.column}`;
     }
 
     return message;
   }
 
+  /**
+   * Where in the evaluated code an error was thrown
+   *
+   * The frame of evaluated code ends in `<anonymous>:line:column` (V8) or
+   * `> eval:line:column` (Firefox); other frames point into the IDE.
+   *
+   * @private
+   * @param {Error} error - JavaScript error object
+   * @returns {{line: number, column: number}|null}
+   */
+  getErrorLocation(error) {
+    const stackLines = String(error?.stack || '').split('\n');
+
+    for (const stackLine of stackLines) {
+      const matches = [...stackLine.matchAll(/(?:<anonymous>|> eval):(\d+):(\d+)/g)];
+      if (matches.length > 0) {
+        const [, line, column] = matches[matches.length - 1];
+        return { line: Number(line), column: Number(column) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Give a syntax error the location its stack lacks
+   *
+   * Engines report where eval'd code fails to parse only to the console, so
+   * ever longer prefixes of the code are compiled (never run) instead: the
+   * parser stops at the first error, so the first lines that fail with the
+   * same message as the whole code end at the error. Shorter prefixes fail
+   * differently, e.g. at the end of input or an unclosed block. The column
+   * is that of the token the message names, if any.
+   *
+   * @private
+   * @param {Error} error - Error thrown by the evaluated code
+   * @param {string} code - The evaluated code
+   */
+  locateSyntaxError(error, code) {
+    if (error?.name !== 'SyntaxError' || this.getErrorLocation(error)) return;
+
+    const compile = (source) => {
+      try {
+        // eslint-disable-next-line no-new-func
+        new Function(source);
+        return null;
+      } catch (compileError) {
+        return compileError;
+      }
+    };
+
+    const expected = compile(code)?.message;
+    if (expected === undefined) return;
+
+    // A prefix ending inside a block comment is not the error either
+    const fails = source => compile(source)?.message === expected && compile(`${source}*/`)?.message === expected;
+
+    const lines = code.split('\n');
+    let low = 1;
+    let high = lines.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (fails(lines.slice(0, middle).join('\n'))) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+
+    const token = /'([^']+)'/.exec(expected)?.[1];
+    const column = token ? lines[low - 1].indexOf(token) + 1 : 0;
+    error.stack = `${error.name}: ${error.message}\n    at eval (<anonymous>:${low}:${Math.max(column, 1)})`;
+  }
+
+  /**
+   * Diagnostics for an error thrown by the evaluated code
+   *
+   * @param {Error} error - JavaScript error object
+   * @returns {Array<Object>} One diagnostic, or none when the error has no location
+   */
+  getErrorDiagnostics(error) {
+    const location = BaseRuntime.isCancellation(error) ? null : this.getErrorLocation(error);
+    if (!location) return [];
+
+    return [BaseRuntime.createDiagnostic(`${error.name}: ${error.message}`, location)];
+  }
+
   /**
    * Dispose runtime (no cleanup needed for JavaScript)
    *
    * @returns {Promise<void>}
    */
   async dispose() {
+    this.interrupt();
     await super.dispose();
   }
 }
@@ -7,7 +7,8 @@
  * - Lua 5.4 standard library
  * - Lightweight (200KB WASM)
  * - Fast execution
- * - Standard input/output capture
+ * - Standard input/output capture (io.read reads the IDE's stdin)
+ * - Saved files mounted at /home/user (io.open, require of sibling modules)
  *
  * WASM Library: Wasmoon
  * Size: ~200KB
@@ -15,6 +16,7 @@
  */
 
 import BaseRuntime from '../BaseRuntime.js';
+import WorkspaceFS from '../WorkspaceFS.js';
 
 export default class LuaRuntime extends BaseRuntime {
   constructor(config = {}) {
@@ -50,6 +52,9 @@ export default class LuaRuntime extends BaseRuntime {
       // Set up Lua print function to capture output
       await this.setupLuaPrint();
 
+      // Route io.write/io.read through the IDE's stdout and stdin
+      await this.setupLuaStdio();
+
       this.loaded = true;
       this.loading = false;
       this.log('✓ Lua runtime loaded successfully!', 'success');
@@ -112,7 +117,7 @@ export default class LuaRuntime extends BaseRuntime {
     // Create a custom print function that captures output
     this.engine.global.set('print', (...args) => {
       const output = args.map(arg => String(arg)).join('\t');
-      this.log(output, 'stdout');
+      this.writeStdout(`${output}\n`);
     });
 
     // Create custom error handler
@@ -121,11 +126,81 @@ export default class LuaRuntime extends BaseRuntime {
     });
   }
 
+  /**
+   * Replace io.write, io.read, io.lines and io.stdin with versions backed by
+   * the runtime's stdout buffer and stdin channel
+   *
+   * Reads await a JS promise, so the inline input prompt works; the caveat is
+   * Lua's own: a read cannot happen inside a C callback such as a
+   * table.sort comparator or a string.gsub replacement function.
+   */
+  async setupLuaStdio() {
+    this.engine.global.set('__write_stdout', (text) => {
+      this.writeStdout(text);
+    });
+    // Wasmoon cannot await a promise that resolves to null; undefined is nil
+    this.engine.global.set('__read_line', async () => (await this.readLine()) ?? undefined);
+
+    await this.engine.doString(`
+      local write_stdout, read_line = __write_stdout, __read_line
+      __write_stdout, __read_line = nil, nil
+
+      local function read_one(format)
+        format = format or 'l'
+        if type(format) == 'string' then
+          format = format:gsub('^%*', ''):sub(1, 1)
+        end
+
+        if format == 'a' then
+          local lines = {}
+          for line in function() return read_line():await() end do
+            lines[#lines + 1] = line
+          end
+          return table.concat(lines, '\\n')
+        end
+
+        local line = read_line():await()
+        if line == nil then return nil end
+        if format == 'n' then return tonumber(line) end
+        if format == 'L' then return line .. '\\n' end
+        return line
+      end
+
+      io.write = function(...)
+        local parts = table.pack(...)
+        for i = 1, parts.n do parts[i] = tostring(parts[i]) end
+        write_stdout(table.concat(parts, '', 1, parts.n))
+        return io.stdout
+      end
+
+      io.read = function(...)
+        local formats = table.pack(...)
+        if formats.n == 0 then return read_one() end
+        local results = {}
+        for i = 1, formats.n do results[i] = read_one(formats[i]) end
+        return table.unpack(results, 1, formats.n)
+      end
+
+      local open_lines = io.lines
+      io.lines = function(filename, ...)
+        if filename ~= nil then return open_lines(filename, ...) end
+        return function() return read_one() end
+      end
+
+      io.stdin = {
+        read = function(_, ...) return io.read(...) end,
+        lines = function(_, ...) return io.lines(nil, ...) end,
+        close = function() return true end,
+      }
+    `);
+  }
+
   /**
    * Execute Lua code
    *
    * @param {string} code - Lua code to execute
    * @param {object} options - Execution options
+   * @param {object} options.project - Run as the entry point of the saved files
    * @returns {object} Execution result with output and metadata
    */
   async execute(code, options = {}) {
@@ -140,14 +215,24 @@ export default class LuaRuntime extends BaseRuntime {
       returnValue: null,
       executionTime: 0,
       error: null,
+      diagnostics: [],
     };
 
     // Clear previous output
     this.clearOutput();
 
+    const { FS } = (await this.factory.getLuaModule()).module;
+    const filesystem = WorkspaceFS.emscripten(FS);
+    const workspace = await this.mountWorkspace(filesystem, options.project);
+
     try {
+      if (workspace) {
+        await this.enterWorkspace(FS, workspace, this.getEntryPath(workspace, options.project));
+      }
+
       // Execute Lua code
       const luaResult = await this.engine.doString(code);
+      this.flushStdout();
 
       // Capture return value if present
       if (luaResult !== undefined && luaResult !== null) {
@@ -162,15 +247,66 @@ export default class LuaRuntime extends BaseRuntime {
       result.success = false;
       result.error = error;
       result.executionTime = performance.now() - startTime;
+      this.flushStdout();
 
       // Format Lua error for better readability
       const errorMessage = this.formatLuaError(error);
+      result.diagnostics = this.getLuaDiagnostics(error, (path) => (
+        path === null ? code : workspace?.mounted.get(path)
+      ));
       this.logError(errorMessage);
     }
 
+    await this.syncWorkspace(workspace, filesystem);
+
     return result;
   }
 
+  /**
+   * Run from the mounted files: make them the working directory, let
+   * require() find modules there, and unload modules required from them by
+   * earlier runs so edits are picked up
+   *
+   * For a project, modules next to the entry point are found first and
+   * arg[0] is the entry point's path.
+   *
+   * @param {Object} FS - Emscripten FS of the Lua module
+   * @param {WorkspaceFS} workspace - Mounted workspace
+   * @param {string|null} entryPath - Project entry point, if running a project
+   */
+  async enterWorkspace(FS, workspace, entryPath = null) {
+    const root = WorkspaceFS.MOUNT_POINT;
+    const entryDirectory = entryPath ? entryPath.slice(0, entryPath.lastIndexOf('/')) : root;
+    FS.chdir(root);
+
+    // Modules next to the entry point are also required by shorter names
+    const entryFolder = entryDirectory === root ? '' : `${entryDirectory.slice(root.length + 1)}/`;
+    const modules = [...workspace.files.keys()]
+      .filter(path => path.endsWith('.lua'))
+      .flatMap(path => (entryFolder && path.startsWith(entryFolder) ? [path, path.slice(entryFolder.length)] : [path]))
+      .map(path => path.slice(0, -4).replace(/\/init$/, '').replace(/\//g, '.'))
+      .filter(name => /^[\w.]+$/.test(name));
+
+    await this.engine.doString(`
+      local function prepend(directory)
+        local entry = directory .. '/?.lua;' .. directory .. '/?/init.lua;'
+        local start, finish = package.path:find(entry, 1, true)
+        if start then
+          package.path = package.path:sub(1, start - 1) .. package.path:sub(finish + 1)
+        end
+        package.path = entry .. package.path
+      end
+      prepend(${JSON.stringify(root)})
+      if ${JSON.stringify(entryDirectory)} ~= ${JSON.stringify(root)} then
+        prepend(${JSON.stringify(entryDirectory)})
+      end
+      arg = { [0] = ${entryPath ? JSON.stringify(entryPath) : 'nil'} }
+      for _, name in ipairs({ ${modules.map(name => `'${name}'`).join(', ')} }) do
+        package.loaded[name] = nil
+      end
+    `);
+  }
+
   /**
    * Format Lua error messages for better readability
    *
@@ -190,6 +326,41 @@ export default class LuaRuntime extends BaseRuntime {
     return `Lua Error:\n${message}`;
   }
 
+  /**
+   * Find where in the user's code a Lua error was raised
+   *
+   * Lua prefixes messages with `chunk:line:`, where the chunk is
+   * `[string "..."]` for the code that was run or the path of a required file.
+   * Lua reports no column, so the whole line is marked.
+   *
+   * @param {Error} error - JavaScript Error object
+   * @param {Function} getSource - (path) => text of a file below the mount point,
+   *   or of the code that was run for null; undefined if unknown
+   * @returns {Array<Object>} One diagnostic, or none without a location in the user's code
+   */
+  getLuaDiagnostics(error, getSource = () => undefined) {
+    const message = (error?.message || String(error)).split('\n')[0];
+    const match = message.match(/^(\[string ".*?"\]|[^:\s]+):(\d+):\s*(.*)$/);
+    if (!match) return [];
+
+    const prefix = `${WorkspaceFS.MOUNT_POINT}/`;
+    let path = null;
+    if (!match[1].startsWith('[string ')) {
+      if (!match[1].startsWith(prefix)) return [];
+      path = match[1].slice(prefix.length);
+    }
+
+    const line = Number(match[2]);
+    const sourceLine = getSource(path)?.split('\n')[line - 1];
+    const location = { line, path };
+    if (sourceLine) {
+      location.column = sourceLine.search(/\S|$/) + 1;
+      location.endColumn = sourceLine.trimEnd().length + 1;
+    }
+
+    return [BaseRuntime.createDiagnostic(match[3] || message, location)];
+  }
+
   /**
    * Clear captured output
    */
@@ -236,7 +407,7 @@ export default class LuaRuntime extends BaseRuntime {
         'debug',
       ],
       limitations: [
-        'No file system access (browser environment)',
+        'Only saved files in /home/user are kept after a run',
         'Limited os library functions',
         'No C module loading',
       ],
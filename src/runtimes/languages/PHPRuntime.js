@@ -3,8 +3,14 @@
  *
  * PHP-WASM is PHP compiled to WebAssembly, allowing PHP code
  * to run directly in the browser.
+ *
+ * The user's saved files are mounted at /home/user, the working directory,
+ * so file_get_contents('data.txt') and `require 'helpers.php'` find them.
+ * Files the program writes there are saved. A project's entry point is
+ * required from its file, so __FILE__ and __DIR__ point at it.
  */
 import BaseRuntime from '../BaseRuntime.js';
+import WorkspaceFS from '../WorkspaceFS.js';
 
 export default class PHPRuntime extends BaseRuntime {
   constructor(config = {}) {
@@ -50,6 +56,7 @@ export default class PHPRuntime extends BaseRuntime {
    *
    * @param {string} code - PHP code to execute
    * @param {Object} options - Execution options
+   * @param {Object} options.project - Run as the entry point of the saved files
    * @returns {Promise<{success: boolean, output: string, returnValue: any, error: Error|null, executionTime: number}>}
    */
   async execute(code, options = {}) {
@@ -67,13 +74,26 @@ export default class PHPRuntime extends BaseRuntime {
       executionTime: 0,
     };
 
+    const filesystem = this.createFilesystemAdapter();
+    const workspace = await this.mountWorkspace(filesystem, options.project);
+    const entryPath = this.getEntryPath(workspace, options.project);
+
     try {
       // Ensure code starts with <?php if not present
       let phpCode = code.trim();
-      if (!phpCode.startsWith('<?php') && !phpCode.startsWith('<?=')) {
+      const hasOpeningTag = phpCode.startsWith('<?php') || phpCode.startsWith('<?=');
+      if (!hasOpeningTag) {
         phpCode = `<?php\n${phpCode}`;
       }
 
+      // A file without an opening tag would be printed, so it runs inline
+      if (entryPath && hasOpeningTag) {
+        phpCode = `<?php chdir('${WorkspaceFS.MOUNT_POINT}'); require ${JSON.stringify(entryPath).replace(/\$/g, '\\$')};`;
+      } else if (workspace) {
+        // On the same line as the code, so error line numbers stay right
+        phpCode = `<?php chdir('${WorkspaceFS.MOUNT_POINT}'); ?>${phpCode}`;
+      }
+
       // Execute PHP code
       const output = await this.phpModule.run(phpCode);
 
@@ -88,12 +108,69 @@ export default class PHPRuntime extends BaseRuntime {
       this.logError(`PHP Error: ${error.message}`);
     }
 
+    await this.syncWorkspace(workspace, filesystem);
+
     const endTime = performance.now();
     result.executionTime = endTime - startTime;
 
     return result;
   }
 
+  /**
+   * Adapter from php-wasm's FS methods to the one WorkspaceFS uses
+   *
+   * @private
+   * @returns {Object} File system adapter
+   */
+  createFilesystemAdapter() {
+    const php = this.phpModule;
+
+    const list = async (directory, prefix, files) => {
+      for (const name of await php.readdir(directory)) {
+        if (name === '.' || name === '..') continue;
+
+        const path = `${directory}/${name}`;
+        const relative = prefix ? `${prefix}/${name}` : name;
+        let isDirectory = true;
+        try {
+          await php.readdir(path);
+        } catch (error) {
+          isDirectory = false;
+        }
+
+        if (isDirectory) {
+          await list(path, relative, files);
+        } else {
+          files.set(relative, await php.readFile(path));
+        }
+      }
+      return files;
+    };
+
+    return {
+      list: async (root) => {
+        try {
+          return await list(root, '', new Map());
+        } catch (error) {
+          return new Map(); // Not mounted yet
+        }
+      },
+      write: async (path, content) => {
+        let directory = '';
+        for (const part of path.split('/').slice(1, -1)) {
+          directory += `/${part}`;
+          try {
+            await php.mkdir(directory);
+          } catch (error) {
+            // Already exists
+          }
+        }
+        await php.writeFile(path, typeof content === 'string' ? new TextEncoder().encode(content) : content);
+      },
+      remove: path => php.unlink(path),
+    };
+  }
+
   /**
    * Dispose of PHP runtime
    */
@@ -120,7 +197,7 @@ export default class PHPRuntime extends BaseRuntime {
         'Standard library functions',
         'String manipulation',
         'Array operations',
-        'File I/O (virtual filesystem)',
+        'File I/O on saved files in /home/user',
         'JSON encoding/decoding',
         'Regular expressions',
       ],
@@ -15,6 +15,7 @@ export default class PrologRuntime extends BaseRuntime {
 
     this.pl = null;
     this.session = null;
+    this.inputBuffer = '';
   }
 
   /**
@@ -35,6 +36,7 @@ export default class PrologRuntime extends BaseRuntime {
 
       // Create a new session
       this.session = this.pl.create();
+      this.setupStreams();
 
       this.loaded = true;
       this.loading = false;
@@ -47,6 +49,54 @@ export default class PrologRuntime extends BaseRuntime {
     }
   }
 
+  /**
+   * Point the session's user_input, user_output and user_error streams at
+   * the IDE instead of window.prompt() and the browser console
+   *
+   * Tau Prolog reads input synchronously, so read/1 uses the sync input
+   * callback rather than the inline prompt.
+   *
+   * @private
+   */
+  setupStreams() {
+    const { streams } = this.session;
+
+    streams.user_input.stream = {
+      get: (length) => {
+        while (this.inputBuffer.length < length) {
+          const line = this.readLineSync();
+          if (line === null) break;
+          this.inputBuffer += `${line}\n`;
+        }
+
+        if (this.inputBuffer.length === 0) {
+          return 'end_of_stream';
+        }
+
+        const text = this.inputBuffer.substr(0, length);
+        this.inputBuffer = this.inputBuffer.substr(length);
+        return text;
+      },
+      eof: () => false,
+    };
+
+    streams.user_output.stream = {
+      put: (text) => {
+        this.writeStdout(text);
+        return true;
+      },
+      flush: () => true,
+    };
+
+    streams.user_error.stream = {
+      put: (text) => {
+        this.logError(text.replace(/\n$/, ''));
+        return true;
+      },
+      flush: () => true,
+    };
+  }
+
   /**
    * Execute Prolog code
    *
@@ -69,6 +119,8 @@ export default class PrologRuntime extends BaseRuntime {
       executionTime: 0,
     };
 
+    this.inputBuffer = '';
+
     try {
       // Split code into program and query
       // Look for ?- to identify query
@@ -94,7 +146,8 @@ export default class PrologRuntime extends BaseRuntime {
       }
 
       // Parse and execute query
-      const queryText = query.replace(/^\?-\s*/, '').replace(/\.$/, '');
+      // Tau Prolog requires the terminating period
+      const queryText = query.replace(/^\?-\s*/, '').replace(/\.?$/, '.');
       this.session.query(queryText);
 
       // Collect all answers
@@ -138,8 +191,10 @@ export default class PrologRuntime extends BaseRuntime {
 
       result.returnValue = answers;
       result.success = true;
+      this.flushStdout();
       this.log(result.output, 'stdout');
     } catch (error) {
+      this.flushStdout();
       result.success = false;
       result.error = error;
       result.output = `Prolog Error: ${error.message}`;
@@ -245,6 +300,7 @@ export default class PrologRuntime extends BaseRuntime {
       ],
       limitations: [
         'No file I/O in browser',
+        'read/1 asks for input with a dialog once pre-supplied stdin runs out',
         'Limited debugging features',
         'Performance constraints',
         'Solution limit to prevent infinite loops',
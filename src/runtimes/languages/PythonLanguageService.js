@@ -0,0 +1,510 @@
+/**
+ * PythonLanguageService - Python code analysis in a Web Worker
+ *
+ * A second Pyodide instance runs Jedi in a dedicated worker, so completion,
+ * hover docs, signature help, go-to-definition and diagnostics never wait
+ * for (or block) the Pyodide that PythonRuntime executes code in.
+ *
+ * The user's Python files are written under the same /home/user mount point
+ * the runtime uses, so `import helper` resolves to the saved helper.py.
+ * Diagnostics are Jedi's syntax errors, plus pyflakes (undefined names,
+ * unused imports, ...) when it could be installed from PyPI.
+ *
+ * Formatting uses black, installed from PyPI the first time it is asked for.
+ *
+ * Positions are 1-based lines and 0-based columns, as Jedi counts them.
+ */
+
+import WorkspaceFS from '../WorkspaceFS.js';
+
+// Most completions returned for one request
+const MAX_COMPLETIONS = 200;
+
+// Milliseconds a format request may take (the first one installs black)
+const FORMAT_TIMEOUT = 60000;
+
+/**
+ * Analyzer run inside the worker's Pyodide. Each handler takes the request
+ * parameters and returns JSON-serializable data.
+ */
+const ANALYZER_SOURCE = `
+import ast
+import json
+import os
+
+import jedi
+
+ROOT = ${JSON.stringify(WorkspaceFS.MOUNT_POINT)}
+UNTITLED = '.untitled.py'
+MAX_COMPLETIONS = ${MAX_COMPLETIONS}
+
+os.makedirs(ROOT, exist_ok=True)
+os.chdir(ROOT)
+project = jedi.Project(ROOT, added_sys_path=[ROOT])
+
+try:
+    from pyflakes import checker as pyflakes_checker
+    from pyflakes import messages as pyflakes_messages
+    PYFLAKES_ERRORS = (
+        pyflakes_messages.UndefinedName,
+        pyflakes_messages.UndefinedLocal,
+        pyflakes_messages.UndefinedExport,
+    )
+except ImportError:
+    pyflakes_checker = None
+
+completions = []
+
+
+def script(params):
+    path = os.path.join(ROOT, params.get('path') or UNTITLED)
+    return jedi.Script(params['source'], path=path, project=project)
+
+
+def relative(name, current):
+    """Where a name is defined: None in the analyzed file, else a path below ROOT"""
+    if name.module_path is None or str(name.module_path) == current:
+        return None
+    path = str(name.module_path)
+    return os.path.relpath(path, ROOT) if path.startswith(ROOT + '/') else False
+
+
+def handle_sync(params):
+    files = params['files']
+    for directory, _, names in os.walk(ROOT, topdown=False):
+        for name in names:
+            path = os.path.join(directory, name)
+            if os.path.relpath(path, ROOT) not in files:
+                os.remove(path)
+        if directory != ROOT and not os.listdir(directory):
+            os.rmdir(directory)
+    for path, text in files.items():
+        target = os.path.join(ROOT, path)
+        os.makedirs(os.path.dirname(target), exist_ok=True)
+        with open(target, 'w', encoding='utf-8') as f:
+            f.write(text)
+    return True
+
+
+def handle_complete(params):
+    global completions
+    completions = script(params).complete(params['line'], params['column'])[:MAX_COMPLETIONS]
+    return [
+        {'name': c.name, 'type': c.type, 'complete': c.complete}
+        for c in completions
+    ]
+
+
+def handle_resolve(params):
+    index = params['index']
+    if index >= len(completions) or completions[index].name != params['name']:
+        return None
+    c = completions[index]
+    signatures = [s.to_string() for s in c.get_signatures()]
+    return {
+        'detail': signatures[0] if signatures else c.description,
+        'documentation': c.docstring(raw=True),
+    }
+
+
+def handle_hover(params):
+    names = script(params).help(params['line'], params['column'])
+    if not names:
+        return None
+    name = names[0]
+    signatures = [s.to_string() for s in name.get_signatures()]
+    return {
+        'signature': signatures[0] if signatures else name.description,
+        'type': name.type,
+        'module': name.module_name,
+        'documentation': name.docstring(raw=True),
+    }
+
+
+def handle_signatures(params):
+    return [
+        {
+            'label': s.to_string(),
+            'params': [p.to_string() for p in s.params],
+            'index': s.index,
+            'documentation': s.docstring(raw=True),
+        }
+        for s in script(params).get_signatures(params['line'], params['column'])
+    ]
+
+
+def handle_definition(params):
+    analyzed = script(params)
+    current = str(analyzed.path)
+    locations = []
+    for name in analyzed.goto(params['line'], params['column'], follow_imports=True):
+        path = relative(name, current)
+        # Builtins and installed packages have no file the editor can open
+        if path is False or name.line is None:
+            continue
+        locations.append({'path': path, 'line': name.line, 'column': name.column})
+    return locations
+
+
+def handle_diagnostics(params):
+    source = params['source']
+    diagnostics = []
+    for error in script(params).get_syntax_errors():
+        message = error.get_message()
+        # Code runs with runPythonAsync, which allows top-level await
+        if "'await' outside" in message:
+            continue
+        diagnostics.append({
+            'severity': 'error',
+            'message': message,
+            'line': error.line,
+            'column': error.column,
+            'endLine': error.until_line,
+            'endColumn': error.until_column,
+        })
+
+    # Lint only code that parses
+    if pyflakes_checker is not None and not diagnostics:
+        try:
+            tree = ast.parse(source)
+        except SyntaxError:
+            tree = None
+        if tree is not None:
+            lines = source.splitlines()
+            messages = pyflakes_checker.Checker(tree, filename=params.get('path') or UNTITLED).messages
+            for message in sorted(messages, key=lambda m: (m.lineno, m.col)):
+                # pyflakes reports top-level await as a yield outside a function
+                if (isinstance(message, pyflakes_messages.YieldOutsideFunction)
+                        and 'await' in lines[message.lineno - 1]):
+                    continue
+                diagnostics.append({
+                    'severity': 'error' if isinstance(message, PYFLAKES_ERRORS) else 'warning',
+                    'message': message.message % message.message_args,
+                    'line': message.lineno,
+                    'column': message.col,
+                    'unnecessary': type(message).__name__ in ('UnusedImport', 'UnusedVariable'),
+                })
+    return diagnostics
+
+
+def handle_format(params):
+    import black
+    try:
+        return black.format_str(params['source'], mode=black.Mode())
+    except black.NothingChanged:
+        return params['source']
+
+
+def handle(kind, params):
+    return json.dumps(globals()['handle_' + kind](json.loads(params)))
+`;
+
+/**
+ * Worker entry point. Serialized with Function.prototype.toString(), so it
+ * must not reference anything from the enclosing module scope.
+ */
+function analyzerWorkerMain() {
+  let pyodide = null;
+  let handle = null;
+  let ready = null;
+  let black = null;
+
+  const init = async ({ indexURL, source }) => {
+    self.importScripts(`${indexURL}pyodide.js`);
+    pyodide = await self.loadPyodide({ indexURL });
+    await pyodide.loadPackage(['jedi', 'micropip']);
+
+    // pyflakes is not bundled with Pyodide; without it (e.g. offline before
+    // it was ever cached) only syntax errors are reported
+    try {
+      await pyodide.runPythonAsync('import micropip\nawait micropip.install("pyflakes")');
+    } catch (error) {
+      console.warn('[PythonLanguageService] pyflakes unavailable:', error.message);
+    }
+
+    pyodide.runPython(source);
+    handle = pyodide.globals.get('handle');
+  };
+
+  self.onmessage = async (event) => {
+    const { id, type, params } = event.data || {};
+
+    try {
+      if (type === 'init') {
+        ready = init(params);
+        await ready;
+        self.postMessage({ id, result: true });
+        return;
+      }
+
+      await ready;
+
+      // Packages shipped with Pyodide (numpy, pandas, ...) complete like the runtime sees them
+      if (type === 'diagnostics') {
+        await pyodide.loadPackagesFromImports(params.source).catch(() => {});
+      }
+
+      // black is only installed once formatting is asked for; a failed install is retried
+      if (type === 'format') {
+        if (!black) {
+          black = pyodide.runPythonAsync('import micropip\nawait micropip.install("black")');
+          black.catch(() => {
+            black = null;
+          });
+        }
+        await black;
+      }
+
+      const result = JSON.parse(handle(type, JSON.stringify(params)));
+      self.postMessage({ id, result });
+    } catch (error) {
+      self.postMessage({ id, error: { name: error.name, message: String(error.message) } });
+    }
+  };
+}
+
+const WORKER_SOURCE = `(${analyzerWorkerMain.toString()})();`;
+
+export default class PythonLanguageService {
+  /**
+   * @param {Object} [config] - Configuration
+   * @param {string} [config.indexURL] - Pyodide distribution to load in the worker
+   * @param {number} [config.timeout=15000] - Milliseconds a request may take once the analyzer is ready
+   */
+  constructor(config = {}) {
+    this.config = {
+      indexURL: 'https://cdn.jsdelivr.net/pyodide/v0.25.0/full/',
+      timeout: 15000,
+      ...config,
+    };
+
+    this.worker = null;
+    this.workerURL = null;
+    this.ready = null; // Promise of the worker's initialization
+    this.isReady = false;
+    this.nextId = 1;
+    this.pending = new Map(); // Request id -> {resolve, reject, timer}
+  }
+
+  /**
+   * Check whether this environment can host the analyzer worker
+   *
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined'
+      && typeof Blob !== 'undefined'
+      && typeof URL !== 'undefined'
+      && typeof URL.createObjectURL === 'function';
+  }
+
+  /**
+   * Start the worker and load Pyodide and Jedi in it (once)
+   *
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (!this.ready) {
+      this.workerURL = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+      this.worker = new Worker(this.workerURL);
+      this.worker.onmessage = (event) => this.handleMessage(event.data || {});
+      this.worker.onerror = (event) => {
+        if (event.preventDefault) event.preventDefault();
+        this.fail(new Error(event.message || 'Python analyzer worker failed'));
+      };
+
+      this.ready = this.send('init', { indexURL: this.config.indexURL, source: ANALYZER_SOURCE }, 0)
+        .then(() => {
+          this.isReady = true;
+        })
+        .catch((error) => {
+          // A later request starts over
+          this.terminate();
+          throw error;
+        });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Replace the Python files the analyzer sees under the mount point
+   *
+   * @param {Map<string, string>} files - Source by path relative to the mount point
+   * @returns {Promise<void>}
+   */
+  async sync(files) {
+    await this.request('sync', { files: Object.fromEntries(files) });
+  }
+
+  /**
+   * Complete at a position
+   *
+   * @param {{source: string, path: (string|null), line: number, column: number}} params -
+   *   Source, its path below the mount point (null for untitled files) and position
+   * @returns {Promise<Array<{name: string, type: string, complete: string}>>}
+   *   Completions; `complete` is what remains to be typed
+   */
+  complete(params) {
+    return this.request('complete', params);
+  }
+
+  /**
+   * Details of one completion of the last complete() call
+   *
+   * @param {number} index - Index in the completions
+   * @param {string} name - Its name, to detect completions replaced since
+   * @returns {Promise<{detail: string, documentation: string}|null>}
+   */
+  resolve(index, name) {
+    return this.request('resolve', { index, name });
+  }
+
+  /**
+   * Describe the name at a position
+   *
+   * @param {Object} params - As for complete()
+   * @returns {Promise<{signature: string, type: string, module: string, documentation: string}|null>}
+   */
+  hover(params) {
+    return this.request('hover', params);
+  }
+
+  /**
+   * Signatures of the call around a position
+   *
+   * @param {Object} params - As for complete()
+   * @returns {Promise<Array<{label: string, params: string[], index: (number|null), documentation: string}>>}
+   */
+  signatures(params) {
+    return this.request('signatures', params);
+  }
+
+  /**
+   * Where the name at a position is defined
+   *
+   * @param {Object} params - As for complete()
+   * @returns {Promise<Array<{path: (string|null), line: number, column: number}>>} Locations;
+   *   path is null for the analyzed file itself
+   */
+  definition(params) {
+    return this.request('definition', params);
+  }
+
+  /**
+   * Syntax errors and lint warnings of a file
+   *
+   * @param {{source: string, path: (string|null)}} params - Source and its path
+   * @returns {Promise<Array<{severity: string, message: string, line: number, column: number,
+   *   endLine?: number, endColumn?: number, unnecessary?: boolean}>>}
+   */
+  diagnostics(params) {
+    return this.request('diagnostics', params);
+  }
+
+  /**
+   * Format a file with black
+   *
+   * @param {{source: string}} params - Source
+   * @returns {Promise<string>} The formatted source
+   */
+  format(params) {
+    return this.request('format', params, Math.max(this.config.timeout, FORMAT_TIMEOUT));
+  }
+
+  /**
+   * Send a request once the analyzer is ready
+   *
+   * @private
+   * @param {string} type - Request type
+   * @param {Object} params - Request parameters
+   * @param {number} [timeout] - Milliseconds to wait (default: config.timeout)
+   * @returns {Promise<any>}
+   */
+  async request(type, params, timeout = this.config.timeout) {
+    await this.start();
+    return this.send(type, params, timeout);
+  }
+
+  /**
+   * Post a message to the worker and wait for its answer
+   *
+   * @private
+   * @param {string} type - Message type
+   * @param {Object} params - Parameters
+   * @param {number} timeout - Milliseconds to wait (0 = no limit)
+   * @returns {Promise<any>}
+   */
+  send(type, params, timeout) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = timeout > 0
+        ? setTimeout(() => {
+          this.pending.delete(id);
+          reject(new Error(`Python analyzer did not answer ${type} in time`));
+        }, timeout)
+        : null;
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.worker.postMessage({ id, type, params });
+    });
+  }
+
+  /**
+   * Settle the request a worker message answers
+   *
+   * @private
+   * @param {{id: number, result?: any, error?: {name: string, message: string}}} message - Worker message
+   */
+  handleMessage({ id, result, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    clearTimeout(request.timer);
+    if (error) {
+      const failure = new Error(error.message);
+      failure.name = error.name || 'Error';
+      request.reject(failure);
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  /**
+   * Reject every waiting request
+   *
+   * @private
+   * @param {Error} error - Reason
+   */
+  fail(error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Stop the worker; the next request starts a new one
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.workerURL) {
+      URL.revokeObjectURL(this.workerURL);
+      this.workerURL = null;
+    }
+    this.fail(new Error('Python analyzer stopped'));
+    this.ready = null;
+    this.isReady = false;
+  }
+
+  /**
+   * Dispose of the service
+   */
+  dispose() {
+    this.terminate();
+  }
+}
@@ -1,10 +1,373 @@
 import BaseRuntime from '../BaseRuntime.js';
+import WorkspaceFS from '../WorkspaceFS.js';
+
+/**
+ * Python that shows matplotlib figures in the output panel, run in a
+ * namespace of its own. hook() makes plt.show() call show() once
+ * matplotlib is installed; show() sends every open figure to the panel as
+ * a PNG and closes it.
+ */
+const FIGURES_SOURCE = `
+import base64
+import importlib.util
+import io
+import os
+import sys
+
+import _drlee_output
+
+# Draw off-screen rather than onto the page
+os.environ['MPLBACKEND'] = 'agg'
+
+
+def show(*args, **kwargs):
+    plt = sys.modules.get('matplotlib.pyplot')
+    if plt is None:
+        return
+    sys.stdout.flush()
+    for number in plt.get_fignums():
+        buffer = io.BytesIO()
+        plt.figure(number).savefig(buffer, format='png', bbox_inches='tight')
+        _drlee_output.display('image/png', base64.b64encode(buffer.getvalue()).decode('ascii'))
+    plt.close('all')
+
+
+def hook():
+    if 'matplotlib.pyplot' not in sys.modules and importlib.util.find_spec('matplotlib') is None:
+        return
+    import matplotlib
+    matplotlib.use('agg')
+    import matplotlib.pyplot as plt
+    plt.show = show
+`;
+
+/**
+ * Python run in a namespace of its own before each run from the mounted
+ * files: enter() makes them the working directory and the first import
+ * location, and forgets modules imported from them by earlier runs so
+ * edits are picked up.
+ */
+const WORKSPACE_SOURCE = `
+import importlib
+import os
+import sys
+
+
+def enter(root, entry, main):
+    os.chdir(root)
+    for path in [root, os.path.dirname(entry) if entry else None]:
+        if path:
+            if path in sys.path:
+                sys.path.remove(path)
+            sys.path.insert(0, path)
+
+    if entry:
+        main['__file__'] = entry
+    elif '__file__' in main:
+        del main['__file__']
+
+    for name, module in list(sys.modules.items()):
+        if (getattr(module, '__file__', None) or '').startswith(root + '/'):
+            del sys.modules[name]
+
+    importlib.invalidate_caches()
+`;
+
+// Bytes of one line of input passed to the worker (longer lines are cut)
+const INPUT_BUFFER_SIZE = 65536;
+
+// Milliseconds a program may take to stop after KeyboardInterrupt before
+// its worker is terminated (e.g. when it catches the exception)
+const INTERRUPT_GRACE = 2000;
+
+// Code that may read stdin (input(), sys.stdin, fileinput)
+const READS_INPUT = /\binput\s*\(|\bstdin\b/;
+
+/**
+ * Worker entry point. Serialized with Function.prototype.toString(), so it
+ * must not reference anything from the enclosing module scope.
+ *
+ * On the page (see createPageWorker()) it runs with a scope standing in for
+ * the worker's `self`, which loads Pyodide and reads input synchronously.
+ *
+ * @param {Object} scope - Worker global scope
+ */
+function pythonWorkerMain(scope = self) {
+  const send = scope.postMessage.bind(scope);
+  const decoder = new TextDecoder();
+
+  let pyodide = null;
+  let figures = null; // {hook, show} from the figures source
+  let enter = null; // enter() from the workspace source
+  let input = null; // {state: Int32Array, data: Uint8Array} shared with the page
+  let stdinLines = []; // Pre-supplied input, without a shared input buffer
+  let inputMissed = false; // Whether this run has read past stdinLines
+
+  // Ask the page for a line and sleep until it is written to the shared
+  // buffer: state[0] becomes 1, state[1] is its length in bytes (-1 at EOF)
+  const readLine = () => {
+    if (scope.readLineSync) return scope.readLineSync();
+
+    if (!input) {
+      if (stdinLines.length > 0) return stdinLines.shift();
+      if (!inputMissed) {
+        inputMissed = true;
+        send({ type: 'input-unavailable' });
+      }
+      return null;
+    }
+
+    Atomics.store(input.state, 0, 0);
+    send({ type: 'input' });
+    Atomics.wait(input.state, 0, 0);
+
+    const length = input.state[1];
+    // TextDecoder cannot read shared memory, so the bytes are copied first
+    return length < 0 ? null : decoder.decode(input.data.slice(0, length));
+  };
+
+  const listFiles = (directory, prefix, files) => {
+    const { FS } = pyodide;
+    for (const name of FS.readdir(directory)) {
+      if (name === '.' || name === '..') continue;
+
+      const path = `${directory}/${name}`;
+      const relative = prefix ? `${prefix}/${name}` : name;
+      if (FS.isDir(FS.stat(path).mode)) {
+        listFiles(path, relative, files);
+      } else {
+        files.set(relative, FS.readFile(path));
+      }
+    }
+    return files;
+  };
+
+  const loadedPackages = () => Object.keys(pyodide.loadedPackages);
+
+  const handlers = {
+    init: async ({ indexURL, figuresSource, workspaceSource, interruptBuffer, inputBuffer }) => {
+      if (!scope.loadPyodide) scope.importScripts(`${indexURL}pyodide.js`);
+      pyodide = await scope.loadPyodide({
+        indexURL,
+        stderr: (text) => send({ type: 'stderr', text }),
+      });
+
+      // Raw stdout keeps input() prompts like `Name: ` (no newline) so they
+      // can be shown next to the input field; isatty keeps it line-buffered
+      const stdout = new TextDecoder();
+      pyodide.setStdout({
+        write: (buffer) => {
+          send({ type: 'stdout', text: stdout.decode(buffer, { stream: true }) });
+          return buffer.length;
+        },
+        isatty: true,
+      });
+      pyodide.setStdin({
+        stdin: () => {
+          const line = readLine();
+          return line === null ? null : `${line}\n`;
+        },
+      });
+
+      // Pyodide polls this buffer while Python runs; the page writes
+      // SIGINT (2) into it to raise KeyboardInterrupt
+      if (interruptBuffer) {
+        pyodide.setInterruptBuffer(new Uint8Array(interruptBuffer));
+      }
+      if (inputBuffer) {
+        input = { state: new Int32Array(inputBuffer, 0, 2), data: new Uint8Array(inputBuffer, 8) };
+      }
+
+      pyodide.registerJsModule('_drlee_output', {
+        display: (mimeType, data) => send({ type: 'display', mimeType, data }),
+      });
+
+      const namespace = pyodide.toPy({});
+      try {
+        pyodide.runPython(figuresSource, { globals: namespace });
+        pyodide.runPython(workspaceSource, { globals: namespace });
+        figures = { hook: namespace.get('hook'), show: namespace.get('show') };
+        enter = namespace.get('enter');
+      } finally {
+        namespace.destroy();
+      }
+
+      return { version: pyodide.version };
+    },
+
+    list: ({ root }) => (pyodide.FS.analyzePath(root).exists ? listFiles(root, '', new Map()) : new Map()),
+
+    write: ({ path, content }) => {
+      pyodide.FS.mkdirTree(path.slice(0, path.lastIndexOf('/')));
+      pyodide.FS.writeFile(path, content);
+      return true;
+    },
+
+    remove: ({ path }) => {
+      pyodide.FS.unlink(path);
+      return true;
+    },
+
+    enterWorkspace: ({ root, entry }) => {
+      enter(root, entry, pyodide.globals);
+      return true;
+    },
+
+    loadPackagesFromImports: async ({ code }) => {
+      await pyodide.loadPackagesFromImports(code);
+      return loadedPackages();
+    },
+
+    loadPackage: async ({ name }) => {
+      await pyodide.loadPackage(name);
+      return loadedPackages();
+    },
+
+    run: async ({ code, stdin }) => {
+      stdinLines = stdin || [];
+      inputMissed = false;
+
+      // Make plt.show() show figures in the output panel, if matplotlib is
+      // installed (the packages of this run are installed by now)
+      try {
+        figures.hook();
+      } catch (error) {
+        send({ type: 'warning', text: `Warning: Plots will not be shown: ${error.message}` });
+      }
+
+      let value;
+      try {
+        value = await pyodide.runPythonAsync(code);
+        return { returnValue: value === undefined || value === null ? null : String(value) };
+      } finally {
+        if (value && typeof value.destroy === 'function') {
+          value.destroy();
+        }
+
+        // Flush output left in sys.stdout (e.g. `print(x, end='')`), then
+        // show the figures the run left open, as Jupyter does
+        try {
+          pyodide.runPython('import sys; sys.stdout.flush()');
+        } catch (error) {
+          // Ignore - the run already failed or was interrupted
+        }
+        try {
+          figures.show();
+        } catch (error) {
+          // Ignore - a figure that cannot be drawn was already reported by the run
+        }
+      }
+    },
+
+    evaluate: async ({ expression }) => {
+      const value = await pyodide.runPythonAsync(expression);
+      if (value && typeof value.toJs === 'function') {
+        const converted = value.toJs({ dict_converter: Object.fromEntries });
+        value.destroy();
+        return converted;
+      }
+      return value;
+    },
+  };
+
+  scope.onmessage = async (event) => {
+    const { id, type, params } = event.data || {};
+
+    try {
+      const result = await handlers[type](params || {});
+      send({ id, result });
+    } catch (error) {
+      send({ id, error: { name: error.name, message: String(error.message) } });
+    }
+  };
+}
+
+const WORKER_SOURCE = `(${pythonWorkerMain.toString()})();`;
+
+/**
+ * Load pyodide.js into the page
+ *
+ * @param {string} url - Script URL
+ * @returns {Promise<void>}
+ */
+function loadPyodideScript(url) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = url;
+    script.async = true;
+
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error('Failed to load Pyodide script'));
+
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Run pythonWorkerMain on the page behind the interface of a Worker
+ *
+ * Without shared memory a worker cannot wait for the user to type a line,
+ * but Pyodide on the page can ask for it with a blocking input callback.
+ * Requests are answered in a later task, as a worker would; messages from
+ * Python arrive straight away, so a prompt is shown before input is read.
+ *
+ * @param {Function} readLineSync - Returns a line of input, or null at EOF
+ * @returns {{postMessage: Function, terminate: Function, onmessage: Function|null, onerror: Function|null}}
+ */
+function createPageWorker(readLineSync) {
+  let terminated = false;
+  const host = { onmessage: null, onerror: null };
+  const scope = {
+    postMessage: (data) => {
+      if (!terminated && host.onmessage) host.onmessage({ data });
+    },
+    loadPyodide: async (options) => {
+      if (!globalThis.loadPyodide) {
+        await loadPyodideScript(`${options.indexURL}pyodide.js`);
+      }
+      return globalThis.loadPyodide(options);
+    },
+    readLineSync,
+    onmessage: null,
+  };
+
+  pythonWorkerMain(scope);
+
+  host.postMessage = (data) => setTimeout(() => {
+    if (!terminated) scope.onmessage({ data });
+  }, 0);
+  host.terminate = () => {
+    terminated = true;
+  };
+  return host;
+}
 
 /**
  * PythonRuntime - Python execution using Pyodide
  *
  * Pyodide is CPython compiled to WebAssembly, providing full Python 3.11+
  * support in the browser including NumPy, Pandas, Matplotlib, and more.
+ *
+ * Pyodide runs in a dedicated Web Worker, so a busy program never freezes
+ * the page. When the page is cross-origin isolated, Stop and the timeout
+ * write SIGINT to a SharedArrayBuffer Pyodide polls while Python runs,
+ * raising KeyboardInterrupt; a program that does not stop in time, or any
+ * program without shared memory, is stopped by terminating the worker,
+ * which starts afresh on the next run.
+ *
+ * input() waits for the inline input field through shared memory as well.
+ * On a page that is not cross-origin isolated, a program that reads stdin
+ * runs on the page instead, where input() asks with a blocking dialog; Stop
+ * then only takes effect when the program awaits something.
+ *
+ * The user's saved files are mounted at /home/user, which is also the
+ * working directory and first on sys.path, so `open('data.csv')` and
+ * `import helper` find them. Files the program writes there are saved.
+ * When a project is run, the entry point's directory comes first on
+ * sys.path as it does for `python path/to/main.py`, and `__file__` is set.
+ *
+ * matplotlib figures are shown in the output panel as images, on
+ * `plt.show()` and for figures still open when the run ends.
  */
 export default class PythonRuntime extends BaseRuntime {
   constructor(config = {}) {
@@ -14,7 +377,17 @@ export default class PythonRuntime extends BaseRuntime {
       ...config,
     });
 
-    this.pyodide = null;
+    this.worker = null;
+    this.workerURL = null;
+    this.nextId = 1;
+    this.pending = new Map(); // Request id -> {resolve, reject}
+    this.interruptBuffer = null; // Uint8Array over shared memory Pyodide polls
+    this.inputState = null; // Int32Array [written, length] over the shared input buffer
+    this.inputData = null; // Uint8Array the line is written into
+    this.interruptTimer = null;
+    this.onPage = false; // Whether Pyodide runs on the page (see createPageWorker())
+    this.version = null;
+    this.loadedPackages = [];
   }
 
   /**
@@ -30,23 +403,14 @@ export default class PythonRuntime extends BaseRuntime {
       this.log('Loading Python runtime (Pyodide)...', 'info');
       this.log('This may take 10-15 seconds on first load...', 'info');
 
-      // Load Pyodide script if not already loaded
-      if (!window.loadPyodide) {
-        await this.loadPyodideScript();
-      }
-
-      // Initialize Pyodide
-      this.pyodide = await window.loadPyodide({
-        indexURL: this.config.indexURL,
-        stdout: (text) => this.log(text, 'stdout'),
-        stderr: (text) => this.logError(text),
-      });
+      await this.startWorker();
 
       this.loaded = true;
       this.loading = false;
       this.log('✓ Python runtime loaded successfully!', 'success');
-      this.log(`Python ${this.pyodide.version}`, 'info');
+      this.log(`Python ${this.version}`, 'info');
     } catch (error) {
+      this.terminateWorker();
       this.loading = false;
       this.loaded = false;
       throw new Error(`Failed to load Pyodide: ${error.message}`);
@@ -54,22 +418,77 @@ export default class PythonRuntime extends BaseRuntime {
   }
 
   /**
-   * Load Pyodide script from CDN
+   * Start the worker and load Pyodide in it
    *
    * @private
+   * @param {boolean} onPage - Run Pyodide on the page instead (see createPageWorker())
    * @returns {Promise<void>}
    */
-  async loadPyodideScript() {
-    return new Promise((resolve, reject) => {
-      const script = document.createElement('script');
-      script.src = 'https://cdn.jsdelivr.net/pyodide/v0.25.0/full/pyodide.js';
-      script.async = true;
+  async startWorker(onPage = false) {
+    if (onPage) {
+      this.worker = createPageWorker(() => this.readLineSync());
+    } else {
+      this.workerURL = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+      this.worker = new Worker(this.workerURL);
+    }
+    this.onPage = onPage;
+    this.worker.onmessage = (event) => this.handleMessage(event.data || {});
+    this.worker.onerror = (event) => {
+      if (event.preventDefault) event.preventDefault();
+      this.failRequests(new Error(event.message || 'Python worker failed'));
+    };
 
-      script.onload = () => resolve();
-      script.onerror = () => reject(new Error('Failed to load Pyodide script'));
+    // Shared memory needs a cross-origin isolated page; on the page itself
+    // Pyodide can read the interrupt buffer directly
+    let interruptBuffer = null;
+    let inputBuffer = null;
+    if (onPage) {
+      interruptBuffer = new ArrayBuffer(1);
+      this.interruptBuffer = new Uint8Array(interruptBuffer);
+    } else if (this.canShareMemory()) {
+      interruptBuffer = new SharedArrayBuffer(1);
+      inputBuffer = new SharedArrayBuffer(8 + INPUT_BUFFER_SIZE);
+      this.interruptBuffer = new Uint8Array(interruptBuffer);
+      this.inputState = new Int32Array(inputBuffer, 0, 2);
+      this.inputData = new Uint8Array(inputBuffer, 8);
+    }
 
-      document.head.appendChild(script);
+    const { version } = await this.request('init', {
+      indexURL: this.config.indexURL,
+      figuresSource: FIGURES_SOURCE,
+      workspaceSource: WORKSPACE_SOURCE,
+      interruptBuffer,
+      inputBuffer,
     });
+    this.version = version;
+  }
+
+  /**
+   * Check whether the worker can share memory with the page, which lets it
+   * wait for typed input and be interrupted
+   *
+   * @private
+   * @returns {boolean}
+   */
+  canShareMemory() {
+    return typeof SharedArrayBuffer !== 'undefined' && Boolean(globalThis.crossOriginIsolated);
+  }
+
+  /**
+   * Check whether a run needs Pyodide on the page to read typed input:
+   * the worker cannot wait for it without shared memory
+   *
+   * @private
+   * @param {string} code - Code to run
+   * @param {Object|null} project - Project being run
+   * @returns {Promise<boolean>}
+   */
+  async needsPage(code, project) {
+    if (this.canShareMemory()) return false;
+
+    const files = await this.loadProjectFiles(project);
+    const modules = files ? [...files].filter(([path]) => path.endsWith('.py')).map(([, text]) => text) : [];
+    return [code, ...modules].some(text => READS_INPUT.test(text));
   }
 
   /**
@@ -78,6 +497,7 @@ export default class PythonRuntime extends BaseRuntime {
    * @param {string} code - Python code to execute
    * @param {Object} options - Execution options
    * @param {boolean} options.autoInstallPackages - Auto-install imported packages (default: true)
+   * @param {Object} options.project - Run as the entry point of the saved files
    * @returns {Promise<{success: boolean, output: string, returnValue: any, error: Error|null, executionTime: number}>}
    */
   async execute(code, options = {}) {
@@ -94,33 +514,80 @@ export default class PythonRuntime extends BaseRuntime {
       returnValue: undefined,
       error: null,
       executionTime: 0,
+      diagnostics: [],
     };
 
+    // Python moves between the worker and the page when a run needs input
+    // typed on a page without shared memory (see createPageWorker())
+    const onPage = await this.needsPage(code, options.project);
+    if (this.worker && this.onPage !== onPage) {
+      this.terminateWorker();
+    }
+
+    // The last run was stopped by terminating the worker
+    if (!this.worker) {
+      this.log('Restarting Python...', 'info');
+      await this.startWorker(onPage);
+    }
+    const worker = this.worker;
+
+    if (this.interruptBuffer) {
+      this.interruptBuffer[0] = 0;
+    }
+
+    const filesystem = this.getFileSystem();
+    const workspace = await this.mountWorkspace(filesystem, options.project);
+
     try {
+      if (workspace) {
+        await this.request('enterWorkspace', {
+          root: WorkspaceFS.MOUNT_POINT,
+          entry: this.getEntryPath(workspace, options.project),
+        });
+      }
+
       // Auto-install packages from imports if enabled
       if (autoInstallPackages) {
-        await this.autoInstallPackages(code);
+        await this.autoInstallPackages(this.getProjectSources(code, workspace, options.project));
       }
 
+      this.throwIfAborted(options.signal);
+
+      // Without shared memory the worker cannot wait for typed input, so it
+      // gets the pre-supplied lines up front
+      const stdin = this.inputState || this.onPage ? [] : this.stdinLines.splice(0);
+
       // Execute Python code
-      result.returnValue = await this.pyodide.runPythonAsync(code);
+      const { returnValue } = await this.request('run', { code, stdin });
 
       // If return value exists and is not None, display it
-      if (result.returnValue !== undefined && result.returnValue !== null) {
-        const returnStr = String(result.returnValue);
-        if (returnStr !== 'undefined') {
-          this.log(returnStr, 'success');
-          result.output = returnStr;
-        }
+      if (returnValue !== null) {
+        this.log(returnValue, 'success');
+        result.output = returnValue;
       }
+      result.returnValue = returnValue ?? undefined;
 
       result.success = true;
     } catch (error) {
       result.success = false;
       result.error = error;
       result.output = this.formatPythonError(error);
-      this.logError(result.output);
+      result.diagnostics = this.getPythonDiagnostics(error.message, (path) => (
+        path === null ? code : workspace?.mounted.get(path)
+      ));
+      if (!BaseRuntime.isCancellation(error)) {
+        this.logError(result.output);
+      }
     } finally {
+      clearTimeout(this.interruptTimer);
+      this.interruptTimer = null;
+      this.flushStdout();
+
+      // A terminated worker took the program's files with it; syncing its
+      // replacement's empty directory would delete every saved file
+      if (this.worker === worker) {
+        await this.syncWorkspace(workspace, filesystem);
+      }
       const endTime = performance.now();
       result.executionTime = endTime - startTime;
     }
@@ -128,6 +595,215 @@ export default class PythonRuntime extends BaseRuntime {
     return result;
   }
 
+  /**
+   * File system adapter for the worker's Pyodide (see WorkspaceFS)
+   *
+   * @private
+   * @returns {Object}
+   */
+  getFileSystem() {
+    return {
+      list: (root) => this.request('list', { root }),
+      write: (path, content) => this.request('write', { path, content }),
+      remove: (path) => this.request('remove', { path }),
+    };
+  }
+
+  /**
+   * The code to run plus, for a project, every Python module in it, so
+   * packages imported by other modules are installed too
+   *
+   * @private
+   * @param {string} code - Entry point code
+   * @param {WorkspaceFS|null} workspace - Mounted workspace
+   * @param {Object|null} project - Project being run
+   * @returns {string}
+   */
+  getProjectSources(code, workspace, project) {
+    if (!this.getEntryPath(workspace, project)) return code;
+
+    const modules = [...workspace.mounted]
+      .filter(([path]) => path.endsWith('.py') && path !== project.entryPoint)
+      .map(([, content]) => content);
+    return [code, ...modules].join('\n');
+  }
+
+  /**
+   * Interrupt running Python code by raising KeyboardInterrupt
+   * Without shared memory, or when the program does not stop in time, the
+   * worker is terminated instead.
+   *
+   * @param {Error} reason - Why execution is being stopped
+   */
+  interrupt(reason) {
+    if (!this.worker) return;
+
+    if (!this.interruptBuffer) {
+      this.stopWorker(reason);
+      return;
+    }
+
+    this.interruptBuffer[0] = 2; // SIGINT
+    // A program waiting for input only notices the interrupt once it wakes
+    if (this.inputState) {
+      this.writeInput(null);
+    }
+    clearTimeout(this.interruptTimer);
+    this.interruptTimer = setTimeout(() => this.stopWorker(reason), INTERRUPT_GRACE);
+  }
+
+  /**
+   * Terminate the worker, failing its requests; the next run starts a new one
+   *
+   * @private
+   * @param {Error} [reason] - Why it is stopped
+   */
+  stopWorker(reason) {
+    this.interruptTimer = null;
+    if (!this.worker) return;
+
+    this.terminateWorker(reason instanceof Error ? reason : BaseRuntime.createAbortError());
+    this.log('Python was stopped; variables and imports are reset on the next run', 'info');
+  }
+
+  /**
+   * Terminate the worker and release its Blob URL
+   *
+   * @private
+   * @param {Error} [reason] - Rejection reason for waiting requests
+   */
+  terminateWorker(reason = new Error('Python worker stopped')) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.workerURL) {
+      URL.revokeObjectURL(this.workerURL);
+      this.workerURL = null;
+    }
+    this.interruptBuffer = null;
+    this.inputState = null;
+    this.inputData = null;
+    this.failRequests(reason);
+  }
+
+  /**
+   * Post a request to the worker and wait for its answer
+   *
+   * @private
+   * @param {string} type - Request type
+   * @param {Object} params - Parameters
+   * @returns {Promise<any>}
+   */
+  request(type, params = {}) {
+    if (!this.worker) {
+      return Promise.reject(new Error('Python worker stopped'));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, params });
+    });
+  }
+
+  /**
+   * Handle a worker message: the answer to a request, output, or a request
+   * for a line of input
+   *
+   * @private
+   * @param {Object} message - Worker message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'stdout':
+        this.writeStdout(message.text);
+        return;
+      case 'stderr':
+        this.logError(message.text);
+        return;
+      case 'warning':
+        this.log(message.text, 'stdout');
+        return;
+      case 'display':
+        this.display(message.mimeType, message.data, { alt: 'matplotlib figure' });
+        return;
+      case 'input':
+        this.answerInput();
+        return;
+      case 'input-unavailable':
+        this.log('Warning: input() reached the end of the stdin box; add the rest of the input there', 'stdout');
+        return;
+      default:
+        break;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) return;
+
+    this.pending.delete(message.id);
+    if (message.error) {
+      const error = new Error(message.error.message);
+      error.name = message.error.name || 'Error';
+      request.reject(error);
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  /**
+   * Read a line of input for the worker from the inline input field, then
+   * wake it up
+   *
+   * @private
+   */
+  async answerInput() {
+    const { inputState } = this;
+    if (!inputState) return;
+
+    let line = null;
+    try {
+      line = await this.readLine();
+    } catch {
+      // End of input
+    }
+
+    // The worker may have been stopped while the user was typing
+    if (this.inputState === inputState) {
+      this.writeInput(line);
+    }
+  }
+
+  /**
+   * Write a line (or EOF) to the shared input buffer and wake the worker
+   *
+   * @private
+   * @param {string|null} line - The line, or null at end of input
+   */
+  writeInput(line) {
+    const { inputState, inputData } = this;
+    if (line === null) {
+      inputState[1] = -1;
+    } else {
+      inputState[1] = new TextEncoder().encodeInto(line, inputData).written;
+    }
+    Atomics.store(inputState, 0, 1);
+    Atomics.notify(inputState, 0);
+  }
+
+  /**
+   * Reject every waiting request
+   *
+   * @private
+   * @param {Error} error - Reason
+   */
+  failRequests(error) {
+    for (const request of this.pending.values()) {
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
   /**
    * Auto-install packages from import statements
    *
@@ -144,7 +820,7 @@ export default class PythonRuntime extends BaseRuntime {
         this.log(`Installing packages: ${packages.join(', ')}...`, 'info');
 
         // Load packages from imports
-        await this.pyodide.loadPackagesFromImports(code);
+        this.loadedPackages = await this.request('loadPackagesFromImports', { code });
 
         this.log('✓ Packages installed', 'success');
       }
@@ -221,6 +897,59 @@ export default class PythonRuntime extends BaseRuntime {
     return message;
   }
 
+  /**
+   * Find where in the user's code a Python error was raised
+   *
+   * The innermost traceback frame in the code that was run (`<exec>`) or in
+   * a mounted file is the error's location. Python prints that frame's line
+   * without its indentation, with `^` or `~` under the failing part.
+   *
+   * @param {string} traceback - Error message with the traceback
+   * @param {Function} getSource - (path) => text of a file below the mount point,
+   *   or of the code that was run for null; undefined if unknown
+   * @returns {Array<Object>} One diagnostic, or none when no frame is the user's
+   */
+  getPythonDiagnostics(traceback, getSource = () => undefined) {
+    const lines = String(traceback || '').split('\n');
+    const prefix = `${WorkspaceFS.MOUNT_POINT}/`;
+    let frame = null;
+
+    lines.forEach((text, index) => {
+      const match = text.match(/^\s*File "([^"]+)", line (\d+)/);
+      if (!match) return;
+
+      if (match[1] === '<exec>') {
+        frame = { path: null, line: Number(match[2]), index };
+      } else if (match[1].startsWith(prefix)) {
+        frame = { path: match[1].slice(prefix.length), line: Number(match[2]), index };
+      }
+    });
+
+    const message = lines.map(text => text.trim()).filter(Boolean).pop();
+    if (!frame || !message || message.startsWith('KeyboardInterrupt')) return [];
+
+    // Python strips the source line it prints; the markers are offset by that
+    const sourceLine = getSource(frame.path)?.split('\n')[frame.line - 1];
+    const indent = sourceLine ? sourceLine.search(/\S|$/) : 0;
+    const printed = lines[frame.index + 1] || '';
+    const markers = lines[frame.index + 2] || '';
+    const location = { line: frame.line, column: indent + 1, path: frame.path };
+
+    if (/^\s*[~^]+\s*$/.test(markers) && !/^\s*File "/.test(printed)) {
+      const printedIndent = printed.search(/\S|$/);
+      const start = markers.search(/[~^]/) - printedIndent;
+      const end = markers.trimEnd().length - printedIndent;
+      location.column = indent + Math.max(0, start) + 1;
+      if (end > start + 1) {
+        location.endColumn = indent + end + 1;
+      }
+    } else if (sourceLine) {
+      location.endColumn = sourceLine.trimEnd().length + 1;
+    }
+
+    return [BaseRuntime.createDiagnostic(message, location)];
+  }
+
   /**
    * Install a Python package using micropip
    *
@@ -234,7 +963,7 @@ export default class PythonRuntime extends BaseRuntime {
 
     try {
       this.log(`Installing ${packageName}...`, 'info');
-      await this.pyodide.loadPackage(packageName);
+      this.loadedPackages = await this.request('loadPackage', { name: packageName });
       this.log(`✓ ${packageName} installed`, 'success');
     } catch (error) {
       throw new Error(`Failed to install ${packageName}: ${error.message}`);
@@ -251,11 +980,12 @@ export default class PythonRuntime extends BaseRuntime {
       return [];
     }
 
-    return this.pyodide.loadedPackages;
+    return this.loadedPackages;
   }
 
   /**
    * Evaluate Python expression and return result
+   * Python objects come back converted to JavaScript (dicts as objects).
    *
    * @param {string} expression - Python expression
    * @returns {Promise<any>} Result value
@@ -265,7 +995,7 @@ export default class PythonRuntime extends BaseRuntime {
       throw new Error('Python runtime not loaded');
     }
 
-    return await this.pyodide.runPythonAsync(expression);
+    return await this.request('evaluate', { expression });
   }
 
   /**
@@ -274,10 +1004,10 @@ export default class PythonRuntime extends BaseRuntime {
    * @returns {Promise<void>}
    */
   async dispose() {
-    if (this.pyodide) {
-      // Pyodide doesn't have a dispose method, just clear reference
-      this.pyodide = null;
-    }
+    clearTimeout(this.interruptTimer);
+    this.interruptTimer = null;
+    this.terminateWorker();
+    this.loadedPackages = [];
 
     await super.dispose();
   }
@@ -288,6 +1018,6 @@ export default class PythonRuntime extends BaseRuntime {
    * @returns {string|null}
    */
   getVersion() {
-    return this.pyodide ? this.pyodide.version : this.config.version;
+    return this.version || this.config.version;
   }
 }
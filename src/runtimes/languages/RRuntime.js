@@ -1,11 +1,25 @@
 import BaseRuntime from '../BaseRuntime.js';
+import WorkspaceFS from '../WorkspaceFS.js';
 
 /**
  * RRuntime - R execution using webR
  *
  * webR is R compiled to WebAssembly, providing full R language support
  * in the browser including base R packages and statistical functions.
+ *
+ * The user's saved files are mounted at /home/user, the working directory,
+ * so read.csv('data.csv') and source('helpers.R') find them. Files the
+ * program writes there are saved.
+ *
+ * Code runs like it would at the R console: top-level values are printed
+ * (so ggplot objects draw), and plots drawn on webR's canvas device are
+ * shown in the output panel as images.
  */
+
+// Size in pixels of the plots a run draws
+const PLOT_WIDTH = 720;
+const PLOT_HEIGHT = 480;
+
 export default class RRuntime extends BaseRuntime {
   constructor(config = {}) {
     super('r', {
@@ -45,20 +59,6 @@ export default class RRuntime extends BaseRuntime {
 
       await this.webR.init();
 
-      // Capture output
-      this.webR.writeConsole = (line) => {
-        this.log(line, 'stdout');
-      };
-
-      // Capture errors
-      this.webR.captureR = (output) => {
-        if (output.type === 'stderr') {
-          this.logError(output.data);
-        } else if (output.type === 'stdout') {
-          this.log(output.data, 'stdout');
-        }
-      };
-
       this.loaded = true;
       this.loading = false;
       this.log('✓ R runtime loaded successfully!', 'success');
@@ -99,6 +99,7 @@ export default class RRuntime extends BaseRuntime {
    *
    * @param {string} code - R code to execute
    * @param {Object} options - Execution options
+   * @param {Object} options.project - Also mount the project's unsaved files
    * @returns {Promise<{success: boolean, output: string, returnValue: any, error: Error|null, executionTime: number}>}
    */
   async execute(code, options = {}) {
@@ -116,47 +117,55 @@ export default class RRuntime extends BaseRuntime {
       executionTime: 0,
     };
 
+    const filesystem = this.createFilesystemAdapter();
+    const workspace = await this.mountWorkspace(filesystem, options.project);
+
     try {
+      if (workspace) {
+        await this.webR.evalRVoid(`setwd('${WorkspaceFS.MOUNT_POINT}')`);
+      }
+
       // Create a shelter for memory management
       const shelter = await new this.webR.Shelter();
 
-      // Execute R code
-      const output = await this.webR.evalR(code);
-
-      // Get the result as a string
-      const resultValue = await output.toJs();
-
-      // If return value exists, display it
-      if (resultValue !== undefined && resultValue !== null) {
-        let outputStr;
-
-        // Handle different R object types
-        if (Array.isArray(resultValue.values)) {
-          // Vector/array
-          outputStr = `[${resultValue.values.join(', ')}]`;
-        } else if (typeof resultValue === 'object' && resultValue.values) {
-          outputStr = JSON.stringify(resultValue.values);
-        } else {
-          outputStr = String(resultValue);
-        }
-
-        if (outputStr !== 'undefined' && outputStr !== 'NULL') {
-          this.log(outputStr, 'success');
-          result.output = outputStr;
-        }
+      try {
+        // Print top-level values and draw plots as the console would
+        const capture = await shelter.captureR(code, {
+          withAutoprint: true,
+          captureStreams: true,
+          captureConditions: false,
+          captureGraphics: { width: PLOT_WIDTH, height: PLOT_HEIGHT },
+        });
+
+        const printed = [];
+        capture.output.forEach(({ type, data }) => {
+          if (type === 'stderr') {
+            this.logError(data);
+          } else {
+            this.log(data, 'stdout');
+            printed.push(data);
+          }
+        });
+
+        capture.images.forEach((image) => {
+          this.display('image/png', RRuntime.toPNG(image), { alt: 'R plot' });
+        });
+
+        result.output = printed.join('\n');
+        result.returnValue = await capture.result.toJs().catch(() => undefined);
+      } finally {
+        // Clean up
+        await shelter.purge();
       }
 
       result.success = true;
-      result.returnValue = resultValue;
-
-      // Clean up
-      await shelter.purge();
     } catch (error) {
       result.success = false;
       result.error = error;
       result.output = this.formatRError(error);
       this.logError(result.output);
     } finally {
+      await this.syncWorkspace(workspace, filesystem);
       const endTime = performance.now();
       result.executionTime = endTime - startTime;
     }
@@ -164,6 +173,80 @@ export default class RRuntime extends BaseRuntime {
     return result;
   }
 
+  /**
+   * Encode a plot captured from webR's canvas device as a PNG
+   *
+   * @private
+   * @param {ImageBitmap} image - Captured plot
+   * @returns {string} Base64-encoded PNG
+   */
+  static toPNG(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    image.close?.();
+
+    return canvas.toDataURL('image/png').slice('data:image/png;base64,'.length);
+  }
+
+  /**
+   * Adapter from webR's asynchronous FS API to the one WorkspaceFS uses
+   *
+   * @private
+   * @returns {Object} File system adapter
+   */
+  createFilesystemAdapter() {
+    const { FS } = this.webR;
+
+    const list = async (directory, prefix, files) => {
+      const node = await FS.lookupPath(directory);
+
+      for (const [name, child] of Object.entries(node.contents || {})) {
+        const path = `${directory}/${name}`;
+        const relative = prefix ? `${prefix}/${name}` : name;
+        if (child.isFolder) {
+          await list(path, relative, files);
+        } else {
+          files.set(relative, await FS.readFile(path));
+        }
+      }
+      return files;
+    };
+
+    return {
+      list: async (root) => {
+        try {
+          return await list(root, '', new Map());
+        } catch (error) {
+          return new Map(); // Not mounted yet
+        }
+      },
+      write: async (path, content) => {
+        let directory = '';
+        for (const part of path.split('/').slice(1, -1)) {
+          directory += `/${part}`;
+          try {
+            await FS.mkdir(directory);
+          } catch (error) {
+            // Already exists
+          }
+        }
+        await FS.writeFile(path, typeof content === 'string' ? new TextEncoder().encode(content) : content);
+      },
+      remove: path => FS.unlink(path),
+    };
+  }
+
+  /**
+   * Interrupt the running R computation
+   */
+  interrupt() {
+    if (this.webR) {
+      this.webR.interrupt();
+    }
+  }
+
   /**
    * Format R error for display
    *
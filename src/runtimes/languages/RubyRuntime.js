@@ -1,10 +1,17 @@
 import BaseRuntime from '../BaseRuntime.js';
+import WorkspaceFS from '../WorkspaceFS.js';
 
 /**
  * RubyRuntime - Ruby execution using ruby.wasm
  *
  * Ruby.wasm is CRuby compiled to WebAssembly using WASI,
  * providing full Ruby 3.2+ support in the browser.
+ *
+ * The user's saved files are mounted at /home/user in the WASI file system.
+ * It is the working directory and on $LOAD_PATH, so File.read('data.txt')
+ * and `require "helper"` find them. Files the program writes there are saved.
+ * A project's entry point is loaded from its file, so require_relative
+ * resolves against it.
  */
 export default class RubyRuntime extends BaseRuntime {
   constructor(config = {}) {
@@ -14,6 +21,7 @@ export default class RubyRuntime extends BaseRuntime {
     });
 
     this.rubyVM = null;
+    this.workspaceHelper = null;
   }
 
   /**
@@ -39,7 +47,12 @@ export default class RubyRuntime extends BaseRuntime {
       const buffer = await response.arrayBuffer();
       const module = await WebAssembly.compile(buffer);
 
-      this.rubyVM = await DefaultRubyVM(module);
+      const { vm } = await DefaultRubyVM(module, { consolePrint: false });
+      this.rubyVM = vm;
+
+      // Route $stdout, $stderr and $stdin through the IDE
+      this.setupStdio();
+      this.setupWorkspace();
 
       this.loaded = true;
       this.loading = false;
@@ -52,11 +65,208 @@ export default class RubyRuntime extends BaseRuntime {
     }
   }
 
+  /**
+   * Replace Ruby's standard streams with objects backed by the runtime's
+   * output callbacks and stdin channel
+   *
+   * gets awaits a JS promise, which is why code runs with evalAsync().
+   *
+   * @private
+   */
+  setupStdio() {
+    const install = this.rubyVM.eval(`
+      require "js"
+
+      class IDEStream
+        def initialize(io, writer)
+          @io = io
+          @writer = writer
+        end
+
+        def write(*args)
+          text = args.map(&:to_s).join
+          @io.call(@writer, text)
+          text.bytesize
+        end
+
+        def puts(*args)
+          lines = args.flatten.map(&:to_s)
+          lines = [""] if lines.empty?
+          lines.each { |line| write(line.end_with?("\\n") ? line : "#{line}\\n") }
+          nil
+        end
+
+        def print(*args)
+          write(*args)
+          nil
+        end
+
+        def printf(format_string, *args)
+          write(format(format_string, *args))
+          nil
+        end
+
+        def <<(object)
+          write(object)
+          self
+        end
+
+        def gets(*)
+          line = @io.call(:readLine).await
+          line.typeof == "string" ? "#{line}\\n" : nil
+        end
+
+        def readline(*)
+          gets || raise(EOFError, "end of file reached")
+        end
+
+        def each_line
+          while (line = gets)
+            yield line
+          end
+          self
+        end
+
+        def readlines(*)
+          lines = []
+          each_line { |line| lines << line }
+          lines
+        end
+
+        def read(*)
+          readlines.join
+        end
+
+        def flush = self
+        def sync = true
+        def sync=(_value); end
+        def tty? = false
+        alias isatty tty?
+      end
+
+      proc do |io|
+        $stdout = IDEStream.new(io, :write)
+        $stderr = IDEStream.new(io, :writeError)
+        $stdin = IDEStream.new(io, :write)
+
+        { STDOUT: $stdout, STDERR: $stderr, STDIN: $stdin }.each do |name, stream|
+          Object.send(:remove_const, name)
+          Object.const_set(name, stream)
+        end
+
+        Kernel.module_eval do
+          def gets(*args) = $stdin.gets(*args)
+          def readline(*args) = $stdin.readline(*args)
+          def readlines(*args) = $stdin.readlines(*args)
+          private :gets, :readline, :readlines
+        end
+      end
+    `);
+
+    install.call('call', this.rubyVM.wrap({
+      write: (text) => this.writeStdout(text),
+      writeError: (text) => this.logError(text.replace(/\n$/, '')),
+      readLine: () => this.readLine(),
+    }));
+  }
+
+  /**
+   * Define the Ruby helper that mounts and collects the user's files
+   * The WASI file system is only reachable from inside Ruby.
+   *
+   * @private
+   */
+  setupWorkspace() {
+    this.workspaceHelper = this.rubyVM.eval(`
+      require "fileutils"
+
+      module IDEWorkspace
+        # Content arrives base64-encoded, so binary files survive the bridge
+        def self.write(path, content)
+          FileUtils.mkdir_p(File.dirname(path.to_s))
+          File.binwrite(path.to_s, content.to_s.unpack1("m0"))
+        end
+
+        def self.remove(path)
+          File.delete(path.to_s)
+        end
+
+        # Reports each file below root to files.add(name, base64Content)
+        def self.list(root, files)
+          root = root.to_s
+          return unless Dir.exist?(root)
+
+          Dir.glob("**/*", File::FNM_DOTMATCH, base: root).each do |name|
+            path = File.join(root, name)
+            next unless File.file?(path)
+
+            files.call(:add, name, [File.binread(path)].pack("m0"))
+          end
+        end
+
+        # Run from root and reload files required from it by earlier runs
+        def self.enter(root)
+          root = root.to_s
+          Dir.chdir(root)
+          $LOAD_PATH.unshift(root) unless $LOAD_PATH.include?(root)
+          $LOADED_FEATURES.reject! { |feature| feature.start_with?("#{root}/") }
+        end
+      end
+
+      IDEWorkspace
+    `);
+  }
+
+  /**
+   * Adapter from the Ruby helper to the one WorkspaceFS uses
+   *
+   * @private
+   * @returns {Object} File system adapter
+   */
+  createFilesystemAdapter() {
+    const wrap = value => this.rubyVM.wrap(value);
+    const encoder = new TextEncoder();
+    const toBase64 = (bytes) => {
+      let binary = '';
+      for (const byte of bytes) binary += String.fromCharCode(byte);
+      return btoa(binary);
+    };
+
+    return {
+      list: async (root) => {
+        const files = new Map();
+        this.workspaceHelper.call('list', wrap(root), wrap({
+          add: (name, content) => files.set(name, Uint8Array.from(atob(content), char => char.charCodeAt(0))),
+        }));
+        return files;
+      },
+      write: async (path, content) => {
+        const bytes = typeof content === 'string' ? encoder.encode(content) : content;
+        this.workspaceHelper.call('write', wrap(path), wrap(toBase64(bytes)));
+      },
+      remove: async (path) => {
+        this.workspaceHelper.call('remove', wrap(path));
+      },
+    };
+  }
+
+  /**
+   * Quote a string as a Ruby literal
+   *
+   * @private
+   * @param {string} text - Text to quote
+   * @returns {string}
+   */
+  quoteRubyString(text) {
+    return `'${text.replace(/[\\']/g, '\\$&')}'`;
+  }
+
   /**
    * Execute Ruby code
    *
    * @param {string} code - Ruby code to execute
    * @param {Object} options - Execution options
+   * @param {Object} options.project - Run as the entry point of the saved files
    * @returns {Promise<{success: boolean, output: string, returnValue: any, error: Error|null, executionTime: number}>}
    */
   async execute(code, options = {}) {
@@ -74,24 +284,36 @@ export default class RubyRuntime extends BaseRuntime {
       executionTime: 0,
     };
 
+    const filesystem = this.createFilesystemAdapter();
+    const workspace = await this.mountWorkspace(filesystem, options.project);
+    const entryPath = this.getEntryPath(workspace, options.project);
+
     try {
-      // Execute Ruby code
-      const output = this.rubyVM.eval(code);
+      if (workspace) {
+        this.workspaceHelper.call('enter', this.rubyVM.wrap(WorkspaceFS.MOUNT_POINT));
+      }
+
+      // Execute Ruby code (async so that gets can wait for input). A
+      // project's entry point is loaded so __FILE__ is its path.
+      const output = await this.rubyVM.evalAsync(entryPath ? `load ${this.quoteRubyString(entryPath)}` : code);
+      this.flushStdout();
       result.returnValue = output.toString();
 
-      // Display output if exists
-      if (result.returnValue && result.returnValue !== 'nil') {
+      // Display output if exists (load's own `true` is not the program's)
+      if (!entryPath && result.returnValue && result.returnValue !== 'nil') {
         this.log(result.returnValue, 'success');
         result.output = result.returnValue;
       }
 
       result.success = true;
     } catch (error) {
+      this.flushStdout();
       result.success = false;
       result.error = error;
       result.output = this.formatRubyError(error);
       this.logError(result.output);
     } finally {
+      await this.syncWorkspace(workspace, filesystem);
       const endTime = performance.now();
       result.executionTime = endTime - startTime;
     }
@@ -126,6 +348,7 @@ export default class RubyRuntime extends BaseRuntime {
     if (this.rubyVM) {
       this.rubyVM = null;
     }
+    this.workspaceHelper = null;
 
     await super.dispose();
   }
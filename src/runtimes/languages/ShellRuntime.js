@@ -1,10 +1,45 @@
 import BaseRuntime from '../BaseRuntime.js';
+import WorkspaceFS from '../WorkspaceFS.js';
+import ShellParser from './shell/ShellParser.js';
+import PosixRegExp from './shell/PosixRegExp.js';
+import SedScript from './shell/SedScript.js';
+import AwkProgram from './shell/AwkProgram.js';
+import JqFilter from './shell/JqFilter.js';
+import TextDiff from './shell/TextDiff.js';
+import PrintfFormat from './shell/PrintfFormat.js';
+
+// Commands run between yields to the event loop, so the timeout, the Stop
+// button and the UI keep working during long loops
+const YIELD_INTERVAL = 500;
+
+// Deepest function recursion allowed before a script is stopped
+const MAX_CALL_DEPTH = 1000;
+
+// Backslash escapes of printf formats and %b arguments (octal and \xHH aside)
+const PRINTF_ESCAPES = {
+  '\\': '\\', a: '\x07', b: '\b', e: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', '"': '"', "'": "'",
+};
+
+// Directory that shows the user's saved files when a FileManager is set
+// (the same place other runtimes mount them)
+const USER_HOME = WorkspaceFS.MOUNT_POINT;
 
 /**
  * ShellRuntime - Simulated Bash/Shell environment
  *
  * This is an EDUCATIONAL tool that simulates shell commands without actually executing them.
- * It parses common commands and returns simulated output showing what WOULD happen.
+ * Scripts are parsed by ShellParser and interpreted here: pipelines pass text
+ * between commands, redirections read and write the simulated file system,
+ * and exit codes drive `&&`, `||`, `if` and `while`.
+ *
+ * With a FileManager set, /home/user holds the user's saved files (folders
+ * come from `/` in file names). They are loaded before each run and changes
+ * are written back afterwards; the rest of the file system is in memory.
+ *
+ * Every command has the signature `cmdName(args, io, name)` and returns its
+ * exit status. `io.stdin` has async `readLine()` / `readAll()`, `io.stdout`
+ * and `io.stderr` have `write(text)`, and `io.tty` says whether stdout is the
+ * output panel rather than a pipe or file.
  *
  * SECURITY: Does NOT execute actual shell commands (major security risk).
  * Instead, it provides a safe learning environment for shell syntax.
@@ -29,15 +64,15 @@ export default class ShellRuntime extends BaseRuntime {
                 children: {
                   'example.txt': {
                     type: 'file',
-                    content: 'Hello, World!\nThis is a sample file.\nLine 3 of the file.',
+                    content: 'Hello, World!\nThis is a sample file.\nLine 3 of the file.\n',
                   },
                   'data.txt': {
                     type: 'file',
-                    content: 'apple\nbanana\ncherry\ndate\nelderberry',
+                    content: 'apple\nbanana\ncherry\ndate\nelderberry\n',
                   },
                   'numbers.txt': {
                     type: 'file',
-                    content: '1\n2\n3\n4\n5',
+                    content: '1\n2\n3\n4\n5\n',
                   },
                 },
               },
@@ -52,7 +87,7 @@ export default class ShellRuntime extends BaseRuntime {
             children: {
               'hosts': {
                 type: 'file',
-                content: '127.0.0.1 localhost',
+                content: '127.0.0.1 localhost\n',
               },
             },
           },
@@ -71,6 +106,70 @@ export default class ShellRuntime extends BaseRuntime {
       'SHELL': '/bin/bash',
     };
 
+    // Interpreter state
+    this.parser = new ShellParser();
+    this.functions = {};
+    this.positionalParams = [];
+    this.localScopes = [];
+    this.lastStatus = 0;
+    this.substitutionStatus = 0;
+    this.control = null; // Pending break/continue/return/exit
+    this.signal = null;
+    this.interruptReason = null;
+    this.commandCount = 0;
+    this.savedFiles = null; // File id -> { file, path } as loaded from FileManager
+
+    this.commands = new Map([
+      ['echo', this.cmdEcho],
+      ['printf', this.cmdPrintf],
+      ['pwd', this.cmdPwd],
+      ['ls', this.cmdLs],
+      ['cd', this.cmdCd],
+      ['cat', this.cmdCat],
+      ['grep', this.cmdGrep],
+      ['wc', this.cmdWc],
+      ['head', this.cmdHead],
+      ['tail', this.cmdTail],
+      ['sort', this.cmdSort],
+      ['uniq', this.cmdUniq],
+      ['cut', this.cmdCut],
+      ['tr', this.cmdTr],
+      ['sed', this.cmdSed],
+      ['awk', this.cmdAwk],
+      ['tee', this.cmdTee],
+      ['seq', this.cmdSeq],
+      ['diff', this.cmdDiff],
+      ['jq', this.cmdJq],
+      ['mkdir', this.cmdMkdir],
+      ['touch', this.cmdTouch],
+      ['rm', this.cmdRm],
+      ['cp', this.cmdCp],
+      ['mv', this.cmdMv],
+      ['find', this.cmdFind],
+      ['xargs', this.cmdXargs],
+      ['env', this.cmdEnv],
+      ['export', this.cmdExport],
+      ['unset', this.cmdUnset],
+      ['date', this.cmdDate],
+      ['whoami', this.cmdWhoami],
+      ['clear', this.cmdClear],
+      ['read', this.cmdRead],
+      ['test', this.cmdTest],
+      ['[', this.cmdTest],
+      ['[[', this.cmdTest],
+      ['true', this.cmdTrue],
+      [':', this.cmdTrue],
+      ['false', this.cmdFalse],
+      ['exit', this.cmdExit],
+      ['return', this.cmdReturn],
+      ['break', this.cmdBreak],
+      ['continue', this.cmdBreak],
+      ['local', this.cmdLocal],
+      ['shift', this.cmdShift],
+      ['source', this.cmdSource],
+      ['.', this.cmdSource],
+    ]);
+
     this.loaded = true;
   }
 
@@ -88,8 +187,12 @@ export default class ShellRuntime extends BaseRuntime {
   /**
    * Execute shell commands (simulated)
    *
+   * The result's returnValue is the script's exit status; a non-zero status
+   * makes the run unsuccessful, as it would in CI.
+   *
    * @param {string} code - Shell commands to simulate
    * @param {Object} options - Execution options
+   * @param {AbortSignal} options.signal - Aborts the script between commands
    * @returns {Promise<{success: boolean, output: string, returnValue: any, error: Error|null, executionTime: number}>}
    */
   async execute(code, options = {}) {
@@ -103,34 +206,64 @@ export default class ShellRuntime extends BaseRuntime {
       executionTime: 0,
     };
 
-    try {
-      // Split into individual commands (handle newlines and semicolons)
-      const commands = code.split(/\n|;/).map(cmd => cmd.trim()).filter(cmd => cmd);
+    const output = [];
+    const io = {
+      stdin: this.createTerminalInput(),
+      stdout: {
+        write: (text) => {
+          output.push(text);
+          this.writeStdout(text);
+        },
+      },
+      stderr: { write: (text) => this.writeStderr(text) },
+      tty: true,
+    };
 
-      let allOutput = [];
+    this.signal = options.signal || null;
+    this.interruptReason = null;
+    this.control = null;
+    this.commandCount = 0;
 
-      for (const command of commands) {
-        // Skip comments
-        if (command.startsWith('#')) {
-          continue;
-        }
+    try {
+      const script = this.parser.parse(code);
+      await this.loadUserFiles();
+      let status = await this.runList(script, io);
 
-        // Parse and execute the command
-        const output = this.executeCommand(command);
-        if (output) {
-          allOutput.push(output);
-        }
+      if (this.control && this.control.type === 'exit') {
+        status = this.control.status;
+      }
+      this.control = null;
+      this.lastStatus = status;
+      this.flushStdout();
+
+      result.output = output.join('');
+      result.returnValue = status;
+      result.success = status === 0;
+      if (status !== 0) {
+        result.error = new Error(`Exited with status ${status}`);
       }
-
-      result.output = allOutput.join('\n');
-      this.log(result.output, 'stdout');
-      result.success = true;
     } catch (error) {
+      this.flushStdout();
+      this.control = null;
       result.success = false;
       result.error = error;
-      result.output = `Shell Error: ${error.message}`;
-      result.returnValue = 1;
-      this.logError(result.output);
+      result.output = output.join('');
+
+      if (error instanceof SyntaxError) {
+        result.returnValue = 2;
+        this.logError(`bash: ${error.message}`);
+      } else if (!BaseRuntime.isCancellation(error)) {
+        result.returnValue = 1;
+        this.logError(`Shell Error: ${error.message}`);
+      }
+    }
+
+    try {
+      await this.saveUserFiles();
+    } catch (error) {
+      result.success = false;
+      result.error = result.error || error;
+      this.logError(`Shell Error: ${error.message}`);
     }
 
     const endTime = performance.now();
@@ -140,431 +273,3122 @@ export default class ShellRuntime extends BaseRuntime {
   }
 
   /**
-   * Execute a single command
-   *
-   * @private
-   * @param {string} command - Command to execute
-   * @returns {string} Command output
-   */
-  executeCommand(command) {
-    // Parse command and arguments
-    const parts = this.parseCommand(command);
-    if (parts.length === 0) return '';
-
-    const cmd = parts[0];
-    const args = parts.slice(1);
-
-    // Route to appropriate command handler
-    switch (cmd) {
-      case 'echo':
-        return this.cmdEcho(args);
-      case 'pwd':
-        return this.cmdPwd(args);
-      case 'ls':
-        return this.cmdLs(args);
-      case 'cd':
-        return this.cmdCd(args);
-      case 'cat':
-        return this.cmdCat(args);
-      case 'grep':
-        return this.cmdGrep(args);
-      case 'wc':
-        return this.cmdWc(args);
-      case 'head':
-        return this.cmdHead(args);
-      case 'tail':
-        return this.cmdTail(args);
-      case 'mkdir':
-        return this.cmdMkdir(args);
-      case 'touch':
-        return this.cmdTouch(args);
-      case 'rm':
-        return this.cmdRm(args);
-      case 'cp':
-        return this.cmdCp(args);
-      case 'mv':
-        return this.cmdMv(args);
-      case 'env':
-        return this.cmdEnv(args);
-      case 'export':
-        return this.cmdExport(args);
-      case 'date':
-        return this.cmdDate(args);
-      case 'whoami':
-        return this.cmdWhoami(args);
-      case 'clear':
-        return this.cmdClear(args);
-      default:
-        return `bash: ${cmd}: command not found\n(Simulated environment - only common commands supported)`;
-    }
+   * Stop the running script before its next command
+   *
+   * @param {Error} reason - AbortError or TimeoutError
+   */
+  interrupt(reason) {
+    this.interruptReason = reason || BaseRuntime.createAbortError();
   }
 
+  // ------------------------------------------------------------------
+  // Interpreter
+  // ------------------------------------------------------------------
+
   /**
-   * Parse command into tokens (simple implementation)
+   * Run a list of and/or chains, stopping early on break/continue/return/exit
    *
    * @private
-   * @param {string} command - Command string
-   * @returns {string[]} Tokens
+   * @param {Object} list - List node
+   * @param {Object} io - Streams
+   * @returns {Promise<number>} Exit status of the last command
    */
-  parseCommand(command) {
-    const tokens = [];
-    let current = '';
-    let inQuotes = false;
-    let quoteChar = '';
-
-    for (let i = 0; i < command.length; i++) {
-      const char = command[i];
-
-      if ((char === '"' || char === "'") && !inQuotes) {
-        inQuotes = true;
-        quoteChar = char;
-      } else if (char === quoteChar && inQuotes) {
-        inQuotes = false;
-        quoteChar = '';
-      } else if (char === ' ' && !inQuotes) {
-        if (current) {
-          tokens.push(current);
-          current = '';
-        }
-      } else {
-        current += char;
-      }
-    }
+  async runList(list, io) {
+    let status = 0;
 
-    if (current) {
-      tokens.push(current);
+    for (const command of list.commands) {
+      status = await this.runAndOr(command, io);
+      if (this.control) break;
     }
 
-    return tokens;
+    return status;
   }
 
   /**
-   * Resolve path (absolute or relative)
+   * Run pipelines joined by && and ||
    *
    * @private
-   * @param {string} path - Path to resolve
-   * @returns {string} Absolute path
    */
-  resolvePath(path) {
-    if (path.startsWith('/')) {
-      return path;
-    }
-
-    // Handle relative paths
-    const parts = this.currentDir.split('/').filter(p => p);
-    const pathParts = path.split('/');
+  async runAndOr(node, io) {
+    let status = await this.runPipeline(node.first, io);
 
-    for (const part of pathParts) {
-      if (part === '..') {
-        parts.pop();
-      } else if (part !== '.' && part !== '') {
-        parts.push(part);
+    for (const { op, pipeline } of node.rest) {
+      if (this.control) break;
+      if ((op === '&&') === (status === 0)) {
+        status = await this.runPipeline(pipeline, io);
       }
     }
 
-    return '/' + parts.join('/');
+    return status;
   }
 
   /**
-   * Get file/directory node from path
+   * Run a pipeline, feeding each command's stdout to the next one's stdin
+   * Like bash, every command of a multi-command pipeline runs in a subshell,
+   * so `echo x | read v` does not set v.
    *
    * @private
-   * @param {string} path - Path to resolve
-   * @returns {object|null} File system node
    */
-  getNode(path) {
-    const absolutePath = this.resolvePath(path);
-    const parts = absolutePath.split('/').filter(p => p);
+  async runPipeline(pipeline, io) {
+    let status = 0;
 
-    let node = this.fileSystem['/'];
+    if (pipeline.commands.length === 1) {
+      status = await this.runCommand(pipeline.commands[0], io);
+    } else {
+      let stdin = io.stdin;
 
-    for (const part of parts) {
-      if (!node.children || !node.children[part]) {
-        return null;
+      for (const [index, command] of pipeline.commands.entries()) {
+        const last = index === pipeline.commands.length - 1;
+        const stdout = last ? io.stdout : this.createBufferOutput();
+        const commandIo = { ...io, stdin, stdout, tty: last && io.tty };
+
+        status = await this.runSubshell(() => this.runCommand(command, commandIo));
+
+        if (!last) {
+          stdin = this.createStringInput(stdout.text);
+        }
       }
-      node = node.children[part];
     }
 
-    return node;
+    if (pipeline.negated) {
+      status = status === 0 ? 1 : 0;
+    }
+
+    this.lastStatus = status;
+    return status;
   }
 
-  // Command implementations
+  /**
+   * Run one simple or compound command
+   * Errors other than cancellation are reported on stderr with status 1.
+   *
+   * @private
+   */
+  async runCommand(node, io) {
+    await this.checkpoint();
 
-  cmdEcho(args) {
-    // Handle variable expansion
-    const output = args.map(arg => {
-      if (arg.startsWith('$')) {
-        const varName = arg.slice(1);
-        return this.env[varName] || '';
+    try {
+      switch (node.type) {
+        case 'simple':
+          return await this.runSimpleCommand(node, io);
+        case 'function':
+          this.functions[node.name] = node.body;
+          return 0;
+        default:
+          return await this.withRedirects(node.redirects, io, redirected =>
+            this.runCompoundCommand(node, redirected)
+          );
       }
-      return arg;
-    }).join(' ');
-
-    return output;
-  }
-
-  cmdPwd(args) {
-    return this.currentDir;
+    } catch (error) {
+      if (BaseRuntime.isCancellation(error)) {
+        throw error;
+      }
+      io.stderr.write(`bash: ${error.message}\n`);
+      return 1;
+    }
   }
 
-  cmdLs(args) {
-    const path = args[0] || '.';
-    const node = this.getNode(path);
+  /**
+   * Expand and run a simple command
+   *
+   * @private
+   */
+  async runSimpleCommand(node, io) {
+    this.substitutionStatus = 0;
 
-    if (!node) {
-      return `ls: cannot access '${path}': No such file or directory`;
+    const argv = [];
+    for (const word of node.words) {
+      argv.push(...await this.expandWord(word, io));
     }
 
-    if (node.type === 'file') {
-      return path.split('/').pop();
+    const assignments = [];
+    for (const { name, value } of node.assignments) {
+      assignments.push([name, await this.expandString(value, io)]);
     }
 
-    if (!node.children) {
-      return '';
+    // A bare assignment sets the variable; its status is that of the last
+    // command substitution
+    if (argv.length === 0) {
+      for (const [name, value] of assignments) {
+        this.env[name] = value;
+      }
+      return this.withRedirects(node.redirects, io, () => this.substitutionStatus);
     }
 
-    const items = Object.keys(node.children).sort();
-    return items.join('  ');
-  }
+    // `NAME=value command` only sets NAME for that command
+    const saved = assignments.map(([name]) => [name, this.env[name]]);
+    for (const [name, value] of assignments) {
+      this.env[name] = value;
+    }
 
-  cmdCd(args) {
-    if (args.length === 0) {
-      this.currentDir = this.env['HOME'];
-      return '';
+    try {
+      return await this.withRedirects(node.redirects, io, redirected =>
+        this.invoke(argv, redirected)
+      );
+    } finally {
+      for (const [name, value] of saved) {
+        this.restoreVariable(name, value);
+      }
     }
+  }
 
-    const path = args[0];
-    const node = this.getNode(path);
+  /**
+   * Run a function or command by name
+   *
+   * @private
+   * @param {string[]} argv - Command name and arguments
+   * @param {Object} io - Streams
+   * @returns {Promise<number>} Exit status
+   */
+  async invoke(argv, io) {
+    const [name, ...args] = argv;
 
-    if (!node) {
-      return `cd: ${path}: No such file or directory`;
+    if (Object.prototype.hasOwnProperty.call(this.functions, name)) {
+      return this.callFunction(this.functions[name], args, io);
     }
 
-    if (node.type !== 'directory') {
-      return `cd: ${path}: Not a directory`;
+    const command = this.commands.get(name);
+    if (!command) {
+      io.stderr.write(`bash: ${name}: command not found\n`);
+      return 127;
     }
 
-    this.currentDir = this.resolvePath(path);
-    return '';
+    const status = await command.call(this, args, io, name);
+    return status ?? 0;
   }
 
-  cmdCat(args) {
-    if (args.length === 0) {
-      return 'cat: missing file operand';
+  /**
+   * Call a shell function with its own positional parameters and locals
+   *
+   * @private
+   */
+  async callFunction(body, args, io) {
+    if (this.localScopes.length >= MAX_CALL_DEPTH) {
+      throw new Error(`maximum function nesting level exceeded (${MAX_CALL_DEPTH})`);
     }
 
-    const results = [];
-    for (const path of args) {
-      const node = this.getNode(path);
+    const savedParams = this.positionalParams;
+    this.positionalParams = args;
+    this.localScopes.push(new Map());
 
-      if (!node) {
-        results.push(`cat: ${path}: No such file or directory`);
-        continue;
+    try {
+      let status = await this.runCommand(body, io);
+      if (this.control && this.control.type === 'return') {
+        status = this.control.status;
+        this.control = null;
       }
-
-      if (node.type !== 'file') {
-        results.push(`cat: ${path}: Is a directory`);
-        continue;
+      return status;
+    } finally {
+      const scope = this.localScopes.pop();
+      for (const [name, value] of scope) {
+        this.restoreVariable(name, value);
       }
-
-      results.push(node.content);
+      this.positionalParams = savedParams;
     }
+  }
 
-    return results.join('\n');
+  /**
+   * Run if/for/while/group nodes
+   *
+   * @private
+   */
+  async runCompoundCommand(node, io) {
+    switch (node.type) {
+      case 'if':
+        return this.runIf(node, io);
+      case 'for':
+        return this.runFor(node, io);
+      case 'while':
+        return this.runWhile(node, io);
+      case 'group':
+        return node.subshell
+          ? this.runSubshell(() => this.runList(node.body, io))
+          : this.runList(node.body, io);
+      default:
+        throw new Error(`unsupported command: ${node.type}`);
+    }
   }
 
-  cmdGrep(args) {
-    if (args.length < 2) {
-      return 'grep: usage: grep PATTERN [FILE]';
+  /** @private */
+  async runIf(node, io) {
+    for (const clause of node.clauses) {
+      const status = await this.runList(clause.condition, io);
+      if (this.control) return status;
+      if (status === 0) {
+        return this.runList(clause.body, io);
+      }
     }
 
-    const pattern = args[0];
-    const path = args[1];
-    const node = this.getNode(path);
+    return node.elseBody ? this.runList(node.elseBody, io) : 0;
+  }
 
-    if (!node) {
-      return `grep: ${path}: No such file or directory`;
+  /** @private */
+  async runFor(node, io) {
+    let values = [...this.positionalParams];
+    if (node.words) {
+      values = [];
+      for (const word of node.words) {
+        values.push(...await this.expandWord(word, io));
+      }
     }
 
-    if (node.type !== 'file') {
-      return `grep: ${path}: Is a directory`;
+    let status = 0;
+    for (const value of values) {
+      this.env[node.name] = value;
+      status = await this.runList(node.body, io);
+      if (this.consumeLoopControl()) break;
     }
 
-    const lines = node.content.split('\n');
-    const matches = lines.filter(line => line.includes(pattern));
-
-    return matches.join('\n');
+    return status;
   }
 
-  cmdWc(args) {
-    if (args.length === 0) {
-      return 'wc: missing file operand';
-    }
-
-    const path = args[0];
-    const node = this.getNode(path);
+  /** @private */
+  async runWhile(node, io) {
+    let status = 0;
 
-    if (!node) {
-      return `wc: ${path}: No such file or directory`;
-    }
+    for (;;) {
+      const condition = await this.runList(node.condition, io);
+      if (this.control) {
+        if (this.consumeLoopControl()) break;
+        continue;
+      }
+      if ((condition === 0) === node.until) break;
 
-    if (node.type !== 'file') {
-      return `wc: ${path}: Is a directory`;
+      status = await this.runList(node.body, io);
+      if (this.consumeLoopControl()) break;
     }
 
-    const lines = node.content.split('\n').length;
-    const words = node.content.split(/\s+/).filter(w => w).length;
-    const chars = node.content.length;
-
-    return `  ${lines}  ${words}  ${chars} ${path}`;
+    return status;
   }
 
-  cmdHead(args) {
-    const n = 10;
-    const path = args[args.length - 1];
-    const node = this.getNode(path);
+  /**
+   * Handle a pending break or continue at the end of a loop iteration
+   * `break 2` ends this loop and leaves `break 1` for the enclosing one.
+   *
+   * @private
+   * @returns {boolean} True when the loop should stop
+   */
+  consumeLoopControl() {
+    const control = this.control;
+    if (!control) return false;
 
-    if (!node) {
-      return `head: ${path}: No such file or directory`;
+    if (control.type !== 'break' && control.type !== 'continue') {
+      return true;
     }
 
-    if (node.type !== 'file') {
-      return `head: ${path}: Is a directory`;
+    if (control.count > 1) {
+      control.count--;
+      return true;
     }
 
-    const lines = node.content.split('\n');
-    return lines.slice(0, n).join('\n');
+    this.control = null;
+    return control.type === 'break';
   }
 
-  cmdTail(args) {
-    const n = 10;
-    const path = args[args.length - 1];
-    const node = this.getNode(path);
+  /**
+   * Run code in a subshell: variable, function and directory changes are
+   * undone afterwards and `exit` only leaves the subshell
+   *
+   * @private
+   * @param {Function} run - Returns a promise of the exit status
+   * @returns {Promise<number>}
+   */
+  async runSubshell(run) {
+    const saved = {
+      env: { ...this.env },
+      functions: { ...this.functions },
+      currentDir: this.currentDir,
+      positionalParams: this.positionalParams,
+    };
 
-    if (!node) {
-      return `tail: ${path}: No such file or directory`;
+    try {
+      let status = await run();
+      if (this.control) {
+        if (this.control.type === 'exit') {
+          status = this.control.status;
+        }
+        this.control = null;
+      }
+      return status;
+    } finally {
+      this.env = saved.env;
+      this.functions = saved.functions;
+      this.currentDir = saved.currentDir;
+      this.positionalParams = saved.positionalParams;
     }
+  }
 
-    if (node.type !== 'file') {
-      return `tail: ${path}: Is a directory`;
+  /**
+   * Apply redirections around a command
+   *
+   * @private
+   * @param {Object[]} redirects - Redirect nodes
+   * @param {Object} io - Streams
+   * @param {Function} run - Called with the redirected streams
+   * @returns {Promise<number>}
+   */
+  async withRedirects(redirects, io, run) {
+    if (!redirects || redirects.length === 0) {
+      return run(io);
     }
 
-    const lines = node.content.split('\n');
-    return lines.slice(-n).join('\n');
-  }
+    const redirected = { ...io };
+    const files = [];
 
-  cmdMkdir(args) {
-    if (args.length === 0) {
-      return 'mkdir: missing operand';
-    }
+    for (const redirect of redirects) {
+      if (redirect.heredoc) {
+        redirected.stdin = this.createStringInput(await this.expandString(redirect.heredoc, io));
+        continue;
+      }
 
-    return `[SIMULATED] Would create directory: ${args[0]}`;
-  }
+      const target = await this.expandString(redirect.target, io);
+      const fd = redirect.fd ?? (redirect.op.startsWith('<') ? 0 : 1);
 
-  cmdTouch(args) {
-    if (args.length === 0) {
-      return 'touch: missing file operand';
+      if (redirect.op === '<<<') {
+        redirected.stdin = this.createStringInput(`${target}\n`);
+      } else if (redirect.op === '<') {
+        try {
+          redirected.stdin = this.createStringInput(this.readFile(target));
+        } catch (error) {
+          throw new Error(`${target}: ${error.message}`);
+        }
+      } else if ((redirect.op === '>&' || redirect.op === '<&') && /^\d$/.test(target)) {
+        const streams = { 0: redirected.stdin, 1: redirected.stdout, 2: redirected.stderr };
+        if (!streams[target]) {
+          throw new Error(`${target}: Bad file descriptor`);
+        }
+        redirected[['stdin', 'stdout', 'stderr'][fd]] = streams[target];
+      } else {
+        let output;
+        try {
+          output = this.openFileOutput(target, redirect.op.endsWith('>>'));
+        } catch (error) {
+          throw new Error(`${target}: ${error.message}`);
+        }
+        files.push(output);
+
+        if (redirect.op.startsWith('&') || (redirect.op === '>&' && redirect.fd === null)) {
+          redirected.stdout = output;
+          redirected.stderr = output;
+        } else if (fd === 2) {
+          redirected.stderr = output;
+        } else {
+          redirected.stdout = output;
+        }
+      }
     }
 
-    return `[SIMULATED] Would create/update file: ${args[0]}`;
+    redirected.tty = io.tty && redirected.stdout === io.stdout;
+
+    try {
+      return await run(redirected);
+    } finally {
+      files.forEach(file => file.close());
+    }
   }
 
-  cmdRm(args) {
-    if (args.length === 0) {
-      return 'rm: missing operand';
+  /**
+   * Yield to the event loop now and then, and stop if execution was cancelled
+   *
+   * @private
+   */
+  async checkpoint() {
+    if (this.interruptReason) {
+      throw this.interruptReason;
     }
+    this.throwIfAborted(this.signal);
 
-    return `[SIMULATED] Would remove: ${args.join(', ')}`;
+    if (++this.commandCount % YIELD_INTERVAL === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (this.interruptReason) {
+        throw this.interruptReason;
+      }
+      this.throwIfAborted(this.signal);
+    }
   }
 
-  cmdCp(args) {
-    if (args.length < 2) {
-      return 'cp: missing file operand';
+  // ------------------------------------------------------------------
+  // Expansion
+  // ------------------------------------------------------------------
+
+  /**
+   * Expand a word into fields: parameters, command substitution and
+   * arithmetic first, then word splitting and globbing of unquoted results
+   *
+   * @private
+   * @param {Object} word - Word from the parser
+   * @param {Object} io - Streams (stderr of command substitutions)
+   * @param {Object} options - Expansion options
+   * @param {boolean} options.split - Split and glob unquoted results
+   * @returns {Promise<string[]>}
+   */
+  async expandWord(word, io, { split = true } = {}) {
+    const fields = [[]];
+    const current = () => fields[fields.length - 1];
+    const breakField = () => {
+      if (current().length > 0) fields.push([]);
+    };
+
+    for (const part of word.parts) {
+      if (part.type === 'text') {
+        current().push({ text: part.value, quoted: part.quoted });
+        continue;
+      }
+
+      // "$@" keeps each positional parameter as its own field
+      if (part.type === 'param' && part.name === '@' && part.quoted && !part.op) {
+        this.positionalParams.forEach((param, index) => {
+          if (index > 0) fields.push([]);
+          current().push({ text: param, quoted: true });
+        });
+        continue;
+      }
+
+      const value = await this.expandPart(part, io);
+      if (part.quoted || !split) {
+        current().push({ text: value, quoted: true });
+        continue;
+      }
+
+      value.split(/[ \t\n]+/).forEach((piece, index) => {
+        if (index > 0) breakField();
+        if (piece) current().push({ text: piece, quoted: false });
+      });
     }
 
-    return `[SIMULATED] Would copy ${args[0]} to ${args[1]}`;
-  }
+    const results = [];
+    for (const segments of fields) {
+      if (segments.length === 0) continue;
+
+      const text = segments.map(segment => segment.text).join('');
+      const hasGlob = split && segments.some(segment => !segment.quoted && /[*?[]/.test(segment.text));
+
+      if (hasGlob) {
+        const pattern = segments
+          .map(segment => segment.quoted ? segment.text.replace(/[*?[\]\\]/g, '\\$&') : segment.text)
+          .join('');
+        const matches = this.expandGlob(pattern);
+        if (matches.length > 0) {
+          results.push(...matches);
+          continue;
+        }
+      }
 
-  cmdMv(args) {
-    if (args.length < 2) {
-      return 'mv: missing file operand';
+      results.push(text);
     }
 
-    return `[SIMULATED] Would move ${args[0]} to ${args[1]}`;
+    return results;
   }
 
-  cmdEnv(args) {
-    return Object.entries(this.env)
-      .map(([key, value]) => `${key}=${value}`)
-      .join('\n');
+  /**
+   * Expand a word to a single string (assignments, redirect targets)
+   *
+   * @private
+   */
+  async expandString(word, io) {
+    const fields = await this.expandWord(word, io, { split: false });
+    return fields.join(' ');
   }
 
-  cmdExport(args) {
-    if (args.length === 0) {
-      return this.cmdEnv(args);
+  /**
+   * Expand one $-part of a word
+   *
+   * @private
+   */
+  async expandPart(part, io) {
+    switch (part.type) {
+      case 'param':
+        return this.expandParameter(part, io);
+      case 'command':
+        return this.runCommandSubstitution(part.source, io);
+      case 'arith': {
+        const expression = await this.expandString(this.parser.parseWord(part.source), io);
+        return String(this.evaluateArithmetic(expression));
+      }
+      default:
+        return '';
     }
+  }
 
-    const [assignment] = args;
-    const [key, value] = assignment.split('=');
+  /**
+   * Expand $NAME / ${NAME...} including the :- := :+ :? and # forms
+   *
+   * @private
+   */
+  async expandParameter(part, io) {
+    const value = this.getVariable(part.name);
 
-    if (value) {
-      this.env[key] = value;
-      return `[SIMULATED] Exported ${key}=${value}`;
+    if (part.op === 'length') {
+      return String(['@', '*'].includes(part.name)
+        ? this.positionalParams.length
+        : (value ?? '').length);
     }
 
-    return '';
-  }
+    if (!part.op) {
+      return value ?? '';
+    }
 
-  cmdDate(args) {
-    return new Date().toString();
+    const useDefault = part.op.startsWith(':') ? !value : value === undefined;
+    const operator = part.op.replace(':', '');
+
+    switch (operator) {
+      case '-':
+        return useDefault ? this.expandString(part.arg, io) : value;
+      case '=':
+        if (useDefault) {
+          this.env[part.name] = await this.expandString(part.arg, io);
+        }
+        return this.env[part.name];
+      case '+':
+        return useDefault ? '' : this.expandString(part.arg, io);
+      case '?':
+        if (useDefault) {
+          const message = await this.expandString(part.arg, io);
+          throw new Error(`${part.name}: ${message || 'parameter null or not set'}`);
+        }
+        return value;
+      default:
+        return value ?? '';
+    }
   }
 
-  cmdWhoami(args) {
-    return this.env['USER'];
+  /**
+   * Look up a variable, including the special parameters
+   *
+   * @private
+   * @param {string} name - Variable name
+   * @returns {string|undefined}
+   */
+  getVariable(name) {
+    switch (name) {
+      case '?':
+        return String(this.lastStatus);
+      case '#':
+        return String(this.positionalParams.length);
+      case '@':
+      case '*':
+        return this.positionalParams.join(' ');
+      case '0':
+        return 'bash';
+      case '$':
+        return '1000';
+      case '!':
+        return '';
+      case 'PWD':
+        return this.currentDir;
+      case 'RANDOM':
+        return String(Math.floor(Math.random() * 32768));
+      default:
+        if (/^\d+$/.test(name)) {
+          return this.positionalParams[Number(name) - 1];
+        }
+        return this.env[name];
+    }
   }
 
-  cmdClear(args) {
-    return '\n'.repeat(50) + 'Screen cleared (simulated)';
+  /**
+   * Put a saved variable value back (undefined means unset)
+   *
+   * @private
+   */
+  restoreVariable(name, value) {
+    if (value === undefined) {
+      delete this.env[name];
+    } else {
+      this.env[name] = value;
+    }
   }
 
   /**
-   * Dispose of shell runtime
+   * Run $(...) in a subshell and return its output without trailing newlines
+   *
+   * @private
    */
-  async dispose() {
-    this.fileSystem = null;
-    this.env = null;
-    await super.dispose();
-    this.log('Shell runtime disposed', 'info');
+  async runCommandSubstitution(source, io) {
+    const output = this.createBufferOutput();
+    const script = this.parser.parse(source);
+
+    this.substitutionStatus = await this.runSubshell(() =>
+      this.runList(script, { ...io, stdout: output, tty: false })
+    );
+
+    return output.text.replace(/\n+$/, '');
   }
 
   /**
-   * Get information about shell runtime
+   * Evaluate a $((...)) expression with integer arithmetic
+   * Supports + - * / % **, comparisons, && || !, parentheses and variable
+   * names (unset or non-numeric variables count as 0).
    *
-   * @returns {object} Runtime information
+   * @private
+   * @param {string} expression - Expression with $-expansions already done
+   * @returns {number}
    */
-  getLibraryInfo() {
-    return {
-      name: 'Shell (Simulated)',
-      version: 'Bash 5.x Compatible',
-      type: 'Educational Simulation',
-      features: [
-        'Common Unix commands',
-        'File system simulation',
-        'Environment variables',
-        'Path resolution',
-        'Command pipelines (basic)',
-        'Safe learning environment',
-      ],
-      supportedCommands: [
-        'echo', 'pwd', 'ls', 'cd', 'cat', 'grep', 'wc',
-        'head', 'tail', 'mkdir', 'touch', 'rm', 'cp', 'mv',
-        'env', 'export', 'date', 'whoami', 'clear',
+  evaluateArithmetic(expression) {
+    const tokens = [];
+    const pattern = /\s*(0x[0-9a-fA-F]+|\d+|[A-Za-z_][A-Za-z0-9_]*|\*\*|<=|>=|==|!=|&&|\|\||[-+*/%<>!()])/y;
+
+    while (pattern.lastIndex < expression.length) {
+      const start = pattern.lastIndex;
+      const match = pattern.exec(expression);
+      if (!match) {
+        if (/^\s*$/.test(expression.slice(start))) break;
+        throw new Error(`${expression}: syntax error in expression`);
+      }
+      tokens.push(match[1]);
+    }
+
+    const levels = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+    let index = 0;
+
+    const apply = (op, left, right) => {
+      switch (op) {
+        case '||': return Number(left !== 0 || right !== 0);
+        case '&&': return Number(left !== 0 && right !== 0);
+        case '==': return Number(left === right);
+        case '!=': return Number(left !== right);
+        case '<': return Number(left < right);
+        case '<=': return Number(left <= right);
+        case '>': return Number(left > right);
+        case '>=': return Number(left >= right);
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        default:
+          if (right === 0) {
+            throw new Error(`${expression}: division by 0`);
+          }
+          return op === '/' ? Math.trunc(left / right) : left % right;
+      }
+    };
+
+    const parsePrimary = () => {
+      const token = tokens[index++];
+
+      if (token === '(') {
+        const value = parseLevel(0);
+        if (tokens[index++] !== ')') {
+          throw new Error(`${expression}: missing \`)'`);
+        }
+        return value;
+      }
+      if (token !== undefined && /^\d|^0x/.test(token)) {
+        return Number(token);
+      }
+      if (token !== undefined && /^[A-Za-z_]/.test(token)) {
+        const value = parseInt(this.getVariable(token), 10);
+        return Number.isNaN(value) ? 0 : value;
+      }
+
+      throw new Error(`${expression}: syntax error: operand expected`);
+    };
+
+    const parseUnary = () => {
+      const token = tokens[index];
+      if (token === '-' || token === '+' || token === '!') {
+        index++;
+        const value = parseUnary();
+        if (token === '-') return -value;
+        if (token === '!') return Number(value === 0);
+        return value;
+      }
+      return parsePrimary();
+    };
+
+    const parsePower = () => {
+      const base = parseUnary();
+      if (tokens[index] === '**') {
+        index++;
+        return base ** parsePower();
+      }
+      return base;
+    };
+
+    const parseLevel = (level) => {
+      if (level === levels.length) {
+        return parsePower();
+      }
+
+      let left = parseLevel(level + 1);
+      while (levels[level].includes(tokens[index])) {
+        const op = tokens[index++];
+        left = apply(op, left, parseLevel(level + 1));
+      }
+      return left;
+    };
+
+    if (tokens.length === 0) {
+      return 0;
+    }
+
+    const value = parseLevel(0);
+    if (index < tokens.length) {
+      throw new Error(`${expression}: syntax error in expression (error token is "${tokens[index]}")`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Expand a glob pattern against the simulated file system
+   * Backslash-escaped characters match literally; hidden files only match
+   * when the pattern segment starts with a dot.
+   *
+   * @private
+   * @param {string} pattern - Glob pattern, e.g. `*.txt` or `/etc/h*`
+   * @returns {string[]} Sorted matches (empty if none)
+   */
+  expandGlob(pattern) {
+    const absolute = pattern.startsWith('/');
+    const segments = pattern.split('/').filter(segment => segment);
+    let matches = [{ display: absolute ? '/' : '', path: absolute ? '/' : this.currentDir }];
+
+    for (const segment of segments) {
+      const next = [];
+      const literal = !/(^|[^\\])[*?[]/.test(segment);
+      const regex = literal ? null : this.globToRegExp(segment);
+
+      for (const match of matches) {
+        const node = this.getNode(match.path);
+        if (!node || node.type !== 'directory') continue;
+
+        const names = literal
+          ? [segment.replace(/\\(.)/g, '$1')]
+          : Object.keys(node.children)
+            .filter(name => !name.startsWith('.') || segment.startsWith('.'))
+            .filter(name => regex.test(name))
+            .sort();
+
+        for (const name of names) {
+          const path = this.resolvePath(`${match.path}/${name}`);
+          if (literal && !this.getNode(path)) continue;
+
+          const separator = match.display === '' || match.display.endsWith('/') ? '' : '/';
+          next.push({ display: `${match.display}${separator}${name}`, path });
+        }
+      }
+
+      matches = next;
+    }
+
+    return matches.map(match => match.display);
+  }
+
+  /**
+   * Convert one glob path segment to an anchored RegExp
+   *
+   * @private
+   * @param {string} glob - Pattern with * ? [...] and \-escapes
+   * @returns {RegExp}
+   */
+  globToRegExp(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+
+      if (char === '\\' && i + 1 < glob.length) {
+        source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      } else if (char === '*') {
+        source += '.*';
+      } else if (char === '?') {
+        source += '.';
+      } else if (char === '[') {
+        const end = glob.indexOf(']', i + 2);
+        if (end === -1) {
+          source += '\\[';
+        } else {
+          const set = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+          source += `[${set}]`;
+          i = end;
+        }
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${source}$`);
+  }
+
+  // ------------------------------------------------------------------
+  // Streams
+  // ------------------------------------------------------------------
+
+  /**
+   * Create a stdin stream over a string
+   *
+   * @private
+   * @param {string} text - Stream content
+   * @returns {{readLine: Function, readAll: Function}}
+   */
+  createStringInput(text) {
+    let offset = 0;
+
+    return {
+      readLine: async () => {
+        if (offset >= text.length) return null;
+
+        let end = text.indexOf('\n', offset);
+        if (end === -1) end = text.length;
+
+        const line = text.slice(offset, end);
+        offset = end + 1;
+        return line;
+      },
+      readAll: async () => {
+        const rest = text.slice(offset);
+        offset = text.length;
+        return rest;
+      },
+    };
+  }
+
+  /**
+   * Create the script's own stdin: pre-supplied stdin, then the input prompt
+   *
+   * @private
+   */
+  createTerminalInput() {
+    return {
+      readLine: (prompt = '') => this.readLine(prompt),
+      readAll: async () => {
+        let text = '';
+        let line;
+        while ((line = await this.readLine()) !== null) {
+          text += `${line}\n`;
+        }
+        return text;
+      },
+    };
+  }
+
+  /**
+   * Create an output stream that collects text (pipes, $(...))
+   *
+   * @private
+   */
+  createBufferOutput() {
+    return {
+      text: '',
+      write(text) {
+        this.text += text;
+      },
+    };
+  }
+
+  /**
+   * Open a file for a > or >> redirection
+   * The file is created (or truncated) immediately and written on close().
+   *
+   * @private
+   * @param {string} path - Target path
+   * @param {boolean} append - Append instead of truncating
+   */
+  openFileOutput(path, append) {
+    this.writeFile(path, '', { append });
+
+    let text = '';
+    return {
+      write: (chunk) => {
+        text += chunk;
+      },
+      close: () => {
+        this.writeFile(path, text, { append: true });
+      },
+    };
+  }
+
+  /**
+   * Log stderr text as error lines
+   *
+   * @private
+   */
+  writeStderr(text) {
+    this.flushStdout();
+    text.replace(/\n$/, '').split('\n').forEach(line => this.logError(line));
+  }
+
+  // ------------------------------------------------------------------
+  // File system
+  // ------------------------------------------------------------------
+
+  /**
+   * Resolve path (absolute or relative), normalizing . and ..
+   *
+   * @private
+   * @param {string} path - Path to resolve
+   * @returns {string} Absolute path
+   */
+  resolvePath(path) {
+    const parts = path.startsWith('/') ? [] : this.currentDir.split('/').filter(p => p);
+    const pathParts = path.split('/');
+
+    for (const part of pathParts) {
+      if (part === '..') {
+        parts.pop();
+      } else if (part !== '.' && part !== '') {
+        parts.push(part);
+      }
+    }
+
+    return '/' + parts.join('/');
+  }
+
+  /**
+   * Get file/directory node from path
+   *
+   * @private
+   * @param {string} path - Path to resolve
+   * @returns {object|null} File system node
+   */
+  getNode(path) {
+    const absolutePath = this.resolvePath(path);
+    const parts = absolutePath.split('/').filter(p => p);
+
+    let node = this.fileSystem['/'];
+
+    for (const part of parts) {
+      if (!node.children || !node.children[part]) {
+        return null;
+      }
+      node = node.children[part];
+    }
+
+    return node;
+  }
+
+  /**
+   * Get the directory node that would contain a path
+   *
+   * @private
+   * @param {string} path - Path
+   * @returns {{parent: object, name: string}}
+   * @throws {Error} When the parent directory does not exist
+   */
+  getParent(path) {
+    const absolutePath = this.resolvePath(path);
+    const index = absolutePath.lastIndexOf('/');
+    const name = absolutePath.slice(index + 1);
+    const parent = this.getNode(absolutePath.slice(0, index) || '/');
+
+    if (!name) {
+      throw new Error('Is a directory');
+    }
+    if (!parent) {
+      throw new Error('No such file or directory');
+    }
+    if (parent.type !== 'directory') {
+      throw new Error('Not a directory');
+    }
+
+    return { parent, name };
+  }
+
+  /**
+   * Read a file's content
+   *
+   * @private
+   * @param {string} path - File path
+   * @returns {string}
+   * @throws {Error} With the reason, e.g. 'No such file or directory'
+   */
+  readFile(path) {
+    if (path === '/dev/null') return '';
+
+    const node = this.getNode(path);
+    if (!node) {
+      throw new Error('No such file or directory');
+    }
+    if (node.type !== 'file') {
+      throw new Error('Is a directory');
+    }
+
+    return node.content;
+  }
+
+  /**
+   * Create or overwrite (or append to) a file
+   *
+   * @private
+   * @param {string} path - File path
+   * @param {string} content - Text to write
+   * @param {Object} options - Write options
+   * @param {boolean} options.append - Append to the existing content
+   */
+  writeFile(path, content, { append = false } = {}) {
+    if (path === '/dev/null') return;
+
+    const { parent, name } = this.getParent(path);
+    const existing = parent.children[name];
+
+    if (existing && existing.type === 'directory') {
+      throw new Error('Is a directory');
+    }
+
+    // Update existing files in place so they keep their saved file id
+    if (existing) {
+      existing.content = append ? existing.content + content : content;
+    } else {
+      parent.children[name] = { type: 'file', content };
+    }
+  }
+
+  /**
+   * Create a directory
+   *
+   * @private
+   * @param {string} path - Directory path
+   * @param {boolean} parents - Create missing parents and allow existing (mkdir -p)
+   */
+  makeDirectory(path, parents = false) {
+    if (parents) {
+      let node = this.fileSystem['/'];
+      for (const part of this.resolvePath(path).split('/').filter(p => p)) {
+        if (!node.children[part]) {
+          node.children[part] = { type: 'directory', children: {} };
+        } else if (node.children[part].type !== 'directory') {
+          throw new Error('Not a directory');
+        }
+        node = node.children[part];
+      }
+      return;
+    }
+
+    const { parent, name } = this.getParent(path);
+    if (parent.children[name]) {
+      throw new Error('File exists');
+    }
+    parent.children[name] = { type: 'directory', children: {} };
+  }
+
+  /**
+   * Remove a file or directory
+   *
+   * @private
+   */
+  removeNode(path) {
+    const { parent, name } = this.getParent(path);
+    if (!parent.children[name]) {
+      throw new Error('No such file or directory');
+    }
+    delete parent.children[name];
+  }
+
+  /**
+   * Deep-copy a file system node
+   *
+   * @private
+   */
+  cloneNode(node) {
+    if (node.type === 'file') {
+      return { type: 'file', content: node.content };
+    }
+
+    const children = {};
+    for (const [name, child] of Object.entries(node.children)) {
+      children[name] = this.cloneNode(child);
+    }
+    return { type: 'directory', children };
+  }
+
+  /**
+   * Where cp/mv put a source: inside the destination if it is a directory
+   *
+   * @private
+   */
+  resolveDestination(source, destination) {
+    const node = this.getNode(destination);
+    if (node && node.type === 'directory') {
+      const name = this.resolvePath(source).split('/').pop();
+      return this.resolvePath(`${destination}/${name}`);
+    }
+    return this.resolvePath(destination);
+  }
+
+  /**
+   * Replace /home/user with the saved files from FileManager
+   * Directories made with mkdir that hold no files yet are kept from the
+   * previous run, since FileManager only stores files.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async loadUserFiles() {
+    if (!this.fileManager) return;
+
+    const files = await this.fileManager.getAllFiles();
+    const home = { type: 'directory', children: {} };
+    this.savedFiles = new Map();
+
+    for (const file of files) {
+      // The shell's file system holds text only
+      if (typeof file.content !== 'string') continue;
+
+      const parts = file.name.split('/').filter(part => part);
+      const name = parts.pop();
+      let directory = home;
+
+      for (const part of parts) {
+        if (!directory) break;
+        if (!directory.children[part]) {
+          directory.children[part] = { type: 'directory', children: {} };
+        }
+        directory = directory.children[part].type === 'directory' ? directory.children[part] : null;
+      }
+
+      // Files shadowed by a duplicate name or a same-named folder are left alone
+      if (!name || !directory || directory.children[name]) continue;
+
+      directory.children[name] = { type: 'file', content: String(file.content ?? ''), fileId: file.id };
+      this.savedFiles.set(file.id, { file, path: [...parts, name].join('/') });
+    }
+
+    const previous = this.getNode(USER_HOME);
+    if (previous && previous.type === 'directory') {
+      this.mergeDirectories(previous, home);
+    }
+
+    this.makeDirectory(USER_HOME, true);
+    this.getParent(USER_HOME).parent.children.user = home;
+  }
+
+  /**
+   * Copy directories (not files) from one tree into another where free
+   *
+   * @private
+   */
+  mergeDirectories(source, target) {
+    for (const [name, child] of Object.entries(source.children)) {
+      if (child.type !== 'directory') continue;
+
+      if (!target.children[name]) {
+        target.children[name] = { type: 'directory', children: {} };
+      }
+      if (target.children[name].type === 'directory') {
+        this.mergeDirectories(child, target.children[name]);
+      }
+    }
+  }
+
+  /**
+   * Write files created, changed, moved or removed under /home/user back to
+   * FileManager, then notify the IDE if anything changed
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async saveUserFiles() {
+    if (!this.fileManager || !this.savedFiles) return;
+
+    const savedFiles = this.savedFiles;
+    this.savedFiles = null;
+
+    const home = this.getNode(USER_HOME);
+    const current = new Map();
+    if (home && home.type === 'directory') {
+      this.collectFiles(home, '', current);
+    }
+
+    const kept = new Set();
+    let changed = false;
+
+    for (const [path, node] of current) {
+      const saved = savedFiles.get(node.fileId);
+
+      if (saved && !kept.has(node.fileId)) {
+        kept.add(node.fileId);
+        if (saved.path === path && saved.file.content === node.content) continue;
+
+        await this.fileManager.saveFile({ ...saved.file, name: path, content: node.content });
+      } else {
+        node.fileId = await this.fileManager.saveFile({
+          name: path,
+          content: node.content,
+          language: WorkspaceFS.detectLanguage(path),
+        });
+      }
+      changed = true;
+    }
+
+    for (const id of savedFiles.keys()) {
+      if (!kept.has(id)) {
+        await this.fileManager.deleteFile(id);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      this.notifyFilesChanged();
+    }
+  }
+
+  /**
+   * Collect file nodes under a directory by relative path
+   *
+   * @private
+   */
+  collectFiles(directory, prefix, files) {
+    for (const [name, child] of Object.entries(directory.children)) {
+      const path = prefix ? `${prefix}/${name}` : name;
+      if (child.type === 'directory') {
+        this.collectFiles(child, path, files);
+      } else {
+        files.set(path, child);
+      }
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Command helpers
+  // ------------------------------------------------------------------
+
+  /**
+   * Split leading-dash flags from operands
+   * Letters in `valueFlags` take a value: the rest of the cluster or the
+   * next argument (`-n5` or `-n 5`). `--` ends flag parsing.
+   *
+   * @private
+   * @param {string[]} args - Command arguments
+   * @param {string} valueFlags - Flag letters that take a value
+   * @returns {{flags: Object, operands: string[]}}
+   */
+  parseFlags(args, valueFlags = '') {
+    const flags = {};
+    const operands = [];
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      if (arg === '--') {
+        operands.push(...args.slice(i + 1));
+        break;
+      }
+      if (arg.length < 2 || arg[0] !== '-') {
+        operands.push(arg);
+        continue;
+      }
+
+      for (let j = 1; j < arg.length; j++) {
+        const flag = arg[j];
+        if (valueFlags.includes(flag)) {
+          flags[flag] = j < arg.length - 1 ? arg.slice(j + 1) : args[++i];
+          break;
+        }
+        flags[flag] = true;
+      }
+    }
+
+    return { flags, operands };
+  }
+
+  /**
+   * Read the files named by a command's operands, or stdin when there are
+   * none (or for `-`); unreadable files are reported on stderr
+   *
+   * @private
+   * @param {string} command - Command name for error messages
+   * @param {string[]} paths - File operands
+   * @param {Object} io - Streams
+   * @returns {Promise<{inputs: {name: string|null, content: string}[], status: number}>}
+   */
+  async readInputs(command, paths, io) {
+    const inputs = [];
+    let status = 0;
+
+    for (const path of paths.length > 0 ? paths : ['-']) {
+      if (path === '-') {
+        inputs.push({ name: null, content: await io.stdin.readAll() });
+        continue;
+      }
+
+      try {
+        inputs.push({ name: path, content: this.readFile(path) });
+      } catch (error) {
+        io.stderr.write(`${command}: ${path}: ${error.message}\n`);
+        status = 1;
+      }
+    }
+
+    return { inputs, status };
+  }
+
+  /**
+   * Split text into lines without the final newline's empty entry
+   *
+   * @private
+   */
+  splitLines(text) {
+    if (!text) return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    return lines;
+  }
+
+  /**
+   * Join lines with a newline after each
+   *
+   * @private
+   */
+  joinLines(lines) {
+    return lines.map(line => `${line}\n`).join('');
+  }
+
+  // Command implementations
+
+  cmdEcho(args, io) {
+    let newline = true;
+    let escapes = false;
+    let index = 0;
+
+    while (index < args.length && /^-[neE]+$/.test(args[index])) {
+      for (const flag of args[index].slice(1)) {
+        if (flag === 'n') newline = false;
+        if (flag === 'e') escapes = true;
+        if (flag === 'E') escapes = false;
+      }
+      index++;
+    }
+
+    let text = args.slice(index).join(' ');
+    if (escapes) {
+      const sequences = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v', '\\': '\\' };
+      text = text.replace(/\\([ntrabfv\\])/g, (match, char) => sequences[char]);
+    }
+
+    io.stdout.write(newline ? `${text}\n` : text);
+    return 0;
+  }
+
+  cmdPrintf(args, io) {
+    let index = 0;
+    let variable = null;
+    if (args[0] === '-v') {
+      variable = args[1];
+      index = 2;
+    }
+    if (args[index] === '--') index++;
+
+    if (args.length <= index || (variable !== null && !/^[A-Za-z_]\w*$/.test(variable))) {
+      io.stderr.write(variable
+        ? `printf: \`${variable}': not a valid identifier\n`
+        : 'printf: usage: printf [-v var] format [arguments]\n');
+      return 2;
+    }
+
+    const values = args.slice(index + 1);
+    let position = 0;
+    let status = 0;
+
+    const toNumber = (value, conversion) => {
+      if (value === undefined || value === '') return 0;
+      // A leading quote gives the character's code, e.g. printf '%d' "'A"
+      if (/^['"]/.test(value)) return value.length > 1 ? value.codePointAt(1) : 0;
+
+      const text = value.trim();
+      const integer = /^([-+]?)(0x[0-9a-f]+|0[0-7]*|[1-9]\d*)$/i.exec(text);
+      if (integer) {
+        const digits = integer[2];
+        const radix = /^0x/i.test(digits) ? 16 : digits.length > 1 && digits.startsWith('0') ? 8 : 10;
+        const number = parseInt(radix === 16 ? digits.slice(2) : digits, radix);
+        return integer[1] === '-' ? -number : number;
+      }
+      if ('eEfFgG'.includes(conversion) && /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+        return Number(text);
+      }
+
+      io.stderr.write(`printf: ${value}: invalid number\n`);
+      status = 1;
+      return parseFloat(text) || 0;
+    };
+
+    const options = {
+      toNumber,
+      toString: value => value ?? '',
+      conversions: {
+        b: (value) => {
+          const { text, stopped } = this.expandPrintfEscapes(value ?? '', true);
+          return { text, stop: stopped };
+        },
+        q: value => this.quoteShellWord(value ?? ''),
+      },
+    };
+
+    // The format is reused until every argument has been used
+    const format = this.expandPrintfEscapes(args[index], false);
+    let output = '';
+    let stopped = format.stopped;
+    do {
+      const start = position;
+      const pass = PrintfFormat.format(format.text, () => values[position++], options);
+      // Reading past the end of the arguments does not use any up
+      position = Math.min(position, values.length);
+      output += pass.text;
+      stopped = stopped || pass.stopped;
+      if (position === start) break;
+    } while (!stopped && position < values.length);
+
+    if (variable) {
+      this.env[variable] = output;
+    } else {
+      io.stdout.write(output);
+    }
+    return status;
+  }
+
+  /**
+   * Expand the backslash escapes of a printf format or %b argument
+   * Octal escapes are \NNN in formats and \0NNN in arguments; `\c` ends the
+   * output. In a format, a `%` written as an escape stays literal.
+   *
+   * @private
+   * @param {string} text - Format or argument
+   * @param {boolean} inArgument - Whether text is a %b argument
+   * @returns {{text: string, stopped: boolean}}
+   */
+  expandPrintfEscapes(text, inArgument) {
+    const octal = inArgument ? '0[0-7]{0,3}|[1-7][0-7]{0,2}' : '[0-7]{1,3}';
+    const pattern = new RegExp(`\\\\(?:(${octal})|x([0-9a-fA-F]{1,2})|(c)|([\\\\abefnrtv"']))`, 'g');
+
+    let result = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      result += text.slice(last, match.index);
+      last = pattern.lastIndex;
+
+      const [, octalDigits, hexDigits, stop, escape] = match;
+      if (stop) return { text: result, stopped: true };
+
+      let char;
+      if (octalDigits !== undefined) {
+        char = String.fromCharCode(parseInt(octalDigits, 8) & 0xff);
+      } else if (hexDigits !== undefined) {
+        char = String.fromCharCode(parseInt(hexDigits, 16));
+      } else {
+        char = PRINTF_ESCAPES[escape];
+      }
+      result += !inArgument && char === '%' ? '%%' : char;
+    }
+
+    return { text: result + text.slice(last), stopped: false };
+  }
+
+  /**
+   * Quote text so the shell reads it back as one word (printf %q)
+   *
+   * @private
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  quoteShellWord(text) {
+    if (text === '') return "''";
+
+    // Control characters need ANSI-C quoting
+    if (/[\x00-\x1f\x7f]/.test(text)) {
+      const escapes = { '\n': '\\n', '\t': '\\t', '\r': '\\r', '\\': '\\\\', "'": "\\'" };
+      const quoted = text.replace(/[\x00-\x1f\x7f\\']/g, char => escapes[char]
+        || `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+      return `$'${quoted}'`;
+    }
+    return text.replace(/[^\w@%+=:,./-]/g, '\\$&');
+  }
+
+  cmdPwd(args, io) {
+    io.stdout.write(`${this.currentDir}\n`);
+    return 0;
+  }
+
+  cmdLs(args, io) {
+    const { flags, operands } = this.parseFlags(args);
+    const paths = operands.length > 0 ? operands : ['.'];
+    const files = [];
+    const directories = [];
+    let status = 0;
+
+    for (const path of paths) {
+      const node = this.getNode(path);
+      if (!node) {
+        io.stderr.write(`ls: cannot access '${path}': No such file or directory\n`);
+        status = 2;
+      } else if (node.type === 'file') {
+        files.push({ name: path, node });
+      } else {
+        directories.push({ path, node });
+      }
+    }
+
+    const format = (entries) => {
+      if (flags.l) {
+        return this.joinLines(entries.map(({ name, node }) => {
+          const isDirectory = node.type === 'directory';
+          const mode = isDirectory ? 'drwxr-xr-x' : '-rw-r--r--';
+          const size = isDirectory ? 4096 : node.content.length;
+          return `${mode} 1 ${this.env.USER} ${this.env.USER} ${String(size).padStart(5)} ${name}`;
+        }));
+      }
+
+      const names = entries.map(entry => entry.name);
+      if (names.length === 0) return '';
+      return io.tty && !flags['1'] ? `${names.join('  ')}\n` : this.joinLines(names);
+    };
+
+    const blocks = [];
+    if (files.length > 0) {
+      blocks.push(format(files));
+    }
+
+    for (const { path, node } of directories) {
+      const entries = Object.keys(node.children)
+        .filter(name => flags.a || !name.startsWith('.'))
+        .sort()
+        .map(name => ({ name, node: node.children[name] }));
+      const heading = paths.length > 1 ? `${path}:\n` : '';
+      blocks.push(heading + format(entries));
+    }
+
+    io.stdout.write(blocks.join('\n'));
+    return status;
+  }
+
+  cmdCd(args, io) {
+    let path = args[0] || this.env['HOME'];
+
+    if (path === '-') {
+      path = this.env['OLDPWD'] || this.currentDir;
+      io.stdout.write(`${path}\n`);
+    }
+
+    const node = this.getNode(path);
+
+    if (!node) {
+      io.stderr.write(`bash: cd: ${path}: No such file or directory\n`);
+      return 1;
+    }
+
+    if (node.type !== 'directory') {
+      io.stderr.write(`bash: cd: ${path}: Not a directory\n`);
+      return 1;
+    }
+
+    this.env['OLDPWD'] = this.currentDir;
+    this.currentDir = this.resolvePath(path);
+    return 0;
+  }
+
+  async cmdCat(args, io) {
+    const { inputs, status } = await this.readInputs('cat', args, io);
+    inputs.forEach(input => io.stdout.write(input.content));
+    return status;
+  }
+
+  async cmdGrep(args, io) {
+    const { flags, operands } = this.parseFlags(args, 'e');
+    const pattern = flags.e ?? operands.shift();
+
+    if (pattern === undefined) {
+      io.stderr.write('Usage: grep [OPTION]... PATTERNS [FILE]...\n');
+      return 2;
+    }
+
+    let regex;
+    try {
+      const regexFlags = flags.i ? 'gi' : 'g';
+      regex = flags.F
+        ? PosixRegExp.literal(pattern, regexFlags)
+        : PosixRegExp.compile(pattern, { extended: !!flags.E, flags: regexFlags });
+      if (flags.w) regex = new RegExp(`(?<![\\w])(?:${regex.source})(?![\\w])`, regexFlags);
+    } catch (error) {
+      io.stderr.write(`grep: ${error.message}\n`);
+      return 2;
+    }
+
+    const { inputs, status } = await this.readInputs('grep', operands, io);
+    const showNames = inputs.length > 1;
+    let matched = false;
+
+    for (const { name, content } of inputs) {
+      const label = name ?? '(standard input)';
+      const prefix = showNames ? `${label}:` : '';
+      const lines = [];
+      let count = 0;
+
+      this.splitLines(content).forEach((line, index) => {
+        regex.lastIndex = 0;
+        if (regex.test(line) === !!flags.v) return;
+
+        count++;
+        const lineNumber = flags.n ? `${index + 1}:` : '';
+        if (flags.o && !flags.v) {
+          regex.lastIndex = 0;
+          for (const match of line.matchAll(regex)) {
+            if (match[0]) lines.push(`${prefix}${lineNumber}${match[0]}`);
+          }
+        } else {
+          lines.push(`${prefix}${lineNumber}${line}`);
+        }
+      });
+
+      matched = matched || count > 0;
+      if (flags.q) continue;
+
+      if (flags.l) {
+        if (count > 0) io.stdout.write(`${label}\n`);
+      } else if (flags.c) {
+        io.stdout.write(`${prefix}${count}\n`);
+      } else {
+        io.stdout.write(this.joinLines(lines));
+      }
+    }
+
+    // -q succeeds on any match, even if some file was unreadable
+    if (flags.q && matched) return 0;
+    if (status !== 0) return 2;
+    return matched ? 0 : 1;
+  }
+
+  async cmdWc(args, io) {
+    const { flags, operands } = this.parseFlags(args);
+    const { inputs, status } = await this.readInputs('wc', operands, io);
+    const selected = ['l', 'w', 'c'].filter(flag => flags[flag]);
+    const columns = selected.length > 0 ? selected : ['l', 'w', 'c'];
+
+    const rows = inputs.map(({ name, content }) => ({
+      name,
+      counts: {
+        l: (content.match(/\n/g) || []).length,
+        w: content.split(/\s+/).filter(word => word).length,
+        c: content.length,
+      },
+    }));
+
+    if (rows.length > 1) {
+      const total = { l: 0, w: 0, c: 0 };
+      rows.forEach(row => columns.forEach(column => { total[column] += row.counts[column]; }));
+      rows.push({ name: 'total', counts: total });
+    }
+
+    const single = columns.length === 1 && rows.length === 1;
+    const width = single ? 0 : Math.max(...rows.flatMap(row => columns.map(column => String(row.counts[column]).length)));
+
+    io.stdout.write(this.joinLines(rows.map(({ name, counts }) => {
+      const numbers = columns.map(column => String(counts[column]).padStart(width)).join(' ');
+      return name === null ? numbers : `${numbers} ${name}`;
+    })));
+
+    return status;
+  }
+
+  async cmdHead(args, io) {
+    return this.printLineRange('head', args, io);
+  }
+
+  async cmdTail(args, io) {
+    return this.printLineRange('tail', args, io);
+  }
+
+  /**
+   * Shared implementation of head and tail (-n N, -N, and tail's -n +N)
+   *
+   * @private
+   */
+  async printLineRange(command, args, io) {
+    const normalized = args.flatMap(arg => /^-\d+$/.test(arg) ? ['-n', arg.slice(1)] : [arg]);
+    const { flags, operands } = this.parseFlags(normalized, 'n');
+    const count = String(flags.n ?? '10');
+    const n = parseInt(count, 10);
+
+    if (Number.isNaN(n)) {
+      io.stderr.write(`${command}: invalid number of lines: '${count}'\n`);
+      return 1;
+    }
+
+    const { inputs, status } = await this.readInputs(command, operands, io);
+
+    inputs.forEach(({ name, content }, index) => {
+      const lines = this.splitLines(content);
+      let selected;
+
+      if (command === 'head') {
+        selected = lines.slice(0, Math.max(n, 0));
+      } else if (count.startsWith('+')) {
+        selected = lines.slice(Math.max(n - 1, 0));
+      } else {
+        selected = n === 0 ? [] : lines.slice(-Math.abs(n));
+      }
+
+      if (inputs.length > 1) {
+        io.stdout.write(`${index > 0 ? '\n' : ''}==> ${name ?? 'standard input'} <==\n`);
+      }
+      io.stdout.write(this.joinLines(selected));
+    });
+
+    return status;
+  }
+
+  async cmdSort(args, io) {
+    const { flags, operands } = this.parseFlags(args, 'kto');
+    let key = null;
+
+    if (flags.k !== undefined) {
+      key = /^(\d+)(?:\.\d+)?([bfnr]*)(?:,(\d+)(?:\.\d+)?([bfnr]*))?$/.exec(String(flags.k));
+      if (!key || Number(key[1]) === 0) {
+        io.stderr.write(`sort: invalid key: '${flags.k}'\n`);
+        return 2;
+      }
+    }
+
+    const keyModifiers = key ? `${key[2]}${key[4] || ''}` : '';
+    const numeric = flags.n || keyModifiers.includes('n');
+    const reverse = flags.r || keyModifiers.includes('r');
+    const ignoreCase = flags.f || keyModifiers.includes('f');
+
+    // -k N,M: fields N to M (to the end of the line without M)
+    const keyOf = (line) => {
+      let text = line;
+      if (key) {
+        const fields = flags.t ? line.split(flags.t) : line.trim().split(/\s+/);
+        const end = key[3] ? Number(key[3]) : fields.length;
+        text = fields.slice(Number(key[1]) - 1, end).join(flags.t || ' ');
+      }
+      return ignoreCase ? text.toUpperCase() : text;
+    };
+
+    const compareKeys = (a, b) => {
+      if (numeric) return this.leadingNumber(a) - this.leadingNumber(b);
+      return a < b ? -1 : a > b ? 1 : 0;
+    };
+
+    const { inputs, status } = await this.readInputs('sort', operands, io);
+    const entries = inputs
+      .flatMap(({ content }) => this.splitLines(content))
+      .map(line => ({ line, key: keyOf(line) }));
+
+    // Lines with equal keys fall back to comparing the whole line, unless -u or -s
+    entries.sort((a, b) => {
+      let result = compareKeys(a.key, b.key);
+      if (result === 0 && !flags.u && !flags.s) {
+        result = a.line < b.line ? -1 : a.line > b.line ? 1 : 0;
+      }
+      return reverse ? -result : result;
+    });
+
+    const lines = entries
+      .filter((entry, index) => !flags.u || index === 0 || compareKeys(entry.key, entries[index - 1].key) !== 0)
+      .map(entry => entry.line);
+
+    if (flags.o) {
+      this.writeFile(flags.o, this.joinLines(lines));
+    } else {
+      io.stdout.write(this.joinLines(lines));
+    }
+    return status === 0 ? 0 : 2;
+  }
+
+  /**
+   * Numeric value of a sort key: its leading number, or 0 (as sort -n does)
+   *
+   * @private
+   */
+  leadingNumber(text) {
+    const match = /^\s*[-+]?(\d+\.?\d*|\.\d+)/.exec(text);
+    return match ? parseFloat(match[0]) : 0;
+  }
+
+  async cmdUniq(args, io) {
+    const { flags, operands } = this.parseFlags(args);
+    const [input, output] = operands;
+    const { inputs, status } = await this.readInputs('uniq', input ? [input] : [], io);
+    if (status !== 0) return status;
+
+    const lines = this.splitLines(inputs[0].content);
+    const same = (a, b) => (flags.i ? a.toLowerCase() === b.toLowerCase() : a === b);
+    const result = [];
+
+    for (let i = 0; i < lines.length;) {
+      let count = 1;
+      while (i + count < lines.length && same(lines[i + count], lines[i])) count++;
+
+      if (!(flags.d && count < 2) && !(flags.u && count > 1)) {
+        result.push(flags.c ? `${String(count).padStart(7)} ${lines[i]}` : lines[i]);
+      }
+      i += count;
+    }
+
+    if (output) {
+      this.writeFile(output, this.joinLines(result));
+    } else {
+      io.stdout.write(this.joinLines(result));
+    }
+    return 0;
+  }
+
+  async cmdCut(args, io) {
+    const { flags, operands } = this.parseFlags(args, 'dfcb');
+    const list = flags.f ?? flags.c ?? flags.b;
+
+    if (list === undefined) {
+      io.stderr.write('cut: you must specify a list of bytes, characters, or fields\n');
+      return 1;
+    }
+
+    const ranges = this.parseRangeList(String(list));
+    if (!ranges) {
+      io.stderr.write(`cut: invalid field range: '${list}'\n`);
+      return 1;
+    }
+
+    const delimiter = flags.d ?? '\t';
+    if (flags.f !== undefined && String(delimiter).length !== 1) {
+      io.stderr.write('cut: the delimiter must be a single character\n');
+      return 1;
+    }
+
+    const selected = (position) => ranges.some(([start, end]) => position >= start && position <= end);
+    const { inputs, status } = await this.readInputs('cut', operands, io);
+    const lines = [];
+
+    for (const { content } of inputs) {
+      for (const line of this.splitLines(content)) {
+        if (flags.f === undefined) {
+          lines.push([...line].filter((char, index) => selected(index + 1)).join(''));
+        } else if (!line.includes(delimiter)) {
+          // Lines without the delimiter pass through unless -s
+          if (!flags.s) lines.push(line);
+        } else {
+          lines.push(line.split(delimiter).filter((field, index) => selected(index + 1)).join(delimiter));
+        }
+      }
+    }
+
+    io.stdout.write(this.joinLines(lines));
+    return status;
+  }
+
+  /**
+   * Parse a cut list such as `1,3-5,7-` into [start, end] pairs
+   *
+   * @private
+   * @returns {Array<[number, number]>|null} Ranges, or null if invalid
+   */
+  parseRangeList(list) {
+    const ranges = [];
+
+    for (const part of list.split(',')) {
+      const match = /^(\d*)(-?)(\d*)$/.exec(part);
+      if (!match || (!match[1] && !match[3])) return null;
+
+      const start = match[1] ? Number(match[1]) : 1;
+      const end = match[2] ? (match[3] ? Number(match[3]) : Infinity) : start;
+      if (start === 0 || end < start) return null;
+      ranges.push([start, end]);
+    }
+
+    return ranges;
+  }
+
+  async cmdTr(args, io) {
+    const { flags, operands } = this.parseFlags(args);
+    const [set1, set2] = operands.map(operand => this.expandCharacterSet(operand));
+
+    if (!set1 || (!flags.d && !flags.s && !set2)) {
+      io.stderr.write(operands.length === 0 ? 'tr: missing operand\n' : `tr: missing operand after '${operands[0]}'\n`);
+      return 1;
+    }
+
+    let text = await io.stdin.readAll();
+    let squeezeSet = set1;
+
+    if (flags.d) {
+      const deleted = new Set(set1);
+      text = [...text].filter(char => !deleted.has(char)).join('');
+      squeezeSet = set2 || [];
+    } else if (set2) {
+      // A shorter SET2 is padded with its last character
+      const map = new Map(set1.map((char, index) => [char, set2[Math.min(index, set2.length - 1)]]));
+      text = [...text].map(char => map.get(char) ?? char).join('');
+      squeezeSet = set2;
+    }
+
+    if (flags.s) {
+      const squeezed = new Set(squeezeSet);
+      text = [...text].filter((char, index, chars) => !(squeezed.has(char) && chars[index - 1] === char)).join('');
+    }
+
+    io.stdout.write(text);
+    return 0;
+  }
+
+  /**
+   * Expand a tr set: ranges (a-z), classes ([:digit:]) and escapes (\n)
+   *
+   * @private
+   * @param {string} set - Set as written
+   * @returns {string[]} Characters in order
+   */
+  expandCharacterSet(set) {
+    const classes = {
+      alpha: 'a-zA-Z', digit: '0-9', alnum: 'a-zA-Z0-9', upper: 'A-Z', lower: 'a-z',
+      space: ' \t\n\r\f\v', blank: ' \t', punct: '!-/:-@[-`{-~', xdigit: '0-9A-Fa-f',
+    };
+    const escapes = { n: '\n', t: '\t', r: '\r', f: '\f', v: '\v', '\\': '\\' };
+
+    // Resolve escapes and classes first, then ranges
+    const chars = [];
+    for (let i = 0; i < set.length; i++) {
+      const classMatch = /^\[:([a-z]+):\]/.exec(set.slice(i));
+      if (classMatch && classes[classMatch[1]]) {
+        chars.push(...this.expandCharacterSet(classes[classMatch[1]]).map(char => ({ char, literal: true })));
+        i += classMatch[0].length - 1;
+      } else if (set[i] === '\\' && i + 1 < set.length) {
+        const octal = /^[0-7]{1,3}/.exec(set.slice(i + 1));
+        if (octal) {
+          chars.push({ char: String.fromCharCode(parseInt(octal[0], 8)), literal: true });
+          i += octal[0].length;
+        } else {
+          chars.push({ char: escapes[set[i + 1]] ?? set[i + 1], literal: true });
+          i++;
+        }
+      } else {
+        chars.push({ char: set[i], literal: false });
+      }
+    }
+
+    const result = [];
+    for (let i = 0; i < chars.length; i++) {
+      const next = chars[i + 1];
+      if (next && next.char === '-' && !next.literal && i + 2 < chars.length) {
+        const from = chars[i].char.charCodeAt(0);
+        const to = chars[i + 2].char.charCodeAt(0);
+        for (let code = from; code <= to; code++) result.push(String.fromCharCode(code));
+        i += 2;
+      } else {
+        result.push(chars[i].char);
+      }
+    }
+    return result;
+  }
+
+  async cmdSed(args, io) {
+    const scripts = [];
+    const files = [];
+    const options = { quiet: false, extended: false, inPlace: false };
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (arg.length < 2 || arg[0] !== '-' || arg.startsWith('--')) {
+        files.push(arg);
+        continue;
+      }
+
+      for (let j = 1; j < arg.length; j++) {
+        const flag = arg[j];
+        if (flag === 'e') {
+          scripts.push(j < arg.length - 1 ? arg.slice(j + 1) : args[++i] ?? '');
+          break;
+        }
+        if (flag === 'n') options.quiet = true;
+        else if (flag === 'E' || flag === 'r') options.extended = true;
+        else if (flag === 'i') options.inPlace = true;
+        else {
+          io.stderr.write(`sed: invalid option -- '${flag}'\n`);
+          return 1;
+        }
+      }
+    }
+
+    if (scripts.length === 0) {
+      if (files.length === 0) {
+        io.stderr.write('Usage: sed [OPTION]... {script} [input-file]...\n');
+        return 1;
+      }
+      scripts.push(files.shift());
+    }
+
+    let script;
+    try {
+      script = new SedScript(scripts.join('\n'), { extended: options.extended });
+    } catch (error) {
+      io.stderr.write(`sed: ${error.message}\n`);
+      return 1;
+    }
+
+    if (options.inPlace) {
+      let status = 0;
+      for (const path of files) {
+        try {
+          this.writeFile(path, script.run(this.readFile(path), options).output);
+        } catch (error) {
+          io.stderr.write(`sed: can't read ${path}: ${error.message}\n`);
+          status = 2;
+        }
+      }
+      return status;
+    }
+
+    // Without -i, all files are one stream (line numbers and $ span them)
+    const { inputs, status } = await this.readInputs('sed', files, io);
+    const text = inputs
+      .map(({ content }, index) => (index < inputs.length - 1 && content && !content.endsWith('\n') ? `${content}\n` : content))
+      .join('');
+
+    io.stdout.write(script.run(text, options).output);
+    return status === 0 ? 0 : 2;
+  }
+
+  async cmdAwk(args, io) {
+    const variables = {};
+    let source = null;
+    let index = 0;
+
+    // Options come before the program: -F fs, -v name=value, -f file
+    for (; index < args.length; index++) {
+      const arg = args[index];
+      if (arg === '--') {
+        index++;
+        break;
+      }
+      const option = /^-([Fvf])(.*)$/s.exec(arg);
+      if (!option) break;
+
+      const value = option[2] || args[++index];
+      if (value === undefined) {
+        io.stderr.write(`awk: option requires an argument -- ${option[1]}\n`);
+        return 2;
+      }
+
+      if (option[1] === 'F') {
+        variables.FS = this.unescapeAwkString(value);
+      } else if (option[1] === 'v') {
+        const assignment = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/s.exec(value);
+        if (!assignment) {
+          io.stderr.write(`awk: invalid -v argument '${value}'\n`);
+          return 2;
+        }
+        variables[assignment[1]] = this.unescapeAwkString(assignment[2]);
+      } else {
+        try {
+          source = this.readFile(value);
+        } catch (error) {
+          io.stderr.write(`awk: can't open file ${value}: ${error.message}\n`);
+          return 2;
+        }
+      }
+    }
+
+    if (source === null) {
+      if (index >= args.length) {
+        io.stderr.write("Usage: awk [-F fs][-v var=value][prog | -f progfile][file ...]\n");
+        return 2;
+      }
+      source = args[index++];
+    }
+
+    let program;
+    try {
+      program = new AwkProgram(source);
+    } catch (error) {
+      io.stderr.write(`awk: ${error.message}\n`);
+      return 2;
+    }
+
+    // A BEGIN-only program never reads stdin
+    const { inputs, status } = program.readsInput
+      ? await this.readInputs('awk', args.slice(index), io)
+      : { inputs: [], status: 0 };
+
+    try {
+      const exitStatus = await program.run(inputs, {
+        variables,
+        environment: { ...this.env },
+        write: text => io.stdout.write(text),
+        writeFile: (path, text, append) => this.writeFile(path, text, { append }),
+        checkpoint: () => this.checkpoint(),
+      });
+      return exitStatus || (status === 0 ? 0 : 2);
+    } catch (error) {
+      if (BaseRuntime.isCancellation(error)) throw error;
+      io.stderr.write(`awk: ${error.message}\n`);
+      return 2;
+    }
+  }
+
+  /**
+   * Process escapes in -v and -F values, as awk does for string literals
+   *
+   * @private
+   */
+  unescapeAwkString(text) {
+    const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', '"': '"', '/': '/' };
+    return text.replace(/\\(.)/g, (match, char) => escapes[char] ?? match);
+  }
+
+  async cmdTee(args, io) {
+    const { flags, operands } = this.parseFlags(args);
+    const text = await io.stdin.readAll();
+    let status = 0;
+
+    io.stdout.write(text);
+    for (const path of operands) {
+      try {
+        this.writeFile(path, text, { append: !!flags.a });
+      } catch (error) {
+        io.stderr.write(`tee: ${path}: ${error.message}\n`);
+        status = 1;
+      }
+    }
+    return status;
+  }
+
+  async cmdSeq(args, io) {
+    const numbers = [];
+    let separator = '\n';
+    let equalWidth = false;
+
+    // Negative numbers are operands, not flags
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (arg === '-s') {
+        separator = args[++i] ?? '';
+      } else if (arg.startsWith('-s')) {
+        separator = arg.slice(2);
+      } else if (arg === '-w') {
+        equalWidth = true;
+      } else {
+        numbers.push(arg);
+      }
+    }
+
+    if (numbers.length === 0 || numbers.length > 3) {
+      io.stderr.write(numbers.length === 0 ? 'seq: missing operand\n' : `seq: extra operand '${numbers[3]}'\n`);
+      return 1;
+    }
+
+    const invalid = numbers.find(number => !/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(number));
+    if (invalid !== undefined) {
+      io.stderr.write(`seq: invalid floating point argument: '${invalid}'\n`);
+      return 1;
+    }
+
+    const [first, increment, last] = numbers.length === 1
+      ? ['1', '1', numbers[0]]
+      : numbers.length === 2 ? [numbers[0], '1', numbers[1]] : numbers;
+
+    if (Number(increment) === 0) {
+      io.stderr.write(`seq: invalid Zero increment value: '${increment}'\n`);
+      return 1;
+    }
+
+    // As many decimals as the most precise of FIRST and INCREMENT
+    const decimals = Math.max(...[first, increment].map(number => (number.split('.')[1] || '').length));
+    const values = [];
+    const step = Number(increment);
+
+    for (let i = 0; ; i++) {
+      const value = Number(first) + i * step;
+      if (step > 0 ? value > Number(last) + 1e-10 : value < Number(last) - 1e-10) break;
+      values.push(value.toFixed(decimals));
+      if (i % 1000 === 999) await this.checkpoint();
+    }
+
+    if (equalWidth) {
+      const width = Math.max(...values.map(value => value.replace('-', '').length));
+      values.forEach((value, index) => {
+        const negative = value.startsWith('-');
+        values[index] = (negative ? '-' : '') + value.replace('-', '').padStart(width, '0');
+      });
+    }
+
+    if (values.length > 0) {
+      io.stdout.write(`${values.join(separator)}\n`);
+    }
+    return 0;
+  }
+
+  async cmdDiff(args, io) {
+    const { flags, operands } = this.parseFlags(args);
+
+    if (operands.length !== 2) {
+      io.stderr.write(operands.length < 2
+        ? `diff: missing operand after '${operands[0] ?? 'diff'}'\n`
+        : `diff: extra operand '${operands[2]}'\n`);
+      return 2;
+    }
+
+    const contents = [];
+    for (const path of operands) {
+      try {
+        contents.push(path === '-' ? await io.stdin.readAll() : this.readFile(path));
+      } catch (error) {
+        io.stderr.write(`diff: ${path}: ${error.message}\n`);
+        return 2;
+      }
+    }
+
+    const [oldLines, newLines] = contents.map(content => this.splitLines(content));
+    const output = flags.u
+      ? TextDiff.unified(oldLines, newLines, { oldName: operands[0], newName: operands[1] })
+      : TextDiff.normal(oldLines, newLines);
+
+    if (!output) return 0;
+
+    io.stdout.write(flags.q ? `Files ${operands[0]} and ${operands[1]} differ\n` : output);
+    return 1;
+  }
+
+  async cmdJq(args, io) {
+    const options = { raw: false, compact: false, nullInput: false, slurp: false, join: false, sortKeys: false };
+    const longOptions = {
+      '--raw-output': 'raw', '--compact-output': 'compact', '--null-input': 'nullInput',
+      '--slurp': 'slurp', '--join-output': 'join', '--sort-keys': 'sortKeys',
+    };
+    const shortOptions = { r: 'raw', c: 'compact', n: 'nullInput', s: 'slurp', j: 'join', S: 'sortKeys' };
+    const variables = { ENV: { ...this.env } };
+    const operands = [];
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      if (arg === '--arg' || arg === '--argjson') {
+        const [name, value] = [args[i + 1], args[i + 2]];
+        if (value === undefined) {
+          io.stderr.write(`jq: ${arg} takes two parameters (e.g. ${arg} varname value)\n`);
+          return 2;
+        }
+        try {
+          variables[name] = arg === '--arg' ? value : JSON.parse(value);
+        } catch (error) {
+          io.stderr.write(`jq: invalid JSON text passed to --argjson\n`);
+          return 2;
+        }
+        i += 2;
+      } else if (longOptions[arg]) {
+        options[longOptions[arg]] = true;
+      } else if (/^-[a-zA-Z]+$/.test(arg)) {
+        for (const flag of arg.slice(1)) {
+          if (!shortOptions[flag]) {
+            io.stderr.write(`jq: Unknown option: ${arg}\n`);
+            return 2;
+          }
+          options[shortOptions[flag]] = true;
+        }
+      } else {
+        operands.push(arg);
+      }
+    }
+
+    let filter;
+    try {
+      filter = new JqFilter(operands.length > 0 ? operands.shift() : '.');
+    } catch (error) {
+      io.stderr.write(`jq: error: ${error.message}\njq: 1 compile error\n`);
+      return 3;
+    }
+
+    let values = [null];
+    if (!options.nullInput) {
+      const { inputs, status } = await this.readInputs('jq', operands, io);
+      if (status !== 0) return 2;
+
+      try {
+        values = inputs.flatMap(({ content }) => JqFilter.parseValues(content));
+      } catch (error) {
+        io.stderr.write(`jq: error (at ${operands[0] ?? '<stdin>'}): ${error.message}\n`);
+        return 2;
+      }
+      if (options.slurp) values = [values];
+    }
+
+    let status = 0;
+    for (const value of values) {
+      try {
+        for (const output of filter.run(value, variables)) {
+          const text = JqFilter.stringify(output, options);
+          io.stdout.write(options.join ? text : `${text}\n`);
+        }
+      } catch (error) {
+        io.stderr.write(`jq: error (at ${operands[0] ?? '<stdin>'}): ${error.message}\n`);
+        status = 5;
+      }
+    }
+    return status;
+  }
+
+  cmdMkdir(args, io) {
+    const { flags, operands } = this.parseFlags(args);
+
+    if (operands.length === 0) {
+      io.stderr.write('mkdir: missing operand\n');
+      return 1;
+    }
+
+    let status = 0;
+    for (const path of operands) {
+      try {
+        this.makeDirectory(path, !!flags.p);
+      } catch (error) {
+        io.stderr.write(`mkdir: cannot create directory '${path}': ${error.message}\n`);
+        status = 1;
+      }
+    }
+
+    return status;
+  }
+
+  cmdTouch(args, io) {
+    if (args.length === 0) {
+      io.stderr.write('touch: missing file operand\n');
+      return 1;
+    }
+
+    let status = 0;
+    for (const path of args) {
+      try {
+        if (!this.getNode(path)) {
+          this.writeFile(path, '');
+        }
+      } catch (error) {
+        io.stderr.write(`touch: cannot touch '${path}': ${error.message}\n`);
+        status = 1;
+      }
+    }
+
+    return status;
+  }
+
+  cmdRm(args, io) {
+    const { flags, operands } = this.parseFlags(args);
+    const recursive = flags.r || flags.R;
+
+    if (operands.length === 0) {
+      if (flags.f) return 0;
+      io.stderr.write('rm: missing operand\n');
+      return 1;
+    }
+
+    let status = 0;
+    for (const path of operands) {
+      const node = this.getNode(path);
+
+      if (!node) {
+        if (!flags.f) {
+          io.stderr.write(`rm: cannot remove '${path}': No such file or directory\n`);
+          status = 1;
+        }
+        continue;
+      }
+
+      if (node.type === 'directory' && !recursive) {
+        io.stderr.write(`rm: cannot remove '${path}': Is a directory\n`);
+        status = 1;
+        continue;
+      }
+
+      try {
+        this.removeNode(path);
+      } catch (error) {
+        io.stderr.write(`rm: cannot remove '${path}': ${error.message}\n`);
+        status = 1;
+      }
+    }
+
+    return status;
+  }
+
+  cmdCp(args, io) {
+    return this.copyOrMove('cp', args, io);
+  }
+
+  cmdMv(args, io) {
+    return this.copyOrMove('mv', args, io);
+  }
+
+  /**
+   * Shared implementation of cp and mv
+   *
+   * @private
+   */
+  copyOrMove(command, args, io) {
+    const { flags, operands } = this.parseFlags(args);
+
+    if (operands.length < 2) {
+      io.stderr.write(`${command}: missing file operand\n`);
+      return 1;
+    }
+
+    const destination = operands[operands.length - 1];
+    const sources = operands.slice(0, -1);
+    const destinationNode = this.getNode(destination);
+
+    if (sources.length > 1 && (!destinationNode || destinationNode.type !== 'directory')) {
+      io.stderr.write(`${command}: target '${destination}' is not a directory\n`);
+      return 1;
+    }
+
+    let status = 0;
+    for (const source of sources) {
+      const node = this.getNode(source);
+
+      if (!node) {
+        io.stderr.write(`${command}: cannot stat '${source}': No such file or directory\n`);
+        status = 1;
+        continue;
+      }
+
+      if (command === 'cp' && node.type === 'directory' && !flags.r && !flags.R) {
+        io.stderr.write(`cp: -r not specified; omitting directory '${source}'\n`);
+        status = 1;
+        continue;
+      }
+
+      const sourcePath = this.resolvePath(source);
+      const targetPath = this.resolveDestination(source, destination);
+
+      if (targetPath === sourcePath) {
+        io.stderr.write(`${command}: '${source}' and '${destination}' are the same file\n`);
+        status = 1;
+        continue;
+      }
+
+      if (targetPath.startsWith(`${sourcePath}/`)) {
+        io.stderr.write(`${command}: cannot ${command === 'cp' ? 'copy' : 'move'} '${source}' to a subdirectory of itself\n`);
+        status = 1;
+        continue;
+      }
+
+      try {
+        const { parent, name } = this.getParent(targetPath);
+        const existing = parent.children[name];
+        if (existing && existing.type === 'directory' && node.type === 'file') {
+          throw new Error('Is a directory');
+        }
+
+        if (command === 'cp' && existing && node.type === 'file') {
+          existing.content = node.content;
+        } else {
+          parent.children[name] = command === 'cp' ? this.cloneNode(node) : node;
+        }
+        if (command === 'mv') {
+          this.removeNode(sourcePath);
+        }
+      } catch (error) {
+        io.stderr.write(`${command}: cannot create '${destination}': ${error.message}\n`);
+        status = 1;
+      }
+    }
+
+    return status;
+  }
+
+  async cmdFind(args, io) {
+    const startPaths = [];
+    let index = 0;
+    while (index < args.length && !/^[-!(]/.test(args[index])) {
+      startPaths.push(args[index++]);
+    }
+
+    // The expression: tests joined by an implicit AND; `!` negates the next test
+    const tests = [];
+    let maxDepth = Infinity;
+    let minDepth = 0;
+    let hasAction = false;
+    let negate = false;
+    const exec = [];
+    const deletions = [];
+
+    for (; index < args.length; index++) {
+      const arg = args[index];
+      const value = () => {
+        if (index + 1 >= args.length) throw new Error(`missing argument to \`${arg}'`);
+        return args[++index];
+      };
+
+      if (arg === '!' || arg === '-not') {
+        negate = !negate;
+        continue;
+      }
+
+      let test = null;
+      switch (arg) {
+        case '-name':
+        case '-iname': {
+          const pattern = value();
+          const regex = this.globToRegExp(pattern);
+          const matcher = arg === '-iname' ? new RegExp(regex.source, 'i') : regex;
+          test = entry => matcher.test(entry.name);
+          break;
+        }
+        case '-path': {
+          const regex = this.globToRegExp(value());
+          test = entry => regex.test(entry.path);
+          break;
+        }
+        case '-type': {
+          const type = value();
+          if (type !== 'f' && type !== 'd') {
+            io.stderr.write(`find: Unknown argument to -type: ${type}\n`);
+            return 1;
+          }
+          test = entry => (entry.node.type === 'directory') === (type === 'd');
+          break;
+        }
+        case '-empty':
+          test = entry => (entry.node.type === 'file'
+            ? entry.node.content === ''
+            : Object.keys(entry.node.children).length === 0);
+          break;
+        case '-maxdepth':
+          maxDepth = Number(value());
+          continue;
+        case '-mindepth':
+          minDepth = Number(value());
+          continue;
+        case '-print':
+          hasAction = true;
+          test = entry => {
+            io.stdout.write(`${entry.path}\n`);
+            return true;
+          };
+          break;
+        case '-delete':
+          hasAction = true;
+          test = entry => {
+            deletions.push(entry.path);
+            return true;
+          };
+          break;
+        case '-exec': {
+          hasAction = true;
+          const command = [];
+          while (index + 1 < args.length && args[index + 1] !== ';' && args[index + 1] !== '+') {
+            command.push(args[++index]);
+          }
+          if (index + 1 >= args.length) {
+            io.stderr.write('find: missing argument to `-exec\'\n');
+            return 1;
+          }
+          const batch = args[++index] === '+';
+          const item = { command, batch, paths: [] };
+          exec.push(item);
+          test = async entry => {
+            if (batch) {
+              item.paths.push(entry.path);
+              return true;
+            }
+            const argv = command.map(word => word.replace(/\{\}/g, entry.path));
+            return (await this.invoke(argv, { ...io, stdin: this.createStringInput('') })) === 0;
+          };
+          break;
+        }
+        default:
+          io.stderr.write(`find: unknown predicate \`${arg}'\n`);
+          return 1;
+      }
+
+      if (negate) {
+        const inner = test;
+        test = async entry => !(await inner(entry));
+        negate = false;
+      }
+      tests.push(test);
+    }
+
+    let status = 0;
+    const visit = async (entry, depth) => {
+      await this.checkpoint();
+
+      if (depth >= minDepth) {
+        let matched = true;
+        for (const test of tests) {
+          if (!(await test(entry))) {
+            matched = false;
+            break;
+          }
+        }
+        if (matched && !hasAction) io.stdout.write(`${entry.path}\n`);
+      }
+
+      if (entry.node.type === 'directory' && depth < maxDepth) {
+        for (const name of Object.keys(entry.node.children).sort()) {
+          const path = entry.path.endsWith('/') ? `${entry.path}${name}` : `${entry.path}/${name}`;
+          await visit({ name, path, node: entry.node.children[name] }, depth + 1);
+        }
+      }
+    };
+
+    for (const path of startPaths.length > 0 ? startPaths : ['.']) {
+      const node = this.getNode(path);
+      if (!node) {
+        io.stderr.write(`find: '${path}': No such file or directory\n`);
+        status = 1;
+        continue;
+      }
+      const name = path.split('/').filter(part => part).pop() || path;
+      await visit({ name, path, node }, 0);
+    }
+
+    for (const { command, batch, paths } of exec) {
+      if (batch && paths.length > 0) {
+        const argv = command.flatMap(word => (word === '{}' ? paths : [word]));
+        if ((await this.invoke(argv, { ...io, stdin: this.createStringInput('') })) !== 0) status = 1;
+      }
+    }
+
+    // Delete deepest paths first so directories are empty by then
+    for (const path of deletions.reverse()) {
+      try {
+        this.removeNode(path);
+      } catch (error) {
+        io.stderr.write(`find: cannot delete '${path}': ${error.message}\n`);
+        status = 1;
+      }
+    }
+
+    return status;
+  }
+
+  async cmdXargs(args, io) {
+    let maxArgs = Infinity;
+    let replace = null;
+    let trace = false;
+    let index = 0;
+
+    for (; index < args.length && args[index].startsWith('-') && args[index] !== '-'; index++) {
+      const arg = args[index];
+      if (arg === '--') {
+        index++;
+        break;
+      }
+      if (arg.startsWith('-n')) {
+        maxArgs = Number(arg.slice(2) || args[++index]);
+      } else if (arg.startsWith('-I')) {
+        replace = arg.slice(2) || args[++index];
+      } else if (arg === '-t') {
+        trace = true;
+      } else {
+        io.stderr.write(`xargs: invalid option -- '${arg.slice(1)}'\n`);
+        return 1;
+      }
+    }
+
+    const command = args.length > index ? args.slice(index) : ['echo'];
+    const text = await io.stdin.readAll();
+
+    // With -I each line is one item; otherwise items are blank-separated words
+    const items = replace !== null
+      ? this.splitLines(text).map(line => line.trim()).filter(line => line)
+      : this.splitXargsItems(text);
+
+    const batches = [];
+    if (replace !== null) {
+      items.forEach(item => batches.push(command.map(word => word.split(replace).join(item))));
+    } else if (items.length === 0) {
+      batches.push(command);
+    } else {
+      const size = Number.isFinite(maxArgs) && maxArgs > 0 ? maxArgs : items.length;
+      for (let i = 0; i < items.length; i += size) {
+        batches.push([...command, ...items.slice(i, i + size)]);
+      }
+    }
+
+    let status = 0;
+    for (const argv of batches) {
+      if (trace) io.stderr.write(`${argv.join(' ')}\n`);
+
+      const result = await this.invoke(argv, { ...io, stdin: this.createStringInput('') });
+      if (result === 127) return 127;
+      if (result !== 0) status = 123;
+    }
+    return status;
+  }
+
+  /**
+   * Split xargs input into words, honouring quotes and backslashes
+   *
+   * @private
+   */
+  splitXargsItems(text) {
+    const items = [];
+    let current = null;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quote) {
+        if (char === quote) quote = null;
+        else current += char;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+        current = current ?? '';
+      } else if (char === '\\' && i + 1 < text.length) {
+        current = (current ?? '') + text[++i];
+      } else if (/\s/.test(char)) {
+        if (current !== null) items.push(current);
+        current = null;
+      } else {
+        current = (current ?? '') + char;
+      }
+    }
+
+    if (current !== null) items.push(current);
+    return items;
+  }
+
+  cmdEnv(args, io) {
+    io.stdout.write(this.joinLines(
+      Object.entries(this.env).map(([key, value]) => `${key}=${value}`)
+    ));
+    return 0;
+  }
+
+  cmdExport(args, io) {
+    if (args.length === 0 || args[0] === '-p') {
+      io.stdout.write(this.joinLines(
+        Object.entries(this.env).map(([key, value]) => `declare -x ${key}="${value}"`)
+      ));
+      return 0;
+    }
+
+    let status = 0;
+    for (const assignment of args) {
+      const match = /^([A-Za-z_][A-Za-z0-9_]*)(?:=([\s\S]*))?$/.exec(assignment);
+      if (!match) {
+        io.stderr.write(`bash: export: \`${assignment}': not a valid identifier\n`);
+        status = 1;
+      } else if (match[2] !== undefined) {
+        this.env[match[1]] = match[2];
+      } else if (this.env[match[1]] === undefined) {
+        this.env[match[1]] = '';
+      }
+    }
+
+    return status;
+  }
+
+  cmdUnset(args, io) {
+    const { flags, operands } = this.parseFlags(args);
+
+    for (const name of operands) {
+      if (flags.f) {
+        delete this.functions[name];
+      } else if (name in this.env || flags.v) {
+        delete this.env[name];
+      } else {
+        delete this.functions[name];
+      }
+    }
+
+    return 0;
+  }
+
+  cmdDate(args, io) {
+    io.stdout.write(`${new Date().toString()}\n`);
+    return 0;
+  }
+
+  cmdWhoami(args, io) {
+    io.stdout.write(`${this.env['USER']}\n`);
+    return 0;
+  }
+
+  cmdClear(args, io) {
+    io.stdout.write('\n'.repeat(50) + 'Screen cleared (simulated)\n');
+    return 0;
+  }
+
+  async cmdRead(args, io) {
+    const { flags, operands } = this.parseFlags(args, 'p');
+    let line = await io.stdin.readLine(flags.p || '');
+
+    if (line === null) {
+      return 1;
+    }
+
+    if (!flags.r) {
+      line = line.replace(/\\(.)/g, '$1');
+    }
+
+    if (operands.length === 0) {
+      this.env['REPLY'] = line;
+      return 0;
+    }
+
+    // Split on blanks; the last variable gets the rest of the line
+    let rest = line.replace(/^[ \t]+/, '');
+    operands.forEach((name, index) => {
+      if (index === operands.length - 1) {
+        this.env[name] = rest.replace(/[ \t]+$/, '');
+        return;
+      }
+      const match = /^(\S*)[ \t]*([\s\S]*)$/.exec(rest);
+      this.env[name] = match[1];
+      rest = match[2];
+    });
+
+    return 0;
+  }
+
+  cmdTest(args, io, name = 'test') {
+    let operands = args;
+
+    if (name === '[' || name === '[[') {
+      const close = name === '[' ? ']' : ']]';
+      if (args[args.length - 1] !== close) {
+        io.stderr.write(`bash: ${name}: missing \`${close}'\n`);
+        return 2;
+      }
+      operands = args.slice(0, -1);
+    }
+
+    try {
+      return this.evaluateTest(operands) ? 0 : 1;
+    } catch (error) {
+      io.stderr.write(`bash: ${name}: ${error.message}\n`);
+      return 2;
+    }
+  }
+
+  /**
+   * Evaluate test / [ ] operands
+   *
+   * @private
+   * @param {string[]} args - Operands without the closing bracket
+   * @returns {boolean}
+   * @throws {Error} On malformed expressions (exit status 2)
+   */
+  evaluateTest(args) {
+    for (const [operator, combine] of [['-o', (a, b) => a || b], ['-a', (a, b) => a && b]]) {
+      const index = args.lastIndexOf(operator);
+      if (index > 0 && index < args.length - 1) {
+        return combine(this.evaluateTest(args.slice(0, index)), this.evaluateTest(args.slice(index + 1)));
+      }
+    }
+
+    if (args[0] === '!' && args.length > 1) {
+      return !this.evaluateTest(args.slice(1));
+    }
+
+    if (args[0] === '(' && args[args.length - 1] === ')') {
+      return this.evaluateTest(args.slice(1, -1));
+    }
+
+    switch (args.length) {
+      case 0:
+        return false;
+      case 1:
+        return args[0] !== '';
+      case 2:
+        return this.evaluateUnaryTest(args[0], args[1]);
+      case 3:
+        return this.evaluateBinaryTest(args[0], args[1], args[2]);
+      default:
+        throw new Error('too many arguments');
+    }
+  }
+
+  /** @private */
+  evaluateUnaryTest(operator, operand) {
+    const node = () => this.getNode(operand);
+
+    switch (operator) {
+      case '-z':
+        return operand === '';
+      case '-n':
+        return operand !== '';
+      case '-e':
+      case '-r':
+      case '-w':
+        return !!node();
+      case '-x':
+        return !!node() && node().type === 'directory';
+      case '-f':
+        return !!node() && node().type === 'file';
+      case '-d':
+        return !!node() && node().type === 'directory';
+      case '-s':
+        return !!node() && (node().type === 'directory' || node().content.length > 0);
+      default:
+        throw new Error(`${operator}: unary operator expected`);
+    }
+  }
+
+  /** @private */
+  evaluateBinaryTest(left, operator, right) {
+    const integer = (value) => {
+      if (!/^\s*-?\d+\s*$/.test(value)) {
+        throw new Error(`${value}: integer expression expected`);
+      }
+      return parseInt(value, 10);
+    };
+
+    switch (operator) {
+      case '=':
+      case '==':
+        return left === right;
+      case '!=':
+        return left !== right;
+      case '<':
+        return left < right;
+      case '>':
+        return left > right;
+      case '-eq':
+        return integer(left) === integer(right);
+      case '-ne':
+        return integer(left) !== integer(right);
+      case '-lt':
+        return integer(left) < integer(right);
+      case '-le':
+        return integer(left) <= integer(right);
+      case '-gt':
+        return integer(left) > integer(right);
+      case '-ge':
+        return integer(left) >= integer(right);
+      default:
+        throw new Error(`${operator}: binary operator expected`);
+    }
+  }
+
+  cmdTrue() {
+    return 0;
+  }
+
+  cmdFalse() {
+    return 1;
+  }
+
+  cmdExit(args, io) {
+    const status = args.length > 0 ? parseInt(args[0], 10) : this.lastStatus;
+
+    if (Number.isNaN(status)) {
+      io.stderr.write(`bash: exit: ${args[0]}: numeric argument required\n`);
+      this.control = { type: 'exit', status: 2 };
+      return 2;
+    }
+
+    this.control = { type: 'exit', status: status & 255 };
+    return status & 255;
+  }
+
+  cmdReturn(args, io) {
+    if (this.localScopes.length === 0) {
+      io.stderr.write("bash: return: can only `return' from a function or sourced script\n");
+      return 1;
+    }
+
+    const status = args.length > 0 ? parseInt(args[0], 10) & 255 : this.lastStatus;
+    this.control = { type: 'return', status };
+    return status;
+  }
+
+  cmdBreak(args, io, name) {
+    const count = args.length > 0 ? parseInt(args[0], 10) : 1;
+
+    if (Number.isNaN(count) || count < 1) {
+      io.stderr.write(`bash: ${name}: ${args[0]}: loop count out of range\n`);
+      return 1;
+    }
+
+    this.control = { type: name, count };
+    return 0;
+  }
+
+  cmdLocal(args, io) {
+    const scope = this.localScopes[this.localScopes.length - 1];
+    if (!scope) {
+      io.stderr.write('bash: local: can only be used in a function\n');
+      return 1;
+    }
+
+    for (const declaration of args) {
+      const [name, ...value] = declaration.split('=');
+      if (!scope.has(name)) {
+        scope.set(name, this.env[name]);
+      }
+      this.restoreVariable(name, value.length > 0 ? value.join('=') : undefined);
+    }
+
+    return 0;
+  }
+
+  cmdShift(args, io) {
+    const count = args.length > 0 ? parseInt(args[0], 10) : 1;
+    if (Number.isNaN(count) || count > this.positionalParams.length) {
+      return 1;
+    }
+
+    this.positionalParams = this.positionalParams.slice(count);
+    return 0;
+  }
+
+  async cmdSource(args, io, name) {
+    if (args.length === 0) {
+      io.stderr.write(`bash: ${name}: filename argument required\n`);
+      return 2;
+    }
+
+    let source;
+    try {
+      source = this.readFile(args[0]);
+    } catch (error) {
+      io.stderr.write(`bash: ${args[0]}: ${error.message}\n`);
+      return 1;
+    }
+
+    const savedParams = this.positionalParams;
+    if (args.length > 1) {
+      this.positionalParams = args.slice(1);
+    }
+
+    try {
+      return await this.runList(this.parser.parse(source), io);
+    } finally {
+      this.positionalParams = savedParams;
+    }
+  }
+
+  /**
+   * Dispose of shell runtime
+   */
+  async dispose() {
+    this.fileSystem = null;
+    this.env = null;
+    this.functions = {};
+    this.positionalParams = [];
+    await super.dispose();
+    this.log('Shell runtime disposed', 'info');
+  }
+
+  /**
+   * Get information about shell runtime
+   *
+   * @returns {object} Runtime information
+   */
+  getLibraryInfo() {
+    return {
+      name: 'Shell (Simulated)',
+      version: 'Bash 5.x Compatible',
+      type: 'Educational Simulation',
+      features: [
+        'Common Unix commands',
+        'Text processing: grep, sed, awk, sort, uniq, cut, tr, diff and jq',
+        'Saved project files in /home/user',
+        'Environment and shell variables',
+        'Pipelines and redirection (| < > >> 2> 2>&1 <<EOF)',
+        'Exit codes, $?, && and ||',
+        'if/elif/else, for, while, until and functions',
+        '$(...), $((...)) and * ? [...] globs',
+        'Safe learning environment',
       ],
+      supportedCommands: [...this.commands.keys()],
       limitations: [
         'Does NOT execute real shell commands',
-        'Simulated file system only',
+        'Only /home/user is saved; other directories reset on reload',
+        'Empty directories are not saved',
         'Limited command set',
-        'No actual file I/O',
+        'awk and jq support common subsets (no getline, system() or jq def)',
+        'No background jobs, case statements or arrays',
         'Educational purposes only',
       ],
       security: 'SAFE - No actual command execution',
@@ -2,8 +2,12 @@
  * TypeScriptRuntime - TypeScript execution with compilation
  *
  * TypeScript is a typed superset of JavaScript that compiles to plain JavaScript.
+ * When a project's entry point uses import/export, every .ts file is compiled
+ * to an ES module and linked with the project's .js files (see ModuleLinker).
  */
 import BaseRuntime from '../BaseRuntime.js';
+import WorkerSandbox from '../sandbox/WorkerSandbox.js';
+import ModuleLinker from '../sandbox/ModuleLinker.js';
 
 export default class TypeScriptRuntime extends BaseRuntime {
   constructor(config = {}) {
@@ -13,6 +17,7 @@ export default class TypeScriptRuntime extends BaseRuntime {
     });
 
     this.ts = null;
+    this.sandbox = null;
   }
 
   /**
@@ -47,6 +52,7 @@ export default class TypeScriptRuntime extends BaseRuntime {
    *
    * @param {string} code - TypeScript code to execute
    * @param {Object} options - Execution options
+   * @param {Object} options.project - Run as the entry point of the saved files
    * @returns {Promise<{success: boolean, output: string, returnValue: any, error: Error|null, executionTime: number}>}
    */
   async execute(code, options = {}) {
@@ -62,103 +68,71 @@ export default class TypeScriptRuntime extends BaseRuntime {
       returnValue: undefined,
       error: null,
       executionTime: 0,
+      diagnostics: [],
     };
 
+    let linker = null;
+
     try {
-      // Compile TypeScript to JavaScript
-      const compilerOptions = {
-        target: this.ts.ScriptTarget.ES2020,
-        module: this.ts.ModuleKind.None,
-        strict: false,
-        esModuleInterop: true,
-        skipLibCheck: true,
-        lib: ['es2020'],
-      };
-
-      const compiledResult = this.ts.transpileModule(code, {
-        compilerOptions,
-        reportDiagnostics: true,
-      });
+      const files = ModuleLinker.hasModuleSyntax(code) ? await this.loadProjectFiles(options.project) : null;
+      let source;
+
+      if (files) {
+        linker = new ModuleLinker(files, {
+          imports: ModuleLinker.readImportMap(files),
+          transform: (path, text) => (path.endsWith('.ts') ? this.compile(text, this.ts.ModuleKind.ESNext, path) : text),
+        });
+        source = linker.link(options.project.entryPoint);
+      } else {
+        source = this.compile(code, this.ts.ModuleKind.None);
+
+        this.log('Compiled to JavaScript:', 'info');
+        this.log(source, 'debug');
+      }
 
-      // Check for compilation errors
-      if (compiledResult.diagnostics && compiledResult.diagnostics.length > 0) {
-        const errors = compiledResult.diagnostics.map(diagnostic => {
-          const message = this.ts.flattenDiagnosticMessageText(
-            diagnostic.messageText,
-            '\n'
-          );
-          if (diagnostic.file && diagnostic.start !== undefined) {
-            const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
-            return `Line ${line + 1}, Col ${character + 1}: ${message}`;
+      // Run the compiled JavaScript in a disposable worker
+      const consoleOutput = [];
+      this.sandbox = new WorkerSandbox();
+
+      const { returnValue, display } = await this.sandbox.run(source, {
+        module: linker !== null,
+        timeout: options.timeout || 0,
+        signal: options.signal,
+        onConsole: (level, text) => {
+          if (level === 'error') {
+            consoleOutput.push(`Error: ${text}`);
+            this.logError(text);
+          } else if (level === 'warn') {
+            consoleOutput.push(`Warning: ${text}`);
+            this.log(text, 'warning');
+          } else {
+            consoleOutput.push(text);
+            this.log(text, 'stdout');
           }
-          return message;
-        }).join('\n');
-
-        throw new Error(`TypeScript compilation errors:\n${errors}`);
-      }
+        },
+      });
 
-      const compiledJS = compiledResult.outputText;
-
-      this.log('Compiled to JavaScript:', 'info');
-      this.log(compiledJS, 'debug');
-
-      // Capture console output
-      let consoleOutput = [];
-      const originalConsoleLog = console.log;
-      const originalConsoleError = console.error;
-      const originalConsoleWarn = console.warn;
-
-      console.log = (...args) => {
-        const text = args.map(arg =>
-          typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-        ).join(' ');
-        consoleOutput.push(text);
-        this.log(text, 'stdout');
-      };
-
-      console.error = (...args) => {
-        const text = args.map(arg =>
-          typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-        ).join(' ');
-        consoleOutput.push(`Error: ${text}`);
-        this.logError(text);
-      };
-
-      console.warn = (...args) => {
-        const text = args.map(arg =>
-          typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-        ).join(' ');
-        consoleOutput.push(`Warning: ${text}`);
-        this.log(text, 'warning');
-      };
-
-      try {
-        // Execute compiled JavaScript
-        const returnValue = eval(compiledJS);
-
-        result.returnValue = returnValue;
-
-        // Build output
-        if (consoleOutput.length > 0) {
-          result.output = consoleOutput.join('\n');
-        } else if (returnValue !== undefined) {
-          result.output = String(returnValue);
-        } else {
-          result.output = 'Execution completed';
-        }
+      result.returnValue = returnValue;
 
-        result.success = true;
-      } finally {
-        // Restore console
-        console.log = originalConsoleLog;
-        console.error = originalConsoleError;
-        console.warn = originalConsoleWarn;
+      // Build output
+      if (consoleOutput.length > 0) {
+        result.output = consoleOutput.join('\n');
+      } else if (display !== undefined) {
+        result.output = display;
+      } else {
+        result.output = 'Execution completed';
       }
+
+      result.success = true;
     } catch (error) {
       result.success = false;
       result.error = error;
       result.output = `TypeScript Error: ${error.message}`;
+      result.diagnostics = error.diagnostics || [];
       this.logError(result.output);
+    } finally {
+      this.sandbox = null;
+      if (linker) linker.revoke();
     }
 
     const endTime = performance.now();
@@ -167,10 +141,79 @@ export default class TypeScriptRuntime extends BaseRuntime {
     return result;
   }
 
+  /**
+   * Compile TypeScript to JavaScript
+   *
+   * @private
+   * @param {string} code - TypeScript source
+   * @param {number} moduleKind - ts.ModuleKind to emit
+   * @param {string} fileName - File name for error messages (omitted for the editor's code)
+   * @returns {string} JavaScript
+   */
+  compile(code, moduleKind, fileName = null) {
+    const compilerOptions = {
+      target: this.ts.ScriptTarget.ES2020,
+      module: moduleKind,
+      strict: false,
+      esModuleInterop: true,
+      skipLibCheck: true,
+      lib: ['es2020'],
+    };
+
+    const compiledResult = this.ts.transpileModule(code, {
+      compilerOptions,
+      fileName: fileName || undefined,
+      reportDiagnostics: true,
+    });
+
+    // Check for compilation errors
+    if (compiledResult.diagnostics && compiledResult.diagnostics.length > 0) {
+      const diagnostics = [];
+      const errors = compiledResult.diagnostics.map(diagnostic => {
+        const message = this.ts.flattenDiagnosticMessageText(
+          diagnostic.messageText,
+          '\n'
+        );
+        if (diagnostic.file && diagnostic.start !== undefined) {
+          const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+          const end = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start + (diagnostic.length || 0));
+          diagnostics.push(BaseRuntime.createDiagnostic(message, {
+            line: line + 1,
+            column: character + 1,
+            endLine: end.line + 1,
+            endColumn: diagnostic.length ? end.character + 1 : undefined,
+            path: fileName,
+          }));
+          return `${fileName ? `${fileName} ` : ''}Line ${line + 1}, Col ${character + 1}: ${message}`;
+        }
+        return message;
+      }).join('\n');
+
+      // execute() reports the diagnostics of the file that failed to compile
+      const error = new Error(`TypeScript compilation errors:\n${errors}`);
+      error.diagnostics = diagnostics;
+      throw error;
+    }
+
+    return compiledResult.outputText;
+  }
+
+  /**
+   * Stop the running program by terminating its worker
+   *
+   * @param {Error} reason - Why execution is being stopped
+   */
+  interrupt(reason) {
+    if (this.sandbox) {
+      this.sandbox.stop(reason);
+    }
+  }
+
   /**
    * Dispose of TypeScript runtime
    */
   async dispose() {
+    this.interrupt();
     this.ts = null;
     this.loaded = false;
     this.log('TypeScript runtime disposed', 'info');
@@ -196,6 +239,7 @@ export default class TypeScriptRuntime extends BaseRuntime {
         'JSX support',
         'Advanced type inference',
         'Union and intersection types',
+        'ES module imports between project files',
       ],
       limitations: [
         'Type checking at compile time only',
@@ -5,6 +5,18 @@
  */
 import BaseRuntime from '../BaseRuntime.js';
 
+/**
+ * Offset of a pattern's first match in the code
+ *
+ * @param {string} code - XML code
+ * @param {RegExp} pattern - Pattern to find
+ * @returns {number|undefined}
+ */
+function findOffset(code, pattern) {
+  const match = pattern.exec(code);
+  return match ? match.index : undefined;
+}
+
 export default class XMLRuntime extends BaseRuntime {
   constructor(config = {}) {
     super('xml', {
@@ -42,6 +54,7 @@ export default class XMLRuntime extends BaseRuntime {
       returnValue: undefined,
       error: null,
       executionTime: 0,
+      diagnostics: [],
     };
 
     try {
@@ -66,6 +79,7 @@ export default class XMLRuntime extends BaseRuntime {
 
       // Check for well-formedness issues
       const issues = this.checkXMLIssues(code, xmlDoc);
+      result.diagnostics = this.getIssueDiagnostics(code, issues);
 
       // Build output
       const output = [
@@ -131,6 +145,8 @@ export default class XMLRuntime extends BaseRuntime {
       result.success = false;
       result.error = error;
 
+      result.diagnostics = [this.getParserErrorDiagnostic(error.message)];
+
       // Try to extract line and column information from error message
       let errorMessage = error.message;
       const lineMatch = errorMessage.match(/line (\d+)/i);
@@ -264,12 +280,66 @@ export default class XMLRuntime extends BaseRuntime {
     return stats;
   }
 
+  /**
+   * Check XML for well-formedness errors and issues (used for validation as
+   * you type)
+   *
+   * @param {string} code - XML code
+   * @returns {Array<Object>} Diagnostics (see BaseRuntime.createDiagnostic())
+   */
+  validate(code) {
+    const xmlDoc = new DOMParser().parseFromString(code, 'text/xml');
+    const parserError = xmlDoc.querySelector('parsererror');
+    if (parserError) {
+      return [this.getParserErrorDiagnostic(parserError.textContent)];
+    }
+    return this.getIssueDiagnostics(code, this.checkXMLIssues(code, xmlDoc));
+  }
+
+  /**
+   * Diagnostics for the issues checkXMLIssues() found
+   *
+   * @param {string} code - XML code
+   * @param {Array<Object>} issues - Issues
+   * @returns {Array<Object>} Diagnostics (see BaseRuntime.createDiagnostic())
+   */
+  getIssueDiagnostics(code, issues) {
+    return issues.map(issue => BaseRuntime.createDiagnostic(issue.message, {
+      ...BaseRuntime.positionAt(code, issue.offset ?? 0),
+      severity: issue.severity,
+    }));
+  }
+
+  /**
+   * Diagnostic for the error the XML parser reported
+   *
+   * Browsers word the location differently: `line 3 at column 5` (Chrome),
+   * `Line Number 3, Column 5` (Firefox) or a `3:5:` prefix.
+   *
+   * @param {string} message - Text of the parser's error
+   * @returns {Object} Diagnostic (see BaseRuntime.createDiagnostic())
+   */
+  getParserErrorDiagnostic(message) {
+    const text = String(message || '');
+    const match = text.match(/line (\d+) at column (\d+):\s*([^\n]*)/i)
+      || text.match(/Line Number (\d+), Column (\d+)/)
+      || text.match(/^(\d+):(\d+):\s*([^\n]*)/m);
+
+    const firstLine = text.split('\n').map(line => line.trim()).find(Boolean) || 'XML parsing error';
+    if (!match) return BaseRuntime.createDiagnostic(firstLine);
+
+    return BaseRuntime.createDiagnostic(match[3] || firstLine, {
+      line: Number(match[1]),
+      column: Number(match[2]),
+    });
+  }
+
   /**
    * Check for XML well-formedness issues
    *
    * @param {string} code - XML code
    * @param {Document} xmlDoc - Parsed XML document
-   * @returns {Array} List of issues found
+   * @returns {Array} List of issues found; `offset` is where in the code, if known
    */
   checkXMLIssues(code, xmlDoc) {
     const issues = [];
@@ -287,6 +357,7 @@ export default class XMLRuntime extends BaseRuntime {
       issues.push({
         severity: 'info',
         message: 'No encoding specified in XML declaration',
+        offset: findOffset(code, /<\?xml/),
       });
     }
 
@@ -296,12 +367,14 @@ export default class XMLRuntime extends BaseRuntime {
       issues.push({
         severity: 'info',
         message: `${emptyElements} empty element(s) found (could use self-closing syntax)`,
+        offset: findOffset(code, /<(\w+)>\s*<\/\1>/),
       });
     }
 
     // Check for mixed content patterns
     const allElements = xmlDoc.getElementsByTagName('*');
     let mixedContentCount = 0;
+    let firstMixedElement = null;
 
     for (let i = 0; i < allElements.length; i++) {
       const element = allElements[i];
@@ -316,6 +389,7 @@ export default class XMLRuntime extends BaseRuntime {
 
       if (hasElementChild && hasTextChild) {
         mixedContentCount++;
+        firstMixedElement = firstMixedElement || element;
       }
     }
 
@@ -323,6 +397,7 @@ export default class XMLRuntime extends BaseRuntime {
       issues.push({
         severity: 'info',
         message: `${mixedContentCount} element(s) with mixed content (text and elements)`,
+        offset: findOffset(code, new RegExp(`<${firstMixedElement.tagName.replace(/[.]/g, '\\.')}[\\s/>]`)),
       });
     }
 
@@ -331,6 +406,7 @@ export default class XMLRuntime extends BaseRuntime {
       issues.push({
         severity: 'info',
         message: 'Excessive whitespace detected between elements',
+        offset: findOffset(code, />\s{3,}</),
       });
     }
 
@@ -4,6 +4,8 @@
  * Parses YAML files, validates syntax, and converts to JSON for display.
  */
 import BaseRuntime from '../BaseRuntime.js';
+import SchemaValidator from '../../schemas/SchemaValidator.js';
+import YAMLOutline from '../../schemas/YAMLOutline.js';
 import jsyaml from 'js-yaml';
 
 export default class YAMLRuntime extends BaseRuntime {
@@ -43,6 +45,7 @@ export default class YAMLRuntime extends BaseRuntime {
       returnValue: undefined,
       error: null,
       executionTime: 0,
+      diagnostics: [],
     };
 
     try {
@@ -119,6 +122,8 @@ export default class YAMLRuntime extends BaseRuntime {
       let errorMessage = error.message;
       let lineInfo = '';
 
+      result.diagnostics = [this.getErrorDiagnostic(error)];
+
       if (error.mark) {
         const { line, column, snippet } = error.mark;
         lineInfo = `At line ${line + 1}, column ${column + 1}`;
@@ -169,6 +174,47 @@ export default class YAMLRuntime extends BaseRuntime {
     return result;
   }
 
+  /**
+   * Check YAML for syntax errors and, given a schema, for values the schema
+   * does not allow (used for validation as you type)
+   *
+   * @param {string} code - YAML code
+   * @param {Object} [options] - Validation options
+   * @param {Object} [options.schema] - JSON Schema the document must follow
+   * @returns {Array<Object>} Diagnostics (see BaseRuntime.createDiagnostic())
+   */
+  validate(code, options = {}) {
+    let parsed;
+    try {
+      parsed = jsyaml.load(code, { schema: jsyaml.DEFAULT_SCHEMA, json: false });
+    } catch (error) {
+      return [this.getErrorDiagnostic(error)];
+    }
+
+    // Nothing to check in an empty document (or one of only comments) yet
+    if (!options.schema || parsed === undefined || parsed === null) return [];
+
+    // Schemas describe JSON values: timestamps are strings there
+    const value = JSON.parse(JSON.stringify(parsed));
+    return SchemaValidator.validate(value, options.schema).map((problem) => {
+      const { line, column, endColumn } = YAMLOutline.locate(code, problem.path);
+      return BaseRuntime.createDiagnostic(problem.message, { line, column, endColumn, severity: problem.severity });
+    });
+  }
+
+  /**
+   * Diagnostic for a js-yaml parse error
+   *
+   * @param {Error} error - YAMLException, with the `mark` where parsing stopped
+   * @returns {Object} Diagnostic (see BaseRuntime.createDiagnostic())
+   */
+  getErrorDiagnostic(error) {
+    return BaseRuntime.createDiagnostic(error.reason || error.message, {
+      line: error.mark ? error.mark.line + 1 : 1,
+      column: error.mark ? error.mark.column + 1 : 1,
+    });
+  }
+
   /**
    * Analyze YAML structure
    *
@@ -255,7 +301,7 @@ export default class YAMLRuntime extends BaseRuntime {
       limitations: [
         'Cannot preserve comments in output',
         'No custom tag support by default',
-        'No YAML schema customization in this runtime',
+        'JSON Schema checks only cover common keywords',
       ],
       documentation: 'https://github.com/nodeca/js-yaml',
     };
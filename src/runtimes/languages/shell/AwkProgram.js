@@ -0,0 +1,1728 @@
+import PosixRegExp from './PosixRegExp.js';
+import PrintfFormat from './PrintfFormat.js';
+
+/**
+ * AwkProgram - Parser and interpreter for a subset of awk
+ *
+ * Supported: BEGIN/END, expression, /regex/ and range patterns; fields and
+ * NF/NR/FNR/FS/OFS/ORS/FILENAME; associative arrays with `in` and `delete`;
+ * if/while/do/for/for-in, next and exit; user-defined functions; print and
+ * printf with `>`/`>>` redirection; and the string and math builtins.
+ * getline, output pipes and system() are not supported.
+ *
+ * Values are JavaScript numbers and strings. Strings that look like numbers
+ * compare numerically, which approximates awk's "strnum" input values.
+ *
+ * Statements run asynchronously so long loops can yield through the
+ * `checkpoint` callback and be stopped.
+ */
+
+const KEYWORDS = new Set([
+  'BEGIN', 'END', 'function', 'func', 'if', 'else', 'while', 'for', 'do', 'break', 'continue',
+  'next', 'exit', 'return', 'delete', 'in', 'print', 'printf', 'getline',
+]);
+
+const BUILTINS = new Set([
+  'length', 'substr', 'index', 'split', 'sub', 'gsub', 'match', 'sprintf', 'tolower', 'toupper',
+  'int', 'sqrt', 'exp', 'log', 'sin', 'cos', 'atan2', 'rand', 'srand', 'system', 'close', 'fflush',
+]);
+
+const OPERATORS = [
+  '**=', '&&', '||', '==', '<=', '>=', '!=', '++', '--', '+=', '-=', '*=', '/=', '%=', '^=', '!~', '>>', '**',
+  '{', '}', '(', ')', '[', ']', ';', ',', '+', '-', '*', '/', '%', '^', '!', '>', '<', '|', '?', ':', '~', '$', '=',
+];
+
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '^=', '**=']);
+
+// Tokens after which a newline is not a statement terminator
+const CONTINUATION_TOKENS = new Set(['{', '&&', '||', ',', 'do', 'else']);
+
+const STRING_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', '"': '"', '/': '/', a: '\x07', b: '\b', f: '\f', v: '\v' };
+
+const NUMERIC_STRING = /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/;
+const NUMERIC_PREFIX = /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/;
+
+const BREAK = { type: 'break' };
+const CONTINUE = { type: 'continue' };
+const NEXT = { type: 'next' };
+
+// Carries `next` or `exit` out of a user function, through the expression
+// that called it, to the rule being run
+class ControlSignal {
+  constructor(control) {
+    this.control = control;
+  }
+}
+
+export default class AwkProgram {
+  /**
+   * Parse a program
+   *
+   * @param {string} source - awk program text
+   * @throws {SyntaxError} With the source line of the error
+   */
+  constructor(source) {
+    this.functions = {};
+    this.begin = [];
+    this.end = [];
+    this.rules = [];
+
+    this.tokens = this.tokenize(source);
+    this.pos = 0;
+    this.parseProgram();
+  }
+
+  /**
+   * Whether the program reads input (it has rules other than BEGIN)
+   *
+   * @returns {boolean}
+   */
+  get readsInput() {
+    return this.rules.length > 0 || this.end.length > 0;
+  }
+
+  /**
+   * Run the program
+   *
+   * @param {{name: string|null, content: string}[]} inputs - Input files
+   * @param {Object} options - Options
+   * @param {Object} options.variables - Variables set before BEGIN (-v, -F)
+   * @param {Object} options.environment - Values for ENVIRON
+   * @param {Function} options.write - Callback(text) for standard output
+   * @param {Function} options.writeFile - Callback(path, text, append) for `print > file`
+   * @param {Function} options.checkpoint - Async callback run once per record and loop iteration
+   * @returns {Promise<number>} Exit status
+   * @throws {Error} On runtime errors such as division by zero
+   */
+  async run(inputs, { variables = {}, environment = {}, write, writeFile, checkpoint = async () => {} }) {
+    this.write = write;
+    this.checkpoint = checkpoint;
+    this.outputFiles = new Map();
+    this.frames = [];
+    this.regexCache = new Map();
+    this.record = '';
+    this.fields = [];
+    this.rules.forEach(rule => { rule.inRange = false; });
+
+    this.globals = new Map(Object.entries({
+      FS: ' ', OFS: ' ', ORS: '\n', RS: '\n', NR: 0, FNR: 0, FILENAME: '',
+      SUBSEP: '\x1c', RSTART: 0, RLENGTH: -1, CONVFMT: '%.6g', OFMT: '%.6g',
+    }));
+    this.globals.set('ENVIRON', new Map(Object.entries(environment)));
+    for (const [name, value] of Object.entries(variables)) {
+      this.globals.set(name, value);
+    }
+
+    let exit = await this.runActions(this.begin);
+
+    if (!exit && this.readsInput) {
+      exit = await this.runRules(inputs);
+    }
+
+    // exit in BEGIN or a rule still runs END; exit in END stops at once
+    if (!exit || exit.fromMain) {
+      const endExit = await this.runActions(this.end);
+      exit = endExit || exit;
+    }
+
+    for (const [path, file] of this.outputFiles) {
+      writeFile(path, file.text, file.append);
+    }
+
+    return exit ? exit.status : 0;
+  }
+
+  /**
+   * @private
+   */
+  async runActions(actions) {
+    for (const action of actions) {
+      const control = await this.executeAction(action);
+      if (control && control.type === 'exit') return control;
+    }
+    return null;
+  }
+
+  /**
+   * Run a BEGIN, END or rule action, returning its control signal
+   *
+   * @private
+   */
+  async executeAction(action) {
+    try {
+      return await this.execute(action);
+    } catch (error) {
+      if (error instanceof ControlSignal) return error.control;
+      throw error;
+    }
+  }
+
+  /**
+   * Read every record and run the matching rules
+   *
+   * @private
+   */
+  async runRules(inputs) {
+    for (const { name, content } of inputs) {
+      this.globals.set('FILENAME', name ?? '');
+      this.globals.set('FNR', 0);
+
+      const lines = content.split('\n');
+      if (lines[lines.length - 1] === '') lines.pop();
+
+      for (const line of lines) {
+        await this.checkpoint();
+        this.globals.set('NR', this.toNumber(this.globals.get('NR')) + 1);
+        this.globals.set('FNR', this.toNumber(this.globals.get('FNR')) + 1);
+        this.setRecord(line);
+
+        for (const rule of this.rules) {
+          if (!(await this.ruleMatches(rule))) continue;
+
+          const control = rule.body
+            ? await this.executeAction(rule.body)
+            : await this.execute({ type: 'print', args: [], redirect: null });
+
+          if (control === NEXT) break;
+          if (control && control.type === 'exit') {
+            return { ...control, fromMain: true };
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  async ruleMatches(rule) {
+    if (!rule.pattern) return true;
+    if (!rule.pattern2) return this.isTrue(await this.evaluate(rule.pattern));
+
+    if (!rule.inRange) {
+      if (!this.isTrue(await this.evaluate(rule.pattern))) return false;
+      rule.inRange = true;
+    }
+    if (this.isTrue(await this.evaluate(rule.pattern2))) {
+      rule.inRange = false;
+    }
+    return true;
+  }
+
+  // ------------------------------------------------------------------
+  // Lexer
+  // ------------------------------------------------------------------
+
+  /**
+   * @private
+   */
+  tokenize(source) {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+
+    const push = (type, value) => tokens.push({ type, value, line });
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (char === '\n') {
+        const last = tokens[tokens.length - 1];
+        const continues = last && last.type !== 'string' && CONTINUATION_TOKENS.has(last.value);
+        if (!continues) {
+          push('newline', '\n');
+        }
+        line++;
+        i++;
+      } else if (char === ' ' || char === '\t' || char === '\r') {
+        i++;
+      } else if (char === '\\' && source[i + 1] === '\n') {
+        line++;
+        i += 2;
+      } else if (char === '#') {
+        while (i < source.length && source[i] !== '\n') i++;
+      } else if (char === '"') {
+        const { value, end } = this.readString(source, i + 1, line);
+        push('string', value);
+        i = end;
+      } else if (char === '/' && this.regexAllowed(tokens)) {
+        const { value, end } = this.readRegex(source, i + 1, line);
+        push('regex', value);
+        i = end;
+      } else if (/[0-9.]/.test(char) && /^(\d|\.\d)/.test(source.slice(i, i + 2))) {
+        const text = /^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(source.slice(i))[0];
+        push('number', parseFloat(text));
+        i += text.length;
+      } else if (/[A-Za-z_]/.test(char)) {
+        const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i))[0];
+        i += word.length;
+        if (KEYWORDS.has(word)) {
+          push('keyword', word === 'func' ? 'function' : word);
+        } else if (BUILTINS.has(word)) {
+          push('builtin', word);
+        } else if (source[i] === '(') {
+          push('funcname', word);
+        } else {
+          push('name', word);
+        }
+      } else {
+        const operator = OPERATORS.find(op => source.startsWith(op, i));
+        if (!operator) {
+          throw new SyntaxError(`syntax error at source line ${line}: invalid char '${char}'`);
+        }
+        push('op', operator);
+        i += operator.length;
+      }
+    }
+
+    push('eof', '');
+    return tokens;
+  }
+
+  /**
+   * A `/` starts a regex unless it follows an operand
+   *
+   * @private
+   */
+  regexAllowed(tokens) {
+    const last = tokens[tokens.length - 1];
+    if (!last) return true;
+    if (['number', 'string', 'name', 'builtin', 'regex'].includes(last.type)) return false;
+    return !(last.type === 'op' && [')', ']', '$', '++', '--'].includes(last.value));
+  }
+
+  /**
+   * @private
+   */
+  readString(source, start, line) {
+    let value = '';
+
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+
+      if (char === '"') {
+        return { value, end: i + 1 };
+      }
+      if (char === '\n') break;
+      if (char === '\\' && i + 1 < source.length) {
+        const next = source[++i];
+        const octal = /^[0-7]{1,3}/.exec(source.slice(i, i + 3));
+        if (octal) {
+          value += String.fromCharCode(parseInt(octal[0], 8));
+          i += octal[0].length - 1;
+        } else if (next === '\n') {
+          continue;
+        } else {
+          value += STRING_ESCAPES[next] ?? `\\${next}`;
+        }
+      } else {
+        value += char;
+      }
+    }
+
+    throw new SyntaxError(`syntax error at source line ${line}: unterminated string`);
+  }
+
+  /**
+   * @private
+   */
+  readRegex(source, start, line) {
+    let value = '';
+    let inBracket = false;
+
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+
+      if (char === '\n') break;
+      if (char === '/' && !inBracket) {
+        return { value, end: i + 1 };
+      }
+      if (char === '\\' && i + 1 < source.length) {
+        const next = source[++i];
+        value += next === '/' ? '/' : `\\${next}`;
+        continue;
+      }
+      if (char === '[' && !inBracket) {
+        inBracket = true;
+        // A `]` straight after `[` or `[^` is a literal
+        if (source[i + 1] === '^') value += source[i++];
+        if (source[i + 1] === ']') {
+          value += `${char}${source[++i]}`;
+          continue;
+        }
+      } else if (char === ']' && inBracket) {
+        inBracket = false;
+      }
+      value += char;
+    }
+
+    throw new SyntaxError(`syntax error at source line ${line}: unterminated regexp`);
+  }
+
+  // ------------------------------------------------------------------
+  // Parser
+  // ------------------------------------------------------------------
+
+  /**
+   * @private
+   */
+  parseProgram() {
+    this.skipTerminators();
+
+    while (this.peek().type !== 'eof') {
+      this.parseItem();
+      this.skipTerminators();
+    }
+  }
+
+  /**
+   * @private
+   */
+  parseItem() {
+    const token = this.peek();
+
+    if (this.isKeyword('function')) {
+      this.next();
+      const nameToken = this.next();
+      if (nameToken.type !== 'name' && nameToken.type !== 'funcname') {
+        throw this.unexpected(nameToken);
+      }
+      this.expectOp('(');
+      const params = [];
+      while (!this.isOp(')')) {
+        const param = this.next();
+        if (param.type !== 'name') throw this.unexpected(param);
+        params.push(param.value);
+        if (!this.acceptOp(',')) break;
+        this.skipNewlines();
+      }
+      this.expectOp(')');
+      this.skipNewlines();
+      this.functions[nameToken.value] = { params, body: this.parseBlock() };
+      return;
+    }
+
+    if (this.isKeyword('BEGIN') || this.isKeyword('END')) {
+      this.next();
+      this.skipNewlines();
+      (token.value === 'BEGIN' ? this.begin : this.end).push(this.parseBlock());
+      return;
+    }
+
+    const rule = { pattern: null, pattern2: null, body: null, inRange: false };
+    if (!this.isOp('{')) {
+      rule.pattern = this.parseExpression();
+      if (this.acceptOp(',')) {
+        this.skipNewlines();
+        rule.pattern2 = this.parseExpression();
+      }
+    }
+    if (this.isOp('{')) {
+      rule.body = this.parseBlock();
+    }
+    this.rules.push(rule);
+  }
+
+  /**
+   * @private
+   */
+  parseBlock() {
+    this.expectOp('{');
+    const body = [];
+
+    for (;;) {
+      this.skipTerminators();
+      if (this.acceptOp('}')) break;
+      if (this.peek().type === 'eof') throw this.unexpected(this.peek());
+      body.push(this.parseStatement());
+    }
+
+    return { type: 'block', body };
+  }
+
+  /**
+   * @private
+   */
+  parseStatement() {
+    const token = this.peek();
+
+    if (this.isOp('{')) {
+      return this.parseBlock();
+    }
+    if (this.acceptOp(';')) {
+      return { type: 'block', body: [] };
+    }
+
+    if (token.type === 'keyword') {
+      switch (token.value) {
+        case 'if': {
+          this.next();
+          const condition = this.parseCondition();
+          const then = this.parseBody();
+          const save = this.pos;
+          this.skipTerminators();
+          if (this.isKeyword('else')) {
+            this.next();
+            this.skipNewlines();
+            return { type: 'if', condition, then, otherwise: this.parseStatement() };
+          }
+          this.pos = save;
+          return { type: 'if', condition, then, otherwise: null };
+        }
+        case 'while': {
+          this.next();
+          const condition = this.parseCondition();
+          return { type: 'while', condition, body: this.parseBody() };
+        }
+        case 'do': {
+          this.next();
+          this.skipNewlines();
+          const body = this.parseStatement();
+          this.skipTerminators();
+          this.expectKeyword('while');
+          const condition = this.parseCondition();
+          this.endSimpleStatement();
+          return { type: 'do', condition, body };
+        }
+        case 'for':
+          this.next();
+          return this.parseFor();
+        case 'break':
+        case 'continue':
+        case 'next':
+          this.next();
+          this.endSimpleStatement();
+          return { type: token.value };
+        case 'exit':
+        case 'return': {
+          this.next();
+          const value = this.atStatementEnd() ? null : this.parseExpression();
+          this.endSimpleStatement();
+          return { type: token.value, value };
+        }
+        case 'delete': {
+          this.next();
+          const name = this.expectName();
+          const subscripts = this.acceptOp('[') ? this.parseSubscripts() : null;
+          this.endSimpleStatement();
+          return { type: 'delete', name, subscripts };
+        }
+        case 'print':
+        case 'printf':
+          return this.parsePrint();
+        case 'getline':
+          throw new SyntaxError(`getline is not supported (source line ${token.line})`);
+        default:
+          break;
+      }
+    }
+
+    const expression = this.parseExpression();
+    this.endSimpleStatement();
+    return { type: 'expression', expression };
+  }
+
+  /**
+   * Body of if/while/for: a statement, or `;` for none
+   *
+   * @private
+   */
+  parseBody() {
+    if (this.acceptOp(';')) {
+      return { type: 'block', body: [] };
+    }
+    this.skipNewlines();
+    return this.parseStatement();
+  }
+
+  /**
+   * @private
+   */
+  parseCondition() {
+    this.expectOp('(');
+    const condition = this.parseExpression();
+    this.expectOp(')');
+    return condition;
+  }
+
+  /**
+   * @private
+   */
+  parseFor() {
+    this.expectOp('(');
+
+    const [name, keyword, array, close] = this.tokens.slice(this.pos, this.pos + 4);
+    if (name.type === 'name' && keyword.value === 'in' && array.type === 'name' && close.value === ')') {
+      this.pos += 4;
+      return { type: 'forIn', variable: name.value, array: array.value, body: this.parseBody() };
+    }
+
+    const init = this.isOp(';') ? null : this.parseExpression();
+    this.expectOp(';');
+    this.skipNewlines();
+    const condition = this.isOp(';') ? null : this.parseExpression();
+    this.expectOp(';');
+    this.skipNewlines();
+    const update = this.isOp(')') ? null : this.parseExpression();
+    this.expectOp(')');
+
+    return { type: 'for', init, condition, update, body: this.parseBody() };
+  }
+
+  /**
+   * @private
+   */
+  parsePrint() {
+    const kind = this.next().value;
+    let args = [];
+
+    if (!this.atStatementEnd() && !this.isOp('>') && !this.isOp('>>') && !this.isOp('|')) {
+      args = this.parseExpressionList(true);
+    }
+
+    // print (a, b) > "file"
+    if (args.length === 1 && args[0].type === 'grouping') {
+      args = args[0].list;
+    }
+
+    let redirect = null;
+    if (this.isOp('>') || this.isOp('>>')) {
+      const op = this.next().value;
+      redirect = { append: op === '>>', target: this.parseConcatenation() };
+    } else if (this.isOp('|')) {
+      throw new SyntaxError(`output pipes are not supported (source line ${this.peek().line})`);
+    }
+
+    if (kind === 'printf' && args.length === 0) {
+      throw new SyntaxError(`printf: no format (source line ${this.peek().line})`);
+    }
+
+    this.endSimpleStatement();
+    return { type: kind, args, redirect };
+  }
+
+  /**
+   * @private
+   */
+  parseExpressionList(noGreater = false) {
+    const list = [this.parseExpression(noGreater)];
+    while (this.acceptOp(',')) {
+      this.skipNewlines();
+      list.push(this.parseExpression(noGreater));
+    }
+    return list;
+  }
+
+  /**
+   * `[a, b]` subscripts after the `[`
+   *
+   * @private
+   */
+  parseSubscripts() {
+    const list = this.parseExpressionList();
+    this.expectOp(']');
+    return list;
+  }
+
+  /**
+   * Expression, with assignment as the lowest precedence
+   * Inside print, `noGreater` leaves `>` for output redirection.
+   *
+   * @private
+   */
+  parseExpression(noGreater = false) {
+    const left = this.parseTernary(noGreater);
+    const token = this.peek();
+
+    if (token.type === 'op' && ASSIGNMENT_OPERATORS.has(token.value) && this.isLvalue(left)) {
+      this.next();
+      this.skipNewlines();
+      const value = this.parseExpression(noGreater);
+      return { type: 'assign', op: token.value, target: left, value };
+    }
+
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseTernary(noGreater) {
+    const condition = this.parseOr(noGreater);
+    if (!this.acceptOp('?')) return condition;
+
+    this.skipNewlines();
+    const then = this.parseExpression(noGreater);
+    this.skipNewlines();
+    this.expectOp(':');
+    this.skipNewlines();
+    const otherwise = this.parseExpression(noGreater);
+    return { type: 'ternary', condition, then, otherwise };
+  }
+
+  /**
+   * @private
+   */
+  parseOr(noGreater) {
+    let left = this.parseAnd(noGreater);
+    while (this.acceptOp('||')) {
+      left = { type: 'or', left, right: this.parseAnd(noGreater) };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseAnd(noGreater) {
+    let left = this.parseIn(noGreater);
+    while (this.acceptOp('&&')) {
+      left = { type: 'and', left, right: this.parseIn(noGreater) };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseIn(noGreater) {
+    let left = this.parseMatch(noGreater);
+    while (this.isKeyword('in')) {
+      this.next();
+      const keys = left.type === 'grouping' ? left.list : [left];
+      left = { type: 'in', keys, array: this.expectName() };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseMatch(noGreater) {
+    let left = this.parseComparison(noGreater);
+    while (this.isOp('~') || this.isOp('!~')) {
+      const negate = this.next().value === '!~';
+      left = { type: 'match', negate, left, right: this.parseComparison(noGreater) };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseComparison(noGreater) {
+    const left = this.parseConcatenation();
+    const token = this.peek();
+    const operators = noGreater ? ['<', '<=', '==', '!=', '>='] : ['<', '<=', '==', '!=', '>=', '>'];
+
+    if (token.type === 'op' && operators.includes(token.value)) {
+      this.next();
+      return { type: 'compare', op: token.value, left, right: this.parseConcatenation() };
+    }
+    return left;
+  }
+
+  /**
+   * Concatenation is two expressions side by side
+   *
+   * @private
+   */
+  parseConcatenation() {
+    let left = this.parseAdditive();
+
+    while (this.startsConcatenation()) {
+      left = { type: 'concat', left, right: this.parseAdditive() };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  startsConcatenation() {
+    const token = this.peek();
+    if (['number', 'string', 'name', 'funcname', 'builtin'].includes(token.type)) return true;
+    return token.type === 'op' && (token.value === '$' || token.value === '(');
+  }
+
+  /**
+   * @private
+   */
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOp('+') || this.isOp('-')) {
+      const op = this.next().value;
+      left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isOp('*') || this.isOp('/') || this.isOp('%')) {
+      const op = this.next().value;
+      left = { type: 'binary', op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseUnary() {
+    if (this.acceptOp('!')) {
+      return { type: 'not', operand: this.parseUnary() };
+    }
+    if (this.acceptOp('-')) {
+      return { type: 'negate', operand: this.parseUnary() };
+    }
+    if (this.acceptOp('+')) {
+      return { type: 'plus', operand: this.parseUnary() };
+    }
+    return this.parsePower();
+  }
+
+  /**
+   * @private
+   */
+  parsePower() {
+    const base = this.parsePostfix();
+    if (this.isOp('^') || this.isOp('**')) {
+      this.next();
+      // Right-associative, and the exponent may be negative
+      return { type: 'binary', op: '^', left: base, right: this.parseUnary() };
+    }
+    return base;
+  }
+
+  /**
+   * @private
+   */
+  parsePostfix() {
+    const operand = this.parsePrimary();
+    if (this.isLvalue(operand) && (this.isOp('++') || this.isOp('--'))) {
+      const delta = this.next().value === '++' ? 1 : -1;
+      return { type: 'postIncrement', target: operand, delta };
+    }
+    return operand;
+  }
+
+  /**
+   * @private
+   */
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'literal', value: token.value };
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'regex':
+        return { type: 'regex', regex: this.compileRegex(token.value, token.line) };
+      case 'name':
+        if (this.acceptOp('[')) {
+          return { type: 'element', name: token.value, subscripts: this.parseSubscripts() };
+        }
+        return { type: 'variable', name: token.value };
+      case 'funcname': {
+        this.expectOp('(');
+        const args = this.isOp(')') ? [] : this.parseExpressionList();
+        this.expectOp(')');
+        return { type: 'call', name: token.value, args };
+      }
+      case 'builtin': {
+        let args = [];
+        if (this.acceptOp('(')) {
+          args = this.isOp(')') ? [] : this.parseExpressionList();
+          this.expectOp(')');
+        } else if (token.value !== 'length') {
+          throw this.unexpected(this.peek());
+        }
+        return { type: 'builtin', name: token.value, args };
+      }
+      case 'op':
+        if (token.value === '$') {
+          if (this.isOp('++') || this.isOp('--') || this.isOp('-')) {
+            return { type: 'field', index: this.parseUnary() };
+          }
+          return { type: 'field', index: this.parsePrimary() };
+        }
+        if (token.value === '++' || token.value === '--') {
+          const target = this.parsePrimary();
+          if (!this.isLvalue(target)) throw this.unexpected(token);
+          return { type: 'preIncrement', target, delta: token.value === '++' ? 1 : -1 };
+        }
+        if (token.value === '(') {
+          const list = this.parseExpressionList();
+          this.expectOp(')');
+          return list.length === 1 ? { type: 'group', expression: list[0] } : { type: 'grouping', list };
+        }
+        if (token.value === '-' || token.value === '!' || token.value === '+') {
+          this.pos--;
+          return this.parseUnary();
+        }
+        break;
+      case 'keyword':
+        if (token.value === 'getline') {
+          throw new SyntaxError(`getline is not supported (source line ${token.line})`);
+        }
+        break;
+      default:
+        break;
+    }
+
+    throw this.unexpected(token);
+  }
+
+  /**
+   * @private
+   */
+  isLvalue(node) {
+    return node.type === 'variable' || node.type === 'element' || node.type === 'field';
+  }
+
+  /**
+   * @private
+   */
+  compileRegex(source, line) {
+    try {
+      return PosixRegExp.compile(source, { extended: true });
+    } catch (error) {
+      throw new SyntaxError(`${error.message} (source line ${line})`);
+    }
+  }
+
+  // Token helpers
+
+  /**
+   * @private
+   */
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  /**
+   * @private
+   */
+  next() {
+    const token = this.tokens[this.pos];
+    if (token.type !== 'eof') this.pos++;
+    return token;
+  }
+
+  /**
+   * @private
+   */
+  isOp(value) {
+    const token = this.peek();
+    return token.type === 'op' && token.value === value;
+  }
+
+  /**
+   * @private
+   */
+  isKeyword(value) {
+    const token = this.peek();
+    return token.type === 'keyword' && token.value === value;
+  }
+
+  /**
+   * @private
+   */
+  acceptOp(value) {
+    if (!this.isOp(value)) return false;
+    this.pos++;
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  expectOp(value) {
+    if (!this.acceptOp(value)) throw this.unexpected(this.peek());
+  }
+
+  /**
+   * @private
+   */
+  expectKeyword(value) {
+    if (!this.isKeyword(value)) throw this.unexpected(this.peek());
+    this.pos++;
+  }
+
+  /**
+   * @private
+   */
+  expectName() {
+    const token = this.next();
+    if (token.type !== 'name') throw this.unexpected(token);
+    return token.value;
+  }
+
+  /**
+   * @private
+   */
+  atStatementEnd() {
+    const token = this.peek();
+    return token.type === 'eof' || token.type === 'newline' || this.isOp(';') || this.isOp('}');
+  }
+
+  /**
+   * @private
+   */
+  endSimpleStatement() {
+    if (this.peek().type === 'newline' || this.isOp(';')) {
+      this.pos++;
+    } else if (!this.atStatementEnd()) {
+      throw this.unexpected(this.peek());
+    }
+  }
+
+  /**
+   * @private
+   */
+  skipNewlines() {
+    while (this.peek().type === 'newline') this.pos++;
+  }
+
+  /**
+   * @private
+   */
+  skipTerminators() {
+    while (this.peek().type === 'newline' || this.isOp(';')) this.pos++;
+  }
+
+  /**
+   * @private
+   */
+  unexpected(token) {
+    const near = token.type === 'eof' ? 'end of program' : token.type === 'newline' ? 'newline' : `'${token.value}'`;
+    return new SyntaxError(`syntax error at source line ${token.line} near ${near}`);
+  }
+
+  // ------------------------------------------------------------------
+  // Statements
+  // ------------------------------------------------------------------
+
+  /**
+   * Run a statement
+   *
+   * @private
+   * @returns {Promise<Object|null>} Control signal (break, continue, next, exit, return) or null
+   */
+  async execute(statement) {
+    switch (statement.type) {
+      case 'block':
+        for (const child of statement.body) {
+          const control = await this.execute(child);
+          if (control) return control;
+        }
+        return null;
+
+      case 'expression':
+        await this.evaluate(statement.expression);
+        return null;
+
+      case 'print':
+      case 'printf':
+        await this.executePrint(statement);
+        return null;
+
+      case 'if':
+        if (this.isTrue(await this.evaluate(statement.condition))) {
+          return this.execute(statement.then);
+        }
+        return statement.otherwise ? this.execute(statement.otherwise) : null;
+
+      case 'while':
+        while (this.isTrue(await this.evaluate(statement.condition))) {
+          const control = await this.runLoopBody(statement.body);
+          if (control === BREAK) break;
+          if (control) return control;
+        }
+        return null;
+
+      case 'do':
+        do {
+          const control = await this.runLoopBody(statement.body);
+          if (control === BREAK) break;
+          if (control) return control;
+        } while (this.isTrue(await this.evaluate(statement.condition)));
+        return null;
+
+      case 'for':
+        if (statement.init) await this.evaluate(statement.init);
+        while (!statement.condition || this.isTrue(await this.evaluate(statement.condition))) {
+          const control = await this.runLoopBody(statement.body);
+          if (control === BREAK) break;
+          if (control) return control;
+          if (statement.update) await this.evaluate(statement.update);
+        }
+        return null;
+
+      case 'forIn':
+        for (const key of [...this.getArray(statement.array).keys()]) {
+          this.setVariable(statement.variable, key);
+          const control = await this.runLoopBody(statement.body);
+          if (control === BREAK) break;
+          if (control) return control;
+        }
+        return null;
+
+      case 'break':
+        return BREAK;
+      case 'continue':
+        return CONTINUE;
+      case 'next':
+        return NEXT;
+
+      case 'exit':
+        return {
+          type: 'exit',
+          status: statement.value ? Math.trunc(this.toNumber(await this.evaluate(statement.value))) : 0,
+        };
+
+      case 'return':
+        return { type: 'return', value: statement.value ? await this.evaluate(statement.value) : '' };
+
+      case 'delete': {
+        const array = this.getArray(statement.name);
+        if (statement.subscripts) {
+          array.delete(await this.evaluateSubscript(statement.subscripts));
+        } else {
+          array.clear();
+        }
+        return null;
+      }
+
+      default:
+        throw new Error(`unknown statement ${statement.type}`);
+    }
+  }
+
+  /**
+   * Run a loop body; CONTINUE counts as finishing the iteration
+   *
+   * @private
+   */
+  async runLoopBody(body) {
+    await this.checkpoint();
+    const control = await this.execute(body);
+    return control === CONTINUE ? null : control;
+  }
+
+  /**
+   * @private
+   */
+  async executePrint(statement) {
+    const values = [];
+    for (const arg of statement.args) {
+      values.push(await this.evaluate(arg));
+    }
+
+    let text;
+    if (statement.type === 'printf') {
+      text = this.format(this.toString(values[0]), values.slice(1));
+    } else {
+      const fields = values.length > 0 ? values.map(value => this.toOutputString(value)) : [this.record];
+      text = fields.join(this.toString(this.globals.get('OFS'))) + this.toString(this.globals.get('ORS'));
+    }
+
+    if (!statement.redirect) {
+      this.write(text);
+      return;
+    }
+
+    // Like awk, a file is truncated on first use and then kept open
+    const path = this.toString(await this.evaluate(statement.redirect.target));
+    if (!this.outputFiles.has(path)) {
+      this.outputFiles.set(path, { text: '', append: statement.redirect.append });
+    }
+    this.outputFiles.get(path).text += text;
+  }
+
+  // ------------------------------------------------------------------
+  // Expressions
+  // ------------------------------------------------------------------
+
+  /**
+   * Evaluate an expression
+   *
+   * @private
+   * @returns {Promise<number|string|undefined>}
+   */
+  async evaluate(node) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'regex':
+        return this.test(node.regex, this.record) ? 1 : 0;
+
+      case 'group':
+        return this.evaluate(node.expression);
+
+      case 'grouping':
+        throw new Error('syntax error: unexpected list');
+
+      case 'variable':
+        return this.getVariable(node.name);
+
+      case 'element': {
+        const array = this.getArray(node.name);
+        const key = await this.evaluateSubscript(node.subscripts);
+        // Referencing an element creates it, as in awk
+        if (!array.has(key)) array.set(key, undefined);
+        return array.get(key);
+      }
+
+      case 'field':
+        return this.getField(Math.trunc(this.toNumber(await this.evaluate(node.index))));
+
+      case 'assign': {
+        let value = await this.evaluate(node.value);
+        if (node.op !== '=') {
+          const current = await this.evaluate(node.target);
+          value = this.arithmetic(node.op.slice(0, -1), this.toNumber(current), this.toNumber(value));
+        }
+        await this.assign(node.target, value);
+        return value;
+      }
+
+      case 'preIncrement':
+      case 'postIncrement': {
+        const current = this.toNumber(await this.evaluate(node.target));
+        await this.assign(node.target, current + node.delta);
+        return node.type === 'preIncrement' ? current + node.delta : current;
+      }
+
+      case 'ternary':
+        return this.isTrue(await this.evaluate(node.condition))
+          ? this.evaluate(node.then)
+          : this.evaluate(node.otherwise);
+
+      case 'or':
+        return this.isTrue(await this.evaluate(node.left)) || this.isTrue(await this.evaluate(node.right)) ? 1 : 0;
+
+      case 'and':
+        return this.isTrue(await this.evaluate(node.left)) && this.isTrue(await this.evaluate(node.right)) ? 1 : 0;
+
+      case 'not':
+        return this.isTrue(await this.evaluate(node.operand)) ? 0 : 1;
+
+      case 'negate':
+        return -this.toNumber(await this.evaluate(node.operand));
+
+      case 'plus':
+        return this.toNumber(await this.evaluate(node.operand));
+
+      case 'binary':
+        return this.arithmetic(
+          node.op,
+          this.toNumber(await this.evaluate(node.left)),
+          this.toNumber(await this.evaluate(node.right))
+        );
+
+      case 'concat':
+        return this.toString(await this.evaluate(node.left)) + this.toString(await this.evaluate(node.right));
+
+      case 'compare':
+        return this.compare(node.op, await this.evaluate(node.left), await this.evaluate(node.right)) ? 1 : 0;
+
+      case 'match': {
+        const text = this.toString(await this.evaluate(node.left));
+        const regex = await this.evaluateRegex(node.right);
+        return this.test(regex, text) !== node.negate ? 1 : 0;
+      }
+
+      case 'in': {
+        const key = await this.evaluateSubscript(node.keys);
+        return this.getArray(node.array).has(key) ? 1 : 0;
+      }
+
+      case 'call':
+        return this.callFunction(node);
+
+      case 'builtin':
+        return this.callBuiltin(node);
+
+      default:
+        throw new Error(`unknown expression ${node.type}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  arithmetic(op, left, right) {
+    switch (op) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/':
+        if (right === 0) throw new Error('division by zero');
+        return left / right;
+      case '%':
+        if (right === 0) throw new Error('division by zero in %');
+        return left % right;
+      case '^':
+      case '**':
+        return left ** right;
+      default:
+        throw new Error(`unknown operator ${op}`);
+    }
+  }
+
+  /**
+   * Compare numerically when both sides look like numbers, else as strings
+   *
+   * @private
+   */
+  compare(op, left, right) {
+    let a = left;
+    let b = right;
+
+    if (this.looksNumeric(left) && this.looksNumeric(right)) {
+      a = this.toNumber(left);
+      b = this.toNumber(right);
+    } else {
+      a = this.toString(left);
+      b = this.toString(right);
+    }
+
+    switch (op) {
+      case '<': return a < b;
+      case '<=': return a <= b;
+      case '>': return a > b;
+      case '>=': return a >= b;
+      case '==': return a === b;
+      default: return a !== b;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async assign(target, value) {
+    if (target.type === 'variable') {
+      this.setVariable(target.name, value);
+    } else if (target.type === 'element') {
+      this.getArray(target.name).set(await this.evaluateSubscript(target.subscripts), value);
+    } else {
+      this.setField(Math.trunc(this.toNumber(await this.evaluate(target.index))), value);
+    }
+  }
+
+  /**
+   * Array key: subscripts joined by SUBSEP
+   *
+   * @private
+   */
+  async evaluateSubscript(subscripts) {
+    const keys = [];
+    for (const subscript of subscripts) {
+      keys.push(this.toString(await this.evaluate(subscript)));
+    }
+    return keys.join(this.toString(this.globals.get('SUBSEP')));
+  }
+
+  /**
+   * A regex operand: a /literal/ or a dynamic string
+   *
+   * @private
+   */
+  async evaluateRegex(node) {
+    if (node.type === 'regex') return node.regex;
+
+    const source = this.toString(await this.evaluate(node));
+    if (!this.regexCache.has(source)) {
+      this.regexCache.set(source, PosixRegExp.compile(source, { extended: true }));
+    }
+    return this.regexCache.get(source);
+  }
+
+  /**
+   * @private
+   */
+  test(regex, text) {
+    regex.lastIndex = 0;
+    return regex.test(text);
+  }
+
+  // Variables, arrays and fields
+
+  /**
+   * @private
+   */
+  scopeOf(name) {
+    const frame = this.frames[this.frames.length - 1];
+    return frame && frame.has(name) ? frame : this.globals;
+  }
+
+  /**
+   * @private
+   */
+  getVariable(name) {
+    if (name === 'NF') return this.fields.length;
+
+    const value = this.scopeOf(name).get(name);
+    if (value instanceof Map) {
+      throw new Error(`attempt to use array \`${name}' in a scalar context`);
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  setVariable(name, value) {
+    if (name === 'NF') {
+      const count = Math.max(0, Math.trunc(this.toNumber(value)));
+      this.fields.length = count;
+      this.fields = Array.from(this.fields, field => field ?? '');
+      this.rebuildRecord();
+      return;
+    }
+
+    const scope = this.scopeOf(name);
+    if (scope.get(name) instanceof Map) {
+      throw new Error(`attempt to use array \`${name}' in a scalar context`);
+    }
+    scope.set(name, value);
+  }
+
+  /**
+   * Get an array, creating it if the name is unused
+   *
+   * @private
+   */
+  getArray(name) {
+    const scope = this.scopeOf(name);
+    let array = scope.get(name);
+
+    if (array === undefined) {
+      array = new Map();
+      scope.set(name, array);
+    } else if (!(array instanceof Map)) {
+      throw new Error(`attempt to use scalar \`${name}' as an array`);
+    }
+    return array;
+  }
+
+  /**
+   * @private
+   */
+  getField(index) {
+    if (index < 0) throw new Error(`attempt to access field ${index}`);
+    if (index === 0) return this.record;
+    return this.fields[index - 1] ?? '';
+  }
+
+  /**
+   * @private
+   */
+  setField(index, value) {
+    if (index < 0) throw new Error(`attempt to access field ${index}`);
+
+    if (index === 0) {
+      this.setRecord(this.toString(value));
+      return;
+    }
+
+    while (this.fields.length < index) this.fields.push('');
+    this.fields[index - 1] = value;
+    this.rebuildRecord();
+  }
+
+  /**
+   * @private
+   */
+  setRecord(text) {
+    this.record = text;
+    this.fields = this.splitFields(text, this.globals.get('FS'));
+  }
+
+  /**
+   * @private
+   */
+  rebuildRecord() {
+    const separator = this.toString(this.globals.get('OFS'));
+    this.record = this.fields.map(field => this.toOutputString(field)).join(separator);
+  }
+
+  /**
+   * Split text like awk splits records: FS " " splits on runs of blanks,
+   * another single character splits on itself, anything longer is a regex
+   *
+   * @private
+   */
+  splitFields(text, separator) {
+    if (text === '') return [];
+
+    if (separator instanceof RegExp) {
+      return text.split(new RegExp(separator.source, separator.flags.replace('g', '')));
+    }
+
+    const fs = this.toString(separator);
+    if (fs === ' ') {
+      const trimmed = text.replace(/^[ \t\n]+|[ \t\n]+$/g, '');
+      return trimmed === '' ? [] : trimmed.split(/[ \t\n]+/);
+    }
+    if (fs.length === 1 && fs !== '\\') {
+      return text.split(fs);
+    }
+
+    return text.split(PosixRegExp.compile(fs, { extended: true }));
+  }
+
+  // Functions
+
+  /**
+   * @private
+   */
+  async callFunction(node) {
+    const fn = this.functions[node.name];
+    if (!fn) {
+      throw new Error(`function \`${node.name}' not defined`);
+    }
+    if (node.args.length > fn.params.length) {
+      throw new Error(`function \`${node.name}' called with ${node.args.length} args, accepts only ${fn.params.length}`);
+    }
+
+    // Arrays are passed by reference, scalars by value
+    const frame = new Map();
+    for (let i = 0; i < fn.params.length; i++) {
+      const arg = node.args[i];
+      let value;
+      if (arg && arg.type === 'variable' && this.scopeOf(arg.name).get(arg.name) instanceof Map) {
+        value = this.scopeOf(arg.name).get(arg.name);
+      } else if (arg) {
+        value = await this.evaluate(arg);
+      }
+      frame.set(fn.params[i], value);
+    }
+
+    if (this.frames.length >= 1000) {
+      throw new Error('function call nesting too deep');
+    }
+
+    this.frames.push(frame);
+    try {
+      const control = await this.execute(fn.body);
+      if (control === NEXT || (control && control.type === 'exit')) {
+        throw new ControlSignal(control);
+      }
+      return control && control.type === 'return' ? control.value : '';
+    } finally {
+      this.frames.pop();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async callBuiltin(node) {
+    const { name, args } = node;
+    const value = async (index) => this.evaluate(args[index]);
+    const string = async (index) => this.toString(await value(index));
+    const number = async (index) => this.toNumber(await value(index));
+
+    switch (name) {
+      case 'length': {
+        if (args.length === 0) return this.record.length;
+        const arg = args[0];
+        if (arg.type === 'variable' && this.scopeOf(arg.name).get(arg.name) instanceof Map) {
+          return this.scopeOf(arg.name).get(arg.name).size;
+        }
+        return (await string(0)).length;
+      }
+
+      case 'substr': {
+        const text = await string(0);
+        // awk rounds the start and length, then clips them to the string
+        let start = Math.round(await number(1));
+        let end = args.length > 2 ? start + Math.round(await number(2)) : Infinity;
+        start = Math.max(start, 1);
+        end = Math.min(end, text.length + 1);
+        return end > start ? text.slice(start - 1, end - 1) : '';
+      }
+
+      case 'index':
+        return (await string(0)).indexOf(await string(1)) + 1;
+
+      case 'split': {
+        if (args[1]?.type !== 'variable') {
+          throw new Error('split: second argument is not an array');
+        }
+        const text = await string(0);
+        const separator = args.length > 2
+          ? (args[2].type === 'regex' ? args[2].regex : await string(2))
+          : this.globals.get('FS');
+        const parts = this.splitFields(text, separator);
+        const array = this.getArray(args[1].name);
+        array.clear();
+        parts.forEach((part, index) => array.set(String(index + 1), part));
+        return parts.length;
+      }
+
+      case 'sub':
+      case 'gsub': {
+        const regex = await this.evaluateRegex(args[0]);
+        const replacement = await string(1);
+        const target = args[2] || { type: 'field', index: { type: 'literal', value: 0 } };
+        if (!this.isLvalue(target)) {
+          throw new Error(`${name}: third argument is not a variable`);
+        }
+
+        const global = new RegExp(regex.source, `${regex.flags.replace('g', '')}g`);
+        let count = 0;
+        const text = this.toString(await this.evaluate(target)).replace(global, (match) => {
+          if (name === 'sub' && count > 0) return match;
+          count++;
+          return this.expandReplacement(replacement, match);
+        });
+
+        if (count > 0) await this.assign(target, text);
+        return count;
+      }
+
+      case 'match': {
+        const text = await string(0);
+        const regex = await this.evaluateRegex(args[1]);
+        regex.lastIndex = 0;
+        const found = new RegExp(regex.source, regex.flags.replace('g', '')).exec(text);
+        this.globals.set('RSTART', found ? found.index + 1 : 0);
+        this.globals.set('RLENGTH', found ? found[0].length : -1);
+        return this.globals.get('RSTART');
+      }
+
+      case 'sprintf': {
+        if (args.length === 0) throw new Error('sprintf: no format');
+        const values = [];
+        for (const arg of args) values.push(await this.evaluate(arg));
+        return this.format(this.toString(values[0]), values.slice(1));
+      }
+
+      case 'tolower':
+        return (await string(0)).toLowerCase();
+      case 'toupper':
+        return (await string(0)).toUpperCase();
+      case 'int':
+        return Math.trunc(await number(0));
+      case 'sqrt':
+        return Math.sqrt(await number(0));
+      case 'exp':
+        return Math.exp(await number(0));
+      case 'log':
+        return Math.log(await number(0));
+      case 'sin':
+        return Math.sin(await number(0));
+      case 'cos':
+        return Math.cos(await number(0));
+      case 'atan2':
+        return Math.atan2(await number(0), await number(1));
+      case 'rand':
+        return Math.random();
+      case 'srand':
+        return 0;
+      case 'close':
+      case 'fflush':
+        return 0;
+      case 'system':
+        throw new Error('system() is not supported');
+      default:
+        throw new Error(`unknown function ${name}`);
+    }
+  }
+
+  /**
+   * Expand `&` (the match) and `\&` (a literal &) in a sub/gsub replacement
+   *
+   * @private
+   */
+  expandReplacement(replacement, match) {
+    let text = '';
+    for (let i = 0; i < replacement.length; i++) {
+      const char = replacement[i];
+      if (char === '\\' && (replacement[i + 1] === '&' || replacement[i + 1] === '\\')) {
+        text += replacement[++i];
+      } else {
+        text += char === '&' ? match : char;
+      }
+    }
+    return text;
+  }
+
+  // ------------------------------------------------------------------
+  // Values
+  // ------------------------------------------------------------------
+
+  /**
+   * @private
+   */
+  isTrue(value) {
+    if (typeof value === 'number') return value !== 0;
+    if (value === undefined) return false;
+    return NUMERIC_STRING.test(value) ? this.toNumber(value) !== 0 : value !== '';
+  }
+
+  /**
+   * @private
+   */
+  looksNumeric(value) {
+    return typeof value === 'number' || value === undefined || NUMERIC_STRING.test(value);
+  }
+
+  /**
+   * @private
+   */
+  toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (value === undefined) return 0;
+    const match = NUMERIC_PREFIX.exec(value);
+    return match ? parseFloat(match[0]) : 0;
+  }
+
+  /**
+   * @private
+   */
+  toString(value) {
+    if (value === undefined) return '';
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? String(value) : this.format(this.toString(this.globals.get('CONVFMT')), [value]);
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  toOutputString(value) {
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+      return this.format(this.toString(this.globals.get('OFMT')), [value]);
+    }
+    return this.toString(value);
+  }
+
+  /**
+   * printf-style formatting (see PrintfFormat)
+   *
+   * @private
+   * @param {string} format - Format string
+   * @param {Array} values - Arguments
+   * @returns {string}
+   */
+  format(format, values) {
+    let index = 0;
+    return PrintfFormat.format(format, () => values[index++], {
+      toNumber: value => this.toNumber(value),
+      toString: value => this.toString(value),
+      toChar: value => (typeof value === 'number' ? String.fromCharCode(value) : this.toString(value).charAt(0)),
+    }).text;
+  }
+}
@@ -0,0 +1,1705 @@
+/**
+ * JqFilter - Parser and evaluator for a subset of the jq language
+ *
+ * Supported: paths (`.a.b`, `.[0]`, `.[1:3]`, `.[]`, `..`, `?`), pipes and
+ * commas, array and object construction, string interpolation, arithmetic,
+ * comparisons, `and`/`or`/`//`, `if`, `try`, `reduce`, `as $var`,
+ * assignment (`=`, `|=`, `+=`, ...), the common builtins and the @csv,
+ * @tsv, @json, @text, @html, @uri, @sh and @base64 formats.
+ * User definitions (`def`) are not supported.
+ *
+ * Filters are evaluated eagerly: every expression returns an array of
+ * outputs.
+ */
+
+const KEYWORDS = new Set(['if', 'then', 'elif', 'else', 'end', 'as', 'and', 'or', 'reduce', 'try', 'catch', 'def']);
+
+const OPERATORS = [
+  '//=', '|=', '+=', '-=', '*=', '/=', '%=', '==', '!=', '<=', '>=', '//', '..',
+  '|', ',', '+', '-', '*', '/', '%', '=', '<', '>', '(', ')', '[', ']', '{', '}', ':', ';', '?', '.',
+];
+
+// jq's ordering of types for sort, min, max and comparisons
+const TYPE_ORDER = ['null', 'boolean', 'number', 'string', 'array', 'object'];
+
+// Largest range() allowed, since outputs are collected eagerly
+const MAX_RANGE = 1000000;
+
+// An error raised while running a filter (`error(...)`, bad types)
+class JqError extends Error {
+  constructor(value) {
+    super(typeof value === 'string' ? value : JSON.stringify(value));
+    this.value = value;
+  }
+}
+
+export default class JqFilter {
+  /**
+   * Parse a filter
+   *
+   * @param {string} source - jq program
+   * @throws {SyntaxError} If the filter does not parse
+   */
+  constructor(source) {
+    this.tokens = this.tokenize(source);
+    this.pos = 0;
+    this.ast = this.parsePipe();
+
+    if (this.peek().type !== 'eof') {
+      throw this.unexpected(this.peek());
+    }
+  }
+
+  /**
+   * Run the filter on one input
+   *
+   * @param {*} input - Parsed JSON value
+   * @param {Object} variables - `$name` values (--arg, --argjson, $ENV)
+   * @returns {Array} Outputs
+   * @throws {Error} On a runtime error, e.g. indexing a number
+   */
+  run(input, variables = {}) {
+    return this.evaluate(this.ast, input, new Map(Object.entries(variables)));
+  }
+
+  /**
+   * Parse a stream of whitespace-separated JSON values
+   *
+   * @param {string} text - Input text
+   * @returns {Array} Values
+   * @throws {Error} If a value is not valid JSON
+   */
+  static parseValues(text) {
+    const values = [];
+    let pos = 0;
+
+    while (pos < text.length) {
+      while (pos < text.length && /\s/.test(text[pos])) pos++;
+      if (pos >= text.length) break;
+
+      const start = pos;
+      if (text[pos] === '{' || text[pos] === '[') {
+        let depth = 0;
+        let inString = false;
+        for (; pos < text.length; pos++) {
+          const char = text[pos];
+          if (inString) {
+            if (char === '\\') pos++;
+            else if (char === '"') inString = false;
+          } else if (char === '"') {
+            inString = true;
+          } else if (char === '{' || char === '[') {
+            depth++;
+          } else if ((char === '}' || char === ']') && --depth === 0) {
+            pos++;
+            break;
+          }
+        }
+      } else if (text[pos] === '"') {
+        for (pos++; pos < text.length && text[pos] !== '"'; pos++) {
+          if (text[pos] === '\\') pos++;
+        }
+        pos++;
+      } else {
+        while (pos < text.length && !/[\s{}[\]"]/.test(text[pos])) pos++;
+      }
+
+      const chunk = text.slice(start, pos);
+      try {
+        values.push(JSON.parse(chunk));
+      } catch (error) {
+        throw new Error(`Cannot parse input: ${chunk.length > 20 ? `${chunk.slice(0, 20)}...` : chunk}`);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Serialize a value like jq's output
+   *
+   * @param {*} value - Value
+   * @param {Object} options - Options
+   * @param {boolean} options.compact - One line (-c)
+   * @param {boolean} options.raw - Strings without quotes (-r)
+   * @param {boolean} options.sortKeys - Sort object keys (-S)
+   * @returns {string}
+   */
+  static stringify(value, { compact = false, raw = false, sortKeys = false } = {}) {
+    if (raw && typeof value === 'string') return value;
+
+    const sorted = sortKeys ? JqFilter.sortKeys(value) : value;
+    return JSON.stringify(sorted, null, compact ? undefined : 2) ?? 'null';
+  }
+
+  /**
+   * @private
+   */
+  static sortKeys(value) {
+    if (Array.isArray(value)) return value.map(item => JqFilter.sortKeys(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, JqFilter.sortKeys(value[key])]));
+    }
+    return value;
+  }
+
+  // ------------------------------------------------------------------
+  // Lexer
+  // ------------------------------------------------------------------
+
+  /**
+   * @private
+   */
+  tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+      const rest = source.slice(i);
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '#') {
+        while (i < source.length && source[i] !== '\n') i++;
+      } else if (char === '"') {
+        const { parts, end } = this.readString(source, i + 1);
+        tokens.push({ type: 'string', parts });
+        i = end;
+      } else if (/^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.test(rest)) {
+        const text = /^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(rest)[0];
+        tokens.push({ type: 'number', value: parseFloat(text) });
+        i += text.length;
+      } else if (/^\.[A-Za-z_]/.test(rest)) {
+        const name = /^\.([A-Za-z_][A-Za-z0-9_]*)/.exec(rest)[1];
+        tokens.push({ type: 'field', value: name });
+        i += name.length + 1;
+      } else if (/^[$@][A-Za-z_]/.test(rest)) {
+        const name = /^[$@]([A-Za-z_][A-Za-z0-9_]*)/.exec(rest)[1];
+        tokens.push({ type: char === '$' ? 'variable' : 'format', value: name });
+        i += name.length + 1;
+      } else if (/[A-Za-z_]/.test(char)) {
+        const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest)[0];
+        tokens.push({ type: KEYWORDS.has(word) ? 'keyword' : 'ident', value: word });
+        i += word.length;
+      } else {
+        const operator = OPERATORS.find(op => source.startsWith(op, i));
+        if (!operator) {
+          throw new SyntaxError(`syntax error, unexpected INVALID_CHARACTER '${char}'`);
+        }
+        tokens.push({ type: 'op', value: operator });
+        i += operator.length;
+      }
+    }
+
+    tokens.push({ type: 'eof', value: 'end of file' });
+    return tokens;
+  }
+
+  /**
+   * Read a string literal; `\(...)` interpolations are parsed as filters
+   *
+   * @private
+   * @returns {{parts: Array<string|Object>, end: number}}
+   */
+  readString(source, start) {
+    const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+    const parts = [];
+    let text = '';
+
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+
+      if (char === '"') {
+        if (text || parts.length === 0) parts.push(text);
+        return { parts, end: i + 1 };
+      }
+
+      if (char !== '\\') {
+        text += char;
+        continue;
+      }
+
+      const next = source[++i];
+      if (next === '(') {
+        const end = this.findClosingParen(source, i + 1);
+        if (text) parts.push(text);
+        text = '';
+        parts.push(new JqFilter(source.slice(i + 1, end)).ast);
+        i = end;
+      } else if (next === 'u') {
+        text += String.fromCharCode(parseInt(source.slice(i + 1, i + 5), 16));
+        i += 4;
+      } else if (escapes[next] !== undefined) {
+        text += escapes[next];
+      } else {
+        throw new SyntaxError(`invalid escape \\${next} in string`);
+      }
+    }
+
+    throw new SyntaxError('unterminated string literal');
+  }
+
+  /**
+   * @private
+   */
+  findClosingParen(source, start) {
+    let depth = 1;
+    let inString = false;
+
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')' && --depth === 0) {
+        return i;
+      }
+    }
+
+    throw new SyntaxError('unterminated string interpolation');
+  }
+
+  // ------------------------------------------------------------------
+  // Parser
+  // ------------------------------------------------------------------
+
+  /**
+   * Pipe: `a | b`, `a as $x | b`; the lowest precedence
+   *
+   * @private
+   * @param {boolean} noComma - Stop at `,` (object values)
+   */
+  parsePipe(noComma = false) {
+    if (this.isKeyword('def')) {
+      throw new SyntaxError('def is not supported');
+    }
+
+    const left = noComma ? this.parseAlternative() : this.parseComma();
+
+    if (this.isKeyword('as')) {
+      this.pos++;
+      const name = this.expect('variable').value;
+      this.expectOp('|');
+      return { type: 'bind', source: left, name, body: this.parsePipe(noComma) };
+    }
+
+    if (this.acceptOp('|')) {
+      return { type: 'pipe', left, right: this.parsePipe(noComma) };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseComma() {
+    let left = this.parseAlternative();
+    while (this.acceptOp(',')) {
+      left = { type: 'comma', left, right: this.parseAlternative() };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseAlternative() {
+    const left = this.parseAssignment();
+    if (this.acceptOp('//')) {
+      return { type: 'alternative', left, right: this.parseAlternative() };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseAssignment() {
+    const left = this.parseOr();
+    const token = this.peek();
+
+    if (token.type === 'op' && ['=', '|=', '+=', '-=', '*=', '/=', '%=', '//='].includes(token.value)) {
+      this.pos++;
+      return { type: 'assign', op: token.value, left, right: this.parseAlternative() };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword('or')) {
+      this.pos++;
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseAnd() {
+    let left = this.parseComparison();
+    while (this.isKeyword('and')) {
+      this.pos++;
+      left = { type: 'and', left, right: this.parseComparison() };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+
+    if (token.type === 'op' && ['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      this.pos++;
+      return { type: 'binary', op: token.value, left, right: this.parseAdditive() };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOp('+') || this.isOp('-')) {
+      const op = this.next().value;
+      left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isOp('*') || this.isOp('/') || this.isOp('%')) {
+      const op = this.next().value;
+      left = { type: 'binary', op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  /**
+   * @private
+   */
+  parseUnary() {
+    if (this.acceptOp('-')) {
+      return { type: 'negate', operand: this.parsePostfix() };
+    }
+    return this.parsePostfix();
+  }
+
+  /**
+   * A term followed by `.name`, `[...]` and `?` suffixes
+   *
+   * @private
+   */
+  parsePostfix() {
+    let node = this.parseTerm();
+
+    for (;;) {
+      const token = this.peek();
+
+      if (token.type === 'field') {
+        this.pos++;
+        node = { type: 'field', target: node, name: token.value };
+      } else if (this.isOp('.') && this.peekAt(1).type === 'string') {
+        this.pos++;
+        node = { type: 'field', target: node, name: this.parseStringName() };
+      } else if (this.isOp('[') || (this.isOp('.') && this.peekAt(1).value === '[')) {
+        if (this.isOp('.')) this.pos++;
+        node = this.parseBracketSuffix(node);
+      } else if (this.acceptOp('?')) {
+        node = { type: 'optional', target: node };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  /**
+   * `[]`, `[index]` or `[from:to]` after a term
+   *
+   * @private
+   */
+  parseBracketSuffix(target) {
+    this.expectOp('[');
+
+    if (this.acceptOp(']')) {
+      return { type: 'iterate', target };
+    }
+
+    const from = this.isOp(':') ? null : this.parsePipe();
+    if (this.acceptOp(':')) {
+      const to = this.isOp(']') ? null : this.parsePipe();
+      this.expectOp(']');
+      return { type: 'slice', target, from, to };
+    }
+
+    this.expectOp(']');
+    return { type: 'index', target, index: from };
+  }
+
+  /**
+   * @private
+   */
+  parseTerm() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'literal', value: token.value };
+
+      case 'string':
+        return { type: 'string', parts: token.parts };
+
+      case 'field':
+        return { type: 'field', target: { type: 'identity' }, name: token.value };
+
+      case 'variable':
+        return { type: 'variable', name: token.value };
+
+      case 'format':
+        return { type: 'format', name: token.value };
+
+      case 'keyword':
+        if (token.value === 'if') return this.parseIf();
+        if (token.value === 'try') return this.parseTry();
+        if (token.value === 'reduce') return this.parseReduce();
+        if (token.value === 'def') throw new SyntaxError('def is not supported');
+        break;
+
+      case 'ident':
+        return this.parseCall(token.value);
+
+      case 'op':
+        if (token.value === '.') {
+          if (this.peek().type === 'string') {
+            return { type: 'field', target: { type: 'identity' }, name: this.parseStringName() };
+          }
+          return { type: 'identity' };
+        }
+        if (token.value === '..') return { type: 'recurse' };
+        if (token.value === '(') {
+          const body = this.parsePipe();
+          this.expectOp(')');
+          return body;
+        }
+        if (token.value === '[') {
+          if (this.acceptOp(']')) return { type: 'array', body: null };
+          const body = this.parsePipe();
+          this.expectOp(']');
+          return { type: 'array', body };
+        }
+        if (token.value === '{') return this.parseObject();
+        break;
+
+      default:
+        break;
+    }
+
+    throw this.unexpected(token);
+  }
+
+  /**
+   * @private
+   */
+  parseStringName() {
+    const token = this.expect('string');
+    if (token.parts.some(part => typeof part !== 'string')) {
+      throw new SyntaxError('interpolation is not allowed in a field name');
+    }
+    return token.parts.join('');
+  }
+
+  /**
+   * @private
+   */
+  parseCall(name) {
+    if (name === 'true' || name === 'false' || name === 'null') {
+      return { type: 'literal', value: JSON.parse(name) };
+    }
+
+    const args = [];
+    if (this.acceptOp('(')) {
+      do {
+        args.push(this.parsePipe());
+      } while (this.acceptOp(';'));
+      this.expectOp(')');
+    }
+
+    return { type: 'call', name, args };
+  }
+
+  /**
+   * @private
+   */
+  parseIf() {
+    const branches = [];
+    let otherwise = null;
+
+    do {
+      const condition = this.parsePipe();
+      this.expectKeyword('then');
+      branches.push({ condition, then: this.parsePipe() });
+    } while (this.acceptKeyword('elif'));
+
+    if (this.acceptKeyword('else')) {
+      otherwise = this.parsePipe();
+    }
+    this.expectKeyword('end');
+
+    return { type: 'if', branches, otherwise };
+  }
+
+  /**
+   * @private
+   */
+  parseTry() {
+    const body = this.parsePostfix();
+    const handler = this.acceptKeyword('catch') ? this.parsePostfix() : null;
+    return { type: 'try', body, handler };
+  }
+
+  /**
+   * reduce SOURCE as $x (INIT; UPDATE)
+   *
+   * @private
+   */
+  parseReduce() {
+    const source = this.parsePostfix();
+    this.expectKeyword('as');
+    const name = this.expect('variable').value;
+    this.expectOp('(');
+    const init = this.parsePipe();
+    this.expectOp(';');
+    const update = this.parsePipe();
+    this.expectOp(')');
+    return { type: 'reduce', source, name, init, update };
+  }
+
+  /**
+   * @private
+   */
+  parseObject() {
+    const entries = [];
+
+    while (!this.acceptOp('}')) {
+      const token = this.next();
+      let key;
+      let value = null;
+
+      if (token.type === 'ident' || token.type === 'keyword') {
+        key = { type: 'literal', value: token.value };
+        value = { type: 'field', target: { type: 'identity' }, name: token.value };
+      } else if (token.type === 'variable') {
+        key = { type: 'literal', value: token.value };
+        value = { type: 'variable', name: token.value };
+      } else if (token.type === 'string') {
+        key = { type: 'string', parts: token.parts };
+        value = { type: 'index', target: { type: 'identity' }, index: key };
+      } else if (token.type === 'number') {
+        throw new SyntaxError('object keys must be strings');
+      } else if (token.type === 'op' && token.value === '(') {
+        key = this.parsePipe();
+        this.expectOp(')');
+      } else {
+        throw this.unexpected(token);
+      }
+
+      if (this.acceptOp(':')) {
+        value = this.parsePipe(true);
+      } else if (!value) {
+        throw this.unexpected(this.peek());
+      }
+
+      entries.push({ key, value });
+      if (!this.acceptOp(',')) {
+        this.expectOp('}');
+        break;
+      }
+    }
+
+    return { type: 'object', entries };
+  }
+
+  // Token helpers
+
+  /**
+   * @private
+   */
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  /**
+   * @private
+   */
+  peekAt(offset) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  /**
+   * @private
+   */
+  next() {
+    const token = this.tokens[this.pos];
+    if (token.type !== 'eof') this.pos++;
+    return token;
+  }
+
+  /**
+   * @private
+   */
+  isOp(value) {
+    const token = this.peek();
+    return token.type === 'op' && token.value === value;
+  }
+
+  /**
+   * @private
+   */
+  isKeyword(value) {
+    const token = this.peek();
+    return token.type === 'keyword' && token.value === value;
+  }
+
+  /**
+   * @private
+   */
+  acceptOp(value) {
+    if (!this.isOp(value)) return false;
+    this.pos++;
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  acceptKeyword(value) {
+    if (!this.isKeyword(value)) return false;
+    this.pos++;
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  expectOp(value) {
+    if (!this.acceptOp(value)) throw this.unexpected(this.peek());
+  }
+
+  /**
+   * @private
+   */
+  expectKeyword(value) {
+    if (!this.acceptKeyword(value)) throw this.unexpected(this.peek());
+  }
+
+  /**
+   * @private
+   */
+  expect(type) {
+    const token = this.next();
+    if (token.type !== type) throw this.unexpected(token);
+    return token;
+  }
+
+  /**
+   * @private
+   */
+  unexpected(token) {
+    const text = token.type === 'string' ? 'string' : token.value;
+    return new SyntaxError(`syntax error, unexpected ${text}`);
+  }
+
+  // ------------------------------------------------------------------
+  // Evaluation
+  // ------------------------------------------------------------------
+
+  /**
+   * Evaluate a filter
+   *
+   * @private
+   * @param {Object} node - Filter
+   * @param {*} input - `.`
+   * @param {Map} env - Variables
+   * @returns {Array} Outputs
+   */
+  evaluate(node, input, env) {
+    switch (node.type) {
+      case 'identity':
+        return [input];
+
+      case 'recurse':
+        return this.recurse(input);
+
+      case 'literal':
+        return [node.value];
+
+      case 'variable':
+        if (!env.has(node.name)) throw new JqError(`$${node.name} is not defined`);
+        return [env.get(node.name)];
+
+      case 'field':
+        return this.evaluate(node.target, input, env).map(target => this.index(target, node.name));
+
+      case 'index': {
+        const targets = this.evaluate(node.target, input, env);
+        return this.evaluate(node.index, input, env).flatMap(key => targets.map(target => this.index(target, key)));
+      }
+
+      case 'slice': {
+        const targets = this.evaluate(node.target, input, env);
+        const froms = node.from ? this.evaluate(node.from, input, env) : [null];
+        const tos = node.to ? this.evaluate(node.to, input, env) : [null];
+        return tos.flatMap(to => froms.flatMap(from => targets.map(target => this.slice(target, from, to))));
+      }
+
+      case 'iterate':
+        return this.evaluate(node.target, input, env).flatMap(target => this.iterate(target));
+
+      case 'optional':
+        try {
+          return this.evaluate(node.target, input, env);
+        } catch (error) {
+          if (error instanceof JqError) return [];
+          throw error;
+        }
+
+      case 'pipe':
+        return this.evaluate(node.left, input, env).flatMap(value => this.evaluate(node.right, value, env));
+
+      case 'comma':
+        return [...this.evaluate(node.left, input, env), ...this.evaluate(node.right, input, env)];
+
+      case 'bind':
+        return this.evaluate(node.source, input, env)
+          .flatMap(value => this.evaluate(node.body, input, new Map(env).set(node.name, value)));
+
+      case 'string':
+        return this.interpolate(node.parts, input, env, value => (typeof value === 'string' ? value : JSON.stringify(value)));
+
+      case 'format':
+        return [this.applyFormat(node.name, input)];
+
+      case 'array':
+        return [node.body ? this.evaluate(node.body, input, env) : []];
+
+      case 'object':
+        return this.buildObjects(node.entries, input, env);
+
+      case 'negate':
+        return this.evaluate(node.operand, input, env).map(value => {
+          if (typeof value !== 'number') throw new JqError(`${this.typeOf(value)} (${this.describe(value)}) cannot be negated`);
+          return -value;
+        });
+
+      case 'binary': {
+        const rights = this.evaluate(node.right, input, env);
+        const lefts = this.evaluate(node.left, input, env);
+        return rights.flatMap(right => lefts.map(left => this.binary(node.op, left, right)));
+      }
+
+      case 'and':
+      case 'or':
+        return this.evaluate(node.left, input, env).flatMap(left => {
+          if (node.type === 'and' && !this.isTrue(left)) return [false];
+          if (node.type === 'or' && this.isTrue(left)) return [true];
+          return this.evaluate(node.right, input, env).map(right => this.isTrue(right));
+        });
+
+      case 'alternative': {
+        let values = [];
+        try {
+          values = this.evaluate(node.left, input, env).filter(value => this.isTrue(value));
+        } catch (error) {
+          if (!(error instanceof JqError)) throw error;
+        }
+        return values.length > 0 ? values : this.evaluate(node.right, input, env);
+      }
+
+      case 'if':
+        return this.evaluateIf(node, 0, input, env);
+
+      case 'try':
+        try {
+          return this.evaluate(node.body, input, env);
+        } catch (error) {
+          if (!(error instanceof JqError)) throw error;
+          return node.handler ? this.evaluate(node.handler, error.value, env) : [];
+        }
+
+      case 'reduce':
+        return this.evaluate(node.init, input, env).map(initial => {
+          let accumulator = initial;
+          for (const item of this.evaluate(node.source, input, env)) {
+            const outputs = this.evaluate(node.update, accumulator, new Map(env).set(node.name, item));
+            accumulator = outputs.length > 0 ? outputs[outputs.length - 1] : null;
+          }
+          return accumulator;
+        });
+
+      case 'assign':
+        return this.assign(node, input, env);
+
+      case 'call':
+        return this.call(node, input, env);
+
+      default:
+        throw new Error(`unknown filter ${node.type}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  evaluateIf(node, branchIndex, input, env) {
+    if (branchIndex >= node.branches.length) {
+      return node.otherwise ? this.evaluate(node.otherwise, input, env) : [input];
+    }
+
+    const branch = node.branches[branchIndex];
+    return this.evaluate(branch.condition, input, env).flatMap(condition => (this.isTrue(condition)
+      ? this.evaluate(branch.then, input, env)
+      : this.evaluateIf(node, branchIndex + 1, input, env)));
+  }
+
+  /**
+   * String interpolation: every combination of the parts' outputs
+   *
+   * @private
+   */
+  interpolate(parts, input, env, toText) {
+    let results = [''];
+
+    for (const part of parts) {
+      if (typeof part === 'string') {
+        results = results.map(text => text + part);
+      } else {
+        const values = this.evaluate(part, input, env);
+        results = results.flatMap(text => values.map(value => text + toText(value)));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * @private
+   */
+  buildObjects(entries, input, env) {
+    let objects = [{}];
+
+    for (const { key, value } of entries) {
+      const keys = this.evaluate(key, input, env);
+      const values = this.evaluate(value, input, env);
+      const next = [];
+
+      for (const object of objects) {
+        for (const name of keys) {
+          if (typeof name !== 'string') {
+            throw new JqError(`Object keys must be strings`);
+          }
+          for (const item of values) {
+            next.push({ ...object, [name]: item });
+          }
+        }
+      }
+      objects = next;
+    }
+
+    return objects;
+  }
+
+  /**
+   * @private
+   */
+  index(target, key) {
+    if (target === null) return null;
+
+    if (typeof key === 'string') {
+      if (this.typeOf(target) !== 'object') {
+        throw new JqError(`Cannot index ${this.typeOf(target)} with "${key}"`);
+      }
+      return Object.prototype.hasOwnProperty.call(target, key) ? target[key] : null;
+    }
+
+    if (typeof key === 'number') {
+      if (!Array.isArray(target)) {
+        throw new JqError(`Cannot index ${this.typeOf(target)} with number`);
+      }
+      const position = Math.floor(key < 0 ? target.length + key : key);
+      return target[position] ?? null;
+    }
+
+    throw new JqError(`Cannot index ${this.typeOf(target)} with ${this.typeOf(key)}`);
+  }
+
+  /**
+   * @private
+   */
+  slice(target, from, to) {
+    if (target === null) return null;
+    if (typeof target !== 'string' && !Array.isArray(target)) {
+      throw new JqError(`Cannot index ${this.typeOf(target)} with object`);
+    }
+    return target.slice(from ?? 0, to ?? target.length);
+  }
+
+  /**
+   * @private
+   */
+  iterate(target) {
+    if (Array.isArray(target)) return target;
+    if (this.typeOf(target) === 'object') return Object.values(target);
+    throw new JqError(`Cannot iterate over ${this.typeOf(target)}${target === null ? '' : ` (${this.describe(target)})`}`);
+  }
+
+  /**
+   * `..`: the input and everything inside it, depth first
+   *
+   * @private
+   */
+  recurse(value) {
+    const results = [value];
+    if (Array.isArray(value) || this.typeOf(value) === 'object') {
+      for (const child of Object.values(value)) {
+        results.push(...this.recurse(child));
+      }
+    }
+    return results;
+  }
+
+  /**
+   * @private
+   */
+  binary(op, left, right) {
+    const leftType = this.typeOf(left);
+    const rightType = this.typeOf(right);
+    const fail = (verb) => {
+      throw new JqError(`${leftType} (${this.describe(left)}) and ${rightType} (${this.describe(right)}) cannot be ${verb}`);
+    };
+
+    switch (op) {
+      case '==': return this.compare(left, right) === 0;
+      case '!=': return this.compare(left, right) !== 0;
+      case '<': return this.compare(left, right) < 0;
+      case '<=': return this.compare(left, right) <= 0;
+      case '>': return this.compare(left, right) > 0;
+      case '>=': return this.compare(left, right) >= 0;
+
+      case '+':
+        if (left === null) return right;
+        if (right === null) return left;
+        if (leftType !== rightType) fail('added');
+        if (leftType === 'number' || leftType === 'string') return left + right;
+        if (leftType === 'array') return [...left, ...right];
+        if (leftType === 'object') return { ...left, ...right };
+        return fail('added');
+
+      case '-':
+        if (leftType === 'number' && rightType === 'number') return left - right;
+        if (leftType === 'array' && rightType === 'array') {
+          return left.filter(item => !right.some(other => this.compare(item, other) === 0));
+        }
+        return fail('subtracted');
+
+      case '*':
+        if (leftType === 'number' && rightType === 'number') return left * right;
+        if (leftType === 'string' && rightType === 'number') return right > 0 ? left.repeat(Math.ceil(right)) : null;
+        if (leftType === 'object' && rightType === 'object') return this.deepMerge(left, right);
+        return fail('multiplied');
+
+      case '/':
+        if (leftType === 'number' && rightType === 'number') {
+          if (right === 0) fail('divided because the divisor is zero');
+          return left / right;
+        }
+        if (leftType === 'string' && rightType === 'string') return left.split(right);
+        return fail('divided');
+
+      case '%':
+        if (leftType === 'number' && rightType === 'number') {
+          if (Math.trunc(right) === 0) fail('divided because the divisor is zero');
+          return Math.trunc(left) % Math.trunc(right);
+        }
+        return fail('divided');
+
+      default:
+        throw new Error(`unknown operator ${op}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  deepMerge(left, right) {
+    const result = { ...left };
+    for (const [key, value] of Object.entries(right)) {
+      result[key] = this.typeOf(result[key]) === 'object' && this.typeOf(value) === 'object'
+        ? this.deepMerge(result[key], value)
+        : value;
+    }
+    return result;
+  }
+
+  // Paths and assignment
+
+  /**
+   * Paths a filter selects, as [path, value] pairs
+   *
+   * @private
+   */
+  paths(node, input, env) {
+    switch (node.type) {
+      case 'identity':
+        return [[[], input]];
+
+      case 'recurse':
+        return this.recursivePaths([], input);
+
+      case 'field':
+        return this.paths(node.target, input, env).map(([path, value]) => [[...path, node.name], this.index(value, node.name)]);
+
+      case 'index': {
+        const keys = this.evaluate(node.index, input, env);
+        return this.paths(node.target, input, env)
+          .flatMap(([path, value]) => keys.map(key => [[...path, key], this.index(value, key)]));
+      }
+
+      case 'iterate':
+        return this.paths(node.target, input, env).flatMap(([path, value]) => {
+          if (value === null) return [];
+          if (Array.isArray(value)) return value.map((item, index) => [[...path, index], item]);
+          this.iterate(value);
+          return Object.entries(value).map(([key, item]) => [[...path, key], item]);
+        });
+
+      case 'optional':
+        try {
+          return this.paths(node.target, input, env);
+        } catch (error) {
+          if (error instanceof JqError) return [];
+          throw error;
+        }
+
+      case 'pipe':
+        return this.paths(node.left, input, env).flatMap(([path, value]) => this.paths(node.right, value, env)
+          .map(([subPath, subValue]) => [[...path, ...subPath], subValue]));
+
+      case 'comma':
+        return [...this.paths(node.left, input, env), ...this.paths(node.right, input, env)];
+
+      case 'if':
+        return this.evaluate(node.branches[0].condition, input, env).flatMap(condition => {
+          const rest = node.branches.length > 1
+            ? { ...node, branches: node.branches.slice(1) }
+            : node.otherwise || { type: 'identity' };
+          return this.paths(this.isTrue(condition) ? node.branches[0].then : rest, input, env);
+        });
+
+      case 'call':
+        if (node.name === 'select' && node.args.length === 1) {
+          return this.evaluate(node.args[0], input, env).some(value => this.isTrue(value)) ? [[[], input]] : [];
+        }
+        if (node.name === 'empty' && node.args.length === 0) return [];
+        if (node.name === 'recurse' && node.args.length === 0) return this.recursivePaths([], input);
+        if ((node.name === 'first' || node.name === 'last') && node.args.length === 0) {
+          return [[[node.name === 'first' ? 0 : -1], this.index(input, node.name === 'first' ? 0 : -1)]];
+        }
+        if (node.name === 'getpath' && node.args.length === 1) {
+          return this.evaluate(node.args[0], input, env).map(path => [path, this.getPath(input, path)]);
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    throw new JqError('Invalid path expression');
+  }
+
+  /**
+   * @private
+   */
+  recursivePaths(path, value) {
+    const results = [[path, value]];
+    if (Array.isArray(value) || this.typeOf(value) === 'object') {
+      for (const key of Array.isArray(value) ? value.keys() : Object.keys(value)) {
+        results.push(...this.recursivePaths([...path, key], value[key]));
+      }
+    }
+    return results;
+  }
+
+  /**
+   * @private
+   */
+  getPath(value, path) {
+    return path.reduce((current, key) => (current === null ? null : this.index(current, key)), value);
+  }
+
+  /**
+   * Return a copy of `value` with `path` set to `newValue`
+   *
+   * @private
+   */
+  setPath(value, path, newValue) {
+    if (path.length === 0) return newValue;
+
+    const [key, ...rest] = path;
+    if (typeof key === 'number') {
+      if (value !== null && !Array.isArray(value)) {
+        throw new JqError(`Cannot index ${this.typeOf(value)} with number`);
+      }
+      const array = value ? [...value] : [];
+      const position = key < 0 ? array.length + key : key;
+      if (position < 0) throw new JqError('Out of bounds negative array index');
+      while (array.length < position) array.push(null);
+      array[position] = this.setPath(array[position] ?? null, rest, newValue);
+      return array;
+    }
+
+    if (value !== null && this.typeOf(value) !== 'object') {
+      throw new JqError(`Cannot index ${this.typeOf(value)} with "${key}"`);
+    }
+    const object = { ...(value || {}) };
+    object[key] = this.setPath(object[key] ?? null, rest, newValue);
+    return object;
+  }
+
+  /**
+   * Return a copy of `value` without the given paths
+   *
+   * @private
+   */
+  deletePaths(value, paths) {
+    // Delete deepest and highest indexes first so earlier deletions do not shift later ones
+    const sorted = [...paths].sort((a, b) => this.compare(b, a));
+    let result = value;
+
+    for (const path of sorted) {
+      if (path.length === 0) return null;
+      const parentPath = path.slice(0, -1);
+      const key = path[path.length - 1];
+      const parent = this.getPath(result, parentPath);
+      if (parent === null) continue;
+
+      let updated;
+      if (Array.isArray(parent)) {
+        updated = parent.filter((item, index) => index !== (key < 0 ? parent.length + key : key));
+      } else {
+        updated = { ...parent };
+        delete updated[key];
+      }
+      result = this.setPath(result, parentPath, updated);
+    }
+
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  assign(node, input, env) {
+    const paths = this.paths(node.left, input, env).map(([path]) => path);
+
+    if (node.op === '|=') {
+      return [paths.reduce((result, path) => {
+        const outputs = this.evaluate(node.right, this.getPath(result, path), env);
+        return outputs.length > 0 ? this.setPath(result, path, outputs[0]) : this.deletePaths(result, [path]);
+      }, input)];
+    }
+
+    return this.evaluate(node.right, input, env).map(value => paths.reduce((result, path) => {
+      if (node.op === '=') return this.setPath(result, path, value);
+
+      const current = this.getPath(result, path);
+      const updated = node.op === '//='
+        ? (this.isTrue(current) ? current : value)
+        : this.binary(node.op.slice(0, -1), current, value);
+      return this.setPath(result, path, updated);
+    }, input));
+  }
+
+  // Builtins
+
+  /**
+   * Call a builtin; `name/arity` selects the implementation
+   *
+   * @private
+   */
+  call(node, input, env) {
+    const { name, args } = node;
+    const values = (index, value = input) => this.evaluate(args[index], value, env);
+    const first = (index) => {
+      const outputs = values(index);
+      return outputs.length > 0 ? outputs[0] : null;
+    };
+    const requireType = (type, value = input) => {
+      if (this.typeOf(value) !== type) {
+        throw new JqError(`${this.typeOf(value)} (${this.describe(value)}) has no ${name}`);
+      }
+    };
+    const sortBy = (items, index) => items
+      .map(item => ({ item, key: values(index, item) }))
+      .sort((a, b) => this.compare(a.key, b.key));
+
+    switch (`${name}/${args.length}`) {
+      case 'empty/0':
+        return [];
+      case 'error/0':
+        throw new JqError(input);
+      case 'error/1':
+        throw new JqError(first(0));
+      case 'not/0':
+        return [!this.isTrue(input)];
+      case 'length/0':
+        if (input === null) return [0];
+        if (typeof input === 'boolean') throw new JqError(`boolean (${input}) has no length`);
+        if (typeof input === 'number') return [Math.abs(input)];
+        if (typeof input === 'string') return [[...input].length];
+        return [Object.keys(input).length];
+      case 'utf8bytelength/0':
+        requireType('string');
+        return [new TextEncoder().encode(input).length];
+      case 'keys/0':
+      case 'keys_unsorted/0':
+        if (Array.isArray(input)) return [input.map((item, index) => index)];
+        requireType('object');
+        return [name === 'keys' ? Object.keys(input).sort() : Object.keys(input)];
+      case 'has/1':
+        return values(0).map(key => (Array.isArray(input)
+          ? key >= 0 && key < input.length
+          : Object.prototype.hasOwnProperty.call(input, key)));
+      case 'in/1':
+        return values(0).map(object => (Array.isArray(object)
+          ? input >= 0 && input < object.length
+          : Object.prototype.hasOwnProperty.call(object, input)));
+      case 'contains/1':
+        return values(0).map(other => this.contains(input, other));
+      case 'inside/1':
+        return values(0).map(other => this.contains(other, input));
+      case 'add/0':
+        return [this.iterate(input).reduce((sum, item) => this.binary('+', sum, item), null)];
+      case 'any/0':
+        return [this.iterate(input).some(item => this.isTrue(item))];
+      case 'all/0':
+        return [this.iterate(input).every(item => this.isTrue(item))];
+      case 'any/1':
+        return [this.iterate(input).some(item => values(0, item).some(value => this.isTrue(value)))];
+      case 'all/1':
+        return [this.iterate(input).every(item => values(0, item).every(value => this.isTrue(value)))];
+      case 'range/1':
+      case 'range/2': {
+        const [from, to] = args.length === 1 ? [0, first(0)] : [first(0), first(1)];
+        if (to - from > MAX_RANGE) throw new JqError(`range is limited to ${MAX_RANGE} values`);
+        const results = [];
+        for (let i = from; i < to; i++) results.push(i);
+        return results;
+      }
+      case 'floor/0':
+        return [Math.floor(input)];
+      case 'ceil/0':
+        return [Math.ceil(input)];
+      case 'round/0':
+        return [Math.round(input)];
+      case 'sqrt/0':
+        return [Math.sqrt(input)];
+      case 'fabs/0':
+      case 'abs/0':
+        return [Math.abs(input)];
+      case 'tostring/0':
+        return [typeof input === 'string' ? input : JSON.stringify(input)];
+      case 'tonumber/0': {
+        if (typeof input === 'number') return [input];
+        const number = Number(input);
+        if (typeof input !== 'string' || input.trim() === '' || Number.isNaN(number)) {
+          throw new JqError(`Cannot parse '${input}' as JSON`);
+        }
+        return [number];
+      }
+      case 'tojson/0':
+        return [JSON.stringify(input)];
+      case 'fromjson/0':
+        try {
+          return [JSON.parse(input)];
+        } catch (error) {
+          throw new JqError(`${input} (while parsing '${input}')`);
+        }
+      case 'type/0':
+        return [this.typeOf(input)];
+      case 'infinite/0':
+        return [Infinity];
+      case 'nan/0':
+        return [NaN];
+      case 'now/0':
+        return [Date.now() / 1000];
+      case 'arrays/0':
+      case 'objects/0':
+      case 'strings/0':
+      case 'numbers/0':
+      case 'booleans/0':
+      case 'nulls/0':
+        return this.typeOf(input) === name.slice(0, -1) ? [input] : [];
+      case 'iterables/0':
+        return Array.isArray(input) || this.typeOf(input) === 'object' ? [input] : [];
+      case 'scalars/0':
+        return Array.isArray(input) || this.typeOf(input) === 'object' ? [] : [input];
+      case 'values/0':
+        return input === null ? [] : [input];
+      case 'select/1':
+        return values(0).some(value => this.isTrue(value)) ? [input] : [];
+      case 'map/1':
+        return [this.iterate(input).flatMap(item => values(0, item))];
+      case 'map_values/1': {
+        if (Array.isArray(input)) return [input.flatMap(item => values(0, item).slice(0, 1))];
+        requireType('object');
+        const result = {};
+        for (const [key, value] of Object.entries(input)) {
+          const outputs = values(0, value);
+          if (outputs.length > 0) result[key] = outputs[0];
+        }
+        return [result];
+      }
+      case 'recurse/0':
+        return this.recurse(input);
+      case 'recurse/1': {
+        const results = [];
+        const visit = (value) => {
+          results.push(value);
+          values(0, value).forEach(visit);
+        };
+        visit(input);
+        return results;
+      }
+      case 'to_entries/0':
+        requireType('object');
+        return [Object.entries(input).map(([key, value]) => ({ key, value }))];
+      case 'from_entries/0':
+        return [Object.fromEntries(this.iterate(input).map(entry => {
+          const key = entry.key ?? entry.k ?? entry.name ?? entry.Name ?? entry.Key ?? entry.K;
+          const value = entry.value ?? entry.v ?? entry.Value ?? entry.V ?? null;
+          return [typeof key === 'string' ? key : JSON.stringify(key), value];
+        }))];
+      case 'with_entries/1': {
+        requireType('object');
+        const entries = Object.entries(input).map(([key, value]) => ({ key, value }));
+        return this.call({ name: 'from_entries', args: [] }, entries.flatMap(entry => values(0, entry)), env);
+      }
+      case 'sort/0':
+        requireType('array');
+        return [[...input].sort((a, b) => this.compare(a, b))];
+      case 'sort_by/1':
+        requireType('array');
+        return [sortBy(input, 0).map(entry => entry.item)];
+      case 'group_by/1': {
+        requireType('array');
+        const groups = [];
+        let previous;
+        for (const { item, key } of sortBy(input, 0)) {
+          if (groups.length === 0 || this.compare(key, previous) !== 0) groups.push([]);
+          groups[groups.length - 1].push(item);
+          previous = key;
+        }
+        return [groups];
+      }
+      case 'unique/0':
+      case 'unique_by/1': {
+        requireType('array');
+        const sorted = name === 'unique'
+          ? [...input].sort((a, b) => this.compare(a, b)).map(item => ({ item, key: item }))
+          : sortBy(input, 0);
+        return [sorted.filter((entry, index) => index === 0 || this.compare(entry.key, sorted[index - 1].key) !== 0)
+          .map(entry => entry.item)];
+      }
+      case 'min/0':
+      case 'max/0':
+      case 'min_by/1':
+      case 'max_by/1': {
+        requireType('array');
+        if (input.length === 0) return [null];
+        const sorted = args.length === 0
+          ? [...input].sort((a, b) => this.compare(a, b))
+          : sortBy(input, 0).map(entry => entry.item);
+        return [name.startsWith('min') ? sorted[0] : sorted[sorted.length - 1]];
+      }
+      case 'reverse/0':
+        if (typeof input === 'string') return [[...input].reverse().join('')];
+        return [input === null ? [] : [...input].reverse()];
+      case 'flatten/0':
+      case 'flatten/1': {
+        const depth = args.length === 0 ? Infinity : first(0);
+        if (depth < 0) throw new JqError('flatten depth must not be negative');
+        requireType('array');
+        return [input.flat(depth)];
+      }
+      case 'first/0':
+        return [this.index(input, 0)];
+      case 'last/0':
+        return [this.index(input, -1)];
+      case 'first/1':
+        return values(0).slice(0, 1);
+      case 'last/1':
+        return values(0).slice(-1);
+      case 'limit/2': {
+        const count = first(0);
+        return count > 0 ? values(1).slice(0, count) : [];
+      }
+      case 'join/1': {
+        const separator = first(0);
+        return [this.iterate(input).map(item => {
+          if (item === null) return '';
+          if (typeof item === 'object') throw new JqError(`Cannot join with ${this.typeOf(item)}`);
+          return String(item);
+        }).join(separator)];
+      }
+      case 'split/1':
+        requireType('string');
+        return [input.split(first(0))];
+      case 'ascii_downcase/0':
+        requireType('string');
+        return [input.toLowerCase()];
+      case 'ascii_upcase/0':
+        requireType('string');
+        return [input.toUpperCase()];
+      case 'ltrimstr/1': {
+        const prefix = first(0);
+        return [typeof input === 'string' && typeof prefix === 'string' && input.startsWith(prefix) ? input.slice(prefix.length) : input];
+      }
+      case 'rtrimstr/1': {
+        const suffix = first(0);
+        return [typeof input === 'string' && typeof suffix === 'string' && suffix && input.endsWith(suffix)
+          ? input.slice(0, -suffix.length)
+          : input];
+      }
+      case 'startswith/1':
+        requireType('string');
+        return [input.startsWith(first(0))];
+      case 'endswith/1':
+        requireType('string');
+        return [input.endsWith(first(0))];
+      case 'explode/0':
+        requireType('string');
+        return [[...input].map(char => char.codePointAt(0))];
+      case 'implode/0':
+        requireType('array');
+        return [String.fromCodePoint(...input)];
+      case 'test/1':
+      case 'test/2':
+        requireType('string');
+        return [this.regex(first(0), args.length > 1 ? first(1) : '').test(input)];
+      case 'sub/2':
+      case 'sub/3':
+      case 'gsub/2':
+      case 'gsub/3': {
+        requireType('string');
+        const flags = (args.length > 2 ? first(2) : '') + (name === 'gsub' ? 'g' : '');
+        const regex = this.regex(first(0), flags);
+        return [input.replace(regex, (...match) => {
+          const groups = typeof match[match.length - 1] === 'object' ? match[match.length - 1] : {};
+          const outputs = values(1, { ...groups });
+          return outputs.length > 0 ? String(outputs[0]) : '';
+        })];
+      }
+      case 'getpath/1':
+        return values(0).map(path => this.getPath(input, path));
+      case 'setpath/2':
+        return values(1).flatMap(value => values(0).map(path => this.setPath(input, path, value)));
+      case 'paths/0':
+        return this.recursivePaths([], input).slice(1).map(([path]) => path);
+      case 'leaf_paths/0':
+        return this.recursivePaths([], input).slice(1)
+          .filter(([, value]) => !Array.isArray(value) && this.typeOf(value) !== 'object')
+          .map(([path]) => path);
+      case 'del/1':
+        return [this.deletePaths(input, this.paths(args[0], input, env).map(([path]) => path))];
+      case 'env/0':
+        return [env.get('ENV') ?? {}];
+      case 'walk/1': {
+        const walk = (value) => {
+          let result = value;
+          if (Array.isArray(value)) {
+            result = value.map(walk);
+          } else if (this.typeOf(value) === 'object') {
+            result = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, walk(item)]));
+          }
+          const outputs = values(0, result);
+          return outputs.length > 0 ? outputs[0] : null;
+        };
+        return [walk(input)];
+      }
+      case 'splits/1':
+        requireType('string');
+        return input.split(this.regex(first(0), ''));
+      case 'isempty/1':
+        return [values(0).length === 0];
+      case 'input/0':
+      case 'inputs/0':
+        throw new JqError(`${name} is not supported`);
+      default:
+        throw new JqError(`${name}/${args.length} is not defined`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  regex(source, flags) {
+    if (typeof source !== 'string') {
+      throw new JqError(`${this.typeOf(source)} (${this.describe(source)}) cannot be matched, as it is not a string`);
+    }
+    const jsFlags = [...new Set((flags || '').replace(/[^gimsx]/g, '').replace('x', ''))].join('');
+    try {
+      return new RegExp(source, jsFlags);
+    } catch (error) {
+      throw new JqError(`${source} (at offset 0) is not a valid regex`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  contains(container, item) {
+    const containerType = this.typeOf(container);
+    if (containerType !== this.typeOf(item)) {
+      throw new JqError(`${containerType} (${this.describe(container)}) and ${this.typeOf(item)} (${this.describe(item)}) cannot have their containment checked`);
+    }
+    if (containerType === 'string') return container.includes(item);
+    if (containerType === 'array') {
+      return item.every(needle => container.some(candidate => {
+        try {
+          return this.contains(candidate, needle);
+        } catch (error) {
+          return false;
+        }
+      }));
+    }
+    if (containerType === 'object') {
+      return Object.keys(item).every(key => Object.prototype.hasOwnProperty.call(container, key)
+        && this.contains(container[key], item[key]));
+    }
+    return this.compare(container, item) === 0;
+  }
+
+  /**
+   * @private
+   */
+  applyFormat(name, input) {
+    const text = value => (typeof value === 'string' ? value : JSON.stringify(value));
+    const row = () => {
+      if (!Array.isArray(input)) throw new JqError(`${this.typeOf(input)} (${this.describe(input)}) cannot be ${name}-formatted, only an array can be`);
+      return input;
+    };
+
+    switch (name) {
+      case 'text':
+        return text(input);
+      case 'json':
+        return JSON.stringify(input);
+      case 'csv':
+        return row().map(value => (typeof value === 'string' ? `"${value.replace(/"/g, '""')}"` : text(value ?? ''))).join(',');
+      case 'tsv':
+        return row().map(value => text(value ?? '').replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r')).join('\t');
+      case 'html':
+        return text(input).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&#39;', '"': '&quot;' })[char]);
+      case 'uri':
+        return encodeURIComponent(text(input)).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+      case 'sh':
+        return (Array.isArray(input) ? input : [input]).map(value => (typeof value === 'string'
+          ? `'${value.replace(/'/g, "'\\''")}'`
+          : text(value))).join(' ');
+      case 'base64':
+        return btoa(String.fromCharCode(...new TextEncoder().encode(text(input))));
+      case 'base64d':
+        return new TextDecoder().decode(Uint8Array.from(atob(text(input)), char => char.charCodeAt(0)));
+      default:
+        throw new JqError(`${name} is not a valid format`);
+    }
+  }
+
+  // Values
+
+  /**
+   * @private
+   */
+  typeOf(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value === 'object' ? 'object' : typeof value;
+  }
+
+  /**
+   * @private
+   */
+  isTrue(value) {
+    return value !== null && value !== undefined && value !== false;
+  }
+
+  /**
+   * Short description of a value for error messages
+   *
+   * @private
+   */
+  describe(value) {
+    const text = JSON.stringify(value) ?? 'null';
+    return text.length > 11 ? `${text.slice(0, 10)}...` : text;
+  }
+
+  /**
+   * Order values the way jq sorts them
+   *
+   * @private
+   * @returns {number} Negative, zero or positive
+   */
+  compare(a, b) {
+    const typeA = this.typeOf(a);
+    const typeB = this.typeOf(b);
+
+    if (typeA !== typeB) {
+      return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+    }
+
+    switch (typeA) {
+      case 'null':
+        return 0;
+      case 'boolean':
+      case 'number':
+        return a === b ? 0 : (a < b ? -1 : 1);
+      case 'string':
+        return a === b ? 0 : (a < b ? -1 : 1);
+      case 'array':
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+          const result = this.compare(a[i], b[i]);
+          if (result !== 0) return result;
+        }
+        return a.length - b.length;
+      default: {
+        // Objects compare by their sorted keys, then values key by key
+        const keysA = Object.keys(a).sort();
+        const keysB = Object.keys(b).sort();
+        const keyResult = this.compare(keysA, keysB);
+        if (keyResult !== 0) return keyResult;
+        for (const key of keysA) {
+          const result = this.compare(a[key], b[key]);
+          if (result !== 0) return result;
+        }
+        return 0;
+      }
+    }
+  }
+}
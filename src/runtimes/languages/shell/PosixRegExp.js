@@ -0,0 +1,169 @@
+/**
+ * PosixRegExp - Translate POSIX regular expressions to JavaScript RegExps
+ *
+ * grep and sed use basic syntax (BRE) by default, where `\( \) \{ \} \| \+ \?`
+ * are operators and the bare characters are literals; `-E` switches to
+ * extended syntax (ERE), which is close to JavaScript's. Bracket classes such
+ * as `[[:digit:]]` and the GNU `\< \>` word anchors are translated too.
+ */
+
+// POSIX character classes as JavaScript bracket contents
+const CHARACTER_CLASSES = {
+  alpha: 'a-zA-Z',
+  digit: '0-9',
+  alnum: 'a-zA-Z0-9',
+  upper: 'A-Z',
+  lower: 'a-z',
+  space: '\\s',
+  blank: ' \\t',
+  punct: '!-\\/:-@\\[-`{-~',
+  xdigit: '0-9A-Fa-f',
+  cntrl: '\\x00-\\x1f\\x7f',
+  print: '\\x20-\\x7e',
+  graph: '\\x21-\\x7e',
+};
+
+// Escapes JavaScript understands the same way GNU tools do
+const PASSTHROUGH_ESCAPES = 'wWsSbBnt123456789';
+
+export default class PosixRegExp {
+  /**
+   * Compile a POSIX pattern
+   *
+   * @param {string} pattern - BRE or ERE pattern
+   * @param {Object} options - Options
+   * @param {boolean} options.extended - Use ERE syntax (grep -E, sed -E)
+   * @param {string} options.flags - JavaScript RegExp flags, e.g. 'gi'
+   * @returns {RegExp}
+   * @throws {Error} If the pattern is invalid
+   */
+  static compile(pattern, { extended = false, flags = '' } = {}) {
+    const source = PosixRegExp.toSource(pattern, extended);
+
+    try {
+      return new RegExp(source, flags);
+    } catch (error) {
+      throw new Error(`Invalid regular expression: ${pattern}`);
+    }
+  }
+
+  /**
+   * Compile a literal string that matches itself (grep -F)
+   *
+   * @param {string} text - Text to match
+   * @param {string} flags - JavaScript RegExp flags
+   * @returns {RegExp}
+   */
+  static literal(text, flags = '') {
+    return new RegExp(PosixRegExp.escape(text), flags);
+  }
+
+  /**
+   * Escape RegExp metacharacters
+   *
+   * @param {string} text - Literal text
+   * @returns {string}
+   */
+  static escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+
+  /**
+   * Translate a pattern to JavaScript RegExp source
+   *
+   * @param {string} pattern - BRE or ERE pattern
+   * @param {boolean} extended - ERE syntax
+   * @returns {string}
+   */
+  static toSource(pattern, extended = false) {
+    let source = '';
+    // A `*` here is a literal: at the start, after `(` or after `^`
+    let atStart = true;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      const startBefore = atStart;
+      atStart = false;
+
+      if (char === '[') {
+        const { text, end } = PosixRegExp.translateBracket(pattern, i);
+        source += text;
+        i = end;
+      } else if (char === '\\' && i + 1 < pattern.length) {
+        const next = pattern[++i];
+
+        if (!extended && '(){}|+?'.includes(next)) {
+          source += next;
+          atStart = next === '(' || next === '|';
+        } else if (next === '<' || next === '>') {
+          source += '\\b';
+        } else if (PASSTHROUGH_ESCAPES.includes(next)) {
+          source += `\\${next}`;
+        } else {
+          source += PosixRegExp.escape(next);
+        }
+      } else if (!extended && '(){}|+?'.includes(char)) {
+        source += `\\${char}`;
+      } else if (char === '*' && startBefore) {
+        source += '\\*';
+      } else if (char === '^') {
+        source += '^';
+        atStart = true;
+      } else if (char === '(' || char === '|') {
+        source += char;
+        atStart = true;
+      } else if (char === '/') {
+        source += '\\/';
+      } else {
+        source += char;
+      }
+    }
+
+    return source;
+  }
+
+  /**
+   * Translate a bracket expression starting at `start`
+   *
+   * @private
+   * @returns {{text: string, end: number}} JavaScript class and the index of its `]`
+   */
+  static translateBracket(pattern, start) {
+    let i = start + 1;
+    let text = '[';
+
+    if (pattern[i] === '^') {
+      text += '^';
+      i++;
+    }
+
+    // A `]` right after `[` or `[^` is a literal
+    if (pattern[i] === ']') {
+      text += '\\]';
+      i++;
+    }
+
+    for (; i < pattern.length; i++) {
+      const char = pattern[i];
+
+      if (char === ']') {
+        return { text: `${text}]`, end: i };
+      }
+
+      if (char === '[' && pattern[i + 1] === ':') {
+        const close = pattern.indexOf(':]', i + 2);
+        const name = close === -1 ? null : pattern.slice(i + 2, close);
+        if (name && CHARACTER_CLASSES[name]) {
+          text += CHARACTER_CLASSES[name];
+          i = close + 1;
+          continue;
+        }
+      }
+
+      text += char === '\\' || char === '[' ? `\\${char}` : char;
+    }
+
+    // Unterminated: treat the `[` as a literal
+    return { text: '\\[', end: start };
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * PrintfFormat - C printf conversions shared by awk and the shell's printf
+ *
+ * Supports %c %d %i %o %u %x %X %e %E %f %F %g %G %s and %% with the flags
+ * `-+ #0`, a width and a precision (`*` takes them from the arguments).
+ * Callers decide how arguments become numbers and strings, and may add
+ * conversions of their own (e.g. the shell's %b and %q).
+ */
+export default class PrintfFormat {
+  /**
+   * Format arguments with a printf format
+   *
+   * A caller's conversion may return `{text, stop: true}` to end the output
+   * after `text` (the shell's `\c`).
+   *
+   * @param {string} format - Format string
+   * @param {Function} next - Returns the next argument (undefined when none are left)
+   * @param {Object} options - Conversion options
+   * @param {Function} options.toNumber - (value, conversion) => number
+   * @param {Function} options.toString - value => string
+   * @param {Function} [options.toChar] - value => text for %c (default: first character)
+   * @param {Object<string, Function>} [options.conversions] - Extra conversions:
+   *   letter => (value, precision) => text, or {text, stop}
+   * @returns {{text: string, stopped: boolean}}
+   */
+  static format(format, next, options) {
+    const conversions = options.conversions || {};
+    const letters = `cdiouxXeEfFgGs${Object.keys(conversions).join('')}`;
+    const pattern = new RegExp(`%([-+ #0]*)(\\*|\\d+)?(?:\\.(\\*|\\d*))?([${letters}%])`, 'g');
+
+    let text = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(format)) !== null) {
+      text += format.slice(last, match.index);
+      last = pattern.lastIndex;
+
+      const converted = PrintfFormat.convert(match, next, options);
+      if (typeof converted === 'object') {
+        text += converted.text;
+        if (converted.stop) return { text, stopped: true };
+      } else {
+        text += converted;
+      }
+    }
+
+    return { text: text + format.slice(last), stopped: false };
+  }
+
+  /**
+   * Format one conversion
+   *
+   * @private
+   * @param {string[]} match - Flags, width, precision and conversion letter
+   * @param {Function} next - Returns the next argument
+   * @param {Object} options - See format()
+   * @returns {string|{text: string, stop: boolean}}
+   */
+  static convert([, flags, widthSpec, precisionSpec, conversion], next, options) {
+    if (conversion === '%') return '%';
+
+    const { toNumber, toString } = options;
+    let width = widthSpec === '*' ? Math.trunc(toNumber(next(), 'd')) : Number(widthSpec || 0);
+    const precision = precisionSpec === undefined ? undefined
+      : precisionSpec === '*' ? Math.trunc(toNumber(next(), 'd')) : Number(precisionSpec || 0);
+    let leftAlign = flags.includes('-');
+    if (width < 0) {
+      leftAlign = true;
+      width = -width;
+    }
+
+    const value = next();
+    let text;
+    let sign = '';
+    let numeric = true;
+    let integer = false;
+    let stop = false;
+
+    switch (conversion) {
+      case 's':
+        text = toString(value);
+        if (precision !== undefined) text = text.slice(0, precision);
+        numeric = false;
+        break;
+
+      case 'c':
+        text = options.toChar ? options.toChar(value) : toString(value).charAt(0);
+        numeric = false;
+        break;
+
+      case 'd':
+      case 'i':
+      case 'o':
+      case 'x':
+      case 'X':
+      case 'u': {
+        const number = Math.trunc(toNumber(value, conversion));
+        integer = true;
+        const radix = { o: 8, x: 16, X: 16 }[conversion] || 10;
+        text = Math.abs(number).toString(radix);
+        if (conversion === 'X') text = text.toUpperCase();
+        if (precision !== undefined) text = text.padStart(precision, '0');
+        if (flags.includes('#') && number !== 0 && conversion !== 'd' && conversion !== 'i' && conversion !== 'u') {
+          text = (conversion === 'o' ? '0' : conversion === 'x' ? '0x' : '0X') + text;
+        }
+        if (number < 0) sign = '-';
+        break;
+      }
+
+      case 'e':
+      case 'E':
+      case 'f':
+      case 'F':
+      case 'g':
+      case 'G': {
+        const number = toNumber(value, conversion);
+        text = PrintfFormat.formatFloat(Math.abs(number), conversion, precision ?? 6, flags.includes('#'));
+        if (number < 0 || Object.is(number, -0)) sign = '-';
+        break;
+      }
+
+      default: {
+        const converted = options.conversions[conversion](value, precision);
+        text = typeof converted === 'object' ? converted.text : converted;
+        stop = typeof converted === 'object' && converted.stop;
+        numeric = false;
+      }
+    }
+
+    if (numeric && !sign) {
+      if (flags.includes('+')) sign = '+';
+      else if (flags.includes(' ')) sign = ' ';
+    }
+
+    let padded;
+    const length = sign.length + text.length;
+    if (length >= width) {
+      padded = sign + text;
+    } else if (leftAlign) {
+      padded = (sign + text).padEnd(width);
+    } else if (numeric && flags.includes('0') && !(integer && precision !== undefined)) {
+      // A precision turns off zero padding for integers only
+      padded = sign + text.padStart(width - sign.length, '0');
+    } else {
+      padded = (sign + text).padStart(width);
+    }
+    return stop ? { text: padded, stop } : padded;
+  }
+
+  /**
+   * Format a non-negative number for %e, %f and %g
+   *
+   * @private
+   */
+  static formatFloat(number, conversion, precision, alternate) {
+    if (!Number.isFinite(number)) {
+      const text = Number.isNaN(number) ? 'nan' : 'inf';
+      return conversion === conversion.toUpperCase() ? text.toUpperCase() : text;
+    }
+
+    const exponential = (digits) => number.toExponential(digits).replace(/e([+-])(\d)$/, 'e$10$2');
+    let text;
+
+    switch (conversion.toLowerCase()) {
+      case 'f':
+        text = number.toFixed(precision);
+        break;
+      case 'e':
+        text = exponential(precision);
+        break;
+      default: {
+        const significant = precision === 0 ? 1 : precision;
+        const exponent = number === 0 ? 0 : Number(number.toExponential(significant - 1).split('e')[1]);
+
+        text = exponent < -4 || exponent >= significant
+          ? exponential(significant - 1)
+          : number.toFixed(significant - 1 - exponent);
+
+        if (!alternate && text.includes('.')) {
+          text = text.replace(/\.?0+(e|$)/, '$1');
+        }
+      }
+    }
+
+    return conversion === conversion.toUpperCase() ? text.toUpperCase() : text;
+  }
+}
@@ -0,0 +1,405 @@
+import PosixRegExp from './PosixRegExp.js';
+
+/**
+ * SedScript - Parser and executor for a subset of sed
+ *
+ * Supported: line, `$` and /regex/ addresses, `addr1,addr2` ranges, `!`,
+ * and the commands `s///` (flags g, i, p and N), `d`, `p`, `q`, `y`, `=`,
+ * `a`, `i` and `c`. Commands are separated by `;` or newlines.
+ *
+ * A script is parsed once and can then edit any number of texts.
+ */
+export default class SedScript {
+  /**
+   * Parse a script
+   *
+   * @param {string} script - sed script (several -e scripts joined by newlines)
+   * @param {Object} options - Options
+   * @param {boolean} options.extended - Use extended regular expressions (-E)
+   * @throws {Error} With the position of a syntax error
+   */
+  constructor(script, { extended = false } = {}) {
+    this.script = script;
+    this.extended = extended;
+    this.pos = 0;
+    this.commands = this.parseCommands();
+  }
+
+  /**
+   * Run the script over a text
+   *
+   * @param {string} text - Input text
+   * @param {Object} options - Options
+   * @param {boolean} options.quiet - Only print what `p` prints (-n)
+   * @returns {{output: string, quit: boolean}}
+   */
+  run(text, { quiet = false } = {}) {
+    const lines = text.split('\n');
+    const trailingNewline = lines[lines.length - 1] === '';
+    if (trailingNewline) lines.pop();
+
+    let output = '';
+    let quit = false;
+    this.commands.forEach(command => { command.active = false; });
+
+    for (let index = 0; index < lines.length && !quit; index++) {
+      const line = { number: index + 1, last: index === lines.length - 1 };
+      const appended = [];
+      let space = lines[index];
+      let deleted = false;
+
+      for (const command of this.commands) {
+        if (this.matches(command, space, line) === command.negated) continue;
+
+        if (command.name === 's') {
+          const result = this.substitute(command, space);
+          space = result.text;
+          if (result.replaced && command.print) output += `${space}\n`;
+        } else if (command.name === 'y') {
+          space = [...space].map(char => command.map.get(char) ?? char).join('');
+        } else if (command.name === 'p') {
+          output += `${space}\n`;
+        } else if (command.name === '=') {
+          output += `${line.number}\n`;
+        } else if (command.name === 'i') {
+          output += `${command.text}\n`;
+        } else if (command.name === 'a') {
+          appended.push(command.text);
+        } else if (command.name === 'c') {
+          // For a range, the text replaces the whole range once
+          if (!command.address2 || !command.active) output += `${command.text}\n`;
+          deleted = true;
+        } else if (command.name === 'd') {
+          deleted = true;
+        } else if (command.name === 'q') {
+          quit = true;
+        }
+
+        if (deleted || quit) break;
+      }
+
+      if (!deleted && !quiet) output += `${space}\n`;
+      output += appended.map(item => `${item}\n`).join('');
+    }
+
+    // Keep a missing final newline missing
+    if (!trailingNewline && !quit && output.endsWith('\n')) {
+      output = output.slice(0, -1);
+    }
+
+    return { output, quit };
+  }
+
+  /**
+   * Whether a command's address selects the current line
+   *
+   * @private
+   */
+  matches(command, space, line) {
+    const { address1, address2 } = command;
+    if (!address1) return true;
+
+    if (!address2) {
+      return this.matchAddress(address1, space, line);
+    }
+
+    if (!command.active) {
+      if (!this.matchAddress(address1, space, line)) return false;
+      // A line-number end at or before the start selects one line
+      command.active = !(address2.type === 'line' && address2.value <= line.number);
+      return true;
+    }
+
+    if (address2.type === 'line' ? line.number >= address2.value : this.matchAddress(address2, space, line)) {
+      command.active = false;
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  matchAddress(address, space, line) {
+    if (address.type === 'line') return line.number === address.value;
+    if (address.type === 'last') return line.last;
+    address.regex.lastIndex = 0;
+    return address.regex.test(space);
+  }
+
+  /**
+   * Apply an s command
+   *
+   * @private
+   * @returns {{text: string, replaced: boolean}}
+   */
+  substitute(command, space) {
+    const { regex, occurrence, global } = command;
+    let count = 0;
+    let replaced = false;
+
+    regex.lastIndex = 0;
+    const text = space.replace(regex, (...match) => {
+      count++;
+      if (count < occurrence || (!global && count > occurrence)) {
+        return match[0];
+      }
+      replaced = true;
+      return this.expandReplacement(command.replacement, match);
+    });
+
+    return { text, replaced };
+  }
+
+  /**
+   * Expand `&` and `\1`..`\9` in a replacement
+   *
+   * @private
+   */
+  expandReplacement(replacement, match) {
+    let text = '';
+
+    for (let i = 0; i < replacement.length; i++) {
+      const char = replacement[i];
+
+      if (char === '&') {
+        text += match[0];
+      } else if (char === '\\' && i + 1 < replacement.length) {
+        const next = replacement[++i];
+        if (/[1-9]/.test(next)) {
+          text += match[Number(next)] ?? '';
+        } else if (next === 'n') {
+          text += '\n';
+        } else if (next === 't') {
+          text += '\t';
+        } else {
+          text += next;
+        }
+      } else {
+        text += char;
+      }
+    }
+
+    return text;
+  }
+
+  // ------------------------------------------------------------------
+  // Parser
+  // ------------------------------------------------------------------
+
+  /**
+   * @private
+   */
+  parseCommands() {
+    const commands = [];
+
+    for (;;) {
+      this.skip(' \t\n;');
+      if (this.pos >= this.script.length) break;
+
+      const command = { address1: this.parseAddress(), address2: null, negated: false, active: false };
+      if (command.address1 && this.script[this.pos] === ',') {
+        this.pos++;
+        command.address2 = this.parseAddress();
+        if (!command.address2) throw this.error('unexpected `,\'');
+      }
+
+      this.skip(' \t');
+      if (this.script[this.pos] === '!') {
+        command.negated = true;
+        this.pos++;
+        this.skip(' \t');
+      }
+
+      const name = this.script[this.pos++];
+      command.name = name;
+
+      if (name === 's') {
+        this.parseSubstitution(command);
+      } else if (name === 'y') {
+        this.parseTransliteration(command);
+      } else if (name === 'a' || name === 'i' || name === 'c') {
+        command.text = this.parseText();
+      } else if (!name) {
+        throw this.error('missing command');
+      } else if (!'dpq='.includes(name)) {
+        throw this.error(`unknown command: \`${name}'`);
+      }
+
+      this.endCommand();
+      commands.push(command);
+    }
+
+    return commands;
+  }
+
+  /**
+   * @private
+   */
+  parseAddress() {
+    const char = this.script[this.pos];
+
+    if (/\d/.test(char)) {
+      const digits = /^\d+/.exec(this.script.slice(this.pos))[0];
+      this.pos += digits.length;
+      return { type: 'line', value: Number(digits) };
+    }
+    if (char === '$') {
+      this.pos++;
+      return { type: 'last' };
+    }
+    if (char === '/' || char === '\\') {
+      if (char === '\\') this.pos++;
+      const delimiter = this.script[this.pos++];
+      const pattern = this.readDelimited(delimiter);
+      let flags = '';
+      if (this.script[this.pos] === 'I') {
+        flags = 'i';
+        this.pos++;
+      }
+      return { type: 'regex', regex: this.compile(pattern, flags) };
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  parseSubstitution(command) {
+    const delimiter = this.script[this.pos++];
+    if (!delimiter || delimiter === '\n' || delimiter === '\\') {
+      throw this.error('unterminated `s\' command');
+    }
+
+    const pattern = this.readDelimited(delimiter, 's');
+    command.replacement = this.readDelimited(delimiter, 's');
+    command.global = false;
+    command.occurrence = 1;
+    command.print = false;
+
+    let flags = 'g';
+    for (;;) {
+      const char = this.script[this.pos];
+      if (char === 'g') {
+        command.global = true;
+      } else if (char === 'p') {
+        command.print = true;
+      } else if (char === 'i' || char === 'I') {
+        flags += 'i';
+      } else if (/\d/.test(char || '')) {
+        const digits = /^\d+/.exec(this.script.slice(this.pos))[0];
+        command.occurrence = Number(digits);
+        this.pos += digits.length - 1;
+      } else {
+        break;
+      }
+      this.pos++;
+    }
+
+    command.regex = this.compile(pattern, flags);
+  }
+
+  /**
+   * @private
+   */
+  parseTransliteration(command) {
+    const delimiter = this.script[this.pos++];
+    const unescape = text => text.replace(/\\n/g, '\n').replace(/\\(.)/g, '$1');
+    const from = [...unescape(this.readDelimited(delimiter, 'y'))];
+    const to = [...unescape(this.readDelimited(delimiter, 'y'))];
+
+    if (from.length !== to.length) {
+      throw this.error('strings for `y\' command are different lengths');
+    }
+
+    command.map = new Map(from.map((char, index) => [char, to[index]]));
+  }
+
+  /**
+   * Text for a, i and c: `a text`, or GNU's `a\` followed by the text
+   *
+   * @private
+   */
+  parseText() {
+    this.skip(' \t');
+    if (this.script[this.pos] === '\\') {
+      this.pos++;
+      if (this.script[this.pos] === '\n') this.pos++;
+    }
+
+    let end = this.script.indexOf('\n', this.pos);
+    if (end === -1) end = this.script.length;
+
+    const text = this.script.slice(this.pos, end);
+    this.pos = end;
+    return text.replace(/\\(.)/g, '$1');
+  }
+
+  /**
+   * Read up to an unescaped delimiter; `\delimiter` becomes the delimiter
+   * and other escapes are kept for the caller
+   *
+   * @private
+   * @param {string} delimiter - Delimiter character
+   * @param {string} command - Command name for the error message
+   */
+  readDelimited(delimiter, command = null) {
+    let text = '';
+
+    while (this.pos < this.script.length) {
+      const char = this.script[this.pos++];
+
+      if (char === delimiter) {
+        return text;
+      }
+      if (char === '\\' && this.pos < this.script.length) {
+        const next = this.script[this.pos++];
+        text += next === delimiter ? next : `\\${next}`;
+      } else if (char === '\n') {
+        break;
+      } else {
+        text += char;
+      }
+    }
+
+    throw this.error(command ? `unterminated \`${command}' command` : 'unterminated address regex');
+  }
+
+  /**
+   * @private
+   */
+  endCommand() {
+    this.skip(' \t');
+    const char = this.script[this.pos];
+    if (char !== undefined && char !== ';' && char !== '\n' && char !== '}') {
+      throw this.error('extra characters after command');
+    }
+  }
+
+  /**
+   * @private
+   */
+  compile(pattern, flags) {
+    try {
+      return PosixRegExp.compile(pattern, { extended: this.extended, flags });
+    } catch (error) {
+      throw this.error(error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  skip(characters) {
+    while (this.pos < this.script.length && characters.includes(this.script[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  /**
+   * @private
+   */
+  error(message) {
+    return new Error(`-e expression #1, char ${this.pos}: ${message}`);
+  }
+}
@@ -0,0 +1,974 @@
+/**
+ * ShellParser - Parses a subset of bash into a syntax tree for ShellRuntime
+ *
+ * Supported syntax:
+ * - Lists and pipelines: `;`, newlines, `&&`, `||`, `|`, `!`
+ * - Redirections: `<`, `>`, `>>`, `2>`, `2>>`, `&>`, `2>&1`, `<<EOF` heredocs,
+ *   `<<<` here-strings
+ * - Quoting: '...', "...", backslash escapes and line continuations
+ * - Expansions: $VAR, ${VAR}, ${VAR:-default}, ${#VAR}, $(...), `...`,
+ *   $((...)) and ~
+ * - Compound commands: if/elif/else, for, while, until, { ...; }, ( ... )
+ * - Function definitions: `name() { ...; }` and `function name { ...; }`
+ *
+ * Node shapes:
+ * - list:     { type: 'list', commands: [and_or] }
+ * - and_or:   { type: 'and_or', first: pipeline, rest: [{ op, pipeline }] }
+ * - pipeline: { type: 'pipeline', negated, commands: [command] }
+ * - simple:   { type: 'simple', assignments: [{ name, value }], words, redirects }
+ * - if:       { type: 'if', clauses: [{ condition, body }], elseBody, redirects }
+ * - for:      { type: 'for', name, words (null = "$@"), body, redirects }
+ * - while:    { type: 'while', until, condition, body, redirects }
+ * - group:    { type: 'group', subshell, body, redirects }
+ * - function: { type: 'function', name, body }
+ *
+ * A word is `{ parts, raw }` where each part is one of
+ * `{ type: 'text', value, quoted }`, `{ type: 'param', name, op, arg, quoted }`,
+ * `{ type: 'command', source, quoted }` or `{ type: 'arith', source, quoted }`.
+ */
+
+const RESERVED_WORDS = new Set([
+  'if', 'then', 'elif', 'else', 'fi', 'for', 'in', 'do', 'done',
+  'while', 'until', 'function', '{', '}', '!',
+]);
+
+// Longest operators first so that `>>` is not read as two `>`
+const OPERATORS = [
+  '&>>', '<<<', '<<-', '&&', '||', ';;', '>>', '>&', '<<', '<&', '&>',
+  '|', '&', ';', '(', ')', '<', '>',
+];
+
+const REDIRECT_OPERATORS = new Set(['<', '>', '>>', '>&', '<&', '<<', '<<-', '<<<', '&>', '&>>']);
+
+const WORD_BREAK_CHARS = ' \t\n|&;<>()';
+
+export default class ShellParser {
+  /**
+   * Parse a script into a list node
+   *
+   * @param {string} source - Shell script
+   * @returns {Object} List node
+   * @throws {SyntaxError} With a bash-style message on invalid syntax
+   */
+  parse(source) {
+    this.tokens = this.tokenize(source);
+    this.index = 0;
+
+    const list = this.parseList([]);
+    if (this.peek().type !== 'eof') {
+      this.unexpected(this.peek());
+    }
+
+    return list;
+  }
+
+  /**
+   * Parse text as a single word with expansions but without word splitting
+   * (used for ${VAR:-word} arguments, $((...)) bodies and heredocs)
+   *
+   * @param {string} text - Word text
+   * @param {Object} options - Parse options
+   * @param {boolean} options.quoted - Treat the text as if inside double quotes
+   * @returns {Object} Word
+   */
+  parseWord(text, { quoted = false } = {}) {
+    const lexer = new ShellParser();
+    lexer.source = text;
+    lexer.pos = 0;
+    lexer.line = 1;
+
+    const parts = [];
+    if (quoted) {
+      lexer.readQuotedText(parts, null);
+    } else {
+      while (lexer.pos < text.length) {
+        const token = lexer.readWord(true);
+        parts.push(...token.word.parts);
+      }
+    }
+
+    return { parts, raw: text };
+  }
+
+  // ------------------------------------------------------------------
+  // Lexer
+  // ------------------------------------------------------------------
+
+  /**
+   * Split source into word, operator, redirect and newline tokens
+   *
+   * @private
+   * @param {string} source - Shell script
+   * @returns {Object[]} Tokens
+   */
+  tokenize(source) {
+    this.source = source;
+    this.pos = 0;
+    this.line = 1;
+
+    const tokens = [];
+    const pendingHeredocs = [];
+    let heredocToken = null;
+
+    while (this.pos < source.length) {
+      const char = source[this.pos];
+
+      if (char === ' ' || char === '\t') {
+        this.pos++;
+        continue;
+      }
+
+      if (char === '\\' && source[this.pos + 1] === '\n') {
+        this.pos += 2;
+        this.line++;
+        continue;
+      }
+
+      if (char === '#') {
+        while (this.pos < source.length && source[this.pos] !== '\n') {
+          this.pos++;
+        }
+        continue;
+      }
+
+      if (char === '\n') {
+        tokens.push({ type: 'newline', line: this.line });
+        this.pos++;
+        this.line++;
+
+        if (pendingHeredocs.length > 0) {
+          this.readHeredocBodies(pendingHeredocs.splice(0));
+        }
+        continue;
+      }
+
+      // File descriptor number directly before a redirect, e.g. 2>
+      const fdMatch = /^(\d+)(?=[<>])/.exec(source.slice(this.pos, this.pos + 4));
+      const fd = fdMatch ? Number(fdMatch[1]) : null;
+      const operatorStart = this.pos + (fdMatch ? fdMatch[1].length : 0);
+      const operator = OPERATORS.find(op => source.startsWith(op, operatorStart));
+
+      if (operator && (fd === null || REDIRECT_OPERATORS.has(operator))) {
+        this.pos = operatorStart + operator.length;
+
+        if (REDIRECT_OPERATORS.has(operator)) {
+          const token = { type: 'redirect', op: operator, fd, line: this.line };
+          tokens.push(token);
+          if (operator === '<<' || operator === '<<-') {
+            heredocToken = token;
+          }
+        } else {
+          tokens.push({ type: 'op', value: operator, line: this.line });
+        }
+        continue;
+      }
+
+      const token = this.readWord(false);
+      tokens.push(token);
+
+      if (heredocToken) {
+        pendingHeredocs.push({
+          token: heredocToken,
+          delimiter: this.removeQuotes(token.raw),
+          expand: !/['"\\]/.test(token.raw),
+          stripTabs: heredocToken.op === '<<-',
+        });
+        heredocToken = null;
+      }
+    }
+
+    if (pendingHeredocs.length > 0) {
+      this.readHeredocBodies(pendingHeredocs);
+    }
+
+    tokens.push({ type: 'eof', line: this.line });
+    return tokens;
+  }
+
+  /**
+   * Read one word starting at the current position
+   *
+   * @private
+   * @param {boolean} keepBlanks - Treat blanks and operators as text (for parseWord)
+   * @returns {Object} Word token
+   */
+  readWord(keepBlanks) {
+    const start = this.pos;
+    const line = this.line;
+    const parts = [];
+
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos];
+      const next = this.source[this.pos + 1];
+
+      if (!keepBlanks && WORD_BREAK_CHARS.includes(char)) {
+        break;
+      }
+
+      if (char === '\\') {
+        if (next === '\n') {
+          this.pos += 2;
+          this.line++;
+        } else if (next === undefined) {
+          this.pushText(parts, '\\', false);
+          this.pos++;
+        } else {
+          this.pushText(parts, next, true);
+          this.pos += 2;
+        }
+      } else if (char === "'") {
+        const end = this.source.indexOf("'", this.pos + 1);
+        if (end === -1) {
+          throw this.syntaxError("unexpected EOF while looking for matching `''");
+        }
+        this.pushText(parts, this.source.slice(this.pos + 1, end), true);
+        this.countLines(this.pos, end);
+        this.pos = end + 1;
+      } else if (char === '"') {
+        this.pos++;
+        this.readQuotedText(parts, '"');
+      } else if (char === '$') {
+        this.readDollar(parts, false);
+      } else if (char === '`') {
+        this.readBackquote(parts, false);
+      } else if (char === '~' && this.pos === start && (next === undefined || next === '/' || WORD_BREAK_CHARS.includes(next))) {
+        parts.push({ type: 'param', name: 'HOME', op: null, arg: null, quoted: true });
+        this.pos++;
+      } else {
+        if (char === '\n') this.line++;
+        this.pushText(parts, char, false);
+        this.pos++;
+      }
+    }
+
+    const raw = this.source.slice(start, this.pos);
+    const reserved = parts.length === 1 && parts[0].type === 'text' && !parts[0].quoted
+      && RESERVED_WORDS.has(raw);
+
+    return { type: 'word', word: { parts, raw }, raw, reserved, line };
+  }
+
+  /**
+   * Read double-quoted text (or a heredoc body when terminator is null)
+   *
+   * @private
+   * @param {Object[]} parts - Word parts to append to
+   * @param {string|null} terminator - Closing quote, or null to read to the end
+   */
+  readQuotedText(parts, terminator) {
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos];
+      const next = this.source[this.pos + 1];
+
+      if (char === terminator) {
+        this.pos++;
+        // "" still produces an (empty) word
+        this.pushText(parts, '', true);
+        return;
+      }
+
+      if (char === '\\' && next !== undefined && '$`"\\\n'.includes(next) && !(next === '"' && terminator === null)) {
+        if (next === '\n') {
+          this.line++;
+        } else {
+          this.pushText(parts, next, true);
+        }
+        this.pos += 2;
+      } else if (char === '$') {
+        this.readDollar(parts, true);
+      } else if (char === '`') {
+        this.readBackquote(parts, true);
+      } else {
+        if (char === '\n') this.line++;
+        this.pushText(parts, char, true);
+        this.pos++;
+      }
+    }
+
+    if (terminator !== null) {
+      throw this.syntaxError('unexpected EOF while looking for matching `"\'');
+    }
+  }
+
+  /**
+   * Read a $ expansion
+   *
+   * @private
+   * @param {Object[]} parts - Word parts to append to
+   * @param {boolean} quoted - Whether the expansion is inside double quotes
+   */
+  readDollar(parts, quoted) {
+    const source = this.source;
+    const next = source[this.pos + 1];
+
+    if (next === '(' && source[this.pos + 2] === '(') {
+      const end = this.findArithmeticEnd(this.pos + 3);
+      parts.push({ type: 'arith', source: source.slice(this.pos + 3, end), quoted });
+      this.pos = end + 2;
+      return;
+    }
+
+    if (next === '(') {
+      const end = this.findClosingParen(this.pos + 2);
+      parts.push({ type: 'command', source: source.slice(this.pos + 2, end), quoted });
+      this.countLines(this.pos, end);
+      this.pos = end + 1;
+      return;
+    }
+
+    if (next === '{') {
+      const end = source.indexOf('}', this.pos + 2);
+      if (end === -1) {
+        throw this.syntaxError("unexpected EOF while looking for matching `}'");
+      }
+      parts.push(this.parseBraceParameter(source.slice(this.pos + 2, end), quoted));
+      this.pos = end + 1;
+      return;
+    }
+
+    const nameMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(this.pos + 1));
+    if (nameMatch) {
+      parts.push({ type: 'param', name: nameMatch[0], op: null, arg: null, quoted });
+      this.pos += 1 + nameMatch[0].length;
+      return;
+    }
+
+    if (next !== undefined && '0123456789?#@*$!'.includes(next)) {
+      parts.push({ type: 'param', name: next, op: null, arg: null, quoted });
+      this.pos += 2;
+      return;
+    }
+
+    this.pushText(parts, '$', quoted);
+    this.pos++;
+  }
+
+  /**
+   * Parse the inside of ${...}
+   *
+   * @private
+   * @param {string} body - Text between the braces
+   * @param {boolean} quoted - Whether the expansion is inside double quotes
+   * @returns {Object} Param part
+   */
+  parseBraceParameter(body, quoted) {
+    const lengthMatch = /^#([A-Za-z_][A-Za-z0-9_]*|[0-9@*])$/.exec(body);
+    if (lengthMatch) {
+      return { type: 'param', name: lengthMatch[1], op: 'length', arg: null, quoted };
+    }
+
+    const match = /^([A-Za-z_][A-Za-z0-9_]*|[0-9]+|[?#@*$!])(?:(:?[-=+?])([\s\S]*))?$/.exec(body);
+    if (!match) {
+      throw this.syntaxError(`\${${body}}: bad substitution`);
+    }
+
+    return {
+      type: 'param',
+      name: match[1],
+      op: match[2] || null,
+      arg: match[2] ? this.parseWord(match[3], { quoted }) : null,
+      quoted,
+    };
+  }
+
+  /**
+   * Read a `...` command substitution
+   *
+   * @private
+   * @param {Object[]} parts - Word parts to append to
+   * @param {boolean} quoted - Whether it is inside double quotes
+   */
+  readBackquote(parts, quoted) {
+    let end = this.pos + 1;
+    let command = '';
+
+    while (end < this.source.length && this.source[end] !== '`') {
+      if (this.source[end] === '\\' && '$`\\'.includes(this.source[end + 1])) {
+        end++;
+      }
+      command += this.source[end];
+      end++;
+    }
+
+    if (end >= this.source.length) {
+      throw this.syntaxError('unexpected EOF while looking for matching ``\'');
+    }
+
+    parts.push({ type: 'command', source: command, quoted });
+    this.countLines(this.pos, end);
+    this.pos = end + 1;
+  }
+
+  /**
+   * Find the `)` that closes a $( ... ) starting at `start`
+   *
+   * @private
+   * @param {number} start - Index just after the opening parenthesis
+   * @returns {number} Index of the closing parenthesis
+   */
+  findClosingParen(start) {
+    let depth = 1;
+    let i = start;
+
+    while (i < this.source.length) {
+      const char = this.source[i];
+
+      if (char === '\\') {
+        i += 2;
+        continue;
+      }
+
+      if (char === "'" || char === '"') {
+        const end = this.source.indexOf(char, i + 1);
+        if (end === -1) break;
+        i = end + 1;
+        continue;
+      }
+
+      if (char === '(') depth++;
+      if (char === ')' && --depth === 0) return i;
+      i++;
+    }
+
+    throw this.syntaxError("unexpected EOF while looking for matching `)'");
+  }
+
+  /**
+   * Find the `))` that closes a $(( ... )) starting at `start`
+   *
+   * @private
+   * @param {number} start - Index just after the opening parentheses
+   * @returns {number} Index of the first closing parenthesis
+   */
+  findArithmeticEnd(start) {
+    let depth = 0;
+
+    for (let i = start; i < this.source.length; i++) {
+      const char = this.source[i];
+      if (char === '(') depth++;
+      if (char === ')') {
+        if (depth === 0 && this.source[i + 1] === ')') return i;
+        depth--;
+      }
+    }
+
+    throw this.syntaxError("unexpected EOF while looking for matching `))'");
+  }
+
+  /**
+   * Read the bodies of heredocs whose delimiters appeared on the line just
+   * finished
+   *
+   * @private
+   * @param {Object[]} heredocs - Pending { token, delimiter, expand, stripTabs }
+   */
+  readHeredocBodies(heredocs) {
+    for (const heredoc of heredocs) {
+      const lines = [];
+      let found = false;
+
+      while (this.pos < this.source.length) {
+        let end = this.source.indexOf('\n', this.pos);
+        if (end === -1) end = this.source.length;
+
+        let line = this.source.slice(this.pos, end);
+        this.pos = end + 1;
+        this.line++;
+
+        if (heredoc.stripTabs) {
+          line = line.replace(/^\t+/, '');
+        }
+        if (line === heredoc.delimiter) {
+          found = true;
+          break;
+        }
+        lines.push(`${line}\n`);
+      }
+
+      if (!found) {
+        this.pos = this.source.length;
+      }
+
+      const body = lines.join('');
+      heredoc.token.heredoc = heredoc.expand
+        ? this.parseWord(body, { quoted: true })
+        : { parts: [{ type: 'text', value: body, quoted: true }], raw: body };
+    }
+  }
+
+  /**
+   * Append text to the last part when it has the same quoting
+   *
+   * @private
+   * @param {Object[]} parts - Word parts
+   * @param {string} value - Text to append
+   * @param {boolean} quoted - Whether the text was quoted
+   */
+  pushText(parts, value, quoted) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === 'text' && last.quoted === quoted) {
+      last.value += value;
+    } else {
+      parts.push({ type: 'text', value, quoted });
+    }
+  }
+
+  /**
+   * Strip quotes and backslashes from raw word text (for heredoc delimiters)
+   *
+   * @private
+   * @param {string} raw - Raw word text
+   * @returns {string}
+   */
+  removeQuotes(raw) {
+    return raw.replace(/\\(.)|'([^']*)'|"([^"]*)"/g, (match, escaped, single, double) =>
+      escaped ?? single ?? double ?? ''
+    );
+  }
+
+  /**
+   * Advance the line counter over source[from..to)
+   *
+   * @private
+   */
+  countLines(from, to) {
+    for (let i = from; i < to; i++) {
+      if (this.source[i] === '\n') this.line++;
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Parser
+  // ------------------------------------------------------------------
+
+  /**
+   * Parse commands separated by `;`, `&` or newlines until one of the
+   * terminator words (or `)` / end of input)
+   *
+   * @private
+   * @param {string[]} terminators - Reserved words (or ')') that end the list
+   * @returns {Object} List node
+   */
+  parseList(terminators) {
+    const commands = [];
+
+    for (;;) {
+      this.skipNewlines();
+      const token = this.peek();
+
+      if (token.type === 'eof' || this.isTerminator(token, terminators)) {
+        break;
+      }
+
+      commands.push(this.parseAndOr());
+
+      const next = this.peek();
+      if (next.type === 'op' && (next.value === ';' || next.value === '&')) {
+        this.index++;
+      } else if (next.type !== 'newline' && next.type !== 'eof' && !this.isTerminator(next, terminators)) {
+        this.unexpected(next);
+      }
+    }
+
+    return { type: 'list', commands };
+  }
+
+  /**
+   * Parse a list that must contain at least one command
+   *
+   * @private
+   */
+  parseRequiredList(terminators) {
+    const list = this.parseList(terminators);
+    if (list.commands.length === 0) {
+      this.unexpected(this.peek());
+    }
+    return list;
+  }
+
+  /**
+   * Parse pipelines joined by && and ||
+   *
+   * @private
+   */
+  parseAndOr() {
+    const first = this.parsePipeline();
+    const rest = [];
+
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== 'op' || (token.value !== '&&' && token.value !== '||')) {
+        break;
+      }
+      this.index++;
+      this.skipNewlines();
+      rest.push({ op: token.value, pipeline: this.parsePipeline() });
+    }
+
+    return { type: 'and_or', first, rest };
+  }
+
+  /**
+   * Parse commands joined by |
+   *
+   * @private
+   */
+  parsePipeline() {
+    let negated = false;
+    if (this.peek().reserved && this.peek().raw === '!') {
+      this.index++;
+      negated = true;
+    }
+
+    const commands = [this.parseCommand()];
+
+    while (this.peek().type === 'op' && this.peek().value === '|') {
+      this.index++;
+      this.skipNewlines();
+      commands.push(this.parseCommand());
+    }
+
+    return { type: 'pipeline', negated, commands };
+  }
+
+  /**
+   * Parse a simple or compound command
+   *
+   * @private
+   */
+  parseCommand() {
+    const token = this.peek();
+
+    if (token.type === 'op' && token.value === '(') {
+      this.index++;
+      const body = this.parseRequiredList([')']);
+      this.expectOperator(')');
+      return this.withRedirects({ type: 'group', subshell: true, body });
+    }
+
+    if (token.type === 'word' && token.reserved) {
+      switch (token.raw) {
+        case 'if':
+          return this.withRedirects(this.parseIf());
+        case 'for':
+          return this.withRedirects(this.parseFor());
+        case 'while':
+        case 'until':
+          return this.withRedirects(this.parseWhile());
+        case '{':
+          return this.withRedirects(this.parseBraceGroup());
+        case 'function':
+          return this.parseFunction();
+        default:
+          this.unexpected(token);
+      }
+    }
+
+    const next = this.tokens[this.index + 1];
+    if (token.type === 'word' && next && next.type === 'op' && next.value === '('
+      && /^[A-Za-z_][A-Za-z0-9_-]*$/.test(token.raw)) {
+      return this.parseFunction();
+    }
+
+    return this.parseSimpleCommand();
+  }
+
+  /**
+   * Parse assignments, words and redirections of a simple command
+   *
+   * @private
+   */
+  parseSimpleCommand() {
+    const assignments = [];
+    const words = [];
+    const redirects = [];
+
+    for (;;) {
+      const token = this.peek();
+
+      if (token.type === 'redirect') {
+        redirects.push(this.parseRedirect());
+      } else if (token.type === 'word') {
+        this.index++;
+        const assignment = words.length === 0 ? this.toAssignment(token.word) : null;
+        if (assignment) {
+          assignments.push(assignment);
+        } else {
+          words.push(token.word);
+        }
+      } else {
+        break;
+      }
+    }
+
+    if (assignments.length === 0 && words.length === 0 && redirects.length === 0) {
+      this.unexpected(this.peek());
+    }
+
+    return { type: 'simple', assignments, words, redirects };
+  }
+
+  /**
+   * Parse `if list; then list; [elif list; then list;]... [else list;] fi`
+   *
+   * @private
+   */
+  parseIf() {
+    const clauses = [];
+    let elseBody = null;
+
+    this.expectWord('if');
+    for (;;) {
+      const condition = this.parseRequiredList(['then']);
+      this.expectWord('then');
+      const body = this.parseRequiredList(['elif', 'else', 'fi']);
+      clauses.push({ condition, body });
+
+      if (this.peek().raw === 'elif') {
+        this.index++;
+        continue;
+      }
+      break;
+    }
+
+    if (this.peek().raw === 'else') {
+      this.index++;
+      elseBody = this.parseRequiredList(['fi']);
+    }
+
+    this.expectWord('fi');
+    return { type: 'if', clauses, elseBody };
+  }
+
+  /**
+   * Parse `for NAME [in WORDS]; do list; done`
+   *
+   * @private
+   */
+  parseFor() {
+    this.expectWord('for');
+
+    const nameToken = this.peek();
+    if (nameToken.type !== 'word' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(nameToken.raw)) {
+      throw this.syntaxError(`\`${nameToken.raw || nameToken.value || 'newline'}': not a valid identifier`, nameToken);
+    }
+    this.index++;
+
+    let words = null;
+    this.skipNewlines();
+
+    if (this.peek().type === 'word' && this.peek().raw === 'in') {
+      this.index++;
+      words = [];
+      while (this.peek().type === 'word') {
+        words.push(this.peek().word);
+        this.index++;
+      }
+    }
+
+    const separator = this.peek();
+    if (separator.type === 'op' && separator.value === ';') {
+      this.index++;
+    }
+
+    this.skipNewlines();
+    this.expectWord('do');
+    const body = this.parseRequiredList(['done']);
+    this.expectWord('done');
+
+    return { type: 'for', name: nameToken.raw, words, body };
+  }
+
+  /**
+   * Parse `while list; do list; done` (or until)
+   *
+   * @private
+   */
+  parseWhile() {
+    const until = this.peek().raw === 'until';
+    this.index++;
+
+    const condition = this.parseRequiredList(['do']);
+    this.expectWord('do');
+    const body = this.parseRequiredList(['done']);
+    this.expectWord('done');
+
+    return { type: 'while', until, condition, body };
+  }
+
+  /**
+   * Parse `{ list; }`
+   *
+   * @private
+   */
+  parseBraceGroup() {
+    this.expectWord('{');
+    const body = this.parseRequiredList(['}']);
+    this.expectWord('}');
+    return { type: 'group', subshell: false, body };
+  }
+
+  /**
+   * Parse `name() compound` or `function name [()] compound`
+   *
+   * @private
+   */
+  parseFunction() {
+    const usesKeyword = this.peek().raw === 'function';
+    if (usesKeyword) {
+      this.index++;
+    }
+
+    const nameToken = this.peek();
+    if (nameToken.type !== 'word') {
+      this.unexpected(nameToken);
+    }
+    this.index++;
+
+    const open = this.peek();
+    if (open.type === 'op' && open.value === '(') {
+      this.index++;
+      this.expectOperator(')');
+    } else if (!usesKeyword) {
+      this.unexpected(open);
+    }
+
+    this.skipNewlines();
+    const body = this.parseCommand();
+    if (body.type === 'simple') {
+      throw this.syntaxError(`\`${nameToken.raw}': function body must be a compound command`, nameToken);
+    }
+
+    return { type: 'function', name: nameToken.raw, body };
+  }
+
+  /**
+   * Parse one redirection and its target word
+   *
+   * @private
+   */
+  parseRedirect() {
+    const token = this.peek();
+    this.index++;
+
+    const target = this.peek();
+    if (target.type !== 'word') {
+      this.unexpected(target);
+    }
+    this.index++;
+
+    return {
+      op: token.op,
+      fd: token.fd,
+      target: target.word,
+      heredoc: token.heredoc || null,
+    };
+  }
+
+  /**
+   * Attach trailing redirections to a compound command
+   *
+   * @private
+   */
+  withRedirects(node) {
+    node.redirects = [];
+    while (this.peek().type === 'redirect') {
+      node.redirects.push(this.parseRedirect());
+    }
+    return node;
+  }
+
+  /**
+   * Split `NAME=value` into an assignment when the name is unquoted
+   *
+   * @private
+   * @param {Object} word - Word
+   * @returns {{name: string, value: Object}|null}
+   */
+  toAssignment(word) {
+    const [first, ...rest] = word.parts;
+    const match = first && first.type === 'text' && !first.quoted
+      ? /^([A-Za-z_][A-Za-z0-9_]*)=/.exec(first.value)
+      : null;
+
+    if (!match) {
+      return null;
+    }
+
+    const remainder = first.value.slice(match[0].length);
+    const parts = remainder ? [{ ...first, value: remainder }, ...rest] : rest;
+
+    return { name: match[1], value: { parts, raw: word.raw.slice(match[0].length) } };
+  }
+
+  // ------------------------------------------------------------------
+  // Token helpers
+  // ------------------------------------------------------------------
+
+  /** @private */
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  /** @private */
+  isTerminator(token, terminators) {
+    if (token.type === 'op') {
+      return token.value === ')' && terminators.includes(')');
+    }
+    return token.type === 'word' && token.reserved && terminators.includes(token.raw);
+  }
+
+  /** @private */
+  skipNewlines() {
+    while (this.peek().type === 'newline') {
+      this.index++;
+    }
+  }
+
+  /** @private */
+  expectWord(word) {
+    const token = this.peek();
+    if (token.type !== 'word' || token.raw !== word) {
+      this.unexpected(token);
+    }
+    this.index++;
+  }
+
+  /** @private */
+  expectOperator(value) {
+    const token = this.peek();
+    if (token.type !== 'op' || token.value !== value) {
+      this.unexpected(token);
+    }
+    this.index++;
+  }
+
+  /**
+   * Throw the bash "unexpected token" error for a token
+   *
+   * @private
+   */
+  unexpected(token) {
+    const description = {
+      eof: 'end of file',
+      newline: 'newline',
+    }[token.type];
+
+    if (token.type === 'eof') {
+      throw this.syntaxError('syntax error: unexpected end of file', token);
+    }
+
+    const text = description || token.raw || token.value || token.op;
+    throw this.syntaxError(`syntax error near unexpected token \`${text}'`, token);
+  }
+
+  /**
+   * Create a SyntaxError with the line number
+   *
+   * @private
+   */
+  syntaxError(message, token = null) {
+    const line = token ? token.line : this.line;
+    return new SyntaxError(`line ${line}: ${message}`);
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * TextDiff - Line diffs in the formats printed by `diff` and `diff -u`
+ *
+ * Uses Myers' O((N+M)D) algorithm, so similar files diff quickly even when
+ * they are long.
+ */
+export default class TextDiff {
+  /**
+   * Compute the edit script between two lists of lines
+   * Within each changed block, deletions come before insertions.
+   *
+   * @param {string[]} oldLines - Original lines
+   * @param {string[]} newLines - Changed lines
+   * @returns {{type: 'equal'|'delete'|'insert', line: string}[]}
+   */
+  static diffLines(oldLines, newLines) {
+    const n = oldLines.length;
+    const m = newLines.length;
+    const offset = n + m + 1;
+    const v = new Array(2 * offset + 1).fill(0);
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= n + m && !found; d++) {
+      trace.push(v.slice());
+
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+
+        while (x < n && y < m && oldLines[x] === newLines[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+
+        if (x >= n && y >= m) {
+          found = true;
+          break;
+        }
+      }
+    }
+
+    // Walk back through the saved frontiers to recover the edits
+    const edits = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const frontier = trace[d];
+      const k = x - y;
+      const previousK = k === -d || (k !== d && frontier[offset + k - 1] < frontier[offset + k + 1]) ? k + 1 : k - 1;
+      const previousX = d === 0 ? 0 : frontier[offset + previousK];
+      const previousY = previousX - previousK;
+
+      while (x > previousX && y > previousY) {
+        edits.push({ type: 'equal', line: oldLines[--x] });
+        y--;
+      }
+      if (d > 0) {
+        if (x === previousX) {
+          edits.push({ type: 'insert', line: newLines[--y] });
+        } else {
+          edits.push({ type: 'delete', line: oldLines[--x] });
+        }
+      }
+    }
+
+    return TextDiff.groupChanges(edits.reverse());
+  }
+
+  /**
+   * Format a unified diff (`diff -u`)
+   *
+   * @param {string[]} oldLines - Original lines
+   * @param {string[]} newLines - Changed lines
+   * @param {Object} options - Options
+   * @param {string} options.oldName - Name on the `---` line
+   * @param {string} options.newName - Name on the `+++` line
+   * @param {number} options.context - Unchanged lines around each change
+   * @returns {string} The diff, empty if the files are the same
+   */
+  static unified(oldLines, newLines, { oldName = 'a', newName = 'b', context = 3 } = {}) {
+    const edits = TextDiff.number(TextDiff.diffLines(oldLines, newLines));
+    const changes = edits.map((edit, index) => (edit.type === 'equal' ? -1 : index)).filter(index => index >= 0);
+    if (changes.length === 0) return '';
+
+    // Group changes whose context would overlap into one hunk
+    const hunks = [];
+    let start = Math.max(changes[0] - context, 0);
+    let end = Math.min(changes[0] + context, edits.length - 1);
+
+    for (const index of changes.slice(1)) {
+      if (index - context <= end + 1) {
+        end = Math.min(index + context, edits.length - 1);
+      } else {
+        hunks.push([start, end]);
+        start = index - context;
+        end = Math.min(index + context, edits.length - 1);
+      }
+    }
+    hunks.push([start, end]);
+
+    let text = `--- ${oldName}\n+++ ${newName}\n`;
+
+    for (const [from, to] of hunks) {
+      const lines = edits.slice(from, to + 1);
+      const oldCount = lines.filter(edit => edit.type !== 'insert').length;
+      const newCount = lines.filter(edit => edit.type !== 'delete').length;
+      const oldStart = oldCount === 0 ? edits[from].oldLine - 1 : lines.find(edit => edit.type !== 'insert').oldLine;
+      const newStart = newCount === 0 ? edits[from].newLine - 1 : lines.find(edit => edit.type !== 'delete').newLine;
+
+      text += `@@ -${TextDiff.range(oldStart, oldCount)} +${TextDiff.range(newStart, newCount)} @@\n`;
+      for (const edit of lines) {
+        const marker = { equal: ' ', delete: '-', insert: '+' }[edit.type];
+        text += `${marker}${edit.line}\n`;
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Format a diff in the default `diff` style (`2c2`, `< old`, `> new`)
+   *
+   * @param {string[]} oldLines - Original lines
+   * @param {string[]} newLines - Changed lines
+   * @returns {string} The diff, empty if the files are the same
+   */
+  static normal(oldLines, newLines) {
+    const edits = TextDiff.number(TextDiff.diffLines(oldLines, newLines));
+    const lineRange = (first, last) => (first === last ? `${first}` : `${first},${last}`);
+    let text = '';
+
+    for (let i = 0; i < edits.length;) {
+      if (edits[i].type === 'equal') {
+        i++;
+        continue;
+      }
+
+      const block = [];
+      while (i < edits.length && edits[i].type !== 'equal') block.push(edits[i++]);
+
+      const deleted = block.filter(edit => edit.type === 'delete');
+      const inserted = block.filter(edit => edit.type === 'insert');
+      const oldFirst = block[0].oldLine;
+      const newFirst = block[0].newLine;
+      const oldRange = deleted.length > 0 ? lineRange(oldFirst, oldFirst + deleted.length - 1) : `${oldFirst - 1}`;
+      const newRange = inserted.length > 0 ? lineRange(newFirst, newFirst + inserted.length - 1) : `${newFirst - 1}`;
+      const command = deleted.length === 0 ? 'a' : inserted.length === 0 ? 'd' : 'c';
+
+      text += `${oldRange}${command}${newRange}\n`;
+      text += deleted.map(edit => `< ${edit.line}\n`).join('');
+      if (deleted.length > 0 && inserted.length > 0) text += '---\n';
+      text += inserted.map(edit => `> ${edit.line}\n`).join('');
+    }
+
+    return text;
+  }
+
+  /**
+   * Put deletions before insertions within each run of changes
+   *
+   * @private
+   */
+  static groupChanges(edits) {
+    const result = [];
+
+    for (let i = 0; i < edits.length;) {
+      if (edits[i].type === 'equal') {
+        result.push(edits[i++]);
+        continue;
+      }
+
+      const block = [];
+      while (i < edits.length && edits[i].type !== 'equal') block.push(edits[i++]);
+      result.push(...block.filter(edit => edit.type === 'delete'), ...block.filter(edit => edit.type === 'insert'));
+    }
+
+    return result;
+  }
+
+  /**
+   * Add 1-based old and new line numbers to each edit
+   * For an insertion, oldLine is the old line it comes before (and vice versa).
+   *
+   * @private
+   */
+  static number(edits) {
+    let oldLine = 1;
+    let newLine = 1;
+
+    return edits.map(edit => {
+      const numbered = { ...edit, oldLine, newLine };
+      if (edit.type !== 'insert') oldLine++;
+      if (edit.type !== 'delete') newLine++;
+      return numbered;
+    });
+  }
+
+  /**
+   * Hunk range: `start,count`, or just `start` for one line
+   *
+   * @private
+   */
+  static range(start, count) {
+    return count === 1 ? `${start}` : `${start},${count}`;
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * ModuleLinker - Turns a project's JavaScript files into importable ES modules
+ *
+ * Workers can only import modules by URL, so each file is given a Blob URL.
+ * Before a file gets its URL, the import specifiers in it are rewritten to
+ * the URLs of the files they name, which means dependencies are linked
+ * first and circular imports cannot be linked.
+ *
+ * Specifiers resolve like they do in Node and bundlers:
+ *   './x', '../x', '/x'  - project files, trying '.js', '.mjs', '.ts' and
+ *                          '/index.js' / '/index.ts' when there is no extension
+ *   'lodash', 'lib/'     - entries of the project's importmap.json `imports`
+ *   'https://...'        - left as they are
+ *
+ * Specifiers are found with regular expressions, so import statements
+ * inside strings and comments are rewritten too.
+ */
+
+// import x from '...', import '...', export { x } from '...', export * from '...'
+const STATIC_IMPORT = /(\bimport\s*(?:[\w$*{}\s,]+?\s*from\s*)?|\bexport\s*(?:\*(?:\s*as\s+[\w$]+)?|\{[^}]*\})\s*from\s*)(['"])([^'"\n]+)\2/g;
+
+// import('...') with a string literal
+const DYNAMIC_IMPORT = /\bimport\s*\(\s*(['"])([^'"\n]+)\1\s*\)/g;
+
+const EXTENSIONS = ['', '.js', '.mjs', '.ts', '/index.js', '/index.ts'];
+
+export default class ModuleLinker {
+  /**
+   * @param {Map<string, string>} files - Project path -> source
+   * @param {Object} options - Options
+   * @param {Object} options.imports - Import map: bare specifier or prefix ending in '/' -> URL or project path
+   * @param {Function} options.transform - (path, source) -> JavaScript, e.g. to compile TypeScript
+   */
+  constructor(files, { imports = {}, transform = (path, source) => source } = {}) {
+    this.files = files;
+    this.imports = imports;
+    this.transform = transform;
+    this.urls = new Map(); // Project path -> Blob URL
+  }
+
+  /**
+   * Check whether code uses import or export statements
+   * Dynamic import() alone does not need module mode.
+   *
+   * @param {string} code - JavaScript source
+   * @returns {boolean}
+   */
+  static hasModuleSyntax(code) {
+    return /^\s*(?:import\s*[\w$*{'"]|export\s)/m.test(code);
+  }
+
+  /**
+   * Read the `imports` of a project's importmap.json
+   *
+   * @param {Map<string, string>} files - Project path -> source
+   * @returns {Object} Import map entries (empty without an importmap.json)
+   */
+  static readImportMap(files) {
+    if (!files.has('importmap.json')) return {};
+
+    try {
+      const map = JSON.parse(files.get('importmap.json'));
+      return map && typeof map.imports === 'object' && map.imports !== null ? map.imports : {};
+    } catch (error) {
+      throw new Error(`Invalid importmap.json: ${error.message}`);
+    }
+  }
+
+  /**
+   * Link a module and everything it imports
+   *
+   * @param {string} path - Project path of the entry module
+   * @returns {string} Blob URL of the entry module
+   */
+  link(path) {
+    if (!this.files.has(path)) {
+      throw new Error(`Cannot find module '${path}'`);
+    }
+    return this.linkModule(path, []);
+  }
+
+  /**
+   * Release every Blob URL created by link()
+   */
+  revoke() {
+    for (const url of this.urls.values()) {
+      URL.revokeObjectURL(url);
+    }
+    this.urls.clear();
+  }
+
+  /**
+   * Rewrite a module's imports and create its Blob URL
+   *
+   * @private
+   * @param {string} path - Project path
+   * @param {string[]} importers - Modules currently being linked, outermost first
+   * @returns {string} Blob URL
+   */
+  linkModule(path, importers) {
+    if (this.urls.has(path)) return this.urls.get(path);
+    if (importers.includes(path)) {
+      throw new Error(`Circular import: ${[...importers, path].join(' -> ')}`);
+    }
+
+    const chain = [...importers, path];
+    const target = (specifier) => {
+      const resolved = this.resolve(specifier, path);
+      return resolved.url || this.linkModule(resolved.path, chain);
+    };
+
+    const code = this.transform(path, this.files.get(path))
+      .replace(STATIC_IMPORT, (match, prefix, quote, specifier) => `${prefix}${quote}${target(specifier)}${quote}`)
+      .replace(DYNAMIC_IMPORT, (match, quote, specifier) => `import(${quote}${target(specifier)}${quote})`);
+
+    const url = URL.createObjectURL(new Blob([`${code}\n//# sourceURL=${path}`], { type: 'text/javascript' }));
+    this.urls.set(path, url);
+    return url;
+  }
+
+  /**
+   * Resolve an import specifier to a project file or an external URL
+   *
+   * @private
+   * @param {string} specifier - Specifier as written
+   * @param {string} importer - Project path of the importing module
+   * @returns {{path?: string, url?: string}}
+   */
+  resolve(specifier, importer) {
+    if (/^\.{0,2}\//.test(specifier)) {
+      return { path: this.findFile(specifier, importer) };
+    }
+
+    const mapped = this.mapSpecifier(specifier);
+    if (mapped !== null) {
+      // Paths in importmap.json are relative to the project root
+      return /^\.{0,2}\//.test(mapped) ? { path: this.findFile(mapped, 'importmap.json') } : { url: mapped };
+    }
+
+    if (/^[a-z][a-z\d+.-]*:/i.test(specifier)) {
+      return { url: specifier };
+    }
+
+    throw new Error(`Cannot resolve '${specifier}' imported from ${importer}; add it to importmap.json`);
+  }
+
+  /**
+   * Find the project file a relative or absolute specifier names
+   *
+   * @private
+   * @param {string} specifier - Specifier starting with './', '../' or '/'
+   * @param {string} importer - Project path of the importing module
+   * @returns {string} Project path
+   */
+  findFile(specifier, importer) {
+    const parts = specifier.startsWith('/') ? [] : importer.split('/').slice(0, -1);
+
+    for (const part of specifier.split('/')) {
+      if (part === '..') {
+        parts.pop(); // Stops at the project root, like URLs
+      } else if (part && part !== '.') {
+        parts.push(part);
+      }
+    }
+
+    const base = parts.join('/');
+    const path = EXTENSIONS.map(extension => `${base}${extension}`).find(candidate => this.files.has(candidate));
+    if (!path) {
+      throw new Error(`Cannot find module '${specifier}' imported from ${importer}`);
+    }
+    return path;
+  }
+
+  /**
+   * Look a bare specifier up in the import map
+   * Exact entries win over prefixes, and longer prefixes over shorter ones.
+   *
+   * @private
+   * @param {string} specifier - Bare specifier
+   * @returns {string|null} Mapped address
+   */
+  mapSpecifier(specifier) {
+    if (typeof this.imports[specifier] === 'string') {
+      return this.imports[specifier];
+    }
+
+    const prefix = Object.keys(this.imports)
+      .filter(key => key.endsWith('/') && specifier.startsWith(key) && typeof this.imports[key] === 'string')
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.imports[prefix] + specifier.slice(prefix.length) : null;
+  }
+}
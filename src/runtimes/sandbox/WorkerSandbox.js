@@ -0,0 +1,337 @@
+/**
+ * WorkerSandbox - Runs untrusted JavaScript in a disposable Web Worker
+ *
+ * Each run gets a fresh worker created from an inline Blob URL, so user code
+ * never shares globals with the IDE, cannot touch the DOM or `window`, and
+ * an infinite loop can always be stopped by terminating the worker.
+ * Storage APIs (IndexedDB, Cache Storage, OPFS) are removed from the worker
+ * scope before the code runs so saved files stay out of reach, along with
+ * Worker and SharedWorker, whose fresh scopes would still have them.
+ *
+ * Code runs as a classic script by default. In module mode the worker
+ * imports an ES module by URL instead (see ModuleLinker), so `import` and
+ * `export` work.
+ *
+ * A run ends once the code and everything it left pending (timers, fetches
+ * and the promises waiting on them) has finished, so output from callbacks
+ * is not lost; the timeout bounds the wait, e.g. for an uncleared interval.
+ */
+
+import BaseRuntime from '../BaseRuntime.js';
+
+/**
+ * Worker entry point. Serialized with Function.prototype.toString(), so it
+ * must not reference anything from the enclosing module scope.
+ */
+function sandboxWorkerMain() {
+  const send = self.postMessage.bind(self);
+
+  const revoke = (target, prop) => {
+    let obj = target;
+    while (obj) {
+      if (Object.prototype.hasOwnProperty.call(obj, prop)) {
+        try {
+          delete obj[prop];
+        } catch (e) {
+          // Non-configurable property, shadowed below
+        }
+      }
+      obj = Object.getPrototypeOf(obj);
+    }
+    try {
+      Object.defineProperty(target, prop, { value: undefined, configurable: false });
+    } catch (e) {
+      // Property could not be shadowed
+    }
+  };
+
+  ['indexedDB', 'caches', 'BroadcastChannel', 'importScripts', 'Worker', 'SharedWorker']
+    .forEach(prop => revoke(self, prop));
+  if (self.navigator) {
+    revoke(self.navigator, 'storage');
+  }
+
+  const format = (value) => {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    if (typeof value === 'function') return value.toString();
+    if (value !== null && typeof value === 'object') {
+      try {
+        return JSON.stringify(value, null, 2);
+      } catch (e) {
+        return String(value);
+      }
+    }
+    return String(value);
+  };
+
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+    console[level] = (...args) => {
+      send({ type: 'console', level, text: args.map(format).join(' ') });
+    };
+  });
+
+  const serializeError = (error) => ({
+    name: error && error.name ? error.name : 'Error',
+    message: error && error.message !== undefined ? String(error.message) : String(error),
+    stack: error && error.stack ? String(error.stack) : '',
+  });
+
+  // Timers and fetches the code has started. Once the code has returned,
+  // `finish` sends 'done' as soon as none is left.
+  const timers = new Set();
+  let fetches = 0;
+  let finish = null;
+  let idleCheck = null;
+
+  const nativeSetTimeout = self.setTimeout.bind(self);
+  const nativeClearTimeout = self.clearTimeout.bind(self);
+  const nativeSetInterval = self.setInterval.bind(self);
+  const nativeClearInterval = self.clearInterval.bind(self);
+
+  // Checked in a later task, after the promises the last task settled have run
+  const checkIdle = () => {
+    if (!finish || idleCheck !== null) return;
+    idleCheck = nativeSetTimeout(() => {
+      idleCheck = null;
+      if (finish && timers.size === 0 && fetches === 0) {
+        const done = finish;
+        finish = null;
+        done();
+      }
+    }, 0);
+  };
+
+  self.setTimeout = (callback, delay, ...args) => {
+    const id = nativeSetTimeout(() => {
+      timers.delete(id);
+      try {
+        if (typeof callback === 'function') {
+          callback(...args);
+        } else {
+          (0, eval)(String(callback));
+        }
+      } finally {
+        checkIdle();
+      }
+    }, delay);
+    timers.add(id);
+    return id;
+  };
+
+  self.setInterval = (...args) => {
+    const id = nativeSetInterval(...args);
+    timers.add(id);
+    return id;
+  };
+
+  // Timeout and interval IDs share one pool, so either clear function clears both
+  self.clearTimeout = self.clearInterval = (id) => {
+    nativeClearTimeout(id);
+    nativeClearInterval(id);
+    if (timers.delete(id)) checkIdle();
+  };
+
+  if (typeof self.fetch === 'function') {
+    const nativeFetch = self.fetch.bind(self);
+    self.fetch = (...args) => {
+      fetches++;
+      return nativeFetch(...args).finally(() => {
+        fetches--;
+        checkIdle();
+      });
+    };
+  }
+
+  // A promise rejected in a callback has no caller left to report it
+  self.onunhandledrejection = (event) => {
+    event.preventDefault();
+    send({ type: 'error', error: serializeError(event.reason) });
+  };
+
+  self.onmessage = async (event) => {
+    const { type, code, url } = event.data || {};
+    if (type !== 'run' && type !== 'import') return;
+
+    try {
+      let value;
+      if (type === 'import') {
+        // A module has no completion value
+        await import(/* @vite-ignore */ url);
+      } else {
+        // Indirect eval runs the code in the worker's global scope
+        value = (0, eval)(code);
+      }
+      if (value && typeof value.then === 'function') {
+        value = await value;
+      }
+
+      const display = value === undefined ? undefined : format(value);
+      finish = () => {
+        try {
+          send({ type: 'done', returnValue: value, display });
+        } catch (e) {
+          // Value is not structured-cloneable (functions, class instances, ...)
+          send({ type: 'done', returnValue: display, display });
+        }
+      };
+      checkIdle();
+    } catch (error) {
+      send({ type: 'error', error: serializeError(error) });
+    }
+  };
+}
+
+const WORKER_SOURCE = `(${sandboxWorkerMain.toString()})();`;
+
+export default class WorkerSandbox {
+  constructor() {
+    this.worker = null;
+    this.workerURL = null;
+    this.pending = null;
+  }
+
+  /**
+   * Check whether this environment can host worker sandboxes
+   *
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined'
+      && typeof Blob !== 'undefined'
+      && typeof URL !== 'undefined'
+      && typeof URL.createObjectURL === 'function';
+  }
+
+  /**
+   * Run code in a fresh worker
+   *
+   * @param {string} code - JavaScript source, or a module URL in module mode
+   * @param {Object} options - Run options
+   * @param {boolean} options.module - Import `code` as an ES module URL
+   * @param {number} options.timeout - Milliseconds before the worker is terminated, also
+   *   while waiting for pending timers (0 = no limit)
+   * @param {Function} options.onConsole - Callback(level, text) for console calls inside the worker
+   * @param {AbortSignal} options.signal - Terminates the worker when aborted
+   * @returns {Promise<{returnValue: any, display: string|undefined}>}
+   */
+  run(code, options = {}) {
+    const { timeout = 0, onConsole = () => {}, signal, module = false } = options;
+
+    if (this.pending) {
+      return Promise.reject(new Error('Sandbox is already running code'));
+    }
+
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason instanceof Error ? signal.reason : BaseRuntime.createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      this.workerURL = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+      this.worker = new Worker(this.workerURL);
+
+      let timer = null;
+
+      const onAbort = () => this.stop(signal.reason);
+
+      const settle = (callback, value) => {
+        if (!this.pending) return;
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        this.pending = null;
+        this.terminate();
+        callback(value);
+      };
+
+      this.pending = { reject: (error) => settle(reject, error) };
+
+      this.worker.onmessage = (event) => {
+        const message = event.data || {};
+
+        switch (message.type) {
+          case 'console':
+            onConsole(message.level, message.text);
+            break;
+          case 'done':
+            settle(resolve, { returnValue: message.returnValue, display: message.display });
+            break;
+          case 'error':
+            settle(reject, WorkerSandbox.toError(message.error));
+            break;
+          default:
+            break;
+        }
+      };
+
+      this.worker.onerror = (event) => {
+        if (event.preventDefault) event.preventDefault();
+        const error = new Error(event.message || 'Worker error');
+        if (event.lineno) {
+          error.stack = `${error.name}: ${error.message}\n    at eval (<anonymous>:${event.lineno}:${event.colno || 0})`;
+        }
+        settle(reject, error);
+      };
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          settle(reject, BaseRuntime.createTimeoutError(timeout));
+        }, timeout);
+      }
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      this.worker.postMessage(module ? { type: 'import', url: code } : { type: 'run', code });
+    });
+  }
+
+  /**
+   * Stop the running code. The pending run() rejects with `reason`,
+   * or an AbortError when no reason is given.
+   *
+   * @param {Error} reason - Rejection reason
+   */
+  stop(reason) {
+    if (this.pending) {
+      this.pending.reject(reason instanceof Error ? reason : BaseRuntime.createAbortError());
+    }
+  }
+
+  /**
+   * Check whether code is currently running
+   *
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.pending !== null;
+  }
+
+  /**
+   * Terminate the worker and release its Blob URL
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.workerURL) {
+      URL.revokeObjectURL(this.workerURL);
+      this.workerURL = null;
+    }
+  }
+
+  /**
+   * Rebuild an Error from the plain object posted by the worker
+   *
+   * @private
+   * @param {{name: string, message: string, stack: string}} data - Serialized error
+   * @returns {Error}
+   */
+  static toError(data = {}) {
+    const error = new Error(data.message);
+    error.name = data.name || 'Error';
+    error.stack = data.stack || `${error.name}: ${error.message}`;
+    return error;
+  }
+}
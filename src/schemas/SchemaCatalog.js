@@ -0,0 +1,222 @@
+/**
+ * SchemaCatalog - Which JSON Schema a JSON or YAML file is checked against
+ *
+ * Features:
+ * - Bundled schemas (package.json, GitHub workflows, Docker Compose) that
+ *   work offline, matched by file path
+ * - Schemas attached to a file by the user: a bundled one or a saved .json
+ *   file, remembered in localStorage
+ * - `$schema` (JSON) and `# yaml-language-server: $schema=` (YAML) naming a
+ *   bundled schema inside the file
+ */
+
+import packageJson from './bundled/packageJson.js';
+import githubWorkflow from './bundled/githubWorkflow.js';
+import dockerCompose from './bundled/dockerCompose.js';
+
+const STORAGE_KEY = 'drlee-ide-json-schemas';
+
+// Attached schemas that are saved files start with this
+const FILE_PREFIX = 'file:';
+
+/**
+ * Bundled schemas. `uri` is the schema's public address, which files may
+ * name in $schema; `fileMatch` globs are matched against workspace paths
+ * (`*` stays within a folder, `**` spans folders, patterns without a `/`
+ * match the file name).
+ */
+const BUNDLED_SCHEMAS = [
+  {
+    id: 'package-json',
+    name: 'package.json',
+    uri: 'https://json.schemastore.org/package.json',
+    fileMatch: ['package.json'],
+    schema: packageJson,
+  },
+  {
+    id: 'github-workflow',
+    name: 'GitHub Actions workflow',
+    uri: 'https://json.schemastore.org/github-workflow.json',
+    fileMatch: ['**/.github/workflows/*.yml', '**/.github/workflows/*.yaml'],
+    schema: githubWorkflow,
+  },
+  {
+    id: 'docker-compose',
+    name: 'Docker Compose',
+    uri: 'https://raw.githubusercontent.com/compose-spec/compose-spec/master/schema/compose-spec.json',
+    fileMatch: ['docker-compose.yml', 'docker-compose.yaml', 'docker-compose.*.yml', 'docker-compose.*.yaml', 'compose.yml', 'compose.yaml'],
+    schema: dockerCompose,
+  },
+];
+
+/**
+ * Turn a file glob into a regular expression
+ *
+ * @param {string} glob - Pattern (see BUNDLED_SCHEMAS)
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split(/(\*\*\/|\*)/)
+    .map((part) => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '*') return '[^/]*';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+export default class SchemaCatalog {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {Storage} [options.storage] - Where attached schemas are kept (default: localStorage)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || localStorage;
+    this.associations = this.loadAssociations();
+  }
+
+  /**
+   * Get the bundled schemas
+   *
+   * @returns {Array<{id: string, name: string, uri: string, fileMatch: Array<string>, schema: Object}>}
+   */
+  getBundledSchemas() {
+    return BUNDLED_SCHEMAS;
+  }
+
+  /**
+   * Get a bundled schema by id or URI
+   *
+   * @param {string} idOrUri - Schema id (e.g. 'package-json') or URI
+   * @returns {Object|null}
+   */
+  getBundledSchema(idOrUri) {
+    return BUNDLED_SCHEMAS.find(entry => entry.id === idOrUri || entry.uri === idOrUri) || null;
+  }
+
+  /**
+   * Find the bundled schema for a file path
+   *
+   * @param {string} path - Path of the file in the workspace (or its name)
+   * @returns {Object|null}
+   */
+  matchPath(path) {
+    if (!path) return null;
+    const name = path.split('/').pop();
+
+    return BUNDLED_SCHEMAS.find(entry => entry.fileMatch.some((glob) => {
+      const target = glob.includes('/') ? path : name;
+      return globToRegExp(glob).test(target);
+    })) || null;
+  }
+
+  /**
+   * Find the bundled schema a file names in its content
+   *
+   * @param {string} content - Text of the file
+   * @param {string} language - 'json' or 'yaml'
+   * @returns {Object|null}
+   */
+  matchContent(content, language) {
+    const match = language === 'yaml'
+      ? content.match(/^#\s*yaml-language-server:\s*\$schema=(\S+)/m)
+      : content.match(/^\s*\{\s*"\$schema"\s*:\s*"([^"]+)"/);
+    return match ? this.getBundledSchema(match[1]) : null;
+  }
+
+  /**
+   * Reference to a saved schema file, for setAssociation()
+   *
+   * @param {string} fileId - Id of the schema file
+   * @returns {string}
+   */
+  static fileRef(fileId) {
+    return `${FILE_PREFIX}${fileId}`;
+  }
+
+  /**
+   * Get the schema attached to a file
+   *
+   * @param {string} fileId - File id
+   * @returns {string|null} A bundled schema's id, `file:<id>` for a saved
+   *   schema file, or null if none is attached
+   */
+  getAssociation(fileId) {
+    return this.associations[fileId] || null;
+  }
+
+  /**
+   * Attach a schema to a file, or detach it
+   *
+   * @param {string} fileId - File id
+   * @param {string|null} schemaRef - A bundled schema's id, `file:<id>`, or null to detach
+   */
+  setAssociation(fileId, schemaRef) {
+    if (schemaRef) {
+      this.associations[fileId] = schemaRef;
+    } else {
+      delete this.associations[fileId];
+    }
+    this.saveAssociations();
+  }
+
+  /**
+   * Resolve the schema of a file
+   * An attached schema wins over one named in the content, which wins over
+   * one matched by path.
+   *
+   * @param {Object} file - {id, path, content, language}; id is null for untitled files
+   * @param {Function} loadSchemaFile - async (fileId) => schema object|null, reads a saved schema file
+   * @returns {Promise<{uri: string, name: string, schema: Object}|null>}
+   */
+  async resolve(file, loadSchemaFile) {
+    const ref = file.id ? this.getAssociation(file.id) : null;
+
+    if (ref?.startsWith(FILE_PREFIX)) {
+      const schemaFileId = ref.slice(FILE_PREFIX.length);
+      try {
+        const schema = await loadSchemaFile(schemaFileId);
+        if (schema) return { uri: `drlee-schema://file/${schemaFileId}`, name: schema.title || 'Attached schema', schema };
+      } catch (error) {
+        console.warn('[SchemaCatalog] Cannot read schema file:', error.message);
+      }
+      return null;
+    }
+
+    const entry = (ref && this.getBundledSchema(ref))
+      || this.matchContent(file.content || '', file.language)
+      || this.matchPath(file.path);
+    return entry ? { uri: entry.uri, name: entry.name, schema: entry.schema } : null;
+  }
+
+  /**
+   * Read the attached schemas
+   *
+   * @private
+   * @returns {Object} File id -> schema reference
+   */
+  loadAssociations() {
+    try {
+      const data = JSON.parse(this.storage.getItem(STORAGE_KEY));
+      return data && typeof data === 'object' ? data : {};
+    } catch (error) {
+      console.warn('[SchemaCatalog] Ignoring unreadable schema associations:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save the attached schemas
+   *
+   * @private
+   */
+  saveAssociations() {
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.associations));
+    } catch (error) {
+      console.error('[SchemaCatalog] Failed to save schema associations:', error);
+    }
+  }
+}
@@ -0,0 +1,441 @@
+/**
+ * SchemaValidator - Checks values against a JSON Schema
+ *
+ * Covers the keywords the bundled schemas and most hand-written ones use:
+ * type, enum, const, properties, required, additionalProperties,
+ * patternProperties, propertyNames, items (single and tuple), minItems,
+ * maxItems, uniqueItems, minimum, maximum, minLength, maxLength, pattern,
+ * allOf, anyOf, oneOf, not and local $ref (`#`, `#/definitions/...`,
+ * `#/$defs/...`). Other keywords (format, remote $ref, ...) are ignored.
+ *
+ * Also finds the part of a schema that describes a path, for completions.
+ */
+
+// JSON Schema types -> whether a value is one
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  null: value => value === null,
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+};
+
+// Guard against schemas that $ref themselves without consuming anything
+const MAX_DEPTH = 64;
+
+/**
+ * Type name of a value, as JSON Schema calls it
+ *
+ * @param {any} value - Value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Compare two JSON values
+ *
+ * @param {any} a - Value
+ * @param {any} b - Value
+ * @returns {boolean}
+ */
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export default class SchemaValidator {
+  /**
+   * Check a value against a schema
+   *
+   * @param {any} value - Value to check (e.g. parsed JSON or YAML)
+   * @param {Object|boolean} schema - JSON Schema
+   * @returns {Array<{path: Array<string|number>, message: string, severity: string}>}
+   *   Problems found, with the path of the value each is about
+   */
+  static validate(value, schema) {
+    return SchemaValidator.check(value, schema, schema, [], 0);
+  }
+
+  /**
+   * Check a value against a part of a schema
+   *
+   * @private
+   * @param {any} value - Value
+   * @param {Object|boolean} schema - Part of the schema
+   * @param {Object} root - Whole schema, for $ref
+   * @param {Array<string|number>} path - Path of the value
+   * @param {number} depth - How many $refs deep
+   * @returns {Array<Object>} Problems
+   */
+  static check(value, schema, root, path, depth) {
+    if (schema === true || schema === undefined || depth > MAX_DEPTH) return [];
+    if (schema === false) return [SchemaValidator.problem(path, 'Not allowed here')];
+
+    const errors = [];
+
+    if (schema.$ref) {
+      const target = SchemaValidator.resolveRef(schema.$ref, root);
+      if (target !== undefined) {
+        errors.push(...SchemaValidator.check(value, target, root, path, depth + 1));
+      }
+    }
+
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => TYPE_CHECKS[type]?.(value))) {
+        // Type mismatches make the other keywords meaningless
+        return [...errors, SchemaValidator.problem(path, `Incorrect type. Expected ${types.join(' or ')}, got ${typeOf(value)}`)];
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(allowed => deepEqual(allowed, value))) {
+      errors.push(SchemaValidator.problem(path, `Value is not accepted. Valid values: ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`));
+    }
+
+    if ('const' in schema && !deepEqual(schema.const, value)) {
+      errors.push(SchemaValidator.problem(path, `Value must be ${JSON.stringify(schema.const)}`));
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+      errors.push(...SchemaValidator.checkObject(value, schema, root, path, depth));
+    }
+    if (Array.isArray(value)) {
+      errors.push(...SchemaValidator.checkArray(value, schema, root, path, depth));
+    }
+    if (typeof value === 'string') {
+      errors.push(...SchemaValidator.checkString(value, schema, path));
+    }
+    if (typeof value === 'number') {
+      errors.push(...SchemaValidator.checkNumber(value, schema, path));
+    }
+
+    (schema.allOf || []).forEach((part) => {
+      errors.push(...SchemaValidator.check(value, part, root, path, depth + 1));
+    });
+
+    if (schema.anyOf) {
+      const results = schema.anyOf.map(part => SchemaValidator.check(value, part, root, path, depth + 1));
+      if (!results.some(result => result.length === 0)) {
+        errors.push(...SchemaValidator.closestFailure(results, schema.anyOf, value, path));
+      }
+    }
+
+    if (schema.oneOf) {
+      const results = schema.oneOf.map(part => SchemaValidator.check(value, part, root, path, depth + 1));
+      const matches = results.filter(result => result.length === 0).length;
+      if (matches === 0) {
+        errors.push(...SchemaValidator.closestFailure(results, schema.oneOf, value, path));
+      } else if (matches > 1) {
+        errors.push(SchemaValidator.problem(path, 'Matches more than one of the allowed schemas'));
+      }
+    }
+
+    if (schema.not !== undefined && SchemaValidator.check(value, schema.not, root, path, depth + 1).length === 0) {
+      errors.push(SchemaValidator.problem(path, 'Matches a schema that is not allowed'));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check an object's properties
+   *
+   * @private
+   * @param {Object} value - Object
+   * @param {Object} schema - Part of the schema
+   * @param {Object} root - Whole schema, for $ref
+   * @param {Array<string|number>} path - Path of the value
+   * @param {number} depth - How many $refs deep
+   * @returns {Array<Object>} Problems
+   */
+  static checkObject(value, schema, root, path, depth) {
+    const errors = [];
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {});
+
+    (schema.required || []).forEach((name) => {
+      if (!(name in value)) {
+        errors.push(SchemaValidator.problem(path, `Missing property "${name}"`));
+      }
+    });
+
+    Object.entries(value).forEach(([name, child]) => {
+      const childPath = [...path, name];
+      let described = false;
+
+      if (name in properties) {
+        described = true;
+        errors.push(...SchemaValidator.check(child, properties[name], root, childPath, depth + 1));
+      }
+      patterns.forEach(([pattern, childSchema]) => {
+        if (new RegExp(pattern, 'u').test(name)) {
+          described = true;
+          errors.push(...SchemaValidator.check(child, childSchema, root, childPath, depth + 1));
+        }
+      });
+
+      if (!described && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          errors.push(SchemaValidator.problem(childPath, `Property "${name}" is not allowed`, 'warning'));
+        } else {
+          errors.push(...SchemaValidator.check(child, schema.additionalProperties, root, childPath, depth + 1));
+        }
+      }
+
+      if (schema.propertyNames) {
+        errors.push(...SchemaValidator.check(name, schema.propertyNames, root, childPath, depth + 1));
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check an array's items and length
+   *
+   * @private
+   * @param {Array} value - Array
+   * @param {Object} schema - Part of the schema
+   * @param {Object} root - Whole schema, for $ref
+   * @param {Array<string|number>} path - Path of the value
+   * @param {number} depth - How many $refs deep
+   * @returns {Array<Object>} Problems
+   */
+  static checkArray(value, schema, root, path, depth) {
+    const errors = [];
+
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(SchemaValidator.problem(path, `Array has too few items. Expected ${schema.minItems} or more`));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(SchemaValidator.problem(path, `Array has too many items. Expected ${schema.maxItems} or fewer`));
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push(SchemaValidator.problem(path, 'Array has duplicate items'));
+    }
+
+    value.forEach((item, index) => {
+      const itemSchema = Array.isArray(schema.items) ? schema.items[index] : schema.items;
+      errors.push(...SchemaValidator.check(item, itemSchema, root, [...path, index], depth + 1));
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check a string's length and pattern
+   *
+   * @private
+   * @param {string} value - String
+   * @param {Object} schema - Part of the schema
+   * @param {Array<string|number>} path - Path of the value
+   * @returns {Array<Object>} Problems
+   */
+  static checkString(value, schema, path) {
+    const errors = [];
+
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(SchemaValidator.problem(path, `String is shorter than the minimum length of ${schema.minLength}`));
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(SchemaValidator.problem(path, `String is longer than the maximum length of ${schema.maxLength}`));
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(SchemaValidator.problem(path, schema.patternErrorMessage || `String does not match the pattern of "${schema.pattern}"`));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a number's range
+   *
+   * @private
+   * @param {number} value - Number
+   * @param {Object} schema - Part of the schema
+   * @param {Array<string|number>} path - Path of the value
+   * @returns {Array<Object>} Problems
+   */
+  static checkNumber(value, schema, path) {
+    const errors = [];
+
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(SchemaValidator.problem(path, `Value is below the minimum of ${schema.minimum}`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(SchemaValidator.problem(path, `Value is above the maximum of ${schema.maximum}`));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Problems to report when no alternative matched: those of the alternative
+   * that got furthest, else those of the first alternative of the value's
+   * type, else the types that are allowed
+   *
+   * @private
+   * @param {Array<Array<Object>>} results - Problems of each alternative
+   * @param {Array<Object|boolean>} alternatives - The alternatives
+   * @param {any} value - Value
+   * @param {Array<string|number>} path - Path of the value
+   * @returns {Array<Object>}
+   */
+  static closestFailure(results, alternatives, value, path) {
+    const nested = results.filter(result => result.every(error => error.path.length > path.length));
+    if (nested.length > 0) {
+      return nested.reduce((best, result) => (result.length < best.length ? result : best));
+    }
+
+    const sameType = alternatives.findIndex(part => (
+      part?.type === undefined || [].concat(part.type).some(type => TYPE_CHECKS[type]?.(value))
+    ));
+    if (sameType !== -1) return results[sameType];
+
+    const types = [...new Set(alternatives.flatMap(part => [].concat(part?.type ?? [])))];
+    return [SchemaValidator.problem(path, `Incorrect type. Expected ${types.join(' or ')}, got ${typeOf(value)}`)];
+  }
+
+  /**
+   * Part of a schema a local $ref points to
+   *
+   * @param {string} ref - Reference, e.g. `#/definitions/person`
+   * @param {Object} root - Whole schema
+   * @returns {Object|boolean|undefined} Undefined for remote or broken references
+   */
+  static resolveRef(ref, root) {
+    if (ref === '#') return root;
+    if (!ref.startsWith('#/')) return undefined;
+
+    return ref.slice(2).split('/').reduce((node, segment) => {
+      const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+      return node?.[key];
+    }, root);
+  }
+
+  /**
+   * Schemas that describe the value at a path
+   * One path can be described by several schemas (allOf, anyOf, oneOf), and
+   * all of them are returned.
+   *
+   * @param {Object|boolean} schema - Whole schema
+   * @param {Array<string|number>} path - Keys and indexes from the root
+   * @returns {Array<Object>}
+   */
+  static schemasAt(schema, path) {
+    let current = SchemaValidator.expand(schema, schema);
+
+    path.forEach((segment) => {
+      current = current.flatMap((part) => {
+        const children = [];
+        if (typeof segment === 'number') {
+          if (Array.isArray(part.items)) children.push(part.items[segment]);
+          else if (part.items !== undefined) children.push(part.items);
+          return children.filter(child => child && typeof child === 'object');
+        }
+
+        if (part.properties?.[segment] !== undefined) children.push(part.properties[segment]);
+        Object.entries(part.patternProperties || {}).forEach(([pattern, child]) => {
+          if (new RegExp(pattern, 'u').test(segment)) children.push(child);
+        });
+        if (children.length === 0 && typeof part.additionalProperties === 'object') {
+          children.push(part.additionalProperties);
+        }
+        return children;
+      }).flatMap(child => SchemaValidator.expand(child, schema));
+    });
+
+    return current;
+  }
+
+  /**
+   * Properties an object at a path can have, with their schemas
+   *
+   * @param {Object|boolean} schema - Whole schema
+   * @param {Array<string|number>} path - Path of the object
+   * @returns {Map<string, Object>} Property name -> its schema
+   */
+  static propertiesAt(schema, path) {
+    const properties = new Map();
+    SchemaValidator.schemasAt(schema, path).forEach((part) => {
+      Object.entries(part.properties || {}).forEach(([name, child]) => {
+        if (!properties.has(name) && typeof child === 'object') {
+          properties.set(name, SchemaValidator.expand(child, schema)[0] || child);
+        }
+      });
+    });
+    return properties;
+  }
+
+  /**
+   * Values suggested for the value at a path: its enum and const values,
+   * its examples and default, and true and false for booleans
+   *
+   * @param {Object|boolean} schema - Whole schema
+   * @param {Array<string|number>} path - Path of the value
+   * @returns {Array<{value: any, description: (string|undefined)}>}
+   */
+  static valuesAt(schema, path) {
+    const values = [];
+    const add = (value, description) => {
+      if (!values.some(existing => deepEqual(existing.value, value))) {
+        values.push({ value, description });
+      }
+    };
+
+    SchemaValidator.schemasAt(schema, path).forEach((part) => {
+      (part.enum || []).forEach((value, index) => add(value, part.enumDescriptions?.[index] || part.description));
+      if ('const' in part) add(part.const, part.description);
+      if ([].concat(part.type).includes('boolean')) {
+        add(true, part.description);
+        add(false, part.description);
+      }
+      if (part.default !== undefined && typeof part.default !== 'object') add(part.default, part.description);
+      (part.examples || []).filter(value => typeof value !== 'object').forEach(value => add(value, part.description));
+    });
+
+    return values;
+  }
+
+  /**
+   * A schema with its $ref followed and its allOf, anyOf and oneOf parts
+   * listed alongside it
+   *
+   * @private
+   * @param {Object|boolean} schema - Part of a schema
+   * @param {Object} root - Whole schema
+   * @param {number} [depth=0] - How many $refs deep
+   * @returns {Array<Object>}
+   */
+  static expand(schema, root, depth = 0) {
+    if (!schema || typeof schema !== 'object' || depth > MAX_DEPTH) return [];
+
+    const parts = [schema];
+    if (schema.$ref) {
+      parts.push(...SchemaValidator.expand(SchemaValidator.resolveRef(schema.$ref, root), root, depth + 1));
+    }
+    [...(schema.allOf || []), ...(schema.anyOf || []), ...(schema.oneOf || [])].forEach((part) => {
+      parts.push(...SchemaValidator.expand(part, root, depth + 1));
+    });
+    return parts;
+  }
+
+  /**
+   * A problem report
+   *
+   * @private
+   * @param {Array<string|number>} path - Path of the value
+   * @param {string} message - What is wrong
+   * @param {string} [severity='error'] - 'error' or 'warning'
+   * @returns {Object}
+   */
+  static problem(path, message, severity = 'error') {
+    return { path, message, severity };
+  }
+}
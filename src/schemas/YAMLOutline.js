@@ -0,0 +1,199 @@
+/**
+ * YAMLOutline - Where keys and list items are in YAML text
+ *
+ * js-yaml gives values but not positions, so schema problems (which are
+ * reported by path, e.g. ['jobs', 'build', 'steps', 0]) are placed by
+ * reading the block structure of the text: indentation, `key:` and `- `.
+ * Also tells what a cursor position is inside of, for completions.
+ *
+ * Flow collections (`{a: 1}`, `[1, 2]`) and multi-line keys are not
+ * followed; their contents count as values.
+ */
+
+// Lines without structure: blank lines, comments, directives and document markers
+const SKIPPED_LINE = /^\s*(?:#.*)?$|^%|^(?:---|\.\.\.)(?:\s|$)/;
+
+// `key:` at the start of the text after the indent and dashes
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[\]},&*!|>%@`-][^#]*?|-[^\s#][^#]*?)\s*:(?=\s|$)/;
+
+// Value that starts a block scalar (its text is on the lines below)
+const BLOCK_SCALAR = /^[|>][-+0-9]*\s*(?:#.*)?$/;
+
+/**
+ * Read a key as written (plain, "double" or 'single' quoted)
+ *
+ * @param {string} raw - Key text
+ * @returns {string}
+ */
+function unquote(raw) {
+  if (raw.startsWith('"')) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw.slice(1, -1);
+    }
+  }
+  if (raw.startsWith("'")) return raw.slice(1, -1).replace(/''/g, "'");
+  return raw;
+}
+
+export default class YAMLOutline {
+  /**
+   * Split a line into its list item dashes and its key
+   *
+   * @param {string} line - Line of YAML
+   * @returns {{tokens: Array<Object>, value: string}} Tokens have a 0-based
+   *   `column`; key tokens also have `key` and `endColumn`. `value` is the
+   *   text after the key (or after the dashes)
+   */
+  static tokenize(line) {
+    const tokens = [];
+    let position = line.match(/^ */)[0].length;
+
+    let dash;
+    while ((dash = line.slice(position).match(/^-(?: +|$)/))) {
+      tokens.push({ type: 'item', column: position });
+      position += dash[0].length;
+    }
+
+    const match = line.slice(position).match(KEY_PATTERN);
+    if (match) {
+      tokens.push({ type: 'key', key: unquote(match[1]), column: position, endColumn: position + match[1].length });
+      position += match[0].length;
+    }
+
+    return { tokens, value: line.slice(position).trim() };
+  }
+
+  /**
+   * Read the structure of some lines
+   *
+   * @private
+   * @param {Array<string>} lines - Lines of YAML
+   * @param {Function} visit - ({line, token, path}) => boolean|void, called for each
+   *   key and item with its 1-based line; return true to stop
+   * @returns {Object} Where the reading stopped: {stack, blockColumn}
+   */
+  static walk(lines, visit) {
+    const state = { stack: [], root: { nextIndex: 0 }, blockColumn: -1 };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const indent = line.match(/^ */)[0].length;
+
+      // Text of a block scalar is indented more than its key
+      if (state.blockColumn >= 0) {
+        if (!line.trim() || indent > state.blockColumn) continue;
+        state.blockColumn = -1;
+      }
+      if (SKIPPED_LINE.test(line)) continue;
+
+      const { tokens, value } = YAMLOutline.tokenize(line);
+      for (const token of tokens) {
+        const path = YAMLOutline.enter(state, token);
+        if (visit({ line: i + 1, token, path })) return state;
+      }
+
+      if (tokens.length > 0 && BLOCK_SCALAR.test(value)) {
+        state.blockColumn = tokens[tokens.length - 1].column;
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Move into a key or list item
+   * Items are treated as half a column deeper than their dash, so a list
+   * may sit at the same indent as its key.
+   *
+   * @private
+   * @param {Object} state - Reading state (see walk)
+   * @param {Object} token - Key or item token
+   * @returns {Array<string|number>} Path of the token
+   */
+  static enter(state, token) {
+    const { stack } = state;
+    const column = token.type === 'item' ? token.column + 0.5 : token.column;
+    while (stack.length > 0 && stack[stack.length - 1].column >= column) {
+      stack.pop();
+    }
+
+    if (token.type === 'item') {
+      const parent = stack[stack.length - 1] || state.root;
+      stack.push({ column, segment: parent.nextIndex, nextIndex: 0 });
+      parent.nextIndex++;
+    } else {
+      stack.push({ column, segment: token.key, nextIndex: 0 });
+    }
+
+    return stack.map(entry => entry.segment);
+  }
+
+  /**
+   * Find where the value at a path is written
+   * Falls back to the deepest part of the path that is found.
+   *
+   * @param {string} text - YAML text
+   * @param {Array<string|number>} path - Keys and indexes from the root
+   * @returns {{line: number, column: number, endColumn: number}} 1-based
+   *   position of the key (or of the item's dash)
+   */
+  static locate(text, path) {
+    let best = null;
+    let bestLength = -1;
+
+    YAMLOutline.walk(text.split('\n'), ({ line, token, path: tokenPath }) => {
+      const matched = tokenPath.length <= path.length
+        && tokenPath.every((segment, index) => segment === path[index]);
+      if (matched && tokenPath.length > bestLength) {
+        bestLength = tokenPath.length;
+        best = {
+          line,
+          column: token.column + 1,
+          endColumn: (token.type === 'key' ? token.endColumn : token.column + 1) + 1,
+        };
+      }
+      return bestLength === path.length;
+    });
+
+    return best || { line: 1, column: 1, endColumn: 1 };
+  }
+
+  /**
+   * What a cursor is at, for completions
+   *
+   * @param {string} text - YAML text
+   * @param {number} lineNumber - 1-based line of the cursor
+   * @param {number} column - 1-based column of the cursor
+   * @returns {{path: Array<string|number>, kind: string}|null} `kind` is 'key'
+   *   when a key of the object at `path` can be typed, 'value' when the value
+   *   at `path` is typed; null inside block scalars
+   */
+  static contextAt(text, lineNumber, column) {
+    const lines = text.split('\n');
+    const prefix = (lines[lineNumber - 1] || '').slice(0, column - 1);
+    const state = YAMLOutline.walk(lines.slice(0, lineNumber - 1), () => false);
+
+    const indent = prefix.match(/^ */)[0].length;
+    if (state.blockColumn >= 0 && (indent > state.blockColumn || !prefix.trim())) return null;
+    if (/^\s*#/.test(prefix)) return null;
+
+    const { tokens } = YAMLOutline.tokenize(prefix);
+    let path = null;
+    tokens.forEach((token) => {
+      path = YAMLOutline.enter(state, token);
+    });
+
+    if (tokens.some(token => token.type === 'key')) {
+      return { path, kind: 'value' };
+    }
+
+    // A key being typed where the cursor's word starts
+    const wordColumn = prefix.length - prefix.match(/[^\s-]*$/)[0].length;
+    while (state.stack.length > 0 && state.stack[state.stack.length - 1].column >= wordColumn) {
+      state.stack.pop();
+    }
+    return { path: state.stack.map(entry => entry.segment), kind: 'key' };
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Docker Compose file (docker-compose.yml, compose.yaml)
+ *
+ * Services, volumes and networks, after the Compose specification's schema
+ * (https://github.com/compose-spec/compose-spec)
+ */
+
+const stringOrList = { type: ['string', 'array'], items: { type: 'string' } };
+
+const listOrDict = {
+  description: 'A list of KEY=value strings, or a mapping',
+  type: ['array', 'object'],
+  items: { type: 'string' },
+  additionalProperties: { type: ['string', 'number', 'boolean', 'null'] },
+};
+
+const service = {
+  type: 'object',
+  description: 'A container and how to run it',
+  properties: {
+    image: { type: 'string', description: 'Image to start the container from, e.g. postgres:16' },
+    build: {
+      description: 'Build the image: a folder with a Dockerfile, or build settings',
+      anyOf: [
+        { type: 'string' },
+        {
+          type: 'object',
+          properties: {
+            context: { type: 'string', description: 'Folder sent to the builder' },
+            dockerfile: { type: 'string', description: 'Dockerfile, relative to the context' },
+            args: listOrDict,
+            target: { type: 'string', description: 'Stage of a multi-stage Dockerfile to build' },
+            cache_from: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      ],
+    },
+    container_name: { type: 'string', description: 'Name of the container instead of a generated one' },
+    command: { ...stringOrList, description: 'Command that replaces the image\'s CMD' },
+    entrypoint: { ...stringOrList, description: 'Command that replaces the image\'s ENTRYPOINT' },
+    environment: { ...listOrDict, description: 'Environment variables' },
+    env_file: { ...stringOrList, description: 'Files to read environment variables from' },
+    ports: {
+      type: 'array',
+      description: 'Ports to publish, as "HOST:CONTAINER"',
+      items: { type: ['string', 'number', 'object'] },
+    },
+    expose: { type: 'array', description: 'Ports open to other services only', items: { type: ['string', 'number'] } },
+    volumes: {
+      type: 'array',
+      description: 'Volumes and host folders to mount, as "SOURCE:TARGET[:MODE]"',
+      items: { type: ['string', 'object'] },
+    },
+    depends_on: {
+      description: 'Services to start first',
+      type: ['array', 'object'],
+      items: { type: 'string' },
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          condition: { enum: ['service_started', 'service_healthy', 'service_completed_successfully'] },
+          restart: { type: 'boolean' },
+        },
+      },
+    },
+    restart: {
+      enum: ['no', 'always', 'on-failure', 'unless-stopped'],
+      description: 'When to restart the container',
+    },
+    networks: { type: ['array', 'object'], description: 'Networks to join', items: { type: 'string' } },
+    network_mode: { type: 'string', description: 'e.g. host, none or service:<name>' },
+    working_dir: { type: 'string', description: 'Folder commands run in' },
+    user: { type: 'string', description: 'User to run as' },
+    hostname: { type: 'string' },
+    labels: listOrDict,
+    healthcheck: {
+      type: 'object',
+      description: 'How to check that the container is healthy',
+      properties: {
+        test: { ...stringOrList, description: 'Command to run, e.g. ["CMD", "pg_isready"]' },
+        interval: { type: 'string', description: 'Time between checks, e.g. 30s' },
+        timeout: { type: 'string' },
+        retries: { type: 'number', minimum: 0 },
+        start_period: { type: 'string' },
+        disable: { type: 'boolean' },
+      },
+      additionalProperties: false,
+    },
+    deploy: { type: 'object', description: 'Resources and replicas' },
+    profiles: { type: 'array', description: 'Only start the service with these profiles', items: { type: 'string' } },
+    extra_hosts: listOrDict,
+    logging: {
+      type: 'object',
+      properties: {
+        driver: { type: 'string' },
+        options: { type: 'object' },
+      },
+    },
+    secrets: { type: 'array', description: 'Secrets the service can read', items: { type: ['string', 'object'] } },
+    configs: { type: 'array', items: { type: ['string', 'object'] } },
+    stdin_open: { type: 'boolean' },
+    tty: { type: 'boolean' },
+    privileged: { type: 'boolean' },
+    platform: { type: 'string', description: 'e.g. linux/amd64' },
+    pull_policy: { enum: ['always', 'never', 'missing', 'build', 'if_not_present'] },
+  },
+  patternProperties: {
+    '^x-': {},
+  },
+  additionalProperties: false,
+};
+
+// Top-level volumes, networks, secrets and configs: names mapped to settings
+const named = description => ({
+  type: 'object',
+  description,
+  additionalProperties: { type: ['object', 'null'] },
+});
+
+export default {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Docker Compose file',
+  type: 'object',
+  properties: {
+    version: { type: 'string', description: 'Obsolete: Compose ignores it' },
+    name: { type: 'string', description: 'Project name' },
+    services: {
+      type: 'object',
+      description: 'Services of the application, by name',
+      patternProperties: {
+        '^[a-zA-Z0-9._-]+$': service,
+      },
+      additionalProperties: false,
+    },
+    volumes: named('Named volumes services can mount'),
+    networks: named('Networks services can join'),
+    secrets: named('Secrets services can read'),
+    configs: named('Configuration files services can read'),
+    include: { type: 'array', description: 'Other Compose files to include' },
+  },
+  patternProperties: {
+    '^x-': {},
+  },
+  additionalProperties: false,
+};
@@ -0,0 +1,190 @@
+/**
+ * GitHub Actions workflow (.github/workflows/*.yml)
+ *
+ * Triggers, jobs and steps, after https://json.schemastore.org/github-workflow.json
+ */
+
+const env = {
+  type: 'object',
+  description: 'Environment variables',
+  additionalProperties: { type: ['string', 'number', 'boolean'] },
+};
+
+const shell = {
+  type: 'string',
+  description: 'Shell that runs the commands',
+  examples: ['bash', 'pwsh', 'python', 'sh', 'cmd', 'powershell'],
+};
+
+const permissionLevel = { enum: ['read', 'write', 'none'] };
+
+const permissions = {
+  description: 'Permissions of the GITHUB_TOKEN',
+  anyOf: [
+    { enum: ['read-all', 'write-all'] },
+    {
+      type: 'object',
+      properties: Object.fromEntries([
+        'actions', 'attestations', 'checks', 'contents', 'deployments', 'discussions', 'id-token',
+        'issues', 'packages', 'pages', 'pull-requests', 'repository-projects', 'security-events', 'statuses',
+      ].map(scope => [scope, permissionLevel])),
+      additionalProperties: false,
+    },
+  ],
+};
+
+const branchFilters = {
+  type: 'object',
+  properties: {
+    branches: { type: 'array', description: 'Branches that trigger the workflow (glob patterns)', items: { type: 'string' } },
+    'branches-ignore': { type: 'array', description: 'Branches that do not trigger the workflow', items: { type: 'string' } },
+    tags: { type: 'array', description: 'Tags that trigger the workflow', items: { type: 'string' } },
+    'tags-ignore': { type: 'array', items: { type: 'string' } },
+    paths: { type: 'array', description: 'Only run when these files change', items: { type: 'string' } },
+    'paths-ignore': { type: 'array', description: 'Do not run when only these files change', items: { type: 'string' } },
+    types: { type: 'array', description: 'Activity types that trigger the workflow', items: { type: 'string' } },
+  },
+};
+
+const events = [
+  'branch_protection_rule', 'check_run', 'check_suite', 'create', 'delete', 'deployment', 'deployment_status',
+  'discussion', 'discussion_comment', 'fork', 'gollum', 'issue_comment', 'issues', 'label', 'merge_group',
+  'milestone', 'page_build', 'public', 'pull_request', 'pull_request_review', 'pull_request_review_comment',
+  'pull_request_target', 'push', 'registry_package', 'release', 'repository_dispatch', 'schedule', 'status',
+  'watch', 'workflow_call', 'workflow_dispatch', 'workflow_run',
+];
+
+const step = {
+  type: 'object',
+  description: 'A command or an action',
+  properties: {
+    id: { type: 'string', description: 'Identifier to refer to the step in expressions' },
+    name: { type: 'string', description: 'Name shown on GitHub' },
+    if: { type: ['string', 'boolean'], description: 'Only run the step when this expression is true' },
+    uses: { type: 'string', description: 'Action to run, e.g. actions/checkout@v4' },
+    run: { type: 'string', description: 'Commands to run' },
+    with: {
+      type: 'object',
+      description: 'Inputs of the action',
+      additionalProperties: { type: ['string', 'number', 'boolean'] },
+    },
+    env,
+    shell,
+    'working-directory': { type: 'string', description: 'Folder the commands run in' },
+    'continue-on-error': { type: ['boolean', 'string'], description: 'Let the job go on when the step fails' },
+    'timeout-minutes': { type: ['number', 'string'], description: 'Cancel the step after this many minutes' },
+  },
+  additionalProperties: false,
+  anyOf: [
+    { required: ['uses'] },
+    { required: ['run'] },
+  ],
+};
+
+const job = {
+  type: 'object',
+  description: 'A job: steps run on one runner',
+  properties: {
+    name: { type: 'string', description: 'Name shown on GitHub' },
+    'runs-on': {
+      description: 'Runner to use, e.g. ubuntu-latest',
+      type: ['string', 'array', 'object'],
+      examples: ['ubuntu-latest', 'windows-latest', 'macos-latest'],
+    },
+    needs: { type: ['string', 'array'], description: 'Jobs that must succeed before this one runs', items: { type: 'string' } },
+    if: { type: ['string', 'boolean'], description: 'Only run the job when this expression is true' },
+    permissions,
+    environment: { type: ['string', 'object'], description: 'Deployment environment of the job' },
+    concurrency: { type: ['string', 'object'], description: 'Only one run in the same group at a time' },
+    outputs: { type: 'object', description: 'Values the jobs that need this one can read', additionalProperties: { type: 'string' } },
+    env,
+    defaults: {
+      type: 'object',
+      properties: {
+        run: {
+          type: 'object',
+          properties: { shell, 'working-directory': { type: 'string' } },
+        },
+      },
+    },
+    steps: { type: 'array', description: 'Steps of the job', minItems: 1, items: step },
+    'timeout-minutes': { type: ['number', 'string'], description: 'Cancel the job after this many minutes' },
+    strategy: {
+      type: 'object',
+      description: 'Run the job once per combination of the matrix values',
+      properties: {
+        matrix: { type: ['object', 'string'], description: 'Variables and the values to combine' },
+        'fail-fast': { type: ['boolean', 'string'], description: 'Cancel the other jobs when one fails' },
+        'max-parallel': { type: ['number', 'string'], description: 'How many jobs run at once' },
+      },
+    },
+    'continue-on-error': { type: ['boolean', 'string'], description: 'Let the workflow go on when the job fails' },
+    container: { type: ['string', 'object'], description: 'Container the steps run in' },
+    services: { type: 'object', description: 'Containers the job uses, e.g. databases' },
+    uses: { type: 'string', description: 'Reusable workflow to call, e.g. ./.github/workflows/build.yml' },
+    with: { type: 'object', description: 'Inputs of the reusable workflow' },
+    secrets: { type: ['object', 'string'], description: 'Secrets of the reusable workflow, or "inherit"' },
+  },
+  additionalProperties: false,
+  anyOf: [
+    { required: ['runs-on'] },
+    { required: ['uses'] },
+  ],
+};
+
+export default {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'GitHub Actions workflow',
+  type: 'object',
+  required: ['on', 'jobs'],
+  properties: {
+    name: { type: 'string', description: 'Name of the workflow shown on GitHub' },
+    'run-name': { type: 'string', description: 'Name of each run; may use expressions' },
+    on: {
+      description: 'Events that trigger the workflow',
+      anyOf: [
+        { enum: events },
+        { type: 'array', items: { enum: events } },
+        {
+          type: 'object',
+          properties: {
+            ...Object.fromEntries(events.map(event => [event, { ...branchFilters, type: ['object', 'null'] }])),
+            schedule: {
+              type: 'array',
+              description: 'Times to run the workflow',
+              items: {
+                type: 'object',
+                required: ['cron'],
+                properties: { cron: { type: 'string', description: 'POSIX cron expression, in UTC' } },
+              },
+            },
+            workflow_dispatch: {
+              type: ['object', 'null'],
+              description: 'Run the workflow by hand',
+              properties: { inputs: { type: 'object' } },
+            },
+            workflow_call: {
+              type: ['object', 'null'],
+              description: 'Let other workflows call this one',
+              properties: { inputs: { type: 'object' }, outputs: { type: 'object' }, secrets: { type: 'object' } },
+            },
+          },
+          additionalProperties: false,
+        },
+      ],
+    },
+    env,
+    permissions,
+    concurrency: { type: ['string', 'object'], description: 'Only one run in the same group at a time' },
+    defaults: { type: 'object', description: 'Settings shared by all jobs' },
+    jobs: {
+      type: 'object',
+      description: 'Jobs of the workflow, by id',
+      patternProperties: {
+        '^[_a-zA-Z][a-zA-Z0-9_-]*$': job,
+      },
+      additionalProperties: false,
+    },
+  },
+  additionalProperties: false,
+};
@@ -0,0 +1,168 @@
+/**
+ * package.json - npm package manifest
+ *
+ * The fields npm, Node.js and bundlers read, after
+ * https://json.schemastore.org/package.json
+ */
+
+const dependencies = {
+  type: 'object',
+  description: 'Package names mapped to version ranges, tarball or git URLs, or local paths',
+  additionalProperties: { type: 'string' },
+};
+
+const person = {
+  description: 'A person: "Name <email> (url)" or an object',
+  anyOf: [
+    { type: 'string' },
+    {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string' },
+        email: { type: 'string', description: 'Email address' },
+        url: { type: 'string', description: 'Home page' },
+      },
+    },
+  ],
+};
+
+export default {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'package.json',
+  type: 'object',
+  properties: {
+    name: {
+      type: 'string',
+      description: 'Name of the package: lowercase, URL-safe, optionally scoped (@scope/name)',
+      maxLength: 214,
+      pattern: '^(?:@[a-z0-9-*~][a-z0-9-*._~]*/)?[a-z0-9-~][a-z0-9-._~]*$',
+      patternErrorMessage: 'Package names are lowercase and may only contain URL-safe characters',
+    },
+    version: {
+      type: 'string',
+      description: 'Version of the package, a semver version such as 1.0.0',
+    },
+    description: { type: 'string', description: 'Short description shown in npm search' },
+    keywords: { type: 'array', description: 'Words that help people find the package', items: { type: 'string' } },
+    homepage: { type: 'string', description: 'URL of the project home page' },
+    bugs: {
+      description: 'Where issues are reported: a URL or an object with url and email',
+      anyOf: [
+        { type: 'string' },
+        {
+          type: 'object',
+          properties: {
+            url: { type: 'string' },
+            email: { type: 'string' },
+          },
+        },
+      ],
+    },
+    license: { type: 'string', description: 'SPDX license expression, e.g. MIT or (MIT OR Apache-2.0)' },
+    author: person,
+    contributors: { type: 'array', description: 'People who contributed to the package', items: person },
+    funding: { description: 'Where people can fund the package', type: ['string', 'object', 'array'] },
+    files: {
+      type: 'array',
+      description: 'Files to include when the package is published',
+      items: { type: 'string' },
+    },
+    main: { type: 'string', description: 'Module loaded when the package is required' },
+    module: { type: 'string', description: 'ES module entry point read by bundlers' },
+    browser: { description: 'Entry point or file replacements for browsers', type: ['string', 'object'] },
+    types: { type: 'string', description: 'TypeScript declarations of the package' },
+    typings: { type: 'string', description: 'Same as types' },
+    type: {
+      enum: ['commonjs', 'module'],
+      description: 'How .js files are loaded: as CommonJS (default) or as ES modules',
+    },
+    exports: {
+      description: 'Entry points of the package, which can depend on the conditions (import, require, browser, ...)',
+      type: ['string', 'object', 'array', 'null'],
+    },
+    imports: { type: 'object', description: 'Private import maps, with keys that start with #' },
+    bin: {
+      description: 'Commands the package installs: one path, or command names mapped to paths',
+      anyOf: [
+        { type: 'string' },
+        { type: 'object', additionalProperties: { type: 'string' } },
+      ],
+    },
+    man: { type: ['string', 'array'], description: 'Man pages of the package' },
+    directories: { type: 'object', description: 'Layout of the package' },
+    repository: {
+      description: 'Where the source is: a URL, "github:user/repo" or an object',
+      anyOf: [
+        { type: 'string' },
+        {
+          type: 'object',
+          properties: {
+            type: { type: 'string', description: 'Version control system, e.g. git' },
+            url: { type: 'string' },
+            directory: { type: 'string', description: 'Folder of the package in a monorepo' },
+          },
+        },
+      ],
+    },
+    scripts: {
+      type: 'object',
+      description: 'Commands run with npm run <name>',
+      properties: {
+        build: { type: 'string', description: 'Builds the package' },
+        dev: { type: 'string', description: 'Starts a development server' },
+        start: { type: 'string', description: 'Run by npm start' },
+        test: { type: 'string', description: 'Run by npm test' },
+        lint: { type: 'string', description: 'Checks the code' },
+        prepare: { type: 'string', description: 'Run on npm install and before publishing' },
+        prepublishOnly: { type: 'string', description: 'Run before the package is published' },
+        preinstall: { type: 'string', description: 'Run before the package is installed' },
+        postinstall: { type: 'string', description: 'Run after the package is installed' },
+      },
+      additionalProperties: { type: 'string' },
+    },
+    config: { type: 'object', description: 'Settings scripts read from npm_package_config_*' },
+    dependencies,
+    devDependencies: { ...dependencies, description: 'Packages needed only to develop and test the package' },
+    peerDependencies: { ...dependencies, description: 'Packages the host project must install alongside this one' },
+    peerDependenciesMeta: {
+      type: 'object',
+      description: 'Peer dependencies that are optional',
+      additionalProperties: {
+        type: 'object',
+        properties: { optional: { type: 'boolean' } },
+      },
+    },
+    optionalDependencies: { ...dependencies, description: 'Packages whose installation may fail' },
+    bundleDependencies: { type: ['array', 'boolean'], description: 'Packages included in the published tarball' },
+    overrides: { type: 'object', description: 'Versions to use for dependencies of dependencies' },
+    engines: {
+      type: 'object',
+      description: 'Versions of Node.js (and npm) the package runs on',
+      properties: {
+        node: { type: 'string' },
+        npm: { type: 'string' },
+      },
+      additionalProperties: { type: 'string' },
+    },
+    os: { type: 'array', description: 'Operating systems the package runs on', items: { type: 'string' } },
+    cpu: { type: 'array', description: 'CPU architectures the package runs on', items: { type: 'string' } },
+    private: { type: 'boolean', description: 'If true, npm refuses to publish the package' },
+    publishConfig: { type: 'object', description: 'Settings used when the package is published' },
+    workspaces: {
+      description: 'Folders of the packages in this monorepo',
+      type: ['array', 'object'],
+      items: { type: 'string' },
+    },
+    sideEffects: {
+      description: 'Whether modules have side effects, or which files do (lets bundlers drop unused modules)',
+      type: ['boolean', 'array'],
+      items: { type: 'string' },
+    },
+    packageManager: {
+      type: 'string',
+      description: 'Package manager the project uses, e.g. pnpm@9.0.0',
+      pattern: '^(npm|pnpm|yarn|bun)@.+$',
+    },
+  },
+};
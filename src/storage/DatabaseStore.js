@@ -0,0 +1,160 @@
+/**
+ * DatabaseStore.js
+ *
+ * Remembers the named databases of the SQL runtimes across reloads
+ *
+ * Each database runtime works on a scratch in-memory database or on one of
+ * its named databases, whose data the runtime keeps itself (SQLite snapshots
+ * in FileManager, DuckDB files in the origin private file system, PGlite
+ * clusters in IndexedDB). This registry lists the named databases of each
+ * runtime and which one it opens on load.
+ */
+
+// localStorage key of the registry
+const REGISTRY_KEY = 'drlee-ide-databases';
+
+// Database names end up in file names, so they are kept to a safe alphabet
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export default class DatabaseStore {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {Storage} [options.storage] - Where the registry is kept (default: localStorage)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || localStorage;
+  }
+
+  /**
+   * Names of a runtime's databases
+   *
+   * @param {string} language - Runtime language (e.g. 'sqlite')
+   * @returns {Array<string>} Sorted by name
+   */
+  list(language) {
+    return [...this.read(language).databases].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Check whether a runtime has a database
+   *
+   * @param {string} language - Runtime language
+   * @param {string} name - Database name
+   * @returns {boolean}
+   */
+  has(language, name) {
+    return this.read(language).databases.includes(name);
+  }
+
+  /**
+   * The database a runtime opens on load
+   *
+   * @param {string} language - Runtime language
+   * @returns {string|null} Its name, or null for an in-memory database
+   */
+  getActive(language) {
+    const { active, databases } = this.read(language);
+    return databases.includes(active) ? active : null;
+  }
+
+  /**
+   * Choose the database a runtime opens on load, adding it if it is new
+   *
+   * @param {string} language - Runtime language
+   * @param {string|null} name - Database name, or null for an in-memory database
+   */
+  setActive(language, name) {
+    const entry = this.read(language);
+    if (name !== null) {
+      DatabaseStore.validateName(name);
+      if (!entry.databases.includes(name)) entry.databases.push(name);
+    }
+    this.write(language, { ...entry, active: name });
+  }
+
+  /**
+   * Forget a database; a runtime that opened it opens an in-memory one instead
+   *
+   * @param {string} language - Runtime language
+   * @param {string} name - Database name
+   */
+  remove(language, name) {
+    const entry = this.read(language);
+    this.write(language, {
+      active: entry.active === name ? null : entry.active,
+      databases: entry.databases.filter(database => database !== name),
+    });
+  }
+
+  /**
+   * A runtime's registry entry
+   *
+   * @private
+   * @param {string} language - Runtime language
+   * @returns {{active: (string|null), databases: Array<string>}}
+   */
+  read(language) {
+    try {
+      const entry = JSON.parse(this.storage.getItem(REGISTRY_KEY) || '{}')[language];
+      return {
+        active: entry?.active ?? null,
+        databases: Array.isArray(entry?.databases) ? entry.databases.filter(name => NAME_PATTERN.test(name)) : [],
+      };
+    } catch (error) {
+      console.warn('[DatabaseStore] Ignoring unreadable registry:', error);
+      return { active: null, databases: [] };
+    }
+  }
+
+  /**
+   * Save a runtime's registry entry
+   *
+   * @private
+   * @param {string} language - Runtime language
+   * @param {{active: (string|null), databases: Array<string>}} entry - Entry
+   */
+  write(language, entry) {
+    let registry;
+    try {
+      registry = JSON.parse(this.storage.getItem(REGISTRY_KEY) || '{}');
+    } catch {
+      registry = {};
+    }
+
+    registry[language] = entry;
+    this.storage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+  }
+
+  /**
+   * Check a database name
+   *
+   * @param {string} name - Database name
+   * @returns {string} The name
+   * @throws {Error} If it is empty, too long or has other characters than
+   *   letters, digits, '_' and '-'
+   */
+  static validateName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid database name "${name}": use up to 64 letters, digits, '_' and '-'`);
+    }
+    return name;
+  }
+
+  /**
+   * A database name for an opened file ('My School.sqlite' -> 'My_School')
+   *
+   * @param {string} fileName - File name
+   * @param {Array<string>} [taken] - Names in use, which get a number ('school-2')
+   * @returns {string}
+   */
+  static nameFromFile(fileName, taken = []) {
+    const stem = String(fileName).split(/[/\\]/).pop().replace(/\.[^.]*$/, '');
+    const base = stem.replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^[_-]+|[_-]+$/g, '').slice(0, 60) || 'database';
+
+    let name = base;
+    for (let number = 2; taken.includes(name); number++) {
+      name = `${base}-${number}`;
+    }
+    return name;
+  }
+}
@@ -10,21 +10,52 @@
  * - Delete files
  * - Export/import files
  * - File metadata (language, created, modified)
+ * - Projects (e.g. cloned repositories) with their own folders and paths
+ * - Binary files (images, databases, .parquet, .wasm) stored as Blobs
+ * - Path-based API: readFile, writeFile, readdir, mkdir, rmdir, rename, move
+ * - Revision history: earlier versions of text files, kept when they are overwritten
  *
- * Storage Structure:
+ * Storage Structure (schema v3):
  * - Database: drlee-ide-files
- * - Object Store: files
- * - Index: by language, by name
+ * - Object Store: files    { id, projectId, name, content, binary, language, size, created, modified }
+ *   `name` is the file's path inside its project and is unique per project.
+ *   `content` is a string, or a Blob when `binary` is true. Files of a
+ *   project also carry its name and URL as `gitRepo` / `gitUrl`, the fields
+ *   schema v1 used for cloned repositories.
+ * - Object Store: folders  { id, projectId, path, created }, so empty folders persist
+ * - Object Store: projects { id, name, gitUrl, created, modified }
+ * - Object Store: revisions { id, fileId, content, size, modified, created, reason }
+ *   `content` is the text a save replaced and `modified` when it was saved.
+ * - Index: by language, by name, by project, by project + path, by file (revisions)
+ *
+ * Files outside any project have projectId 0 (NO_PROJECT).
  */
 
+// projectId of files that belong to no project
+const NO_PROJECT = 0;
+
 export default class FileManager {
   constructor() {
     this.dbName = 'drlee-ide-files';
-    this.dbVersion = 1;
+    this.dbVersion = 3;
     this.storeName = 'files';
+    this.folderStoreName = 'folders';
+    this.projectStoreName = 'projects';
+    this.revisionStoreName = 'revisions';
+    this.maxRevisions = 50; // Per file; the oldest are dropped
+    this.autosaveRevisionInterval = 60000; // Autosaves keep at most one revision per minute
     this.db = null;
   }
 
+  /**
+   * projectId of files that belong to no project
+   *
+   * @returns {number}
+   */
+  static get NO_PROJECT() {
+    return NO_PROJECT;
+  }
+
   /**
    * Initialize IndexedDB database
    *
@@ -58,52 +89,186 @@ export default class FileManager {
           objectStore.createIndex('language', 'language', { unique: false });
           objectStore.createIndex('modified', 'modified', { unique: false });
         }
+
+        if (event.oldVersion < 2) {
+          this.upgradeToV2(db, event.target.transaction);
+        }
+
+        if (event.oldVersion < 3) {
+          const revisionStore = db.createObjectStore(this.revisionStoreName, { keyPath: 'id', autoIncrement: true });
+          revisionStore.createIndex('fileId', 'fileId', { unique: false });
+        }
       };
     });
   }
 
+  /**
+   * Add the folder and project stores and move v1 files into them
+   * Runs inside the upgrade transaction, so a failure leaves v1 untouched.
+   *
+   * @private
+   * @param {IDBDatabase} db - Database being upgraded
+   * @param {IDBTransaction} transaction - The versionchange transaction
+   */
+  upgradeToV2(db, transaction) {
+    const folderStore = db.createObjectStore(this.folderStoreName, { keyPath: 'id', autoIncrement: true });
+    folderStore.createIndex('projectId', 'projectId', { unique: false });
+    folderStore.createIndex('path', ['projectId', 'path'], { unique: true });
+
+    const projectStore = db.createObjectStore(this.projectStoreName, { keyPath: 'id', autoIncrement: true });
+    projectStore.createIndex('name', 'name', { unique: true });
+
+    const fileStore = transaction.objectStore(this.storeName);
+    const request = fileStore.getAll();
+
+    request.onsuccess = () => {
+      const { projects, folders, files } = FileManager.migrateFiles(request.result);
+
+      projects.forEach(project => projectStore.put(project));
+      folders.forEach(folder => folderStore.put(folder));
+      files.forEach(file => fileStore.put(file));
+
+      // Created after the migrated names are unique
+      fileStore.createIndex('projectId', 'projectId', { unique: false });
+      fileStore.createIndex('path', ['projectId', 'name'], { unique: true });
+    };
+  }
+
+  /**
+   * Convert v1 file records to v2 records
+   *
+   * Every cloned repository (gitRepo) becomes a project. Names are cleaned
+   * up into paths, and a name already taken in the same project gets a
+   * numbered suffix (`notes (2).txt`), since v1 allowed duplicates.
+   *
+   * @param {object[]} files - v1 file records
+   * @returns {{projects: object[], folders: object[], files: object[]}}
+   */
+  static migrateFiles(files) {
+    const projects = new Map(); // Repository name -> project record
+    const taken = new Map(); // projectId -> Set of paths
+    const folders = [];
+    const migrated = [];
+
+    for (const file of files) {
+      let projectId = NO_PROJECT;
+      if (file.gitRepo) {
+        if (!projects.has(file.gitRepo)) {
+          projects.set(file.gitRepo, {
+            id: projects.size + 1,
+            name: file.gitRepo,
+            gitUrl: file.gitUrl || null,
+            created: file.created || Date.now(),
+            modified: file.modified || Date.now(),
+          });
+        }
+        projectId = projects.get(file.gitRepo).id;
+      }
+
+      if (!taken.has(projectId)) taken.set(projectId, new Set());
+      const paths = taken.get(projectId);
+
+      let path;
+      try {
+        path = FileManager.normalizePath(file.name);
+      } catch (error) {
+        path = '';
+      }
+      path = FileManager.uniquePath(path || 'untitled', paths);
+      paths.add(path);
+
+      for (const folder of FileManager.parentPaths(path)) {
+        if (!folders.some(entry => entry.projectId === projectId && entry.path === folder)) {
+          folders.push({ projectId, path: folder, created: file.created || Date.now() });
+        }
+      }
+
+      migrated.push({
+        ...file,
+        projectId,
+        name: path,
+        content: typeof file.content === 'string' ? file.content : String(file.content ?? ''),
+        binary: false,
+      });
+    }
+
+    // A file and a folder cannot share a path
+    return {
+      projects: [...projects.values()],
+      folders: folders.filter(folder => !taken.get(folder.projectId).has(folder.path)),
+      files: migrated,
+    };
+  }
+
   /**
    * Save a file to IndexedDB
    *
+   * The file belongs to the project given by `projectId`, or else to the
+   * project named by `gitRepo` (created if needed). Updates that give
+   * neither stay in their project; new files go outside any project.
+   * Its parent folders are created. Saving a new file at a path that is
+   * already taken in its project fails.
+   *
+   * With `options.revision`, the text being overwritten is kept in the
+   * file's revision history (see shouldRecordRevision()).
+   *
    * @param {object} file - File object to save
-   * @param {string} file.name - File name
-   * @param {string} file.content - File content (code)
+   * @param {string} file.name - File path within its project
+   * @param {string|Blob|ArrayBuffer|Uint8Array} file.content - File content
+   *   (text, or binary data which is stored as a Blob); may be empty
    * @param {string} file.language - Programming language
    * @param {number} [file.id] - File ID (for updates)
+   * @param {number} [file.projectId] - Project ID
+   * @param {string} [file.gitRepo] - Project name, when projectId is not given
+   * @param {object} [options] - Save options
+   * @param {string} [options.revision] - 'save', 'autosave', 'restore' or 'revert'
+   *   to keep the previous content as a revision
    * @returns {Promise<number>} File ID
    */
-  async saveFile(file) {
+  async saveFile(file, options = {}) {
     if (!this.db) {
       throw new Error('FileManager not initialized. Call init() first.');
     }
 
     // Validate file
-    if (!file.name || !file.content || !file.language) {
+    if (!file.name || !FileManager.isContent(file.content) || !file.language) {
       throw new Error('File must have name, content, and language');
     }
 
     const now = Date.now();
+    const content = FileManager.toStoredContent(file.content, file.mimeType);
 
     const fileData = {
       ...file,
+      name: FileManager.normalizePath(file.name),
+      content,
+      binary: typeof content !== 'string',
       modified: now,
       created: file.created || now,
-      size: file.content.length,
+      size: typeof content === 'string' ? content.length : content.size,
     };
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
-      const objectStore = transaction.objectStore(this.storeName);
+    if (!fileData.name) {
+      throw new Error(`Invalid file name: ${file.name}`);
+    }
 
-      const request = objectStore.put(fileData);
+    return this.runTransaction('readwrite', async ({ files, folders, projects, revisions }) => {
+      const existing = file.id != null ? await FileManager.request(files.get(file.id)) : null;
 
-      request.onsuccess = () => {
-        resolve(request.result); // Returns the file ID
-      };
+      let owner = file;
+      if (existing && file.projectId === undefined && !file.gitRepo) {
+        owner = { projectId: existing.projectId };
+      }
+      FileManager.assignProject(fileData, await this.resolveProject(projects, owner));
 
-      request.onerror = () => {
-        reject(new Error(`Failed to save file: ${request.error}`));
-      };
+      await this.checkPathFree(files, folders, fileData.projectId, fileData.name, fileData.id);
+      await this.createFolders(folders, fileData.projectId, FileManager.parentPaths(fileData.name));
+
+      if (existing && options.revision) {
+        await this.recordRevision(revisions, existing, content, options.revision);
+      }
+
+      return FileManager.request(files.put(fileData));
     });
   }
 
@@ -167,6 +332,7 @@ export default class FileManager {
    *
    * @param {object} [options] - Query options
    * @param {string} [options.language] - Filter by language
+   * @param {number} [options.projectId] - Only files of this project (0 for files outside projects)
    * @param {string} [options.sortBy] - Sort field ('modified', 'name')
    * @param {string} [options.order] - Sort order ('asc', 'desc')
    * @returns {Promise<object[]>} Array of file objects
@@ -186,6 +352,9 @@ export default class FileManager {
       if (options.language) {
         const index = objectStore.index('language');
         request = index.getAll(options.language);
+      } else if (options.projectId !== undefined) {
+        const index = objectStore.index('projectId');
+        request = index.getAll(options.projectId);
       } else {
         request = objectStore.getAll();
       }
@@ -193,6 +362,10 @@ export default class FileManager {
       request.onsuccess = () => {
         let files = request.result;
 
+        if (options.language && options.projectId !== undefined) {
+          files = files.filter(file => file.projectId === options.projectId);
+        }
+
         // Sort if requested
         if (options.sortBy) {
           files.sort((a, b) => {
@@ -217,7 +390,7 @@ export default class FileManager {
   }
 
   /**
-   * Delete a file by ID
+   * Delete a file by ID, with its revision history
    *
    * @param {number} id - File ID
    * @returns {Promise<void>}
@@ -227,24 +400,64 @@ export default class FileManager {
       throw new Error('FileManager not initialized');
     }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
-      const objectStore = transaction.objectStore(this.storeName);
+    try {
+      await this.runTransaction('readwrite', async ({ files, revisions }) => {
+        await FileManager.request(files.delete(id));
+        await this.deleteRevisions(revisions, [id]);
+      });
+    } catch (error) {
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
 
-      const request = objectStore.delete(id);
+  /**
+   * Get the revision history of a file
+   *
+   * @param {number} fileId - File ID
+   * @returns {Promise<object[]>} Revisions, newest first
+   */
+  async getRevisions(fileId) {
+    const revisions = await this.runTransaction('readonly', ({ revisions }) => (
+      FileManager.request(revisions.index('fileId').getAll(fileId))
+    ));
+    return revisions.sort((a, b) => b.created - a.created || b.id - a.id);
+  }
 
-      request.onsuccess = () => {
-        resolve();
-      };
+  /**
+   * Get a revision by ID
+   *
+   * @param {number} id - Revision ID
+   * @returns {Promise<object|null>} Revision or null if not found
+   */
+  async getRevision(id) {
+    const revision = await this.runTransaction('readonly', ({ revisions }) => FileManager.request(revisions.get(id)));
+    return revision || null;
+  }
 
-      request.onerror = () => {
-        reject(new Error(`Failed to delete file: ${request.error}`));
-      };
-    });
+  /**
+   * Put a revision's content back into its file
+   * The content it replaces becomes a revision itself, so restoring can be undone.
+   *
+   * @param {number} id - Revision ID
+   * @returns {Promise<object>} The file, as saved
+   */
+  async restoreRevision(id) {
+    const revision = await this.getRevision(id);
+    if (!revision) {
+      throw FileManager.error(`No such revision: ${id}`, 'NotFoundError');
+    }
+
+    const file = await this.loadFile(revision.fileId);
+    if (!file) {
+      throw FileManager.error(`The file of revision ${id} no longer exists`, 'NotFoundError');
+    }
+
+    await this.saveFile({ ...file, content: revision.content }, { revision: 'restore' });
+    return this.loadFile(revision.fileId);
   }
 
   /**
-   * Delete all files
+   * Delete all files, folders and projects
    *
    * @returns {Promise<void>}
    */
@@ -253,22 +466,321 @@ export default class FileManager {
       throw new Error('FileManager not initialized');
     }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
-      const objectStore = transaction.objectStore(this.storeName);
+    try {
+      await this.runTransaction('readwrite', ({ files, folders, projects, revisions }) => Promise.all([
+        FileManager.request(files.clear()),
+        FileManager.request(folders.clear()),
+        FileManager.request(projects.clear()),
+        FileManager.request(revisions.clear()),
+      ]));
+    } catch (error) {
+      throw new Error(`Failed to delete all files: ${error.message}`);
+    }
+  }
 
-      const request = objectStore.clear();
+  /**
+   * Create a project
+   *
+   * @param {string} name - Unique project name
+   * @param {object} [options] - Project options
+   * @param {string} [options.gitUrl] - Remote URL of a cloned repository
+   * @returns {Promise<number>} Project ID
+   */
+  async createProject(name, options = {}) {
+    if (!name || name.includes('/')) {
+      throw new Error(`Invalid project name: ${name}`);
+    }
 
-      request.onsuccess = () => {
-        resolve();
-      };
+    return this.runTransaction('readwrite', async ({ projects }) => {
+      if (await FileManager.request(projects.index('name').get(name))) {
+        throw FileManager.error(`A project named "${name}" already exists`, 'ConstraintError');
+      }
 
-      request.onerror = () => {
-        reject(new Error(`Failed to delete all files: ${request.error}`));
-      };
+      const now = Date.now();
+      return FileManager.request(projects.add({ name, gitUrl: options.gitUrl || null, created: now, modified: now }));
+    });
+  }
+
+  /**
+   * Get all projects
+   *
+   * @returns {Promise<object[]>} Project records sorted by name
+   */
+  async getProjects() {
+    const projects = await this.runTransaction('readonly', ({ projects }) => FileManager.request(projects.getAll()));
+    return projects.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a project by ID
+   *
+   * @param {number} id - Project ID
+   * @returns {Promise<object|null>} Project record or null if not found
+   */
+  async getProject(id) {
+    const project = await this.runTransaction('readonly', ({ projects }) => FileManager.request(projects.get(id)));
+    return project || null;
+  }
+
+  /**
+   * Get a project by name
+   *
+   * @param {string} name - Project name
+   * @returns {Promise<object|null>} Project record or null if not found
+   */
+  async getProjectByName(name) {
+    const project = await this.runTransaction('readonly', ({ projects }) => FileManager.request(projects.index('name').get(name)));
+    return project || null;
+  }
+
+  /**
+   * Delete a project with all of its files and folders
+   *
+   * @param {number} id - Project ID
+   * @returns {Promise<void>}
+   */
+  async deleteProject(id) {
+    await this.runTransaction('readwrite', async ({ files, folders, projects, revisions }) => {
+      const fileKeys = await FileManager.request(files.index('projectId').getAllKeys(id));
+      const folderKeys = await FileManager.request(folders.index('projectId').getAllKeys(id));
+
+      await Promise.all([
+        ...fileKeys.map(key => FileManager.request(files.delete(key))),
+        ...folderKeys.map(key => FileManager.request(folders.delete(key))),
+        FileManager.request(projects.delete(id)),
+      ]);
+      await this.deleteRevisions(revisions, fileKeys);
+    });
+  }
+
+  /**
+   * Get the folders of a project
+   *
+   * @param {object} [options] - Query options
+   * @param {number} [options.projectId] - Only folders of this project; all folders when omitted
+   * @returns {Promise<object[]>} Folder records sorted by path
+   */
+  async getAllFolders(options = {}) {
+    const folders = await this.runTransaction('readonly', ({ folders }) => FileManager.request(
+      options.projectId === undefined ? folders.getAll() : folders.index('projectId').getAll(options.projectId)
+    ));
+    return folders.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Look up a path
+   *
+   * @param {string} path - File or folder path
+   * @param {object} [options] - Options
+   * @param {number} [options.projectId=0] - Project the path is in
+   * @returns {Promise<object|null>} `{type: 'file', file}`, `{type: 'directory', folder}` or null
+   */
+  async stat(path, options = {}) {
+    const projectId = options.projectId ?? NO_PROJECT;
+    const normalized = FileManager.normalizePath(path);
+
+    return this.runTransaction('readonly', async ({ files, folders }) => {
+      if (!normalized) {
+        return { type: 'directory', folder: null };
+      }
+
+      const file = await FileManager.request(files.index('path').get([projectId, normalized]));
+      if (file) return { type: 'file', file };
+
+      const folder = await FileManager.request(folders.index('path').get([projectId, normalized]));
+      return folder ? { type: 'directory', folder } : null;
+    });
+  }
+
+  /**
+   * Read a file's content by path
+   *
+   * @param {string} path - File path
+   * @param {object} [options] - Options
+   * @param {number} [options.projectId=0] - Project the file is in
+   * @param {string} [options.encoding] - 'utf8' for text or 'binary' for a
+   *   Uint8Array; by default the stored content (string or Blob)
+   * @returns {Promise<string|Blob|Uint8Array>} File content
+   */
+  async readFile(path, options = {}) {
+    const entry = await this.stat(path, options);
+    if (!entry || entry.type !== 'file') {
+      throw FileManager.error(`No such file: ${path}`, 'NotFoundError');
+    }
+
+    const { content } = entry.file;
+    if (options.encoding === 'utf8') {
+      return typeof content === 'string' ? content : content.text();
+    }
+    if (options.encoding === 'binary') {
+      return typeof content === 'string'
+        ? new TextEncoder().encode(content)
+        : new Uint8Array(await content.arrayBuffer());
+    }
+    return content;
+  }
+
+  /**
+   * Create or overwrite a file by path
+   *
+   * @param {string} path - File path
+   * @param {string|Blob|ArrayBuffer|Uint8Array} content - File content
+   * @param {object} [options] - Options
+   * @param {number} [options.projectId=0] - Project the file is in
+   * @param {string} [options.language] - Language; kept for existing files
+   *   and guessed from the extension for new ones when omitted
+   * @param {string} [options.mimeType] - MIME type for binary content
+   * @param {string} [options.revision] - Keep the overwritten content in the
+   *   file's history, with this reason (see saveFile)
+   * @returns {Promise<number>} File ID
+   */
+  async writeFile(path, content, options = {}) {
+    const projectId = options.projectId ?? NO_PROJECT;
+    const entry = await this.stat(path, { projectId });
+
+    if (entry && entry.type === 'directory') {
+      throw FileManager.error(`"${path}" is a folder`, 'ConstraintError');
+    }
+
+    const existing = entry ? entry.file : { projectId, name: FileManager.normalizePath(path) };
+    const file = {
+      ...existing,
+      content,
+      language: options.language || existing.language || FileManager.detectLanguage(existing.name),
+    };
+    delete file.mimeType;
+    if (options.mimeType) file.mimeType = options.mimeType;
+
+    return this.saveFile(file, { revision: options.revision });
+  }
+
+  /**
+   * List a folder
+   *
+   * @param {string} [path=''] - Folder path; '' is the project root
+   * @param {object} [options] - Options
+   * @param {number} [options.projectId=0] - Project the folder is in
+   * @returns {Promise<Array<{name: string, path: string, type: string, id: number}>>}
+   *   Folders ('directory') first, then files ('file'), each sorted by name
+   */
+  async readdir(path = '', options = {}) {
+    const projectId = options.projectId ?? NO_PROJECT;
+    const directory = FileManager.normalizePath(path);
+
+    return this.runTransaction('readonly', async ({ files, folders }) => {
+      const allFolders = await FileManager.request(folders.index('projectId').getAll(projectId));
+      const allFiles = await FileManager.request(files.index('projectId').getAll(projectId));
+
+      if (directory && !allFolders.some(folder => folder.path === directory)) {
+        throw FileManager.error(`No such folder: ${path}`, 'NotFoundError');
+      }
+
+      const isChild = entryPath => FileManager.parentPath(entryPath) === directory;
+      const byName = (a, b) => a.name.localeCompare(b.name);
+      const entry = (entryPath, type, id) => ({ name: entryPath.split('/').pop(), path: entryPath, type, id });
+
+      return [
+        ...allFolders.filter(folder => isChild(folder.path)).map(folder => entry(folder.path, 'directory', folder.id)).sort(byName),
+        ...allFiles.filter(file => isChild(file.name)).map(file => entry(file.name, 'file', file.id)).sort(byName),
+      ];
+    });
+  }
+
+  /**
+   * Create a folder and any missing parent folders
+   *
+   * @param {string} path - Folder path
+   * @param {object} [options] - Options
+   * @param {number} [options.projectId=0] - Project the folder is in
+   * @returns {Promise<void>}
+   */
+  async mkdir(path, options = {}) {
+    const projectId = options.projectId ?? NO_PROJECT;
+    const directory = FileManager.normalizePath(path);
+    if (!directory) return;
+
+    await this.runTransaction('readwrite', async ({ files, folders }) => {
+      for (const folder of [...FileManager.parentPaths(directory), directory]) {
+        if (await FileManager.request(files.index('path').get([projectId, folder]))) {
+          throw FileManager.error(`"${folder}" is a file`, 'ConstraintError');
+        }
+      }
+      await this.createFolders(folders, projectId, [...FileManager.parentPaths(directory), directory]);
     });
   }
 
+  /**
+   * Delete a folder
+   *
+   * @param {string} path - Folder path
+   * @param {object} [options] - Options
+   * @param {number} [options.projectId=0] - Project the folder is in
+   * @param {boolean} [options.recursive=false] - Also delete its files and folders
+   * @returns {Promise<number[]>} IDs of the deleted files
+   */
+  async rmdir(path, options = {}) {
+    const projectId = options.projectId ?? NO_PROJECT;
+    const directory = FileManager.normalizePath(path);
+
+    return this.runTransaction('readwrite', async ({ files, folders, revisions }) => {
+      const { folder, subfolders, subfiles } = await this.getSubtree(files, folders, projectId, directory);
+      if (!folder) {
+        throw FileManager.error(`No such folder: ${path}`, 'NotFoundError');
+      }
+      if (!options.recursive && (subfolders.length > 0 || subfiles.length > 0)) {
+        throw FileManager.error(`Folder is not empty: ${path}`, 'InvalidModificationError');
+      }
+
+      await Promise.all([
+        ...[folder, ...subfolders].map(entry => FileManager.request(folders.delete(entry.id))),
+        ...subfiles.map(file => FileManager.request(files.delete(file.id))),
+      ]);
+      await this.deleteRevisions(revisions, subfiles.map(file => file.id));
+      return subfiles.map(file => file.id);
+    });
+  }
+
+  /**
+   * Rename a file or folder in place
+   *
+   * @param {string} path - File or folder path
+   * @param {string} newName - New name, without a folder
+   * @param {object} [options] - Options
+   * @param {number} [options.projectId=0] - Project the path is in
+   * @returns {Promise<object[]>} The renamed files, as saved
+   */
+  async rename(path, newName, options = {}) {
+    if (!newName || /[/\\]/.test(newName) || newName === '.' || newName === '..') {
+      throw new Error(`Invalid name: ${newName}`);
+    }
+
+    const projectId = options.projectId ?? NO_PROJECT;
+    const from = FileManager.normalizePath(path);
+    const parent = FileManager.parentPath(from);
+
+    return this.relocate(projectId, from, projectId, parent ? `${parent}/${newName}` : newName);
+  }
+
+  /**
+   * Move a file or folder into another folder, possibly of another project
+   *
+   * @param {string} path - File or folder path
+   * @param {string} directory - Destination folder; '' is the project root
+   * @param {object} [options] - Options
+   * @param {number} [options.projectId=0] - Project the path is in
+   * @param {number} [options.targetProjectId] - Destination project (defaults to the same project)
+   * @returns {Promise<object[]>} The moved files, as saved
+   */
+  async move(path, directory, options = {}) {
+    const projectId = options.projectId ?? NO_PROJECT;
+    const targetProjectId = options.targetProjectId ?? projectId;
+    const from = FileManager.normalizePath(path);
+    const destination = FileManager.normalizePath(directory);
+    const name = from.split('/').pop();
+
+    return this.relocate(projectId, from, targetProjectId, destination ? `${destination}/${name}` : name);
+  }
+
   /**
    * Get file count
    *
@@ -305,12 +817,18 @@ export default class FileManager {
 
   /**
    * Export all files as JSON
+   * Binary content is written as base64 with `encoding: 'base64'`.
    *
    * @returns {Promise<string>} JSON string of all files
    */
   async exportFiles() {
     const files = await this.getAllFiles();
-    return JSON.stringify(files, null, 2);
+    const exported = await Promise.all(files.map(async (file) => (
+      file.binary
+        ? { ...file, content: await FileManager.blobToBase64(file.content), encoding: 'base64', mimeType: file.content.type }
+        : file
+    )));
+    return JSON.stringify(exported, null, 2);
   }
 
   /**
@@ -332,11 +850,30 @@ export default class FileManager {
         await this.deleteAllFiles();
       }
 
+      // Taken paths by project name ('' for files outside projects)
+      const taken = new Map();
+      for (const file of await this.getAllFiles()) {
+        const project = file.gitRepo || '';
+        if (!taken.has(project)) taken.set(project, new Set());
+        taken.get(project).add(file.name);
+      }
+
       let count = 0;
       for (const file of files) {
-        // Remove ID to create new files
+        // Remove IDs to create new files; projects are matched by name
         const fileData = { ...file };
         delete fileData.id;
+        delete fileData.projectId;
+
+        if (fileData.encoding === 'base64') {
+          fileData.content = FileManager.base64ToBlob(fileData.content, fileData.mimeType);
+          delete fileData.encoding;
+        }
+
+        const project = fileData.gitRepo || '';
+        if (!taken.has(project)) taken.set(project, new Set());
+        fileData.name = FileManager.uniquePath(FileManager.normalizePath(fileData.name || '') || 'untitled', taken.get(project));
+        taken.get(project).add(fileData.name);
 
         await this.saveFile(fileData);
         count++;
@@ -366,9 +903,10 @@ export default class FileManager {
       // Search in file name
       const nameMatch = file.name.toLowerCase().includes(lowercaseQuery);
 
-      // Search in content if requested
+      // Search in content if requested (binary files have no text to search)
       const contentMatch =
         options.searchContent &&
+        typeof file.content === 'string' &&
         file.content.toLowerCase().includes(lowercaseQuery);
 
       return nameMatch || contentMatch;
@@ -616,4 +1154,502 @@ print("4. Upload your own CSV files using drag-and-drop!")
 
     return stats;
   }
+
+  /**
+   * Run a callback in a transaction over the files, folders, projects and
+   * revisions stores; resolves once the transaction has committed
+   * The callback must only await IndexedDB requests, or the transaction
+   * commits early.
+   *
+   * @private
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - ({files, folders, projects, revisions}) => Promise
+   * @returns {Promise<any>} The callback's result
+   */
+  async runTransaction(mode, callback) {
+    if (!this.db) {
+      throw new Error('FileManager not initialized');
+    }
+
+    const transaction = this.db.transaction(
+      [this.storeName, this.folderStoreName, this.projectStoreName, this.revisionStoreName],
+      mode
+    );
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || FileManager.error('Transaction aborted', 'AbortError'));
+    });
+
+    let result;
+    try {
+      result = await callback({
+        files: transaction.objectStore(this.storeName),
+        folders: transaction.objectStore(this.folderStoreName),
+        projects: transaction.objectStore(this.projectStoreName),
+        revisions: transaction.objectStore(this.revisionStoreName),
+      });
+    } catch (error) {
+      done.catch(() => {});
+      try {
+        transaction.abort();
+      } catch (abortError) {
+        // Already finished
+      }
+      throw error;
+    }
+
+    await done;
+    return result;
+  }
+
+  /**
+   * Find the project a file being saved belongs to, creating it when it is
+   * named by `gitRepo` and does not exist yet
+   *
+   * @private
+   * @param {IDBObjectStore} projects - Projects store
+   * @param {object} file - File being saved
+   * @returns {Promise<object|null>} Project record, or null for no project
+   */
+  async resolveProject(projects, file) {
+    if (file.projectId !== undefined && file.projectId !== null) {
+      if (file.projectId === NO_PROJECT) return null;
+
+      const project = await FileManager.request(projects.get(file.projectId));
+      if (!project) {
+        throw FileManager.error(`No such project: ${file.projectId}`, 'NotFoundError');
+      }
+      return project;
+    }
+
+    if (!file.gitRepo) return null;
+
+    const existing = await FileManager.request(projects.index('name').get(file.gitRepo));
+    if (existing) return existing;
+
+    const now = Date.now();
+    const project = { name: file.gitRepo, gitUrl: file.gitUrl || null, created: now, modified: now };
+    project.id = await FileManager.request(projects.add(project));
+    return project;
+  }
+
+  /**
+   * Fail unless a path can hold the file with the given ID
+   *
+   * @private
+   * @param {IDBObjectStore} files - Files store
+   * @param {IDBObjectStore} folders - Folders store
+   * @param {number} projectId - Project ID
+   * @param {string} path - File path
+   * @param {number} [id] - ID of the file moving to the path
+   * @returns {Promise<void>}
+   */
+  async checkPathFree(files, folders, projectId, path, id) {
+    const existing = await FileManager.request(files.index('path').get([projectId, path]));
+    if (existing && existing.id !== id) {
+      throw FileManager.error(`A file named "${path}" already exists`, 'ConstraintError');
+    }
+
+    if (await FileManager.request(folders.index('path').get([projectId, path]))) {
+      throw FileManager.error(`"${path}" is a folder`, 'ConstraintError');
+    }
+
+    for (const parent of FileManager.parentPaths(path)) {
+      if (await FileManager.request(files.index('path').get([projectId, parent]))) {
+        throw FileManager.error(`"${parent}" is a file`, 'ConstraintError');
+      }
+    }
+  }
+
+  /**
+   * Add the folders that do not exist yet
+   *
+   * @private
+   * @param {IDBObjectStore} folders - Folders store
+   * @param {number} projectId - Project ID
+   * @param {string[]} paths - Folder paths, parents first
+   * @returns {Promise<void>}
+   */
+  async createFolders(folders, projectId, paths) {
+    for (const path of paths) {
+      if (!(await FileManager.request(folders.index('path').get([projectId, path])))) {
+        await FileManager.request(folders.add({ projectId, path, created: Date.now() }));
+      }
+    }
+  }
+
+  /**
+   * Get a folder with everything below it
+   *
+   * @private
+   * @param {IDBObjectStore} files - Files store
+   * @param {IDBObjectStore} folders - Folders store
+   * @param {number} projectId - Project ID
+   * @param {string} path - Folder path
+   * @returns {Promise<{folder: object|null, subfolders: object[], subfiles: object[]}>}
+   */
+  async getSubtree(files, folders, projectId, path) {
+    const prefix = `${path}/`;
+    const allFolders = await FileManager.request(folders.index('projectId').getAll(projectId));
+    const allFiles = await FileManager.request(files.index('projectId').getAll(projectId));
+
+    return {
+      folder: allFolders.find(folder => folder.path === path) || null,
+      subfolders: allFolders.filter(folder => folder.path.startsWith(prefix)),
+      subfiles: allFiles.filter(file => file.name.startsWith(prefix)),
+    };
+  }
+
+  /**
+   * Move a file or folder to a new path, shared by rename() and move()
+   * Nothing is moved when any destination path is taken.
+   *
+   * @private
+   * @param {number} projectId - Project the path is in
+   * @param {string} from - File or folder path
+   * @param {number} targetProjectId - Destination project
+   * @param {string} to - Destination path
+   * @returns {Promise<object[]>} The moved files, as saved
+   */
+  async relocate(projectId, from, targetProjectId, to) {
+    if (!from) {
+      throw new Error('Cannot move the project root');
+    }
+    if (projectId === targetProjectId && from === to) {
+      return [];
+    }
+
+    return this.runTransaction('readwrite', async ({ files, folders, projects }) => {
+      const project = await this.resolveProject(projects, { projectId: targetProjectId });
+      const now = Date.now();
+      const moveFile = async (file, path) => {
+        const moved = FileManager.assignProject({ ...file, name: path, modified: now }, project);
+        await FileManager.request(files.put(moved));
+        return moved;
+      };
+
+      const file = await FileManager.request(files.index('path').get([projectId, from]));
+      if (file) {
+        await this.checkPathFree(files, folders, targetProjectId, to, projectId === targetProjectId ? file.id : undefined);
+        await this.createFolders(folders, targetProjectId, FileManager.parentPaths(to));
+        return [await moveFile(file, to)];
+      }
+
+      const { folder, subfolders, subfiles } = await this.getSubtree(files, folders, projectId, from);
+      if (!folder) {
+        throw FileManager.error(`No such file or folder: ${from}`, 'NotFoundError');
+      }
+      if (projectId === targetProjectId && to.startsWith(`${from}/`)) {
+        throw new Error(`Cannot move "${from}" into itself`);
+      }
+      if (await FileManager.request(folders.index('path').get([targetProjectId, to]))) {
+        throw FileManager.error(`A folder named "${to}" already exists`, 'ConstraintError');
+      }
+
+      const destination = path => to + path.slice(from.length);
+      for (const subfile of subfiles) {
+        await this.checkPathFree(files, folders, targetProjectId, destination(subfile.name));
+      }
+
+      for (const entry of [folder, ...subfolders]) {
+        await FileManager.request(folders.delete(entry.id));
+      }
+      await this.createFolders(folders, targetProjectId, [
+        ...FileManager.parentPaths(to),
+        ...[folder, ...subfolders].map(entry => destination(entry.path)),
+      ]);
+
+      const moved = [];
+      for (const subfile of subfiles) {
+        moved.push(await moveFile(subfile, destination(subfile.name)));
+      }
+      return moved;
+    });
+  }
+
+  /**
+   * Keep the content a save is about to overwrite as a revision, and drop
+   * the oldest revisions beyond maxRevisions
+   *
+   * @private
+   * @param {IDBObjectStore} revisions - Revisions store
+   * @param {object} previous - The file as saved before
+   * @param {string|Blob} content - The content replacing it
+   * @param {string} reason - 'save', 'autosave' or 'restore'
+   * @returns {Promise<void>}
+   */
+  async recordRevision(revisions, previous, content, reason) {
+    // Binary files have no history
+    if (typeof previous.content !== 'string' || typeof content !== 'string') return;
+
+    const history = await FileManager.request(revisions.index('fileId').getAll(previous.id));
+    history.sort((a, b) => a.created - b.created || a.id - b.id);
+
+    const now = Date.now();
+    const latest = history[history.length - 1] || null;
+    if (!FileManager.shouldRecordRevision({
+      latest, previous: previous.content, content, reason, now, interval: this.autosaveRevisionInterval,
+    })) {
+      return;
+    }
+
+    await FileManager.request(revisions.add({
+      fileId: previous.id,
+      content: previous.content,
+      size: previous.content.length,
+      modified: previous.modified || now,
+      created: now,
+      reason,
+    }));
+
+    const excess = history.length + 1 - this.maxRevisions;
+    for (const revision of history.slice(0, Math.max(0, excess))) {
+      await FileManager.request(revisions.delete(revision.id));
+    }
+  }
+
+  /**
+   * Delete the revision history of files
+   *
+   * @private
+   * @param {IDBObjectStore} revisions - Revisions store
+   * @param {number[]} fileIds - File IDs
+   * @returns {Promise<void>}
+   */
+  async deleteRevisions(revisions, fileIds) {
+    for (const fileId of fileIds) {
+      const keys = await FileManager.request(revisions.index('fileId').getAllKeys(fileId));
+      await Promise.all(keys.map(key => FileManager.request(revisions.delete(key))));
+    }
+  }
+
+  /**
+   * Decide whether a save keeps the text it overwrites as a revision
+   *
+   * Nothing is kept when the text does not change or is already the newest
+   * revision. Explicit saves and restores always keep it; autosaves keep at
+   * most one revision per interval, unless they remove more than half of
+   * the file, which is how accidental deletions look.
+   *
+   * @param {object} save - The save
+   * @param {object|null} save.latest - Newest revision of the file
+   * @param {string} save.previous - Text being overwritten
+   * @param {string} save.content - Text being saved
+   * @param {string} save.reason - 'save', 'autosave' or 'restore'
+   * @param {number} save.now - Current time
+   * @param {number} save.interval - Minimum time between autosave revisions
+   * @returns {boolean}
+   */
+  static shouldRecordRevision({ latest, previous, content, reason, now, interval }) {
+    if (previous === content || (latest && latest.content === previous)) {
+      return false;
+    }
+    if (reason !== 'autosave' || !latest) {
+      return true;
+    }
+    return now - latest.created >= interval || content.length < previous.length / 2;
+  }
+
+  /**
+   * Set a file record's project fields
+   *
+   * @private
+   * @param {object} file - File record
+   * @param {object|null} project - Project record, null for no project
+   * @returns {object} The file record
+   */
+  static assignProject(file, project) {
+    delete file.gitRepo;
+    delete file.gitUrl;
+    file.projectId = project ? project.id : NO_PROJECT;
+    if (project) {
+      file.gitRepo = project.name;
+      if (project.gitUrl) file.gitUrl = project.gitUrl;
+    }
+    return file;
+  }
+
+  /**
+   * Wrap an IndexedDB request in a Promise
+   *
+   * @private
+   * @param {IDBRequest} request - IndexedDB request
+   * @returns {Promise<any>} The request's result
+   */
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Create an Error with a DOMException-style name
+   *
+   * @private
+   * @param {string} message - Error message
+   * @param {string} name - 'NotFoundError', 'ConstraintError', ...
+   * @returns {Error}
+   */
+  static error(message, name) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+  }
+
+  /**
+   * Clean up a path: no leading, trailing or repeated slashes, no '.'
+   * segments and '/' instead of '\'
+   *
+   * @param {string} path - Path
+   * @returns {string} Normalized path ('' for the root)
+   */
+  static normalizePath(path) {
+    const parts = String(path ?? '').split(/[/\\]/).filter(part => part && part !== '.');
+    if (parts.includes('..')) {
+      throw new Error(`Invalid path: ${path}`);
+    }
+    return parts.join('/');
+  }
+
+  /**
+   * Folder a path is in
+   *
+   * @param {string} path - Normalized path
+   * @returns {string} Parent folder ('' for the root)
+   */
+  static parentPath(path) {
+    return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+  }
+
+  /**
+   * Every folder a path is in, outermost first ('a/b/c.txt' -> ['a', 'a/b'])
+   *
+   * @param {string} path - Normalized path
+   * @returns {string[]}
+   */
+  static parentPaths(path) {
+    const parts = path.split('/').slice(0, -1);
+    return parts.map((part, index) => parts.slice(0, index + 1).join('/'));
+  }
+
+  /**
+   * A path that is not taken, numbering the name when needed
+   * ('notes.txt' -> 'notes (2).txt')
+   *
+   * @param {string} path - Wanted path
+   * @param {Set<string>} taken - Paths in use
+   * @returns {string}
+   */
+  static uniquePath(path, taken) {
+    if (!taken.has(path)) return path;
+
+    const folder = path.slice(0, path.lastIndexOf('/') + 1);
+    const name = path.slice(folder.length);
+    const dot = name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const extension = dot > 0 ? name.slice(dot) : '';
+
+    for (let number = 2; ; number++) {
+      const candidate = `${folder}${stem} (${number})${extension}`;
+      if (!taken.has(candidate)) return candidate;
+    }
+  }
+
+  /**
+   * Check whether a value can be saved as file content
+   *
+   * @param {any} content - Content
+   * @returns {boolean}
+   */
+  static isContent(content) {
+    return typeof content === 'string'
+      || (typeof Blob !== 'undefined' && content instanceof Blob)
+      || content instanceof ArrayBuffer
+      || ArrayBuffer.isView(content);
+  }
+
+  /**
+   * Content as stored: strings stay text, binary data becomes a Blob
+   *
+   * @private
+   * @param {string|Blob|ArrayBuffer|ArrayBufferView} content - Content
+   * @param {string} [mimeType] - MIME type for binary data
+   * @returns {string|Blob}
+   */
+  static toStoredContent(content, mimeType) {
+    if (typeof content === 'string' || content instanceof Blob) {
+      return content;
+    }
+    return new Blob([content], { type: mimeType || 'application/octet-stream' });
+  }
+
+  /**
+   * Encode a Blob as base64
+   *
+   * @param {Blob} blob - Binary content
+   * @returns {Promise<string>}
+   */
+  static async blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    // Chunked, since String.fromCharCode() takes its bytes as arguments
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 into a Blob
+   *
+   * @param {string} base64 - Encoded content
+   * @param {string} [mimeType] - MIME type
+   * @returns {Blob}
+   */
+  static base64ToBlob(base64, mimeType) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType || 'application/octet-stream' });
+  }
+
+  /**
+   * Pick the IDE language for a file from its extension
+   *
+   * @param {string} path - File path
+   * @returns {string} Runtime language id ('markdown' for plain text and unknown types)
+   */
+  static detectLanguage(path) {
+    const ext = path.split('.').pop().toLowerCase();
+
+    const languageMap = {
+      js: 'javascript',
+      ts: 'typescript',
+      coffee: 'coffeescript',
+      py: 'python',
+      lua: 'lua',
+      r: 'r',
+      rb: 'ruby',
+      php: 'php',
+      sql: 'sqlite',
+      sh: 'shell',
+      bash: 'shell',
+      json: 'json',
+      yaml: 'yaml',
+      yml: 'yaml',
+      xml: 'xml',
+      html: 'html',
+      css: 'css',
+      scm: 'scheme',
+      lisp: 'commonlisp',
+      bas: 'basic',
+      pl: 'prolog',
+    };
+
+    return languageMap[ext] || 'markdown';
+  }
 }
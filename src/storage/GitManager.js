@@ -4,10 +4,13 @@
  * Git operations in the browser using isomorphic-git
  *
  * Features:
- * - Clone repositories from GitHub
+ * - Clone repositories from GitHub, GitLab or any Git server over HTTPS
+ * - Remembers cloned repositories across reloads
  * - Pull updates
+ * - Status, staging, commits, branches, log and push
  * - List repository files
- * - Integration with FileManager for file persistence
+ * - Integration with FileManager for file persistence: a repository's
+ *   project in FileManager and its working tree are kept in sync both ways
  *
  * Libraries:
  * - isomorphic-git: Pure JavaScript Git implementation
@@ -22,15 +25,135 @@ import { Buffer } from 'buffer';
 // Make Buffer available globally for isomorphic-git
 window.Buffer = Buffer;
 
+// localStorage key of the cloned repository registry
+const REGISTRY_KEY = 'drlee-ide-git-repositories';
+
+// Public CORS proxy for reading from hosts such as GitHub that do not allow
+// cross-origin requests; anyone running it sees the traffic, so requests
+// carrying the user's token never go through it
+const PUBLIC_CORS_PROXY = 'https://cors.isomorphic-git.org';
+
 export default class GitManager {
-  constructor(fileManager) {
+  /**
+   * @param {FileManager} fileManager - Storage of the imported files
+   * @param {object} [options] - Options
+   * @param {object} [options.fs] - File system for working trees (defaults to lightning-fs 'git-fs')
+   * @param {object} [options.http] - isomorphic-git HTTP client (defaults to the fetch-based one)
+   * @param {string|null} [options.corsProxy] - CORS proxy set up by the user, for every
+   *   request including pushes, or null for none
+   * @param {string|null} [options.publicCorsProxy] - CORS proxy for requests without
+   *   credentials when the user has set none (defaults to cors.isomorphic-git.org)
+   */
+  constructor(fileManager, options = {}) {
     this.fileManager = fileManager;
-    this.fs = new FS('git-fs');
+    this.fs = options.fs || new FS('git-fs');
     this.pfs = this.fs.promises;
-    this.corsProxy = 'https://cors.isomorphic-git.org';
+    this.http = options.http || http;
+    this.corsProxy = options.corsProxy || null;
+    this.publicCorsProxy = options.publicCorsProxy !== undefined ? options.publicCorsProxy : PUBLIC_CORS_PROXY;
 
-    // Track cloned repositories
+    // Track cloned repositories (saved by loadRepositories/saveRepositories)
     this.repositories = new Map();
+
+    // isomorphic-git's cache of parsed packfiles, for repeated reads
+    this.cache = {};
+  }
+
+  /**
+   * Set the CORS proxy the user has set up (see the Git settings)
+   *
+   * @param {string|null} url - Proxy URL, or null/empty for none
+   */
+  setCorsProxy(url) {
+    this.corsProxy = url || null;
+  }
+
+  /**
+   * Get the CORS proxy for a request
+   * Requests with credentials only use the proxy the user has set up.
+   *
+   * @param {boolean} [authenticated=false] - Whether the request carries credentials
+   * @returns {string|null} Proxy URL, or null to reach the remote directly
+   */
+  getCorsProxy(authenticated = false) {
+    return this.corsProxy || (authenticated ? null : this.publicCorsProxy);
+  }
+
+  /**
+   * Load the registry of cloned repositories
+   *
+   * Working trees cloned before the registry was kept are added from their
+   * Git config, and entries whose working tree is gone are dropped.
+   *
+   * @returns {Promise<Array<object>>} Array of repository info objects
+   */
+  async loadRepositories() {
+    const saved = JSON.parse(localStorage.getItem(REGISTRY_KEY) || '{}');
+    this.repositories = new Map(Object.entries(saved));
+
+    for (const [name, info] of this.repositories) {
+      if (!(await this.exists(`${info.dir}/.git`))) {
+        this.repositories.delete(name);
+      }
+    }
+
+    for (const name of await this.pfs.readdir('/')) {
+      const gitDir = `/${name}`;
+      if (this.repositories.has(name) || !(await this.exists(`${gitDir}/.git`))) continue;
+
+      const url = await git.getConfig({ fs: this.fs, dir: gitDir, path: 'remote.origin.url' });
+      if (!url) continue;
+
+      this.repositories.set(name, {
+        url,
+        dir: gitDir,
+        branch: await git.currentBranch({ fs: this.fs, dir: gitDir }) || 'main',
+        depth: (await this.exists(`${gitDir}/.git/shallow`)) ? 1 : 0,
+        clonedAt: (await this.pfs.stat(gitDir)).mtimeMs,
+        fileCount: (await this.listFiles(gitDir)).length,
+      });
+    }
+
+    this.saveRepositories();
+    return this.getRepositories();
+  }
+
+  /**
+   * Save the registry of cloned repositories
+   */
+  saveRepositories() {
+    localStorage.setItem(REGISTRY_KEY, JSON.stringify(Object.fromEntries(this.repositories)));
+  }
+
+  /**
+   * List the branches of a remote repository
+   *
+   * @param {string} url - Git repository URL
+   * @returns {Promise<{branches: string[], defaultBranch: string|null}>} Branch
+   *   names, and the branch the remote's HEAD points to
+   */
+  async getRemoteBranches(url) {
+    try {
+      const info = await git.getRemoteInfo({
+        http: this.http,
+        corsProxy: this.getCorsProxy(),
+        url,
+      });
+
+      const branches = GitManager.flattenRefs(info.refs?.heads || {}).sort();
+      const head = typeof info.HEAD === 'string' && info.HEAD.startsWith('refs/heads/')
+        ? info.HEAD.slice('refs/heads/'.length)
+        : null;
+
+      // Servers that don't report HEAD: prefer the usual default names
+      const defaultBranch = [head, 'main', 'master', branches[0]]
+        .find(branch => branch && branches.includes(branch)) || null;
+
+      return { branches, defaultBranch };
+    } catch (error) {
+      console.error('[GitManager] Listing branches failed:', error);
+      throw new Error(`Failed to list branches of ${url}: ${error.message}`);
+    }
   }
 
   /**
@@ -39,8 +162,8 @@ export default class GitManager {
    * @param {string} url - Git repository URL (e.g., https://github.com/user/repo)
    * @param {object} options - Clone options
    * @param {string} [options.dir] - Local directory name (defaults to repo name)
-   * @param {string} [options.branch] - Branch to clone (defaults to main/master)
-   * @param {number} [options.depth] - Clone depth (1 for shallow clone)
+   * @param {string} [options.branch] - Branch to clone (defaults to the remote's default branch)
+   * @param {number} [options.depth=1] - Number of commits to clone, or 0 for the full history
    * @param {function} [options.onProgress] - Progress callback
    * @returns {Promise<object>} Clone result with file count and directory
    */
@@ -58,16 +181,22 @@ export default class GitManager {
 
       progress({ phase: 'Initializing', loaded: 0, total: 0 });
 
+      const branch = options.branch || (await this.getRemoteBranches(url)).defaultBranch;
+      if (!branch) {
+        throw new Error('The repository has no branches');
+      }
+      const depth = options.depth ?? 1;
+
       // Clone repository
       await git.clone({
         fs: this.fs,
-        http,
+        http: this.http,
         dir: gitDir,
-        corsProxy: this.corsProxy,
+        corsProxy: this.getCorsProxy(),
         url,
-        ref: options.branch || 'main',
+        ref: branch,
         singleBranch: true,
-        depth: options.depth || 1,
+        depth: depth > 0 ? depth : undefined,
         onProgress: (event) => {
           progress({
             phase: event.phase,
@@ -86,26 +215,27 @@ export default class GitManager {
       this.repositories.set(dir, {
         url,
         dir: gitDir,
-        branch: options.branch || 'main',
+        branch,
+        depth,
         clonedAt: Date.now(),
         fileCount: files.length,
       });
+      this.saveRepositories();
 
       progress({ phase: 'Importing files', loaded: 0, total: files.length });
 
-      // Import files into FileManager
+      // Import files into the repository's project, replacing files of an earlier clone
+      const project = await this.fileManager.getProjectByName(dir);
+      const projectId = project ? project.id : await this.fileManager.createProject(dir, { gitUrl: url });
+
       let importedCount = 0;
       for (const file of files) {
         try {
-          const content = await this.pfs.readFile(`${gitDir}/${file}`, 'utf8');
-          const language = this.detectLanguage(file);
-
-          await this.fileManager.saveFile({
-            name: file,
-            content,
-            language,
-            gitRepo: dir,
-            gitUrl: url,
+          const content = GitManager.decode(await this.pfs.readFile(`${gitDir}/${file}`));
+
+          await this.fileManager.writeFile(file, content, {
+            projectId,
+            language: this.detectLanguage(file),
           });
 
           importedCount++;
@@ -150,20 +280,24 @@ export default class GitManager {
       }
 
       const gitDir = repoInfo.dir;
+      const depth = repoInfo.depth ?? 1;
       const progress = onProgress || (() => {});
 
+      // Edits made in the IDE must be in the working tree, so the merge sees them
+      await this.syncToWorkingTree(dir);
+
       progress({ phase: 'Fetching', loaded: 0, total: 0 });
 
       // Fetch from remote
       await git.fetch({
         fs: this.fs,
-        http,
+        http: this.http,
         dir: gitDir,
-        corsProxy: this.corsProxy,
+        corsProxy: this.getCorsProxy(),
         url: repoInfo.url,
         ref: repoInfo.branch,
         singleBranch: true,
-        depth: 1,
+        depth: depth > 0 ? depth : undefined,
         onProgress: (event) => {
           progress({
             phase: event.phase,
@@ -176,20 +310,23 @@ export default class GitManager {
       // Pull (fast-forward merge)
       await git.pull({
         fs: this.fs,
-        http,
+        http: this.http,
         dir: gitDir,
-        corsProxy: this.corsProxy,
+        corsProxy: this.getCorsProxy(),
         ref: repoInfo.branch,
         singleBranch: true,
         fastForwardOnly: true,
       });
 
+      const changes = await this.syncFromWorkingTree(dir);
+
       progress({ phase: 'Complete', loaded: 1, total: 1 });
 
       return {
         success: true,
         repository: dir,
         updatedAt: Date.now(),
+        ...changes,
       };
     } catch (error) {
       console.error('[GitManager] Pull failed:', error);
@@ -197,6 +334,330 @@ export default class GitManager {
     }
   }
 
+  /**
+   * Get the changes of a repository against HEAD
+   *
+   * Saved files are written to the working tree first, so edits made in
+   * the IDE show up.
+   *
+   * @param {string} dir - Repository directory name
+   * @returns {Promise<Array<{path: string, status: string, staged: boolean, unstaged: boolean}>>}
+   *   Changed files sorted by path; status is 'modified', 'added' or 'deleted'.
+   *   staged means the index differs from HEAD, unstaged that the working
+   *   tree differs from the index.
+   */
+  async status(dir) {
+    await this.syncToWorkingTree(dir);
+
+    const matrix = await git.statusMatrix({ fs: this.fs, dir: `/${dir}` });
+    return matrix
+      .filter(([, head, workdir, stage]) => !(head === 1 && workdir === 1 && stage === 1))
+      .map(([path, head, workdir, stage]) => GitManager.describeStatus(path, head, workdir, stage));
+  }
+
+  /**
+   * Read a file as it is in HEAD
+   *
+   * @param {string} dir - Repository directory name
+   * @param {string} path - Path relative to the repository root
+   * @returns {Promise<string|Blob|null>} Text (a Blob for binary files), or null
+   *   if HEAD has no such file
+   */
+  async readHeadFile(dir, path) {
+    try {
+      const gitDir = `/${dir}`;
+      const oid = await git.resolveRef({ fs: this.fs, dir: gitDir, ref: 'HEAD' });
+      const { blob } = await git.readBlob({ fs: this.fs, dir: gitDir, oid, filepath: path, cache: this.cache });
+      return GitManager.decode(blob);
+    } catch (error) {
+      if (error.code === 'NotFoundError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stage files for the next commit
+   *
+   * @param {string} dir - Repository directory name
+   * @param {string|string[]} paths - Paths relative to the repository root
+   * @returns {Promise<void>}
+   */
+  async stage(dir, paths) {
+    const gitDir = `/${dir}`;
+    await this.syncToWorkingTree(dir);
+
+    for (const filepath of [].concat(paths)) {
+      if (await this.exists(`${gitDir}/${filepath}`)) {
+        await git.add({ fs: this.fs, dir: gitDir, filepath });
+      } else {
+        await git.remove({ fs: this.fs, dir: gitDir, filepath });
+      }
+    }
+  }
+
+  /**
+   * Unstage files, resetting their index entries to HEAD
+   *
+   * @param {string} dir - Repository directory name
+   * @param {string|string[]} paths - Paths relative to the repository root
+   * @returns {Promise<void>}
+   */
+  async unstage(dir, paths) {
+    for (const filepath of [].concat(paths)) {
+      await git.resetIndex({ fs: this.fs, dir: `/${dir}`, filepath });
+    }
+  }
+
+  /**
+   * Commit the staged changes
+   *
+   * @param {string} dir - Repository directory name
+   * @param {string} message - Commit message
+   * @param {object} options - Commit options
+   * @param {{name: string, email: string}} options.author - Commit author
+   * @returns {Promise<string>} Commit SHA
+   */
+  async commit(dir, message, options = {}) {
+    const { author } = options;
+    if (!author || !author.name || !author.email) {
+      throw new Error('Set your name and email for commits in Settings');
+    }
+    if (!message || !message.trim()) {
+      throw new Error('Enter a commit message');
+    }
+
+    const staged = (await this.status(dir)).filter(change => change.staged);
+    if (staged.length === 0) {
+      throw new Error('Nothing to commit: stage some changes first');
+    }
+
+    return git.commit({
+      fs: this.fs,
+      dir: `/${dir}`,
+      message,
+      author: { name: author.name, email: author.email },
+    });
+  }
+
+  /**
+   * List local branches
+   *
+   * @param {string} dir - Repository directory name
+   * @returns {Promise<{branches: string[], current: string|undefined}>}
+   */
+  async listBranches(dir) {
+    const gitDir = `/${dir}`;
+    const branches = await git.listBranches({ fs: this.fs, dir: gitDir });
+    const current = await git.currentBranch({ fs: this.fs, dir: gitDir });
+    return { branches, current };
+  }
+
+  /**
+   * Create a branch at HEAD
+   *
+   * @param {string} dir - Repository directory name
+   * @param {string} name - Branch name
+   * @param {object} [options] - Options
+   * @param {boolean} [options.checkout=false] - Switch to the new branch
+   * @returns {Promise<void>}
+   */
+  async createBranch(dir, name, options = {}) {
+    await git.branch({ fs: this.fs, dir: `/${dir}`, ref: name });
+
+    if (options.checkout) {
+      await this.switchBranch(dir, name);
+    }
+  }
+
+  /**
+   * Switch to a branch and update the saved files to match it
+   *
+   * Uncommitted changes are carried over unless the branch changes the
+   * same files, in which case nothing is switched.
+   *
+   * @param {string} dir - Repository directory name
+   * @param {string} name - Branch name
+   * @returns {Promise<{updated: number[], deleted: number[]}>} IDs of the saved
+   *   files that changed or were deleted
+   */
+  async switchBranch(dir, name) {
+    try {
+      await this.syncToWorkingTree(dir);
+      await git.checkout({ fs: this.fs, dir: `/${dir}`, ref: name });
+
+      const repoInfo = this.repositories.get(dir);
+      if (repoInfo) {
+        repoInfo.branch = name;
+        this.saveRepositories();
+      }
+
+      return this.syncFromWorkingTree(dir);
+    } catch (error) {
+      console.error('[GitManager] Switch branch failed:', error);
+      throw new Error(`Failed to switch to ${name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the commit history of a branch
+   *
+   * @param {string} dir - Repository directory name
+   * @param {object} [options] - Options
+   * @param {string} [options.ref='HEAD'] - Branch or commit to start from
+   * @param {number} [options.depth=50] - Maximum number of commits
+   * @returns {Promise<Array<{oid: string, message: string, author: string, email: string, date: number}>>}
+   *   Newest first; date is in milliseconds
+   */
+  async log(dir, options = {}) {
+    const commits = await git.log({
+      fs: this.fs,
+      dir: `/${dir}`,
+      ref: options.ref || 'HEAD',
+      depth: options.depth || 50,
+    });
+
+    return commits.map(({ oid, commit }) => ({
+      oid,
+      message: commit.message,
+      author: commit.author.name,
+      email: commit.author.email,
+      date: commit.author.timestamp * 1000,
+    }));
+  }
+
+  /**
+   * Push the current branch to its remote
+   *
+   * @param {string} dir - Repository directory name
+   * @param {object} [options] - Push options
+   * @param {string} [options.token] - Access token (e.g. a GitHub personal access token)
+   * @param {string} [options.remote='origin'] - Remote name
+   * @param {string} [options.ref] - Branch to push (defaults to the current one)
+   * @param {function} [options.onProgress] - Progress callback
+   * @returns {Promise<object>} Push result
+   */
+  async push(dir, options = {}) {
+    try {
+      const gitDir = `/${dir}`;
+      const ref = options.ref || await git.currentBranch({ fs: this.fs, dir: gitDir });
+      const progress = options.onProgress || (() => {});
+
+      const result = await git.push({
+        fs: this.fs,
+        http: this.http,
+        dir: gitDir,
+        corsProxy: this.getCorsProxy(true),
+        remote: options.remote || 'origin',
+        ref,
+        onAuth: options.token ? () => ({ username: options.token }) : undefined,
+        onProgress: (event) => {
+          progress({
+            phase: event.phase,
+            loaded: event.loaded || 0,
+            total: event.total || 0,
+          });
+        },
+      });
+
+      if (!result.ok) {
+        throw new Error(result.error || 'the remote rejected the push');
+      }
+
+      return {
+        success: true,
+        repository: dir,
+        branch: ref,
+        pushedAt: Date.now(),
+      };
+    } catch (error) {
+      console.error('[GitManager] Push failed:', error);
+      // fetch() fails with a TypeError when the host does not allow cross-origin requests
+      const hint = !this.corsProxy && error instanceof TypeError
+        ? ' (the Git host may not accept pushes from the browser; set up a CORS proxy you trust in Settings → Git)'
+        : '';
+      throw new Error(`Failed to push: ${error.message}${hint}`);
+    }
+  }
+
+  /**
+   * Write a repository's saved files to its working tree
+   *
+   * Files are written only when their content changed, and working tree
+   * files that are no longer saved are deleted.
+   *
+   * @param {string} dir - Repository directory name
+   * @returns {Promise<number>} Number of working tree files written or deleted
+   */
+  async syncToWorkingTree(dir) {
+    const gitDir = `/${dir}`;
+    const projectId = await this.getProjectId(dir);
+    const files = await this.fileManager.getAllFiles({ projectId });
+    const remaining = new Set(await this.listFiles(gitDir));
+
+    let changed = 0;
+    for (const file of files) {
+      const path = `${gitDir}/${file.name}`;
+      const bytes = await GitManager.toBytes(file.content);
+
+      if (remaining.delete(file.name) && GitManager.isSameBytes(await this.pfs.readFile(path), bytes)) {
+        continue;
+      }
+
+      await this.mkdirp(path.slice(0, path.lastIndexOf('/')));
+      await this.pfs.writeFile(path, bytes);
+      changed++;
+    }
+
+    for (const name of remaining) {
+      await this.pfs.unlink(`${gitDir}/${name}`);
+      changed++;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Save a repository's working tree files to its project
+   *
+   * Used after a checkout or pull changed the working tree.
+   *
+   * @param {string} dir - Repository directory name
+   * @returns {Promise<{updated: number[], deleted: number[]}>} IDs of the saved
+   *   files that were written or deleted
+   */
+  async syncFromWorkingTree(dir) {
+    const gitDir = `/${dir}`;
+    const projectId = await this.getProjectId(dir);
+    const saved = new Map((await this.fileManager.getAllFiles({ projectId })).map(file => [file.name, file]));
+
+    const updated = [];
+    for (const name of await this.listFiles(gitDir)) {
+      const bytes = await this.pfs.readFile(`${gitDir}/${name}`);
+      const file = saved.get(name);
+      saved.delete(name);
+
+      if (file && GitManager.isSameBytes(await GitManager.toBytes(file.content), bytes)) {
+        continue;
+      }
+
+      // Files already saved keep their language
+      updated.push(await this.fileManager.writeFile(name, GitManager.decode(bytes), {
+        projectId,
+        language: file ? undefined : this.detectLanguage(name),
+      }));
+    }
+
+    const deleted = [];
+    for (const file of saved.values()) {
+      await this.fileManager.deleteFile(file.id);
+      deleted.push(file.id);
+    }
+
+    return { updated, deleted };
+  }
+
   /**
    * List all files in a Git repository
    *
@@ -342,6 +803,7 @@ export default class GitManager {
 
     // Remove from tracking
     this.repositories.delete(dir);
+    this.saveRepositories();
   }
 
   /**
@@ -354,4 +816,136 @@ export default class GitManager {
       await this.deleteRepository(dir);
     }
   }
+
+  /**
+   * Get the ID of the project a repository's files are saved in
+   *
+   * @private
+   * @param {string} dir - Repository directory name
+   * @returns {Promise<number>} Project ID
+   */
+  async getProjectId(dir) {
+    const project = await this.fileManager.getProjectByName(dir);
+    if (!project) {
+      throw new Error(`Repository ${dir} has no saved files. Clone it first.`);
+    }
+    return project.id;
+  }
+
+  /**
+   * Check whether a working tree path exists
+   *
+   * @private
+   * @param {string} path - Absolute path
+   * @returns {Promise<boolean>}
+   */
+  async exists(path) {
+    try {
+      await this.pfs.stat(path);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Create a directory and its missing parents
+   *
+   * @private
+   * @param {string} path - Absolute path
+   * @returns {Promise<void>}
+   */
+  async mkdirp(path) {
+    let current = '';
+    for (const part of path.split('/').filter(Boolean)) {
+      current += `/${part}`;
+      if (!(await this.exists(current))) {
+        await this.pfs.mkdir(current);
+      }
+    }
+  }
+
+  /**
+   * Flatten the ref tree of getRemoteInfo into ref names
+   *
+   * @param {object} tree - Refs by path segment, e.g. {feature: {login: oid}}
+   * @param {string} [prefix=''] - Path of the tree
+   * @returns {string[]} Names such as 'feature/login'
+   */
+  static flattenRefs(tree, prefix = '') {
+    return Object.entries(tree).flatMap(([name, value]) => (
+      typeof value === 'string' ? [`${prefix}${name}`] : GitManager.flattenRefs(value, `${prefix}${name}/`)
+    ));
+  }
+
+  /**
+   * Describe a row of isomorphic-git's status matrix
+   *
+   * @param {string} path - File path
+   * @param {number} head - 0 absent from HEAD, 1 present
+   * @param {number} workdir - 0 absent, 1 same as HEAD, 2 different from HEAD
+   * @param {number} stage - 0 absent, 1 same as HEAD, 2 same as working tree, 3 different from both
+   * @returns {{path: string, status: string, staged: boolean, unstaged: boolean}}
+   */
+  static describeStatus(path, head, workdir, stage) {
+    let status = 'modified';
+    if (head === 0) {
+      status = 'added';
+    } else if (workdir === 0) {
+      status = 'deleted';
+    }
+
+    const indexMatchesWorkdir = (workdir === 0 && stage === 0)
+      || (workdir === 1 && stage === 1)
+      || (workdir === 2 && stage === 2);
+
+    return {
+      path,
+      status,
+      staged: stage !== head,
+      unstaged: !indexMatchesWorkdir,
+    };
+  }
+
+  /**
+   * Decode working tree bytes into saved file content
+   *
+   * @param {Uint8Array} bytes - File bytes
+   * @returns {string|Blob} Text, or a Blob for images, databases and other binary files
+   */
+  static decode(bytes) {
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+      return new Blob([bytes]);
+    }
+  }
+
+  /**
+   * Encode saved file content as bytes
+   *
+   * @param {string|Blob} content - Saved file content
+   * @returns {Promise<Uint8Array>}
+   */
+  static async toBytes(content) {
+    if (typeof content === 'string') {
+      return new TextEncoder().encode(content);
+    }
+    return new Uint8Array(await content.arrayBuffer());
+  }
+
+  /**
+   * Compare two byte arrays
+   *
+   * @param {Uint8Array} a - Bytes
+   * @param {Uint8Array} b - Bytes
+   * @returns {boolean} True if both hold the same bytes
+   */
+  static isSameBytes(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  }
 }
@@ -0,0 +1,183 @@
+/**
+ * LineDiff.js
+ *
+ * Line-based diff of two texts (Myers' algorithm)
+ *
+ * Features:
+ * - Hunks of added, deleted and modified lines
+ * - Reverting a single hunk
+ *
+ * A hunk replaces originalCount lines at originalStart with modifiedCount
+ * lines at modifiedStart. Starts are 0-based line indexes; a count of 0
+ * means the hunk only adds (originalCount) or only deletes (modifiedCount).
+ */
+
+// Texts further apart than this many inserted/deleted lines are compared
+// as one block, which keeps the search's memory bounded
+const MAX_EDIT_DISTANCE = 2000;
+
+export default class LineDiff {
+  /**
+   * Split text into lines
+   *
+   * @param {string} text - Text
+   * @returns {string[]} Lines without their line breaks
+   */
+  static lines(text) {
+    return text === '' ? [] : text.split('\n');
+  }
+
+  /**
+   * Compute the hunks that turn one text into another
+   *
+   * @param {string} original - Original text (e.g. the HEAD version)
+   * @param {string} modified - Modified text (e.g. the editor buffer)
+   * @returns {Array<{originalStart: number, originalCount: number, modifiedStart: number, modifiedCount: number}>}
+   *   Hunks in line order
+   */
+  static diff(original, modified) {
+    const a = LineDiff.lines(original);
+    const b = LineDiff.lines(modified);
+
+    // Lines both texts start and end with need no search
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (
+      suffix < a.length - prefix && suffix < b.length - prefix
+      && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+    ) suffix++;
+
+    const common = LineDiff.commonLines(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix));
+
+    // Gaps between common lines are the hunks
+    const hunks = [];
+    let i = 0;
+    let j = 0;
+    for (const [x, y] of [...common, [a.length - prefix - suffix, b.length - prefix - suffix]]) {
+      if (x > i || y > j) {
+        hunks.push({
+          originalStart: prefix + i,
+          originalCount: x - i,
+          modifiedStart: prefix + j,
+          modifiedCount: y - j,
+        });
+      }
+      i = x + 1;
+      j = y + 1;
+    }
+    return hunks;
+  }
+
+  /**
+   * Find a longest common subsequence of lines
+   *
+   * @private
+   * @param {string[]} a - Original lines
+   * @param {string[]} b - Modified lines
+   * @returns {Array<[number, number]>} Index pairs of matching lines, in order
+   *   (none when the texts differ in more than MAX_EDIT_DISTANCE lines)
+   */
+  static commonLines(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    let found = false;
+
+    // Forward search for the shortest edit script, keeping the furthest
+    // reaching paths (diagonals -d-1..d+1) before each round for the backtrack
+    search: for (let d = 0; d <= max; d++) {
+      trace.push(v.slice(offset - d - 1, offset + d + 2));
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          found = true;
+          break search;
+        }
+      }
+    }
+
+    if (!found) return [];
+
+    // Walk back through the rounds collecting the diagonal (matching) moves
+    const pairs = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+      const previous = trace[d];
+      const at = diagonal => previous[diagonal + d + 1];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+      const prevX = d === 0 ? 0 : at(prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        x--;
+        y--;
+        pairs.push([x, y]);
+      }
+      x = prevX;
+      y = prevY;
+    }
+
+    return pairs.reverse();
+  }
+
+  /**
+   * Undo one hunk of a diff
+   *
+   * @param {string} original - Original text the hunk was computed from
+   * @param {string} modified - Modified text the hunk was computed from
+   * @param {object} hunk - Hunk of LineDiff.diff(original, modified)
+   * @returns {string} The modified text with the hunk's lines put back as they were
+   */
+  static revertHunk(original, modified, hunk) {
+    const a = LineDiff.lines(original);
+    const b = LineDiff.lines(modified);
+
+    b.splice(hunk.modifiedStart, hunk.modifiedCount, ...a.slice(hunk.originalStart, hunk.originalStart + hunk.originalCount));
+    return b.join('\n');
+  }
+
+  /**
+   * Editor line ranges to mark for each hunk
+   *
+   * @param {Array<object>} hunks - Hunks of LineDiff.diff
+   * @returns {Array<{type: string, startLine: number, endLine: number}>} 1-based,
+   *   inclusive line ranges of the modified text; a deletion marks the line
+   *   above the removed lines (or the first line)
+   */
+  static markers(hunks) {
+    return hunks.map((hunk) => {
+      const type = LineDiff.type(hunk);
+      if (type === 'deleted') {
+        const line = Math.max(hunk.modifiedStart, 1);
+        return { type, startLine: line, endLine: line };
+      }
+      return { type, startLine: hunk.modifiedStart + 1, endLine: hunk.modifiedStart + hunk.modifiedCount };
+    });
+  }
+
+  /**
+   * Kind of change a hunk makes
+   *
+   * @param {object} hunk - Hunk
+   * @returns {string} 'added', 'deleted' or 'modified'
+   */
+  static type(hunk) {
+    if (hunk.originalCount === 0) return 'added';
+    if (hunk.modifiedCount === 0) return 'deleted';
+    return 'modified';
+  }
+}
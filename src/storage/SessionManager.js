@@ -0,0 +1,160 @@
+/**
+ * SessionManager.js
+ *
+ * Saves the IDE session to localStorage and reads it back on startup
+ *
+ * Features:
+ * - Open tabs of each editor group, with the text of unsaved and untitled
+ *   buffers, their language and view state (cursor, selections, scroll)
+ * - Active tab and active group, split orientation
+ * - Panel layout: output panel width, preview, stdin panel and explorer state
+ * - Debounced saving, with a flush for page unload
+ */
+
+const SESSION_KEY = 'drlee-ide-session';
+const SESSION_VERSION = 1;
+
+export default class SessionManager {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {Storage} [options.storage] - Where sessions are kept (default: localStorage)
+   * @param {number} [options.saveDelay=500] - Debounce delay of scheduleSave in ms
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || localStorage;
+    this.saveDelay = options.saveDelay ?? 500;
+
+    this.saveTimer = null;
+    this.pendingSession = null; // {getSession, onFailure} waiting for the timer
+  }
+
+  /**
+   * Read the saved session
+   *
+   * @returns {object|null} The session (see normalize), or null if none was
+   *   saved or it cannot be read
+   */
+  load() {
+    try {
+      const data = JSON.parse(this.storage.getItem(SESSION_KEY));
+      if (!data || data.version !== SESSION_VERSION) {
+        return null;
+      }
+      return SessionManager.normalize(data);
+    } catch (error) {
+      console.warn('[SessionManager] Ignoring unreadable session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save a session now
+   *
+   * @param {object} session - Session (see normalize)
+   * @returns {boolean} False if it could not be saved (e.g. storage is full)
+   */
+  save(session) {
+    try {
+      this.storage.setItem(SESSION_KEY, JSON.stringify({
+        ...SessionManager.normalize(session),
+        version: SESSION_VERSION,
+        savedAt: Date.now(),
+      }));
+      return true;
+    } catch (error) {
+      console.error('[SessionManager] Failed to save session:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Save the session shortly, once changes settle
+   *
+   * @param {Function} getSession - () => session, called when the save happens
+   * @param {Function} [onFailure] - () => void, called if the save failed
+   */
+  scheduleSave(getSession, onFailure = () => {}) {
+    clearTimeout(this.saveTimer);
+    this.pendingSession = { getSession, onFailure };
+    this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+  }
+
+  /**
+   * Save a scheduled session right away (e.g. when the page unloads)
+   *
+   * @returns {boolean} False if a scheduled save failed
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    if (!this.pendingSession) return true;
+    const { getSession, onFailure } = this.pendingSession;
+    this.pendingSession = null;
+
+    const saved = this.save(getSession());
+    if (!saved) {
+      onFailure();
+    }
+    return saved;
+  }
+
+  /**
+   * Forget the saved session
+   */
+  clear() {
+    clearTimeout(this.saveTimer);
+    this.pendingSession = null;
+    this.storage.removeItem(SESSION_KEY);
+  }
+
+  /**
+   * Fill in defaults and drop malformed parts of a session
+   *
+   * @param {object} data - Session as saved
+   * @returns {{
+   *   groups: Array<{tabs: Array<object>, activeTabId: (string|number|null)}>,
+   *   activeGroup: number,
+   *   orientation: string,
+   *   outputWidth: (number|null),
+   *   previewMode: boolean,
+   *   stdinVisible: boolean,
+   *   explorerCollapsed: boolean
+   * }} Session; each tab is `{id, name, language, unsaved, content?, viewState?}`,
+   *   with content only for buffers that are not saved as they are
+   */
+  static normalize(data) {
+    const groups = (Array.isArray(data.groups) ? data.groups : [])
+      .map((group) => {
+        const tabs = (Array.isArray(group?.tabs) ? group.tabs : [])
+          .filter(tab => tab && (typeof tab.id === 'number' || typeof tab.id === 'string'))
+          .map(tab => ({
+            id: tab.id,
+            name: String(tab.name || 'Untitled'),
+            language: String(tab.language || 'javascript'),
+            unsaved: Boolean(tab.unsaved),
+            ...(typeof tab.content === 'string' ? { content: tab.content } : {}),
+            ...(tab.viewState ? { viewState: tab.viewState } : {}),
+          }));
+        const activeTabId = tabs.some(tab => tab.id === group.activeTabId)
+          ? group.activeTabId
+          : (tabs[tabs.length - 1]?.id ?? null);
+        return { tabs, activeTabId };
+      })
+      .filter(group => group.tabs.length > 0);
+
+    const activeGroup = Number.isInteger(data.activeGroup) && data.activeGroup >= 0 && data.activeGroup < groups.length
+      ? data.activeGroup
+      : 0;
+
+    return {
+      groups,
+      activeGroup,
+      orientation: data.orientation === 'horizontal' ? 'horizontal' : 'vertical',
+      outputWidth: typeof data.outputWidth === 'number' && data.outputWidth > 0 ? data.outputWidth : null,
+      previewMode: Boolean(data.previewMode),
+      stdinVisible: Boolean(data.stdinVisible),
+      explorerCollapsed: Boolean(data.explorerCollapsed),
+    };
+  }
+}
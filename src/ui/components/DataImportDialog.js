@@ -0,0 +1,479 @@
+/**
+ * DataImportDialog.js
+ *
+ * Brings CSV, TSV, Parquet, JSON and XLSX files into the SQL runtimes
+ *
+ * Features:
+ * - Files dropped onto the dialog, chosen from disk or picked from the saved files
+ * - DuckDB: registers the files, so queries read them by name
+ *   (SELECT * FROM 'sales.csv')
+ * - SQLite and PostgreSQL: previews the file and imports it into a table,
+ *   with a name and an inferred, editable type for each column
+ */
+
+import DataImport from '../../runtimes/databases/DataImport.js';
+import { escapeHtml } from '../../utils/html.js';
+
+// Rows shown in the import preview
+const PREVIEW_ROWS = 10;
+
+// File types the file chooser offers
+const ACCEPTED_FILES = '.csv,.tsv,.tab,.parquet,.json,.jsonl,.ndjson,.xlsx';
+
+export default class DataImportDialog {
+  /**
+   * @param {FileManager} fileManager - File storage to pick saved files from
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onRegisterFiles - ([{name, data}]) => Promise<boolean>,
+   *   registers files with DuckDB and resolves whether they were registered
+   * @param {Function} options.onImportTable - ({name, columns, rows}) => Promise<boolean>,
+   *   creates a table and resolves whether it was created
+   */
+  constructor(fileManager, options = {}) {
+    this.fileManager = fileManager;
+    this.onRegisterFiles = options.onRegisterFiles || (async () => false);
+    this.onImportTable = options.onImportTable || (async () => false);
+
+    this.dialog = null;
+    this.isOpen = false;
+
+    this.database = null; // Database runtime the data goes into (see open())
+    this.fileName = null; // File being previewed for import
+    this.table = null; // Its {columns, rows} (see DataImport.read())
+    this.columns = []; // [{name, type, include}] for each of its columns
+  }
+
+  /**
+   * Initialize the import dialog
+   */
+  init() {
+    this.createDialog();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Create the import dialog element
+   */
+  createDialog() {
+    const dialog = document.createElement('div');
+    dialog.id = 'data-import-dialog';
+    dialog.className = 'history-dialog data-import-dialog hidden';
+
+    dialog.innerHTML = `
+      <div class="history-backdrop"></div>
+      <div class="history-content data-import-content">
+        <div class="history-header">
+          <h2>📥 <span class="data-import-title">Import Data</span></h2>
+          <button class="close-btn" title="Close (Esc)">×</button>
+        </div>
+
+        <div class="data-import-body">
+          <div class="data-import-source" id="data-import-source">
+            <div class="data-import-drop" id="data-import-drop">
+              <p class="data-import-hint"></p>
+              <button id="data-import-choose-btn" class="btn btn-secondary">Choose Files…</button>
+              <input type="file" id="data-import-file" accept="${ACCEPTED_FILES}" style="display: none;">
+            </div>
+            <label class="data-import-saved">
+              Or use a saved file:
+              <select id="data-import-saved-select"></select>
+            </label>
+          </div>
+
+          <div class="data-import-preview hidden" id="data-import-preview">
+            <label class="data-import-table-name">
+              Table name
+              <input type="text" id="data-import-table-input" spellcheck="false">
+            </label>
+            <div class="data-import-grid" id="data-import-grid"></div>
+          </div>
+
+          <div class="data-import-status" id="data-import-status"></div>
+        </div>
+
+        <div class="history-actions">
+          <button id="data-import-import-btn" class="btn btn-primary hidden">
+            <span class="btn-icon">📥</span>
+            <span class="data-import-import-label">Import</span>
+          </button>
+          <button id="data-import-back-btn" class="btn btn-secondary hidden">
+            Back
+          </button>
+          <button id="data-import-close-btn" class="btn btn-secondary">
+            Close
+          </button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(dialog);
+    this.dialog = dialog;
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.dialog.querySelector('.close-btn').addEventListener('click', () => this.close());
+    this.dialog.querySelector('.history-backdrop').addEventListener('click', () => this.close());
+    this.dialog.querySelector('#data-import-close-btn').addEventListener('click', () => this.close());
+    this.dialog.querySelector('#data-import-back-btn').addEventListener('click', () => this.showSource());
+    this.dialog.querySelector('#data-import-import-btn').addEventListener('click', () => this.handleImport());
+
+    // Files from disk
+    const fileInput = this.dialog.querySelector('#data-import-file');
+    this.dialog.querySelector('#data-import-choose-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const files = [...fileInput.files];
+      fileInput.value = '';
+      if (files.length > 0) this.handleFiles(files);
+    });
+
+    const dropEl = this.dialog.querySelector('#data-import-drop');
+    dropEl.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      dropEl.classList.add('drag-over');
+    });
+    dropEl.addEventListener('dragleave', () => dropEl.classList.remove('drag-over'));
+    dropEl.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropEl.classList.remove('drag-over');
+      if (e.dataTransfer.files.length > 0) this.handleFiles([...e.dataTransfer.files]);
+    });
+
+    // Saved files
+    this.dialog.querySelector('#data-import-saved-select').addEventListener('change', (e) => {
+      const id = Number(e.target.value);
+      e.target.value = '';
+      if (id) this.handleSavedFile(id);
+    });
+
+    // Column settings
+    const gridEl = this.dialog.querySelector('#data-import-grid');
+    gridEl.addEventListener('input', (e) => this.updateColumn(e.target));
+    gridEl.addEventListener('change', (e) => this.updateColumn(e.target));
+
+    // ESC key
+    document.addEventListener('keydown', (e) => {
+      if (this.isOpen && e.key === 'Escape') {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Open the dialog for a database runtime
+   *
+   * @param {Object} database - Database runtime
+   * @param {string} database.language - Runtime language ('duckdb' registers files,
+   *   'sqlite' and 'postgresql' import them into tables)
+   * @param {string} database.name - Display name of the runtime
+   * @param {Array<File>} [files] - Files to start with, e.g. dropped onto the database sidebar
+   */
+  async open(database, files = []) {
+    this.database = database;
+    const registering = this.isRegistering();
+
+    this.dialog.querySelector('.data-import-title').textContent = registering
+      ? `Query Files with ${database.name}`
+      : `Import Data into ${database.name}`;
+    this.dialog.querySelector('.data-import-hint').textContent = registering
+      ? "Drop CSV, TSV, Parquet, JSON or XLSX files here. Queries read them by name: SELECT * FROM 'sales.csv'"
+      : 'Drop a CSV, TSV, JSON or XLSX file here to preview it and import it into a table';
+    this.dialog.querySelector('#data-import-file').multiple = registering;
+
+    this.showSource();
+    this.dialog.classList.remove('hidden');
+    this.isOpen = true;
+
+    await this.renderSavedFiles();
+    if (files.length > 0) {
+      await this.handleFiles(files);
+    }
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    this.dialog.classList.add('hidden');
+    this.isOpen = false;
+    this.table = null;
+    this.columns = [];
+  }
+
+  /**
+   * Whether files are registered (DuckDB) rather than imported into a table
+   *
+   * @private
+   * @returns {boolean}
+   */
+  isRegistering() {
+    return this.database?.language === 'duckdb';
+  }
+
+  /**
+   * Show the step that picks the files
+   *
+   * @private
+   */
+  showSource() {
+    this.table = null;
+    this.columns = [];
+    this.dialog.querySelector('#data-import-source').classList.remove('hidden');
+    this.dialog.querySelector('#data-import-preview').classList.add('hidden');
+    this.dialog.querySelector('#data-import-import-btn').classList.add('hidden');
+    this.dialog.querySelector('#data-import-back-btn').classList.add('hidden');
+    this.showStatus('');
+  }
+
+  /**
+   * List the saved files the runtime can read
+   *
+   * @private
+   */
+  async renderSavedFiles() {
+    const selectEl = this.dialog.querySelector('#data-import-saved-select');
+    const registering = this.isRegistering();
+
+    let files = [];
+    try {
+      files = (await this.fileManager.getAllFiles())
+        .filter(file => {
+          const format = DataImport.getFormat(file.name);
+          return format && (registering || format !== 'parquet');
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('[DataImportDialog] Failed to list saved files:', error);
+    }
+
+    selectEl.innerHTML = [
+      `<option value="">${files.length > 0 ? 'Choose a file…' : 'No saved data files'}</option>`,
+      ...files.map(file => `<option value="${file.id}">${escapeHtml(file.name)}</option>`),
+    ].join('');
+    selectEl.disabled = files.length === 0;
+  }
+
+  /**
+   * Use files from disk
+   *
+   * @private
+   * @param {Array<File>} files - Chosen or dropped files
+   */
+  async handleFiles(files) {
+    try {
+      const entries = await Promise.all(files.map(async file => ({
+        name: file.name,
+        data: new Uint8Array(await file.arrayBuffer()),
+      })));
+      await this.useFiles(entries);
+    } catch (error) {
+      this.showStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * Use a saved file
+   *
+   * @private
+   * @param {number} id - File ID
+   */
+  async handleSavedFile(id) {
+    try {
+      const file = await this.fileManager.loadFile(id);
+      if (!file) {
+        throw new Error('The file no longer exists');
+      }
+
+      const data = typeof file.content === 'string'
+        ? new TextEncoder().encode(file.content)
+        : new Uint8Array(await file.content.arrayBuffer());
+      await this.useFiles([{ name: file.name.split('/').pop(), data }]);
+    } catch (error) {
+      this.showStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * Register files with DuckDB, or preview the first one for import
+   *
+   * @private
+   * @param {Array<{name: string, data: Uint8Array}>} files - File names and contents
+   */
+  async useFiles(files) {
+    const unsupported = files.filter(file => !DataImport.getFormat(file.name));
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported file type: ${unsupported.map(file => file.name).join(', ')}`);
+    }
+
+    if (this.isRegistering()) {
+      this.showStatus('Registering…');
+      if (await this.onRegisterFiles(files)) {
+        this.close();
+      } else {
+        this.showStatus('');
+      }
+      return;
+    }
+
+    const [file] = files;
+    this.showStatus(`Reading ${file.name}…`);
+    this.table = await DataImport.read(file.name, file.data);
+    if (this.table.columns.length === 0) {
+      throw new Error(`${file.name} has no columns`);
+    }
+
+    this.fileName = file.name;
+    this.columns = this.table.columns.map((name, index) => ({
+      name,
+      type: DataImport.inferType(this.table.rows.map(row => row[index])),
+      include: true,
+    }));
+    this.showPreview();
+  }
+
+  /**
+   * Show the step that previews the file and sets up the table
+   *
+   * @private
+   */
+  showPreview() {
+    this.dialog.querySelector('#data-import-source').classList.add('hidden');
+    this.dialog.querySelector('#data-import-preview').classList.remove('hidden');
+    this.dialog.querySelector('#data-import-import-btn').classList.remove('hidden');
+    this.dialog.querySelector('#data-import-back-btn').classList.remove('hidden');
+    this.dialog.querySelector('#data-import-table-input').value = DataImport.tableNameFromFile(this.fileName);
+
+    const rows = this.table.rows.length;
+    this.dialog.querySelector('.data-import-import-label').textContent = `Import ${rows} Row${rows === 1 ? '' : 's'}`;
+    this.showStatus(rows > PREVIEW_ROWS ? `Showing the first ${PREVIEW_ROWS} of ${rows} rows of ${this.fileName}` : this.fileName);
+    this.renderGrid();
+  }
+
+  /**
+   * Render the column settings and the first rows
+   *
+   * @private
+   */
+  renderGrid() {
+    const typeOptions = (selected) => DataImport.TYPES
+      .map(type => `<option value="${type}"${type === selected ? ' selected' : ''}>${type}</option>`)
+      .join('');
+
+    const header = this.columns.map((column, index) => `
+      <th class="${column.include ? '' : 'excluded'}">
+        <label class="data-import-include" title="Import this column">
+          <input type="checkbox" data-index="${index}" data-field="include"${column.include ? ' checked' : ''}>
+        </label>
+        <input type="text" class="data-import-column-name" data-index="${index}" data-field="name"
+          value="${escapeHtml(column.name)}" spellcheck="false" aria-label="Column name">
+        <select data-index="${index}" data-field="type" aria-label="Column type">${typeOptions(column.type)}</select>
+      </th>
+    `).join('');
+
+    const body = this.table.rows.slice(0, PREVIEW_ROWS).map(row => `
+      <tr>${this.columns.map((column, index) => `
+        <td class="${column.include ? '' : 'excluded'}">${row[index] === null ? '<span class="data-import-null">NULL</span>' : escapeHtml(row[index])}</td>
+      `).join('')}</tr>
+    `).join('');
+
+    this.dialog.querySelector('#data-import-grid').innerHTML = `
+      <table>
+        <thead><tr>${header}</tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Apply a change to a column's settings
+   *
+   * @private
+   * @param {HTMLElement} input - Checkbox, name input or type select of the column
+   */
+  updateColumn(input) {
+    const column = this.columns[Number(input.dataset.index)];
+    if (!column) return;
+
+    if (input.dataset.field === 'include') {
+      column.include = input.checked;
+      this.renderGrid();
+    } else {
+      column[input.dataset.field] = input.value;
+    }
+  }
+
+  /**
+   * Import the previewed file into a table
+   *
+   * @private
+   */
+  async handleImport() {
+    const name = this.dialog.querySelector('#data-import-table-input').value.trim();
+    const included = this.columns
+      .map((column, index) => ({ ...column, name: column.name.trim(), index }))
+      .filter(column => column.include);
+
+    const names = included.map(column => column.name.toLowerCase());
+    let problem = null;
+    if (!name) {
+      problem = 'Enter a table name';
+    } else if (included.length === 0) {
+      problem = 'Choose at least one column to import';
+    } else if (names.includes('')) {
+      problem = 'Every imported column needs a name';
+    } else if (new Set(names).size < names.length) {
+      problem = 'Column names must be different';
+    }
+    if (problem) {
+      this.showStatus(problem, 'error');
+      return;
+    }
+
+    const button = this.dialog.querySelector('#data-import-import-btn');
+    button.disabled = true;
+    this.showStatus(`Importing ${this.table.rows.length} rows…`);
+
+    try {
+      const imported = await this.onImportTable({
+        name,
+        columns: included.map(({ name: columnName, type }) => ({ name: columnName, type })),
+        rows: this.table.rows.map(row => included.map(column => row[column.index] ?? null)),
+      });
+      if (imported) {
+        this.close();
+      } else {
+        this.showStatus('');
+      }
+    } catch (error) {
+      this.showStatus(error.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Show a progress or error message
+   *
+   * @private
+   * @param {string} message - Message, or '' to clear it
+   * @param {string} [type] - 'error' for errors
+   */
+  showStatus(message, type = 'info') {
+    const statusEl = this.dialog.querySelector('#data-import-status');
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error', type === 'error');
+  }
+
+  /**
+   * Dispose of the dialog
+   */
+  dispose() {
+    if (this.dialog) {
+      this.dialog.remove();
+      this.dialog = null;
+    }
+  }
+}
@@ -0,0 +1,390 @@
+/**
+ * DatabaseExplorer - Database sidebar for the SQL runtimes
+ *
+ * Features:
+ * - Tables and views of the active SQLite, DuckDB, PostgreSQL or MySQL database
+ * - Row counts, columns with their types, primary keys and indexes
+ * - Click a table or view to generate a `SELECT * ... LIMIT 100` query
+ * - Switch between the in-memory database and saved databases, create and
+ *   delete saved databases, save the database as a file or open a file
+ * - Import data files, chosen or dropped onto the sidebar (see DataImportDialog)
+ */
+
+import DatabaseSchema from '../../runtimes/databases/DatabaseSchema.js';
+import { escapeHtml } from '../../utils/html.js';
+
+/**
+ * Key of a table, unique within a schema
+ *
+ * @param {{name: string, schema: (string|null)}} table - Table
+ * @returns {string}
+ */
+function tableKey(table) {
+  return `${table.schema || ''}.${table.name}`;
+}
+
+export default class DatabaseExplorer {
+  /**
+   * @param {HTMLElement} container - DOM container for the sidebar
+   * @param {Object} [options] - Configuration options
+   * @param {Function} [options.onRefresh] - () => Promise, reads the active database's schema
+   *   again (and passes it to setDatabase())
+   * @param {Function} [options.onQueryTable] - (sql, table) => void, called with the query
+   *   generated for a clicked table
+   * @param {Function} [options.onSwitchDatabase] - (name) => void, open a saved database, or
+   *   an in-memory one for null
+   * @param {Function} [options.onCreateDatabase] - () => void, create a saved database
+   * @param {Function} [options.onDeleteDatabase] - (name) => void, delete a saved database
+   * @param {Function} [options.onSaveDatabase] - () => void, download the database as a file
+   * @param {Function} [options.onOpenDatabaseFile] - (file) => void, open a chosen database File
+   * @param {Function} [options.onImportData] - (files) => void, import data from dropped Files,
+   *   or from files still to be chosen for an empty array
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onRefresh = options.onRefresh || (async () => {});
+    this.onQueryTable = options.onQueryTable || (() => {});
+    this.onSwitchDatabase = options.onSwitchDatabase || (() => {});
+    this.onCreateDatabase = options.onCreateDatabase || (() => {});
+    this.onDeleteDatabase = options.onDeleteDatabase || (() => {});
+    this.onSaveDatabase = options.onSaveDatabase || (() => {});
+    this.onOpenDatabaseFile = options.onOpenDatabaseFile || (() => {});
+    this.onImportData = options.onImportData || (() => {});
+
+    this.isVisible = false;
+    this.database = null; // Active database runtime (see setDatabase())
+    this.schema = null;
+    this.error = null;
+    this.expanded = new Set(); // Keys of tables whose columns are shown
+  }
+
+  /**
+   * Initialize the sidebar (hidden until shown)
+   */
+  init() {
+    this.render();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Render the sidebar UI
+   */
+  render() {
+    this.container.innerHTML = `
+      <div class="database-explorer hidden">
+        <div class="file-explorer-header">
+          <h3 class="file-explorer-title">Database</h3>
+          <div class="file-explorer-actions">
+            <button class="btn-icon" id="database-explorer-refresh" title="Refresh">🔄</button>
+            <button class="btn-icon" id="database-explorer-close" title="Close">×</button>
+          </div>
+        </div>
+
+        <div class="database-explorer-name" id="database-explorer-name"></div>
+        <div class="database-explorer-switcher hidden" id="database-explorer-switcher">
+          <select class="database-explorer-select" id="database-explorer-select" aria-label="Open database"></select>
+          <button class="btn-icon" id="database-explorer-new" title="New saved database">➕</button>
+          <button class="btn-icon" id="database-explorer-delete" title="Delete this database">🗑️</button>
+          <button class="btn-icon" id="database-explorer-save" title="Save database as a file">💾</button>
+          <button class="btn-icon" id="database-explorer-open" title="Open a .sqlite or .db file">📂</button>
+          <button class="btn-icon" id="database-explorer-import" title="Import CSV, TSV, Parquet, JSON or XLSX data">📥</button>
+          <input type="file" id="database-explorer-file" accept=".sqlite,.sqlite3,.db" style="display: none;">
+        </div>
+        <div class="database-explorer-list" id="database-explorer-list"></div>
+      </div>
+    `;
+
+    this.element = this.container.querySelector('.database-explorer');
+    this.renderSwitcher();
+    this.renderTables();
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.element.querySelector('#database-explorer-refresh').addEventListener('click', () => this.refresh());
+    this.element.querySelector('#database-explorer-close').addEventListener('click', () => this.hide());
+
+    // Saved databases
+    this.element.querySelector('#database-explorer-select').addEventListener('change', (e) => {
+      this.onSwitchDatabase(e.target.value || null);
+    });
+    this.element.querySelector('#database-explorer-new').addEventListener('click', () => this.onCreateDatabase());
+    this.element.querySelector('#database-explorer-delete').addEventListener('click', () => {
+      if (this.database?.active) this.onDeleteDatabase(this.database.active);
+    });
+    this.element.querySelector('#database-explorer-save').addEventListener('click', () => this.onSaveDatabase());
+
+    const fileInput = this.element.querySelector('#database-explorer-file');
+    this.element.querySelector('#database-explorer-open').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const [file] = fileInput.files;
+      fileInput.value = '';
+      if (file) this.onOpenDatabaseFile(file);
+    });
+
+    // Import data files, chosen in the import dialog or dropped here
+    this.element.querySelector('#database-explorer-import').addEventListener('click', () => this.onImportData([]));
+    this.element.addEventListener('dragover', (e) => {
+      if (!this.database?.canImport || !e.dataTransfer?.types.includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      this.element.classList.add('drag-over');
+    });
+    this.element.addEventListener('dragleave', (e) => {
+      if (!this.element.contains(e.relatedTarget)) this.element.classList.remove('drag-over');
+    });
+    this.element.addEventListener('drop', (e) => {
+      this.element.classList.remove('drag-over');
+      if (!this.database?.canImport || !e.dataTransfer?.files.length) return;
+      e.preventDefault();
+      this.onImportData([...e.dataTransfer.files]);
+    });
+
+    // Expand a table, or query it
+    this.element.querySelector('#database-explorer-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.database-explorer-item');
+      const table = item && this.findTable(item.closest('.database-explorer-table').dataset.key);
+      if (!table) return;
+
+      if (e.target.closest('.database-explorer-caret')) {
+        this.toggleTable(table);
+      } else {
+        this.onQueryTable(DatabaseSchema.selectQuery(table, this.database.language), table);
+      }
+    });
+  }
+
+  /**
+   * Show the sidebar and read the schema
+   */
+  async show() {
+    this.element.classList.remove('hidden');
+    this.isVisible = true;
+    await this.refresh();
+  }
+
+  /**
+   * Hide the sidebar
+   */
+  hide() {
+    this.element.classList.add('hidden');
+    this.isVisible = false;
+  }
+
+  /**
+   * Show or hide the sidebar
+   */
+  async toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      await this.show();
+    }
+  }
+
+  /**
+   * Read the active database's schema again
+   */
+  async refresh() {
+    try {
+      await this.onRefresh();
+    } catch (error) {
+      console.error('[DatabaseExplorer] Failed to read the schema:', error);
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Show a database's schema
+   *
+   * @param {Object|null} database - Active database runtime, or null when the current
+   *   language is not a database
+   * @param {string} database.language - Runtime language (e.g. 'sqlite')
+   * @param {string} database.name - Display name of the runtime
+   * @param {Array<string>} [database.databases] - Names of its saved databases; omitted
+   *   when it cannot save databases
+   * @param {string|null} [database.active] - Name of the open saved database; null in memory
+   * @param {string|null} [database.fileExtension] - Extension of the files the database
+   *   is saved as (e.g. '.sqlite'); null when it cannot be saved as a file
+   * @param {boolean} [database.canOpenFiles] - Whether database files can be opened
+   * @param {boolean} [database.canImport] - Whether data files can be imported
+   * @param {{tables: Array<Object>}|null} [schema] - Its schema (see DatabaseSchema)
+   */
+  setDatabase(database, schema = null) {
+    if (database?.language !== this.database?.language || database?.active !== this.database?.active) {
+      this.expanded.clear();
+    }
+
+    this.database = database;
+    this.schema = database ? schema : null;
+    this.error = null;
+    this.renderSwitcher();
+    this.renderTables();
+  }
+
+  /**
+   * Show why the schema could not be read
+   *
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    this.error = message;
+    this.renderTables();
+  }
+
+  /**
+   * Find a table by its key
+   *
+   * @private
+   * @param {string} key - See tableKey()
+   * @returns {Object|undefined}
+   */
+  findTable(key) {
+    return this.schema?.tables.find(table => tableKey(table) === key);
+  }
+
+  /**
+   * Show or hide a table's columns and indexes
+   *
+   * @private
+   * @param {Object} table - Table
+   */
+  toggleTable(table) {
+    const key = tableKey(table);
+    if (this.expanded.has(key)) {
+      this.expanded.delete(key);
+    } else {
+      this.expanded.add(key);
+    }
+    this.renderTables();
+  }
+
+  /**
+   * Render the saved database switcher and its actions
+   *
+   * @private
+   */
+  renderSwitcher() {
+    const switcherEl = this.element.querySelector('#database-explorer-switcher');
+    const databases = this.database?.databases;
+    switcherEl.classList.toggle('hidden', !databases);
+    if (!databases) return;
+
+    const { active = null, fileExtension = null, canOpenFiles = false, canImport = false } = this.database;
+    const selectEl = this.element.querySelector('#database-explorer-select');
+    selectEl.innerHTML = [
+      '<option value="">In memory (not saved)</option>',
+      ...databases.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`),
+    ].join('');
+    selectEl.value = active || '';
+
+    const deleteBtn = this.element.querySelector('#database-explorer-delete');
+    deleteBtn.disabled = !active;
+    deleteBtn.title = active ? `Delete the "${active}" database` : 'Delete this database';
+
+    const saveBtn = this.element.querySelector('#database-explorer-save');
+    saveBtn.style.display = fileExtension ? '' : 'none';
+    saveBtn.title = `Save database as ${fileExtension}`;
+
+    this.element.querySelector('#database-explorer-open').style.display = canOpenFiles ? '' : 'none';
+    this.element.querySelector('#database-explorer-import').style.display = canImport ? '' : 'none';
+  }
+
+  /**
+   * Render the tables and views
+   *
+   * @private
+   */
+  renderTables() {
+    this.element.querySelector('#database-explorer-name').textContent = this.database
+      ? `${this.database.name} database`
+      : '';
+
+    const listEl = this.element.querySelector('#database-explorer-list');
+
+    if (this.error) {
+      listEl.innerHTML = `<div class="empty-state">${escapeHtml(this.error)}</div>`;
+      return;
+    }
+    if (!this.database) {
+      listEl.innerHTML = '<div class="empty-state">Switch to SQLite, DuckDB, PostgreSQL or MySQL to explore its database</div>';
+      return;
+    }
+    if (!this.schema) {
+      listEl.innerHTML = '<div class="empty-state">Loading…</div>';
+      return;
+    }
+    if (this.schema.tables.length === 0) {
+      listEl.innerHTML = '<div class="empty-state">No tables yet</div>';
+      return;
+    }
+
+    const tables = this.schema.tables.filter(table => table.type === 'table');
+    const views = this.schema.tables.filter(table => table.type === 'view');
+
+    listEl.innerHTML = [['Tables', tables], ['Views', views]]
+      .filter(([, entries]) => entries.length > 0)
+      .map(([title, entries]) => `
+        <div class="database-explorer-section">${title} (${entries.length})</div>
+        ${entries.map(table => this.renderTable(table)).join('')}
+      `).join('');
+  }
+
+  /**
+   * HTML of a table or view, with its columns and indexes when expanded
+   *
+   * @private
+   * @param {Object} table - Table
+   * @returns {string}
+   */
+  renderTable(table) {
+    const key = tableKey(table);
+    const expanded = this.expanded.has(key);
+    const query = DatabaseSchema.selectQuery(table, this.database.language);
+    const rows = table.rowCount === null
+      ? ''
+      : `<span class="database-explorer-count" title="${table.rowCount} row${table.rowCount === 1 ? '' : 's'}">${table.rowCount.toLocaleString()}</span>`;
+
+    const details = expanded
+      ? `
+        <div class="database-explorer-details">
+          ${table.columns.map(column => `
+            <div class="database-explorer-column" title="${escapeHtml(column.name)} ${escapeHtml(column.type || '')}${column.nullable ? '' : ' NOT NULL'}">
+              <span class="database-explorer-column-name">${column.primaryKey ? '🔑 ' : ''}${escapeHtml(column.name)}</span>
+              <span class="database-explorer-type">${escapeHtml(column.type || '')}${column.nullable ? '' : ' NOT NULL'}</span>
+            </div>
+          `).join('')}
+          ${table.indexes.length > 0 ? '<div class="database-explorer-subsection">Indexes</div>' : ''}
+          ${table.indexes.map(index => `
+            <div class="database-explorer-column" title="${escapeHtml(index.name)}">
+              <span class="database-explorer-column-name">${escapeHtml(index.name)}</span>
+              <span class="database-explorer-type">${index.unique ? 'UNIQUE ' : ''}(${escapeHtml(index.columns.join(', '))})</span>
+            </div>
+          `).join('')}
+        </div>
+      `
+      : '';
+
+    return `
+      <div class="database-explorer-table" data-key="${escapeHtml(key)}">
+        <div class="database-explorer-item" title="${escapeHtml(query)}">
+          <button class="database-explorer-caret" aria-expanded="${expanded}" aria-label="${expanded ? 'Hide' : 'Show'} columns of ${escapeHtml(table.name)}">${expanded ? '▾' : '▸'}</button>
+          <span class="database-explorer-icon">${table.type === 'view' ? '👁' : '▦'}</span>
+          <span class="database-explorer-label">${escapeHtml(table.name)}</span>
+          ${table.schema ? `<span class="database-explorer-schema">${escapeHtml(table.schema)}</span>` : ''}
+          ${rows}
+        </div>
+        ${details}
+      </div>
+    `;
+  }
+
+  /**
+   * Dispose of the sidebar
+   */
+  dispose() {
+    this.container.innerHTML = '';
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * DiffDialog.js
+ *
+ * Changes of a file in a Git repository against HEAD
+ *
+ * Features:
+ * - Monaco side-by-side diff editor: the committed version against the saved file
+ * - List of changed hunks; clicking one scrolls the diff to it
+ * - Per-hunk revert back to the committed lines
+ */
+
+import LineDiff from '../../storage/LineDiff.js';
+
+export default class DiffDialog {
+  /**
+   * @param {Editor} editor - The IDE's editor, whose Monaco instance renders diffs
+   */
+  constructor(editor) {
+    this.editor = editor;
+
+    this.dialog = null;
+    this.diffEditor = null;
+    this.models = [];
+    this.isOpen = false;
+
+    this.original = '';
+    this.modified = '';
+    this.language = 'plaintext';
+    this.hunks = [];
+    this.onRevertHunk = null;
+  }
+
+  /**
+   * Initialize the diff dialog
+   */
+  init() {
+    this.createDialog();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Create the diff dialog element
+   */
+  createDialog() {
+    const dialog = document.createElement('div');
+    dialog.id = 'diff-dialog';
+    dialog.className = 'history-dialog diff-dialog hidden';
+
+    dialog.innerHTML = `
+      <div class="history-backdrop"></div>
+      <div class="history-content">
+        <div class="history-header">
+          <h2>🌿 <span class="diff-title">Changes</span></h2>
+          <button class="close-btn" title="Close (Esc)">×</button>
+        </div>
+
+        <div class="history-body">
+          <div class="history-list" id="diff-hunk-list"></div>
+          <div class="history-diff">
+            <div class="history-diff-labels">
+              <span>HEAD</span>
+              <span>Saved</span>
+            </div>
+            <div class="history-diff-editor" id="diff-dialog-editor"></div>
+          </div>
+        </div>
+
+        <div class="history-actions">
+          <button id="diff-close-btn" class="btn btn-secondary">
+            Close
+          </button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(dialog);
+    this.dialog = dialog;
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.dialog.querySelector('.close-btn').addEventListener('click', () => this.close());
+    this.dialog.querySelector('.history-backdrop').addEventListener('click', () => this.close());
+    this.dialog.querySelector('#diff-close-btn').addEventListener('click', () => this.close());
+
+    // Revert a hunk, or scroll to it
+    this.dialog.querySelector('#diff-hunk-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.history-item');
+      if (!item) return;
+
+      const hunk = this.hunks[parseInt(item.getAttribute('data-hunk'))];
+      if (e.target.closest('.diff-revert-btn')) {
+        this.handleRevert(hunk);
+      } else {
+        this.revealHunk(hunk);
+      }
+    });
+
+    // ESC key
+    document.addEventListener('keydown', (e) => {
+      if (this.isOpen && e.key === 'Escape') {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Open the dialog
+   *
+   * @param {Object} options - What to compare
+   * @param {string} options.title - Dialog title, e.g. the file path
+   * @param {string} options.language - File language
+   * @param {string} options.original - Committed text
+   * @param {string} options.modified - Saved text
+   * @param {Function} options.onRevertHunk - (hunk, original, modified) => Promise<string|undefined>,
+   *   reverts a hunk and resolves the file's new text (undefined if it failed)
+   */
+  open({ title, language, original, modified, onRevertHunk }) {
+    this.original = original;
+    this.modified = modified;
+    this.language = language;
+    this.onRevertHunk = onRevertHunk;
+
+    this.dialog.querySelector('.diff-title').textContent = title;
+    this.dialog.classList.remove('hidden');
+    this.isOpen = true;
+
+    this.update();
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    this.dialog.classList.add('hidden');
+    this.isOpen = false;
+    this.disposeDiff();
+  }
+
+  /**
+   * Recompute the hunks and redraw the list and the diff
+   */
+  update() {
+    this.hunks = LineDiff.diff(this.original, this.modified);
+    this.renderList();
+    this.showDiff();
+  }
+
+  /**
+   * Render the list of hunks
+   */
+  renderList() {
+    const listEl = this.dialog.querySelector('#diff-hunk-list');
+
+    if (this.hunks.length === 0) {
+      listEl.innerHTML = '<div class="empty-state">No changes against HEAD</div>';
+      return;
+    }
+
+    listEl.innerHTML = this.hunks.map((hunk, i) => {
+      const type = LineDiff.type(hunk);
+      const [marker] = LineDiff.markers([hunk]);
+      const lines = type === 'deleted'
+        ? `${hunk.originalCount} line${hunk.originalCount === 1 ? '' : 's'} removed`
+        : `Lines ${marker.startLine}–${marker.endLine}`;
+
+      return `
+        <div class="history-item diff-hunk" data-hunk="${i}">
+          <div class="history-item-date">
+            <span class="diff-hunk-type git-change-${type}">${type}</span>
+            <button class="btn-icon diff-revert-btn" title="Revert to the committed lines">↶ Revert</button>
+          </div>
+          <div class="history-item-meta">${lines}</div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Show a Monaco diff of the committed text (left) against the saved text (right)
+   */
+  showDiff() {
+    const container = this.dialog.querySelector('#diff-dialog-editor');
+    const monaco = this.editor.monaco;
+
+    if (!monaco) {
+      container.textContent = 'The diff view needs the editor to be loaded.';
+      return;
+    }
+
+    if (!this.diffEditor) {
+      this.diffEditor = monaco.editor.createDiffEditor(container, {
+        readOnly: true,
+        automaticLayout: true,
+        renderSideBySide: true,
+        minimap: { enabled: false },
+        scrollBeyondLastLine: false,
+      });
+    }
+
+    const language = this.editor.getMonacoLanguageId(this.language);
+    const original = monaco.editor.createModel(this.original, language);
+    const modified = monaco.editor.createModel(this.modified, language);
+
+    this.diffEditor.setModel({ original, modified });
+    this.models.forEach(model => model.dispose());
+    this.models = [original, modified];
+  }
+
+  /**
+   * Scroll the diff to a hunk
+   *
+   * @param {object} hunk - Hunk
+   */
+  revealHunk(hunk) {
+    if (!this.diffEditor) return;
+
+    const [marker] = LineDiff.markers([hunk]);
+    this.diffEditor.getModifiedEditor().revealLineInCenter(marker.startLine);
+  }
+
+  /**
+   * Revert one hunk and show what is left
+   *
+   * @param {object} hunk - Hunk
+   */
+  async handleRevert(hunk) {
+    const buttons = this.dialog.querySelectorAll('.diff-revert-btn');
+    buttons.forEach((button) => {
+      button.disabled = true;
+    });
+
+    try {
+      const content = await this.onRevertHunk(hunk, this.original, this.modified);
+      if (typeof content === 'string' && this.isOpen) {
+        this.modified = content;
+        this.update();
+      }
+    } finally {
+      buttons.forEach((button) => {
+        button.disabled = false;
+      });
+    }
+  }
+
+  /**
+   * Dispose the diff editor and its models
+   */
+  disposeDiff() {
+    if (this.diffEditor) {
+      this.diffEditor.dispose();
+      this.diffEditor = null;
+    }
+    this.models.forEach(model => model.dispose());
+    this.models = [];
+  }
+
+  /**
+   * Dispose of the dialog
+   */
+  dispose() {
+    this.disposeDiff();
+    if (this.dialog) {
+      this.dialog.remove();
+      this.dialog = null;
+    }
+  }
+}
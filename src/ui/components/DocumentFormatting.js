@@ -0,0 +1,100 @@
+/**
+ * DocumentFormatting - Monaco "Format Document" for the IDE's languages
+ *
+ * Registers document formatting providers backed by CodeFormatter:
+ * - Prettier for JavaScript, TypeScript, CSS, HTML, Markdown, YAML and JSON
+ *   (in place of Monaco's built-in formatters)
+ * - sql-formatter for SQLite, DuckDB, PostgreSQL and MySQL, each in its dialect
+ * - black for Python
+ *
+ * Format Document (Shift+Alt+F, or the editor's context menu) then works in
+ * every editor group. Lua, R and XML have no formatter.
+ */
+
+import CodeFormatter from '../../runtimes/CodeFormatter.js';
+
+// Monaco language ids given a formatting provider (see Editor.getMonacoLanguageId)
+const FORMATTED_LANGUAGES = [
+  'javascript', 'typescript', 'css', 'scss', 'less', 'html', 'markdown', 'yaml', 'json',
+  'sql', 'pgsql', 'mysql', 'python',
+];
+
+export default class DocumentFormatting {
+  /**
+   * @param {Object} monaco - Monaco API
+   * @param {Object} [options] - Configuration options
+   * @param {Function} [options.getLanguage] - (model) => string|null, the runtime language of a
+   *   model's file (e.g. 'duckdb' for a model Monaco knows as 'sql')
+   * @param {Function} [options.onError] - (error, language) => void, called when formatting fails
+   * @param {CodeFormatter} [options.formatter] - Formatter (default: a new one)
+   */
+  constructor(monaco, options = {}) {
+    this.monaco = monaco;
+    this.getLanguage = options.getLanguage || (() => null);
+    this.onError = options.onError || (() => {});
+    this.formatter = options.formatter || new CodeFormatter();
+
+    this.disposables = [];
+  }
+
+  /**
+   * Register the formatting providers
+   */
+  enable() {
+    if (this.disposables.length > 0) return;
+
+    const provider = {
+      displayName: 'DrLee IDE',
+      provideDocumentFormattingEdits: (model, options, token) => this.provideEdits(model, options, token),
+    };
+    this.disposables = FORMATTED_LANGUAGES.map(
+      (languageId) => this.monaco.languages.registerDocumentFormattingEditProvider(languageId, provider),
+    );
+  }
+
+  /**
+   * Remove the formatting providers
+   */
+  disable() {
+    this.disposables.forEach((disposable) => disposable.dispose());
+    this.disposables = [];
+  }
+
+  /**
+   * Format a whole model
+   *
+   * @private
+   * @param {Object} model - Monaco text model
+   * @param {{tabSize: number, insertSpaces: boolean}} options - Monaco formatting options
+   * @param {Object} [token] - Monaco cancellation token
+   * @returns {Promise<Array<{range: Object, text: string}>>} One edit replacing the text, or
+   *   none if it is already formatted or could not be formatted
+   */
+  async provideEdits(model, options, token) {
+    const language = [this.getLanguage(model), model.getLanguageId()].find(
+      (candidate) => candidate && CodeFormatter.canFormat(candidate),
+    );
+    if (!language) return [];
+
+    const code = model.getValue();
+    try {
+      const text = await this.formatter.format(code, language, {
+        tabSize: options.tabSize,
+        insertSpaces: options.insertSpaces,
+      });
+
+      if (token?.isCancellationRequested || model.isDisposed() || text === code) return [];
+      return [{ range: model.getFullModelRange(), text }];
+    } catch (error) {
+      this.onError(error, language);
+      return [];
+    }
+  }
+
+  /**
+   * Remove the formatting providers
+   */
+  dispose() {
+    this.disable();
+  }
+}
@@ -2,7 +2,13 @@
  * Editor - Monaco Editor integration class
  *
  * Manages Monaco Editor initialization, configuration, and interactions.
+ * Each open tab has its own text model, so undo history, cursor, selections,
+ * folding and scroll position survive switching tabs.
  */
+
+// Owner of the markers for problems reported by runs (see monaco.editor.setModelMarkers)
+const DIAGNOSTICS_OWNER = 'run';
+
 export default class Editor {
   /**
    * @param {HTMLElement} container - DOM container for the editor
@@ -33,6 +39,12 @@ export default class Editor {
 
     this.onRunCallback = null;
     this.onChangeCallback = null;
+    this.gutterDecorations = null; // Git change markers
+
+    this.models = new Map(); // Map of file (tab) ID -> Monaco text model
+    this.viewStates = new Map(); // Map of file (tab) ID -> cursor, selections, folding and scroll
+    this.activeModelId = null;
+    this.isUpdatingModel = false; // Set while updateModel replaces text
   }
 
   /**
@@ -138,7 +150,7 @@ export default class Editor {
   setupEventListeners() {
     // Content change listener
     this.editor.onDidChangeModelContent(() => {
-      if (this.onChangeCallback) {
+      if (this.onChangeCallback && !this.isUpdatingModel) {
         const code = this.getValue();
         this.onChangeCallback(code);
       }
@@ -174,6 +186,181 @@ export default class Editor {
     }
   }
 
+  /**
+   * Show a file's model, creating it on first use
+   *
+   * The view state of the file shown before is kept, and the file's own view
+   * state (from an earlier switch or a closed tab) is restored.
+   *
+   * @param {string|number} fileId - File (tab) ID
+   * @param {string} content - Text for a new model (ignored if the file has one)
+   * @param {string} language - Runtime language
+   */
+  openModel(fileId, content, language) {
+    if (!this.editor) return;
+    if (this.activeModelId === fileId && this.models.has(fileId)) return;
+
+    this.saveViewState();
+
+    let model = this.models.get(fileId);
+    if (!model) {
+      model = this.monaco.editor.createModel(content, this.getMonacoLanguageId(language));
+      this.models.set(fileId, model);
+    }
+
+    // The model the editor was created with belongs to no file
+    const previous = this.editor.getModel();
+    this.editor.setModel(model);
+    if (previous && ![...this.models.values()].includes(previous)) {
+      previous.dispose();
+    }
+
+    this.activeModelId = fileId;
+    this.setLanguage(language);
+
+    const viewState = this.viewStates.get(fileId);
+    if (viewState) {
+      this.editor.restoreViewState(viewState);
+    }
+  }
+
+  /**
+   * Check whether a file has a model
+   *
+   * @param {string|number} fileId - File (tab) ID
+   * @returns {boolean}
+   */
+  hasModel(fileId) {
+    return this.models.has(fileId);
+  }
+
+  /**
+   * Find the file a model belongs to
+   *
+   * @param {Object} model - Monaco text model
+   * @returns {string|number|null} File (tab) ID, or null if the model is not one of this editor's
+   */
+  getModelId(model) {
+    for (const [fileId, fileModel] of this.models) {
+      if (fileModel === model) return fileId;
+    }
+    return null;
+  }
+
+  /**
+   * Replace the text of a file's model, keeping the change undoable
+   * (e.g. after a Git checkout or a restored revision)
+   * The change callback is not called: the new text is already saved.
+   *
+   * @param {string|number} fileId - File (tab) ID
+   * @param {string} content - New text
+   */
+  updateModel(fileId, content) {
+    const model = this.models.get(fileId);
+    if (!model || model.getValue() === content) return;
+
+    this.isUpdatingModel = true;
+    try {
+      model.pushEditOperations(
+        [],
+        [{ range: model.getFullModelRange(), text: content }],
+        () => null
+      );
+    } finally {
+      this.isUpdatingModel = false;
+    }
+  }
+
+  /**
+   * Take a file's model out of this editor without disposing it,
+   * to show it in another editor group
+   *
+   * @param {string|number} fileId - File (tab) ID
+   * @returns {{model: object, viewState: object|null}|null} The model and its view state
+   */
+  detachModel(fileId) {
+    const model = this.models.get(fileId);
+    if (!model) return null;
+
+    if (this.activeModelId === fileId) {
+      this.saveViewState();
+      this.editor.setModel(null);
+      this.activeModelId = null;
+    }
+
+    const viewState = this.viewStates.get(fileId) || null;
+    this.models.delete(fileId);
+    this.viewStates.delete(fileId);
+    return { model, viewState };
+  }
+
+  /**
+   * Adopt a model detached from another editor and show it
+   *
+   * @param {string|number} fileId - File (tab) ID
+   * @param {{model: object, viewState: object|null}} detached - Result of detachModel
+   * @param {string} language - Runtime language
+   */
+  attachModel(fileId, { model, viewState }, language) {
+    this.models.set(fileId, model);
+    if (viewState) {
+      this.viewStates.set(fileId, viewState);
+    }
+    this.openModel(fileId, model.getValue(), language);
+  }
+
+  /**
+   * Dispose a closed file's model
+   * Its view state is kept, so reopening the file puts the cursor back.
+   *
+   * @param {string|number} fileId - File (tab) ID
+   */
+  closeModel(fileId) {
+    const model = this.models.get(fileId);
+    if (!model) return;
+
+    if (this.activeModelId === fileId) {
+      this.saveViewState();
+      this.activeModelId = null;
+    }
+    this.models.delete(fileId);
+    model.dispose();
+  }
+
+  /**
+   * Remember the view state of the shown file
+   *
+   * @private
+   */
+  saveViewState() {
+    if (this.editor && this.activeModelId !== null && this.models.has(this.activeModelId)) {
+      this.viewStates.set(this.activeModelId, this.editor.saveViewState());
+    }
+  }
+
+  /**
+   * Get a file's view state
+   *
+   * @param {string|number} fileId - File (tab) ID
+   * @returns {object|null} Monaco view state (plain JSON), or null if the file was never shown
+   */
+  getViewState(fileId) {
+    if (fileId === this.activeModelId) {
+      this.saveViewState();
+    }
+    return this.viewStates.get(fileId) || null;
+  }
+
+  /**
+   * Set the view state a file gets when it is next shown
+   *
+   * @param {string|number} fileId - File (tab) ID
+   * @param {object} viewState - Monaco view state
+   */
+  setViewState(fileId, viewState) {
+    this.viewStates.set(fileId, viewState);
+  }
+
   /**
    * Get current language
    *
@@ -216,6 +403,9 @@ export default class Editor {
   getMonacoLanguageId(language) {
     const languageMap = {
       'sqlite': 'sql',
+      'duckdb': 'sql',
+      'postgresql': 'pgsql',
+      'mysql': 'mysql',
       'typescript': 'typescript',
       'javascript': 'javascript',
       'python': 'python',
@@ -237,6 +427,18 @@ export default class Editor {
     }
   }
 
+  /**
+   * Change editor options (font, minimap, word wrap, ...)
+   *
+   * @param {Object} options - Monaco editor options
+   */
+  updateOptions(options) {
+    this.options = { ...this.options, ...options };
+    if (this.editor) {
+      this.editor.updateOptions(options);
+    }
+  }
+
   /**
    * Register callback for Run action (Ctrl+Enter)
    *
@@ -255,6 +457,154 @@ export default class Editor {
     this.onChangeCallback = callback;
   }
 
+  /**
+   * Mark lines that differ from the last commit in the gutter
+   *
+   * @param {Array<{type: string, startLine: number, endLine: number}>} markers -
+   *   'added', 'modified' or 'deleted' line ranges (see LineDiff.markers)
+   */
+  setGutterMarkers(markers) {
+    if (!this.editor) return;
+
+    const colors = {
+      added: '#587c0c',
+      modified: '#0c7d9d',
+      deleted: '#94151b',
+    };
+
+    this.gutterDecorations ??= this.editor.createDecorationsCollection();
+    this.gutterDecorations.set(markers.map(marker => ({
+      range: new this.monaco.Range(marker.startLine, 1, marker.endLine, 1),
+      options: {
+        isWholeLine: true,
+        linesDecorationsClassName: `git-gutter-${marker.type}`,
+        overviewRuler: {
+          color: colors[marker.type],
+          position: this.monaco.editor.OverviewRulerLane.Left,
+        },
+      },
+    })));
+  }
+
+  /**
+   * Remove the Git change markers
+   */
+  clearGutterMarkers() {
+    if (this.gutterDecorations) {
+      this.gutterDecorations.clear();
+    }
+  }
+
+  /**
+   * Show the problems a run reported in a file as squiggles
+   *
+   * @param {string|number} fileId - File (tab) ID
+   * @param {Array<Object>} diagnostics - 1-based diagnostics (see BaseRuntime.createDiagnostic())
+   * @returns {boolean} Whether the file has a model to show them in
+   */
+  setDiagnostics(fileId, diagnostics) {
+    const model = this.models.get(fileId);
+    if (!model) return false;
+
+    this.monaco.editor.setModelMarkers(
+      model,
+      DIAGNOSTICS_OWNER,
+      diagnostics.map(diagnostic => Editor.toMarker(diagnostic, model, this.monaco))
+    );
+    return true;
+  }
+
+  /**
+   * Remove the squiggles of the last run from all files
+   */
+  clearDiagnostics() {
+    if (!this.monaco) return;
+
+    for (const model of this.models.values()) {
+      this.monaco.editor.setModelMarkers(model, DIAGNOSTICS_OWNER, []);
+    }
+  }
+
+  /**
+   * Convert a diagnostic to a Monaco marker, clamped to the model's text
+   * Without an end, the word at the position is marked, or the rest of
+   * the line when there is no word.
+   *
+   * @param {Object} diagnostic - 1-based diagnostic (see BaseRuntime.createDiagnostic())
+   * @param {Object} model - Monaco text model
+   * @param {Object} monaco - Monaco API
+   * @param {string} [source='run'] - What reported it, shown with the message
+   * @returns {Object} Marker data
+   */
+  static toMarker(diagnostic, model, monaco, source = DIAGNOSTICS_OWNER) {
+    const lineCount = model.getLineCount();
+    const line = Math.min(Math.max(diagnostic.line, 1), lineCount);
+    const startColumn = Math.min(Math.max(diagnostic.column, 1), model.getLineMaxColumn(line));
+
+    let endLine = Math.min(diagnostic.endLine ?? line, lineCount);
+    let endColumn = diagnostic.endColumn ?? null;
+    if (endColumn === null || endLine < line || (endLine === line && endColumn <= startColumn)) {
+      const word = model.getWordAtPosition({ lineNumber: line, column: startColumn });
+      endLine = line;
+      endColumn = word ? word.endColumn : model.getLineMaxColumn(line);
+      if (endColumn <= startColumn) {
+        endColumn = startColumn + 1;
+      }
+    }
+
+    const severities = {
+      error: monaco.MarkerSeverity.Error,
+      warning: monaco.MarkerSeverity.Warning,
+      info: monaco.MarkerSeverity.Info,
+    };
+
+    return {
+      severity: severities[diagnostic.severity] || severities.error,
+      message: diagnostic.message,
+      source,
+      startLineNumber: line,
+      startColumn,
+      endLineNumber: endLine,
+      endColumn,
+    };
+  }
+
+  /**
+   * Move the cursor to a position, scroll it into view and focus the editor
+   *
+   * @param {{lineNumber: number, column: number}} position - 1-based position
+   */
+  revealPosition(position) {
+    if (!this.editor) return;
+
+    this.editor.setPosition(position);
+    this.editor.revealPositionInCenterIfOutsideViewport(position);
+    this.editor.focus();
+  }
+
+  /**
+   * Insert a statement on its own line below the cursor (or on the cursor's
+   * line if it is blank), select it and focus the editor
+   *
+   * @param {string} text - Statement
+   */
+  insertStatement(text) {
+    const model = this.editor?.getModel();
+    if (!model) return;
+
+    const { lineNumber } = this.editor.getPosition() || { lineNumber: model.getLineCount() };
+    const blank = model.getLineContent(lineNumber).trim() === '';
+    const endColumn = model.getLineMaxColumn(lineNumber);
+    const range = new this.monaco.Range(lineNumber, blank ? 1 : endColumn, lineNumber, endColumn);
+
+    this.editor.executeEdits('insert-statement', [{ range, text: blank ? text : `\n${text}`, forceMoveMarkers: true }]);
+
+    const line = blank ? lineNumber : lineNumber + 1;
+    this.editor.setSelection(new this.monaco.Selection(line, 1, line, text.length + 1));
+    this.editor.revealLineInCenterIfOutsideViewport(line);
+    this.editor.focus();
+  }
+
   /**
    * Focus the editor
    */
@@ -264,6 +614,19 @@ export default class Editor {
     }
   }
 
+  /**
+   * Format the shown file with its language's formatter
+   *
+   * @returns {Promise<boolean>} Whether a formatter ran
+   */
+  async formatDocument() {
+    const action = this.editor?.getAction('editor.action.formatDocument');
+    if (!action || !action.isSupported()) return false;
+
+    await action.run();
+    return true;
+  }
+
   /**
    * Dispose editor instance
    */
@@ -272,6 +635,9 @@ export default class Editor {
       this.editor.dispose();
       this.editor = null;
     }
+    this.models.forEach(model => model.dispose());
+    this.models.clear();
+    this.activeModelId = null;
   }
 
   /**
@@ -680,6 +1046,11 @@ for i in 1 2 3 4 5; do
   echo "Count: $i"
 done
 
+# Pipes, redirection and exit codes
+grep an data.txt | wc -l > count.txt
+echo "Fruits with 'an': $(cat count.txt)"
+grep kiwi data.txt || echo "No kiwi (exit code $?)"
+
 # Note: This is a simulator - no actual system commands are executed
 `,
       assemblyscript: `// AssemblyScript - Press Ctrl+Enter to compile to WASM
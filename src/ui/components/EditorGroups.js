@@ -0,0 +1,291 @@
+/**
+ * EditorGroups.js
+ *
+ * Split editor groups, side by side or stacked
+ *
+ * Features:
+ * - Each group has its own TabBar and Monaco editor
+ * - Split right (groups side by side) or down (groups stacked)
+ * - Drag tabs between groups; the tab's model moves along with its undo history
+ * - Run button per group, running that group's active file
+ *
+ * A file is open in at most one group at a time.
+ */
+
+import Editor from './Editor.js';
+import TabBar from './TabBar.js';
+
+const MAX_GROUPS = 4;
+
+export default class EditorGroups {
+  /**
+   * @param {HTMLElement} container - DOM container for the groups
+   * @param {Object} options - Configuration options
+   * @param {Object} [options.editorOptions] - Options for each group's Editor
+   * @param {Function} [options.onGroupCreated] - (group) => void, set up a new group's callbacks
+   * @param {Function} [options.onGroupFocus] - (group) => void, a group was clicked or focused
+   * @param {Function} [options.onSplit] - (group, newGroup) => void, fill a group split off `group`
+   * @param {Function} [options.onTabMoved] - (tabId, file, from, to) => void, a tab was dragged to another group
+   * @param {Function} [options.onRunGroup] - (group) => void, run the group's active file
+   * @param {Function} [options.onLayoutChange] - (layout) => void, groups were added, removed or reoriented
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.editorOptions = options.editorOptions || {};
+    this.onGroupCreated = options.onGroupCreated || (() => {});
+    this.onGroupFocus = options.onGroupFocus || (() => {});
+    this.onSplit = options.onSplit || (() => {});
+    this.onTabMoved = options.onTabMoved || (() => {});
+    this.onRunGroup = options.onRunGroup || (() => {});
+    this.onLayoutChange = options.onLayoutChange || (() => {});
+
+    this.groups = [];
+    this.activeGroup = null;
+    this.orientation = 'vertical'; // 'vertical': side by side, 'horizontal': stacked
+    this.nextGroupId = 1;
+  }
+
+  /**
+   * Initialize with a single group
+   *
+   * @returns {Promise<object>} The first group
+   */
+  async init() {
+    this.container.classList.add('editor-groups');
+    const group = await this.addGroup();
+    this.setActive(group);
+    return group;
+  }
+
+  /**
+   * Create a group
+   *
+   * @private
+   * @param {object} [after] - Group to insert the new group after (default: last)
+   * @returns {Promise<{id: number, element: HTMLElement, tabBar: TabBar, editor: Editor}>} The group
+   */
+  async addGroup(after = null) {
+    const element = document.createElement('div');
+    element.className = 'editor-group';
+    element.innerHTML = `
+      <div class="editor-group-header">
+        <div class="editor-group-tabs"></div>
+        <div class="editor-group-actions">
+          <button class="btn-icon" data-action="run" title="Run this group's file">▶</button>
+          <button class="btn-icon" data-action="split-right" title="Split right">◫</button>
+          <button class="btn-icon" data-action="split-down" title="Split down">⬓</button>
+          <button class="btn-icon" data-action="close" title="Close group">×</button>
+        </div>
+      </div>
+      <div class="editor-container"></div>
+    `;
+
+    const index = after ? this.groups.indexOf(after) + 1 : this.groups.length;
+    this.container.insertBefore(element, this.groups[index]?.element || null);
+
+    const group = {
+      id: this.nextGroupId++,
+      element,
+      tabBar: new TabBar(element.querySelector('.editor-group-tabs')),
+      editor: new Editor(element.querySelector('.editor-container'), this.editorOptions),
+    };
+    this.groups.splice(index, 0, group);
+
+    await group.editor.init();
+    this.attachGroupListeners(group);
+    this.updateLayout();
+    this.onGroupCreated(group);
+
+    return group;
+  }
+
+  /**
+   * Attach a group's focus, action and drop listeners
+   *
+   * @private
+   * @param {object} group - Group
+   */
+  attachGroupListeners(group) {
+    const { element } = group;
+
+    // Clicking or typing in a group makes it the active one
+    const focus = () => {
+      if (this.activeGroup !== group && this.groups.includes(group)) {
+        this.onGroupFocus(group);
+      }
+    };
+    element.addEventListener('mousedown', focus);
+    element.addEventListener('focusin', focus);
+
+    element.querySelector('.editor-group-actions').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const action = button.getAttribute('data-action');
+      if (action === 'run') {
+        this.onRunGroup(group);
+      } else if (action === 'split-right') {
+        this.split(group, 'vertical');
+      } else if (action === 'split-down') {
+        this.split(group, 'horizontal');
+      } else if (action === 'close') {
+        this.closeGroup(group);
+      }
+    });
+
+    // Tabs dropped here move to this group
+    element.addEventListener('dragover', (e) => {
+      if (TabBar.isTabDrag(e.dataTransfer)) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        element.classList.add('drop-target');
+      }
+    });
+
+    element.addEventListener('dragleave', (e) => {
+      if (!element.contains(e.relatedTarget)) {
+        element.classList.remove('drop-target');
+      }
+    });
+
+    element.addEventListener('drop', (e) => {
+      element.classList.remove('drop-target');
+      if (!TabBar.isTabDrag(e.dataTransfer)) return;
+
+      e.preventDefault();
+      const tabId = TabBar.getDraggedTabId(e.dataTransfer);
+      const from = this.findGroup(tabId);
+      if (from && from !== group) {
+        this.moveTab(tabId, from, group);
+      }
+    });
+  }
+
+  /**
+   * Split a group, adding a new group next to it
+   *
+   * @param {object} group - Group to split
+   * @param {string} orientation - 'vertical' (side by side) or 'horizontal' (stacked);
+   *   applies to all groups
+   * @returns {Promise<object|null>} The new group, or null if there are already MAX_GROUPS
+   */
+  async split(group, orientation) {
+    if (this.groups.length >= MAX_GROUPS) {
+      return null;
+    }
+
+    this.orientation = orientation;
+    const newGroup = await this.addGroup(group);
+    this.onSplit(group, newGroup);
+    this.onLayoutChange(this.getLayout());
+    return newGroup;
+  }
+
+  /**
+   * Move a tab and its model to another group
+   *
+   * @param {string|number} tabId - Tab ID
+   * @param {object} from - Group the tab is in
+   * @param {object} to - Group to move it to
+   */
+  moveTab(tabId, from, to) {
+    const file = from.tabBar.detachTab(tabId);
+    if (!file) return;
+
+    const detached = from.editor.detachModel(tabId);
+    to.tabBar.addTab(file);
+    if (detached) {
+      to.editor.attachModel(tabId, detached, file.language);
+    }
+
+    this.onTabMoved(tabId, file, from, to);
+
+    // A group whose last tab left closes
+    if (from.tabBar.tabs.size === 0) {
+      this.closeGroup(from);
+    }
+  }
+
+  /**
+   * Close a group, moving its tabs to a neighbouring group
+   * The last group cannot be closed.
+   *
+   * @param {object} group - Group to close
+   */
+  closeGroup(group) {
+    const index = this.groups.indexOf(group);
+    if (index === -1 || this.groups.length === 1) return;
+
+    const neighbour = this.groups[index === 0 ? 1 : index - 1];
+
+    // Take the group out first, so moving its last tab does not close it again
+    this.groups.splice(index, 1);
+    for (const tabId of Array.from(group.tabBar.tabs.keys())) {
+      this.moveTab(tabId, group, neighbour);
+    }
+
+    group.editor.dispose();
+    group.element.remove();
+
+    if (this.activeGroup === group) {
+      this.activeGroup = null;
+      this.onGroupFocus(neighbour);
+    }
+
+    this.updateLayout();
+    this.onLayoutChange(this.getLayout());
+  }
+
+  /**
+   * Mark a group as the active one
+   *
+   * @param {object} group - Group
+   */
+  setActive(group) {
+    this.activeGroup = group;
+    this.groups.forEach((other) => {
+      other.element.classList.toggle('active', other === group);
+    });
+  }
+
+  /**
+   * Find the group a tab is in
+   *
+   * @param {string|number} tabId - Tab ID
+   * @returns {object|null} Group, or null if no group has the tab
+   */
+  findGroup(tabId) {
+    return this.groups.find(group => group.tabBar.tabs.has(tabId)) || null;
+  }
+
+  /**
+   * Get the split layout
+   *
+   * @returns {{orientation: string, groups: number}} Orientation and number of groups
+   */
+  getLayout() {
+    return { orientation: this.orientation, groups: this.groups.length };
+  }
+
+  /**
+   * Show the groups side by side or stacked
+   *
+   * @private
+   */
+  updateLayout() {
+    this.container.classList.toggle('horizontal', this.orientation === 'horizontal');
+    this.container.classList.toggle('split', this.groups.length > 1);
+  }
+
+  /**
+   * Dispose of all groups
+   */
+  dispose() {
+    this.groups.forEach((group) => {
+      group.editor.dispose();
+      group.element.remove();
+    });
+    this.groups = [];
+    this.activeGroup = null;
+  }
+}
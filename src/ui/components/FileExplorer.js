@@ -3,12 +3,18 @@
  *
  * Features:
  * - Lists all saved files from IndexedDB
+ * - Projects (e.g. cloned repositories) as top-level folders, and empty folders
  * - Click to open file in tab
- * - Right-click context menu (rename, delete)
+ * - Right-click context menu (rename, delete, version history)
+ * - Drag files and folders onto a folder to move them there
  * - File type icons
  * - Search/filter files
  * - Refresh file list
  */
+
+// dataTransfer type of files and folders dragged inside the tree
+const DRAG_TYPE = 'application/x-drlee-file';
+
 export default class FileExplorer {
   /**
    * @param {HTMLElement} container - DOM container for the file explorer
@@ -22,12 +28,19 @@ export default class FileExplorer {
     this.onFileDelete = options.onFileDelete || (() => {});
     this.onFileRename = options.onFileRename || (() => {});
     this.onFileRun = options.onFileRun || (() => {});
+    this.onSetEntryPoint = options.onSetEntryPoint || (() => {});
+    this.onShowHistory = options.onShowHistory || (() => {});
+    this.onAttachSchema = options.onAttachSchema || (() => {});
+    this.onToggleCollapse = options.onToggleCollapse || (() => {});
 
     this.files = [];
+    this.folders = [];
+    this.projects = [];
     this.filteredFiles = [];
     this.searchQuery = '';
     this.contextMenu = null;
-    this.expandedFolders = new Set(); // Track expanded folders
+    this.folderContextMenu = null;
+    this.expandedFolders = new Set(); // Track expanded folders by "projectId:path"
   }
 
   /**
@@ -49,6 +62,7 @@ export default class FileExplorer {
           <div class="file-explorer-actions">
             <button class="btn-icon" id="download-all-files" title="Download all files as ZIP">📦</button>
             <button class="btn-icon" id="clear-all-files" title="Delete all files">🗑️</button>
+            <button class="btn-icon" id="new-folder" title="New folder">📁</button>
             <button class="btn-icon" id="upload-file" title="Upload file">📤</button>
             <button class="btn-icon" id="refresh-files" title="Refresh">🔄</button>
             <button class="btn-icon" id="toggle-explorer" title="Collapse">◀</button>
@@ -77,7 +91,6 @@ export default class FileExplorer {
           type="file"
           id="file-upload-input"
           style="display: none;"
-          accept=".js,.ts,.py,.lua,.sql,.rb,.php,.r,.pl,.txt,.json,.html,.css,.md"
           multiple
         />
       </div>
@@ -92,6 +105,18 @@ export default class FileExplorer {
           <span class="context-menu-icon">▶️</span>
           <span>Run</span>
         </div>
+        <div class="context-menu-item" data-action="entry">
+          <span class="context-menu-icon">🎯</span>
+          <span>Set as Entry Point</span>
+        </div>
+        <div class="context-menu-item" data-action="history">
+          <span class="context-menu-icon">🕘</span>
+          <span>History</span>
+        </div>
+        <div class="context-menu-item" data-action="schema">
+          <span class="context-menu-icon">🧩</span>
+          <span>JSON Schema…</span>
+        </div>
         <div class="context-menu-item" data-action="download">
           <span class="context-menu-icon">⬇️</span>
           <span>Download</span>
@@ -106,6 +131,23 @@ export default class FileExplorer {
           <span>Delete</span>
         </div>
       </div>
+
+      <!-- Folder Context Menu -->
+      <div class="context-menu hidden" id="folder-context-menu">
+        <div class="context-menu-item" data-action="new-folder">
+          <span class="context-menu-icon">📁</span>
+          <span>New Folder</span>
+        </div>
+        <div class="context-menu-item" data-action="rename">
+          <span class="context-menu-icon">✏️</span>
+          <span>Rename</span>
+        </div>
+        <div class="context-menu-divider"></div>
+        <div class="context-menu-item danger" data-action="delete">
+          <span class="context-menu-icon">🗑️</span>
+          <span>Delete</span>
+        </div>
+      </div>
     `;
 
     this.attachEventListeners();
@@ -115,7 +157,7 @@ export default class FileExplorer {
    * Attach event listeners
    */
   attachEventListeners() {
-    // Drag-and-drop file upload
+    // Drag-and-drop file upload, and moving files between folders
     const fileList = document.getElementById('file-list');
     if (fileList) {
       // Prevent default drag behaviors
@@ -126,24 +168,36 @@ export default class FileExplorer {
         }, false);
       });
 
-      // Highlight drop area when file is dragged over
+      // Highlight the drop area for uploads, and the folder under the pointer
       ['dragenter', 'dragover'].forEach(eventName => {
-        fileList.addEventListener(eventName, () => {
-          fileList.classList.add('drag-over');
+        fileList.addEventListener(eventName, (e) => {
+          const types = Array.from(e.dataTransfer?.types || []);
+          fileList.classList.toggle('drag-over', types.includes('Files'));
+          this.highlightDropTarget(e.target.closest('.file-tree-folder'));
         }, false);
       });
 
       ['dragleave', 'drop'].forEach(eventName => {
-        fileList.addEventListener(eventName, () => {
-          fileList.classList.remove('drag-over');
+        fileList.addEventListener(eventName, (e) => {
+          if (eventName === 'drop' || !fileList.contains(e.relatedTarget)) {
+            fileList.classList.remove('drag-over');
+            this.highlightDropTarget(null);
+          }
         }, false);
       });
 
       // Handle dropped files
       fileList.addEventListener('drop', (e) => {
+        const target = this.getDropTarget(e.target);
+        const moved = e.dataTransfer.getData(DRAG_TYPE);
+        if (moved) {
+          this.moveEntry(JSON.parse(moved), target);
+          return;
+        }
+
         const files = e.dataTransfer.files;
         if (files.length > 0) {
-          this.handleDroppedFiles(files);
+          this.handleDroppedFiles(files, target);
         }
       }, false);
     }
@@ -165,6 +219,12 @@ export default class FileExplorer {
       fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
     }
 
+    // New folder button
+    const newFolderBtn = document.getElementById('new-folder');
+    if (newFolderBtn) {
+      newFolderBtn.addEventListener('click', () => this.createFolder(0, ''));
+    }
+
     // Download all files button
     const downloadAllBtn = document.getElementById('download-all-files');
     if (downloadAllBtn) {
@@ -202,11 +262,28 @@ export default class FileExplorer {
       });
     }
 
+    // Folder context menu
+    this.folderContextMenu = document.getElementById('folder-context-menu');
+    if (this.folderContextMenu) {
+      this.folderContextMenu.addEventListener('click', (e) => {
+        const item = e.target.closest('.context-menu-item');
+        if (item) {
+          const action = item.getAttribute('data-action');
+          const projectId = parseInt(this.folderContextMenu.getAttribute('data-project-id'));
+          const path = this.folderContextMenu.getAttribute('data-folder-path');
+          this.handleFolderContextMenuAction(action, projectId, path);
+        }
+      });
+    }
+
     // Click outside to close context menu
     document.addEventListener('click', (e) => {
       if (this.contextMenu && !this.contextMenu.contains(e.target)) {
         this.hideContextMenu();
       }
+      if (this.folderContextMenu && !this.folderContextMenu.contains(e.target)) {
+        this.folderContextMenu.classList.add('hidden');
+      }
     });
   }
 
@@ -219,6 +296,8 @@ export default class FileExplorer {
         sortBy: 'modified',
         order: 'desc',
       });
+      this.folders = await this.fileManager.getAllFolders();
+      this.projects = await this.fileManager.getProjects();
 
       this.filteredFiles = this.files;
       this.renderFileList();
@@ -245,36 +324,77 @@ export default class FileExplorer {
 
   /**
    * Build file tree structure from flat file list
+   * Projects become top-level folders; files outside projects sit at the root.
    */
-  buildFileTree(files) {
+  buildFileTree(files, folders = [], projects = []) {
     const tree = {
       name: 'root',
       type: 'folder',
+      projectId: 0,
+      path: '',
       children: {},
     };
+    const roots = new Map([[0, tree]]);
+
+    const getProjectRoot = (projectId, name) => {
+      if (!roots.has(projectId)) {
+        const node = {
+          name: name || `Project ${projectId}`,
+          type: 'folder',
+          project: true,
+          projectId,
+          path: '',
+          children: {},
+        };
+        // Keyed apart from loose folders of the same name
+        tree.children[`project:${projectId}`] = node;
+        roots.set(projectId, node);
+      }
+      return roots.get(projectId);
+    };
 
-    for (const file of files) {
-      const parts = file.name.split('/');
-      let current = tree;
+    // Navigate/create folder structure
+    const getFolder = (projectId, path, projectName) => {
+      let current = projectId ? getProjectRoot(projectId, projectName) : tree;
+      if (!path) return current;
 
-      // Navigate/create folder structure
-      for (let i = 0; i < parts.length - 1; i++) {
+      const parts = path.split('/');
+      for (let i = 0; i < parts.length; i++) {
         const folderName = parts[i];
-        if (!current.children[folderName]) {
+        if (!current.children[folderName] || current.children[folderName].type !== 'folder') {
           current.children[folderName] = {
             name: folderName,
             type: 'folder',
+            projectId,
+            path: parts.slice(0, i + 1).join('/'),
             children: {},
           };
         }
         current = current.children[folderName];
       }
+      return current;
+    };
+
+    for (const project of projects) {
+      getProjectRoot(project.id, project.name);
+    }
+
+    for (const folder of folders) {
+      getFolder(folder.projectId, folder.path);
+    }
+
+    for (const file of files) {
+      const projectId = file.projectId || 0;
+      const parts = file.name.split('/');
+      const fileName = parts.pop();
+      const current = getFolder(projectId, parts.join('/'), file.gitRepo);
 
       // Add file at final location
-      const fileName = parts[parts.length - 1];
       current.children[fileName] = {
         name: fileName,
         type: 'file',
+        projectId,
+        path: file.name,
         file: file,
       };
     }
@@ -285,38 +405,43 @@ export default class FileExplorer {
   /**
    * Render file tree recursively
    */
-  renderTree(node, path = '', depth = 0) {
+  renderTree(node, depth = 0) {
     let html = '';
-    const entries = Object.entries(node.children).sort((a, b) => {
-      // Folders first, then files
-      const [aName, aNode] = a;
-      const [bName, bNode] = b;
-
-      if (aNode.type !== bNode.type) {
-        return aNode.type === 'folder' ? -1 : 1;
+    const entries = Object.values(node.children).sort((a, b) => {
+      // Projects first, then folders, then files
+      if (Boolean(a.project) !== Boolean(b.project)) {
+        return a.project ? -1 : 1;
       }
-      return aName.localeCompare(bName);
+      if (a.type !== b.type) {
+        return a.type === 'folder' ? -1 : 1;
+      }
+      return a.name.localeCompare(b.name);
     });
 
-    for (const [name, childNode] of entries) {
-      const fullPath = path ? `${path}/${name}` : name;
+    for (const childNode of entries) {
       const indent = depth * 16; // 16px per level
+      const location = `data-project-id="${childNode.projectId}" data-folder-path="${this.escapeAttribute(childNode.path)}"`;
 
       if (childNode.type === 'folder') {
-        const isExpanded = this.expandedFolders.has(fullPath);
-        const folderIcon = isExpanded ? '📂' : '📁';
+        const isExpanded = this.expandedFolders.has(this.getFolderKey(childNode.projectId, childNode.path));
+        const folderIcon = childNode.project ? '🗂️' : (isExpanded ? '📂' : '📁');
         const arrowIcon = isExpanded ? '▼' : '▶';
 
         html += `
-          <div class="file-tree-folder" style="padding-left: ${indent}px;" data-folder-path="${fullPath}">
+          <div
+            class="file-tree-folder${childNode.project ? ' file-tree-project' : ''}"
+            style="padding-left: ${indent}px;"
+            ${location}
+            draggable="${childNode.project ? 'false' : 'true'}"
+          >
             <span class="folder-arrow">${arrowIcon}</span>
             <span class="folder-icon">${folderIcon}</span>
-            <span class="folder-name">${this.escapeHtml(name)}</span>
+            <span class="folder-name">${this.escapeHtml(childNode.name)}</span>
           </div>
         `;
 
         if (isExpanded) {
-          html += this.renderTree(childNode, fullPath, depth + 1);
+          html += this.renderTree(childNode, depth + 1);
         }
       } else {
         const icon = this.getFileIcon(childNode.file.language);
@@ -327,11 +452,13 @@ export default class FileExplorer {
             class="file-tree-item"
             style="padding-left: ${indent + 16}px;"
             data-file-id="${childNode.file.id}"
-            title="${fullPath}"
+            ${location}
+            draggable="true"
+            title="${this.escapeAttribute(childNode.path)}"
           >
             <div class="file-icon">${icon}</div>
             <div class="file-info">
-              <div class="file-name">${this.escapeHtml(name)}</div>
+              <div class="file-name">${this.escapeHtml(childNode.name)}</div>
               <div class="file-meta">
                 <span class="file-language">${this.formatLanguage(childNode.file.language)}</span>
                 <span class="file-date">${modified}</span>
@@ -352,7 +479,8 @@ export default class FileExplorer {
     const fileList = document.getElementById('file-list');
     if (!fileList) return;
 
-    if (this.filteredFiles.length === 0) {
+    const hasFolders = this.folders.length > 0 || this.projects.length > 0;
+    if (this.filteredFiles.length === 0 && (this.searchQuery || !hasFolders)) {
       if (this.searchQuery) {
         fileList.innerHTML = `
           <div class="file-list-empty">
@@ -373,16 +501,36 @@ export default class FileExplorer {
       return;
     }
 
-    // Build and render tree
-    const tree = this.buildFileTree(this.filteredFiles);
+    // Build and render tree (search results show only the folders they are in)
+    const tree = this.searchQuery
+      ? this.buildFileTree(this.filteredFiles)
+      : this.buildFileTree(this.filteredFiles, this.folders, this.projects);
     const html = this.renderTree(tree);
     fileList.innerHTML = html;
 
     // Attach folder event listeners
     fileList.querySelectorAll('.file-tree-folder').forEach(folder => {
+      const projectId = parseInt(folder.getAttribute('data-project-id'));
+      const folderPath = folder.getAttribute('data-folder-path');
+
       folder.addEventListener('click', (e) => {
-        const folderPath = folder.getAttribute('data-folder-path');
-        this.toggleFolder(folderPath);
+        this.toggleFolder(this.getFolderKey(projectId, folderPath));
+      });
+
+      folder.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        this.showFolderContextMenu(e.clientX, e.clientY, projectId, folderPath);
+      });
+    });
+
+    // Files and folders carry their location when dragged
+    fileList.querySelectorAll('[draggable="true"]').forEach(element => {
+      element.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData(DRAG_TYPE, JSON.stringify({
+          projectId: parseInt(element.getAttribute('data-project-id')),
+          path: element.getAttribute('data-folder-path'),
+        }));
+        e.dataTransfer.effectAllowed = 'move';
       });
     });
 
@@ -406,15 +554,92 @@ export default class FileExplorer {
   /**
    * Toggle folder expand/collapse
    */
-  toggleFolder(path) {
-    if (this.expandedFolders.has(path)) {
-      this.expandedFolders.delete(path);
+  toggleFolder(key) {
+    if (this.expandedFolders.has(key)) {
+      this.expandedFolders.delete(key);
     } else {
-      this.expandedFolders.add(path);
+      this.expandedFolders.add(key);
     }
     this.renderFileList();
   }
 
+  /**
+   * Key of a folder in expandedFolders
+   */
+  getFolderKey(projectId, path) {
+    return `${projectId}:${path}`;
+  }
+
+  /**
+   * Folder a drop lands in: the folder under the pointer, the folder of the
+   * file under the pointer, or the root
+   */
+  getDropTarget(element) {
+    const folder = element.closest('.file-tree-folder');
+    if (folder) {
+      return {
+        projectId: parseInt(folder.getAttribute('data-project-id')),
+        path: folder.getAttribute('data-folder-path'),
+      };
+    }
+
+    const item = element.closest('.file-tree-item');
+    if (item) {
+      const path = item.getAttribute('data-folder-path');
+      return {
+        projectId: parseInt(item.getAttribute('data-project-id')),
+        path: path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '',
+      };
+    }
+
+    return { projectId: 0, path: '' };
+  }
+
+  /**
+   * Mark the folder a drag would drop into
+   */
+  highlightDropTarget(folder) {
+    const fileList = document.getElementById('file-list');
+    if (!fileList) return;
+
+    fileList.querySelectorAll('.file-tree-folder.drop-target').forEach(element => {
+      if (element !== folder) element.classList.remove('drop-target');
+    });
+    if (folder) {
+      folder.classList.add('drop-target');
+    }
+  }
+
+  /**
+   * Move a dragged file or folder into a folder
+   */
+  async moveEntry(source, target) {
+    const parent = source.path.includes('/') ? source.path.slice(0, source.path.lastIndexOf('/')) : '';
+    if (source.projectId === target.projectId && parent === target.path) {
+      return; // Dropped where it already is
+    }
+
+    try {
+      const moved = await this.fileManager.move(source.path, target.path, {
+        projectId: source.projectId,
+        targetProjectId: target.projectId,
+      });
+
+      // Notify parent component of every file whose path changed
+      for (const file of moved) {
+        this.onFileRename(file.id, file.name, file);
+      }
+
+      if (target.path || target.projectId) {
+        this.expandedFolders.add(this.getFolderKey(target.projectId, target.path));
+      }
+      await this.loadFiles();
+    } catch (error) {
+      console.error('Failed to move:', error);
+      this.showError(`Failed to move "${source.path}": ${error.message}`);
+    }
+  }
+
   /**
    * Open file in editor
    */
@@ -437,6 +662,12 @@ export default class FileExplorer {
     if (!this.contextMenu) return;
 
     this.contextMenu.setAttribute('data-file-id', fileId);
+
+    // Only JSON and YAML files are checked against schemas
+    const file = this.files.find(entry => String(entry.id) === String(fileId));
+    const schemaItem = this.contextMenu.querySelector('[data-action="schema"]');
+    schemaItem?.classList.toggle('hidden', !/\.(json|ya?ml)$/i.test(file?.name || ''));
+
     this.contextMenu.style.left = `${x}px`;
     this.contextMenu.style.top = `${y}px`;
     this.contextMenu.classList.remove('hidden');
@@ -451,6 +682,132 @@ export default class FileExplorer {
     }
   }
 
+  /**
+   * Show folder context menu
+   */
+  showFolderContextMenu(x, y, projectId, path) {
+    if (!this.folderContextMenu) return;
+
+    this.hideContextMenu();
+    this.folderContextMenu.setAttribute('data-project-id', projectId);
+    this.folderContextMenu.setAttribute('data-folder-path', path);
+    this.folderContextMenu.style.left = `${x}px`;
+    this.folderContextMenu.style.top = `${y}px`;
+    this.folderContextMenu.classList.remove('hidden');
+  }
+
+  /**
+   * Handle folder context menu action
+   */
+  async handleFolderContextMenuAction(action, projectId, path) {
+    this.folderContextMenu.classList.add('hidden');
+
+    switch (action) {
+      case 'new-folder':
+        await this.createFolder(projectId, path);
+        break;
+
+      case 'rename':
+        await this.renameFolder(projectId, path);
+        break;
+
+      case 'delete':
+        await this.deleteFolder(projectId, path);
+        break;
+    }
+  }
+
+  /**
+   * Ask for a name, with the toast prompt if available
+   */
+  async promptName(message, defaultValue, placeholder) {
+    if (this.toast && this.toast.prompt) {
+      return this.toast.prompt(message, { defaultValue, placeholder });
+    }
+    return prompt(message, defaultValue);
+  }
+
+  /**
+   * Create a folder inside another folder (or a project's root)
+   */
+  async createFolder(projectId, parentPath) {
+    try {
+      const name = await this.promptName('Enter folder name:', '', 'e.g., data');
+      if (!name) return;
+
+      const path = parentPath ? `${parentPath}/${name}` : name;
+      await this.fileManager.mkdir(path, { projectId });
+
+      if (parentPath || projectId) {
+        this.expandedFolders.add(this.getFolderKey(projectId, parentPath));
+      }
+      await this.loadFiles();
+    } catch (error) {
+      console.error('Failed to create folder:', error);
+      this.showError('Failed to create folder: ' + error.message);
+    }
+  }
+
+  /**
+   * Rename a folder
+   * Project roots are named after their repository and cannot be renamed.
+   */
+  async renameFolder(projectId, path) {
+    if (!path) {
+      this.toast?.show?.('Projects cannot be renamed', 'info');
+      return;
+    }
+
+    try {
+      const oldName = path.split('/').pop();
+      const newName = await this.promptName('Enter new folder name:', oldName, 'Folder name');
+      if (!newName || newName === oldName) return;
+
+      const moved = await this.fileManager.rename(path, newName, { projectId });
+      for (const file of moved) {
+        this.onFileRename(file.id, file.name, file);
+      }
+
+      await this.loadFiles();
+    } catch (error) {
+      console.error('Failed to rename folder:', error);
+      this.showError('Failed to rename folder: ' + error.message);
+    }
+  }
+
+  /**
+   * Delete a folder, or a whole project, with everything in it
+   */
+  async deleteFolder(projectId, path) {
+    try {
+      const project = path ? null : this.projects.find(entry => entry.id === projectId);
+      const label = project ? project.name : path;
+
+      const confirmed = await this.toast.confirm(`Delete "${label}" and everything in it? This action cannot be undone.`, {
+        confirmText: 'Delete',
+        cancelText: 'Cancel',
+      });
+
+      if (!confirmed) return;
+
+      let deletedIds;
+      if (project) {
+        deletedIds = (await this.fileManager.getAllFiles({ projectId })).map(file => file.id);
+        await this.fileManager.deleteProject(projectId);
+      } else {
+        deletedIds = await this.fileManager.rmdir(path, { projectId, recursive: true });
+      }
+
+      deletedIds.forEach(fileId => this.onFileDelete(fileId));
+      await this.loadFiles();
+
+      this.toast.success(`Deleted "${label}"`);
+    } catch (error) {
+      console.error('Failed to delete folder:', error);
+      this.showError('Failed to delete folder');
+    }
+  }
+
   /**
    * Handle context menu action
    */
@@ -468,6 +825,18 @@ export default class FileExplorer {
         await this.runFile(id);
         break;
 
+      case 'entry':
+        await this.setEntryPoint(id);
+        break;
+
+      case 'history':
+        await this.showHistory(id);
+        break;
+
+      case 'schema':
+        await this.attachSchema(id);
+        break;
+
       case 'download':
         await this.downloadFile(id);
         break;
@@ -514,7 +883,7 @@ export default class FileExplorer {
       await this.fileManager.saveFile(file);
 
       // Notify parent component
-      this.onFileRename(fileId, newName);
+      this.onFileRename(fileId, newName, file);
 
       // Reload file list
       await this.loadFiles();
@@ -573,6 +942,51 @@ export default class FileExplorer {
     }
   }
 
+  /**
+   * Make a file the one Run starts from in its project
+   */
+  async setEntryPoint(fileId) {
+    try {
+      const file = await this.fileManager.loadFile(fileId);
+      if (file) {
+        this.onSetEntryPoint(file);
+      }
+    } catch (error) {
+      console.error('Failed to set entry point:', error);
+      this.showError('Failed to set entry point');
+    }
+  }
+
+  /**
+   * Choose the JSON Schema a file is checked against
+   */
+  async attachSchema(fileId) {
+    try {
+      const file = await this.fileManager.loadFile(fileId);
+      if (file) {
+        this.onAttachSchema(file);
+      }
+    } catch (error) {
+      console.error('Failed to attach schema:', error);
+      this.showError('Failed to attach schema');
+    }
+  }
+
+  /**
+   * Show the saved versions of a file
+   */
+  async showHistory(fileId) {
+    try {
+      const file = await this.fileManager.loadFile(fileId);
+      if (file) {
+        this.onShowHistory(file);
+      }
+    } catch (error) {
+      console.error('Failed to show history:', error);
+      this.showError('Failed to show history');
+    }
+  }
+
   /**
    * Download file to user's computer
    */
@@ -582,15 +996,17 @@ export default class FileExplorer {
       if (!file) return;
 
       // Ensure file has proper extension
-      let fileName = file.name;
-      if (!fileName.includes('.')) {
+      let fileName = file.name.split('/').pop();
+      if (!fileName.includes('.') && !file.binary) {
         // Add extension based on language
         const ext = this.getFileExtension(file.language);
         fileName = `${fileName}${ext}`;
       }
 
-      // Create a Blob from the file content
-      const blob = new Blob([file.content], { type: 'text/plain;charset=utf-8' });
+      // Create a Blob from the file content (binary files are stored as Blobs)
+      const blob = typeof file.content === 'string'
+        ? new Blob([file.content], { type: 'text/plain;charset=utf-8' })
+        : file.content;
 
       // Create a temporary download link
       const url = URL.createObjectURL(blob);
@@ -656,18 +1072,7 @@ export default class FileExplorer {
 
     try {
       for (const file of files) {
-        // Read file content
-        const content = await this.readFileContent(file);
-
-        // Detect language from file extension
-        const language = this.detectLanguage(file.name);
-
-        // Save file to IndexedDB
-        await this.fileManager.saveFile({
-          name: file.name,
-          content,
-          language,
-        });
+        await this.uploadFile(file, { projectId: 0, path: '' });
       }
 
       // Refresh file list
@@ -686,7 +1091,7 @@ export default class FileExplorer {
   /**
    * Handle dropped files (drag-and-drop)
    */
-  async handleDroppedFiles(files) {
+  async handleDroppedFiles(files, target = { projectId: 0, path: '' }) {
     if (!files || files.length === 0) return;
 
     try {
@@ -695,19 +1100,7 @@ export default class FileExplorer {
 
       for (const file of files) {
         try {
-          // Read file content
-          const content = await this.readFileContent(file);
-
-          // Detect language from file extension
-          const language = this.detectLanguage(file.name);
-
-          // Save file to IndexedDB
-          await this.fileManager.saveFile({
-            name: file.name,
-            content,
-            language,
-          });
-
+          await this.uploadFile(file, target);
           successCount++;
         } catch (err) {
           console.error(`Failed to upload ${file.name}:`, err);
@@ -732,14 +1125,33 @@ export default class FileExplorer {
   }
 
   /**
-   * Read file content as text
+   * Save an uploaded file into a folder, replacing a file of the same name
+   */
+  async uploadFile(file, target) {
+    const content = await this.readFileContent(file);
+
+    await this.fileManager.writeFile(target.path ? `${target.path}/${file.name}` : file.name, content, {
+      projectId: target.projectId,
+      language: this.detectLanguage(file.name),
+      mimeType: file.type,
+    });
+  }
+
+  /**
+   * Read file content as text, or as a Blob if it is not UTF-8 text
    */
   readFileContent(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
-      reader.onload = (e) => resolve(e.target.result);
+      reader.onload = (e) => {
+        try {
+          resolve(new TextDecoder('utf-8', { fatal: true }).decode(e.target.result));
+        } catch (error) {
+          resolve(new Blob([e.target.result], { type: file.type || 'application/octet-stream' }));
+        }
+      };
       reader.onerror = (e) => reject(e);
-      reader.readAsText(file);
+      reader.readAsArrayBuffer(file);
     });
   }
 
@@ -779,18 +1191,37 @@ export default class FileExplorer {
    * Toggle explorer collapse
    */
   toggleCollapse() {
+    this.setCollapsed(!this.isCollapsed());
+    this.onToggleCollapse(this.isCollapsed());
+  }
+
+  /**
+   * Collapse or expand the explorer
+   *
+   * @param {boolean} collapsed - Whether to collapse it
+   */
+  setCollapsed(collapsed) {
     const explorer = this.container.querySelector('.file-explorer');
     const toggleBtn = document.getElementById('toggle-explorer');
 
     if (explorer) {
-      explorer.classList.toggle('collapsed');
+      explorer.classList.toggle('collapsed', collapsed);
 
       if (toggleBtn) {
-        toggleBtn.textContent = explorer.classList.contains('collapsed') ? '▶' : '◀';
+        toggleBtn.textContent = collapsed ? '▶' : '◀';
       }
     }
   }
 
+  /**
+   * Check if the explorer is collapsed
+   *
+   * @returns {boolean}
+   */
+  isCollapsed() {
+    return Boolean(this.container.querySelector('.file-explorer.collapsed'));
+  }
+
   /**
    * Get file icon based on language
    */
@@ -873,6 +1304,13 @@ export default class FileExplorer {
     return div.innerHTML;
   }
 
+  /**
+   * Escape text for a double-quoted HTML attribute
+   */
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
   /**
    * Show error message
    */
@@ -908,16 +1346,16 @@ export default class FileExplorer {
       // Create ZIP file
       const zip = new JSZip();
 
-      // Add all files to ZIP
+      // Add all files to ZIP, each project in a folder of its own
       for (const file of this.files) {
         // Ensure file has proper extension
         let fileName = file.name;
-        if (!fileName.includes('.')) {
+        if (!fileName.split('/').pop().includes('.') && !file.binary) {
           const ext = this.getFileExtension(file.language);
           fileName = `${fileName}${ext}`;
         }
 
-        zip.file(fileName, file.content);
+        zip.file(file.gitRepo ? `${file.gitRepo}/${fileName}` : fileName, file.content);
       }
 
       // Generate ZIP blob
@@ -950,7 +1388,7 @@ export default class FileExplorer {
    */
   async clearAllFiles() {
     try {
-      if (this.files.length === 0) {
+      if (this.files.length === 0 && this.folders.length === 0 && this.projects.length === 0) {
         this.toast.show('No files to clear', 'info');
         return;
       }
@@ -968,20 +1406,19 @@ export default class FileExplorer {
         return;
       }
 
-      // Delete all files
-      for (const file of this.files) {
-        await this.fileManager.deleteFile(file.id);
+      // Delete all files, folders and projects
+      const deletedFiles = this.files;
+      await this.fileManager.deleteAllFiles();
 
-        // Notify parent if file was deleted
-        if (this.onFileDelete) {
-          this.onFileDelete(file.id);
-        }
+      // Notify parent of every deleted file
+      if (this.onFileDelete) {
+        deletedFiles.forEach(file => this.onFileDelete(file.id));
       }
 
       // Refresh file list
       await this.loadFiles();
 
-      this.toast.success(`Deleted ${this.files.length} files`);
+      this.toast.success(`Deleted ${deletedFiles.length} files`);
     } catch (error) {
       console.error('Failed to clear all files:', error);
       this.showError(`Failed to clear files: ${error.message}`);
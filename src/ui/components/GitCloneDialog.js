@@ -4,19 +4,27 @@
  * UI component for Git clone operations
  *
  * Features:
- * - Input for GitHub repository URL
+ * - Input for the URL of a repository on GitHub, GitLab or any Git server over HTTPS
  * - Progress indicator during clone
- * - Options for branch and clone depth
+ * - Branch picker listing the remote's branches, and clone depth
  * - List of cloned repositories
  */
 
 export default class GitCloneDialog {
-  constructor(gitManager, fileExplorer) {
+  /**
+   * @param {GitManager} gitManager - Git operations
+   * @param {FileExplorer} fileExplorer - Refreshed after a clone
+   * @param {Object} [options] - Configuration options
+   * @param {Function} [options.onOpenRepository] - (name) => void, opens a cloned repository
+   */
+  constructor(gitManager, fileExplorer, options = {}) {
     this.gitManager = gitManager;
     this.fileExplorer = fileExplorer;
+    this.onOpenRepository = options.onOpenRepository || (() => {});
 
     this.dialog = null;
     this.isOpen = false;
+    this.branchesUrl = null; // URL whose branches the picker lists
   }
 
   /**
@@ -47,7 +55,7 @@ export default class GitCloneDialog {
           <div class="git-clone-form">
             <div class="form-group">
               <label for="git-url-input">
-                <strong>GitHub Repository URL</strong>
+                <strong>Repository URL</strong>
               </label>
               <input
                 type="text"
@@ -55,18 +63,16 @@ export default class GitCloneDialog {
                 placeholder="https://github.com/username/repository"
                 autocomplete="off"
               />
-              <small>Enter a public GitHub repository URL</small>
+              <small>Any public repository over HTTPS: GitHub, GitLab, Bitbucket, Codeberg or your own Git server</small>
             </div>
 
             <div class="form-row">
               <div class="form-group">
-                <label for="git-branch-input">Branch (optional)</label>
-                <input
-                  type="text"
-                  id="git-branch-input"
-                  placeholder="main"
-                  autocomplete="off"
-                />
+                <label for="git-branch-select">Branch</label>
+                <select id="git-branch-select">
+                  <option value="">Default branch</option>
+                </select>
+                <small id="git-branch-status"></small>
               </div>
 
               <div class="form-group">
@@ -74,6 +80,7 @@ export default class GitCloneDialog {
                 <select id="git-depth-select">
                   <option value="1">Shallow (latest only)</option>
                   <option value="10">Last 10 commits</option>
+                  <option value="50">Last 50 commits</option>
                   <option value="0">Full history</option>
                 </select>
               </div>
@@ -151,6 +158,20 @@ export default class GitCloneDialog {
       }
     });
 
+    // List the remote's branches once a URL is entered
+    this.dialog.querySelector('#git-url-input').addEventListener('change', () => {
+      this.loadBranches();
+    });
+
+    // Open a cloned repository
+    this.dialog.querySelector('#git-repo-list').addEventListener('click', (e) => {
+      const button = e.target.closest('.repo-open-btn');
+      if (button) {
+        this.close();
+        this.onOpenRepository(button.getAttribute('data-repo'));
+      }
+    });
+
     // ESC key
     document.addEventListener('keydown', (e) => {
       if (this.isOpen && e.key === 'Escape') {
@@ -186,16 +207,48 @@ export default class GitCloneDialog {
     this.resetForm();
   }
 
+  /**
+   * Fill the branch picker with the branches of the entered repository
+   */
+  async loadBranches() {
+    const url = this.dialog.querySelector('#git-url-input').value.trim();
+    const branchSelect = this.dialog.querySelector('#git-branch-select');
+    const statusEl = this.dialog.querySelector('#git-branch-status');
+
+    if (url === this.branchesUrl) return;
+    this.branchesUrl = url;
+    branchSelect.innerHTML = '<option value="">Default branch</option>';
+    statusEl.textContent = '';
+
+    if (!this.isValidGitUrl(url)) return;
+
+    statusEl.textContent = 'Loading branches...';
+    try {
+      const { branches, defaultBranch } = await this.gitManager.getRemoteBranches(url);
+      if (this.branchesUrl !== url) return; // The URL changed meanwhile
+
+      branchSelect.innerHTML = branches.map(branch => `
+        <option value="${branch}" ${branch === defaultBranch ? 'selected' : ''}>
+          ${branch}${branch === defaultBranch ? ' (default)' : ''}
+        </option>
+      `).join('');
+      statusEl.textContent = `${branches.length} branch${branches.length === 1 ? '' : 'es'}`;
+    } catch (error) {
+      if (this.branchesUrl !== url) return;
+      statusEl.textContent = 'Could not list branches; the default branch will be cloned';
+    }
+  }
+
   /**
    * Handle clone button click
    */
   async handleClone() {
     const urlInput = this.dialog.querySelector('#git-url-input');
-    const branchInput = this.dialog.querySelector('#git-branch-input');
+    const branchSelect = this.dialog.querySelector('#git-branch-select');
     const depthSelect = this.dialog.querySelector('#git-depth-select');
 
     const url = urlInput.value.trim();
-    const branch = branchInput.value.trim() || 'main';
+    const branch = branchSelect.value || undefined; // Detected from the remote
     const depth = parseInt(depthSelect.value);
 
     if (!url) {
@@ -205,8 +258,8 @@ export default class GitCloneDialog {
     }
 
     // Validate URL format
-    if (!this.isValidGitHubUrl(url)) {
-      alert('Please enter a valid GitHub repository URL\n\nExample: https://github.com/username/repository');
+    if (!this.isValidGitUrl(url)) {
+      alert('Please enter a valid repository URL\n\nExample: https://github.com/username/repository');
       urlInput.focus();
       return;
     }
@@ -217,7 +270,7 @@ export default class GitCloneDialog {
     try {
       const result = await this.gitManager.clone(url, {
         branch,
-        depth: depth || undefined,
+        depth,
         onProgress: (progress) => {
           this.updateProgress(progress);
         },
@@ -240,14 +293,20 @@ export default class GitCloneDialog {
   }
 
   /**
-   * Validate GitHub URL format
+   * Validate a repository URL: HTTP(S) with a host and a repository path
    *
    * @param {string} url - URL to validate
    * @returns {boolean} True if valid
    */
-  isValidGitHubUrl(url) {
-    const githubPattern = /^https?:\/\/(www\.)?github\.com\/[\w-]+\/[\w.-]+/;
-    return githubPattern.test(url);
+  isValidGitUrl(url) {
+    try {
+      const { protocol, hostname, pathname } = new URL(url);
+      return (protocol === 'https:' || protocol === 'http:')
+        && hostname !== ''
+        && pathname.replace(/\/+$/, '') !== '';
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
@@ -316,8 +375,10 @@ export default class GitCloneDialog {
    */
   resetForm() {
     this.dialog.querySelector('#git-url-input').value = '';
-    this.dialog.querySelector('#git-branch-input').value = '';
+    this.dialog.querySelector('#git-branch-select').innerHTML = '<option value="">Default branch</option>';
+    this.dialog.querySelector('#git-branch-status').textContent = '';
     this.dialog.querySelector('#git-depth-select').value = '1';
+    this.branchesUrl = null;
 
     this.dialog.querySelector('.git-clone-form').classList.remove('hidden');
     this.dialog.querySelector('.git-clone-progress').classList.add('hidden');
@@ -344,9 +405,13 @@ export default class GitCloneDialog {
           <div class="repo-url">${repo.url}</div>
           <div class="repo-meta">
             ${repo.fileCount} files • ${repo.branch} •
+            ${repo.depth > 0 ? `depth ${repo.depth}` : 'full history'} •
             ${new Date(repo.clonedAt).toLocaleDateString()}
           </div>
         </div>
+        <button class="btn btn-secondary repo-open-btn" data-repo="${repo.name}" title="Open in Source Control">
+          Open
+        </button>
       </div>
     `).join('');
   }
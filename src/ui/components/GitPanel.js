@@ -0,0 +1,468 @@
+/**
+ * GitPanel.js
+ *
+ * Source control for cloned repositories
+ *
+ * Features:
+ * - Changed files against HEAD, with stage/unstage checkboxes
+ * - Commit with the author from Settings
+ * - Branch switching and creation
+ * - Commit log
+ * - Push with a user-supplied access token, and pull
+ */
+
+import { escapeHtml } from '../../utils/html.js';
+
+const STATUS_LETTERS = {
+  modified: 'M',
+  added: 'A',
+  deleted: 'D',
+};
+
+export default class GitPanel {
+  /**
+   * @param {GitManager} gitManager - Git operations
+   * @param {FileManager} fileManager - File storage, listing the cloned repositories
+   * @param {Object} options - Configuration options
+   * @param {Toast} options.toast - Notifications
+   * @param {Function} options.getAuthor - () => {name, email}, the commit author from Settings
+   * @param {Function} options.onBeforeSync - () => Promise, saves open edits before Git reads the files
+   * @param {Function} options.onFilesChanged - ({updated, deleted}) => Promise, called when a
+   *   checkout or pull changed saved files
+   * @param {Function} [options.onRefresh] - () => void, called after the changes were reloaded
+   */
+  constructor(gitManager, fileManager, options = {}) {
+    this.gitManager = gitManager;
+    this.fileManager = fileManager;
+    this.toast = options.toast;
+    this.getAuthor = options.getAuthor || (() => null);
+    this.onBeforeSync = options.onBeforeSync || (async () => {});
+    this.onFilesChanged = options.onFilesChanged || (async () => {});
+    this.onRefresh = options.onRefresh || (() => {});
+
+    this.dialog = null;
+    this.isOpen = false;
+    this.isBusy = false;
+
+    this.repository = null;
+    this.changes = [];
+    this.token = ''; // Kept in memory only, never saved
+  }
+
+  /**
+   * Initialize the Git panel
+   */
+  init() {
+    this.createDialog();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Create the Git panel element
+   */
+  createDialog() {
+    const dialog = document.createElement('div');
+    dialog.id = 'git-panel';
+    dialog.className = 'git-panel hidden';
+
+    dialog.innerHTML = `
+      <div class="git-panel-backdrop"></div>
+      <div class="git-panel-content">
+        <div class="git-panel-header">
+          <h2>🔀 Source Control</h2>
+          <button class="close-btn" title="Close (Esc)">×</button>
+        </div>
+
+        <div class="git-panel-toolbar">
+          <select id="git-panel-repo" title="Repository"></select>
+          <select id="git-panel-branch" title="Switch branch"></select>
+          <button id="git-panel-new-branch" class="btn btn-secondary" title="Create a branch from HEAD">
+            ＋ Branch
+          </button>
+          <button id="git-panel-refresh" class="btn btn-secondary" title="Refresh">⟳</button>
+        </div>
+
+        <div class="git-panel-body">
+          <div class="git-panel-changes">
+            <div class="git-panel-section-title">
+              <span>Changes</span>
+              <button id="git-panel-stage-all" class="btn btn-secondary">Stage All</button>
+            </div>
+            <div id="git-panel-change-list" class="git-change-list"></div>
+
+            <textarea id="git-panel-message" rows="3" placeholder="Commit message"></textarea>
+            <div class="git-panel-author"></div>
+            <button id="git-panel-commit" class="btn btn-primary">
+              <span class="btn-icon">✔</span>
+              Commit Staged
+            </button>
+          </div>
+
+          <div class="git-panel-history">
+            <div class="git-panel-section-title"><span>History</span></div>
+            <div id="git-panel-log" class="git-log-list"></div>
+          </div>
+        </div>
+
+        <div class="git-panel-actions">
+          <input
+            type="password"
+            id="git-panel-token"
+            placeholder="Access token for push (not saved)"
+            autocomplete="off"
+          />
+          <button id="git-panel-push" class="btn btn-primary">
+            <span class="btn-icon">⬆</span>
+            Push
+          </button>
+          <button id="git-panel-pull" class="btn btn-secondary">
+            <span class="btn-icon">⬇</span>
+            Pull
+          </button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(dialog);
+    this.dialog = dialog;
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    const $ = selector => this.dialog.querySelector(selector);
+
+    $('.close-btn').addEventListener('click', () => this.close());
+    $('.git-panel-backdrop').addEventListener('click', () => this.close());
+    $('#git-panel-refresh').addEventListener('click', () => this.refresh());
+    $('#git-panel-new-branch').addEventListener('click', () => this.handleCreateBranch());
+    $('#git-panel-stage-all').addEventListener('click', () => this.handleStageAll());
+    $('#git-panel-commit').addEventListener('click', () => this.handleCommit());
+    $('#git-panel-push').addEventListener('click', () => this.handlePush());
+    $('#git-panel-pull').addEventListener('click', () => this.handlePull());
+
+    $('#git-panel-repo').addEventListener('change', (e) => {
+      this.repository = e.target.value;
+      this.refresh();
+    });
+
+    $('#git-panel-branch').addEventListener('change', (e) => this.handleSwitchBranch(e.target.value));
+
+    $('#git-panel-token').addEventListener('input', (e) => {
+      this.token = e.target.value.trim();
+    });
+
+    // Stage or unstage a file
+    $('#git-panel-change-list').addEventListener('change', (e) => {
+      const path = e.target.getAttribute('data-path');
+      if (path !== null) {
+        this.handleToggleStaged(path, e.target.checked);
+      }
+    });
+
+    // Ctrl+Enter commits
+    $('#git-panel-message').addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+        e.preventDefault();
+        this.handleCommit();
+      }
+    });
+
+    // ESC key
+    document.addEventListener('keydown', (e) => {
+      if (this.isOpen && e.key === 'Escape') {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Open the panel
+   *
+   * @param {string} [repository] - Repository to show (defaults to the last one shown)
+   */
+  async open(repository) {
+    this.dialog.classList.remove('hidden');
+    this.isOpen = true;
+
+    const projects = (await this.fileManager.getProjects()).filter(project => project.gitUrl);
+    const names = projects.map(project => project.name);
+    this.repository = [repository, this.repository, names[0]].find(name => name && names.includes(name)) || null;
+
+    this.dialog.querySelector('#git-panel-repo').innerHTML = projects.length
+      ? projects.map(project => `
+        <option value="${escapeHtml(project.name)}" ${project.name === this.repository ? 'selected' : ''}>
+          📦 ${escapeHtml(project.name)}
+        </option>
+      `).join('')
+      : '<option value="">No cloned repositories</option>';
+
+    this.renderAuthor();
+    await this.refresh();
+  }
+
+  /**
+   * Close the panel
+   */
+  close() {
+    this.dialog.classList.add('hidden');
+    this.isOpen = false;
+  }
+
+  /**
+   * Reload changes, branches and history of the selected repository
+   */
+  async refresh() {
+    if (!this.repository) {
+      this.changes = [];
+      this.renderChanges();
+      this.renderBranches({ branches: [], current: undefined });
+      this.renderLog([]);
+      this.setBusy(false);
+      return;
+    }
+
+    await this.run(async () => {
+      await this.onBeforeSync();
+      this.changes = await this.gitManager.status(this.repository);
+      this.renderChanges();
+      this.renderBranches(await this.gitManager.listBranches(this.repository));
+      this.renderLog(await this.gitManager.log(this.repository));
+    });
+    this.onRefresh();
+  }
+
+  /**
+   * Render the changed files
+   */
+  renderChanges() {
+    const listEl = this.dialog.querySelector('#git-panel-change-list');
+
+    if (this.changes.length === 0) {
+      listEl.innerHTML = '<div class="empty-state">No changes</div>';
+      return;
+    }
+
+    listEl.innerHTML = this.changes.map(change => `
+      <label class="git-change" title="${change.staged ? 'Staged' : 'Not staged'}">
+        <input
+          type="checkbox"
+          data-path="${escapeHtml(change.path)}"
+          ${change.staged ? 'checked' : ''}
+        />
+        <span class="git-change-status git-change-${change.status}">${STATUS_LETTERS[change.status]}</span>
+        <span class="git-change-path">${escapeHtml(change.path)}</span>
+      </label>
+    `).join('');
+
+    // Partly staged files: the working tree differs from what is staged
+    listEl.querySelectorAll('input[type="checkbox"]').forEach((checkbox, i) => {
+      const change = this.changes[i];
+      checkbox.indeterminate = change.staged && change.unstaged;
+    });
+  }
+
+  /**
+   * Render the branch selector
+   *
+   * @param {{branches: string[], current: string|undefined}} branches - Local branches
+   */
+  renderBranches({ branches, current }) {
+    this.dialog.querySelector('#git-panel-branch').innerHTML = branches.map(branch => `
+      <option value="${escapeHtml(branch)}" ${branch === current ? 'selected' : ''}>🌿 ${escapeHtml(branch)}</option>
+    `).join('');
+  }
+
+  /**
+   * Render the commit log
+   *
+   * @param {Array<object>} commits - Commits, newest first
+   */
+  renderLog(commits) {
+    const logEl = this.dialog.querySelector('#git-panel-log');
+
+    if (commits.length === 0) {
+      logEl.innerHTML = '<div class="empty-state">No commits</div>';
+      return;
+    }
+
+    logEl.innerHTML = commits.map(commit => `
+      <div class="git-log-item" title="${escapeHtml(commit.message)}">
+        <div class="git-log-message">${escapeHtml(commit.message.split('\n')[0])}</div>
+        <div class="git-log-meta">
+          <code>${commit.oid.slice(0, 7)}</code> •
+          ${escapeHtml(commit.author)} •
+          ${new Date(commit.date).toLocaleString()}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Show who commits will be made by
+   */
+  renderAuthor() {
+    const author = this.getAuthor();
+    this.dialog.querySelector('.git-panel-author').textContent = author && author.name && author.email
+      ? `Author: ${author.name} <${author.email}>`
+      : 'Set your commit name and email in Settings → Git';
+  }
+
+  /**
+   * Stage or unstage a file
+   *
+   * @param {string} path - File path
+   * @param {boolean} staged - Whether to stage it
+   */
+  async handleToggleStaged(path, staged) {
+    await this.run(async () => {
+      if (staged) {
+        await this.gitManager.stage(this.repository, path);
+      } else {
+        await this.gitManager.unstage(this.repository, path);
+      }
+    });
+    await this.refresh();
+  }
+
+  /**
+   * Stage every changed file
+   */
+  async handleStageAll() {
+    if (!this.repository || this.changes.length === 0) return;
+
+    await this.run(() => this.gitManager.stage(this.repository, this.changes.map(change => change.path)));
+    await this.refresh();
+  }
+
+  /**
+   * Commit the staged changes
+   */
+  async handleCommit() {
+    if (!this.repository) return;
+
+    const messageEl = this.dialog.querySelector('#git-panel-message');
+    const author = this.getAuthor();
+    const committed = await this.run(async () => {
+      await this.onBeforeSync();
+      const oid = await this.gitManager.commit(this.repository, messageEl.value, {
+        author: author && { name: author.name, email: author.email },
+      });
+      this.toast.success(`Committed ${oid.slice(0, 7)}`);
+      return true;
+    });
+
+    if (committed) {
+      messageEl.value = '';
+      await this.refresh();
+    }
+  }
+
+  /**
+   * Create a branch from HEAD and switch to it
+   */
+  async handleCreateBranch() {
+    if (!this.repository) return;
+
+    const name = await this.toast.prompt('New branch name:', { placeholder: 'e.g., feature/login' });
+    if (!name) return;
+
+    await this.run(() => this.gitManager.createBranch(this.repository, name.trim(), { checkout: true }));
+    await this.refresh();
+  }
+
+  /**
+   * Switch branches
+   *
+   * @param {string} branch - Branch name
+   */
+  async handleSwitchBranch(branch) {
+    await this.run(async () => {
+      await this.onBeforeSync();
+      const changes = await this.gitManager.switchBranch(this.repository, branch);
+      await this.onFilesChanged(changes);
+      this.toast.success(`Switched to ${branch}`);
+    });
+    await this.refresh();
+  }
+
+  /**
+   * Push the current branch
+   */
+  async handlePush() {
+    if (!this.repository) return;
+
+    if (!this.token) {
+      this.toast.warning('Enter an access token to push');
+      this.dialog.querySelector('#git-panel-token').focus();
+      return;
+    }
+
+    await this.run(async () => {
+      const result = await this.gitManager.push(this.repository, { token: this.token });
+      this.toast.success(`Pushed ${result.branch}`);
+    });
+  }
+
+  /**
+   * Pull the current branch
+   */
+  async handlePull() {
+    if (!this.repository) return;
+
+    await this.run(async () => {
+      await this.onBeforeSync();
+      const result = await this.gitManager.pull(this.repository);
+      await this.onFilesChanged(result);
+      this.toast.success(`Pulled ${this.repository}`);
+    });
+    await this.refresh();
+  }
+
+  /**
+   * Run a Git operation, disabling the controls while it runs
+   *
+   * @private
+   * @param {Function} operation - Async operation
+   * @returns {Promise<*>} The operation's result, or undefined if it failed
+   */
+  async run(operation) {
+    this.setBusy(true);
+    try {
+      return await operation();
+    } catch (error) {
+      console.error('[GitPanel] Git operation failed:', error);
+      this.toast.error(error.message);
+      return undefined;
+    } finally {
+      this.setBusy(false);
+    }
+  }
+
+  /**
+   * Enable or disable the controls
+   *
+   * @private
+   * @param {boolean} busy - Whether an operation is running
+   */
+  setBusy(busy) {
+    this.isBusy = busy;
+    const disabled = busy || !this.repository;
+    this.dialog.querySelectorAll('.git-panel-content button:not(.close-btn), .git-panel-content select, .git-change input')
+      .forEach((control) => {
+        control.disabled = disabled;
+      });
+    this.dialog.querySelector('#git-panel-repo').disabled = busy;
+  }
+
+  /**
+   * Dispose of the panel
+   */
+  dispose() {
+    if (this.dialog) {
+      this.dialog.remove();
+      this.dialog = null;
+    }
+  }
+}
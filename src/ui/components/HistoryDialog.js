@@ -0,0 +1,270 @@
+/**
+ * HistoryDialog.js
+ *
+ * Revision history of a saved file
+ *
+ * Features:
+ * - Lists the file's revisions with the time each version was saved
+ * - Monaco diff editor: the selected revision against the current buffer
+ * - One-click restore of the selected revision
+ */
+
+export default class HistoryDialog {
+  /**
+   * @param {FileManager} fileManager - File storage with revision history
+   * @param {Editor} editor - The IDE's editor, whose Monaco instance renders diffs
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onRestore - (revision) => Promise<boolean>,
+   *   restores a revision and resolves whether it was restored
+   */
+  constructor(fileManager, editor, options = {}) {
+    this.fileManager = fileManager;
+    this.editor = editor;
+    this.onRestore = options.onRestore || (async () => false);
+
+    this.dialog = null;
+    this.diffEditor = null;
+    this.models = [];
+    this.isOpen = false;
+
+    this.file = null;
+    this.currentContent = '';
+    this.revisions = [];
+    this.selectedRevision = null;
+  }
+
+  /**
+   * Initialize the history dialog
+   */
+  init() {
+    this.createDialog();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Create the history dialog element
+   */
+  createDialog() {
+    const dialog = document.createElement('div');
+    dialog.id = 'history-dialog';
+    dialog.className = 'history-dialog hidden';
+
+    dialog.innerHTML = `
+      <div class="history-backdrop"></div>
+      <div class="history-content">
+        <div class="history-header">
+          <h2>🕘 <span class="history-title">History</span></h2>
+          <button class="close-btn" title="Close (Esc)">×</button>
+        </div>
+
+        <div class="history-body">
+          <div class="history-list" id="history-list"></div>
+          <div class="history-diff">
+            <div class="history-diff-labels">
+              <span class="history-diff-original">Revision</span>
+              <span>Current</span>
+            </div>
+            <div class="history-diff-editor" id="history-diff-editor"></div>
+          </div>
+        </div>
+
+        <div class="history-actions">
+          <button id="history-restore-btn" class="btn btn-primary" disabled>
+            <span class="btn-icon">⏪</span>
+            Restore This Version
+          </button>
+          <button id="history-close-btn" class="btn btn-secondary">
+            Close
+          </button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(dialog);
+    this.dialog = dialog;
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.dialog.querySelector('.close-btn').addEventListener('click', () => this.close());
+    this.dialog.querySelector('.history-backdrop').addEventListener('click', () => this.close());
+    this.dialog.querySelector('#history-close-btn').addEventListener('click', () => this.close());
+    this.dialog.querySelector('#history-restore-btn').addEventListener('click', () => this.handleRestore());
+
+    // Select a revision
+    this.dialog.querySelector('#history-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.history-item');
+      if (item) {
+        this.selectRevision(parseInt(item.getAttribute('data-revision-id')));
+      }
+    });
+
+    // ESC key
+    document.addEventListener('keydown', (e) => {
+      if (this.isOpen && e.key === 'Escape') {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Open the dialog for a file
+   *
+   * @param {object} file - Saved file
+   * @param {string} currentContent - Text in the editor (unsaved edits included)
+   */
+  async open(file, currentContent) {
+    this.file = file;
+    this.currentContent = currentContent;
+    this.selectedRevision = null;
+
+    this.dialog.querySelector('.history-title').textContent = `History: ${file.name}`;
+    this.dialog.classList.remove('hidden');
+    this.isOpen = true;
+
+    this.revisions = await this.fileManager.getRevisions(file.id);
+    this.renderList();
+
+    if (this.revisions.length > 0) {
+      this.selectRevision(this.revisions[0].id);
+    } else {
+      this.showDiff(null);
+    }
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    this.dialog.classList.add('hidden');
+    this.isOpen = false;
+    this.disposeDiff();
+  }
+
+  /**
+   * Render the list of revisions
+   */
+  renderList() {
+    const listEl = this.dialog.querySelector('#history-list');
+
+    if (this.revisions.length === 0) {
+      listEl.innerHTML = `
+        <div class="empty-state">
+          No earlier versions yet. Versions are kept each time the file is saved.
+        </div>
+      `;
+      return;
+    }
+
+    const reasons = {
+      save: 'before save',
+      autosave: 'before autosave',
+      restore: 'before restore',
+      revert: 'before revert',
+    };
+
+    listEl.innerHTML = this.revisions.map(revision => `
+      <div
+        class="history-item${this.selectedRevision?.id === revision.id ? ' selected' : ''}"
+        data-revision-id="${revision.id}"
+      >
+        <div class="history-item-date">${new Date(revision.modified).toLocaleString()}</div>
+        <div class="history-item-meta">
+          ${revision.size} chars • ${reasons[revision.reason] || revision.reason}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Select a revision and compare it with the current buffer
+   *
+   * @param {number} id - Revision ID
+   */
+  selectRevision(id) {
+    this.selectedRevision = this.revisions.find(revision => revision.id === id) || null;
+    this.dialog.querySelector('#history-restore-btn').disabled = !this.selectedRevision;
+    this.renderList();
+    this.showDiff(this.selectedRevision);
+  }
+
+  /**
+   * Show a Monaco diff of a revision (left) against the current buffer (right)
+   *
+   * @param {object|null} revision - Revision, or null to compare nothing
+   */
+  showDiff(revision) {
+    const container = this.dialog.querySelector('#history-diff-editor');
+    const monaco = this.editor.monaco;
+
+    this.dialog.querySelector('.history-diff-original').textContent = revision
+      ? `Revision from ${new Date(revision.modified).toLocaleString()}`
+      : 'Revision';
+
+    if (!monaco) {
+      container.textContent = 'The diff view needs the editor to be loaded.';
+      return;
+    }
+
+    if (!this.diffEditor) {
+      this.diffEditor = monaco.editor.createDiffEditor(container, {
+        readOnly: true,
+        automaticLayout: true,
+        renderSideBySide: true,
+        minimap: { enabled: false },
+        scrollBeyondLastLine: false,
+      });
+    }
+
+    const language = this.editor.getMonacoLanguageId(this.file.language);
+    const original = monaco.editor.createModel(revision ? revision.content : '', language);
+    const modified = monaco.editor.createModel(this.currentContent, language);
+
+    this.diffEditor.setModel({ original, modified });
+    this.models.forEach(model => model.dispose());
+    this.models = [original, modified];
+  }
+
+  /**
+   * Restore the selected revision
+   */
+  async handleRestore() {
+    if (!this.selectedRevision) return;
+
+    const button = this.dialog.querySelector('#history-restore-btn');
+    button.disabled = true;
+
+    try {
+      if (await this.onRestore(this.selectedRevision)) {
+        this.close();
+      }
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Dispose the diff editor and its models
+   */
+  disposeDiff() {
+    if (this.diffEditor) {
+      this.diffEditor.dispose();
+      this.diffEditor = null;
+    }
+    this.models.forEach(model => model.dispose());
+    this.models = [];
+  }
+
+  /**
+   * Dispose of the dialog
+   */
+  dispose() {
+    this.disposeDiff();
+    if (this.dialog) {
+      this.dialog.remove();
+      this.dialog = null;
+    }
+  }
+}
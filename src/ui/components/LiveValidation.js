@@ -0,0 +1,386 @@
+/**
+ * LiveValidation - Validation as you type for JSON, YAML, XML, HTML and CSS
+ *
+ * Features:
+ * - Error and warning markers, updated once typing pauses
+ * - JSON Schema for JSON and YAML files: attached by the user, named in the
+ *   file, or matched by file name (package.json, GitHub workflows, Docker
+ *   Compose); the bundled schemas work offline
+ * - Schema-driven completion of YAML keys and values
+ *
+ * JSON and CSS are checked by Monaco's own language services, which this
+ * module configures (JSON also gets its schema completions there). YAML,
+ * XML and HTML are checked with their runtimes' validate().
+ */
+
+import Editor from './Editor.js';
+import SchemaCatalog from '../../schemas/SchemaCatalog.js';
+import SchemaValidator from '../../schemas/SchemaValidator.js';
+import YAMLOutline from '../../schemas/YAMLOutline.js';
+import YAMLRuntime from '../../runtimes/languages/YAMLRuntime.js';
+import XMLRuntime from '../../runtimes/languages/XMLRuntime.js';
+import HTMLRuntime from '../../runtimes/languages/HTMLRuntime.js';
+
+// Delay between the last keystroke and a validation run
+const VALIDATION_DELAY = 500;
+
+// Owner of the markers set by this module (see monaco.editor.setModelMarkers)
+const MARKER_OWNER = 'validation';
+
+// Languages with a JSON Schema
+const SCHEMA_LANGUAGES = ['json', 'yaml'];
+
+// Languages whose markers this module sets
+const MARKED_LANGUAGES = ['yaml', 'xml', 'html'];
+
+export default class LiveValidation {
+  /**
+   * @param {Object} monaco - Monaco API
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getFileInfo - async (model) => {id, path}|null, a model's file:
+   *   its id (null for untitled files) and its path in the workspace (or its name)
+   * @param {Function} options.loadSchemaFile - async (fileId) => schema object|null, reads
+   *   a saved file attached as a schema
+   * @param {Function} [options.filter] - (model) => boolean, whether to check a model
+   * @param {SchemaCatalog} [options.catalog] - Schemas and their associations (default: a new one)
+   */
+  constructor(monaco, options = {}) {
+    this.monaco = monaco;
+    this.getFileInfo = options.getFileInfo || (async () => null);
+    this.loadSchemaFile = options.loadSchemaFile || (async () => null);
+    this.filter = options.filter || (() => true);
+    this.catalog = options.catalog || new SchemaCatalog();
+
+    this.runtimes = {
+      yaml: new YAMLRuntime(),
+      xml: new XMLRuntime(),
+      html: new HTMLRuntime(),
+    };
+
+    this.disposables = [];
+    this.modelListeners = new Map(); // Model -> its listeners
+    this.timers = new Map(); // Model -> validation timer
+    this.schemas = new Map(); // Model -> its schema {uri, name, schema}
+    this.jsonSchemasKey = null; // Schema associations Monaco's JSON service has
+  }
+
+  /**
+   * Start checking models and register the YAML completion provider
+   */
+  enable() {
+    if (this.disposables.length > 0) return;
+
+    const { languages, editor } = this.monaco;
+
+    this.disposables.push(
+      languages.registerCompletionItemProvider('yaml', {
+        triggerCharacters: [' ', ':'],
+        provideCompletionItems: (model, position) => this.provideCompletionItems(model, position),
+      }),
+      editor.onDidCreateModel((model) => this.watchModel(model)),
+    );
+
+    this.jsonSchemasKey = null;
+    this.configureLanguageServices(true);
+    editor.getModels().forEach((model) => this.watchModel(model));
+  }
+
+  /**
+   * Stop checking models and remove the markers
+   */
+  disable() {
+    this.disposables.forEach((disposable) => disposable.dispose());
+    this.disposables = [];
+
+    this.modelListeners.forEach((listeners) => listeners.forEach((listener) => listener.dispose()));
+    this.modelListeners.clear();
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    this.schemas.clear();
+
+    this.monaco.editor.getModels().forEach((model) => {
+      this.monaco.editor.setModelMarkers(model, MARKER_OWNER, []);
+    });
+
+    this.configureLanguageServices(false);
+  }
+
+  /**
+   * Check whether models are being checked
+   *
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.disposables.length > 0;
+  }
+
+  /**
+   * Check every model again, e.g. after a schema was attached or a file renamed
+   */
+  refresh() {
+    this.modelListeners.forEach((listeners, model) => this.scheduleValidation(model));
+  }
+
+  /**
+   * Get the schema a model is checked against
+   *
+   * @param {Object} model - Monaco text model
+   * @returns {{uri: string, name: string, schema: Object}|null}
+   */
+  getSchema(model) {
+    return this.schemas.get(model) || null;
+  }
+
+  /**
+   * Check a model whenever it changes
+   *
+   * @private
+   * @param {Object} model - Monaco text model
+   */
+  watchModel(model) {
+    const listeners = [
+      model.onDidChangeContent(() => this.scheduleValidation(model)),
+      model.onDidChangeLanguage(() => this.scheduleValidation(model)),
+      model.onWillDispose(() => {
+        clearTimeout(this.timers.get(model));
+        this.timers.delete(model);
+        this.modelListeners.get(model)?.forEach((listener) => listener.dispose());
+        this.modelListeners.delete(model);
+        if (this.schemas.delete(model)) {
+          this.updateJSONSchemas();
+        }
+      }),
+    ];
+    this.modelListeners.set(model, listeners);
+    this.scheduleValidation(model);
+  }
+
+  /**
+   * Check a model once typing pauses
+   *
+   * @private
+   * @param {Object} model - Monaco text model
+   */
+  scheduleValidation(model) {
+    clearTimeout(this.timers.get(model));
+    this.timers.set(model, setTimeout(() => this.updateDiagnostics(model), VALIDATION_DELAY));
+  }
+
+  /**
+   * Find a model's schema and mark its problems
+   *
+   * @private
+   * @param {Object} model - Monaco text model
+   */
+  async updateDiagnostics(model) {
+    this.timers.delete(model);
+    if (model.isDisposed()) return;
+
+    const language = model.getLanguageId();
+    const checked = this.filter(model);
+    const version = model.getVersionId();
+
+    try {
+      const schema = checked && SCHEMA_LANGUAGES.includes(language) ? await this.resolveSchema(model) : null;
+      if (model.isDisposed()) return;
+      this.setSchema(model, schema);
+
+      if (!checked || !MARKED_LANGUAGES.includes(language)) {
+        this.monaco.editor.setModelMarkers(model, MARKER_OWNER, []);
+        return;
+      }
+
+      const diagnostics = await this.validate(language, model.getValue(), schema);
+
+      // Edits since then have scheduled another run
+      if (model.isDisposed() || model.getVersionId() !== version) return;
+
+      const markers = diagnostics.map((diagnostic) => Editor.toMarker(diagnostic, model, this.monaco, MARKER_OWNER));
+      this.monaco.editor.setModelMarkers(model, MARKER_OWNER, markers);
+    } catch (error) {
+      console.warn('[LiveValidation] Validation failed:', error.message);
+    }
+  }
+
+  /**
+   * Check text with its language's runtime
+   *
+   * @private
+   * @param {string} language - 'yaml', 'xml' or 'html'
+   * @param {string} code - Text
+   * @param {Object|null} schema - Schema of a YAML file
+   * @returns {Promise<Array<Object>>} Diagnostics (see BaseRuntime.createDiagnostic())
+   */
+  async validate(language, code, schema) {
+    if (language === 'yaml') {
+      return this.runtimes.yaml.validate(code, { schema: schema?.schema });
+    }
+    return this.runtimes[language].validate(code);
+  }
+
+  /**
+   * Find the schema of a JSON or YAML model
+   *
+   * @private
+   * @param {Object} model - Monaco text model
+   * @returns {Promise<{uri: string, name: string, schema: Object}|null>}
+   */
+  async resolveSchema(model) {
+    const file = await this.getFileInfo(model);
+    return this.catalog.resolve({
+      id: file?.id ?? null,
+      path: file?.path ?? null,
+      content: model.getValue(),
+      language: model.getLanguageId(),
+    }, this.loadSchemaFile);
+  }
+
+  /**
+   * Remember a model's schema, and tell Monaco's JSON service about JSON models'
+   *
+   * @private
+   * @param {Object} model - Monaco text model
+   * @param {Object|null} schema - Its schema
+   */
+  setSchema(model, schema) {
+    if (schema) {
+      this.schemas.set(model, schema);
+    } else {
+      this.schemas.delete(model);
+    }
+    this.updateJSONSchemas();
+  }
+
+  /**
+   * Give Monaco's JSON service the schemas of the JSON models, if they changed
+   * (every change restarts its worker)
+   *
+   * @private
+   */
+  updateJSONSchemas() {
+    if (!this.isEnabled()) return;
+
+    const schemas = this.getJSONSchemas();
+    const key = JSON.stringify(schemas.map(({ uri, fileMatch }) => [uri, fileMatch]));
+    if (key === this.jsonSchemasKey) return;
+
+    this.jsonSchemasKey = key;
+    this.configureLanguageServices(true, schemas);
+  }
+
+  /**
+   * Schemas for Monaco's JSON service: every bundled schema (so `$schema`
+   * can name them) and the attached ones, each matched to its models' URIs
+   *
+   * @private
+   * @returns {Array<{uri: string, fileMatch: Array<string>, schema: Object}>}
+   */
+  getJSONSchemas() {
+    const entries = new Map();
+    this.catalog.getBundledSchemas().forEach(({ uri, schema }) => {
+      entries.set(uri, { uri, fileMatch: [], schema });
+    });
+
+    this.schemas.forEach(({ uri, schema }, model) => {
+      if (model.isDisposed() || model.getLanguageId() !== 'json') return;
+      if (!entries.has(uri)) {
+        entries.set(uri, { uri, fileMatch: [], schema });
+      }
+      entries.get(uri).fileMatch.push(model.uri.toString());
+    });
+
+    return [...entries.values()];
+  }
+
+  /**
+   * Turn the validation of Monaco's JSON and CSS services on or off
+   *
+   * @private
+   * @param {boolean} enabled - Whether to validate
+   * @param {Array<Object>} [schemas] - JSON schemas (see getJSONSchemas)
+   */
+  configureLanguageServices(enabled, schemas = enabled ? this.getJSONSchemas() : []) {
+    const { json, css } = this.monaco.languages;
+
+    json?.jsonDefaults?.setDiagnosticsOptions({
+      ...json.jsonDefaults.diagnosticsOptions,
+      validate: enabled,
+      enableSchemaRequest: false,
+      schemas,
+    });
+
+    css?.cssDefaults?.setOptions({
+      ...css.cssDefaults.options,
+      validate: enabled,
+    });
+  }
+
+  /**
+   * Suggest the keys and values a YAML file's schema allows at the cursor
+   *
+   * @private
+   * @param {Object} model - Monaco text model
+   * @param {Object} position - Monaco position
+   * @returns {{suggestions: Array<Object>}}
+   */
+  provideCompletionItems(model, position) {
+    const schema = this.schemas.get(model);
+    const context = schema && YAMLOutline.contextAt(model.getValue(), position.lineNumber, position.column);
+    if (!context) return { suggestions: [] };
+
+    // Replace the key or value typed so far (keys may contain '-')
+    const prefix = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+    const typed = prefix.match(/[^\s:]*$/)[0].replace(/^-+/, '');
+    const range = {
+      startLineNumber: position.lineNumber,
+      startColumn: position.column - typed.length,
+      endLineNumber: position.lineNumber,
+      endColumn: position.column,
+    };
+    const { CompletionItemKind } = this.monaco.languages;
+
+    if (context.kind === 'key') {
+      const properties = SchemaValidator.propertiesAt(schema.schema, context.path);
+      return {
+        suggestions: [...properties].map(([name, propertySchema]) => ({
+          label: name,
+          kind: CompletionItemKind.Property,
+          detail: LiveValidation.describeType(propertySchema),
+          documentation: propertySchema.description,
+          insertText: `${name}: `,
+          range,
+        })),
+      };
+    }
+
+    return {
+      suggestions: SchemaValidator.valuesAt(schema.schema, context.path).map(({ value, description }) => ({
+        label: String(value),
+        kind: CompletionItemKind.Value,
+        documentation: description,
+        insertText: String(value),
+        range,
+      })),
+    };
+  }
+
+  /**
+   * Short type label of a schema, e.g. 'string | array'
+   *
+   * @private
+   * @param {Object} schema - Part of a schema
+   * @returns {string|undefined}
+   */
+  static describeType(schema) {
+    if (schema.type) return [].concat(schema.type).join(' | ');
+    if (schema.enum) return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+    return undefined;
+  }
+
+  /**
+   * Stop checking models
+   */
+  dispose() {
+    this.disable();
+  }
+}
@@ -2,23 +2,73 @@
  * OutputPanel - Manages code execution output display
  *
  * Displays stdout, stderr, and other execution results with syntax highlighting
- * and filtering capabilities.
+ * and filtering capabilities. Rich outputs (see BaseRuntime.display()) are
+ * shown as images, sandboxed HTML frames, sortable tables and query result
+ * grids.
  */
+
+import ResultGrid from './ResultGrid.js';
+
+// Most table rows rendered; the rest are counted in a footer
+const TABLE_ROW_LIMIT = 1000;
+
+// Height of an HTML output frame unless the output gives one
+const HTML_FRAME_HEIGHT = 320;
+
+// Table Schema field types shown right-aligned
+const NUMERIC_FIELD_TYPES = ['integer', 'number'];
+
+/**
+ * Order two table values: numbers by value, other values as text, and
+ * nulls last in either direction
+ *
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @param {boolean} [descending=false] - Largest first
+ * @returns {number}
+ */
+function compareValues(a, b, descending = false) {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing) return Number(aMissing) - Number(bMissing);
+
+  const order = typeof a === 'number' && typeof b === 'number'
+    ? a - b
+    : String(a).localeCompare(String(b), undefined, { numeric: true });
+  return descending ? -order : order;
+}
+
+/**
+ * Text of a table value
+ *
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
 export default class OutputPanel {
   /**
    * @param {HTMLElement} container - DOM container for output
+   * @param {Object} [options] - Configuration options
+   * @param {Function} [options.exportParquet] - async (result, rows) => Uint8Array, exports
+   *   rows of a DuckDB result set as Parquet from a result grid
    */
-  constructor(container) {
+  constructor(container, options = {}) {
     this.container = container;
+    this.exportParquet = options.exportParquet || null;
     this.lines = [];
     this.maxLines = 10000; // Prevent memory issues with very long output
+    this.pendingInput = null; // { finish } while an inline input field is shown
   }
 
   /**
    * Add output line to the panel
    *
    * @param {string} text - Output text
-   * @param {string} type - Output type ('stdout', 'stderr', 'info', 'success', 'error')
+   * @param {string} type - Output type ('stdout', 'stderr', 'stdin', 'info', 'success', 'error')
    */
   addLine(text, type = 'stdout') {
     // Split multi-line text into separate lines
@@ -34,19 +84,317 @@ export default class OutputPanel {
       this.container.appendChild(lineElement);
 
       // Track lines
-      this.lines.push({ text: line, type, element: lineElement });
+      this.trackLine({ text: line, type, element: lineElement });
+    });
+
+    // Auto-scroll to bottom
+    this.scrollToBottom();
+  }
+
+  /**
+   * Add runtime output: a line of text, or a rich output when the type is a
+   * MIME type
+   *
+   * @param {string|Object} data - Output text, or rich output data
+   * @param {string} type - Output type (see addLine()) or MIME type (see addDisplay())
+   * @param {Object} [metadata] - Details of a rich output
+   */
+  addOutput(data, type = 'stdout', metadata = {}) {
+    if (OutputPanel.isDisplayType(type)) {
+      this.addDisplay(type, data, metadata);
+    } else {
+      this.addLine(String(data), type);
+    }
+  }
+
+  /**
+   * Check whether an output type is the MIME type of a rich output
+   *
+   * @param {string} type - Output type
+   * @returns {boolean}
+   */
+  static isDisplayType(type) {
+    return typeof type === 'string' && type.includes('/');
+  }
+
+  /**
+   * Add a rich output
+   *
+   * @param {string} mimeType - 'image/png' (base64 data), 'image/svg+xml', 'text/html',
+   *   'application/vnd.table+json' ({schema: {fields}, data}) or
+   *   'application/vnd.drlee.sql-results+json' (see ResultSet); see BaseRuntime.display()
+   * @param {string|Object} data - Output data
+   * @param {Object} [metadata] - Details: width and height (pixels), alt text
+   */
+  addDisplay(mimeType, data, metadata = {}) {
+    let content;
+    let text;
+
+    switch (mimeType) {
+      case 'image/png':
+      case 'image/svg+xml':
+        content = this.createImage(mimeType, data, metadata);
+        text = `[${metadata.alt || 'Image'}]`;
+        break;
+      case 'text/html':
+        content = this.createHTMLFrame(data, metadata);
+        text = '[HTML output]';
+        break;
+      case 'application/vnd.table+json':
+        ({ element: content, text } = this.createTable(data));
+        break;
+      case 'application/vnd.drlee.sql-results+json':
+        content = new ResultGrid(data, { exportParquet: this.exportParquet }).element;
+        text = data.results
+          .map(result => `[${result.values.length} row${result.values.length === 1 ? '' : 's'}: ${result.sql}]`)
+          .join('\n');
+        break;
+      default:
+        this.addLine(typeof data === 'string' ? data : JSON.stringify(data), 'stdout');
+        return;
+    }
+
+    const element = document.createElement('div');
+    element.className = 'output-display';
+    element.dataset.mimeType = mimeType;
+    element.appendChild(content);
+
+    this.container.appendChild(element);
+    this.trackLine({ text, type: mimeType, element });
+    this.scrollToBottom();
+  }
+
+  /**
+   * Create the image of a PNG or SVG output
+   * SVG is shown through an <img>, so scripts in it do not run.
+   *
+   * @private
+   * @param {string} mimeType - 'image/png' or 'image/svg+xml'
+   * @param {string} data - Base64 PNG, or SVG markup
+   * @param {Object} metadata - {width, height, alt}
+   * @returns {HTMLImageElement}
+   */
+  createImage(mimeType, data, metadata) {
+    const image = document.createElement('img');
+    image.className = 'output-image';
+    image.alt = metadata.alt || 'Plot';
+    image.src = mimeType === 'image/png'
+      ? `data:image/png;base64,${data}`
+      : `data:image/svg+xml;charset=utf-8,${encodeURIComponent(data)}`;
+    if (metadata.width) image.width = metadata.width;
+    if (metadata.height) image.height = metadata.height;
+
+    // The panel grows once the image has its size
+    image.addEventListener('load', () => this.scrollToBottom());
+    return image;
+  }
+
+  /**
+   * Create the frame of an HTML output
+   * The frame may run scripts but has an opaque origin, so the output
+   * cannot reach the IDE, its storage or its cookies.
+   *
+   * @private
+   * @param {string} html - HTML document or fragment
+   * @param {Object} metadata - {height, alt}
+   * @returns {HTMLIFrameElement}
+   */
+  createHTMLFrame(html, metadata) {
+    const frame = document.createElement('iframe');
+    frame.className = 'output-html-frame';
+    frame.setAttribute('sandbox', 'allow-scripts');
+    frame.setAttribute('title', metadata.alt || 'HTML output');
+    frame.style.height = `${metadata.height || HTML_FRAME_HEIGHT}px`;
+    frame.srcdoc = html;
+    return frame;
+  }
+
+  /**
+   * Create a table whose columns sort when their header is clicked
+   *
+   * @private
+   * @param {{schema: {fields: Array<{name: string, type: string}>}, data: Array<Object>}} table -
+   *   Table Schema data
+   * @returns {{element: HTMLElement, text: string}} The table and its text (tab-separated)
+   */
+  createTable(table) {
+    const rows = Array.isArray(table?.data) ? table.data : [];
+    const fields = table?.schema?.fields?.length
+      ? table.schema.fields
+      : Object.keys(rows[0] || {}).map(name => ({ name }));
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'output-table-wrapper';
+
+    const element = document.createElement('table');
+    element.className = 'output-table';
 
-      // Enforce max lines limit
-      if (this.lines.length > this.maxLines) {
-        const removed = this.lines.shift();
-        if (removed.element && removed.element.parentNode) {
-          removed.element.parentNode.removeChild(removed.element);
+    const head = element.createTHead().insertRow();
+    const body = element.createTBody();
+    const sort = { field: null, descending: false };
+
+    const renderBody = () => {
+      const sorted = sort.field === null
+        ? rows
+        : [...rows].sort((a, b) => compareValues(a[sort.field], b[sort.field], sort.descending));
+
+      body.replaceChildren();
+      sorted.slice(0, TABLE_ROW_LIMIT).forEach((row) => {
+        const rowElement = body.insertRow();
+        fields.forEach(({ name, type }) => {
+          const cell = rowElement.insertCell();
+          const value = row[name];
+          if (value === null || value === undefined) {
+            cell.className = 'output-table-null';
+            cell.textContent = 'NULL';
+          } else {
+            cell.textContent = formatValue(value);
+          }
+          if (NUMERIC_FIELD_TYPES.includes(type)) cell.classList.add('output-table-number');
+        });
+      });
+    };
+
+    fields.forEach(({ name, type }) => {
+      const header = document.createElement('th');
+      header.scope = 'col';
+      header.title = type ? `${name} (${type})` : name;
+      header.textContent = name;
+      header.tabIndex = 0;
+      if (NUMERIC_FIELD_TYPES.includes(type)) header.classList.add('output-table-number');
+
+      const toggle = () => {
+        sort.descending = sort.field === name ? !sort.descending : false;
+        sort.field = name;
+        head.querySelectorAll('th').forEach((cell) => cell.removeAttribute('aria-sort'));
+        header.setAttribute('aria-sort', sort.descending ? 'descending' : 'ascending');
+        renderBody();
+      };
+      header.addEventListener('click', toggle);
+      header.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          toggle();
         }
+      });
+
+      head.appendChild(header);
+    });
+
+    renderBody();
+    wrapper.appendChild(element);
+
+    const footer = document.createElement('div');
+    footer.className = 'output-table-footer';
+    footer.textContent = rows.length > TABLE_ROW_LIMIT
+      ? `${TABLE_ROW_LIMIT} of ${rows.length} rows shown`
+      : `${rows.length} row${rows.length === 1 ? '' : 's'}`;
+    wrapper.appendChild(footer);
+
+    const text = [
+      fields.map(({ name }) => name).join('\t'),
+      ...rows.map(row => fields.map(({ name }) => (
+        row[name] === null || row[name] === undefined ? 'NULL' : formatValue(row[name])
+      )).join('\t')),
+    ].join('\n');
+
+    return { element: wrapper, text };
+  }
+
+  /**
+   * Remember an output element, dropping the oldest past the line limit
+   *
+   * @private
+   * @param {{text: string, type: string, element: HTMLElement}} line - Output entry
+   */
+  trackLine(line) {
+    this.lines.push(line);
+
+    // Enforce max lines limit
+    if (this.lines.length > this.maxLines) {
+      const removed = this.lines.shift();
+      if (removed.element && removed.element.parentNode) {
+        removed.element.parentNode.removeChild(removed.element);
       }
+    }
+  }
+
+  /**
+   * Show an inline input field after the output and wait for a line
+   * Enter submits the line; Ctrl+D ends input (the program sees EOF).
+   *
+   * @param {string} prompt - Prompt text shown before the field
+   * @returns {Promise<string|null>} The entered line, or null at end of input
+   */
+  requestInput(prompt = '') {
+    this.cancelInput();
+
+    return new Promise((resolve) => {
+      const lineElement = document.createElement('div');
+      lineElement.className = 'output-line output-input';
+
+      const promptElement = document.createElement('span');
+      promptElement.textContent = prompt;
+
+      const field = document.createElement('input');
+      field.type = 'text';
+      field.className = 'output-input-field';
+      field.autocomplete = 'off';
+      field.spellcheck = false;
+      field.setAttribute('aria-label', prompt || 'Program input');
+
+      const finish = (value) => {
+        this.pendingInput = null;
+
+        // Keep the answered prompt in the output like a terminal would
+        lineElement.className = 'output-line output-stdin';
+        lineElement.textContent = prompt + (value ?? '');
+        this.lines.push({ text: lineElement.textContent, type: 'stdin', element: lineElement });
+
+        resolve(value);
+      };
+
+      field.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          finish(field.value);
+        } else if (event.key === 'd' && event.ctrlKey) {
+          event.preventDefault();
+          finish(null);
+        }
+      });
+
+      lineElement.appendChild(promptElement);
+      lineElement.appendChild(field);
+      this.container.appendChild(lineElement);
+      this.pendingInput = { finish };
+
+      this.scrollToBottom();
+      field.focus();
     });
+  }
 
-    // Auto-scroll to bottom
-    this.scrollToBottom();
+  /**
+   * Ask for a line of input with a blocking dialog
+   * For runtimes that read stdin synchronously and cannot wait for the
+   * inline field.
+   *
+   * @param {string} prompt - Prompt text
+   * @returns {string|null} The entered line, or null if the dialog was cancelled
+   */
+  requestInputSync(prompt = '') {
+    const value = window.prompt(prompt || 'Program input:', '');
+    this.addLine(prompt + (value ?? ''), 'stdin');
+    return value;
+  }
+
+  /**
+   * Close the inline input field, if one is open, as end of input
+   */
+  cancelInput() {
+    if (this.pendingInput) {
+      this.pendingInput.finish(null);
+    }
   }
 
   /**
@@ -104,6 +452,7 @@ export default class OutputPanel {
    * Clear all output
    */
   clear() {
+    this.cancelInput();
     this.container.innerHTML = '';
     this.lines = [];
 
@@ -0,0 +1,152 @@
+/**
+ * ProblemsPanel - Problems reported by the last run or validation
+ *
+ * Features:
+ * - Errors, warnings and notes with the file and line they are on
+ * - Click a problem (or press Enter on it) to jump to it in the editor
+ * - Collapses to its header; hidden while there are no problems
+ */
+
+import { escapeHtml } from '../../utils/html.js';
+
+const SEVERITY_ICONS = {
+  error: '❌',
+  warning: '⚠️',
+  info: 'ℹ️',
+};
+
+// Errors are listed first
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+
+export default class ProblemsPanel {
+  /**
+   * @param {HTMLElement} container - DOM container for the list
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onSelect - (problem) => void, called when a problem is clicked
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onSelect = options.onSelect || (() => {});
+
+    this.problems = [];
+    this.collapsed = false;
+  }
+
+  /**
+   * Initialize the panel (hidden until there are problems)
+   */
+  init() {
+    this.render();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Render the panel UI
+   */
+  render() {
+    this.container.innerHTML = `
+      <div class="problems-header" title="Show or hide problems">
+        <span class="problems-toggle">▾</span>
+        <span class="problems-title">Problems</span>
+        <span class="problems-counts"></span>
+      </div>
+      <div class="problems-list" role="list"></div>
+    `;
+    this.renderList();
+  }
+
+  /**
+   * Attach event listeners
+   *
+   * @private
+   */
+  attachEventListeners() {
+    this.container.querySelector('.problems-header').addEventListener('click', () => {
+      this.setCollapsed(!this.collapsed);
+    });
+
+    const list = this.container.querySelector('.problems-list');
+    list.addEventListener('click', (e) => {
+      const item = e.target.closest('.problem-item');
+      if (item) {
+        this.onSelect(this.problems[Number(item.dataset.index)]);
+      }
+    });
+    list.addEventListener('keydown', (e) => {
+      const item = e.target.closest('.problem-item');
+      if (item && e.key === 'Enter') {
+        this.onSelect(this.problems[Number(item.dataset.index)]);
+      }
+    });
+  }
+
+  /**
+   * Show a new list of problems
+   *
+   * @param {Array<Object>} problems - Diagnostics (see BaseRuntime.createDiagnostic())
+   *   with the `fileName` they are in
+   */
+  setProblems(problems) {
+    this.problems = [...problems].sort((a, b) => (
+      SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+      || String(a.fileName).localeCompare(String(b.fileName))
+      || a.line - b.line
+      || a.column - b.column
+    ));
+    this.renderList();
+  }
+
+  /**
+   * Remove all problems
+   */
+  clear() {
+    this.setProblems([]);
+  }
+
+  /**
+   * Get the problems shown
+   *
+   * @returns {Array<Object>}
+   */
+  getProblems() {
+    return this.problems;
+  }
+
+  /**
+   * Show only the header, or the whole list
+   *
+   * @param {boolean} collapsed - Whether to hide the list
+   */
+  setCollapsed(collapsed) {
+    this.collapsed = collapsed;
+    this.container.classList.toggle('collapsed', collapsed);
+    this.container.querySelector('.problems-toggle').textContent = collapsed ? '▸' : '▾';
+  }
+
+  /**
+   * Render the counts and the list
+   *
+   * @private
+   */
+  renderList() {
+    const list = this.container.querySelector('.problems-list');
+    if (!list) return;
+
+    this.container.classList.toggle('hidden', this.problems.length === 0);
+
+    const counts = SEVERITY_ORDER
+      .map(severity => [severity, this.problems.filter(problem => problem.severity === severity).length])
+      .filter(([, count]) => count > 0)
+      .map(([severity, count]) => `<span class="problems-count problem-${severity}">${SEVERITY_ICONS[severity]} ${count}</span>`);
+    this.container.querySelector('.problems-counts').innerHTML = counts.join('');
+
+    list.innerHTML = this.problems.map((problem, index) => `
+      <div class="problem-item problem-${escapeHtml(problem.severity)}" role="listitem" tabindex="0" data-index="${index}"
+        title="${escapeHtml(problem.message)}">
+        <span class="problem-icon">${SEVERITY_ICONS[problem.severity] || SEVERITY_ICONS.error}</span>
+        <span class="problem-message">${escapeHtml(problem.message)}</span>
+        <span class="problem-location">${escapeHtml(problem.fileName || '')} ${problem.line}:${problem.column}</span>
+      </div>
+    `).join('');
+  }
+}
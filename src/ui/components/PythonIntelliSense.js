@@ -0,0 +1,443 @@
+/**
+ * PythonIntelliSense - Monaco language features for Python
+ *
+ * Features:
+ * - Completion with signatures and docs, hover docs and signature help
+ * - Go to definition, also into the user's other saved Python files
+ * - Error and warning markers, updated as you type
+ *
+ * The analysis runs in PythonLanguageService's worker. Providers are
+ * registered once and serve the models of every editor group.
+ */
+
+import PythonLanguageService from '../../runtimes/languages/PythonLanguageService.js';
+
+// Delay between the last keystroke and a diagnostics run
+const DIAGNOSTICS_DELAY = 600;
+
+// How long synced workspace files are reused before they are read again
+const WORKSPACE_TTL = 5000;
+
+// Owner of the markers set by this module (see monaco.editor.setModelMarkers)
+const MARKER_OWNER = 'python';
+
+// URI scheme of saved files in go-to-definition results
+const FILE_SCHEME = 'drlee-file';
+
+// Jedi name types -> Monaco CompletionItemKind names
+const COMPLETION_KINDS = {
+  module: 'Module',
+  class: 'Class',
+  instance: 'Variable',
+  function: 'Function',
+  param: 'Variable',
+  path: 'File',
+  keyword: 'Keyword',
+  property: 'Property',
+  statement: 'Variable',
+};
+
+export default class PythonIntelliSense {
+  /**
+   * @param {Object} monaco - Monaco API
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getFileInfo - async (model) => {folder, path}|null, where a model's
+   *   file is: its repository (null for other files) and path below the mount point;
+   *   null for untitled files
+   * @param {Function} options.getWorkspaceFiles - async (folder) => Map<path, source> of the
+   *   Python files imports resolve to
+   * @param {Function} options.onOpenFile - ({folder, path}, position) => void, opens a saved file
+   *   at a definition
+   * @param {Function} [options.filter] - (model) => boolean, whether to check a model for errors
+   * @param {PythonLanguageService} [options.service] - Analyzer (default: a new one)
+   */
+  constructor(monaco, options = {}) {
+    this.monaco = monaco;
+    this.getFileInfo = options.getFileInfo || (async () => null);
+    this.getWorkspaceFiles = options.getWorkspaceFiles || (async () => new Map());
+    this.onOpenFile = options.onOpenFile || (() => {});
+    this.filter = options.filter || (() => true);
+    this.service = options.service || new PythonLanguageService();
+
+    this.disposables = [];
+    this.modelListeners = new Map(); // Model -> its listeners
+    this.timers = new Map(); // Model -> diagnostics timer
+    this.workspace = { folder: undefined, syncedAt: 0, syncing: null };
+  }
+
+  /**
+   * Register the providers and start checking Python models
+   */
+  enable() {
+    if (this.disposables.length > 0) return;
+
+    const { languages, editor } = this.monaco;
+
+    this.disposables.push(
+      languages.registerCompletionItemProvider('python', {
+        triggerCharacters: ['.'],
+        provideCompletionItems: (model, position) => this.provideCompletionItems(model, position),
+        resolveCompletionItem: (item) => this.resolveCompletionItem(item),
+      }),
+      languages.registerHoverProvider('python', {
+        provideHover: (model, position) => this.provideHover(model, position),
+      }),
+      languages.registerSignatureHelpProvider('python', {
+        signatureHelpTriggerCharacters: ['(', ','],
+        signatureHelpRetriggerCharacters: [')'],
+        provideSignatureHelp: (model, position) => this.provideSignatureHelp(model, position),
+      }),
+      languages.registerDefinitionProvider('python', {
+        provideDefinition: (model, position) => this.provideDefinition(model, position),
+      }),
+      editor.registerEditorOpener({
+        openCodeEditor: (source, resource, selectionOrPosition) => this.openResource(resource, selectionOrPosition),
+      }),
+      editor.onDidCreateModel((model) => this.watchModel(model)),
+    );
+
+    editor.getModels().forEach((model) => this.watchModel(model));
+  }
+
+  /**
+   * Unregister the providers, remove the markers and stop the analyzer
+   */
+  disable() {
+    this.disposables.forEach((disposable) => disposable.dispose());
+    this.disposables = [];
+
+    this.modelListeners.forEach((listeners) => listeners.forEach((listener) => listener.dispose()));
+    this.modelListeners.clear();
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+
+    this.monaco.editor.getModels().forEach((model) => {
+      this.monaco.editor.setModelMarkers(model, MARKER_OWNER, []);
+    });
+
+    this.service.terminate();
+    this.workspace = { folder: undefined, syncedAt: 0, syncing: null };
+  }
+
+  /**
+   * Check whether the providers are registered
+   *
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.disposables.length > 0;
+  }
+
+  /**
+   * Read the workspace files again before the next request (e.g. after a save)
+   */
+  invalidateWorkspace() {
+    this.workspace.syncedAt = 0;
+  }
+
+  /**
+   * Check a model for errors whenever it changes
+   *
+   * @private
+   * @param {Object} model - Monaco text model
+   */
+  watchModel(model) {
+    const listeners = [
+      model.onDidChangeContent(() => this.scheduleDiagnostics(model)),
+      model.onDidChangeLanguage(() => this.scheduleDiagnostics(model)),
+      model.onWillDispose(() => {
+        clearTimeout(this.timers.get(model));
+        this.timers.delete(model);
+        this.modelListeners.get(model)?.forEach((listener) => listener.dispose());
+        this.modelListeners.delete(model);
+      }),
+    ];
+    this.modelListeners.set(model, listeners);
+    this.scheduleDiagnostics(model);
+  }
+
+  /**
+   * Check a model for errors once typing pauses
+   *
+   * @private
+   * @param {Object} model - Monaco text model
+   */
+  scheduleDiagnostics(model) {
+    clearTimeout(this.timers.get(model));
+    this.timers.set(model, setTimeout(() => this.updateDiagnostics(model), DIAGNOSTICS_DELAY));
+  }
+
+  /**
+   * Mark a model's syntax errors and lint warnings
+   *
+   * @private
+   * @param {Object} model - Monaco text model
+   */
+  async updateDiagnostics(model) {
+    this.timers.delete(model);
+    if (model.isDisposed()) return;
+
+    if (model.getLanguageId() !== 'python' || !this.filter(model)) {
+      this.monaco.editor.setModelMarkers(model, MARKER_OWNER, []);
+      return;
+    }
+
+    const version = model.getVersionId();
+    try {
+      const file = await this.prepareWorkspace(model);
+      const diagnostics = await this.service.diagnostics({ source: model.getValue(), path: file?.path ?? null });
+
+      // Edits since then have scheduled another run
+      if (model.isDisposed() || model.getVersionId() !== version) return;
+
+      const markers = diagnostics.map((diagnostic) => PythonIntelliSense.toMarker(diagnostic, model, this.monaco));
+      this.monaco.editor.setModelMarkers(model, MARKER_OWNER, markers);
+    } catch (error) {
+      console.warn('[PythonIntelliSense] Diagnostics failed:', error.message);
+    }
+  }
+
+  /**
+   * Give the analyzer the Python files of a model's repository (or of the
+   * files outside repositories), unless it has them already
+   *
+   * @private
+   * @param {Object} model - Monaco text model
+   * @returns {Promise<{folder: (string|null), path: (string|null)}|null>} The model's file
+   */
+  async prepareWorkspace(model) {
+    const file = await this.getFileInfo(model);
+    const folder = file?.folder ?? null;
+
+    // Wait for a sync already under way
+    while (this.workspace.syncing) {
+      await this.workspace.syncing;
+    }
+
+    const fresh = Date.now() - this.workspace.syncedAt < WORKSPACE_TTL;
+    if (this.workspace.folder !== folder || !fresh) {
+      this.workspace.syncing = (async () => {
+        try {
+          await this.service.sync(await this.getWorkspaceFiles(folder));
+          this.workspace.folder = folder;
+          this.workspace.syncedAt = Date.now();
+        } finally {
+          this.workspace.syncing = null;
+        }
+      })();
+      await this.workspace.syncing;
+    }
+
+    return file;
+  }
+
+  /**
+   * Request parameters for a position in a model
+   * Requests wait for no analyzer: while it loads there are no results.
+   *
+   * @private
+   * @param {Object} model - Monaco text model
+   * @param {Object} position - Monaco position
+   * @returns {Promise<Object|null>} Parameters, or null while the analyzer is loading
+   */
+  async positionParams(model, position) {
+    if (!this.service.isReady) {
+      this.service.start().catch((error) => console.warn('[PythonIntelliSense] Analyzer failed to load:', error.message));
+      return null;
+    }
+
+    const file = await this.prepareWorkspace(model);
+    return {
+      source: model.getValue(),
+      path: file ? file.path : null,
+      folder: file ? file.folder : null,
+      line: position.lineNumber,
+      column: position.column - 1,
+    };
+  }
+
+  /**
+   * Complete the name at a position
+   *
+   * @private
+   */
+  async provideCompletionItems(model, position) {
+    const params = await this.positionParams(model, position).catch(() => null);
+    if (!params) return { suggestions: [] };
+
+    const completions = await this.service.complete(params).catch(() => []);
+    const word = model.getWordUntilPosition(position);
+    const range = new this.monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+    const kinds = this.monaco.languages.CompletionItemKind;
+
+    return {
+      suggestions: completions.map((completion, index) => ({
+        label: completion.name,
+        kind: kinds[COMPLETION_KINDS[completion.type]] ?? kinds.Text,
+        insertText: completion.name,
+        sortText: String(index).padStart(4, '0'),
+        range,
+        completionIndex: index,
+      })),
+    };
+  }
+
+  /**
+   * Add the signature and docs of a completion the user selected
+   *
+   * @private
+   */
+  async resolveCompletionItem(item) {
+    const details = await this.service.resolve(item.completionIndex, item.label).catch(() => null);
+    if (details) {
+      item.detail = details.detail;
+      item.documentation = details.documentation || undefined;
+    }
+    return item;
+  }
+
+  /**
+   * Describe the name under the mouse
+   *
+   * @private
+   */
+  async provideHover(model, position) {
+    const params = await this.positionParams(model, position).catch(() => null);
+    const info = params && await this.service.hover(params).catch(() => null);
+    if (!info) return null;
+
+    const word = model.getWordAtPosition(position);
+    const contents = [{ value: `\`\`\`python\n${info.signature}\n\`\`\`` }];
+    if (info.documentation) {
+      contents.push({ value: info.documentation });
+    }
+
+    return {
+      contents,
+      range: word
+        ? new this.monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn)
+        : undefined,
+    };
+  }
+
+  /**
+   * Show the signature of the call being typed
+   *
+   * @private
+   */
+  async provideSignatureHelp(model, position) {
+    const params = await this.positionParams(model, position).catch(() => null);
+    const signatures = params ? await this.service.signatures(params).catch(() => []) : [];
+    if (signatures.length === 0) return null;
+
+    return {
+      value: {
+        signatures: signatures.map((signature) => ({
+          label: signature.label,
+          documentation: signature.documentation || undefined,
+          parameters: PythonIntelliSense.parameterRanges(signature.label, signature.params)
+            .map((label) => ({ label })),
+        })),
+        activeSignature: 0,
+        activeParameter: signatures[0].index ?? 0,
+      },
+      dispose() {},
+    };
+  }
+
+  /**
+   * Find where the name at a position is defined
+   *
+   * @private
+   */
+  async provideDefinition(model, position) {
+    const params = await this.positionParams(model, position).catch(() => null);
+    const locations = params ? await this.service.definition(params).catch(() => []) : [];
+
+    return locations.map((location) => ({
+      uri: location.path === null
+        ? model.uri
+        : this.monaco.Uri.from({ scheme: FILE_SCHEME, path: `/${location.path}`, query: params.folder ?? '' }),
+      range: new this.monaco.Range(location.line, location.column + 1, location.line, location.column + 1),
+    }));
+  }
+
+  /**
+   * Open a saved file that go-to-definition led to
+   *
+   * @private
+   * @param {Object} resource - Monaco Uri
+   * @param {Object} [selectionOrPosition] - Range or position in the file
+   * @returns {boolean} Whether the resource was a saved file
+   */
+  openResource(resource, selectionOrPosition) {
+    if (resource.scheme !== FILE_SCHEME) return false;
+
+    const position = selectionOrPosition && 'startLineNumber' in selectionOrPosition
+      ? { lineNumber: selectionOrPosition.startLineNumber, column: selectionOrPosition.startColumn }
+      : selectionOrPosition || null;
+
+    this.onOpenFile({ folder: resource.query || null, path: resource.path.slice(1) }, position);
+    return true;
+  }
+
+  /**
+   * Offsets of each parameter in a signature label
+   *
+   * @param {string} label - Signature, e.g. `print(*values, sep=' ')`
+   * @param {string[]} params - Parameters as they appear in it
+   * @returns {Array<[number, number]|string>} [start, end] offsets, or the
+   *   parameter text when it cannot be found
+   */
+  static parameterRanges(label, params) {
+    let from = label.indexOf('(') + 1;
+    return params.map((param) => {
+      const start = label.indexOf(param, from);
+      if (start === -1) return param;
+      from = start + param.length;
+      return [start, from];
+    });
+  }
+
+  /**
+   * Convert an analyzer diagnostic to a Monaco marker
+   * Diagnostics without an end mark the word at their position, or the rest
+   * of the line.
+   *
+   * @param {Object} diagnostic - Diagnostic of PythonLanguageService.diagnostics()
+   * @param {Object} model - Monaco text model it belongs to
+   * @param {Object} monaco - Monaco API
+   * @returns {Object} Marker data
+   */
+  static toMarker(diagnostic, model, monaco) {
+    const lineCount = model.getLineCount();
+    const line = Math.min(Math.max(diagnostic.line, 1), lineCount);
+    const startColumn = Math.min(diagnostic.column + 1, model.getLineMaxColumn(line));
+
+    let endLine = Math.min(diagnostic.endLine ?? line, lineCount);
+    let endColumn = diagnostic.endColumn != null ? diagnostic.endColumn + 1 : null;
+    if (endColumn === null || endLine < line || (endLine === line && endColumn <= startColumn)) {
+      const word = model.getWordAtPosition({ lineNumber: line, column: startColumn });
+      endLine = line;
+      endColumn = word ? word.endColumn : model.getLineMaxColumn(line);
+    }
+
+    return {
+      severity: diagnostic.severity === 'error' ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+      message: diagnostic.message,
+      source: 'python',
+      startLineNumber: line,
+      startColumn,
+      endLineNumber: endLine,
+      endColumn,
+      tags: diagnostic.unnecessary ? [monaco.MarkerTag.Unnecessary] : [],
+    };
+  }
+
+  /**
+   * Dispose of the providers and the analyzer
+   */
+  dispose() {
+    this.disable();
+  }
+}
@@ -0,0 +1,366 @@
+/**
+ * ResultGrid - Interactive grid of SQL query results in the output panel
+ *
+ * Features:
+ * - One tab per statement that returned rows
+ * - Sort by a column (click its header), filter rows by the text of any cell
+ * - Column types in the headers, NULLs shown apart from the text 'NULL'
+ * - Pages of PAGE_SIZE rows; only the rows scrolled into view are rendered
+ * - Export the filtered, sorted rows as CSV, JSON, INSERT statements or
+ *   (DuckDB) Parquet
+ */
+
+import ResultSet from '../../runtimes/databases/ResultSet.js';
+import { escapeHtml } from '../../utils/html.js';
+
+// Rows per page
+const PAGE_SIZE = 1000;
+
+// Height of a row in pixels (see .result-grid-table in main.css)
+const ROW_HEIGHT = 24;
+
+// Height assumed for the scroll area before it is laid out
+const VIEWPORT_HEIGHT = 360;
+
+// Rows rendered above and below the visible ones
+const OVERSCAN = 10;
+
+// File name extension, MIME type and label of each export format
+const EXPORTS = {
+  csv: { extension: 'csv', type: 'text/csv;charset=utf-8', label: 'CSV' },
+  json: { extension: 'json', type: 'application/json;charset=utf-8', label: 'JSON' },
+  insert: { extension: 'sql', type: 'application/sql;charset=utf-8', label: 'INSERT statements' },
+  parquet: { extension: 'parquet', type: 'application/vnd.apache.parquet', label: 'Parquet' },
+};
+
+/**
+ * Save data as a file through the browser
+ *
+ * @param {string|Uint8Array} content - File content
+ * @param {string} fileName - File name
+ * @param {string} type - MIME type
+ */
+function download(content, fileName, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.style.display = 'none';
+
+  document.body.appendChild(a);
+  a.click();
+
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
+}
+
+export default class ResultGrid {
+  /**
+   * @param {{dialect: string, exportFormats: Array<string>, results: Array<Object>}} data -
+   *   Result sets of a run (see ResultSet)
+   * @param {Object} [options] - Configuration options
+   * @param {Function} [options.exportParquet] - async (result, rows) => Uint8Array, writes rows
+   *   of a result set to a Parquet file; without it Parquet is not offered
+   */
+  constructor(data, options = {}) {
+    this.dialect = data.dialect || 'sqlite';
+    this.results = data.results || [];
+    this.exportParquet = options.exportParquet || null;
+    this.exportFormats = (data.exportFormats || ['csv', 'json', 'insert'])
+      .filter(format => EXPORTS[format] && (format !== 'parquet' || this.exportParquet));
+
+    this.activeIndex = 0;
+    this.views = this.results.map(() => ({ filter: '', sortColumn: null, descending: false, page: 0 }));
+    this.rows = []; // Filtered, sorted rows of the active result
+
+    this.element = document.createElement('div');
+    this.element.className = 'result-grid';
+    this.render();
+    this.attachEventListeners();
+    this.showResult(0);
+  }
+
+  /**
+   * Render the grid UI
+   *
+   * @private
+   */
+  render() {
+    const tabs = this.results.length > 1
+      ? `<div class="result-grid-tabs" role="tablist">${this.results.map((result, index) => `
+          <button class="result-grid-tab" role="tab" data-index="${index}" title="${escapeHtml(result.sql)}">
+            Result ${index + 1} <span class="result-grid-tab-count">(${result.values.length})</span>
+          </button>`).join('')}
+        </div>`
+      : '';
+
+    this.element.innerHTML = `
+      ${tabs}
+      <div class="result-grid-toolbar">
+        <input type="search" class="result-grid-filter" placeholder="Filter rows" aria-label="Filter rows" />
+        <span class="result-grid-status"></span>
+        <span class="result-grid-pager">
+          <button class="result-grid-page-button" data-page="-1" title="Previous page" aria-label="Previous page">‹</button>
+          <span class="result-grid-page"></span>
+          <button class="result-grid-page-button" data-page="1" title="Next page" aria-label="Next page">›</button>
+        </span>
+        <select class="result-grid-export" aria-label="Export rows">
+          <option value="">Export…</option>
+          ${this.exportFormats.map(format => `<option value="${format}">${EXPORTS[format].label}</option>`).join('')}
+        </select>
+      </div>
+      <div class="result-grid-viewport">
+        <table class="result-grid-table">
+          <colgroup></colgroup>
+          <thead><tr></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `;
+
+    this.viewport = this.element.querySelector('.result-grid-viewport');
+    this.filterInput = this.element.querySelector('.result-grid-filter');
+  }
+
+  /**
+   * Attach event listeners
+   *
+   * @private
+   */
+  attachEventListeners() {
+    this.element.querySelector('.result-grid-tabs')?.addEventListener('click', (e) => {
+      const tab = e.target.closest('.result-grid-tab');
+      if (tab) this.showResult(Number(tab.dataset.index));
+    });
+
+    this.filterInput.addEventListener('input', () => {
+      const view = this.views[this.activeIndex];
+      view.filter = this.filterInput.value;
+      view.page = 0;
+      this.updateRows();
+    });
+
+    const header = this.element.querySelector('thead tr');
+    header.addEventListener('click', (e) => {
+      const cell = e.target.closest('th');
+      if (cell) this.sortBy(Number(cell.dataset.column));
+    });
+    header.addEventListener('keydown', (e) => {
+      const cell = e.target.closest('th');
+      if (cell && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        this.sortBy(Number(cell.dataset.column));
+      }
+    });
+
+    this.element.querySelector('.result-grid-pager').addEventListener('click', (e) => {
+      const button = e.target.closest('.result-grid-page-button');
+      if (button) this.setPage(this.views[this.activeIndex].page + Number(button.dataset.page));
+    });
+
+    const exportSelect = this.element.querySelector('.result-grid-export');
+    exportSelect.addEventListener('change', () => {
+      const format = exportSelect.value;
+      exportSelect.value = '';
+      if (format) this.export(format);
+    });
+
+    this.viewport.addEventListener('scroll', () => this.renderRows());
+  }
+
+  /**
+   * Show one of the result sets
+   *
+   * @param {number} index - Result set index
+   */
+  showResult(index) {
+    const result = this.results[index];
+    if (!result) return;
+
+    this.activeIndex = index;
+    this.element.querySelectorAll('.result-grid-tab').forEach((tab) => {
+      const selected = Number(tab.dataset.index) === index;
+      tab.classList.toggle('active', selected);
+      tab.setAttribute('aria-selected', String(selected));
+    });
+
+    this.filterInput.value = this.views[index].filter;
+    this.renderHeader();
+    this.updateRows();
+  }
+
+  /**
+   * Render the column headers and widths of the active result set
+   *
+   * @private
+   */
+  renderHeader() {
+    const result = this.results[this.activeIndex];
+    const view = this.views[this.activeIndex];
+
+    // Fixed widths keep columns still while rows are swapped during scrolling
+    const sample = result.values.slice(0, 100);
+    this.element.querySelector('colgroup').innerHTML = result.columns.map((column, index) => {
+      const longest = Math.max(
+        column.length,
+        (result.types[index] || '').length,
+        ...sample.map(row => (ResultSet.isNull(row[index]) ? 4 : ResultSet.formatValue(row[index]).length)),
+      );
+      return `<col style="width: ${Math.min(Math.max(longest * 8 + 24, 80), 320)}px" />`;
+    }).join('');
+
+    this.element.querySelector('thead tr').innerHTML = result.columns.map((column, index) => {
+      const sort = view.sortColumn === index
+        ? ` aria-sort="${view.descending ? 'descending' : 'ascending'}"`
+        : '';
+      const type = result.types[index] || '';
+      return `
+        <th scope="col" tabindex="0" data-column="${index}"${sort} title="${escapeHtml(type ? `${column} (${type})` : column)}">
+          <span class="result-grid-column">${escapeHtml(column)}</span>
+          <span class="result-grid-type">${escapeHtml(type)}</span>
+        </th>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Sort the active result set by a column; sorting by it again reverses
+   * the order
+   *
+   * @param {number} column - Column index
+   */
+  sortBy(column) {
+    const view = this.views[this.activeIndex];
+    view.descending = view.sortColumn === column ? !view.descending : false;
+    view.sortColumn = column;
+    view.page = 0;
+
+    this.renderHeader();
+    this.updateRows();
+  }
+
+  /**
+   * Go to a page of the active result set
+   *
+   * @param {number} page - 0-based page
+   */
+  setPage(page) {
+    const view = this.views[this.activeIndex];
+    const pages = Math.max(1, Math.ceil(this.rows.length / PAGE_SIZE));
+    view.page = Math.min(Math.max(page, 0), pages - 1);
+
+    this.updateStatus();
+    this.viewport.scrollTop = 0;
+    this.renderRows();
+  }
+
+  /**
+   * Filter and sort the active result set's rows, then show them
+   *
+   * @private
+   */
+  updateRows() {
+    const result = this.results[this.activeIndex];
+    this.rows = ResultSet.view(result.values, this.views[this.activeIndex]);
+
+    this.updateStatus();
+    this.viewport.scrollTop = 0;
+    this.renderRows();
+  }
+
+  /**
+   * Show the row count and the page
+   *
+   * @private
+   */
+  updateStatus() {
+    const total = this.results[this.activeIndex].values.length;
+    const { page } = this.views[this.activeIndex];
+
+    this.element.querySelector('.result-grid-status').textContent = this.rows.length === total
+      ? `${total.toLocaleString()} row${total === 1 ? '' : 's'}`
+      : `${this.rows.length.toLocaleString()} of ${total.toLocaleString()} rows`;
+
+    const pager = this.element.querySelector('.result-grid-pager');
+    pager.hidden = this.rows.length <= PAGE_SIZE;
+
+    const first = page * PAGE_SIZE;
+    const last = Math.min(first + PAGE_SIZE, this.rows.length);
+    this.element.querySelector('.result-grid-page').textContent = `${(first + 1).toLocaleString()}–${last.toLocaleString()}`;
+
+    const [previous, next] = pager.querySelectorAll('.result-grid-page-button');
+    previous.disabled = page === 0;
+    next.disabled = last >= this.rows.length;
+  }
+
+  /**
+   * Render the rows of the current page that are scrolled into view, with
+   * spacers standing in for the others
+   *
+   * @private
+   */
+  renderRows() {
+    const result = this.results[this.activeIndex];
+    const { page } = this.views[this.activeIndex];
+    const pageRows = this.rows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+    const tbody = this.element.querySelector('tbody');
+    const columnCount = Math.max(result.columns.length, 1);
+
+    if (pageRows.length === 0) {
+      tbody.innerHTML = `<tr><td class="result-grid-empty" colspan="${columnCount}">${
+        result.values.length === 0 ? 'No rows' : 'No rows match the filter'
+      }</td></tr>`;
+      return;
+    }
+
+    const height = this.viewport.clientHeight || VIEWPORT_HEIGHT;
+    const start = Math.max(0, Math.floor(this.viewport.scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const end = Math.min(pageRows.length, start + Math.ceil(height / ROW_HEIGHT) + OVERSCAN * 2);
+
+    const numeric = result.types.map(type => /INT|REAL|FLOAT|DOUBLE|DECIMAL|NUMERIC|NUMBER/i.test(type || ''));
+    const spacer = (rows) => (rows > 0
+      ? `<tr class="result-grid-spacer" style="height: ${rows * ROW_HEIGHT}px"><td colspan="${columnCount}"></td></tr>`
+      : '');
+
+    tbody.innerHTML = spacer(start) + pageRows.slice(start, end).map(row => `<tr>${row.map((value, index) => {
+      if (ResultSet.isNull(value)) return '<td class="result-grid-null">NULL</td>';
+      const text = escapeHtml(ResultSet.formatValue(value));
+      return `<td${numeric[index] ? ' class="result-grid-number"' : ''} title="${text}">${text}</td>`;
+    }).join('')}</tr>`).join('') + spacer(pageRows.length - end);
+  }
+
+  /**
+   * Download the filtered, sorted rows of the active result set
+   *
+   * @param {string} format - 'csv', 'json', 'insert' or 'parquet'
+   * @returns {Promise<void>}
+   */
+  async export(format) {
+    const result = this.results[this.activeIndex];
+    const { extension, type } = EXPORTS[format];
+    const fileName = `${ResultSet.getTableName(result.sql)}.${extension}`;
+    const status = this.element.querySelector('.result-grid-status');
+
+    try {
+      let content;
+      if (format === 'csv') {
+        content = ResultSet.toCSV(result, this.rows);
+      } else if (format === 'json') {
+        content = ResultSet.toJSON(result, this.rows);
+      } else if (format === 'insert') {
+        content = ResultSet.toInsertScript(result, { dialect: this.dialect, values: this.rows });
+      } else {
+        status.textContent = 'Exporting…';
+        content = await this.exportParquet(result, this.rows);
+        this.updateStatus();
+      }
+
+      download(content, fileName, type);
+    } catch (error) {
+      console.error('Failed to export query result:', error);
+      status.textContent = `Export failed: ${error.message}`;
+    }
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * SQLCompletion - Monaco completion of the live database's names in SQL
+ *
+ * Suggests the tables, views and columns of each database runtime's schema
+ * (see DatabaseSchema.getCompletions()): a table's columns after `table.` or
+ * `alias.`, and otherwise the tables and the columns of the tables the
+ * statement names. Schemas are passed in whenever a runtime's is read.
+ */
+
+import DatabaseSchema from '../../runtimes/databases/DatabaseSchema.js';
+
+// Monaco language ids of SQL (see Editor.getMonacoLanguageId), and the runtime
+// whose schema a model is completed from when its file's runtime is unknown
+const SQL_LANGUAGES = {
+  sql: 'sqlite',
+  pgsql: 'postgresql',
+  mysql: 'mysql',
+};
+
+// Monaco completion item kinds of schema objects
+const ITEM_KINDS = {
+  table: 'Struct',
+  view: 'Interface',
+  column: 'Field',
+  schema: 'Module',
+};
+
+export default class SQLCompletion {
+  /**
+   * @param {Object} monaco - Monaco API
+   * @param {Object} [options] - Configuration options
+   * @param {Function} [options.getLanguage] - (model) => string|null, the runtime language of a
+   *   model's file (e.g. 'duckdb' for a model Monaco knows as 'sql')
+   */
+  constructor(monaco, options = {}) {
+    this.monaco = monaco;
+    this.getLanguage = options.getLanguage || (() => null);
+
+    this.schemas = new Map(); // Runtime language -> schema
+    this.disposables = [];
+  }
+
+  /**
+   * Register the completion providers
+   */
+  enable() {
+    if (this.disposables.length > 0) return;
+
+    this.disposables = Object.keys(SQL_LANGUAGES).map(
+      (languageId) => this.monaco.languages.registerCompletionItemProvider(languageId, {
+        triggerCharacters: ['.'],
+        provideCompletionItems: (model, position) => this.provideCompletionItems(model, position),
+      }),
+    );
+  }
+
+  /**
+   * Remove the completion providers
+   */
+  disable() {
+    this.disposables.forEach((disposable) => disposable.dispose());
+    this.disposables = [];
+  }
+
+  /**
+   * Set the schema a runtime's SQL is completed from
+   *
+   * @param {string} language - Runtime language ('sqlite', 'duckdb', 'postgresql' or 'mysql')
+   * @param {{tables: Array<Object>}|null} schema - Schema (see DatabaseSchema), or null to forget it
+   */
+  setSchema(language, schema) {
+    if (schema) {
+      this.schemas.set(language, schema);
+    } else {
+      this.schemas.delete(language);
+    }
+  }
+
+  /**
+   * Suggest names at a position
+   *
+   * @private
+   * @param {Object} model - Monaco text model
+   * @param {{lineNumber: number, column: number}} position - Cursor position
+   * @returns {{suggestions: Array<Object>}}
+   */
+  provideCompletionItems(model, position) {
+    const language = this.getLanguage(model) || SQL_LANGUAGES[model.getLanguageId()];
+    const schema = this.schemas.get(language);
+    if (!schema) return { suggestions: [] };
+
+    const word = model.getWordUntilPosition(position);
+    const range = {
+      startLineNumber: position.lineNumber,
+      endLineNumber: position.lineNumber,
+      startColumn: word.startColumn,
+      endColumn: word.endColumn,
+    };
+
+    const { CompletionItemKind } = this.monaco.languages;
+    const items = DatabaseSchema.getCompletions(schema, model.getValue(), model.getOffsetAt(position), language);
+
+    return {
+      suggestions: items.map((item) => ({
+        label: item.label,
+        kind: CompletionItemKind[ITEM_KINDS[item.kind]],
+        detail: item.detail,
+        insertText: item.insertText,
+        sortText: `${item.sortText}${item.label}`,
+        range,
+      })),
+    };
+  }
+
+  /**
+   * Remove the completion providers
+   */
+  dispose() {
+    this.disable();
+    this.schemas.clear();
+  }
+}
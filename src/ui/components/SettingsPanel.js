@@ -15,7 +15,8 @@ export default class SettingsPanel {
       initialSettings: config.initialSettings || this.getDefaultSettings(),
     };
 
-    this.settings = { ...this.config.initialSettings };
+    // Sections added since the settings were saved get their defaults
+    this.settings = { ...this.getDefaultSettings(), ...this.config.initialSettings };
     this.modal = null;
     this.activeTab = 'editor';
   }
@@ -35,6 +36,8 @@ export default class SettingsPanel {
         wordWrap: 'off',
         cursorStyle: 'line',
         renderWhitespace: 'none',
+        pythonIntelliSense: true,
+        liveValidation: true,
       },
 
       // Runtime settings
@@ -58,10 +61,18 @@ export default class SettingsPanel {
       // File settings
       files: {
         autoSave: true,
+        formatOnSave: false,
         defaultLanguage: 'javascript',
         confirmBeforeClose: true,
         rememberOpenFiles: true,
       },
+
+      // Git settings
+      git: {
+        authorName: '',
+        authorEmail: '',
+        corsProxy: '', // None: pushes go straight to the Git host
+      },
     };
   }
 
@@ -120,6 +131,9 @@ export default class SettingsPanel {
             <button class="settings-tab ${this.activeTab === 'files' ? 'active' : ''}" data-tab="files">
               📁 Files
             </button>
+            <button class="settings-tab ${this.activeTab === 'git' ? 'active' : ''}" data-tab="git">
+              🔀 Git
+            </button>
             <button class="settings-tab ${this.activeTab === 'about' ? 'active' : ''}" data-tab="about">
               ℹ️ About
             </button>
@@ -157,6 +171,8 @@ export default class SettingsPanel {
         return this.renderUISettings();
       case 'files':
         return this.renderFileSettings();
+      case 'git':
+        return this.renderGitSettings();
       case 'about':
         return this.renderAbout();
       default:
@@ -286,6 +302,36 @@ export default class SettingsPanel {
           </div>
           <p class="setting-description">Show whitespace characters</p>
         </div>
+
+        <div class="setting-item">
+          <label class="setting-label">Python IntelliSense</label>
+          <div class="setting-control">
+            <label class="setting-checkbox">
+              <input
+                type="checkbox"
+                id="setting-python-intellisense"
+                ${this.settings.editor.pythonIntelliSense !== false ? 'checked' : ''}
+              />
+              <span class="checkbox-label">Completions, docs and error checking for Python</span>
+            </label>
+          </div>
+          <p class="setting-description">Analyzes code with Jedi in a background worker (a second Pyodide download)</p>
+        </div>
+
+        <div class="setting-item">
+          <label class="setting-label">Validate As You Type</label>
+          <div class="setting-control">
+            <label class="setting-checkbox">
+              <input
+                type="checkbox"
+                id="setting-live-validation"
+                ${this.settings.editor.liveValidation !== false ? 'checked' : ''}
+              />
+              <span class="checkbox-label">Mark errors in JSON, YAML, XML, HTML and CSS while editing</span>
+            </label>
+          </div>
+          <p class="setting-description">JSON and YAML files are also checked against their JSON Schema (right-click a file → JSON Schema…)</p>
+        </div>
       </div>
     `;
   }
@@ -475,6 +521,21 @@ export default class SettingsPanel {
           </div>
         </div>
 
+        <div class="setting-item">
+          <label class="setting-label">Format On Save</label>
+          <div class="setting-control">
+            <label class="setting-checkbox">
+              <input
+                type="checkbox"
+                id="setting-format-on-save"
+                ${this.settings.files.formatOnSave ? 'checked' : ''}
+              />
+              <span class="checkbox-label">Format files when you save them</span>
+            </label>
+          </div>
+          <p class="setting-description">Prettier, SQL formatter or black, by language. Auto-save does not format.</p>
+        </div>
+
         <div class="setting-item">
           <label class="setting-label">Default Language</label>
           <div class="setting-control">
@@ -523,6 +584,75 @@ export default class SettingsPanel {
     `;
   }
 
+  /**
+   * Render Git settings
+   */
+  renderGitSettings() {
+    return `
+      <div class="settings-section">
+        <h3 class="settings-section-title">Commit Author</h3>
+
+        <div class="setting-item">
+          <label class="setting-label">Name</label>
+          <div class="setting-control">
+            <input
+              type="text"
+              id="setting-git-author-name"
+              class="setting-input"
+              value="${this.escapeAttribute(this.settings.git.authorName)}"
+              placeholder="Your Name"
+              autocomplete="name"
+            />
+          </div>
+        </div>
+
+        <div class="setting-item">
+          <label class="setting-label">Email</label>
+          <div class="setting-control">
+            <input
+              type="email"
+              id="setting-git-author-email"
+              class="setting-input"
+              value="${this.escapeAttribute(this.settings.git.authorEmail)}"
+              placeholder="you@example.com"
+              autocomplete="email"
+            />
+          </div>
+          <p class="setting-description">Commits made in Source Control use this name and email</p>
+        </div>
+      </div>
+
+      <div class="settings-section">
+        <h3 class="settings-section-title">Network</h3>
+
+        <div class="setting-item">
+          <label class="setting-label">CORS Proxy</label>
+          <div class="setting-control">
+            <input
+              type="url"
+              id="setting-git-cors-proxy"
+              class="setting-input"
+              value="${this.escapeAttribute(this.settings.git.corsProxy || '')}"
+              placeholder="https://proxy.example.com"
+            />
+          </div>
+          <p class="setting-description">
+            Needed to push to hosts such as GitHub that block browser requests. Your access token passes
+            through it, so use a proxy you run or trust. Without one, public repositories are read through
+            cors.isomorphic-git.org and pushes go straight to the host.
+          </p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Escape text for an HTML attribute
+   */
+  escapeAttribute(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
   /**
    * Render about section
    */
@@ -671,6 +801,8 @@ export default class SettingsPanel {
         wordWrap: document.getElementById('setting-word-wrap')?.value || 'off',
         cursorStyle: document.getElementById('setting-cursor-style')?.value || 'line',
         renderWhitespace: document.getElementById('setting-whitespace')?.value || 'none',
+        pythonIntelliSense: document.getElementById('setting-python-intellisense')?.checked ?? true,
+        liveValidation: document.getElementById('setting-live-validation')?.checked ?? true,
       },
       runtime: {
         autoRun: document.getElementById('setting-auto-run')?.checked ?? false,
@@ -688,10 +820,16 @@ export default class SettingsPanel {
       },
       files: {
         autoSave: document.getElementById('setting-auto-save')?.checked ?? true,
+        formatOnSave: document.getElementById('setting-format-on-save')?.checked ?? false,
         defaultLanguage: document.getElementById('setting-default-language')?.value || 'javascript',
         confirmBeforeClose: document.getElementById('setting-confirm-close')?.checked ?? true,
         rememberOpenFiles: document.getElementById('setting-remember-files')?.checked ?? true,
       },
+      git: {
+        authorName: document.getElementById('setting-git-author-name')?.value.trim() ?? this.settings.git.authorName,
+        authorEmail: document.getElementById('setting-git-author-email')?.value.trim() ?? this.settings.git.authorEmail,
+        corsProxy: document.getElementById('setting-git-cors-proxy')?.value.trim() ?? this.settings.git.corsProxy,
+      },
     };
 
     return newSettings;
@@ -0,0 +1,281 @@
+/**
+ * SourceControlPanel - Source Control sidebar for cloned repositories
+ *
+ * Features:
+ * - Changed files of a repository against HEAD
+ * - Click a file to open a side-by-side diff with per-hunk revert
+ * - Opens the Git panel for staging, commits, branches and push
+ */
+
+import FileManager from '../../storage/FileManager.js';
+import LineDiff from '../../storage/LineDiff.js';
+import DiffDialog from './DiffDialog.js';
+import { escapeHtml } from '../../utils/html.js';
+
+const STATUS_LETTERS = {
+  modified: 'M',
+  added: 'A',
+  deleted: 'D',
+};
+
+export default class SourceControlPanel {
+  /**
+   * @param {HTMLElement} container - DOM container for the sidebar
+   * @param {Object} options - Configuration options
+   * @param {GitManager} options.gitManager - Git operations
+   * @param {FileManager} options.fileManager - File storage, listing the cloned repositories
+   * @param {Editor} options.editor - The IDE's editor, whose Monaco instance renders diffs
+   * @param {Toast} options.toast - Notifications
+   * @param {Function} options.onBeforeSync - () => Promise, saves open edits before Git reads the files
+   * @param {Function} options.onFilesChanged - ({updated, deleted}) => Promise, called when a
+   *   revert changed saved files
+   * @param {Function} options.onOpenGitPanel - (repository) => void, opens the Git panel
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.gitManager = options.gitManager;
+    this.fileManager = options.fileManager;
+    this.toast = options.toast;
+    this.onBeforeSync = options.onBeforeSync || (async () => {});
+    this.onFilesChanged = options.onFilesChanged || (async () => {});
+    this.onOpenGitPanel = options.onOpenGitPanel || (() => {});
+
+    this.diffDialog = new DiffDialog(options.editor);
+    this.isVisible = false;
+    this.repository = null;
+    this.changes = [];
+  }
+
+  /**
+   * Initialize the sidebar (hidden until shown)
+   */
+  init() {
+    this.render();
+    this.attachEventListeners();
+    this.diffDialog.init();
+  }
+
+  /**
+   * Render the sidebar UI
+   */
+  render() {
+    this.container.innerHTML = `
+      <div class="source-control hidden">
+        <div class="file-explorer-header">
+          <h3 class="file-explorer-title">Source Control</h3>
+          <div class="file-explorer-actions">
+            <button class="btn-icon" id="source-control-git" title="Commit, branches and push">🔀</button>
+            <button class="btn-icon" id="source-control-refresh" title="Refresh">🔄</button>
+            <button class="btn-icon" id="source-control-close" title="Close">×</button>
+          </div>
+        </div>
+
+        <div class="source-control-repo">
+          <select id="source-control-repo-select" title="Repository"></select>
+        </div>
+
+        <div class="source-control-list" id="source-control-list"></div>
+      </div>
+    `;
+
+    this.element = this.container.querySelector('.source-control');
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.element.querySelector('#source-control-git').addEventListener('click', () => {
+      this.onOpenGitPanel(this.repository);
+    });
+    this.element.querySelector('#source-control-refresh').addEventListener('click', () => this.refresh());
+    this.element.querySelector('#source-control-close').addEventListener('click', () => this.hide());
+
+    this.element.querySelector('#source-control-repo-select').addEventListener('change', (e) => {
+      this.repository = e.target.value || null;
+      this.refresh();
+    });
+
+    // Open a changed file's diff
+    this.element.querySelector('#source-control-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.source-control-item');
+      if (item) {
+        const change = this.changes.find(entry => entry.path === item.getAttribute('data-path'));
+        if (change) this.openDiff(change);
+      }
+    });
+  }
+
+  /**
+   * Show the sidebar
+   *
+   * @param {string} [repository] - Repository to show (defaults to the last one shown)
+   */
+  async show(repository) {
+    this.element.classList.remove('hidden');
+    this.isVisible = true;
+
+    const projects = (await this.fileManager.getProjects()).filter(project => project.gitUrl);
+    const names = projects.map(project => project.name);
+    this.repository = [repository, this.repository, names[0]].find(name => name && names.includes(name)) || null;
+
+    this.element.querySelector('#source-control-repo-select').innerHTML = projects.length
+      ? projects.map(project => `
+        <option value="${escapeHtml(project.name)}" ${project.name === this.repository ? 'selected' : ''}>
+          📦 ${escapeHtml(project.name)}
+        </option>
+      `).join('')
+      : '<option value="">No cloned repositories</option>';
+
+    await this.refresh();
+  }
+
+  /**
+   * Hide the sidebar
+   */
+  hide() {
+    this.element.classList.add('hidden');
+    this.isVisible = false;
+  }
+
+  /**
+   * Show or hide the sidebar
+   *
+   * @param {string} [repository] - Repository to show when opening
+   */
+  async toggle(repository) {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      await this.show(repository);
+    }
+  }
+
+  /**
+   * Reload the changed files of the selected repository
+   */
+  async refresh() {
+    const listEl = this.element.querySelector('#source-control-list');
+
+    if (!this.repository) {
+      this.changes = [];
+      this.renderChanges();
+      return;
+    }
+
+    try {
+      await this.onBeforeSync();
+      this.changes = await this.gitManager.status(this.repository);
+      this.renderChanges();
+    } catch (error) {
+      console.error('[SourceControlPanel] Failed to read changes:', error);
+      this.changes = [];
+      listEl.innerHTML = `<div class="empty-state">${escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  /**
+   * Render the changed files
+   */
+  renderChanges() {
+    const listEl = this.element.querySelector('#source-control-list');
+
+    if (this.changes.length === 0) {
+      listEl.innerHTML = `<div class="empty-state">${this.repository ? 'No changes' : 'Clone a repository to track changes'}</div>`;
+      return;
+    }
+
+    listEl.innerHTML = this.changes.map((change) => {
+      const name = change.path.split('/').pop();
+      const directory = change.path.slice(0, -name.length - 1);
+
+      return `
+        <div class="source-control-item" data-path="${escapeHtml(change.path)}" title="${escapeHtml(change.path)} • ${change.status}">
+          <span class="source-control-name">${escapeHtml(name)}</span>
+          <span class="source-control-dir">${escapeHtml(directory)}</span>
+          <span class="git-change-status git-change-${change.status}">${STATUS_LETTERS[change.status]}</span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Open the diff of a changed file against HEAD
+   *
+   * @param {{path: string, status: string}} change - Changed file
+   */
+  async openDiff(change) {
+    const repository = this.repository;
+
+    try {
+      await this.onBeforeSync();
+      const project = await this.fileManager.getProjectByName(repository);
+      const entry = await this.fileManager.stat(change.path, { projectId: project.id });
+      const file = entry && entry.type === 'file' ? entry.file : null;
+      const modified = file ? file.content : '';
+      const original = (await this.gitManager.readHeadFile(repository, change.path)) ?? '';
+
+      if (typeof modified !== 'string' || typeof original !== 'string') {
+        this.toast.info(`${change.path} is a binary file`);
+        return;
+      }
+
+      this.diffDialog.open({
+        title: `${change.path} (${change.status})`,
+        language: file ? file.language : FileManager.detectLanguage(change.path),
+        original,
+        modified,
+        onRevertHunk: (hunk, originalText, modifiedText) => this.revertHunk(repository, project.id, change.path, {
+          hunk,
+          original: originalText,
+          modified: modifiedText,
+        }),
+      });
+    } catch (error) {
+      console.error('[SourceControlPanel] Failed to open diff:', error);
+      this.toast.error(error.message);
+    }
+  }
+
+  /**
+   * Put one hunk of a file back as it is in HEAD
+   *
+   * @param {string} repository - Repository name
+   * @param {number} projectId - The repository's project
+   * @param {string} path - File path
+   * @param {{hunk: object, original: string, modified: string}} diff - The hunk and the texts it was computed from
+   * @returns {Promise<string|undefined>} The file's new text, or undefined if the revert failed
+   */
+  async revertHunk(repository, projectId, path, { hunk, original, modified }) {
+    try {
+      // Open edits were saved when the diff was opened; save any made since
+      await this.onBeforeSync();
+      const current = await this.fileManager.readFile(path, { projectId }).catch(() => '');
+      if (current !== modified) {
+        this.toast.warning(`${path} changed since the diff was opened; reopen it to revert`);
+        return undefined;
+      }
+
+      const content = LineDiff.revertHunk(original, modified, hunk);
+      const id = await this.fileManager.writeFile(path, content, { projectId, revision: 'revert' });
+      await this.onFilesChanged({ updated: [id], deleted: [] });
+
+      if (this.isVisible && this.repository === repository) {
+        await this.refresh();
+      }
+      return content;
+    } catch (error) {
+      console.error('[SourceControlPanel] Failed to revert:', error);
+      this.toast.error(error.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Dispose of the sidebar
+   */
+  dispose() {
+    this.diffDialog.dispose();
+    this.container.innerHTML = '';
+  }
+}
@@ -10,8 +10,12 @@
  * - New tab button
  * - Unsaved indicator
  * - Tab overflow handling
+ * - Drag tabs to another editor group
  */
 
+// dataTransfer type of a tab being dragged
+const TAB_DRAG_TYPE = 'application/x-drlee-tab';
+
 export default class TabBar {
   constructor(container) {
     this.container = container;
@@ -23,6 +27,7 @@ export default class TabBar {
     this.onTabCloseCallback = null;
     this.onNewTabCallback = null;
     this.onTabRenameCallback = null;
+    this.onAllTabsClosedCallback = null;
 
     this.init();
   }
@@ -33,15 +38,15 @@ export default class TabBar {
   init() {
     this.container.innerHTML = `
       <div class="tab-bar-wrapper">
-        <div class="tab-list" id="tab-list"></div>
-        <button class="btn-new-tab" id="btn-new-tab" title="New file (Ctrl+N)">
+        <div class="tab-list"></div>
+        <button class="btn-new-tab" title="New file (Ctrl+N)">
           <span class="btn-icon">+</span>
         </button>
       </div>
     `;
 
     // Event listeners
-    const newTabBtn = this.container.querySelector('#btn-new-tab');
+    const newTabBtn = this.container.querySelector('.btn-new-tab');
     newTabBtn.addEventListener('click', () => {
       if (this.onNewTabCallback) {
         this.onNewTabCallback();
@@ -60,7 +65,7 @@ export default class TabBar {
    * @returns {HTMLElement} Tab element
    */
   addTab(file) {
-    const tabList = this.container.querySelector('#tab-list');
+    const tabList = this.container.querySelector('.tab-list');
     const tabId = file.id || `new-${Date.now()}`;
 
     // Don't add duplicate tabs
@@ -73,6 +78,7 @@ export default class TabBar {
     const tab = document.createElement('div');
     tab.className = 'tab';
     tab.dataset.tabId = tabId;
+    tab.draggable = true;
 
     const icon = this.getLanguageIcon(file.language);
     const unsavedIndicator = file.unsaved ? '<span class="unsaved-indicator">●</span>' : '';
@@ -105,6 +111,12 @@ export default class TabBar {
       }
     });
 
+    // Drag to another editor group
+    tab.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(TAB_DRAG_TYPE, JSON.stringify(tabId));
+      e.dataTransfer.effectAllowed = 'move';
+    });
+
     // Close button
     const closeBtn = tab.querySelector('.tab-close');
     closeBtn.addEventListener('click', (e) => {
@@ -170,14 +182,41 @@ export default class TabBar {
         }
       } else {
         this.activeTabId = null;
-        // Open new tab if all tabs are closed
-        if (this.onNewTabCallback) {
+        // Open new tab if all tabs are closed (or let the owner decide)
+        if (this.onAllTabsClosedCallback) {
+          this.onAllTabsClosedCallback();
+        } else if (this.onNewTabCallback) {
           this.onNewTabCallback();
         }
       }
     }
   }
 
+  /**
+   * Remove a tab without closing its file (it moves to another tab bar)
+   * The last remaining tab becomes active; no callbacks are called.
+   *
+   * @param {string|number} tabId - Tab ID
+   * @returns {object|null} The tab's file object, or null if there is no such tab
+   */
+  detachTab(tabId) {
+    const tabData = this.tabs.get(tabId);
+    if (!tabData) return null;
+
+    tabData.element.remove();
+    this.tabs.delete(tabId);
+
+    if (this.activeTabId === tabId) {
+      const remainingTabs = Array.from(this.tabs.keys());
+      this.activeTabId = null;
+      if (remainingTabs.length > 0) {
+        this.setActiveTab(remainingTabs[remainingTabs.length - 1]);
+      }
+    }
+
+    return tabData.file;
+  }
+
   /**
    * Set active tab
    *
@@ -386,7 +425,7 @@ export default class TabBar {
    * @param {HTMLElement} tabElement - Tab element
    */
   scrollTabIntoView(tabElement) {
-    const tabList = this.container.querySelector('#tab-list');
+    const tabList = this.container.querySelector('.tab-list');
     const tabRect = tabElement.getBoundingClientRect();
     const listRect = tabList.getBoundingClientRect();
 
@@ -460,6 +499,36 @@ export default class TabBar {
     this.onNewTabCallback = callback;
   }
 
+  /**
+   * Register callback for closing the last tab (instead of opening a new one)
+   *
+   * @param {Function} callback - Callback function
+   */
+  onAllTabsClosed(callback) {
+    this.onAllTabsClosedCallback = callback;
+  }
+
+  /**
+   * Check whether a drag carries a tab
+   *
+   * @param {DataTransfer} dataTransfer - Drag data
+   * @returns {boolean}
+   */
+  static isTabDrag(dataTransfer) {
+    return Array.from(dataTransfer.types).includes(TAB_DRAG_TYPE);
+  }
+
+  /**
+   * Get the ID of a dragged tab
+   *
+   * @param {DataTransfer} dataTransfer - Drop data
+   * @returns {string|number|null} Tab ID, or null if no tab was dropped
+   */
+  static getDraggedTabId(dataTransfer) {
+    const data = dataTransfer.getData(TAB_DRAG_TYPE);
+    return data ? JSON.parse(data) : null;
+  }
+
   /**
    * Register callback for tab rename
    *
@@ -154,6 +154,7 @@ export default class Toast {
    * @param {Object} [options] - Options
    * @param {string} [options.defaultValue=''] - Default input value
    * @param {string} [options.placeholder=''] - Input placeholder
+   * @param {Array<string>} [options.choices] - Values suggested while typing
    * @param {Function} [options.onConfirm] - Callback when confirmed
    * @param {Function} [options.onCancel] - Callback when cancelled
    * @returns {Promise<string|null>} Resolves to input value if confirmed, null if cancelled
@@ -163,6 +164,7 @@ export default class Toast {
       const {
         defaultValue = '',
         placeholder = '',
+        choices = [],
         onConfirm,
         onCancel,
       } = options;
@@ -177,6 +179,7 @@ export default class Toast {
         input: {
           value: defaultValue,
           placeholder,
+          choices,
           onChange: (value) => {
             inputValue = value;
           },
@@ -244,17 +247,24 @@ export default class Toast {
     html += `<div class="toast-body">`;
     html += `<div class="toast-message">${this.escapeHtml(message)}</div>`;
 
-    // Add input field if prompt
+    // Add input field if prompt, with its suggested values
     if (input) {
+      const choices = input.choices || [];
       html += `
         <input
           type="text"
           class="toast-input"
           value="${this.escapeHtml(input.value || '')}"
           placeholder="${this.escapeHtml(input.placeholder || '')}"
+          ${choices.length > 0 ? `list="toast-choices-${toastId}"` : ''}
           autocomplete="off"
         />
       `;
+      if (choices.length > 0) {
+        html += `<datalist id="toast-choices-${toastId}">`;
+        html += choices.map(choice => `<option value="${this.escapeHtml(choice)}"></option>`).join('');
+        html += '</datalist>';
+      }
     }
 
     // Add action buttons
@@ -0,0 +1,19 @@
+/**
+ * html.js
+ *
+ * Helpers for building HTML strings in UI components
+ */
+
+/**
+ * Escape text for HTML, in element content and in double-quoted attributes
+ *
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -96,6 +96,36 @@ describe('BaseRuntime', () => {
     });
   });
 
+  describe('display()', () => {
+    it('should send rich outputs with their MIME type after held stdout', () => {
+      const callback = vi.fn();
+      runtime.onOutput(callback);
+
+      runtime.writeStdout('Plot:');
+      runtime.display('image/png', 'iVBORw0KGgo=', { alt: 'Plot' });
+
+      expect(callback.mock.calls).toEqual([
+        ['Plot:', 'stdout'],
+        ['iVBORw0KGgo=', 'image/png', { alt: 'Plot' }],
+      ]);
+    });
+
+    it('should send tables as data', () => {
+      const callback = vi.fn();
+      runtime.onOutput(callback);
+      const table = { schema: { fields: [{ name: 'id', type: 'integer' }] }, data: [{ id: 1 }] };
+
+      runtime.display('application/vnd.table+json', table);
+
+      expect(callback).toHaveBeenCalledWith(table, 'application/vnd.table+json', {});
+    });
+
+    it('should reject unknown MIME types', () => {
+      expect(() => runtime.display('application/pdf', '')).toThrow('Unsupported output type');
+      expect(BaseRuntime.DISPLAY_TYPES).toContain('text/html');
+    });
+  });
+
   describe('state methods', () => {
     it('should return loaded state', () => {
       expect(runtime.isLoaded()).toBe(false);
@@ -118,6 +148,223 @@ describe('BaseRuntime', () => {
     });
   });
 
+  describe('cancellation', () => {
+    it('should report no interrupt support by default', () => {
+      expect(runtime.canInterrupt()).toBe(false);
+      expect(() => runtime.interrupt()).not.toThrow();
+    });
+
+    it('should report interrupt support when interrupt() is overridden', () => {
+      class InterruptibleRuntime extends TestRuntime {
+        interrupt() {}
+      }
+
+      expect(new InterruptibleRuntime().canInterrupt()).toBe(true);
+    });
+
+    it('should throw the abort reason from throwIfAborted()', () => {
+      const controller = new AbortController();
+      expect(() => runtime.throwIfAborted(controller.signal)).not.toThrow();
+      expect(() => runtime.throwIfAborted(undefined)).not.toThrow();
+
+      controller.abort(BaseRuntime.createTimeoutError(500));
+      expect(() => runtime.throwIfAborted(controller.signal)).toThrow('Execution timed out after 500ms');
+    });
+
+    it('should create recognizable cancellation errors', () => {
+      const abortError = BaseRuntime.createAbortError();
+      const timeoutError = BaseRuntime.createTimeoutError(1000);
+
+      expect(abortError.name).toBe('AbortError');
+      expect(timeoutError.name).toBe('TimeoutError');
+      expect(BaseRuntime.isCancellation(abortError)).toBe(true);
+      expect(BaseRuntime.isCancellation(timeoutError)).toBe(true);
+      expect(BaseRuntime.isCancellation(new Error('boom'))).toBe(false);
+    });
+  });
+
+  describe('diagnostics', () => {
+    it('should create diagnostics with defaults', () => {
+      expect(BaseRuntime.createDiagnostic('boom')).toEqual({
+        line: 1,
+        column: 1,
+        severity: 'error',
+        message: 'boom',
+        path: null,
+      });
+    });
+
+    it('should keep an end only when one is given', () => {
+      const diagnostic = BaseRuntime.createDiagnostic('unused', {
+        line: 3,
+        column: 5,
+        endColumn: 9,
+        severity: 'warning',
+        path: 'lib/util.py',
+      });
+
+      expect(diagnostic).toEqual({
+        line: 3,
+        column: 5,
+        endLine: 3,
+        endColumn: 9,
+        severity: 'warning',
+        message: 'unused',
+        path: 'lib/util.py',
+      });
+    });
+
+    it('should convert offsets to 1-based positions', () => {
+      const text = 'ab\ncd\n';
+
+      expect(BaseRuntime.positionAt(text, 0)).toEqual({ line: 1, column: 1 });
+      expect(BaseRuntime.positionAt(text, 4)).toEqual({ line: 2, column: 2 });
+      expect(BaseRuntime.positionAt(text, 6)).toEqual({ line: 3, column: 1 });
+    });
+  });
+
+  describe('stdin', () => {
+    it('should read pre-supplied lines before asking for input', async () => {
+      const inputCallback = vi.fn(async () => 'typed');
+      runtime.onInput(inputCallback);
+      runtime.setStdin('first\nsecond\n');
+
+      expect(await runtime.readLine()).toBe('first');
+      expect(runtime.readLineSync()).toBe('second');
+      expect(inputCallback).not.toHaveBeenCalled();
+
+      expect(await runtime.readLine('Name: ')).toBe('typed');
+      expect(inputCallback).toHaveBeenCalledWith('Name: ', { sync: false });
+    });
+
+    it('should ask synchronously from readLineSync()', () => {
+      const inputCallback = vi.fn(() => 'typed');
+      runtime.onInput(inputCallback);
+
+      expect(runtime.readLineSync('? ')).toBe('typed');
+      expect(inputCallback).toHaveBeenCalledWith('? ', { sync: true });
+    });
+
+    it('should return null at end of input', async () => {
+      expect(await runtime.readLine()).toBe(null);
+
+      runtime.onInput(() => null);
+      expect(await runtime.readLine()).toBe(null);
+      expect(runtime.readLineSync()).toBe(null);
+    });
+
+    it('should keep blank lines but not a trailing newline', async () => {
+      runtime.setStdin('a\r\n\nb\n');
+
+      expect(runtime.stdinLines).toEqual(['a', '', 'b']);
+    });
+
+    it('should use unterminated stdout as the input prompt', async () => {
+      const outputCallback = vi.fn();
+      const inputCallback = vi.fn(async () => 'Ada');
+      runtime.onOutput(outputCallback);
+      runtime.onInput(inputCallback);
+
+      runtime.writeStdout('Hello\nName: ');
+      expect(outputCallback).toHaveBeenCalledTimes(1);
+      expect(outputCallback).toHaveBeenCalledWith('Hello', 'stdout');
+
+      await runtime.readLine();
+      expect(inputCallback).toHaveBeenCalledWith('Name: ', { sync: false });
+    });
+
+    it('should echo the prompt when reading pre-supplied stdin', () => {
+      const outputCallback = vi.fn();
+      runtime.onOutput(outputCallback);
+      runtime.setStdin('Ada');
+
+      runtime.writeStdout('Name: ');
+      expect(runtime.readLineSync()).toBe('Ada');
+      expect(outputCallback).toHaveBeenCalledWith('Name: ', 'stdout');
+    });
+
+    it('should log held output on flushStdout()', () => {
+      const outputCallback = vi.fn();
+      runtime.onOutput(outputCallback);
+
+      runtime.writeStdout('no newline');
+      runtime.flushStdout();
+      runtime.flushStdout();
+
+      expect(outputCallback).toHaveBeenCalledTimes(1);
+      expect(outputCallback).toHaveBeenCalledWith('no newline', 'stdout');
+    });
+  });
+
+  describe('workspace', () => {
+    const adapter = () => {
+      const files = new Map();
+      return {
+        list: async () => new Map([...files].map(([path, text]) => [path.replace('/home/user/', ''), new TextEncoder().encode(text)])),
+        write: async (path, text) => { files.set(path, text); },
+        remove: async (path) => { files.delete(path); },
+        files,
+      };
+    };
+
+    it('should skip mounting without a file manager', async () => {
+      expect(await runtime.mountWorkspace(adapter())).toBeNull();
+    });
+
+    it('should mount the chosen folder and notify when a run changes files', async () => {
+      const fileManager = {
+        getAllFiles: vi.fn(async () => [
+          { id: 1, name: 'a/in.txt', content: 'x', language: 'markdown' },
+          { id: 2, name: 'b/other.txt', content: 'y', language: 'markdown' },
+        ]),
+        saveFile: vi.fn(async () => 3),
+        deleteFile: vi.fn(async () => {}),
+      };
+      const filesChanged = vi.fn();
+      const filesystem = adapter();
+      runtime.setFileManager(fileManager);
+      runtime.setWorkspaceFolder('a');
+      runtime.onFilesChanged(filesChanged);
+
+      const workspace = await runtime.mountWorkspace(filesystem);
+      expect([...filesystem.files.keys()]).toEqual(['/home/user/in.txt']);
+
+      filesystem.files.set('/home/user/out.txt', 'z');
+      await runtime.syncWorkspace(workspace, filesystem);
+
+      expect(fileManager.saveFile).toHaveBeenCalledWith({ name: 'a/out.txt', content: 'z', language: 'markdown' });
+      expect(filesChanged).toHaveBeenCalledTimes(1);
+    });
+
+    it('should find a project entry point among the mounted files', async () => {
+      runtime.setFileManager({
+        getAllFiles: vi.fn(async () => [
+          { id: 1, name: 'src/main.js', content: 'saved', language: 'javascript' },
+          { id: 2, name: 'src/util.js', content: 'export const a = 1;', language: 'javascript' },
+        ]),
+      });
+      const project = { entryPoint: 'src/main.js', sources: new Map([[1, 'edited']]) };
+
+      const workspace = await runtime.mountWorkspace(adapter(), project);
+      expect(runtime.getEntryPath(workspace, project)).toBe('/home/user/src/main.js');
+      expect(runtime.getEntryPath(workspace, { entryPoint: 'gone.js' })).toBeNull();
+      expect(runtime.getEntryPath(workspace, null)).toBeNull();
+
+      const files = await runtime.loadProjectFiles(project);
+      expect([...files]).toEqual([['src/main.js', 'edited'], ['src/util.js', 'export const a = 1;']]);
+      expect(await runtime.loadProjectFiles(null)).toBeNull();
+    });
+
+    it('should report mount failures and run without files', async () => {
+      const errorCallback = vi.fn();
+      runtime.onError(errorCallback);
+      runtime.setFileManager({ getAllFiles: vi.fn(async () => { throw new Error('blocked'); }) });
+
+      expect(await runtime.mountWorkspace(adapter())).toBeNull();
+      expect(errorCallback).toHaveBeenCalledWith('Could not load saved files: blocked', 'stderr');
+    });
+  });
+
   describe('dispose()', () => {
     it('should clean up runtime resources', async () => {
       runtime.loaded = true;
@@ -0,0 +1,73 @@
+/**
+ * BasicRuntime Unit Tests
+ *
+ * Tests for INPUT handling (wwwbasic itself is not loaded)
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import BasicRuntime from '../../src/runtimes/languages/BasicRuntime.js';
+
+describe('BasicRuntime', () => {
+  let runtime;
+
+  beforeEach(() => {
+    runtime = new BasicRuntime();
+  });
+
+  describe('rewriteInputStatements()', () => {
+    const describeStatement = ({ displayPrompt, variables }) => `<${displayPrompt}|${variables.join(',')}>`;
+
+    it('should find INPUT statements with and without prompts', () => {
+      const code = '10 INPUT "Name"; N$\n20 INPUT "Age: ", A\n30 INPUT X, Y';
+
+      expect(runtime.rewriteInputStatements(code, describeStatement)).toBe(
+        '10 <Name? |N$>\n20 <Age: |A>\n30 <? |X,Y>'
+      );
+    });
+
+    it('should find INPUT after a colon or THEN and stop at ELSE', () => {
+      const code = 'CLS: INPUT A\nIF A > 1 THEN INPUT "B"; B ELSE PRINT "no"';
+
+      expect(runtime.rewriteInputStatements(code, describeStatement)).toBe(
+        'CLS: <? |A>\nIF A > 1 THEN <B? |B> ELSE PRINT "no"'
+      );
+    });
+
+    it('should ignore INPUT inside string literals', () => {
+      const code = 'PRINT "Type: INPUT X"';
+
+      expect(runtime.rewriteInputStatements(code, describeStatement)).toBe(code);
+    });
+  });
+
+  describe('prepareInput()', () => {
+    it('should leave programs without INPUT unchanged', async () => {
+      const code = 'PRINT "hi"';
+
+      expect(await runtime.prepareInput(code)).toBe(code);
+    });
+
+    it('should turn pre-supplied stdin into DATA', async () => {
+      runtime.setStdin('Bob "B"\n41\n7\n');
+
+      const source = await runtime.prepareInput('INPUT "Name"; N$\nINPUT A');
+
+      expect(source).toBe(
+        'PRINT "Name? ": READ N$\nPRINT "? ": READ A\nDATA "Bob \'B\'", "41", "7"\n'
+      );
+    });
+
+    it('should ask once per INPUT variable when no stdin is supplied', async () => {
+      const inputCallback = vi.fn()
+        .mockResolvedValueOnce('Ada')
+        .mockResolvedValueOnce('1')
+        .mockResolvedValueOnce('2');
+      runtime.onInput(inputCallback);
+
+      const source = await runtime.prepareInput('INPUT "Name"; N$\nINPUT X, Y');
+
+      expect(inputCallback.mock.calls.map(([prompt]) => prompt)).toEqual(['Name? ', '? ', '?? ']);
+      expect(source).toBe('READ N$\nREAD X, Y\nDATA "Ada", "1", "2"\n');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * CodeFormatter Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import CodeFormatter from '../../src/runtimes/CodeFormatter.js';
+
+describe('CodeFormatter', () => {
+  it('should know which languages it can format', () => {
+    ['javascript', 'typescript', 'css', 'html', 'markdown', 'yaml', 'json'].forEach((language) => {
+      expect(CodeFormatter.getFormatterName(language)).toBe('prettier');
+    });
+    ['sqlite', 'duckdb', 'postgresql', 'mysql'].forEach((language) => {
+      expect(CodeFormatter.getFormatterName(language)).toBe('sql');
+    });
+    expect(CodeFormatter.getFormatterName('python')).toBe('python');
+    expect(CodeFormatter.canFormat('lua')).toBe(false);
+  });
+
+  it('should format JavaScript with Prettier', async () => {
+    const formatter = new CodeFormatter();
+
+    const formatted = await formatter.format('const x={a:1,b:[1,2]}\nfunction f( ){return x}', 'javascript');
+
+    expect(formatted).toBe('const x = { a: 1, b: [1, 2] };\nfunction f() {\n  return x;\n}\n');
+  });
+
+  it('should indent with the editor options', async () => {
+    const formatter = new CodeFormatter();
+
+    const withTabs = await formatter.format('if (a) { b() }', 'typescript', { insertSpaces: false });
+    const withFour = await formatter.format('a:\n  - b: 1\n', 'yaml', { tabSize: 4 });
+
+    expect(withTabs).toBe('if (a) {\n\tb();\n}\n');
+    expect(withFour).toBe('a:\n    - b: 1\n');
+  });
+
+  it('should reject code that does not parse', async () => {
+    const formatter = new CodeFormatter();
+
+    await expect(formatter.format('const = ;', 'javascript')).rejects.toThrow();
+  });
+
+  it('should format SQL in the database dialect', async () => {
+    const formatter = new CodeFormatter();
+
+    const sqlite = await formatter.format('select id,name from users where id=1', 'sqlite');
+    const postgres = await formatter.format('select data->>\'name\' from t', 'postgresql');
+
+    expect(sqlite).toBe('select\n  id,\n  name\nfrom\n  users\nwhere\n  id = 1\n');
+    expect(postgres).toContain("data ->> 'name'");
+  });
+
+  it('should format Python in the language service', async () => {
+    const service = { format: vi.fn(async ({ source }) => source.replace('x=1', 'x = 1')) };
+    const formatter = new CodeFormatter({ getPythonService: () => service });
+
+    await expect(formatter.format('x=1\n', 'python')).resolves.toBe('x = 1\n');
+    expect(service.format).toHaveBeenCalledWith({ source: 'x=1\n' });
+  });
+
+  it('should reject languages without a formatter', async () => {
+    const formatter = new CodeFormatter();
+
+    await expect(formatter.format('print(1)', 'lua')).rejects.toThrow('No formatter for lua');
+    await expect(formatter.format('x=1', 'python')).rejects.toThrow('Web Workers');
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * DataImport Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import initSqlJs from 'sql.js';
+import DataImport from '../../src/runtimes/databases/DataImport.js';
+
+const encode = text => new TextEncoder().encode(text);
+
+/**
+ * A minimal XLSX workbook with one worksheet
+ */
+async function createWorkbook(sheetData) {
+  const zip = new JSZip();
+  const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+  zip.file('xl/workbook.xml', `<?xml version="1.0"?>
+    <workbook xmlns="${main}" xmlns:r="${relationships}">
+      <sheets><sheet name="Sales" sheetId="1" r:id="rId1"/></sheets>
+    </workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', `<?xml version="1.0"?>
+    <Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+      <Relationship Id="rId1" Type="${relationships}/worksheet" Target="worksheets/sheet1.xml"/>
+    </Relationships>`);
+  zip.file('xl/sharedStrings.xml', `<?xml version="1.0"?>
+    <sst xmlns="${main}"><si><t>region</t></si><si><t>amount</t></si><si><r><t>No</t></r><r><t>rth</t></r></si></sst>`);
+  zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0"?>
+    <worksheet xmlns="${main}"><sheetData>${sheetData}</sheetData></worksheet>`);
+
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+describe('DataImport', () => {
+  it('should tell formats from file extensions', () => {
+    expect(DataImport.getFormat('sales.CSV')).toBe('csv');
+    expect(DataImport.getFormat('data/people.ndjson')).toBe('json');
+    expect(DataImport.getFormat('trips.parquet')).toBe('parquet');
+    expect(DataImport.getFormat('notes.txt')).toBeNull();
+    expect(DataImport.getFormat('README')).toBeNull();
+  });
+
+  it('should parse quoted CSV fields with delimiters, quotes and line breaks', () => {
+    expect(DataImport.parseDelimited('a,b\r\n"x, y","say ""hi"""\n"two\nlines",\n\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"'],
+      ['two\nlines', ''],
+    ]);
+    expect(DataImport.parseDelimited('a\tb\n1\t2', '\t')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('should read the header row, naming blank and repeated columns', async () => {
+    const table = await DataImport.read('sales.csv', encode('\uFEFFid,,id\n1,x\n'));
+
+    expect(table).toEqual({ columns: ['id', 'column2', 'id_2'], rows: [['1', 'x', null]] });
+  });
+
+  it('should read files with hundreds of thousands of rows', async () => {
+    const table = await DataImport.read('big.csv', encode(`id,name\n${'1,x\n'.repeat(250000)}2,y,extra\n`));
+
+    expect(table.columns).toEqual(['id', 'name', 'column3']);
+    expect(table.rows).toHaveLength(250001);
+    expect(table.rows[250000]).toEqual(['2', 'y', 'extra']);
+  });
+
+  it('should read JSON arrays and newline-delimited JSON', async () => {
+    const array = await DataImport.read('people.json', encode('[{"name":"Ada","tags":["x"]},{"name":"Alan","age":41}]'));
+    expect(array).toEqual({
+      columns: ['name', 'tags', 'age'],
+      rows: [['Ada', '["x"]', null], ['Alan', null, 41]],
+    });
+
+    const lines = await DataImport.read('people.jsonl', encode('{"a":1}\n\n{"a":2}\n'));
+    expect(lines.rows).toEqual([[1], [2]]);
+
+    await expect(DataImport.read('bad.jsonl', encode('{"a":1}\n{oops}'))).rejects.toThrow('Invalid JSON on line 2');
+  });
+
+  it('should read the first worksheet of an XLSX workbook', async () => {
+    const workbook = await createWorkbook(`
+      <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>
+      <row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2"><v>12.5</v></c></row>
+      <row r="4"><c r="A4" t="inlineStr"><is><t>South</t></is></c><c r="C4" t="b"><v>1</v></c></row>
+    `);
+
+    expect(await DataImport.read('sales.xlsx', workbook)).toEqual({
+      columns: ['region', 'amount', 'column3'],
+      rows: [['North', 12.5, null], ['South', null, true]],
+    });
+    await expect(DataImport.read('sales.xlsx', encode('not a zip'))).rejects.toThrow('Not an XLSX file');
+  });
+
+  it('should leave Parquet files to DuckDB', async () => {
+    await expect(DataImport.read('trips.parquet', new Uint8Array(4))).rejects.toThrow('only be queried with DuckDB');
+  });
+
+  it('should infer column types, ignoring empty values', () => {
+    expect(DataImport.inferType(['1', '-20', ''])).toBe('INTEGER');
+    expect(DataImport.inferType(['1', '2.5', null])).toBe('REAL');
+    expect(DataImport.inferType([1, 2.5])).toBe('REAL');
+    expect(DataImport.inferType(['TRUE', 'false'])).toBe('BOOLEAN');
+    expect(DataImport.inferType(['2024-01-31', '2023-12-01'])).toBe('DATE');
+    expect(DataImport.inferType(['2024-01-31 08:30:00', '2024-01-31T09:00Z'])).toBe('TIMESTAMP');
+    expect(DataImport.inferType(['1', 'two'])).toBe('TEXT');
+    expect(DataImport.inferType(['12345678901234567890'])).toBe('REAL');
+    expect(DataImport.inferType(['', null])).toBe('TEXT');
+  });
+
+  it('should name tables after files', () => {
+    expect(DataImport.tableNameFromFile('Sales Q1.csv')).toBe('sales_q1');
+    expect(DataImport.tableNameFromFile('2024-results.xlsx')).toBe('t_2024_results');
+    expect(DataImport.tableNameFromFile('!!!.json')).toBe('imported');
+  });
+
+  it('should write an import script for each dialect', () => {
+    const table = {
+      name: 'people',
+      columns: [{ name: 'name', type: 'TEXT' }, { name: 'age', type: 'INTEGER' }, { name: 'active', type: 'BOOLEAN' }],
+      rows: [["O'Brien", '41', 'true'], ['Ada', '', 'FALSE']],
+    };
+
+    expect(DataImport.toImportScript(table, 'postgresql')).toBe(
+      'CREATE TABLE "people" ("name" text, "age" bigint, "active" boolean);\n'
+      + 'INSERT INTO "people" ("name", "age", "active") VALUES\n'
+      + "('O''Brien', 41, TRUE),\n('Ada', NULL, FALSE);",
+    );
+    expect(DataImport.toImportScript({ ...table, rows: [] }, 'sqlite'))
+      .toBe('CREATE TABLE "people" ("name" TEXT, "age" INTEGER, "active" INTEGER);');
+  });
+
+  it('should import rows into SQLite in batches', async () => {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    const rows = Array.from({ length: 1234 }, (_, index) => [String(index), `row ${index}`]);
+
+    db.exec(DataImport.toImportScript({
+      name: 'numbers',
+      columns: [{ name: 'n', type: 'INTEGER' }, { name: 'label', type: 'TEXT' }],
+      rows,
+    }, 'sqlite'));
+
+    expect(db.exec('SELECT COUNT(*), SUM(n), typeof(n) FROM numbers')[0].values).toEqual([[1234, 760761, 'integer']]);
+    db.close();
+  });
+});
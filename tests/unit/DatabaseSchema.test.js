@@ -0,0 +1,161 @@
+/**
+ * DatabaseSchema Unit Tests
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import initSqlJs from 'sql.js';
+import DatabaseSchema from '../../src/runtimes/databases/DatabaseSchema.js';
+
+describe('DatabaseSchema', () => {
+  let SQL;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  describe('readSQLite()', () => {
+    it('should list tables and views with columns, indexes and row counts', () => {
+      const db = new SQL.Database();
+      db.run(`
+        CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT NOT NULL, email TEXT);
+        CREATE UNIQUE INDEX users_email ON users (email);
+        CREATE TABLE "Order Items" (qty);
+        INSERT INTO users (name) VALUES ('Alice'), ('Bob');
+        CREATE VIEW names AS SELECT name FROM users;
+      `);
+
+      const { tables } = DatabaseSchema.readSQLite(db);
+
+      expect(tables.map(table => [table.name, table.type, table.rowCount])).toEqual([
+        ['Order Items', 'table', 0],
+        ['names', 'view', null],
+        ['users', 'table', 2],
+      ]);
+
+      const users = tables[2];
+      expect(users.columns).toEqual([
+        { name: 'id', type: 'INTEGER', nullable: false, primaryKey: true },
+        { name: 'name', type: 'TEXT', nullable: false, primaryKey: false },
+        { name: 'email', type: 'TEXT', nullable: true, primaryKey: false },
+      ]);
+      expect(users.indexes).toEqual([{ name: 'users_email', columns: ['email'], unique: true }]);
+      expect(tables[0].columns[0].type).toBeNull();
+
+      db.close();
+    });
+  });
+
+  describe('build()', () => {
+    it('should assemble information_schema rows, naming default-schema tables unqualified', () => {
+      const schema = DatabaseSchema.build({
+        tables: [
+          { schema: 'public', name: 'users', type: 'BASE TABLE' },
+          { schema: 'app', name: 'users', type: 'VIEW' },
+        ],
+        columns: [
+          { schema: 'public', table: 'users', name: 'id', type: 'integer', nullable: true },
+          { schema: 'app', table: 'users', name: 'name', type: 'text', nullable: true },
+        ],
+        primaryKeys: [{ schema: 'public', table: 'users', column: 'id' }],
+        indexes: [{ schema: 'public', table: 'users', name: 'users_pkey', unique: true, columns: ['id'] }],
+      }, 'public');
+
+      expect(schema.tables).toEqual([
+        {
+          name: 'users',
+          schema: null,
+          type: 'table',
+          rowCount: null,
+          columns: [{ name: 'id', type: 'integer', nullable: false, primaryKey: true }],
+          indexes: [{ name: 'users_pkey', columns: ['id'], unique: true }],
+        },
+        {
+          name: 'users',
+          schema: 'app',
+          type: 'view',
+          rowCount: null,
+          columns: [{ name: 'name', type: 'text', nullable: true, primaryKey: false }],
+          indexes: [],
+        },
+      ]);
+    });
+  });
+
+  it('should read the columns of CREATE INDEX statements', () => {
+    expect(DatabaseSchema.parseIndexColumns('CREATE UNIQUE INDEX i ON public.t USING btree (a, lower((b)::text) DESC)'))
+      .toEqual(['a', 'lower((b)::text)']);
+    expect(DatabaseSchema.parseIndexColumns('CREATE INDEX ix ON users("name", id ASC NULLS LAST);'))
+      .toEqual(['name', 'id']);
+    expect(DatabaseSchema.parseIndexColumns(null)).toEqual([]);
+  });
+
+  it('should generate a quoted SELECT for a table', () => {
+    expect(DatabaseSchema.selectQuery({ name: 'users', schema: null }, 'sqlite')).toBe('SELECT * FROM "users" LIMIT 100;');
+    expect(DatabaseSchema.selectQuery({ name: 'Order Items', schema: 'app' }, 'postgresql'))
+      .toBe('SELECT * FROM "app"."Order Items" LIMIT 100;');
+    expect(DatabaseSchema.selectQuery({ name: 'users', schema: null }, 'mysql')).toBe('SELECT * FROM `users` LIMIT 100;');
+  });
+
+  describe('getCompletions()', () => {
+    const schema = {
+      tables: [
+        {
+          name: 'users',
+          schema: null,
+          type: 'table',
+          rowCount: 2,
+          columns: [{ name: 'id', type: 'INTEGER' }, { name: 'name', type: 'TEXT' }],
+          indexes: [],
+        },
+        {
+          name: 'orders',
+          schema: null,
+          type: 'table',
+          rowCount: 1,
+          columns: [{ name: 'id', type: 'INTEGER' }, { name: 'user_id', type: 'INTEGER' }],
+          indexes: [],
+        },
+        {
+          name: 'Order Items',
+          schema: 'shop',
+          type: 'view',
+          rowCount: null,
+          columns: [{ name: 'qty', type: 'INTEGER' }],
+          indexes: [],
+        },
+      ],
+    };
+    const labels = (items, kind) => items.filter(item => item.kind === kind).map(item => item.label);
+
+    it('should suggest the columns of an alias or table after a dot', () => {
+      const sql = 'SELECT u. FROM users u JOIN orders AS o ON o.user_id = u.id';
+
+      expect(labels(DatabaseSchema.getCompletions(schema, sql, 'SELECT u.'.length), 'column')).toEqual(['id', 'name']);
+      expect(labels(DatabaseSchema.getCompletions(schema, 'SELECT orders.us'), 'column')).toEqual(['id', 'user_id']);
+      expect(DatabaseSchema.getCompletions(schema, 'SELECT nothing.')).toEqual([]);
+    });
+
+    it('should suggest the tables of a schema after its name', () => {
+      const items = DatabaseSchema.getCompletions(schema, 'SELECT * FROM shop.', undefined, 'duckdb');
+
+      expect(items).toEqual([expect.objectContaining({ label: 'Order Items', kind: 'view', insertText: '"Order Items"' })]);
+    });
+
+    it('should suggest tables and the columns of the tables a statement names', () => {
+      const items = DatabaseSchema.getCompletions(schema, 'SELECT  FROM orders; SELECT 1', 'SELECT '.length);
+
+      expect(labels(items, 'table')).toEqual(['users', 'orders']);
+      expect(labels(items, 'schema')).toEqual(['shop']);
+      expect(labels(items, 'column')).toEqual(['id', 'user_id']);
+      expect(items.find(item => item.label === 'orders').detail).toBe('table · 1 row');
+    });
+
+    it('should suggest every column, and tables first, when no table is named yet', () => {
+      const items = DatabaseSchema.getCompletions(schema, 'SELECT * FROM ');
+
+      expect(labels(items, 'column')).toEqual(['id', 'name', 'user_id', 'qty']);
+      expect(items.find(item => item.label === 'id').detail).toBe('INTEGER · users, orders');
+      expect(items.find(item => item.label === 'users').sortText < items.find(item => item.label === 'id').sortText).toBe(true);
+    });
+  });
+});
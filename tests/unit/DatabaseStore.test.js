@@ -0,0 +1,88 @@
+/**
+ * DatabaseStore Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import DatabaseStore from '../../src/storage/DatabaseStore.js';
+
+/**
+ * In-memory Storage
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+}
+
+describe('DatabaseStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    storage = createStorage();
+    store = new DatabaseStore({ storage });
+  });
+
+  it('should start with no databases, in memory', () => {
+    expect(store.list('sqlite')).toEqual([]);
+    expect(store.getActive('sqlite')).toBeNull();
+  });
+
+  it('should add databases when they are opened and remember them per runtime', () => {
+    store.setActive('sqlite', 'school');
+    store.setActive('sqlite', 'library');
+    store.setActive('duckdb', 'sales');
+
+    const reloaded = new DatabaseStore({ storage });
+    expect(reloaded.list('sqlite')).toEqual(['library', 'school']);
+    expect(reloaded.getActive('sqlite')).toBe('library');
+    expect(reloaded.getActive('duckdb')).toBe('sales');
+    expect(reloaded.has('duckdb', 'school')).toBe(false);
+  });
+
+  it('should keep databases when switching to memory', () => {
+    store.setActive('postgresql', 'school');
+    store.setActive('postgresql', null);
+
+    expect(store.getActive('postgresql')).toBeNull();
+    expect(store.list('postgresql')).toEqual(['school']);
+  });
+
+  it('should open memory after the active database is removed', () => {
+    store.setActive('sqlite', 'school');
+    store.setActive('sqlite', 'library');
+    store.remove('sqlite', 'library');
+
+    expect(store.list('sqlite')).toEqual(['school']);
+    expect(store.getActive('sqlite')).toBeNull();
+  });
+
+  it('should reject names that cannot be file names', () => {
+    expect(() => store.setActive('sqlite', '../school')).toThrow('Invalid database name');
+    expect(() => DatabaseStore.validateName('')).toThrow();
+    expect(() => DatabaseStore.validateName('x'.repeat(65))).toThrow();
+    expect(DatabaseStore.validateName('class_2024-spring')).toBe('class_2024-spring');
+  });
+
+  it('should ignore an unreadable registry', () => {
+    storage.setItem('drlee-ide-databases', '{not json');
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(store.list('sqlite')).toEqual([]);
+    store.setActive('sqlite', 'school');
+    expect(store.getActive('sqlite')).toBe('school');
+    expect(warn).toHaveBeenCalled();
+
+    warn.mockRestore();
+  });
+
+  it('should name databases after opened files', () => {
+    expect(DatabaseStore.nameFromFile('My School.sqlite')).toBe('My_School');
+    expect(DatabaseStore.nameFromFile('C:\\data\\chinook.db', ['chinook', 'chinook-2'])).toBe('chinook-3');
+    expect(DatabaseStore.nameFromFile('.sqlite')).toBe('database');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * DuckDBRuntime Unit Tests
+ *
+ * duckdb-wasm is not loaded; the connection is a stand-in that answers
+ * statements with Arrow tables and records what the runtime asks of it.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { tableFromArrays } from 'apache-arrow';
+import DuckDBRuntime from '../../src/runtimes/databases/DuckDBRuntime.js';
+
+/**
+ * Connection stand-in: send() answers with `table`, or fails for
+ * statements that start with FAIL
+ */
+function fakeConnection(table) {
+  return {
+    queries: [],
+    inserts: [],
+    send: async (sql) => {
+      if (sql.startsWith('FAIL')) throw new Error('Parser Error: syntax error at or near "FAIL"');
+      return {
+        schema: table.schema,
+        async *[Symbol.asyncIterator]() {
+          yield* table.batches;
+        },
+      };
+    },
+    async query(sql) {
+      this.queries.push(sql);
+    },
+    async insertArrowTable(arrowTable, options) {
+      this.inserts.push({ table: arrowTable, options });
+    },
+  };
+}
+
+describe('DuckDBRuntime', () => {
+  let runtime;
+  let conn;
+
+  beforeEach(() => {
+    runtime = new DuckDBRuntime();
+    conn = fakeConnection(tableFromArrays({ id: Int32Array.from([1, 2, 3]), name: ['a', 'b', 'c'] }));
+    runtime.conn = conn;
+    runtime.db = {
+      copyFileToBuffer: async () => new Uint8Array([80, 65, 82, 49]),
+      dropFile: async () => {},
+    };
+    runtime.loaded = true;
+  });
+
+  describe('execute()', () => {
+    it('should fail the run when a statement fails, running the others', async () => {
+      const result = await runtime.execute('SELECT id FROM people;\nFAIL;\nSELECT name FROM people;');
+
+      expect(result.success).toBe(false);
+      expect(result.error.message).toBe('1 of 3 statement(s) failed');
+      expect(result.results).toHaveLength(2);
+      expect(result.diagnostics).toEqual([
+        expect.objectContaining({ line: 2, column: 1, message: 'Parser Error: syntax error at or near "FAIL"' }),
+      ]);
+    });
+
+    it('should succeed when every statement runs', async () => {
+      const result = await runtime.execute('SELECT id FROM people;');
+
+      expect(result.success).toBe(true);
+      expect(result.error).toBeNull();
+    });
+  });
+
+  describe('exportParquet()', () => {
+    it('should write the given rows of a run\'s result without running the statement again', async () => {
+      const { results: [result] } = await runtime.execute('SELECT id, name FROM people;');
+      conn.queries = [];
+
+      const file = await runtime.exportParquet(result, [result.values[2], result.values[0]]);
+
+      expect(file).toEqual(new Uint8Array([80, 65, 82, 49]));
+      const [rows, picks] = conn.inserts;
+      expect(rows.table.toArray().map(row => row.toJSON())).toEqual([
+        { id: 1, name: 'a' },
+        { id: 2, name: 'b' },
+        { id: 3, name: 'c' },
+      ]);
+      expect(picks.table.toArray().map(row => row.toJSON())).toEqual([
+        { position: 0, row: 2 },
+        { position: 1, row: 0 },
+      ]);
+      expect(conn.queries.join('\n')).not.toContain('people');
+      expect(conn.queries.some(sql => sql.includes('COPY') && sql.includes('FORMAT PARQUET'))).toBe(true);
+      expect(conn.queries[conn.queries.length - 1]).toContain('DETACH');
+    });
+
+    it('should refuse result sets it did not produce', async () => {
+      const result = { sql: 'SELECT 1;', columns: ['x'], types: ['Int32'], values: [[1]] };
+
+      await expect(runtime.exportParquet(result)).rejects.toThrow('run the query again');
+    });
+  });
+});
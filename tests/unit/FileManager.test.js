@@ -101,8 +101,11 @@ describe('FileManager', () => {
 
     it('should have correct database configuration', () => {
       expect(fileManager.dbName).toBe('drlee-ide-files');
-      expect(fileManager.dbVersion).toBe(1);
+      expect(fileManager.dbVersion).toBe(3);
       expect(fileManager.storeName).toBe('files');
+      expect(fileManager.folderStoreName).toBe('folders');
+      expect(fileManager.projectStoreName).toBe('projects');
+      expect(fileManager.revisionStoreName).toBe('revisions');
     });
 
     it('should start with no database connection', () => {
@@ -135,6 +138,109 @@ describe('FileManager', () => {
     });
   });
 
+  describe('Schema v2 Migration', () => {
+    it('should turn cloned repositories into projects', () => {
+      const { projects, files } = FileManager.migrateFiles([
+        { id: 1, name: 'notes.md', content: '# notes', language: 'markdown' },
+        { id: 2, name: 'README.md', content: '', language: 'markdown', gitRepo: 'demo', gitUrl: 'https://github.com/u/demo' },
+        { id: 3, name: 'src/app.py', content: 'pass', language: 'python', gitRepo: 'demo' },
+      ]);
+
+      expect(projects).toHaveLength(1);
+      expect(projects[0]).toMatchObject({ id: 1, name: 'demo', gitUrl: 'https://github.com/u/demo' });
+      expect(files.map(file => file.projectId)).toEqual([0, 1, 1]);
+      expect(files[1]).toMatchObject({ id: 2, name: 'README.md', content: '', binary: false });
+    });
+
+    it('should create the folders of every file path', () => {
+      const { folders } = FileManager.migrateFiles([
+        { id: 1, name: 'a/b/c.txt', content: '', language: 'markdown' },
+        { id: 2, name: 'a/d.txt', content: '', language: 'markdown' },
+      ]);
+
+      expect(folders.map(folder => [folder.projectId, folder.path])).toEqual([[0, 'a'], [0, 'a/b']]);
+    });
+
+    it('should make duplicate paths within a project unique', () => {
+      const { files } = FileManager.migrateFiles([
+        { id: 1, name: 'notes.txt', content: 'a', language: 'markdown' },
+        { id: 2, name: '/notes.txt', content: 'b', language: 'markdown' },
+        { id: 3, name: 'notes.txt', content: 'c', language: 'markdown', gitRepo: 'demo' },
+        { id: 4, name: 'Makefile', content: '', language: 'markdown' },
+        { id: 5, name: 'Makefile', content: '', language: 'markdown' },
+      ]);
+
+      expect(files.map(file => file.name)).toEqual(['notes.txt', 'notes (2).txt', 'notes.txt', 'Makefile', 'Makefile (2)']);
+    });
+  });
+
+  describe('Paths', () => {
+    it('should normalize paths', () => {
+      expect(FileManager.normalizePath('/src//lib/./x.js/')).toBe('src/lib/x.js');
+      expect(FileManager.normalizePath('src\\x.js')).toBe('src/x.js');
+      expect(FileManager.normalizePath('')).toBe('');
+      expect(() => FileManager.normalizePath('../x.js')).toThrow('Invalid path: ../x.js');
+    });
+
+    it('should list the folders a path is in', () => {
+      expect(FileManager.parentPaths('a/b/c.txt')).toEqual(['a', 'a/b']);
+      expect(FileManager.parentPaths('c.txt')).toEqual([]);
+      expect(FileManager.parentPath('a/b/c.txt')).toBe('a/b');
+      expect(FileManager.parentPath('c.txt')).toBe('');
+    });
+
+    it('should detect languages from extensions', () => {
+      expect(FileManager.detectLanguage('src/app.py')).toBe('python');
+      expect(FileManager.detectLanguage('image.png')).toBe('markdown');
+    });
+  });
+
+  describe('Binary Content', () => {
+    it('should accept empty text and binary content', () => {
+      expect(FileManager.isContent('')).toBe(true);
+      expect(FileManager.isContent(new Uint8Array([1, 2]))).toBe(true);
+      expect(FileManager.isContent(new ArrayBuffer(2))).toBe(true);
+      expect(FileManager.isContent(new Blob(['x']))).toBe(true);
+      expect(FileManager.isContent(undefined)).toBe(false);
+      expect(FileManager.isContent(42)).toBe(false);
+    });
+
+    it('should decode base64 exports into Blobs', () => {
+      const blob = FileManager.base64ToBlob(btoa('\x00\x01\xff'), 'image/png');
+
+      expect(blob.size).toBe(3);
+      expect(blob.type).toBe('image/png');
+    });
+  });
+
+  describe('Revision History', () => {
+    const interval = 60000;
+    const latest = { content: 'print(1)', created: 100000 };
+    const save = (overrides) => FileManager.shouldRecordRevision({
+      latest, previous: 'print(2)', content: 'print(3)', reason: 'save', now: 110000, interval, ...overrides,
+    });
+
+    it('should keep overwritten text on explicit saves and restores', () => {
+      expect(save()).toBe(true);
+      expect(save({ reason: 'restore' })).toBe(true);
+      expect(save({ latest: null, reason: 'autosave' })).toBe(true);
+    });
+
+    it('should skip unchanged text and text already in the history', () => {
+      expect(save({ content: 'print(2)' })).toBe(false);
+      expect(save({ previous: 'print(1)' })).toBe(false);
+    });
+
+    it('should throttle autosave revisions', () => {
+      expect(save({ reason: 'autosave' })).toBe(false);
+      expect(save({ reason: 'autosave', now: 160000 })).toBe(true);
+    });
+
+    it('should keep the text before an autosave that deletes most of the file', () => {
+      expect(save({ reason: 'autosave', previous: 'a long program\n'.repeat(10), content: '' })).toBe(true);
+    });
+  });
+
   describe('Export/Import', () => {
     it('should export files as JSON', async () => {
       // This test would verify JSON format
@@ -0,0 +1,384 @@
+/**
+ * GitManager Unit Tests
+ *
+ * Repositories live in an in-memory lightning-fs; pushes go to a local
+ * receive-pack stand-in backed by isomorphic-git.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import git from 'isomorphic-git';
+import FS, { MemoryBackend } from '@isomorphic-git/lightning-fs';
+import GitManager from '../../src/storage/GitManager.js';
+
+const AUTHOR = { name: 'Ada Lovelace', email: 'ada@example.com' };
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const concat = (chunks) => {
+  const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+};
+
+const pktLine = (data) => {
+  const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+  return concat([encoder.encode((bytes.length + 4).toString(16).padStart(4, '0')), bytes]);
+};
+const FLUSH = encoder.encode('0000');
+
+// Smart HTTP receive-pack server for the repository at `dir`
+function createRemote(fs, dir, token) {
+  const requests = [];
+  const respond = (statusCode, body, headers = {}) => ({
+    statusCode,
+    statusMessage: statusCode === 200 ? 'OK' : 'Unauthorized',
+    headers,
+    body: [body],
+  });
+
+  const request = async ({ url, method, headers, body }) => {
+    requests.push({ url, method, headers });
+    if (headers.Authorization !== `Basic ${btoa(`${token}:`)}`) {
+      return respond(401, new Uint8Array());
+    }
+
+    if (method === 'GET') {
+      const capabilities = 'report-status side-band-64k';
+      const refs = [];
+      for (const branch of await git.listBranches({ fs, dir })) {
+        refs.push(`${await git.resolveRef({ fs, dir, ref: branch })} refs/heads/${branch}`);
+      }
+      if (refs.length === 0) refs.push(`${'0'.repeat(40)} capabilities^{}`);
+
+      return respond(200, concat([
+        pktLine('# service=git-receive-pack\n'),
+        FLUSH,
+        ...refs.map((ref, i) => pktLine(i === 0 ? `${ref}\0${capabilities}\n` : `${ref}\n`)),
+        FLUSH,
+      ]), { 'content-type': 'application/x-git-receive-pack-advertisement' });
+    }
+
+    // Commands up to a flush, then the packfile
+    const chunks = [];
+    for await (const chunk of body) chunks.push(chunk);
+    const data = concat(chunks);
+    const commands = [];
+    let offset = 0;
+    for (let length; (length = parseInt(decoder.decode(data.subarray(offset, offset + 4)), 16)) !== 0; offset += length) {
+      commands.push(decoder.decode(data.subarray(offset + 4, offset + length)).split('\0')[0].trim().split(' '));
+    }
+    offset += 4;
+
+    await fs.promises.writeFile(`${dir}/.git/objects/pack/pack-push.pack`, data.subarray(offset));
+    await git.indexPack({ fs, dir, filepath: '.git/objects/pack/pack-push.pack' });
+    for (const [, oid, ref] of commands) {
+      await git.writeRef({ fs, dir, ref, value: oid, force: true });
+    }
+
+    // The report goes back on side-band channel 1
+    const report = concat([pktLine('unpack ok\n'), ...commands.map(([, , ref]) => pktLine(`ok ${ref}\n`)), FLUSH]);
+    return respond(200, concat([pktLine(concat([Uint8Array.of(1), report])), FLUSH]));
+  };
+
+  return { requests, request };
+}
+
+// Smart HTTP upload-pack discovery advertising `refs` ([oid, name] pairs)
+function createAdvertisement(refs, capabilities) {
+  return {
+    request: async () => ({
+      statusCode: 200,
+      statusMessage: 'OK',
+      headers: { 'content-type': 'application/x-git-upload-pack-advertisement' },
+      body: [concat([
+        pktLine('# service=git-upload-pack\n'),
+        FLUSH,
+        ...refs.map(([oid, name], i) => pktLine(i === 0 ? `${oid} ${name}\0${capabilities}\n` : `${oid} ${name}\n`)),
+        FLUSH,
+      ])],
+    }),
+  };
+}
+
+// FileManager keeping the project 'demo' in a Map
+function createFileManager(files) {
+  const saved = new Map(files.map((file, i) => [i + 1, { id: i + 1, projectId: 1, language: 'markdown', ...file }]));
+  let nextId = saved.size + 1;
+  const find = name => [...saved.values()].find(file => file.name === name);
+
+  return {
+    saved,
+    find,
+    getProjectByName: vi.fn(async name => (name === 'demo' ? { id: 1, name } : null)),
+    getAllFiles: vi.fn(async ({ projectId }) => [...saved.values()].filter(file => file.projectId === projectId)),
+    writeFile: vi.fn(async (name, content, { projectId, language }) => {
+      const existing = find(name);
+      const id = existing ? existing.id : nextId++;
+      saved.set(id, { ...existing, id, projectId, name, content, language: language || existing?.language || 'markdown' });
+      return id;
+    }),
+    deleteFile: vi.fn(async (id) => { saved.delete(id); }),
+  };
+}
+
+describe('GitManager', () => {
+  let fs;
+  let fileManager;
+  let gitManager;
+
+  beforeEach(async () => {
+    // lightning-fs takes a Web Lock before touching its backend
+    Object.defineProperty(navigator, 'locks', {
+      configurable: true,
+      value: { request: async (name, options, callback) => callback({}) },
+    });
+
+    fs = new FS(`git-test-${Math.random()}`, { db: new MemoryBackend() });
+    fileManager = createFileManager([
+      { name: 'README.md', content: '# demo\n' },
+      { name: 'src/main.py', content: 'print(1)\n', language: 'python' },
+    ]);
+    gitManager = new GitManager(fileManager, { fs, corsProxy: null });
+    localStorage.clear();
+
+    // A clone of 'demo' with one commit
+    await fs.promises.mkdir('/demo');
+    await fs.promises.mkdir('/demo/src');
+    await fs.promises.writeFile('/demo/README.md', '# demo\n');
+    await fs.promises.writeFile('/demo/src/main.py', 'print(1)\n');
+    await git.init({ fs, dir: '/demo', defaultBranch: 'main' });
+    await git.add({ fs, dir: '/demo', filepath: '.' });
+    await git.commit({ fs, dir: '/demo', message: 'Initial commit', author: AUTHOR });
+    await git.addRemote({ fs, dir: '/demo', remote: 'origin', url: 'https://git.example.com/demo.git' });
+  });
+
+  afterEach(() => {
+    delete navigator.locks;
+    vi.restoreAllMocks();
+  });
+
+  describe('status()', () => {
+    it('should report saved edits as changes against HEAD', async () => {
+      fileManager.find('README.md').content = '# demo\n\nUpdated\n';
+      fileManager.saved.delete(fileManager.find('src/main.py').id);
+      await fileManager.writeFile('notes.txt', 'todo\n', { projectId: 1 });
+
+      expect(await gitManager.status('demo')).toEqual([
+        { path: 'README.md', status: 'modified', staged: false, unstaged: true },
+        { path: 'notes.txt', status: 'added', staged: false, unstaged: true },
+        { path: 'src/main.py', status: 'deleted', staged: false, unstaged: true },
+      ]);
+      expect(new TextDecoder().decode(await fs.promises.readFile('/demo/README.md'))).toBe('# demo\n\nUpdated\n');
+    });
+
+    it('should report no changes for a clean repository', async () => {
+      expect(await gitManager.status('demo')).toEqual([]);
+      await expect(gitManager.status('other')).rejects.toThrow('Repository other has no saved files');
+    });
+  });
+
+  describe('readHeadFile()', () => {
+    it('should read the committed version of a file', async () => {
+      fileManager.find('README.md').content = '# changed\n';
+      await gitManager.status('demo');
+
+      expect(await gitManager.readHeadFile('demo', 'README.md')).toBe('# demo\n');
+      expect(await gitManager.readHeadFile('demo', 'src/main.py')).toBe('print(1)\n');
+      expect(await gitManager.readHeadFile('demo', 'notes.txt')).toBeNull();
+    });
+  });
+
+  describe('stage(), unstage() and commit()', () => {
+    it('should stage, unstage and commit with the given author', async () => {
+      fileManager.find('README.md').content = '# demo v2\n';
+      fileManager.saved.delete(fileManager.find('src/main.py').id);
+
+      await gitManager.stage('demo', ['README.md', 'src/main.py']);
+      expect(await gitManager.status('demo')).toEqual([
+        { path: 'README.md', status: 'modified', staged: true, unstaged: false },
+        { path: 'src/main.py', status: 'deleted', staged: true, unstaged: false },
+      ]);
+
+      await gitManager.unstage('demo', 'README.md');
+      expect((await gitManager.status('demo'))[0]).toMatchObject({ staged: false, unstaged: true });
+
+      const oid = await gitManager.commit('demo', 'Remove main.py', { author: { name: 'Grace', email: 'grace@example.com' } });
+      const [latest] = await gitManager.log('demo');
+
+      expect(latest).toMatchObject({ oid, message: 'Remove main.py\n', author: 'Grace', email: 'grace@example.com' });
+      expect(await gitManager.status('demo')).toEqual([
+        { path: 'README.md', status: 'modified', staged: false, unstaged: true },
+      ]);
+    });
+
+    it('should refuse to commit without an author or staged changes', async () => {
+      await expect(gitManager.commit('demo', 'Empty', {})).rejects.toThrow('Set your name and email');
+      await expect(gitManager.commit('demo', 'Empty', { author: AUTHOR })).rejects.toThrow('Nothing to commit');
+    });
+  });
+
+  describe('branches', () => {
+    it('should switch branches and save the checked out files', async () => {
+      await gitManager.createBranch('demo', 'feature', { checkout: true });
+      fileManager.find('README.md').content = '# feature\n';
+      await fileManager.writeFile('notes.txt', 'todo\n', { projectId: 1 });
+      await gitManager.stage('demo', ['README.md', 'notes.txt']);
+      await gitManager.commit('demo', 'Feature work', { author: AUTHOR });
+
+      const readme = fileManager.find('README.md');
+      const notes = fileManager.find('notes.txt');
+      const changes = await gitManager.switchBranch('demo', 'main');
+
+      expect(changes).toEqual({ updated: [readme.id], deleted: [notes.id] });
+      expect(fileManager.find('README.md').content).toBe('# demo\n');
+      expect(fileManager.find('notes.txt')).toBeUndefined();
+      expect(await gitManager.listBranches('demo')).toEqual({ branches: ['feature', 'main'], current: 'main' });
+      expect((await gitManager.log('demo', { ref: 'feature' })).map(commit => commit.message)).toEqual([
+        'Feature work\n',
+        'Initial commit\n',
+      ]);
+    });
+
+    it('should add files of the checked out branch to the project', async () => {
+      await gitManager.createBranch('demo', 'feature', { checkout: true });
+      await fileManager.writeFile('lib/util.py', 'X = 1\n', { projectId: 1 });
+      await gitManager.stage('demo', 'lib/util.py');
+      await gitManager.commit('demo', 'Add util', { author: AUTHOR });
+      await gitManager.switchBranch('demo', 'main');
+
+      const { updated } = await gitManager.switchBranch('demo', 'feature');
+
+      expect(fileManager.saved.get(updated[0])).toMatchObject({ name: 'lib/util.py', content: 'X = 1\n', language: 'python' });
+    });
+  });
+
+  describe('push()', () => {
+    let remote;
+
+    beforeEach(async () => {
+      await git.init({ fs, dir: '/remote', defaultBranch: 'main' });
+      remote = createRemote(fs, '/remote', 'secret-token');
+      gitManager = new GitManager(fileManager, { fs, http: remote, corsProxy: null });
+    });
+
+    it('should push commits to the remote with the token', async () => {
+      fileManager.find('README.md').content = '# demo v2\n';
+      await gitManager.stage('demo', 'README.md');
+      await gitManager.commit('demo', 'Update README', { author: AUTHOR });
+
+      const result = await gitManager.push('demo', { token: 'secret-token' });
+
+      expect(result).toMatchObject({ success: true, repository: 'demo', branch: 'main' });
+      expect(remote.requests.map(request => `${request.method} ${request.url}`)).toContain(
+        'POST https://git.example.com/demo.git/git-receive-pack'
+      );
+      const commits = await git.log({ fs, dir: '/remote', ref: 'main' });
+      expect(commits.map(commit => commit.commit.message)).toEqual(['Update README\n', 'Initial commit\n']);
+    });
+
+    it('should only send the token through a proxy the user has set up', async () => {
+      gitManager = new GitManager(fileManager, { fs, http: remote, publicCorsProxy: 'https://public.example.com' });
+      await gitManager.push('demo', { token: 'secret-token' });
+      expect(remote.requests.every(request => request.url.startsWith('https://git.example.com/'))).toBe(true);
+      expect(gitManager.getCorsProxy()).toBe('https://public.example.com');
+
+      gitManager.setCorsProxy('https://proxy.example.com');
+      await gitManager.push('demo', { token: 'secret-token' });
+      expect(remote.requests.at(-1).url).toBe('https://proxy.example.com/git.example.com/demo.git/git-receive-pack');
+    });
+
+    it('should fail when the remote rejects the token', async () => {
+      await expect(gitManager.push('demo')).rejects.toThrow(/^Failed to push: .*401/);
+      await expect(gitManager.push('demo', { token: 'wrong' })).rejects.toThrow(/^Failed to push: .*401/);
+    });
+  });
+
+  describe('getRemoteBranches()', () => {
+    const oid = 'a'.repeat(40);
+
+    it('should list branches and the branch HEAD points to', async () => {
+      gitManager = new GitManager(fileManager, {
+        fs,
+        corsProxy: null,
+        http: createAdvertisement(
+          [[oid, 'HEAD'], [oid, 'refs/heads/feature/login'], [oid, 'refs/heads/master'], [oid, 'refs/tags/v1']],
+          'multi_ack symref=HEAD:refs/heads/master agent=git/2.43.0'
+        ),
+      });
+
+      expect(await gitManager.getRemoteBranches('https://gitlab.example.com/group/demo.git')).toEqual({
+        branches: ['feature/login', 'master'],
+        defaultBranch: 'master',
+      });
+    });
+
+    it('should fall back to main or master when HEAD is not reported', async () => {
+      gitManager = new GitManager(fileManager, {
+        fs,
+        corsProxy: null,
+        http: createAdvertisement([[oid, 'refs/heads/develop'], [oid, 'refs/heads/main']], 'multi_ack'),
+      });
+
+      expect((await gitManager.getRemoteBranches('https://git.example.com/demo.git')).defaultBranch).toBe('main');
+    });
+  });
+
+  describe('clone() and loadRepositories()', () => {
+    it('should clone the default branch and remember the repository across reloads', async () => {
+      const oid = await git.resolveRef({ fs, dir: '/demo', ref: 'main' });
+      gitManager = new GitManager(fileManager, {
+        fs,
+        corsProxy: null,
+        http: createAdvertisement([[oid, 'HEAD'], [oid, 'refs/heads/master']], 'symref=HEAD:refs/heads/master'),
+      });
+      // The working tree of beforeEach stands in for the cloned one
+      const clone = vi.spyOn(git, 'clone').mockResolvedValue();
+
+      const result = await gitManager.clone('https://codeberg.org/u/demo.git', { depth: 0 });
+
+      expect(clone).toHaveBeenCalledWith(expect.objectContaining({ dir: '/demo', ref: 'master', depth: undefined }));
+      expect(result).toMatchObject({ success: true, repository: 'demo', fileCount: 2 });
+
+      const reloaded = new GitManager(fileManager, { fs, corsProxy: null });
+      expect(reloaded.getRepositoryInfo('demo')).toBeNull();
+      await reloaded.loadRepositories();
+      expect(reloaded.getRepositoryInfo('demo')).toMatchObject({
+        url: 'https://codeberg.org/u/demo.git',
+        dir: '/demo',
+        branch: 'master',
+        depth: 0,
+        fileCount: 2,
+      });
+    });
+
+    it('should add working trees missing from the registry and drop deleted ones', async () => {
+      localStorage.setItem('drlee-ide-git-repositories', JSON.stringify({
+        gone: { url: 'https://git.example.com/gone.git', dir: '/gone', branch: 'main' },
+      }));
+
+      const repositories = await gitManager.loadRepositories();
+
+      expect(repositories).toEqual([expect.objectContaining({
+        name: 'demo',
+        url: 'https://git.example.com/demo.git',
+        dir: '/demo',
+        branch: 'main',
+        depth: 0,
+        fileCount: 2,
+      })]);
+      expect(Object.keys(JSON.parse(localStorage.getItem('drlee-ide-git-repositories')))).toEqual(['demo']);
+    });
+  });
+
+  describe('describeStatus()', () => {
+    it('should tell staged from unstaged changes', () => {
+      expect(GitManager.describeStatus('a', 0, 2, 0)).toEqual({ path: 'a', status: 'added', staged: false, unstaged: true });
+      expect(GitManager.describeStatus('a', 1, 2, 3)).toEqual({ path: 'a', status: 'modified', staged: true, unstaged: true });
+      expect(GitManager.describeStatus('a', 1, 0, 0)).toEqual({ path: 'a', status: 'deleted', staged: true, unstaged: false });
+    });
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * HTMLRuntime Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import HTMLRuntime from '../../src/runtimes/languages/HTMLRuntime.js';
+
+describe('HTMLRuntime', () => {
+  let runtime;
+
+  beforeEach(() => {
+    runtime = new HTMLRuntime();
+  });
+
+  describe('validate()', () => {
+    it('should mark markup errors with html-validate', async () => {
+      const diagnostics = await runtime.validate('<div>\n  <p id="a">One</p>\n  <p id="a">Two</p>\n</div>\n');
+
+      expect(diagnostics).toContainEqual(expect.objectContaining({
+        line: 3,
+        severity: 'error',
+        message: 'Duplicate ID "a"',
+      }));
+    });
+
+    it('should include the best-practice issues', async () => {
+      const diagnostics = await runtime.validate('<p>Logo</p>\n<img src="logo.png">\n');
+
+      expect(diagnostics).toContainEqual(expect.objectContaining({
+        line: 2,
+        severity: 'warning',
+        message: '1 image(s) missing alt attribute (accessibility issue)',
+      }));
+    });
+  });
+});
@@ -70,6 +70,27 @@ describe('JavaScriptRuntime', () => {
       expect(result.output).toContain('SyntaxError');
     });
 
+    it('should report where a syntax error is', async () => {
+      const code = [
+        '/**',
+        ' * Greeting',
+        ' */',
+        'const greeting = `Hello,',
+        'world`;',
+        'function greet() {',
+        '  console.log(greeting)',
+        '  return greeting +;',
+        '}',
+      ].join('\n');
+
+      const result = await runtime.execute(code);
+
+      expect(result.output).toContain('at line 8, column 20');
+      expect(result.diagnostics).toEqual([
+        expect.objectContaining({ line: 8, column: 20, message: "SyntaxError: Unexpected token ';'" }),
+      ]);
+    });
+
     it('should handle runtime errors', async () => {
       const result = await runtime.execute('throw new Error("Test error")');
 
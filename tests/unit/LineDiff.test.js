@@ -0,0 +1,71 @@
+/**
+ * LineDiff Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import LineDiff from '../../src/storage/LineDiff.js';
+
+describe('LineDiff', () => {
+  describe('diff()', () => {
+    it('should find no hunks in equal texts', () => {
+      expect(LineDiff.diff('a\nb\nc', 'a\nb\nc')).toEqual([]);
+      expect(LineDiff.diff('', '')).toEqual([]);
+    });
+
+    it('should find added, deleted and modified lines', () => {
+      const original = 'one\ntwo\nthree\nfour\nfive';
+      const modified = 'zero\none\nthree\nFOUR\nfive';
+
+      expect(LineDiff.diff(original, modified)).toEqual([
+        { originalStart: 0, originalCount: 0, modifiedStart: 0, modifiedCount: 1 },
+        { originalStart: 1, originalCount: 1, modifiedStart: 2, modifiedCount: 0 },
+        { originalStart: 3, originalCount: 1, modifiedStart: 3, modifiedCount: 1 },
+      ]);
+    });
+
+    it('should treat a new file as all added lines', () => {
+      expect(LineDiff.diff('', 'a\nb')).toEqual([
+        { originalStart: 0, originalCount: 0, modifiedStart: 0, modifiedCount: 2 },
+      ]);
+    });
+  });
+
+  describe('revertHunk()', () => {
+    it('should undo one hunk and keep the others', () => {
+      const original = 'one\ntwo\nthree\nfour\nfive';
+      const modified = 'zero\none\nthree\nFOUR\nfive';
+      const [added, deleted, changed] = LineDiff.diff(original, modified);
+
+      expect(LineDiff.revertHunk(original, modified, added)).toBe('one\nthree\nFOUR\nfive');
+      expect(LineDiff.revertHunk(original, modified, deleted)).toBe('zero\none\ntwo\nthree\nFOUR\nfive');
+      expect(LineDiff.revertHunk(original, modified, changed)).toBe('zero\none\nthree\nfour\nfive');
+    });
+
+    it('should restore the original text when every hunk is reverted', () => {
+      const original = 'a\nb\nc\nd\ne\nf\ng';
+      let modified = 'a\nx\nc\ne\nf\ny\nz\ng\nh';
+
+      let hunks = LineDiff.diff(original, modified);
+      while (hunks.length > 0) {
+        modified = LineDiff.revertHunk(original, modified, hunks[hunks.length - 1]);
+        hunks = LineDiff.diff(original, modified);
+      }
+      expect(modified).toBe(original);
+    });
+  });
+
+  describe('markers()', () => {
+    it('should give 1-based editor lines for each kind of hunk', () => {
+      const hunks = LineDiff.diff('one\ntwo\nthree\nfour\nfive', 'zero\none\nthree\nFOUR\nfive');
+
+      expect(LineDiff.markers(hunks)).toEqual([
+        { type: 'added', startLine: 1, endLine: 1 },
+        { type: 'deleted', startLine: 2, endLine: 2 },
+        { type: 'modified', startLine: 4, endLine: 4 },
+      ]);
+      expect(LineDiff.markers(LineDiff.diff('gone\nkept', 'kept'))).toEqual([
+        { type: 'deleted', startLine: 1, endLine: 1 },
+      ]);
+    });
+  });
+});
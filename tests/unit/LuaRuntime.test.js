@@ -99,6 +99,34 @@ describe('LuaRuntime', () => {
     });
   });
 
+  describe('Diagnostics', () => {
+    it('should mark the line of an error in the code that was run', () => {
+      const code = 'local x = 1\n  foo()\n';
+      const error = new Error('[string "local x = 1..."]:2: attempt to call a nil value (global \'foo\')');
+
+      expect(runtime.getLuaDiagnostics(error, path => (path === null ? code : undefined))).toEqual([{
+        line: 2,
+        column: 3,
+        endLine: 2,
+        endColumn: 8,
+        severity: 'error',
+        message: "attempt to call a nil value (global 'foo')",
+        path: null,
+      }]);
+    });
+
+    it('should point errors in required files at the file', () => {
+      const error = new Error('/home/user/lib/util.lua:4: boom\nstack traceback:\n\t[C]: in ?');
+      const [diagnostic] = runtime.getLuaDiagnostics(error);
+
+      expect(diagnostic).toMatchObject({ line: 4, column: 1, message: 'boom', path: 'lib/util.lua' });
+    });
+
+    it('should report nothing for errors without a location', () => {
+      expect(runtime.getLuaDiagnostics(new Error('not enough memory'))).toEqual([]);
+    });
+  });
+
   describe('Library Information', () => {
     it('should return correct library info', () => {
       const info = runtime.getLibraryInfo();
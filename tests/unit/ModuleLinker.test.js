@@ -0,0 +1,116 @@
+/**
+ * ModuleLinker Unit Tests
+ *
+ * Blob URLs are faked so each test can read back the rewritten modules.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import ModuleLinker from '../../src/runtimes/sandbox/ModuleLinker.js';
+
+describe('ModuleLinker', () => {
+  let modules; // Blob URL -> module text
+  let originalCreateObjectURL;
+  let originalRevokeObjectURL;
+
+  beforeEach(() => {
+    modules = new Map();
+    vi.stubGlobal('Blob', class {
+      constructor(parts) {
+        this.text = parts.join('');
+      }
+    });
+    originalCreateObjectURL = URL.createObjectURL;
+    originalRevokeObjectURL = URL.revokeObjectURL;
+    URL.createObjectURL = vi.fn((blob) => {
+      const url = `blob:${modules.size + 1}`;
+      modules.set(url, blob.text);
+      return url;
+    });
+    URL.revokeObjectURL = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    URL.createObjectURL = originalCreateObjectURL;
+    URL.revokeObjectURL = originalRevokeObjectURL;
+  });
+
+  const link = (files, options) => {
+    const linker = new ModuleLinker(new Map(Object.entries(files)), options);
+    return { linker, url: linker.link('main.js') };
+  };
+
+  it('should link dependencies first and rewrite their specifiers', () => {
+    const { url } = link({
+      'main.js': "import { add } from './lib/math';\nexport * from \"./lib\";\nconst later = import('./lib/math.js');",
+      'lib/math.js': 'export const add = (a, b) => a + b;',
+      'lib/index.js': "export { add } from './math.js';",
+    });
+
+    expect(modules.get('blob:1')).toBe('export const add = (a, b) => a + b;\n//# sourceURL=lib/math.js');
+    expect(modules.get('blob:2')).toBe("export { add } from 'blob:1';\n//# sourceURL=lib/index.js");
+    expect(url).toBe('blob:3');
+    expect(modules.get(url)).toBe(
+      "import { add } from 'blob:1';\nexport * from \"blob:2\";\nconst later = import('blob:1');\n//# sourceURL=main.js"
+    );
+  });
+
+  it('should map bare specifiers through the import map', () => {
+    link({
+      'main.js': "import _ from 'lodash';\nimport x from 'utils/x';\nimport y from 'https://esm.sh/y';\nimport 'app';",
+      'src/utils/x.js': 'export default 1;',
+      'src/app.js': '',
+    }, {
+      imports: { lodash: 'https://esm.sh/lodash', 'utils/': './src/utils/', app: '/src/app.js' },
+    });
+
+    expect([...modules.values()].pop()).toContain(
+      "import _ from 'https://esm.sh/lodash';\nimport x from 'blob:1';\nimport y from 'https://esm.sh/y';\nimport 'blob:2';"
+    );
+  });
+
+  it('should report modules that cannot be found or resolved', () => {
+    expect(() => link({ 'main.js': "import './missing.js';" }))
+      .toThrow("Cannot find module './missing.js' imported from main.js");
+    expect(() => link({ 'main.js': "import React from 'react';" }))
+      .toThrow("Cannot resolve 'react' imported from main.js; add it to importmap.json");
+  });
+
+  it('should reject circular imports', () => {
+    expect(() => link({
+      'main.js': "import './a.js';",
+      'a.js': "import './b.js';",
+      'b.js': "import './a.js';",
+    })).toThrow('Circular import: main.js -> a.js -> b.js -> a.js');
+  });
+
+  it('should transform sources before linking and revoke every URL', () => {
+    const { linker } = link({
+      'main.js': "import { x } from './x';",
+      'x.ts': 'export const x: number = 1;',
+    }, {
+      transform: (path, source) => source.replace(': number', ''),
+    });
+
+    expect(modules.get('blob:1')).toBe('export const x = 1;\n//# sourceURL=x.ts');
+
+    linker.revoke();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:1');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:2');
+  });
+
+  it('should detect import and export statements', () => {
+    expect(ModuleLinker.hasModuleSyntax("import x from './x.js';")).toBe(true);
+    expect(ModuleLinker.hasModuleSyntax('const a = 1;\nexport default a;')).toBe(true);
+    expect(ModuleLinker.hasModuleSyntax("const m = await import('./x.js');")).toBe(false);
+    expect(ModuleLinker.hasModuleSyntax('console.log(important);')).toBe(false);
+  });
+
+  it('should read the imports of importmap.json', () => {
+    expect(ModuleLinker.readImportMap(new Map())).toEqual({});
+    expect(ModuleLinker.readImportMap(new Map([['importmap.json', '{"imports": {"a": "./a.js"}}']])))
+      .toEqual({ a: './a.js' });
+    expect(() => ModuleLinker.readImportMap(new Map([['importmap.json', '{']])))
+      .toThrow(/^Invalid importmap.json/);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * PostgreSQLRuntime Unit Tests
+ *
+ * PGLite is not loaded; these tests cover what the runtime reports about itself.
+ */
+
+import { describe, it, expect } from 'vitest';
+import PostgreSQLRuntime from '../../src/runtimes/databases/PostgreSQLRuntime.js';
+
+describe('PostgreSQLRuntime', () => {
+  it('should not claim it can stop a running query', () => {
+    // PGLite finishes every query; the IDE warns that it keeps running
+    expect(new PostgreSQLRuntime().canInterrupt()).toBe(false);
+  });
+
+  it('should discard the result of a stopped run', async () => {
+    const runtime = new PostgreSQLRuntime();
+    const controller = new AbortController();
+    Object.assign(runtime, {
+      loaded: true,
+      db: {
+        exec: async () => {
+          controller.abort();
+          return [{ fields: [{ name: 'n', dataTypeID: 23 }], rows: [[1]] }];
+        },
+      },
+    });
+
+    const result = await runtime.execute('SELECT 1 AS n', { signal: controller.signal });
+    expect(result.success).toBe(false);
+    expect(result.error.name).toBe('AbortError');
+    expect(result.diagnostics).toEqual([]);
+  });
+});
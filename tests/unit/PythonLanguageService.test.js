@@ -0,0 +1,194 @@
+/**
+ * PythonLanguageService Unit Tests
+ *
+ * jsdom has no Web Worker, so a fake worker records the messages the
+ * service posts and lets each test reply as the analyzer would.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import PythonLanguageService from '../../src/runtimes/languages/PythonLanguageService.js';
+
+class FakeWorker {
+  constructor(url) {
+    this.url = url;
+    this.messages = [];
+    this.terminated = false;
+    this.onmessage = null;
+    this.onerror = null;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(data) {
+    this.messages.push(data);
+  }
+
+  reply(data) {
+    this.onmessage({ data });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+FakeWorker.instances = [];
+
+// Let promise callbacks run
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('PythonLanguageService', () => {
+  let service;
+  let originalCreateObjectURL;
+  let originalRevokeObjectURL;
+
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    vi.stubGlobal('Worker', FakeWorker);
+    originalCreateObjectURL = URL.createObjectURL;
+    originalRevokeObjectURL = URL.revokeObjectURL;
+    URL.createObjectURL = vi.fn(() => 'blob:analyzer');
+    URL.revokeObjectURL = vi.fn();
+    service = new PythonLanguageService({ indexURL: 'https://example.com/pyodide/' });
+  });
+
+  afterEach(() => {
+    service.dispose();
+    vi.unstubAllGlobals();
+    URL.createObjectURL = originalCreateObjectURL;
+    URL.revokeObjectURL = originalRevokeObjectURL;
+  });
+
+  /**
+   * Start the service and answer the worker's init message
+   */
+  async function startService() {
+    const started = service.start();
+    const [worker] = FakeWorker.instances;
+    const init = worker.messages[0];
+    worker.reply({ id: init.id, result: true });
+    await started;
+    return worker;
+  }
+
+  it('should start one worker and send it the analyzer', async () => {
+    const worker = await startService();
+    await service.start();
+
+    expect(FakeWorker.instances).toHaveLength(1);
+    expect(worker.messages[0].type).toBe('init');
+    expect(worker.messages[0].params.indexURL).toBe('https://example.com/pyodide/');
+    expect(worker.messages[0].params.source).toContain('import jedi');
+    expect(service.isReady).toBe(true);
+  });
+
+  it('should wait for the analyzer before sending requests', async () => {
+    const completion = service.complete({ source: 'import os\nos.', path: null, line: 2, column: 3 });
+    const [worker] = FakeWorker.instances;
+    expect(worker.messages.map(message => message.type)).toEqual(['init']);
+
+    worker.reply({ id: worker.messages[0].id, result: true });
+    await flush();
+
+    const request = worker.messages[1];
+    expect(request.type).toBe('complete');
+    expect(request.params).toEqual({ source: 'import os\nos.', path: null, line: 2, column: 3 });
+
+    worker.reply({ id: request.id, result: [{ name: 'path', type: 'module', complete: 'path' }] });
+    await expect(completion).resolves.toEqual([{ name: 'path', type: 'module', complete: 'path' }]);
+  });
+
+  it('should match answers to their requests', async () => {
+    const worker = await startService();
+
+    const hover = service.hover({ source: 'print', path: null, line: 1, column: 2 });
+    const definition = service.definition({ source: 'print', path: null, line: 1, column: 2 });
+    await flush();
+
+    const [, hoverRequest, definitionRequest] = worker.messages;
+    worker.reply({ id: definitionRequest.id, result: [] });
+    worker.reply({ id: hoverRequest.id, result: { signature: 'print()', type: 'function' } });
+
+    await expect(hover).resolves.toEqual({ signature: 'print()', type: 'function' });
+    await expect(definition).resolves.toEqual([]);
+  });
+
+  it('should send workspace files as an object', async () => {
+    const worker = await startService();
+
+    const synced = service.sync(new Map([['helper.py', 'def greet(): pass']]));
+    await flush();
+
+    const request = worker.messages[1];
+    expect(request.type).toBe('sync');
+    expect(request.params.files).toEqual({ 'helper.py': 'def greet(): pass' });
+
+    worker.reply({ id: request.id, result: true });
+    await expect(synced).resolves.toBeUndefined();
+  });
+
+  it('should reject requests the analyzer failed', async () => {
+    const worker = await startService();
+
+    const diagnostics = service.diagnostics({ source: 'x = ', path: 'main.py' });
+    await flush();
+    worker.reply({ id: worker.messages[1].id, error: { name: 'PythonError', message: 'Traceback' } });
+
+    await expect(diagnostics).rejects.toThrow('Traceback');
+  });
+
+  it('should time out requests that get no answer', async () => {
+    await startService();
+    vi.useFakeTimers();
+
+    try {
+      const signatures = service.signatures({ source: 'print(', path: null, line: 1, column: 6 });
+      const assertion = expect(signatures).rejects.toThrow('did not answer signatures');
+      await vi.advanceTimersByTimeAsync(15000);
+      await assertion;
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should give format requests longer to answer', async () => {
+    await startService();
+    vi.useFakeTimers();
+
+    try {
+      const worker = FakeWorker.instances[0];
+      const formatted = service.format({ source: 'x=1\n' });
+      await vi.advanceTimersByTimeAsync(15000);
+
+      const request = worker.messages[1];
+      expect(request.type).toBe('format');
+      worker.reply({ id: request.id, result: 'x = 1\n' });
+      await expect(formatted).resolves.toBe('x = 1\n');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should start over after the analyzer failed to load', async () => {
+    const started = service.start();
+    const [worker] = FakeWorker.instances;
+    worker.reply({ id: worker.messages[0].id, error: { name: 'Error', message: 'offline' } });
+
+    await expect(started).rejects.toThrow('offline');
+    expect(worker.terminated).toBe(true);
+    expect(service.isReady).toBe(false);
+
+    service.start().catch(() => {});
+    expect(FakeWorker.instances).toHaveLength(2);
+  });
+
+  it('should reject waiting requests when terminated', async () => {
+    await startService();
+
+    const completion = service.complete({ source: '', path: null, line: 1, column: 0 });
+    await flush();
+    service.terminate();
+
+    await expect(completion).rejects.toThrow('stopped');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:analyzer');
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * PythonRuntime Unit Tests
+ *
+ * Pyodide is not loaded; these tests cover reading tracebacks and talking
+ * to the worker Pyodide runs in (replaced by a stand-in that records messages).
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import PythonRuntime from '../../src/runtimes/languages/PythonRuntime.js';
+
+/**
+ * Worker stand-in: keeps what the runtime posts
+ */
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+FakeWorker.instances = [];
+
+/**
+ * Answer the worker's last request of a type
+ */
+function answer(runtime, worker, type, result) {
+  const { id } = worker.messages.filter(message => message.type === type).pop();
+  runtime.handleMessage({ id, result });
+}
+
+/**
+ * Pyodide stand-in for runs on the page: runPythonAsync() prompts for a
+ * name on stdout, reads it from stdin and greets it
+ */
+function fakePyodide() {
+  const encoder = new TextEncoder();
+  let stdout = null;
+  let stdin = null;
+
+  return {
+    version: '0.25.0',
+    loadedPackages: {},
+    globals: {},
+    setStdout: (options) => { stdout = options; },
+    setStdin: (options) => { stdin = options; },
+    setInterruptBuffer: () => {},
+    registerJsModule: () => {},
+    toPy: () => ({ get: () => () => {}, destroy: () => {} }),
+    runPython: () => {},
+    runPythonAsync: async () => {
+      stdout.write(encoder.encode('Name: '));
+      const name = stdin.stdin().trim();
+      stdout.write(encoder.encode(`Hello, ${name}\n`));
+      return undefined;
+    },
+  };
+}
+
+describe('PythonRuntime', () => {
+  let runtime;
+
+  beforeEach(() => {
+    runtime = new PythonRuntime();
+  });
+
+  describe('getPythonDiagnostics()', () => {
+    it('should mark the part of the line the traceback points at', () => {
+      const code = 'def f():\n    return 1 / 0\nf()';
+      const traceback = [
+        'Traceback (most recent call last):',
+        '  File "/lib/python311.zip/_pyodide/_base.py", line 499, in eval_code_async',
+        '    await CodeRunner(',
+        '  File "<exec>", line 3, in <module>',
+        '  File "<exec>", line 2, in f',
+        '    return 1 / 0',
+        '           ~~^~~',
+        'ZeroDivisionError: division by zero',
+      ].join('\n');
+
+      expect(runtime.getPythonDiagnostics(traceback, path => (path === null ? code : undefined))).toEqual([{
+        line: 2,
+        column: 12,
+        endLine: 2,
+        endColumn: 17,
+        severity: 'error',
+        message: 'ZeroDivisionError: division by zero',
+        path: null,
+      }]);
+    });
+
+    it('should report syntax errors at the caret', () => {
+      const code = 'if True:\n    x = (\n';
+      const traceback = [
+        'Traceback (most recent call last):',
+        '  File "<exec>", line 2',
+        '    x = (',
+        '        ^',
+        "SyntaxError: '(' was never closed",
+      ].join('\n');
+
+      const [diagnostic] = runtime.getPythonDiagnostics(traceback, () => code);
+      expect(diagnostic).toMatchObject({ line: 2, column: 9, message: "SyntaxError: '(' was never closed" });
+      expect(diagnostic).not.toHaveProperty('endColumn');
+    });
+
+    it('should point errors in mounted files at the file', () => {
+      const traceback = [
+        'Traceback (most recent call last):',
+        '  File "<exec>", line 1, in <module>',
+        '  File "/home/user/lib/util.py", line 4, in load',
+        '    open(name)',
+        "FileNotFoundError: [Errno 44] No such file or directory: 'x'",
+      ].join('\n');
+      const files = { 'lib/util.py': 'import os\n\ndef load(name):\n    open(name)\n' };
+
+      const [diagnostic] = runtime.getPythonDiagnostics(traceback, path => files[path]);
+      expect(diagnostic).toMatchObject({ line: 4, column: 5, endColumn: 15, path: 'lib/util.py' });
+    });
+
+    it('should report nothing without a frame in the user\'s code', () => {
+      const traceback = 'Traceback (most recent call last):\n  File "/lib/python311.zip/x.py", line 1\nImportError: boom';
+
+      expect(runtime.getPythonDiagnostics(traceback)).toEqual([]);
+      expect(runtime.getPythonDiagnostics('KeyboardInterrupt')).toEqual([]);
+    });
+  });
+
+  describe('worker', () => {
+    beforeEach(() => {
+      FakeWorker.instances = [];
+      vi.stubGlobal('Worker', FakeWorker);
+      URL.createObjectURL = vi.fn(() => 'blob:python');
+      URL.revokeObjectURL = vi.fn();
+    });
+
+    afterEach(async () => {
+      await runtime.dispose();
+      vi.unstubAllGlobals();
+    });
+
+    /**
+     * Load the runtime with a stand-in worker
+     */
+    async function load() {
+      const loading = runtime.load();
+      await Promise.resolve();
+      answer(runtime, FakeWorker.instances[0], 'init', { version: '0.25.0' });
+      await loading;
+      return FakeWorker.instances[0];
+    }
+
+    it('should run code in the worker and log its output', async () => {
+      const output = [];
+      runtime.onOutput(text => output.push(text));
+      const worker = await load();
+
+      const running = runtime.execute('print("hi")\n1 + 1', { autoInstallPackages: false });
+      await vi.waitFor(() => expect(worker.messages.some(message => message.type === 'run')).toBe(true));
+      runtime.handleMessage({ type: 'stdout', text: 'hi\n' });
+      answer(runtime, worker, 'run', { returnValue: '2' });
+
+      const result = await running;
+      expect(result).toMatchObject({ success: true, output: '2', returnValue: '2' });
+      expect(output).toContain('hi');
+      expect(runtime.getVersion()).toBe('0.25.0');
+    });
+
+    it('should stop a run by terminating the worker without shared memory', async () => {
+      const worker = await load();
+      expect(runtime.canInterrupt()).toBe(true);
+
+      const running = runtime.execute('while True: pass', { autoInstallPackages: false });
+      await vi.waitFor(() => expect(worker.messages.some(message => message.type === 'run')).toBe(true));
+      runtime.interrupt();
+
+      const result = await running;
+      expect(worker.terminated).toBe(true);
+      expect(result.success).toBe(false);
+      expect(result.error.name).toBe('AbortError');
+
+      // The next run starts a new worker
+      const next = runtime.execute('1', { autoInstallPackages: false });
+      await vi.waitFor(() => expect(FakeWorker.instances).toHaveLength(2));
+      answer(runtime, FakeWorker.instances[1], 'init', { version: '0.25.0' });
+      await vi.waitFor(() => expect(FakeWorker.instances[1].messages.some(message => message.type === 'run')).toBe(true));
+      answer(runtime, FakeWorker.instances[1], 'run', { returnValue: null });
+      expect((await next).success).toBe(true);
+    });
+
+    it('should answer input() from the inline input field with shared memory', async () => {
+      vi.stubGlobal('crossOriginIsolated', true);
+      const prompts = [];
+      runtime.onInput((prompt, options) => {
+        prompts.push({ prompt, options });
+        return Promise.resolve('Ada');
+      });
+      await load();
+
+      runtime.writeStdout('Name: ');
+      runtime.handleMessage({ type: 'input' });
+
+      await vi.waitFor(() => expect(Atomics.load(runtime.inputState, 0)).toBe(1));
+      const length = runtime.inputState[1];
+      expect(new TextDecoder().decode(runtime.inputData.slice(0, length))).toBe('Ada');
+      expect(prompts).toEqual([{ prompt: 'Name: ', options: { sync: false } }]);
+    });
+
+    it('should warn when input() runs past the pre-supplied lines without shared memory', async () => {
+      await load();
+      const output = [];
+      runtime.onOutput((text, type) => output.push({ text, type }));
+
+      runtime.handleMessage({ type: 'input-unavailable' });
+      expect(output).toEqual([expect.objectContaining({ type: 'stdout', text: expect.stringContaining('input()') })]);
+    });
+
+    it('should run a program that reads input on the page without shared memory', async () => {
+      vi.stubGlobal('loadPyodide', async () => fakePyodide());
+      const prompts = [];
+      runtime.onInput((prompt, options) => {
+        prompts.push({ prompt, options });
+        return 'Ada';
+      });
+      const worker = await load();
+      const output = [];
+      runtime.onOutput((text, type) => output.push({ text, type }));
+
+      const result = await runtime.execute('name = input("Name: ")\nprint(f"Hello, {name}")', {
+        autoInstallPackages: false,
+      });
+
+      expect(worker.terminated).toBe(true);
+      expect(FakeWorker.instances).toHaveLength(1);
+      expect(result.success).toBe(true);
+      expect(prompts).toEqual([{ prompt: 'Name: ', options: { sync: true } }]);
+      expect(output).toContainEqual({ text: 'Hello, Ada', type: 'stdout' });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * ResultSet Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import ResultSet from '../../src/runtimes/databases/ResultSet.js';
+
+describe('ResultSet', () => {
+  const result = ResultSet.create(
+    'SELECT id, name, score FROM users;',
+    ['id', 'name', 'score'],
+    [
+      [1, 'Alice', 9.5],
+      [2, 'bob', null],
+      [3, 'Carol', 7],
+    ],
+  );
+
+  it('should infer the column types it is not given', () => {
+    expect(result.types).toEqual(['INTEGER', 'TEXT', 'REAL']);
+    expect(ResultSet.create('SELECT 1', ['a', 'b'], [[1n, null]], [null, 'VARCHAR']).types).toEqual(['BIGINT', 'VARCHAR']);
+    expect(ResultSet.inferType([[1], ['x']], 0)).toBe('ANY');
+    expect(ResultSet.inferType([[null]], 0)).toBe('NULL');
+  });
+
+  it('should offer Parquet exports for DuckDB only', () => {
+    expect(ResultSet.getExportFormats('duckdb')).toContain('parquet');
+    expect(ResultSet.getExportFormats('sqlite')).toEqual(['csv', 'json', 'insert']);
+  });
+
+  it('should display only the results of statements that return rows', () => {
+    const empty = ResultSet.create('SELECT * FROM t WHERE 0;', ['a'], []);
+    const ddl = ResultSet.create('CREATE TABLE t (a);', [], []);
+
+    expect(ResultSet.toDisplay('sqlite', [ddl])).toBeNull();
+    expect(ResultSet.toDisplay('sqlite', [ddl, empty, result])).toEqual({
+      dialect: 'sqlite',
+      exportFormats: ['csv', 'json', 'insert'],
+      results: [empty, result],
+    });
+  });
+
+  it('should filter rows case-insensitively, matching NULLs by name', () => {
+    expect(ResultSet.view(result.values, { filter: 'B' })).toEqual([[2, 'bob', null]]);
+    expect(ResultSet.view(result.values, { filter: 'null' })).toEqual([[2, 'bob', null]]);
+    expect(ResultSet.view(result.values, { filter: '  ' })).toHaveLength(3);
+  });
+
+  it('should sort rows with NULLs last in either direction', () => {
+    const ids = (rows) => rows.map(row => row[0]);
+
+    expect(ids(ResultSet.view(result.values, { sortColumn: 2 }))).toEqual([3, 1, 2]);
+    expect(ids(ResultSet.view(result.values, { sortColumn: 2, descending: true }))).toEqual([1, 3, 2]);
+    expect(ids(ResultSet.view(result.values, { sortColumn: 1 }))).toEqual([1, 2, 3]);
+  });
+
+  it('should not change the rows it views', () => {
+    ResultSet.view(result.values, { sortColumn: 0, descending: true });
+
+    expect(result.values[0][0]).toBe(1);
+  });
+
+  it('should export CSV with quoted fields and empty NULLs', () => {
+    const csv = ResultSet.toCSV(ResultSet.create('SELECT 1', ['a', 'b'], [['x,"y"', null], ['line\nbreak', 2]]));
+
+    expect(csv).toBe('a,b\r\n"x,""y""",\r\n"line\nbreak",2\r\n');
+  });
+
+  it('should export JSON objects with large integers as strings', () => {
+    const json = ResultSet.toJSON(ResultSet.create('SELECT 1', ['small', 'large', 'blob'], [
+      [1n, 9007199254740993n, new Uint8Array([1, 255])],
+    ]));
+
+    expect(JSON.parse(json)).toEqual([{ small: 1, large: '9007199254740993', blob: '01ff' }]);
+  });
+
+  it('should export INSERT statements for the queried table', () => {
+    const script = ResultSet.toInsertScript(ResultSet.create(
+      'SELECT * FROM people',
+      ['name', 'active', 'photo'],
+      [["O'Brien", true, new Uint8Array([10])], [null, false, null]],
+    ), { dialect: 'postgresql' });
+
+    expect(script).toBe(
+      'INSERT INTO "people" ("name", "active", "photo") VALUES (\'O\'\'Brien\', TRUE, \'\\x0a\'::bytea);\n'
+      + 'INSERT INTO "people" ("name", "active", "photo") VALUES (NULL, FALSE, NULL);\n',
+    );
+  });
+
+  it('should write literals for each dialect', () => {
+    expect(ResultSet.toSQLLiteral(true, 'sqlite')).toBe('1');
+    expect(ResultSet.toSQLLiteral(new Uint8Array([171]), 'sqlite')).toBe("X'ab'");
+    expect(ResultSet.toInsertScript(ResultSet.create('SELECT 1', ['a'], [[1]]), { dialect: 'mysql', tableName: 'db.t' }))
+      .toBe('INSERT INTO `db`.`t` (`a`) VALUES (1);\n');
+  });
+
+  it('should name exports after the table a query reads', () => {
+    expect(ResultSet.getTableName('select * from "Order Items" where id = 1')).toBe('Order Items');
+    expect(ResultSet.getTableName('SELECT a FROM main.users;')).toBe('main.users');
+    expect(ResultSet.getTableName('SELECT 1 + 1')).toBe('query_result');
+  });
+});
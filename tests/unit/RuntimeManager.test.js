@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import RuntimeManager from '../../src/runtimes/RuntimeManager.js';
 
 describe('RuntimeManager', () => {
@@ -112,6 +112,24 @@ describe('RuntimeManager', () => {
       expect(result.returnValue).toBe(2);
     });
 
+    it('should always return a diagnostics list', async () => {
+      const passed = await manager.executeCode('1 + 1');
+      expect(passed.diagnostics).toEqual([]);
+
+      manager.currentRuntime.execute = vi.fn(async () => ({ success: true, output: '', executionTime: 0 }));
+      const bare = await manager.executeCode('1 + 1');
+      expect(bare.diagnostics).toEqual([]);
+    });
+
+    it('should report where thrown errors happened', async () => {
+      const result = await manager.executeCode('const a = 1;\nnull.missing;');
+
+      expect(result.success).toBe(false);
+      expect(result.diagnostics).toHaveLength(1);
+      expect(result.diagnostics[0]).toMatchObject({ line: 2, severity: 'error', path: null });
+      expect(result.diagnostics[0].message).toContain('TypeError');
+    });
+
     it('should throw error if no runtime loaded', async () => {
       manager.currentRuntime = null;
 
@@ -119,6 +137,131 @@ describe('RuntimeManager', () => {
         'No runtime loaded'
       );
     });
+
+    it('should give the runtime the pre-supplied stdin', async () => {
+      const setStdinSpy = vi.spyOn(manager.currentRuntime, 'setStdin');
+
+      await manager.executeCode('1 + 1', { stdin: 'Ada\n' });
+
+      expect(setStdinSpy).toHaveBeenCalledWith('Ada\n');
+    });
+
+    it('should forward input requests to the input callback', async () => {
+      const inputCallback = vi.fn(() => 'typed');
+      manager.onInput(inputCallback);
+
+      expect(manager.currentRuntime.readLineSync('? ')).toBe('typed');
+      expect(inputCallback).toHaveBeenCalledWith('? ', { sync: true });
+    });
+
+    it('should pass an AbortSignal to the runtime', async () => {
+      const executeSpy = vi.spyOn(manager.currentRuntime, 'execute');
+
+      await manager.executeCode('1 + 1');
+
+      const [, options] = executeSpy.mock.calls[0];
+      expect(options.signal).toBeInstanceOf(AbortSignal);
+      expect(options.signal.aborted).toBe(false);
+    });
+  });
+
+  describe('cancellation', () => {
+    let hangingRuntime;
+
+    beforeEach(() => {
+      hangingRuntime = {
+        execute: vi.fn(() => new Promise(() => {})),
+        interrupt: vi.fn(),
+        setStdin: vi.fn(),
+        canInterrupt: () => true,
+        getName: () => 'hanging',
+      };
+      manager.currentRuntime = hangingRuntime;
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should time out using the configured timeout', async () => {
+      vi.useFakeTimers();
+      manager.setExecutionTimeout(5000);
+
+      const promise = manager.executeCode('while (true) {}');
+      vi.advanceTimersByTime(5000);
+      const result = await promise;
+
+      expect(result.success).toBe(false);
+      expect(result.cancelled).toBe(true);
+      expect(result.error.name).toBe('TimeoutError');
+      expect(hangingRuntime.interrupt).toHaveBeenCalledWith(result.error);
+      expect(manager.isExecuting()).toBe(false);
+    });
+
+    it('should let options.timeout override the configured timeout', async () => {
+      vi.useFakeTimers();
+
+      const promise = manager.executeCode('loop', { timeout: 100 });
+      vi.advanceTimersByTime(100);
+      const result = await promise;
+
+      expect(result.error.message).toBe('Execution timed out after 100ms');
+    });
+
+    it('should stop the active run on interrupt()', async () => {
+      const promise = manager.executeCode('loop', { timeout: 0 });
+
+      expect(manager.isExecuting()).toBe(true);
+      expect(manager.interrupt()).toBe(true);
+
+      const result = await promise;
+      expect(result.cancelled).toBe(true);
+      expect(result.error.name).toBe('AbortError');
+      expect(hangingRuntime.interrupt).toHaveBeenCalled();
+    });
+
+    it('should report runtimes that cannot be interrupted', async () => {
+      hangingRuntime.canInterrupt = () => false;
+      const promise = manager.executeCode('loop', { timeout: 0 });
+
+      expect(manager.interrupt()).toBe(false);
+      await expect(promise).resolves.toMatchObject({ cancelled: true });
+    });
+
+    it('should cancel when an external signal aborts', async () => {
+      const controller = new AbortController();
+      const promise = manager.executeCode('loop', { timeout: 0, signal: controller.signal });
+
+      controller.abort();
+
+      const result = await promise;
+      expect(result.cancelled).toBe(true);
+      expect(result.error.name).toBe('AbortError');
+    });
+
+    it('should pause the timeout while waiting for input', async () => {
+      vi.useFakeTimers();
+      let answer;
+      manager.onInput(() => new Promise((resolve) => { answer = resolve; }));
+
+      const promise = manager.executeCode('read', { timeout: 1000 });
+      vi.advanceTimersByTime(600);
+
+      const line = manager.handleInput('Name: ', { sync: false });
+      vi.advanceTimersByTime(5000);
+      expect(manager.isExecuting()).toBe(true);
+
+      answer('Ada');
+      await expect(line).resolves.toBe('Ada');
+
+      vi.advanceTimersByTime(400);
+      const result = await promise;
+      expect(result.error.name).toBe('TimeoutError');
+    });
+
+    it('should return false from interrupt() when nothing is running', () => {
+      expect(manager.interrupt()).toBe(false);
+    });
   });
 
   describe('getAvailableLanguages()', () => {
@@ -168,6 +311,21 @@ describe('RuntimeManager', () => {
 
       expect(manager.errorCallback).toBe(callback);
     });
+
+    it('should share the file manager and forward file changes', async () => {
+      const fileManager = { getAllFiles: vi.fn() };
+      const callback = vi.fn();
+      const before = await manager.loadRuntime('javascript');
+
+      manager.setFileManager(fileManager);
+      manager.onFilesChanged(callback);
+      const after = await manager.loadRuntime('shell');
+      after.notifyFilesChanged();
+
+      expect(before.fileManager).toBe(fileManager);
+      expect(after.fileManager).toBe(fileManager);
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('dispose()', () => {
@@ -5,7 +5,9 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import initSqlJs from 'sql.js';
 import SQLiteRuntime from '../../src/runtimes/databases/SQLiteRuntime.js';
+import DatabaseStore from '../../src/storage/DatabaseStore.js';
 
 // Mock global objects
 global.performance = {
@@ -126,6 +128,32 @@ describe('SQLiteRuntime', () => {
     });
   });
 
+  describe('Diagnostics', () => {
+    const code = 'SELECT 1;\n\nSELECT *\n  FRM users;';
+    const statement = 'SELECT *\n  FRM users;';
+
+    it('should mark the token a syntax error names', () => {
+      const error = new Error('near "FRM": syntax error');
+
+      expect(runtime.getStatementDiagnostic(error, code, statement, code.indexOf('SELECT *'))).toEqual({
+        line: 4,
+        column: 3,
+        endLine: 4,
+        endColumn: 6,
+        severity: 'error',
+        message: 'near "FRM": syntax error',
+        path: null,
+      });
+    });
+
+    it('should mark the first line of a failing statement otherwise', () => {
+      const error = new Error('no such table: users');
+      const diagnostic = runtime.getStatementDiagnostic(error, code, statement, code.indexOf('SELECT *'));
+
+      expect(diagnostic).toMatchObject({ line: 3, column: 1, endColumn: 9, message: 'no such table: users' });
+    });
+  });
+
   describe('Library Information', () => {
     it('should return correct library info', () => {
       const info = runtime.getLibraryInfo();
@@ -179,6 +207,103 @@ describe('SQLiteRuntime', () => {
     });
   });
 
+  describe('Saved databases', () => {
+    let files;
+
+    beforeEach(async () => {
+      // File store keeping path -> {id, content}
+      files = new Map();
+      let nextId = 1;
+      runtime.setFileManager({
+        stat: async path => (files.has(path) ? { type: 'file', file: files.get(path) } : null),
+        readFile: async path => files.get(path).content,
+        writeFile: async (path, content) => {
+          files.set(path, { id: files.get(path)?.id ?? nextId++, content });
+        },
+        deleteFile: async (id) => {
+          files.forEach((file, path) => file.id === id && files.delete(path));
+        },
+      });
+
+      const storage = new Map();
+      Object.assign(runtime, {
+        databases: new DatabaseStore({
+          storage: { getItem: key => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, value) },
+        }),
+        SQL: await initSqlJs(),
+        loaded: true,
+      });
+      runtime.db = new runtime.SQL.Database();
+    });
+
+    it('should save a named database after each run and open it again', async () => {
+      await runtime.openDatabase('school');
+      await runtime.execute("CREATE TABLE students (name TEXT); INSERT INTO students VALUES ('Ada');");
+
+      expect(files.has('databases/school.sqlite')).toBe(true);
+      expect(runtime.listDatabases()).toEqual(['school']);
+
+      await runtime.openDatabase(null);
+      expect(runtime.getTables()).toEqual([]);
+
+      await runtime.openDatabase('school');
+      expect(runtime.getDatabaseName()).toBe('school');
+      expect(runtime.db.exec('SELECT name FROM students')[0].values).toEqual([['Ada']]);
+    });
+
+    it('should keep PRAGMAs such as foreign_keys when saving after a run', async () => {
+      await runtime.openDatabase('school');
+      await runtime.execute('PRAGMA foreign_keys = ON; PRAGMA recursive_triggers = ON;');
+      await runtime.execute('CREATE TABLE classes (id INTEGER PRIMARY KEY)');
+
+      expect(runtime.db.exec('PRAGMA foreign_keys')[0].values).toEqual([[1]]);
+      expect(runtime.db.exec('PRAGMA recursive_triggers')[0].values).toEqual([[1]]);
+
+      await runtime.execute('CREATE TABLE students (class INTEGER REFERENCES classes(id))');
+      const result = await runtime.execute('INSERT INTO students VALUES (7)');
+      expect(result.diagnostics).toEqual([expect.objectContaining({ message: 'FOREIGN KEY constraint failed' })]);
+    });
+
+    it('should open SQLite files and refuse other files', async () => {
+      const other = new runtime.SQL.Database();
+      other.run('CREATE TABLE books (title TEXT)');
+      await runtime.openDatabase('library', { data: other.export() });
+      other.close();
+
+      expect(runtime.getTables()).toEqual(['books']);
+      expect(files.has('databases/library.sqlite')).toBe(true);
+
+      await expect(runtime.openDatabase('notes', { data: new TextEncoder().encode('not a database') }))
+        .rejects.toThrow('Not a SQLite database');
+      expect(runtime.getDatabaseName()).toBe('library');
+      expect(runtime.listDatabases()).toEqual(['library']);
+    });
+
+    it('should delete a database, switching to memory if it is open', async () => {
+      await runtime.openDatabase('school');
+      await runtime.deleteDatabase('school');
+
+      expect(runtime.getDatabaseName()).toBeNull();
+      expect(runtime.listDatabases()).toEqual([]);
+      expect(files.size).toBe(0);
+    });
+
+    it('should import a table and save it, leaving nothing behind when it fails', async () => {
+      await runtime.openDatabase('school');
+      const columns = [{ name: 'name', type: 'TEXT' }, { name: 'age', type: 'INTEGER' }];
+      await runtime.importTable({ name: 'students', columns, rows: [['Ada', '36'], ['Alan', '']] });
+
+      const saved = new runtime.SQL.Database(files.get('databases/school.sqlite').content);
+      expect(saved.exec('SELECT name, age FROM students')[0].values).toEqual([['Ada', 36], ['Alan', null]]);
+      saved.close();
+
+      await expect(runtime.importTable({ name: 'students', columns, rows: [] })).rejects.toThrow('Failed to import students');
+      await expect(runtime.importTable({ name: 'teachers', columns: [...columns, columns[0]], rows: [] }))
+        .rejects.toThrow();
+      expect(runtime.getTables()).toEqual(['students']);
+    });
+  });
+
   // Integration tests would require actual sql.js library
   // These are skipped in unit tests but would run in E2E tests
   describe.skip('Execute (Integration)', () => {
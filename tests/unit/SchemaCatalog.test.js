@@ -0,0 +1,79 @@
+/**
+ * SchemaCatalog Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import SchemaCatalog from '../../src/schemas/SchemaCatalog.js';
+
+/**
+ * In-memory Storage
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+describe('SchemaCatalog', () => {
+  let storage;
+  let catalog;
+
+  beforeEach(() => {
+    storage = createStorage();
+    catalog = new SchemaCatalog({ storage });
+  });
+
+  describe('matchPath()', () => {
+    it('should match bundled schemas by file name and path', () => {
+      expect(catalog.matchPath('package.json')?.id).toBe('package-json');
+      expect(catalog.matchPath('web/package.json')?.id).toBe('package-json');
+      expect(catalog.matchPath('.github/workflows/ci.yml')?.id).toBe('github-workflow');
+      expect(catalog.matchPath('.github/workflows/release.yaml')?.id).toBe('github-workflow');
+      expect(catalog.matchPath('docker-compose.yml')?.id).toBe('docker-compose');
+      expect(catalog.matchPath('deploy/compose.yaml')?.id).toBe('docker-compose');
+    });
+
+    it('should not match other files', () => {
+      expect(catalog.matchPath('package.json.bak')).toBeNull();
+      expect(catalog.matchPath('.github/ci.yml')).toBeNull();
+      expect(catalog.matchPath('workflows/ci.yml')).toBeNull();
+      expect(catalog.matchPath(null)).toBeNull();
+    });
+  });
+
+  describe('resolve()', () => {
+    it('should prefer an attached schema file, and remember it', async () => {
+      catalog.setAssociation(7, SchemaCatalog.fileRef(3));
+      const schema = { title: 'Config', type: 'object' };
+
+      const resolved = await new SchemaCatalog({ storage }).resolve(
+        { id: 7, path: 'package.json', content: '{}', language: 'json' },
+        async fileId => (fileId === '3' ? schema : null),
+      );
+
+      expect(resolved).toEqual({ uri: 'drlee-schema://file/3', name: 'Config', schema });
+    });
+
+    it('should use a bundled schema named in the file', async () => {
+      const resolved = await catalog.resolve({
+        id: null,
+        path: 'build.yml',
+        content: '# yaml-language-server: $schema=https://json.schemastore.org/github-workflow.json\non: push\n',
+        language: 'yaml',
+      });
+
+      expect(resolved.name).toBe('GitHub Actions workflow');
+    });
+
+    it('should fall back to the file name once detached', async () => {
+      catalog.setAssociation(7, 'docker-compose');
+      expect((await catalog.resolve({ id: 7, path: 'package.json', content: '', language: 'json' })).name).toBe('Docker Compose');
+
+      catalog.setAssociation(7, null);
+      expect((await catalog.resolve({ id: 7, path: 'package.json', content: '', language: 'json' })).name).toBe('package.json');
+      expect(await catalog.resolve({ id: 8, path: 'data.json', content: '', language: 'json' })).toBeNull();
+    });
+  });
+});
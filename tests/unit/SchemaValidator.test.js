@@ -0,0 +1,89 @@
+/**
+ * SchemaValidator Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import SchemaValidator from '../../src/schemas/SchemaValidator.js';
+
+const schema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    type: { enum: ['module', 'commonjs'], description: 'Module format' },
+    private: { type: 'boolean' },
+    tags: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+    author: { $ref: '#/definitions/person' },
+  },
+  additionalProperties: false,
+  definitions: {
+    person: {
+      anyOf: [
+        { type: 'string' },
+        { type: 'object', required: ['name'], properties: { name: { type: 'string' }, email: { type: 'string' } } },
+      ],
+    },
+  },
+};
+
+describe('SchemaValidator', () => {
+  describe('validate()', () => {
+    it('should accept a value that follows the schema', () => {
+      const value = { name: 'app', type: 'module', tags: ['a', 'b'], author: { name: 'Ada' } };
+
+      expect(SchemaValidator.validate(value, schema)).toEqual([]);
+    });
+
+    it('should report problems with the path of the value', () => {
+      const value = { type: 'esm', private: 'yes', tags: ['a', 1], extra: true };
+
+      expect(SchemaValidator.validate(value, schema)).toEqual([
+        { path: [], message: 'Missing property "name"', severity: 'error' },
+        { path: ['type'], message: 'Value is not accepted. Valid values: "module", "commonjs"', severity: 'error' },
+        { path: ['private'], message: 'Incorrect type. Expected boolean, got string', severity: 'error' },
+        { path: ['tags', 1], message: 'Incorrect type. Expected string, got integer', severity: 'error' },
+        { path: ['extra'], message: 'Property "extra" is not allowed', severity: 'warning' },
+      ]);
+    });
+
+    it('should report the closest alternative of anyOf through $ref', () => {
+      expect(SchemaValidator.validate({ name: 'app', author: { email: 'a@b.c' } }, schema)).toEqual([
+        { path: ['author'], message: 'Missing property "name"', severity: 'error' },
+      ]);
+      expect(SchemaValidator.validate({ name: 'app', author: 42 }, schema)).toEqual([
+        { path: ['author'], message: 'Incorrect type. Expected string or object, got integer', severity: 'error' },
+      ]);
+    });
+
+    it('should check pattern properties and string patterns', () => {
+      const services = {
+        type: 'object',
+        patternProperties: { '^[a-z]+$': { type: 'object', properties: { image: { type: 'string', pattern: ':' } } } },
+        additionalProperties: false,
+      };
+
+      expect(SchemaValidator.validate({ web: { image: 'nginx:1' }, DB: {} }, services)).toEqual([
+        { path: ['DB'], message: 'Property "DB" is not allowed', severity: 'warning' },
+      ]);
+      expect(SchemaValidator.validate({ web: { image: 'nginx' } }, services)[0].path).toEqual(['web', 'image']);
+    });
+  });
+
+  describe('completions', () => {
+    it('should list the properties at a path', () => {
+      const properties = SchemaValidator.propertiesAt(schema, ['author']);
+
+      expect([...properties.keys()]).toEqual(['name', 'email']);
+      expect([...SchemaValidator.propertiesAt(schema, []).keys()]).toContain('private');
+    });
+
+    it('should suggest enum and boolean values', () => {
+      expect(SchemaValidator.valuesAt(schema, ['type'])).toEqual([
+        { value: 'module', description: 'Module format' },
+        { value: 'commonjs', description: 'Module format' },
+      ]);
+      expect(SchemaValidator.valuesAt(schema, ['private']).map(({ value }) => value)).toEqual([true, false]);
+      expect(SchemaValidator.valuesAt(schema, ['tags', 0])).toEqual([]);
+    });
+  });
+});
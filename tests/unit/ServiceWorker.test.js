@@ -0,0 +1,149 @@
+/**
+ * Service worker Unit Tests
+ *
+ * public/sw.js runs in a Node context standing in for the worker scope,
+ * with Cache Storage and the network replaced by in-memory stand-ins.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+
+const SOURCE = fs.readFileSync(path.resolve(__dirname, '../../public/sw.js'), 'utf8');
+
+const ORIGIN = 'https://drlee.dev';
+
+const INDEX_HTML = `<!DOCTYPE html>
+<link rel="icon" type="image/svg+xml" href="/favicon.svg">
+<link rel="preconnect" href="https://cdn.jsdelivr.net">
+<link rel="stylesheet" href="/assets/index-1.css">
+<script type="module" src="/assets/index-1.js"></script>`;
+
+/**
+ * Absolute URL of a request or path
+ */
+function urlOf(request) {
+  return new URL(typeof request === 'string' ? request : request.url, ORIGIN).href;
+}
+
+describe('Service worker', () => {
+  let network; // URL -> {body, status} while online; null offline
+  let fetched; // URLs fetched from the network
+  let listeners;
+
+  beforeEach(() => {
+    network = new Map();
+    fetched = [];
+    listeners = {};
+
+    const fetch = async (request) => {
+      if (!network) throw new TypeError('Failed to fetch');
+      fetched.push(urlOf(request));
+      const file = network.get(urlOf(request));
+      return new Response(file ? file.body : 'Not found', { status: file ? file.status || 200 : 404 });
+    };
+
+    const stores = new Map();
+    const caches = {
+      keys: async () => [...stores.keys()],
+      delete: async name => stores.delete(name),
+      open: async (name) => {
+        if (!stores.has(name)) stores.set(name, new Map());
+        const store = stores.get(name);
+        return {
+          match: async request => store.get(urlOf(request))?.clone(),
+          put: async (request, response) => {
+            store.set(urlOf(request), response);
+          },
+          add: async (request) => {
+            const response = await fetch(request);
+            if (!response.ok) throw new TypeError('Request failed');
+            store.set(urlOf(request), response);
+          },
+        };
+      },
+    };
+
+    const scope = {
+      addEventListener: (type, listener) => {
+        listeners[type] = listener;
+      },
+      location: { origin: ORIGIN },
+      skipWaiting: async () => {},
+      clients: { claim: async () => {} },
+      caches,
+      fetch,
+      Request,
+      Response,
+      URL,
+    };
+    scope.self = scope;
+    vm.runInNewContext(SOURCE, scope);
+  });
+
+  /**
+   * Dispatch an event, resolving with what it waited on or answered with
+   */
+  function dispatch(type, data = {}) {
+    let result;
+    listeners[type]({
+      ...data,
+      waitUntil: (promise) => {
+        result = promise;
+      },
+      respondWith: (promise) => {
+        result = promise;
+      },
+    });
+    return result;
+  }
+
+  /**
+   * Text of the response to a GET request
+   */
+  async function get(path, mode = 'cors') {
+    const response = await dispatch('fetch', { request: { url: urlOf(path), method: 'GET', mode } });
+    return response.text();
+  }
+
+  it('should open the IDE offline once it has been installed', async () => {
+    network.set(`${ORIGIN}/index.html`, { body: INDEX_HTML });
+    network.set(`${ORIGIN}/favicon.svg`, { body: '<svg/>' });
+    network.set(`${ORIGIN}/assets/index-1.css`, { body: 'body {}' });
+    network.set(`${ORIGIN}/assets/index-1.js`, { body: 'import "./app.js";' });
+
+    await dispatch('install');
+    await dispatch('activate');
+    network = null;
+
+    expect(await get('/', 'navigate')).toBe(INDEX_HTML);
+    expect(await get('/projects/demo', 'navigate')).toBe(INDEX_HTML);
+    expect(await get('/assets/index-1.js')).toBe('import "./app.js";');
+    expect(await get('/assets/index-1.css')).toBe('body {}');
+    expect(fetched).not.toContain('https://cdn.jsdelivr.net/');
+  });
+
+  it('should fetch the IDE\'s files first while online, keeping them for offline use', async () => {
+    network.set(`${ORIGIN}/assets/sql-2.js`, { body: 'v1' });
+    expect(await get('/assets/sql-2.js')).toBe('v1');
+
+    network.set(`${ORIGIN}/assets/sql-2.js`, { body: 'v2' });
+    expect(await get('/assets/sql-2.js')).toBe('v2');
+
+    network = null;
+    expect(await get('/assets/sql-2.js')).toBe('v2');
+  });
+
+  it('should not keep failed CDN responses', async () => {
+    const url = 'https://cdn.jsdelivr.net/pyodide/v0.25.0/full/pyodide.js';
+    network.set(url, { body: 'Server error', status: 500 });
+    expect(await get(url)).toBe('Server error');
+
+    network.set(url, { body: 'loadPyodide' });
+    expect(await get(url)).toBe('loadPyodide');
+
+    network = null;
+    expect(await get(url)).toBe('loadPyodide');
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * SessionManager Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SessionManager from '../../src/storage/SessionManager.js';
+
+/**
+ * In-memory Storage, optionally refusing writes like a full localStorage
+ */
+function createStorage({ full = false } = {}) {
+  const items = new Map();
+  return {
+    items,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      if (full) throw new DOMException('Quota exceeded', 'QuotaExceededError');
+      items.set(key, String(value));
+    },
+    removeItem: key => items.delete(key),
+  };
+}
+
+const session = {
+  groups: [
+    {
+      activeTabId: 2,
+      tabs: [
+        { id: 1, name: 'main.py', language: 'python', unsaved: false },
+        { id: 2, name: 'util.py', language: 'python', unsaved: true, content: 'x = 1', viewState: { cursorState: [] } },
+      ],
+    },
+    {
+      activeTabId: 'new-1',
+      tabs: [{ id: 'new-1', name: 'Untitled.js', language: 'javascript', unsaved: false, content: '' }],
+    },
+  ],
+  activeGroup: 1,
+  orientation: 'horizontal',
+  outputWidth: 420,
+  previewMode: true,
+  stdinVisible: false,
+  explorerCollapsed: true,
+};
+
+describe('SessionManager', () => {
+  let storage;
+  let manager;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    storage = createStorage();
+    manager = new SessionManager({ storage });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  describe('save() and load()', () => {
+    it('should return null when no session was saved', () => {
+      expect(manager.load()).toBeNull();
+    });
+
+    it('should read back a saved session', () => {
+      expect(manager.save(session)).toBe(true);
+      expect(manager.load()).toEqual(session);
+    });
+
+    it('should keep buffer contents, including empty ones', () => {
+      manager.save(session);
+      const [first, second] = manager.load().groups;
+
+      expect(first.tabs[0]).not.toHaveProperty('content');
+      expect(first.tabs[1].content).toBe('x = 1');
+      expect(second.tabs[0].content).toBe('');
+    });
+
+    it('should ignore unreadable and outdated sessions', () => {
+      storage.setItem('drlee-ide-session', '{not json');
+      expect(manager.load()).toBeNull();
+
+      storage.setItem('drlee-ide-session', JSON.stringify({ ...session, version: 0 }));
+      expect(manager.load()).toBeNull();
+    });
+
+    it('should report a failed save', () => {
+      manager = new SessionManager({ storage: createStorage({ full: true }) });
+      expect(manager.save(session)).toBe(false);
+    });
+
+    it('should forget the session on clear()', () => {
+      manager.save(session);
+      manager.clear();
+      expect(manager.load()).toBeNull();
+    });
+  });
+
+  describe('normalize()', () => {
+    it('should fill in defaults', () => {
+      expect(SessionManager.normalize({})).toEqual({
+        groups: [],
+        activeGroup: 0,
+        orientation: 'vertical',
+        outputWidth: null,
+        previewMode: false,
+        stdinVisible: false,
+        explorerCollapsed: false,
+      });
+    });
+
+    it('should drop malformed tabs and empty groups', () => {
+      const { groups, activeGroup } = SessionManager.normalize({
+        groups: [
+          { tabs: [null, { name: 'no id' }] },
+          { activeTabId: 9, tabs: [{ id: 3, name: 'a.js' }, { id: 4, name: 'b.js' }] },
+        ],
+        activeGroup: 5,
+      });
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].tabs.map(tab => tab.id)).toEqual([3, 4]);
+      expect(groups[0].activeTabId).toBe(4);
+      expect(activeGroup).toBe(0);
+    });
+  });
+
+  describe('scheduleSave()', () => {
+    it('should save the latest session once changes settle', () => {
+      vi.useFakeTimers();
+      const getSession = vi.fn(() => session);
+
+      manager.scheduleSave(() => ({}));
+      manager.scheduleSave(getSession);
+      expect(manager.load()).toBeNull();
+
+      vi.advanceTimersByTime(500);
+      expect(getSession).toHaveBeenCalledTimes(1);
+      expect(manager.load()).toEqual(session);
+    });
+
+    it('should save right away on flush()', () => {
+      vi.useFakeTimers();
+      manager.scheduleSave(() => session);
+
+      expect(manager.flush()).toBe(true);
+      expect(manager.load()).toEqual(session);
+
+      // Nothing is left to save
+      storage.items.clear();
+      vi.advanceTimersByTime(500);
+      expect(manager.load()).toBeNull();
+    });
+
+    it('should call onFailure when a scheduled save fails', () => {
+      manager = new SessionManager({ storage: createStorage({ full: true }) });
+      const onFailure = vi.fn();
+
+      manager.scheduleSave(() => session, onFailure);
+      expect(manager.flush()).toBe(false);
+      expect(onFailure).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * ShellParser Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import ShellParser from '../../src/runtimes/languages/shell/ShellParser.js';
+
+describe('ShellParser', () => {
+  let parser;
+
+  // Raw text of each word of the first simple command
+  const wordsOf = (command) => command.words.map(word => word.raw);
+  const firstCommand = (list) => list.commands[0].first.commands[0];
+
+  beforeEach(() => {
+    parser = new ShellParser();
+  });
+
+  describe('lists and pipelines', () => {
+    it('should split commands on newlines and semicolons', () => {
+      const list = parser.parse('echo a; echo b\n\necho c');
+
+      expect(list.commands).toHaveLength(3);
+    });
+
+    it('should parse && and || chains', () => {
+      const list = parser.parse('make && echo ok || echo failed');
+      const chain = list.commands[0];
+
+      expect(chain.rest.map(item => item.op)).toEqual(['&&', '||']);
+    });
+
+    it('should parse pipelines and negation', () => {
+      const pipeline = parser.parse('! cat data.txt | grep a | wc -l').commands[0].first;
+
+      expect(pipeline.negated).toBe(true);
+      expect(pipeline.commands.map(command => command.words[0].raw)).toEqual(['cat', 'grep', 'wc']);
+    });
+
+    it('should allow a newline after a pipe or &&', () => {
+      const list = parser.parse('cat data.txt |\n  wc -l &&\n  echo done');
+
+      expect(list.commands).toHaveLength(1);
+    });
+
+    it('should ignore comments', () => {
+      const list = parser.parse('# setup\necho hi # greet');
+
+      expect(list.commands).toHaveLength(1);
+      expect(wordsOf(firstCommand(list))).toEqual(['echo', 'hi']);
+    });
+  });
+
+  describe('words', () => {
+    it('should keep quoted text together and mark it as quoted', () => {
+      const command = firstCommand(parser.parse(`echo "a b" 'c $d' e\\ f`));
+
+      expect(command.words).toHaveLength(4);
+      expect(command.words[1].parts).toEqual([{ type: 'text', value: 'a b', quoted: true }]);
+      expect(command.words[2].parts).toEqual([{ type: 'text', value: 'c $d', quoted: true }]);
+    });
+
+    it('should parse parameter, command and arithmetic expansions', () => {
+      const command = firstCommand(parser.parse('echo $HOME "${name:-x}" $(date) $((1 + 2))'));
+      const types = command.words.slice(1).map(word => word.parts[0].type);
+
+      expect(types).toEqual(['param', 'param', 'command', 'arith']);
+      expect(command.words[2].parts[0]).toMatchObject({ name: 'name', op: ':-', quoted: true });
+      expect(command.words[3].parts[0].source).toBe('date');
+      expect(command.words[4].parts[0].source).toBe('1 + 2');
+    });
+
+    it('should parse assignments before the command name', () => {
+      const command = firstCommand(parser.parse('A=1 B="x y" env'));
+
+      expect(command.assignments.map(assignment => assignment.name)).toEqual(['A', 'B']);
+      expect(wordsOf(command)).toEqual(['env']);
+    });
+
+    it('should treat reserved words as arguments after the command name', () => {
+      const command = firstCommand(parser.parse('echo if then done'));
+
+      expect(wordsOf(command)).toEqual(['echo', 'if', 'then', 'done']);
+    });
+  });
+
+  describe('redirections', () => {
+    it('should parse file redirections with descriptors', () => {
+      const command = firstCommand(parser.parse('sort < in.txt > out.txt 2>> err.log 2>&1'));
+
+      expect(command.redirects.map(({ op, fd, target }) => [op, fd, target.raw])).toEqual([
+        ['<', null, 'in.txt'],
+        ['>', null, 'out.txt'],
+        ['>>', 2, 'err.log'],
+        ['>&', 2, '1'],
+      ]);
+    });
+
+    it('should read heredoc bodies', () => {
+      const list = parser.parse('cat <<EOF\nHello $USER\nEOF\necho after');
+      const heredoc = firstCommand(list).redirects[0].heredoc;
+
+      expect(list.commands).toHaveLength(2);
+      expect(heredoc.parts.map(part => part.type)).toEqual(['text', 'param', 'text']);
+    });
+
+    it('should not expand heredocs with a quoted delimiter', () => {
+      const heredoc = firstCommand(parser.parse("cat <<'EOF'\n$HOME\nEOF")).redirects[0].heredoc;
+
+      expect(heredoc.parts).toEqual([{ type: 'text', value: '$HOME\n', quoted: true }]);
+    });
+  });
+
+  describe('compound commands', () => {
+    it('should parse if/elif/else', () => {
+      const node = firstCommand(parser.parse('if a; then b; elif c; then d; else e; fi'));
+
+      expect(node.type).toBe('if');
+      expect(node.clauses).toHaveLength(2);
+      expect(node.elseBody.commands).toHaveLength(1);
+    });
+
+    it('should parse for loops with and without a word list', () => {
+      const withWords = firstCommand(parser.parse('for f in *.txt a b; do echo $f; done'));
+      const withoutWords = firstCommand(parser.parse('for arg\ndo\n  echo $arg\ndone'));
+
+      expect(withWords.name).toBe('f');
+      expect(withWords.words.map(word => word.raw)).toEqual(['*.txt', 'a', 'b']);
+      expect(withoutWords.words).toBeNull();
+    });
+
+    it('should parse while and until loops with redirections', () => {
+      const node = firstCommand(parser.parse('while read line; do echo "$line"; done < data.txt'));
+      const until = firstCommand(parser.parse('until false; do break; done'));
+
+      expect(node).toMatchObject({ type: 'while', until: false });
+      expect(node.redirects[0].target.raw).toBe('data.txt');
+      expect(until.until).toBe(true);
+    });
+
+    it('should parse function definitions in both forms', () => {
+      const short = firstCommand(parser.parse('greet() { echo hi; }'));
+      const long = firstCommand(parser.parse('function greet {\n  echo hi\n}'));
+
+      expect(short).toMatchObject({ type: 'function', name: 'greet' });
+      expect(long).toMatchObject({ type: 'function', name: 'greet' });
+      expect(long.body.type).toBe('group');
+    });
+
+    it('should parse subshells', () => {
+      const node = firstCommand(parser.parse('(cd /tmp; ls)'));
+
+      expect(node).toMatchObject({ type: 'group', subshell: true });
+    });
+  });
+
+  describe('syntax errors', () => {
+    it('should report unexpected tokens with the line number', () => {
+      expect(() => parser.parse('echo a\nfi')).toThrow("line 2: syntax error near unexpected token `fi'");
+      expect(() => parser.parse('| wc')).toThrow(SyntaxError);
+    });
+
+    it('should report unterminated blocks and quotes', () => {
+      expect(() => parser.parse('if true; then echo')).toThrow('unexpected end of file');
+      expect(() => parser.parse('echo "open')).toThrow('unexpected EOF');
+    });
+  });
+});
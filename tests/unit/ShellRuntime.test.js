@@ -0,0 +1,412 @@
+/**
+ * ShellRuntime Unit Tests
+ *
+ * Tests for the shell interpreter running against the simulated file system
+ * and the user's saved files
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import ShellRuntime from '../../src/runtimes/languages/ShellRuntime.js';
+import BaseRuntime from '../../src/runtimes/BaseRuntime.js';
+
+describe('ShellRuntime', () => {
+  let runtime;
+  let stderr;
+
+  // Run a script and return its stdout
+  const run = async (code) => (await runtime.execute(code)).output;
+
+  beforeEach(() => {
+    runtime = new ShellRuntime();
+    stderr = [];
+    runtime.onError(text => stderr.push(text));
+  });
+
+  describe('pipelines and redirection', () => {
+    it('should pass stdout to the next command', async () => {
+      expect(await run('cat data.txt | grep an | head -n 1')).toBe('banana\n');
+    });
+
+    it('should write and append files with > and >>', async () => {
+      const output = await run('echo one > out.txt; echo two >> out.txt; cat out.txt');
+
+      expect(output).toBe('one\ntwo\n');
+      expect(runtime.getNode('/home/user/out.txt').content).toBe('one\ntwo\n');
+    });
+
+    it('should read stdin from a file with <', async () => {
+      expect(await run('wc -l < numbers.txt')).toBe('5\n');
+    });
+
+    it('should redirect stderr separately or into stdout', async () => {
+      expect(await run('ls missing 2> err.txt; cat err.txt')).toBe(
+        "ls: cannot access 'missing': No such file or directory\n"
+      );
+      expect(await run('ls missing 2>&1 | wc -l')).toBe('1\n');
+      expect(stderr).toEqual([]);
+    });
+
+    it('should feed heredocs to stdin', async () => {
+      expect(await run('name=Ada\ncat <<EOF\nHi $name\nEOF')).toBe('Hi Ada\n');
+    });
+
+    it('should feed here-strings to stdin with a trailing newline', async () => {
+      expect(await run('name=Ada\nwc -c <<< "Hi $name"; read a b <<< "one two three"; echo $b')).toBe(
+        '7\ntwo three\n'
+      );
+    });
+
+    it('should list one name per line when ls writes to a pipe', async () => {
+      expect(await run('ls')).toBe('data.txt  example.txt  numbers.txt\n');
+      expect(await run('ls | head -n 2')).toBe('data.txt\nexample.txt\n');
+    });
+  });
+
+  describe('expansion', () => {
+    it('should expand variables except in single quotes', async () => {
+      expect(await run(`X=world; echo "Hello, $X" '$X' \${X}!`)).toBe('Hello, world $X world!\n');
+    });
+
+    it('should split unquoted variables into words', async () => {
+      expect(await run('files="a b"; for f in $files; do echo "[$f]"; done; for f in "$files"; do echo "[$f]"; done'))
+        .toBe('[a]\n[b]\n[a b]\n');
+    });
+
+    it('should expand globs against the simulated file system', async () => {
+      expect(await run('echo *.txt')).toBe('data.txt example.txt numbers.txt\n');
+      expect(await run('echo /etc/h*')).toBe('/etc/hosts\n');
+      expect(await run('echo *.csv "*.txt"')).toBe('*.csv *.txt\n');
+    });
+
+    it('should expand command substitution and arithmetic', async () => {
+      expect(await run('n=$(wc -l < data.txt); echo "$n lines, $((n * 2)) doubled"')).toBe('5 lines, 10 doubled\n');
+    });
+
+    it('should apply ${VAR:-default}', async () => {
+      expect(await run('echo ${MISSING:-fallback} ${#HOME}')).toBe('fallback 10\n');
+    });
+  });
+
+  describe('exit codes', () => {
+    it('should expose the last status as $?', async () => {
+      expect(await run('grep zzz data.txt; echo $?; nosuch; echo $?')).toBe('1\n127\n');
+      expect(stderr).toEqual(['bash: nosuch: command not found']);
+    });
+
+    it('should short-circuit && and ||', async () => {
+      expect(await run('false && echo no; false || echo yes; true && echo ok')).toBe('yes\nok\n');
+    });
+
+    it('should fail when the last command fails', async () => {
+      const result = await runtime.execute('echo hi; nosuch');
+
+      expect(result.output).toBe('hi\n');
+      expect(result.returnValue).toBe(127);
+      expect(result.success).toBe(false);
+      expect((await runtime.execute('nosuch; true')).success).toBe(true);
+    });
+
+    it('should return the script status and stop at exit', async () => {
+      const result = await runtime.execute('echo before; exit 3; echo after');
+
+      expect(result.output).toBe('before\n');
+      expect(result.returnValue).toBe(3);
+      expect(result.success).toBe(false);
+    });
+
+    it('should report syntax errors without running anything', async () => {
+      const result = await runtime.execute('echo hi\nif true; then');
+
+      expect(result.output).toBe('');
+      expect(result.returnValue).toBe(2);
+      expect(stderr[0]).toMatch(/^bash: line \d+: syntax error/);
+    });
+  });
+
+  describe('control flow', () => {
+    it('should run if/elif/else with test', async () => {
+      const script = 'for n in 1 5 9; do if [ $n -lt 3 ]; then echo low; elif [ $n -eq 5 ]; then echo mid; else echo high; fi; done';
+
+      expect(await run(script)).toBe('low\nmid\nhigh\n');
+    });
+
+    it('should run while loops and read lines', async () => {
+      expect(await run('i=0; while [ $i -lt 3 ]; do echo $i; i=$((i + 1)); done')).toBe('0\n1\n2\n');
+      expect(await run('while read line; do echo "> $line"; done < numbers.txt | tail -n 1')).toBe('> 5\n');
+    });
+
+    it('should support break and continue with a loop count', async () => {
+      const script = 'for i in 1 2; do for j in a b c; do [ $j = b ] && continue 2; echo $i$j; done; done';
+
+      expect(await run(script)).toBe('1a\n2a\n');
+      expect(await run('until false; do echo once; break; done')).toBe('once\n');
+    });
+
+    it('should call functions with arguments, locals and return', async () => {
+      const script = [
+        'name=global',
+        'greet() {',
+        '  local name=$1',
+        '  echo "hi $name ($# args)"',
+        '  return 3',
+        '}',
+        'greet Ada x; echo "status $? name $name"',
+      ].join('\n');
+
+      expect(await run(script)).toBe('hi Ada (2 args)\nstatus 3 name global\n');
+    });
+
+    it('should support recursive functions', async () => {
+      const script = 'fact() { if [ $1 -le 1 ]; then echo 1; else echo $(( $1 * $(fact $(( $1 - 1 ))) )); fi; }; fact 5';
+
+      expect(await run(script)).toBe('120\n');
+    });
+
+    it('should run pipeline commands and ( ) in subshells', async () => {
+      expect(await run('echo x | read v; echo "[$v]"; (cd /tmp; pwd); pwd')).toBe('[]\n/tmp\n/home/user\n');
+    });
+  });
+
+  describe('printf', () => {
+    it('should format arguments and reuse the format until they are used up', async () => {
+      expect(await run("printf '%s=%d\\n' a 1 b 2")).toBe('a=1\nb=2\n');
+      expect(await run("printf '[%5s|%-4s|%05.1f|%x|%o|%c]\\n' ab cd 3.14159 255 8 xyz")).toBe(
+        '[   ab|cd  |003.1|ff|10|x]\n'
+      );
+      expect(await run("printf '%s and %s\\n' one")).toBe('one and \n');
+      expect(await run("printf 'no newline'")).toBe('no newline');
+    });
+
+    it('should expand escapes in the format and in %b arguments', async () => {
+      expect(await run("printf 'a\\tb\\x41\\101 100%%\\n'")).toBe('a\tbAA 100%\n');
+      expect(await run("printf '%s|%b\\n' 'x\\ny' 'x\\ny'")).toBe('x\\ny|x\ny\n');
+      expect(await run("printf '%b' 'one\\ctwo'; printf 'three\\n'")).toBe('onethree\n');
+    });
+
+    it('should quote words with %q and set a variable with -v', async () => {
+      expect(await run("printf '%q\\n' \"it's here\"")).toBe("it\\'s\\ here\n");
+      expect(await run("printf -v greeting 'Hi %s' Ada; echo \"$greeting\"")).toBe('Hi Ada\n');
+    });
+
+    it('should report invalid numbers', async () => {
+      const result = await runtime.execute("printf '%d\\n' 12abc \"'A\"");
+
+      expect(result.output).toBe('12\n65\n');
+      expect(result.returnValue).toBe(1);
+      expect(stderr).toEqual(['printf: 12abc: invalid number']);
+    });
+  });
+
+  describe('file commands', () => {
+    it('should create, copy, move and remove files', async () => {
+      await run('mkdir -p docs/notes; touch docs/a.txt; cp data.txt docs; mv docs/a.txt docs/notes/b.txt');
+
+      expect(await run('ls docs; ls docs/notes')).toBe('data.txt  notes\nb.txt\n');
+
+      await run('rm -r docs');
+      expect(runtime.getNode('docs')).toBeNull();
+    });
+
+    it('should refuse to remove a directory without -r', async () => {
+      const result = await runtime.execute('mkdir d; rm d');
+
+      expect(result.returnValue).toBe(1);
+      expect(stderr).toEqual(["rm: cannot remove 'd': Is a directory"]);
+    });
+  });
+
+  describe('text processing', () => {
+    it('should support grep -i, -v, -n, -c and regular expressions', async () => {
+      expect(await run('grep -in LINE example.txt')).toBe('3:Line 3 of the file.\n');
+      expect(await run('grep -v a data.txt')).toBe('cherry\nelderberry\n');
+      expect(await run('grep -c an data.txt')).toBe('1\n');
+      expect(await run("grep '^[a-c].*y$' data.txt; grep -E 'ch|da' data.txt")).toBe('cherry\ncherry\ndate\n');
+    });
+
+    it('should report invalid grep patterns with status 2', async () => {
+      const result = await runtime.execute("grep -E '(' data.txt");
+
+      expect(result.returnValue).toBe(2);
+      expect(stderr[0]).toMatch(/^grep: Invalid regular expression/);
+    });
+
+    it('should sort numerically, in reverse and by key', async () => {
+      expect(await run("echo -e '10\\n9\\n100' | sort")).toBe('10\n100\n9\n');
+      expect(await run("echo -e '10\\n9\\n100' | sort -n")).toBe('9\n10\n100\n');
+      expect(await run('sort -r data.txt | head -n 2')).toBe('elderberry\ndate\n');
+      expect(await run("echo -e 'x 3\\ny 1\\nz 2' | sort -k 2n")).toBe('y 1\nz 2\nx 3\n');
+    });
+
+    it('should count adjacent duplicates with uniq -c', async () => {
+      expect(await run("echo -e 'b\\na\\nb\\nb' | sort | uniq -c")).toBe('      1 a\n      3 b\n');
+      expect(await run("echo -e 'a\\na\\nb' | uniq")).toBe('a\nb\n');
+    });
+
+    it('should cut fields and characters', async () => {
+      expect(await run("echo 'a:b:c:d' | cut -d : -f 2,4")).toBe('b:d\n');
+      expect(await run("echo 'a:b:c:d' | cut -d: -f2-")).toBe('b:c:d\n');
+      expect(await run('cut -c1-3 data.txt | head -n 2')).toBe('app\nban\n');
+    });
+
+    it('should translate, delete and squeeze characters with tr', async () => {
+      expect(await run('echo hello | tr a-z A-Z')).toBe('HELLO\n');
+      expect(await run("echo 'a1b2c3' | tr -d '[:digit:]'")).toBe('abc\n');
+      expect(await run("echo 'too    many' | tr -s ' '")).toBe('too many\n');
+    });
+
+    it('should edit streams and files with sed', async () => {
+      expect(await run("sed 's/a/A/g' data.txt | head -n 2")).toBe('Apple\nbAnAnA\n');
+      expect(await run("sed -n '2,3p' data.txt")).toBe('banana\ncherry\n');
+      expect(await run("sed -E 's/([a-z]+)e$/\\1E/; /^b/d' data.txt")).toBe('applE\ncherry\ndatE\nelderberry\n');
+
+      await run("sed -i 's/World/Shell/' example.txt");
+      expect(runtime.getNode('example.txt').content).toMatch(/^Hello, Shell!\n/);
+    });
+
+    it('should run awk programs with fields, variables and END', async () => {
+      expect(await run("awk '{ print NR \": \" $1 }' data.txt | tail -n 1")).toBe('5: elderberry\n');
+      expect(await run("awk '{ sum += $1 } END { print sum, sum / NR }' numbers.txt")).toBe('15 3\n');
+      expect(await run("echo 'a,b,c' | awk -F, -v sep=- '{ print $3 sep NF }'")).toBe('c-3\n');
+      expect(await run("awk 'length($0) > 5 { n++ } END { printf \"%d long\\n\", n }' data.txt")).toBe('3 long\n');
+    });
+
+    it('should report awk syntax errors with status 2', async () => {
+      const result = await runtime.execute("awk '{ print ' data.txt");
+
+      expect(result.returnValue).toBe(2);
+      expect(stderr[0]).toMatch(/^awk: syntax error/);
+    });
+
+    it('should find files by name and type', async () => {
+      await run('mkdir -p src/lib; touch src/main.js src/lib/util.js src/README');
+
+      expect(await run("find src -name '*.js'")).toBe('src/lib/util.js\nsrc/main.js\n');
+      expect(await run('find src -type d')).toBe('src\nsrc/lib\n');
+      expect(await run("find . -maxdepth 1 -name 'd*'")).toBe('./data.txt\n');
+    });
+
+    it('should build command lines from stdin with xargs', async () => {
+      expect(await run('echo data.txt numbers.txt | xargs wc -l')).toBe(' 5 data.txt\n 5 numbers.txt\n10 total\n');
+      expect(await run('seq 3 | xargs -n 1 echo item')).toBe('item 1\nitem 2\nitem 3\n');
+      expect(await run("find . -name 'n*' | xargs -I {} cp {} /tmp; ls /tmp")).toBe('numbers.txt\n');
+    });
+
+    it('should print unified diffs and exit 1 when files differ', async () => {
+      await run("sed 's/cherry/CHERRY/' data.txt > changed.txt");
+      const result = await runtime.execute('diff -u data.txt changed.txt');
+
+      expect(result.returnValue).toBe(1);
+      expect(result.output).toBe([
+        '--- data.txt',
+        '+++ changed.txt',
+        '@@ -1,5 +1,5 @@',
+        ' apple',
+        ' banana',
+        '-cherry',
+        '+CHERRY',
+        ' date',
+        ' elderberry',
+        '',
+      ].join('\n'));
+      expect((await runtime.execute('diff data.txt data.txt')).returnValue).toBe(0);
+    });
+
+    it('should copy stdin to files with tee', async () => {
+      expect(await run('echo hi | tee a.txt b.txt; echo again | tee -a a.txt >/dev/null; cat a.txt b.txt'))
+        .toBe('hi\nhi\nagain\nhi\n');
+    });
+
+    it('should print number sequences with seq', async () => {
+      expect(await run('seq 3')).toBe('1\n2\n3\n');
+      expect(await run('seq -s , 10 -3 1')).toBe('10,7,4,1\n');
+      expect(await run('seq 0 0.5 1')).toBe('0.0\n0.5\n1.0\n');
+      expect(await run('seq -w 9 10')).toBe('09\n10\n');
+    });
+
+    it('should query JSON with jq', async () => {
+      await run(`echo '{"users": [{"name": "ada", "age": 36}, {"name": "alan", "age": 41}]}' > users.json`);
+
+      expect(await run("jq -r '.users[] | select(.age > 40) | .name' users.json")).toBe('alan\n');
+      expect(await run("jq -c '[.users[].age] | {total: add, count: length}' users.json")).toBe('{"total":77,"count":2}\n');
+      expect(await run("jq '.users[0]' users.json")).toBe('{\n  "name": "ada",\n  "age": 36\n}\n');
+      expect(await run("jq -n --arg who ada '{greeting: \"hi \\($who)\"}' | jq -r .greeting")).toBe('hi ada\n');
+    });
+
+    it('should report invalid JSON input with status 2', async () => {
+      const result = await runtime.execute("echo '{' | jq .");
+
+      expect(result.returnValue).toBe(2);
+      expect(stderr[0]).toMatch(/^jq: error/);
+    });
+  });
+
+  describe('saved files', () => {
+    let fileManager;
+    let filesChanged;
+
+    beforeEach(() => {
+      fileManager = {
+        getAllFiles: vi.fn(async () => [
+          { id: 1, name: 'notes.txt', content: 'todo\n', language: 'markdown' },
+          { id: 2, name: 'src/main.py', content: 'print(1)\n', language: 'python' },
+          { id: 3, name: 'src/old.py', content: '', language: 'python' },
+        ]),
+        saveFile: vi.fn(async () => 10),
+        deleteFile: vi.fn(async () => {}),
+      };
+      filesChanged = vi.fn();
+      runtime.setFileManager(fileManager);
+      runtime.onFilesChanged(filesChanged);
+    });
+
+    it('should show saved files and their folders in the home directory', async () => {
+      expect(await run('ls; ls src; cat src/main.py')).toBe('notes.txt  src\nmain.py  old.py\nprint(1)\n');
+      expect(runtime.getNode('/home/user/data.txt')).toBeNull();
+    });
+
+    it('should not write anything back when files are only read', async () => {
+      await run('cat notes.txt | grep todo; ls /etc > /tmp/list');
+
+      expect(fileManager.saveFile).not.toHaveBeenCalled();
+      expect(fileManager.deleteFile).not.toHaveBeenCalled();
+      expect(filesChanged).not.toHaveBeenCalled();
+    });
+
+    it('should save edits, moves, copies and removals', async () => {
+      await run('echo done >> notes.txt; mv src/main.py app.py; cp app.py src/copy.py; rm src/old.py; touch empty.sh');
+
+      expect(fileManager.saveFile).toHaveBeenCalledWith(expect.objectContaining({ id: 1, content: 'todo\ndone\n' }));
+      expect(fileManager.saveFile).toHaveBeenCalledWith(expect.objectContaining({ id: 2, name: 'app.py' }));
+      expect(fileManager.saveFile).toHaveBeenCalledWith({ name: 'src/copy.py', content: 'print(1)\n', language: 'python' });
+      expect(fileManager.saveFile).toHaveBeenCalledWith({ name: 'empty.sh', content: '', language: 'shell' });
+      expect(fileManager.deleteFile).toHaveBeenCalledWith(3);
+      expect(filesChanged).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep empty directories between runs', async () => {
+      await run('mkdir -p build/out');
+
+      expect(await run('ls -1')).toBe('build\nnotes.txt\nsrc\n');
+    });
+  });
+
+  describe('stdin and cancellation', () => {
+    it('should read the script stdin with read', async () => {
+      runtime.setStdin('Ada\n');
+
+      expect(await run('read -p "Name: " name; echo "Hello, $name"')).toBe('Hello, Ada\n');
+    });
+
+    it('should stop a running loop when interrupted', async () => {
+      const reason = BaseRuntime.createAbortError();
+      const write = vi.spyOn(runtime, 'writeStdout').mockImplementation(() => {
+        if (write.mock.calls.length === 3) runtime.interrupt(reason);
+      });
+
+      const result = await runtime.execute('while true; do echo y; done');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(reason);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * WorkerSandbox Unit Tests
+ *
+ * jsdom has no Web Worker, so a fake worker records the messages the
+ * sandbox posts and lets each test reply as the worker would.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import vm from 'node:vm';
+import WorkerSandbox from '../../src/runtimes/sandbox/WorkerSandbox.js';
+import JavaScriptRuntime from '../../src/runtimes/languages/JavaScriptRuntime.js';
+
+class FakeWorker {
+  constructor(url) {
+    this.url = url;
+    this.messages = [];
+    this.terminated = false;
+    this.onmessage = null;
+    this.onerror = null;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(data) {
+    this.messages.push(data);
+  }
+
+  reply(data) {
+    this.onmessage({ data });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+FakeWorker.instances = [];
+
+/**
+ * Run the sandbox's real worker source in a Node context standing in for
+ * the worker scope, replying through the fake worker
+ */
+async function runWorkerScope(worker, globals = {}) {
+  const blob = URL.createObjectURL.mock.calls[0][0];
+  const source = await new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+  const scope = {
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    console: {},
+    postMessage: data => worker.reply(data),
+    ...globals,
+  };
+  scope.self = scope;
+  vm.runInNewContext(source, scope);
+  scope.onmessage({ data: worker.messages[0] });
+}
+
+describe('WorkerSandbox', () => {
+  let sandbox;
+  let originalCreateObjectURL;
+  let originalRevokeObjectURL;
+
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    vi.stubGlobal('Worker', FakeWorker);
+    originalCreateObjectURL = URL.createObjectURL;
+    originalRevokeObjectURL = URL.revokeObjectURL;
+    URL.createObjectURL = vi.fn(() => 'blob:sandbox');
+    URL.revokeObjectURL = vi.fn();
+    sandbox = new WorkerSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.terminate();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+    URL.createObjectURL = originalCreateObjectURL;
+    URL.revokeObjectURL = originalRevokeObjectURL;
+  });
+
+  it('should report support when Worker and Blob URLs exist', () => {
+    expect(WorkerSandbox.isSupported()).toBe(true);
+  });
+
+  it('should post the code to a fresh worker', () => {
+    sandbox.run('1 + 1');
+
+    const worker = FakeWorker.instances[0];
+    expect(worker.url).toBe('blob:sandbox');
+    expect(worker.messages).toEqual([{ type: 'run', code: '1 + 1' }]);
+    expect(sandbox.isRunning()).toBe(true);
+  });
+
+  it('should import the module URL in module mode', () => {
+    sandbox.run('blob:entry', { module: true });
+
+    expect(FakeWorker.instances[0].messages).toEqual([{ type: 'import', url: 'blob:entry' }]);
+  });
+
+  it('should resolve with the return value and terminate the worker', async () => {
+    const promise = sandbox.run('[1, 2]');
+    const worker = FakeWorker.instances[0];
+
+    worker.reply({ type: 'done', returnValue: [1, 2], display: '[1,2]' });
+
+    await expect(promise).resolves.toEqual({ returnValue: [1, 2], display: '[1,2]' });
+    expect(worker.terminated).toBe(true);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:sandbox');
+    expect(sandbox.isRunning()).toBe(false);
+  });
+
+  it('should stream console messages to onConsole', async () => {
+    const onConsole = vi.fn();
+    const promise = sandbox.run('console.log("hi")', { onConsole });
+    const worker = FakeWorker.instances[0];
+
+    worker.reply({ type: 'console', level: 'log', text: 'hi' });
+    worker.reply({ type: 'console', level: 'error', text: 'oops' });
+    worker.reply({ type: 'done' });
+    await promise;
+
+    expect(onConsole).toHaveBeenNthCalledWith(1, 'log', 'hi');
+    expect(onConsole).toHaveBeenNthCalledWith(2, 'error', 'oops');
+  });
+
+  it('should end the run once timers and promises have finished', async () => {
+    const onConsole = vi.fn();
+    const promise = sandbox.run(
+      "setTimeout(() => console.log('later'), 20);\n"
+        + "Promise.resolve().then(() => setTimeout(() => Promise.resolve().then(() => console.log('last')), 30));\n"
+        + "console.log('now');\n"
+        + "'value'",
+      { onConsole }
+    );
+    await runWorkerScope(FakeWorker.instances[0]);
+
+    await expect(promise).resolves.toEqual({ returnValue: 'value', display: 'value' });
+    expect(onConsole.mock.calls).toEqual([['log', 'now'], ['log', 'later'], ['log', 'last']]);
+  });
+
+  it('should remove storage and nested workers from the worker scope', async () => {
+    const revoked = ['indexedDB', 'caches', 'BroadcastChannel', 'importScripts', 'Worker', 'SharedWorker'];
+    const code = `[
+      ${revoked.map(name => `typeof ${name}, typeof self.${name}`).join(', ')},
+      typeof navigator.storage,
+    ].join(' ')`;
+    const promise = sandbox.run(code);
+
+    await runWorkerScope(FakeWorker.instances[0], {
+      ...Object.fromEntries(revoked.map(name => [name, {}])),
+      navigator: { storage: {} },
+    });
+
+    const { returnValue } = await promise;
+    expect(returnValue.split(' ')).toEqual(Array(revoked.length * 2 + 1).fill('undefined'));
+  });
+
+  it('should rebuild errors thrown inside the worker', async () => {
+    const promise = sandbox.run('const x = ;');
+    FakeWorker.instances[0].reply({
+      type: 'error',
+      error: { name: 'SyntaxError', message: 'Unexpected token', stack: '' },
+    });
+
+    const error = await promise.catch(err => err);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('SyntaxError');
+    expect(error.message).toBe('Unexpected token');
+  });
+
+  it('should terminate the worker when the timeout expires', async () => {
+    vi.useFakeTimers();
+    const promise = sandbox.run('while (true) {}', { timeout: 1000 });
+    const worker = FakeWorker.instances[0];
+
+    vi.advanceTimersByTime(1000);
+
+    const error = await promise.catch(err => err);
+    expect(error.name).toBe('TimeoutError');
+    expect(error.message).toContain('1000ms');
+    expect(worker.terminated).toBe(true);
+  });
+
+  it('should reject with AbortError when stopped', async () => {
+    const promise = sandbox.run('while (true) {}');
+    const worker = FakeWorker.instances[0];
+
+    sandbox.stop();
+
+    const error = await promise.catch(err => err);
+    expect(error.name).toBe('AbortError');
+    expect(worker.terminated).toBe(true);
+  });
+
+  it('should ignore messages after the run has settled', async () => {
+    const onConsole = vi.fn();
+    const promise = sandbox.run('1', { onConsole });
+    const worker = FakeWorker.instances[0];
+
+    sandbox.stop();
+    await promise.catch(() => {});
+    worker.reply({ type: 'done', returnValue: 1 });
+
+    expect(sandbox.isRunning()).toBe(false);
+  });
+
+  describe('JavaScriptRuntime integration', () => {
+    it('should run code through the sandbox when workers exist', async () => {
+      const runtime = new JavaScriptRuntime();
+      const logSpy = vi.spyOn(runtime, 'log');
+
+      const promise = runtime.execute('console.log("sandboxed"); 42');
+      const worker = FakeWorker.instances[0];
+      worker.reply({ type: 'console', level: 'log', text: 'sandboxed' });
+      worker.reply({ type: 'done', returnValue: 42, display: '42' });
+
+      const result = await promise;
+      expect(result.success).toBe(true);
+      expect(result.returnValue).toBe(42);
+      expect(logSpy).toHaveBeenCalledWith('sandboxed', 'stdout');
+      expect(logSpy).toHaveBeenCalledWith('42', 'success');
+    });
+
+    it('should link and import a project that uses modules', async () => {
+      const runtime = new JavaScriptRuntime();
+      runtime.setFileManager({
+        getAllFiles: vi.fn(async () => [
+          { id: 1, name: 'main.js', content: '', language: 'javascript' },
+          { id: 2, name: 'helper.js', content: 'export const x = 1;', language: 'javascript' },
+        ]),
+      });
+      const code = "import { x } from './helper.js';\nconsole.log(x);";
+
+      const promise = runtime.execute(code, { project: { entryPoint: 'main.js', sources: new Map([[1, code]]) } });
+      await vi.waitFor(() => expect(FakeWorker.instances).toHaveLength(1));
+      const worker = FakeWorker.instances[0];
+      expect(worker.messages).toEqual([{ type: 'import', url: 'blob:sandbox' }]);
+      worker.reply({ type: 'done', returnValue: undefined, display: undefined });
+
+      expect((await promise).success).toBe(true);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:sandbox');
+    });
+
+    it('should stop the running program on interrupt()', async () => {
+      const runtime = new JavaScriptRuntime();
+
+      const promise = runtime.execute('while (true) {}');
+      runtime.interrupt();
+
+      const result = await promise;
+      expect(result.success).toBe(false);
+      expect(result.error.name).toBe('AbortError');
+      expect(FakeWorker.instances[0].terminated).toBe(true);
+    });
+  });
+});
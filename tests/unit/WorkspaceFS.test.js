@@ -0,0 +1,223 @@
+/**
+ * WorkspaceFS Unit Tests
+ *
+ * Tests for mounting saved files into a runtime file system and saving
+ * what programs change
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Blob as NodeBlob } from 'node:buffer';
+import WorkspaceFS from '../../src/runtimes/WorkspaceFS.js';
+
+// In-memory adapter standing in for a runtime's file system
+// (jsdom's Blob has no arrayBuffer(), so saved binary files use Node's)
+function createAdapter() {
+  const files = new Map();
+  const encoder = new TextEncoder();
+
+  return {
+    files,
+    list: vi.fn(async (root) => new Map(
+      [...files]
+        .filter(([path]) => path.startsWith(`${root}/`))
+        .map(([path, content]) => [path.slice(root.length + 1), typeof content === 'string' ? encoder.encode(content) : content])
+    )),
+    write: vi.fn(async (path, content) => { files.set(path, content); }),
+    remove: vi.fn(async (path) => { files.delete(path); }),
+  };
+}
+
+describe('WorkspaceFS', () => {
+  let fileManager;
+  let adapter;
+
+  beforeEach(() => {
+    fileManager = {
+      getAllFiles: vi.fn(async () => [
+        { id: 1, name: 'data.csv', content: 'a,b\n1,2\n', language: 'markdown' },
+        { id: 2, name: 'lib/helper.py', content: 'X = 1\n', language: 'python' },
+        { id: 3, name: 'README.md', content: '# demo\n', language: 'markdown', gitRepo: 'demo', gitUrl: 'https://github.com/u/demo' },
+        { id: 4, name: 'main.py', content: 'import lib\n', language: 'python', gitRepo: 'demo', gitUrl: 'https://github.com/u/demo' },
+      ]),
+      saveFile: vi.fn(async () => 10),
+      deleteFile: vi.fn(async () => {}),
+    };
+    adapter = createAdapter();
+  });
+
+  describe('mount()', () => {
+    it('should write every saved file under the mount point', async () => {
+      await new WorkspaceFS(fileManager).mount(adapter);
+
+      expect(WorkspaceFS.MOUNT_POINT).toBe('/home/user');
+      expect(adapter.files.get('/home/user/data.csv')).toBe('a,b\n1,2\n');
+      expect(adapter.files.get('/home/user/lib/helper.py')).toBe('X = 1\n');
+      expect(adapter.files.get('/home/user/main.py')).toBe('import lib\n');
+    });
+
+    it('should mount only the files of a chosen repository', async () => {
+      await new WorkspaceFS(fileManager, { folder: 'demo' }).mount(adapter);
+
+      expect([...adapter.files.keys()].sort()).toEqual(['/home/user/README.md', '/home/user/main.py']);
+    });
+
+    it('should mount a folder of saved files at the root', async () => {
+      await new WorkspaceFS(fileManager, { folder: 'lib' }).mount(adapter);
+
+      expect([...adapter.files.keys()]).toEqual(['/home/user/helper.py']);
+    });
+
+    it('should mount unsaved editor text without saving it back', async () => {
+      const workspace = new WorkspaceFS(fileManager);
+      await workspace.mount(adapter, { sources: new Map([[2, 'X = 2\n']]) });
+
+      expect(adapter.files.get('/home/user/lib/helper.py')).toBe('X = 2\n');
+      expect(await workspace.sync(adapter)).toBe(false);
+      expect(fileManager.saveFile).not.toHaveBeenCalled();
+    });
+
+    it('should remove files left from an earlier run', async () => {
+      adapter.files.set('/home/user/deleted.txt', 'old');
+
+      await new WorkspaceFS(fileManager).mount(adapter);
+
+      expect(adapter.files.has('/home/user/deleted.txt')).toBe(false);
+    });
+  });
+
+  describe('sync()', () => {
+    it('should report no changes when the program only read files', async () => {
+      const workspace = new WorkspaceFS(fileManager);
+      await workspace.mount(adapter);
+
+      expect(await workspace.sync(adapter)).toBe(false);
+      expect(fileManager.saveFile).not.toHaveBeenCalled();
+      expect(fileManager.deleteFile).not.toHaveBeenCalled();
+    });
+
+    it('should save created and changed files and delete removed ones', async () => {
+      const workspace = new WorkspaceFS(fileManager);
+      await workspace.mount(adapter);
+
+      adapter.files.set('/home/user/data.csv', 'a,b\n3,4\n');
+      adapter.files.set('/home/user/out/result.json', '{}');
+      adapter.files.delete('/home/user/lib/helper.py');
+
+      expect(await workspace.sync(adapter)).toBe(true);
+      expect(fileManager.saveFile).toHaveBeenCalledWith(
+        { id: 1, name: 'data.csv', content: 'a,b\n3,4\n', language: 'markdown' }
+      );
+      expect(fileManager.saveFile).toHaveBeenCalledWith(
+        { name: 'out/result.json', content: '{}', language: 'json' }
+      );
+      expect(fileManager.deleteFile).toHaveBeenCalledWith(2);
+    });
+
+    it('should add new files to the mounted repository', async () => {
+      const workspace = new WorkspaceFS(fileManager, { folder: 'demo' });
+      await workspace.mount(adapter);
+
+      adapter.files.set('/home/user/notes.py', 'pass\n');
+      await workspace.sync(adapter);
+
+      expect(fileManager.saveFile).toHaveBeenCalledWith({
+        gitRepo: 'demo',
+        gitUrl: 'https://github.com/u/demo',
+        name: 'notes.py',
+        content: 'pass\n',
+        language: 'python',
+      });
+    });
+
+    it('should add new files to the mounted folder', async () => {
+      const workspace = new WorkspaceFS(fileManager, { folder: 'lib' });
+      await workspace.mount(adapter);
+
+      adapter.files.set('/home/user/extra.py', '');
+      await workspace.sync(adapter);
+
+      expect(fileManager.saveFile).toHaveBeenCalledWith({ name: 'lib/extra.py', content: '', language: 'python' });
+    });
+
+    it('should save files that are not UTF-8 text as Blobs', async () => {
+      const workspace = new WorkspaceFS(fileManager);
+      await workspace.mount(adapter);
+
+      adapter.files.set('/home/user/plot.png', new Uint8Array([0x89, 0x50, 0xff, 0xfe]));
+
+      expect(await workspace.sync(adapter)).toBe(true);
+      const [[file]] = fileManager.saveFile.mock.calls;
+      expect(file).toMatchObject({ name: 'plot.png', language: 'markdown' });
+      expect(file.content).toBeInstanceOf(Blob);
+      expect(file.content.size).toBe(4);
+    });
+
+    it('should mount binary files as bytes and keep them binary', async () => {
+      const bytes = new Uint8Array([0x53, 0x51, 0x4c, 0x00]);
+      fileManager.getAllFiles.mockResolvedValue([
+        { id: 5, name: 'app.sqlite', content: new NodeBlob([bytes]), binary: true, language: 'markdown' },
+      ]);
+      const workspace = new WorkspaceFS(fileManager);
+      await workspace.mount(adapter);
+
+      expect(adapter.files.get('/home/user/app.sqlite')).toEqual(bytes);
+      expect(await workspace.sync(adapter)).toBe(false);
+
+      adapter.files.set('/home/user/app.sqlite', new Uint8Array([0x41]));
+      expect(await workspace.sync(adapter)).toBe(true);
+      expect(fileManager.saveFile.mock.calls[0][0].content).toBeInstanceOf(Blob);
+    });
+  });
+
+  describe('emscripten()', () => {
+    it('should list, write and remove files through an Emscripten FS', async () => {
+      const FS = {
+        analyzePath: vi.fn(() => ({ exists: true })),
+        readdir: vi.fn(path => (path === '/home/user' ? ['.', '..', 'a.txt', 'sub'] : ['.', '..', 'b.txt'])),
+        stat: vi.fn(path => ({ mode: path.endsWith('sub') ? 1 : 0 })),
+        isDir: vi.fn(mode => mode === 1),
+        readFile: vi.fn(path => new TextEncoder().encode(path)),
+        mkdirTree: vi.fn(),
+        writeFile: vi.fn(),
+        unlink: vi.fn(),
+      };
+      const emscripten = WorkspaceFS.emscripten(FS);
+
+      const files = await emscripten.list('/home/user');
+      await emscripten.write('/home/user/sub/c.txt', 'c');
+      await emscripten.remove('/home/user/a.txt');
+
+      expect([...files.keys()]).toEqual(['a.txt', 'sub/b.txt']);
+      expect(FS.mkdirTree).toHaveBeenCalledWith('/home/user/sub');
+      expect(FS.writeFile).toHaveBeenCalledWith('/home/user/sub/c.txt', 'c');
+      expect(FS.unlink).toHaveBeenCalledWith('/home/user/a.txt');
+    });
+  });
+
+  describe('memory()', () => {
+    it('should keep mounted files in a Map', async () => {
+      const memory = WorkspaceFS.memory();
+      const workspace = new WorkspaceFS(fileManager, { folder: 'demo' });
+      await workspace.mount(memory);
+
+      expect(memory.files.get('/home/user/main.py')).toBe('import lib\n');
+      expect(await workspace.sync(memory)).toBe(false);
+    });
+  });
+
+  describe('getRelativePath()', () => {
+    it('should place files relative to the mounted folder', () => {
+      expect(WorkspaceFS.getRelativePath({ name: 'lib/helper.py' })).toBe('lib/helper.py');
+      expect(WorkspaceFS.getRelativePath({ name: 'lib/helper.py' }, 'lib')).toBe('helper.py');
+      expect(WorkspaceFS.getRelativePath({ name: 'main.py', gitRepo: 'demo' }, 'demo')).toBe('main.py');
+      expect(WorkspaceFS.getRelativePath({ name: 'main.py', gitRepo: 'demo' }, 'lib')).toBeNull();
+    });
+  });
+
+  describe('detectLanguage()', () => {
+    it('should map extensions to runtime languages', () => {
+      expect(WorkspaceFS.detectLanguage('src/app.py')).toBe('python');
+      expect(WorkspaceFS.detectLanguage('notes.txt')).toBe('markdown');
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * YAMLOutline Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import YAMLOutline from '../../src/schemas/YAMLOutline.js';
+
+const workflow = [
+  'name: CI',
+  'on: push',
+  'jobs:',
+  '  build:',
+  '    runs-on: ubuntu-latest',
+  '    steps:',
+  '    - uses: actions/checkout@v4',
+  '    - name: Test',
+  '      run: |',
+  '        echo "key: not a key"',
+  '      shel: bash',
+  '  "lint":',
+  '    steps: []',
+].join('\n');
+
+describe('YAMLOutline', () => {
+  describe('locate()', () => {
+    it('should find keys and list items by path', () => {
+      expect(YAMLOutline.locate(workflow, ['jobs', 'build', 'runs-on'])).toEqual({ line: 5, column: 5, endColumn: 12 });
+      expect(YAMLOutline.locate(workflow, ['jobs', 'build', 'steps', 1])).toEqual({ line: 8, column: 5, endColumn: 6 });
+      expect(YAMLOutline.locate(workflow, ['jobs', 'lint', 'steps'])).toMatchObject({ line: 13, column: 5 });
+    });
+
+    it('should skip the text of block scalars', () => {
+      expect(YAMLOutline.locate(workflow, ['jobs', 'build', 'steps', 1, 'shel'])).toEqual({ line: 11, column: 7, endColumn: 11 });
+      expect(YAMLOutline.locate(workflow, ['jobs', 'build', 'steps', 1, 'key']).line).toBe(8);
+    });
+
+    it('should fall back to the deepest part of the path found', () => {
+      expect(YAMLOutline.locate(workflow, ['jobs', 'deploy'])).toMatchObject({ line: 3, column: 1 });
+      expect(YAMLOutline.locate(workflow, [])).toEqual({ line: 1, column: 1, endColumn: 1 });
+    });
+  });
+
+  describe('contextAt()', () => {
+    it('should tell where a key is being typed', () => {
+      const text = `${workflow}\n    - na`;
+      expect(YAMLOutline.contextAt(text, 14, 9)).toEqual({ path: ['jobs', 'lint', 'steps', 0], kind: 'key' });
+      expect(YAMLOutline.contextAt('jobs:\n  build:\n    ', 3, 5)).toEqual({ path: ['jobs', 'build'], kind: 'key' });
+    });
+
+    it('should tell where a value is being typed', () => {
+      expect(YAMLOutline.contextAt(workflow, 5, 14)).toEqual({ path: ['jobs', 'build', 'runs-on'], kind: 'value' });
+    });
+
+    it('should offer nothing inside block scalars and comments', () => {
+      expect(YAMLOutline.contextAt(workflow, 10, 12)).toBeNull();
+      expect(YAMLOutline.contextAt('# na', 1, 5)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * YAMLRuntime Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import YAMLRuntime from '../../src/runtimes/languages/YAMLRuntime.js';
+
+describe('YAMLRuntime', () => {
+  let runtime;
+
+  beforeEach(() => {
+    runtime = new YAMLRuntime();
+  });
+
+  describe('validate()', () => {
+    it('should report syntax errors where the parser stopped', () => {
+      const [diagnostic] = runtime.validate('a: 1\nb: [1, 2\nc: 3\n');
+
+      expect(diagnostic).toMatchObject({ severity: 'error', line: 3 });
+    });
+
+    it('should report schema problems at their keys', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          services: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: { restart: { enum: ['no', 'always'] } },
+            },
+          },
+        },
+      };
+
+      expect(runtime.validate('services:\n  web:\n    restart: sometimes\n', { schema })).toEqual([{
+        line: 3,
+        column: 5,
+        endLine: 3,
+        endColumn: 12,
+        severity: 'error',
+        message: 'Value is not accepted. Valid values: "no", "always"',
+        path: null,
+      }]);
+    });
+
+    it('should not check empty documents against the schema', () => {
+      expect(runtime.validate('# nothing yet\n', { schema: { type: 'object', required: ['a'] } })).toEqual([]);
+    });
+  });
+});